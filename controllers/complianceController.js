@@ -1,14 +1,30 @@
 // File: controllers/complianceController.js
 const Route = require('../models/Route');
+const complianceRuleService = require('../services/complianceRuleService');
 
 const complianceController = {
   
   // GET /api/routes/:routeId/compliance-requirements
+  // Optional what-if query: departureTime, vehicleClass, registrationNumber, product
   getComplianceRequirements: async (req, res) => {
     try {
       const { routeId } = req.params;
+      const { departureTime, vehicleClass, registrationNumber, product } = req.query;
       
-      const route = await Route.findById(routeId);
+      const departure = departureTime !== undefined ? new Date(departureTime) : undefined;
+      if (departure && isNaN(departure.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'departureTime must be an ISO 8601 date-time, e.g. 2026-10-20T05:30:00+05:30'
+        });
+      }
+      
+      // Facts include vehicle registration, cargo and driver details - owner only
+      const route = await Route.findOne({
+        _id: routeId,
+        userId: req.user.id,
+        status: { $ne: 'deleted' }
+      });
       if (!route) {
         return res.status(404).json({
           success: false,
@@ -16,92 +32,50 @@ const complianceController = {
         });
       }
 
+      const overrides = {
+        departureTime: departure,
+        vehicle: {
+          ...(vehicleClass ? { vehicleClass } : {}),
+          ...(registrationNumber ? { registrationNumber } : {})
+        },
+        cargo: product ? { product: String(product).toLowerCase() } : {}
+      };
+
+      const evaluation = await complianceRuleService.evaluateRoute(route, overrides);
+      const { facts } = evaluation;
+
       const vehicleCompliance = {
-        vehicleType: "Heavy Goods Vehicle",
-        vehicleCategory: "Heavy Goods Vehicle", 
-        ais140Required: true,
+        vehicleType: facts.vehicle.vehicleType,
+        vehicleCategory: facts.vehicle.heavy === false ? 'Light Motor Vehicle' : 'Heavy Goods Vehicle',
+        registrationNumber: facts.vehicle.registrationNumber,
+        registrationState: facts.vehicle.registrationState,
+        cargo: facts.cargo.productName,
+        hazardousCargo: facts.cargo.hazardous,
+        hazardClass: facts.cargo.hazardClass,
+        ais140Required: evaluation.appliedRules.some(rule => rule.code === 'ais140_tracking'),
         routeOrigin: `${route.fromName || route.fromAddress} [${route.fromCode || route.routeId.slice(-4)}]`,
         routeDestination: `${route.toName || route.toAddress} [${route.toCode || route.routeId.slice(-8)}]`,
         totalDistance: `${route.totalDistance} km`,
-        estimatedDuration: this.formatDuration(route.estimatedDuration),
-        interstateTravel: false
+        estimatedDuration: complianceController.formatDuration(route.estimatedDuration),
+        interstateTravel: facts.route.interstate,
+        statesCrossed: facts.route.stateNames,
+        plannedDeparture: facts.trip.departureTime,
+        nightDrivingHours: facts.trip.nightDrivingHours
       };
 
-      const complianceRequirements = [
-        {
-          category: "Valid Driving License",
-          status: "REQUIRED",
-          action: "Verify license category matches vehicle type"
-        },
-        {
-          category: "Vehicle Registration", 
-          status: "REQUIRED",
-          action: "Ensure current registration is valid"
-        },
-        {
-          category: "Vehicle Insurance",
-          status: "REQUIRED", 
-          action: "Valid comprehensive insurance is necessary"
-        },
-        {
-          category: "Route Permits",
-          status: "CONDITIONAL",
-          action: "Required for interstate/heavy vehicle operations"
-        },
-        {
-          category: "AIS-140 GPS Device",
-          status: "REQUIRED",
-          action: "Install certified GPS tracking device"
-        },
-        {
-          category: "Driving Time Limits", 
-          status: "REQUIRED",
-          action: "Maximum 10 hours of continuous driving"
-        },
-        {
-          category: "Vehicle Fitness Certificate",
-          status: "REQUIRED",
-          action: "Ensure valid pollution & fitness certificates"
-        },
-        {
-          category: "Driver Medical Certificate",
-          status: "REQUIRED", 
-          action: "Maintain a valid medical fitness certificate"
-        }
-      ];
-
-      const complianceIssues = [
-        {
-          issue: "AIS-140 GPS tracking device required",
-          severity: "HIGH",
-          action: "Address before travel"
-        },
-        {
-          issue: "Heavy vehicle - weight restrictions may apply", 
-          severity: "MEDIUM",
-          action: "Address before travel"
-        }
-      ];
-
-      const regulatoryFramework = [
-        "Motor Vehicles Act, 1988 - Vehicle registration and licensing requirements",
-        "Central Motor Vehicles Rules, 1989 - Technical specifications and safety", 
-        "AIS-140 Standards - GPS tracking and panic button requirements",
-        "Road Transport and Safety Policy (RTSP) - Driver working hours",
-        "Interstate Transport Permits - Required for commercial interstate travel",
-        "Pollution Control Board Norms - Emission standards compliance",
-        "Goods and Services Tax (GST) - Tax compliance for commercial transport",
-        "Road Safety and Transport Authority - State-specific requirements"
-      ];
-
       res.json({
         success: true,
         data: {
           vehicleCompliance: vehicleCompliance,
-          complianceRequirements: complianceRequirements,
-          complianceIssues: complianceIssues,
-          regulatoryFramework: regulatoryFramework,
-          penalties: this.getCompliancePenalties()
+          complianceRequirements: evaluation.requirements,
+          complianceIssues: evaluation.issues,
+          regulatoryFramework: evaluation.regulatoryFramework,
+          penalties: evaluation.penalties,
+          evaluation: {
+            rulesEvaluated: evaluation.rulesEvaluated,
+            appliedRules: evaluation.appliedRules,
+            facts
+          }
         },
         message: 'Compliance requirements retrieved successfully'
       });
@@ -119,20 +93,9 @@ const complianceController = {
   formatDuration: (minutes) => {
     if (!minutes) return 'Unknown';
     const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
+    const mins = Math.round(minutes % 60);
     return hours > 0 ? `${hours} hours ${mins} mins` : `${mins} mins`;
-  },
-
-  getCompliancePenalties: () => {
-    return [
-      "Driving without valid license: Fine up to Rs 5,000 + imprisonment",
-      "Vehicle without registration: Fine up to Rs 10,000 + vehicle seizure", 
-      "No insurance: Fine up to Rs 2,000 + vehicle seizure",
-      "AIS-140 non-compliance: Permit cancellation + heavy fines",
-      "Overloading violations: Fine Rs 20,000 + per excess ton",
-      "Driving time violations: License suspension + fines",
-      "Interstate without permits: Vehicle seizure + penalty",
-      "Environmental violations: Fine up to Rs 10,000 + registration cancellation"
-    ];
   }
-};
\ No newline at end of file
+};
+
+module.exports = complianceController;
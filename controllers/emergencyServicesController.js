@@ -69,7 +69,7 @@ const emergencyServicesController = {
       };
 
       // Generate dynamic coverage analysis based on route data
-      const coverageAnalysis = await this.analyzeCoverageAdvanced(servicesByType, route);
+      const coverageAnalysis = await emergencyServicesController.analyzeCoverageAdvanced(servicesByType, route);
 
       res.json({
         success: true,
@@ -136,7 +136,7 @@ const emergencyServicesController = {
         serviceType: facility.serviceType,
         location: facility.address || 'Address not available',
         distanceFromSupply: `${facility.distanceFromStartKm || 0} km`,
-        distanceFromCustomer: `${this.calculateDistanceFromEnd(facility.distanceFromStartKm, route.totalDistance)} km`,
+        distanceFromCustomer: `${emergencyServicesController.calculateDistanceFromEnd(facility.distanceFromStartKm, route.totalDistance)} km`,
         distanceFromRoute: `${facility.distanceFromRouteKm || 0} km`,
         coordinates: {
           lat: facility.latitude,
@@ -144,7 +144,7 @@ const emergencyServicesController = {
         },
         phoneNumber: facility.phoneNumber || 'Not available',
         emergencyNumber: facility.emergencyNumber || facility.phoneNumber || 'Not available',
-        mapLink: this.generateGoogleSearchLink(facility.name, facility.address),
+        mapLink: emergencyServicesController.generateGoogleSearchLink(facility.name, facility.address),
         specializations: facility.specializations || [],
         emergencyServices: facility.emergencyServices || [],
         priority: facility.priority,
@@ -155,7 +155,7 @@ const emergencyServicesController = {
       }));
 
       // Calculate dynamic statistics
-      const statistics = this.calculateMedicalStatistics(formattedFacilities);
+      const statistics = emergencyServicesController.calculateMedicalStatistics(formattedFacilities);
 
       res.json({
         success: true,
@@ -217,7 +217,7 @@ const emergencyServicesController = {
         facilityName: station.name,
         location: station.address || 'Address not available',
         distanceFromSupply: `${station.distanceFromStartKm || 0} km`,
-        distanceFromCustomer: `${this.calculateDistanceFromEnd(station.distanceFromStartKm, route.totalDistance)} km`,
+        distanceFromCustomer: `${emergencyServicesController.calculateDistanceFromEnd(station.distanceFromStartKm, route.totalDistance)} km`,
         distanceFromRoute: `${station.distanceFromRouteKm || 0} km`,
         coordinates: {
           lat: station.latitude,
@@ -225,7 +225,7 @@ const emergencyServicesController = {
         },
         phoneNumber: station.phoneNumber || '--',
         emergencyNumber: station.emergencyNumber || '100',
-        mapLink: this.generateGoogleMapsLink(station.latitude, station.longitude),
+        mapLink: emergencyServicesController.generateGoogleMapsLink(station.latitude, station.longitude),
         jurisdiction: station.jurisdiction || 'Local',
         specializedUnits: station.specializedUnits || [],
         priority: station.priority,
@@ -234,7 +234,7 @@ const emergencyServicesController = {
         lastUpdated: station.lastUpdated
       }));
 
-      const statistics = this.calculatePoliceStatistics(formattedStations);
+      const statistics = emergencyServicesController.calculatePoliceStatistics(formattedStations);
 
       res.json({
         success: true,
@@ -293,7 +293,7 @@ const emergencyServicesController = {
         facilityName: station.name,
         location: station.address || 'Address not available',
         distanceFromSupply: `${station.distanceFromStartKm || 0} km`,
-        distanceFromCustomer: `${this.calculateDistanceFromEnd(station.distanceFromStartKm, route.totalDistance)} km`,
+        distanceFromCustomer: `${emergencyServicesController.calculateDistanceFromEnd(station.distanceFromStartKm, route.totalDistance)} km`,
         distanceFromRoute: `${station.distanceFromRouteKm || 0} km`,
         coordinates: {
           lat: station.latitude,
@@ -301,7 +301,7 @@ const emergencyServicesController = {
         },
         phoneNumber: station.phoneNumber || '--',
         emergencyNumber: station.emergencyNumber || '101',
-        mapLink: this.generateGoogleMapsLink(station.latitude, station.longitude),
+        mapLink: emergencyServicesController.generateGoogleMapsLink(station.latitude, station.longitude),
         equipment: station.equipment || [],
         responseTimeMinutes: station.responseTimeMinutes || 20,
         operatingHours: station.operatingHours || '24 hours',
@@ -309,7 +309,7 @@ const emergencyServicesController = {
         lastUpdated: station.lastUpdated
       }));
 
-      const statistics = this.calculateFireStatistics(formattedStations);
+      const statistics = emergencyServicesController.calculateFireStatistics(formattedStations);
 
       res.json({
         success: true,
@@ -377,14 +377,14 @@ const emergencyServicesController = {
         facilityName: station.name,
         location: station.address || 'Address not available',
         distanceFromSupply: `${station.distanceFromStartKm || 0} km`,
-        distanceFromCustomer: `${this.calculateDistanceFromEnd(station.distanceFromStartKm, route.totalDistance)} km`,
+        distanceFromCustomer: `${emergencyServicesController.calculateDistanceFromEnd(station.distanceFromStartKm, route.totalDistance)} km`,
         distanceFromRoute: `${station.distanceFromRouteKm || 0} km`,
         coordinates: {
           lat: station.latitude,
           lng: station.longitude
         },
         phoneNumber: station.phoneNumber || '--',
-        mapLink: this.generateGoogleMapsLink(station.latitude, station.longitude),
+        mapLink: emergencyServicesController.generateGoogleMapsLink(station.latitude, station.longitude),
         fuelTypes: station.fuelTypes || ['Petrol', 'Diesel'],
         amenities: {
           hasATM: station.hasATM || false,
@@ -399,7 +399,7 @@ const emergencyServicesController = {
         lastUpdated: station.lastUpdated
       }));
 
-      const statistics = this.calculateFuelStatistics(formattedStations);
+      const statistics = emergencyServicesController.calculateFuelStatistics(formattedStations);
 
       res.json({
         success: true,
@@ -457,7 +457,7 @@ const emergencyServicesController = {
         facilityName: institution.name,
         location: institution.address || 'Address not available',
         distanceFromSupply: `${institution.distanceFromStartKm || 0} km`,
-        distanceFromCustomer: `${this.calculateDistanceFromEnd(institution.distanceFromStartKm, route.totalDistance)} km`,
+        distanceFromCustomer: `${emergencyServicesController.calculateDistanceFromEnd(institution.distanceFromStartKm, route.totalDistance)} km`,
         distanceFromRoute: `${institution.distanceFromRouteKm || 0} km`,
         coordinates: {
           lat: institution.latitude,
@@ -465,7 +465,7 @@ const emergencyServicesController = {
         },
         phoneNumber: institution.phoneNumber || 'N/A',
         emergencyContact: institution.emergencyContact || institution.phoneNumber || 'N/A',
-        mapLink: this.generateGoogleMapsLink(institution.latitude, institution.longitude),
+        mapLink: emergencyServicesController.generateGoogleMapsLink(institution.latitude, institution.longitude),
         institutionType: institution.institutionType || 'School',
         speedLimit: '40 km/h', // Standard speed limit near schools
         safetyFeatures: institution.safetyFeatures || [],
@@ -474,7 +474,7 @@ const emergencyServicesController = {
         lastUpdated: institution.lastUpdated
       }));
 
-      const statistics = this.calculateEducationalStatistics(formattedInstitutions);
+      const statistics = emergencyServicesController.calculateEducationalStatistics(formattedInstitutions);
 
       res.json({
         success: true,
@@ -542,14 +542,14 @@ const emergencyServicesController = {
         facilityName: stop.name,
         location: stop.address || 'Address not available',
         distanceFromSupply: `${stop.distanceFromStartKm || 0} km`,
-        distanceFromCustomer: `${this.calculateDistanceFromEnd(stop.distanceFromStartKm, route.totalDistance)} km`,
+        distanceFromCustomer: `${emergencyServicesController.calculateDistanceFromEnd(stop.distanceFromStartKm, route.totalDistance)} km`,
         distanceFromRoute: `${stop.distanceFromRouteKm || 0} km`,
         coordinates: {
           lat: stop.latitude,
           lng: stop.longitude
         },
         phoneNumber: stop.phoneNumber || '--',
-        mapLink: this.generateGoogleMapsLink(stop.latitude, stop.longitude),
+        mapLink: emergencyServicesController.generateGoogleMapsLink(stop.latitude, stop.longitude),
         cuisineType: stop.cuisineType || 'Indian',
         parkingAvailable: stop.parkingAvailable !== false,
         truckFriendly: stop.truckFriendly || false,
@@ -561,7 +561,7 @@ const emergencyServicesController = {
         lastUpdated: stop.lastUpdated
       }));
 
-      const statistics = this.calculateRestStopStatistics(formattedStops);
+      const statistics = emergencyServicesController.calculateRestStopStatistics(formattedStops);
 
       res.json({
         success: true,
@@ -669,7 +669,7 @@ const emergencyServicesController = {
       ];
 
       // Generate enhanced emergency protocols based on route data
-      const enhancedProtocols = this.getEnhancedEmergencyProtocols(route, {
+      const enhancedProtocols = emergencyServicesController.getEnhancedEmergencyProtocols(route, {
         blindSpots,
         sharpTurns,
         accidentAreas,
@@ -728,10 +728,10 @@ const emergencyServicesController = {
   // Enhanced coverage analysis with route-specific data
   analyzeCoverageAdvanced: async function(servicesByType, route) {
     const analysis = {
-      medical: this.analyzeMedicalCoverage(servicesByType.medical, route.totalDistance),
-      police: this.analyzeSecurityCoverage(servicesByType.police, route.totalDistance),
-      fire: this.analyzeFireCoverage(servicesByType.fire, route.totalDistance),
-      fuel: this.analyzeFuelCoverage(servicesByType.fuel, route.totalDistance),
+      medical: emergencyServicesController.analyzeMedicalCoverage(servicesByType.medical, route.totalDistance),
+      police: emergencyServicesController.analyzeSecurityCoverage(servicesByType.police, route.totalDistance),
+      fire: emergencyServicesController.analyzeFireCoverage(servicesByType.fire, route.totalDistance),
+      fuel: emergencyServicesController.analyzeFuelCoverage(servicesByType.fuel, route.totalDistance),
       overall: 'EXCELLENT'
     };
 
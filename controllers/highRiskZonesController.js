@@ -8,6 +8,7 @@ const BlindSpot = require('../models/BlindSpot');
 const AccidentProneArea = require('../models/AccidentProneArea');
 const WeatherCondition = require('../models/WeatherCondition');
 const NetworkCoverage = require('../models/NetworkCoverage');
+const SteepGradient = require('../models/SteepGradient');
 const Route = require('../models/Route');
 
 const highRiskZonesController = {
@@ -373,7 +374,7 @@ const highRiskZonesController = {
       console.log(`🔴 Analyzing critical points for route: ${route.routeId} (threshold: ${criticalThreshold})`);
 
       // Get only critical points
-      const [criticalTurns, criticalBlindSpots, criticalAccidents, criticalWeather, criticalDeadZones] = await Promise.all([
+      const [criticalTurns, criticalBlindSpots, criticalAccidents, criticalWeather, criticalDeadZones, criticalGradients] = await Promise.all([
         SharpTurn.find({ 
           routeId, 
           riskScore: { $gte: parseFloat(criticalThreshold) } 
@@ -404,7 +405,16 @@ const highRiskZonesController = {
             { communicationRisk: { $gte: parseFloat(criticalThreshold) } },
             { deadZoneSeverity: { $in: ['critical', 'severe'] } }
           ]
-        }).sort({ communicationRisk: -1 })
+        }).sort({ communicationRisk: -1 }),
+
+        // Long descents with severe brake fade are critical whatever their score
+        SteepGradient.find({
+          routeId,
+          $or: [
+            { riskScore: { $gte: parseFloat(criticalThreshold) } },
+            { brakeFadeRisk: 'severe' }
+          ]
+        }).sort({ riskScore: -1 })
       ]);
 
       const criticalPoints = [];
@@ -448,6 +458,50 @@ const highRiskZonesController = {
         });
       }
 
+      // Steep grades and long descents - located at the start of the stretch
+      for (const gradient of criticalGradients) {
+        const distanceFromStart = gradient.distanceFromStartKm || 0;
+        const distanceFromEnd = calculateDistanceFromEnd(distanceFromStart, route.totalDistance);
+
+        const dynamicActions = await generateCriticalGradientActions(gradient, route);
+
+        criticalPoints.push({
+          id: gradient._id,
+          type: gradient.hazardType === 'long_descent' ? 'Critical Long Descent' : `Critical Steep ${gradient.direction === 'descent' ? 'Descent' : 'Climb'}`,
+          location: `${gradient.latitude}, ${gradient.longitude}`,
+          distanceFromStart: distanceFromStart,
+          distanceFromEnd: distanceFromEnd,
+          distanceFromSupply: `${distanceFromStart.toFixed(1)} km`,
+          distanceFromCustomer: `${distanceFromEnd.toFixed(1)} km`,
+          riskScore: gradient.riskScore,
+          severity: 'CRITICAL',
+          urgentActions: dynamicActions.urgent,
+          recommendedActions: dynamicActions.recommended,
+          technicalDetails: {
+            hazardType: gradient.hazardType,
+            direction: gradient.direction,
+            lengthMeters: gradient.lengthMeters,
+            elevationChangeMeters: gradient.elevationChangeMeters,
+            averageGradePercent: gradient.averageGradePercent,
+            maxGradePercent: gradient.maxGradePercent,
+            descentSeverityIndex: gradient.descentSeverityIndex,
+            brakeFadeRisk: gradient.brakeFadeRisk,
+            recommendedGear: gradient.recommendedGear,
+            recommendedSpeed: gradient.recommendedSpeed,
+            endDistanceFromStart: gradient.endDistanceFromStartKm,
+            elevationSource: gradient.elevationSource,
+            confidence: gradient.confidence
+          },
+          routeImpact: calculateRouteImpact(gradient, route),
+          locationContext: {
+            percentageOfRoute: ((distanceFromStart / route.totalDistance) * 100).toFixed(1),
+            sectionOfRoute: determineRouteSection(distanceFromStart, route.totalDistance),
+            travelTimeFromStart: estimateTravelTime(distanceFromStart, route.estimatedDuration, route.totalDistance),
+            travelTimeToEnd: estimateTravelTime(distanceFromEnd, route.estimatedDuration, route.totalDistance)
+          }
+        });
+      }
+
       // Process other critical points similarly...
       // [Similar processing for critical blind spots, accidents, weather, and dead zones]
 
@@ -480,6 +534,7 @@ const highRiskZonesController = {
             criticalAccidentZones: criticalAccidents.length,
             criticalWeatherZones: criticalWeather.length,
             criticalDeadZones: criticalDeadZones.length,
+            criticalGradients: criticalGradients.length,
             averageRiskScore: criticalPoints.length > 0 ? 
               Math.round((criticalPoints.reduce((sum, point) => sum + point.riskScore, 0) / criticalPoints.length) * 10) / 10 : 0,
             maxRiskScore: criticalPoints.length > 0 ? Math.max(...criticalPoints.map(p => p.riskScore)) : 0,
@@ -1516,6 +1571,45 @@ async function generateCriticalDeadZoneActions(deadZone, route) {
   return { urgent, recommended };
 }
 
+async function generateCriticalGradientActions(gradient, route) {
+  const distanceFromStart = gradient.distanceFromStartKm || 0;
+  const travelTime = estimateTravelTime(distanceFromStart, route.estimatedDuration, route.totalDistance);
+  const lengthKm = ((gradient.lengthMeters || 0) / 1000).toFixed(1);
+  const isDescent = gradient.direction === 'descent';
+
+  const urgent = isDescent
+    ? [
+      `Engage ${gradient.recommendedGear || 'a low gear with exhaust brake'} BEFORE the crest`,
+      `Maximum ${gradient.recommendedSpeed || 30} km/h for ${lengthKm}km - do not ride the service brakes`,
+      'No coasting in neutral on the descent',
+      `⚠️ LOCATION: ${distanceFromStart.toFixed(1)}km from start (${travelTime} travel time)`
+    ]
+    : [
+      `Downshift to ${gradient.recommendedGear || 'a low gear'} before the climb`,
+      'No overtaking on the climb - hold lane and keep hazard lights ready',
+      `⚠️ LOCATION: ${distanceFromStart.toFixed(1)}km from start (${travelTime} travel time)`
+    ];
+
+  const recommended = [
+    'Pre-trip brake inspection: lining wear, air pressure and exhaust brake function',
+    'Brief driver on the gradient profile and escape/stopping points',
+    `📊 Gradient: ${Math.abs(gradient.averageGradePercent || 0)}% average, ${gradient.maxGradePercent || 0}% max over ${lengthKm}km (${Math.abs(gradient.elevationChangeMeters || 0)}m ${isDescent ? 'drop' : 'climb'})`
+  ];
+
+  if (gradient.brakeFadeRisk === 'severe' || gradient.brakeFadeRisk === 'high') {
+    urgent.push('BRAKE FADE RISK: stop to cool brakes midway if fade or burning smell is noticed');
+    recommended.push('Plan a brake-cooling halt at the bottom of the descent before continuing');
+  }
+  if (isDescent && (gradient.maxGradePercent || 0) >= 10) {
+    urgent.push('Very steep section - crawler gear, loaded tanker must not exceed 20 km/h');
+  }
+  if (distanceFromStart > route.totalDistance * 0.75) {
+    recommended.push('Late-route descent - check driver fatigue and brake condition before the crest');
+  }
+
+  return { urgent, recommended };
+}
+
 // ============================================================================
 // ENHANCED ROUTE RECOMMENDATION WITH DISTANCE ANALYSIS
 // ============================================================================
@@ -1,11 +1,13 @@
 // File: controllers/routeController.js
-// Purpose: Handle GPS route CSV upload with metadata and route management
+// Purpose: Handle GPS route upload (CSV, GPX, KML, GeoJSON) with metadata and route management
 // GPS CSV format: Each line contains "latitude,longitude" coordinates (two-column format)
 
 const fs = require('fs');
-const csv = require('csv-parser');
 const { validationResult } = require('express-validator');
 const Route = require('../models/Route');
+const { parseGPSFile } = require('../utils/gpsFileParser');
+const { cleanGPSTrack } = require('../utils/gpsTrackCleaner');
+const elevationService = require('../services/elevationService');
 
 // Simple distance calculation function
 function calculateSimpleDistance(coord1, coord2) {
@@ -125,13 +127,13 @@ exports.createRoute = async (req, res) => {
   }
 };
 
-// FIXED: Upload GPS Route CSV with proper two-column parsing
+// Upload GPS Route file - CSV, GPX, KML or GeoJSON (format detected automatically)
 exports.uploadGPSRoute = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'No GPS CSV file uploaded'
+        message: 'No GPS route file uploaded (CSV, GPX, KML or GeoJSON)'
       });
     }
 
@@ -145,7 +147,12 @@ exports.uploadGPSRoute = async (req, res) => {
       terrain,
       majorHighways,
       fromAddress,
-      toAddress
+      toAddress,
+      cleanTrack,
+      simplifyTolerance,
+      maxSpeedKmh,
+      stationaryRadius,
+      mapMatch
     } = req.body;
 
     // Validate required metadata
@@ -158,247 +165,237 @@ exports.uploadGPSRoute = async (req, res) => {
       });
     }
 
-    const gpsPoints = [];
-    const errors = [];
-    let lineNumber = 0;
-
-    // FIXED: Parse GPS CSV file with proper two-column handling
-    fs.createReadStream(req.file.path)
-      .pipe(csv({ 
-        headers: false,
-        skipEmptyLines: true,
-        trim: true
-      }))
-      .on('data', (data) => {
-        lineNumber++;
-        try {
-          // Convert data object to array and handle both single and two-column formats
-          const dataArray = Object.values(data);
-          
-          let latitude, longitude;
-          
-          if (dataArray.length >= 2) {
-            // Two-column format: latitude, longitude (most common)
-            latitude = parseFloat(dataArray[0]);
-            longitude = parseFloat(dataArray[1]);
-          } else if (dataArray.length === 1) {
-            // Single-column format: "latitude,longitude"
-            const coords = dataArray[0].trim().split(/[,\s]+/);
-            if (coords.length >= 2) {
-              latitude = parseFloat(coords[0]);
-              longitude = parseFloat(coords[1]);
-            } else {
-              throw new Error('Insufficient coordinate data');
-            }
-          } else {
-            throw new Error('No coordinate data found');
-          }
+    // Parse GPS file - each parser reports errors per source line like the CSV path
+    let parseResult;
+    try {
+      parseResult = await parseGPSFile(req.file.path, req.file.originalname);
+    } catch (streamError) {
+      console.error('GPS file read error:', streamError);
+      if (fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(500).json({
+        success: false,
+        message: 'Error reading GPS route file',
+        error: streamError.message
+      });
+    }
 
-          // Validate parsed coordinates
-          if (isNaN(latitude) || isNaN(longitude)) {
-            errors.push({
-              line: lineNumber,
-              error: 'Invalid coordinate values (not numbers)',
-              data: dataArray.join(',')
-            });
-            return;
-          }
+    // Clean up uploaded file
+    fs.unlinkSync(req.file.path);
 
-          // Validate coordinate ranges
-          if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-            errors.push({
-              line: lineNumber,
-              error: 'Coordinates out of valid range',
-              data: `${latitude},${longitude}`
-            });
-            return;
-          }
+    const { format, points: parsedPoints, errors, totalRecords } = parseResult;
+    const formatLabel = format.toUpperCase();
+    const successRate = totalRecords > 0 ? Math.round((parsedPoints.length / totalRecords) * 100) : 0;
 
-          gpsPoints.push({
-            latitude,
-            longitude,
-            pointOrder: lineNumber - 1,
-            originalLine: dataArray.join(',')
-          });
-
-        } catch (parseError) {
-          errors.push({
-            line: lineNumber,
-            error: `Parse error: ${parseError.message}`,
-            data: Object.values(data).join(',')
-          });
-        }
-      })
-      .on('end', async () => {
-        try {
-          // Clean up uploaded file
-          fs.unlinkSync(req.file.path);
-
-          if (gpsPoints.length < 2) {
-            return res.status(400).json({
-              success: false,
-              message: `Insufficient GPS points. Need at least 2 points, got ${gpsPoints.length}`,
-              errors: errors.slice(0, 10), // Show first 10 errors
-              parseInfo: {
-                totalLinesProcessed: lineNumber,
-                validPoints: gpsPoints.length,
-                errorCount: errors.length,
-                successRate: `${Math.round(((gpsPoints.length) / lineNumber) * 100)}%`
-              },
-              troubleshooting: [
-                'Ensure your CSV has latitude and longitude in separate columns',
-                'Check that coordinates are valid numbers',
-                'Verify coordinate ranges: lat (-90 to 90), lng (-180 to 180)',
-                'Remove any header rows from your CSV file'
-              ]
-            });
-          }
+    if (parsedPoints.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient GPS points. Need at least 2 points, got ${parsedPoints.length}`,
+        errors: errors.slice(0, 10), // Show first 10 errors
+        parseInfo: {
+          sourceFormat: format,
+          totalLinesProcessed: totalRecords,
+          validPoints: parsedPoints.length,
+          errorCount: errors.length,
+          successRate: `${successRate}%`
+        },
+        troubleshooting: getUploadTroubleshooting(format)
+      });
+    }
 
-          console.log(`✅ Parsed ${gpsPoints.length} GPS points from CSV (${errors.length} errors)`);
-
-          // Extract start and end coordinates
-          const startPoint = gpsPoints[0];
-          const endPoint = gpsPoints[gpsPoints.length - 1];
-
-          const fromCoordinates = {
-            latitude: startPoint.latitude,
-            longitude: startPoint.longitude
-          };
-
-          const toCoordinates = {
-            latitude: endPoint.latitude,
-            longitude: endPoint.longitude
-          };
-
-          // Calculate total route distance from GPS tracking
-          const totalDistance = calculateTotalRouteDistance(gpsPoints);
-          const estimatedDuration = Math.round(totalDistance * 1.5); // Estimate based on distance
-
-          // Prepare route points with distances
-          let cumulativeDistance = 0;
-          const routePoints = gpsPoints.map((point, index) => {
-            if (index > 0) {
-              cumulativeDistance += calculateSimpleDistance(gpsPoints[index - 1], point);
-            }
-
-            return {
-              latitude: point.latitude,
-              longitude: point.longitude,
-              pointOrder: index,
-              distanceFromStart: Math.round(cumulativeDistance * 100) / 100,
-              distanceToEnd: Math.round((totalDistance - cumulativeDistance) * 100) / 100,
-              elevation: null // Would be calculated with elevation API
-            };
-          });
-
-          // Create route in database
-          const route = new Route({
-            userId: req.user.id,
-            routeName: routeName || `${fromName} to ${toName}`,
-            fromAddress: fromAddress || fromName,
-            fromCode: fromCode.trim(),
-            fromName: fromName.trim(),
-            fromCoordinates,
-            toAddress: toAddress || toName,
-            toCode: toCode.trim(),
-            toName: toName.trim(),
-            toCoordinates,
-            totalDistance,
-            estimatedDuration,
-            routePoints,
-            terrain: terrain || 'mixed',
-            majorHighways: majorHighways ? majorHighways.split(',').map(h => h.trim()) : [],
-            metadata: {
-              uploadSource: 'gps_csv',
-              originalFileName: req.file.originalname,
-              processingNotes: [
-                `GPS route imported with ${gpsPoints.length} tracking points`,
-                `Total distance calculated: ${totalDistance}km`,
-                `Start: ${startPoint.latitude}, ${startPoint.longitude}`,
-                `End: ${endPoint.latitude}, ${endPoint.longitude}`,
-                `Parse errors: ${errors.length}`,
-                `Parsing accuracy: ${Math.round(((gpsPoints.length) / lineNumber) * 100)}%`
-              ],
-              gpsTrackingPoints: gpsPoints.length,
-              trackingAccuracy: errors.length === 0 ? 'perfect' : 
-                               errors.length < gpsPoints.length * 0.1 ? 'excellent' :
-                               errors.length < gpsPoints.length * 0.2 ? 'good' : 'fair'
-            }
-          });
-
-          // Generate live map link with all GPS points
-          route.generateLiveMapLink();
-
-          await route.save();
-
-          console.log(`✅ GPS Route created: ${route.routeId} with ${gpsPoints.length} points`);
-
-          res.status(201).json({
-            success: true,
-            message: `GPS route created successfully with ${gpsPoints.length} tracking points`,
-            data: {
-              route: {
-                id: route._id,
-                routeId: route.routeId,
-                routeName: route.routeName,
-                fromCode: route.fromCode,
-                fromName: route.fromName,
-                toCode: route.toCode,
-                toName: route.toName,
-                totalDistance: route.totalDistance,
-                estimatedDuration: route.estimatedDuration,
-                liveMapLink: route.liveMapLink,
-                coordinates: {
-                  start: fromCoordinates,
-                  end: toCoordinates
-                },
-                gpsTracking: {
-                  totalPoints: gpsPoints.length,
-                  startPoint: `${startPoint.latitude}, ${startPoint.longitude}`,
-                  endPoint: `${endPoint.latitude}, ${endPoint.longitude}`,
-                  parseErrors: errors.length,
-                  accuracy: route.metadata.trackingAccuracy
-                }
-              },
-              processing: {
-                totalLinesProcessed: lineNumber,
-                validGPSPoints: gpsPoints.length,
-                parseErrors: errors.length,
-                successRate: `${Math.round(((gpsPoints.length) / lineNumber) * 100)}%`,
-                trackingAccuracy: route.metadata.trackingAccuracy
-              },
-              errors: errors.length > 0 ? errors.slice(0, 5) : [], // Show first 5 errors if any
-              nextSteps: [
-                'GPS route has been created with detailed tracking points',
-                'You can view the route on Google Maps using the live link',
-                'Use /api/routes/:id/collect-all-data to gather comprehensive route data',
-                'Individual GPS points are stored for detailed analysis',
-                'Route is ready for risk assessment and analysis'
-              ]
-            }
-          });
-
-        } catch (processingError) {
-          console.error('GPS CSV processing error:', processingError);
-          res.status(500).json({
-            success: false,
-            message: 'Error processing GPS CSV file',
-            error: processingError.message
-          });
-        }
-      })
-      .on('error', (streamError) => {
-        console.error('GPS CSV stream error:', streamError);
-        // Clean up file
-        if (fs.existsSync(req.file.path)) {
-          fs.unlinkSync(req.file.path);
-        }
-        res.status(500).json({
-          success: false,
-          message: 'Error reading GPS CSV file',
-          error: streamError.message
+    console.log(`✅ Parsed ${parsedPoints.length} GPS points from ${formatLabel} (${errors.length} errors)`);
+
+    // Clean the raw track - duplicates, jitter spikes, parking loops and redundant points
+    const { points: gpsPoints, report: cleaningReport } = cleanGPSTrack(parsedPoints, {
+      enabled: cleanTrack,
+      simplifyToleranceMeters: simplifyTolerance,
+      maxSpeedKmh,
+      stationaryRadiusMeters: stationaryRadius
+    });
+
+    if (cleaningReport.enabled) {
+      console.log(`🧹 Track cleaned: ${cleaningReport.inputPoints} → ${cleaningReport.outputPoints} points, ${cleaningReport.distanceBeforeKm}km → ${cleaningReport.distanceAfterKm}km`);
+    }
+
+    // Extract start and end coordinates
+    const startPoint = gpsPoints[0];
+    const endPoint = gpsPoints[gpsPoints.length - 1];
+
+    const fromCoordinates = {
+      latitude: startPoint.latitude,
+      longitude: startPoint.longitude
+    };
+
+    const toCoordinates = {
+      latitude: endPoint.latitude,
+      longitude: endPoint.longitude
+    };
+
+    // Fill elevation missing from the file - local SRTM/GeoTIFF tiles, Google only as fallback
+    const elevationSources = { file: gpsPoints.filter(p => p.elevation !== null).length };
+    const pointsMissingElevation = gpsPoints.filter(p => p.elevation === null);
+
+    if (pointsMissingElevation.length > 0) {
+      try {
+        const elevations = await elevationService.getElevations(pointsMissingElevation);
+        elevations.forEach((result, i) => {
+          pointsMissingElevation[i].elevation = result.elevation;
         });
-      });
+        Object.assign(elevationSources, elevationService.summarizeSources(elevations));
+      } catch (elevationError) {
+        console.warn('⚠️ Elevation lookup failed, continuing without elevation:', elevationError.message);
+        elevationSources.missing = pointsMissingElevation.length;
+      }
+    }
+
+    // Calculate total route distance from GPS tracking
+    const totalDistance = calculateTotalRouteDistance(gpsPoints);
+    const estimatedDuration = Math.round(totalDistance * 1.5); // Estimate based on distance
+
+    // Prepare route points with distances, keeping elevation/timestamps from the file
+    let cumulativeDistance = 0;
+    const routePoints = gpsPoints.map((point, index) => {
+      if (index > 0) {
+        cumulativeDistance += calculateSimpleDistance(gpsPoints[index - 1], point);
+      }
+
+      return {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        pointOrder: index,
+        distanceFromStart: Math.round(cumulativeDistance * 100) / 100,
+        distanceToEnd: Math.round((totalDistance - cumulativeDistance) * 100) / 100,
+        elevation: point.elevation,
+        timestamp: point.timestamp || undefined
+      };
+    });
+
+    const pointsWithElevation = gpsPoints.filter(p => p.elevation !== null).length;
+    const pointsWithTimestamp = gpsPoints.filter(p => p.timestamp).length;
+
+    // Create route in database
+    const route = new Route({
+      userId: req.user.id,
+      routeName: routeName || `${fromName} to ${toName}`,
+      fromAddress: fromAddress || fromName,
+      fromCode: fromCode.trim(),
+      fromName: fromName.trim(),
+      fromCoordinates,
+      toAddress: toAddress || toName,
+      toCode: toCode.trim(),
+      toName: toName.trim(),
+      toCoordinates,
+      totalDistance,
+      estimatedDuration,
+      routePoints,
+      terrain: terrain || 'mixed',
+      majorHighways: majorHighways ? majorHighways.split(',').map(h => h.trim()) : [],
+      metadata: {
+        uploadSource: `gps_${format}`,
+        originalFileName: req.file.originalname,
+        processingNotes: [
+          `GPS route imported from ${formatLabel} with ${parsedPoints.length} tracking points`,
+          cleaningReport.enabled
+            ? `Track cleaning removed ${cleaningReport.removedTotal} points (${cleaningReport.stages.map(stage => `${stage.stage}: ${stage.removed}`).join(', ')}), ${gpsPoints.length} points kept`
+            : 'Track cleaning disabled for this upload',
+          `Total distance calculated: ${totalDistance}km`,
+          `Start: ${startPoint.latitude}, ${startPoint.longitude}`,
+          `End: ${endPoint.latitude}, ${endPoint.longitude}`,
+          `Points with elevation: ${pointsWithElevation} (${Object.entries(elevationSources).map(([source, count]) => `${source}: ${count}`).join(', ')}), with timestamps: ${pointsWithTimestamp}`,
+          `Parse errors: ${errors.length}`,
+          `Parsing accuracy: ${successRate}%`
+        ],
+        gpsTrackingPoints: gpsPoints.length,
+        trackingAccuracy: errors.length === 0 ? 'perfect' :
+                         errors.length < parsedPoints.length * 0.1 ? 'excellent' :
+                         errors.length < parsedPoints.length * 0.2 ? 'good' : 'fair'
+      }
+    });
+
+    // Snap points to the imported OSM road network where it covers the route
+    let mapMatching = null;
+    if (mapMatch !== 'false' && mapMatch !== false) {
+      try {
+        const mapMatchingService = require('../services/mapMatchingService');
+        mapMatching = await mapMatchingService.matchRoute(route);
+        if (mapMatching.status === 'matched' || mapMatching.status === 'partial') {
+          route.metadata.processingNotes.push(
+            `Map matched ${mapMatching.matchedPoints}/${mapMatching.totalPoints} points to OSM roads (mean offset ${mapMatching.meanSnapDistanceMeters}m, ${mapMatching.matchedDistanceKm}km on road)`
+          );
+        }
+      } catch (matchError) {
+        console.warn('⚠️ Map matching failed, keeping raw GPS points:', matchError.message);
+        mapMatching = { status: 'failed', reason: matchError.message };
+      }
+    }
+
+    // Generate live map link with all GPS points
+    route.generateLiveMapLink();
+
+    await route.save();
+
+    console.log(`✅ GPS Route created: ${route.routeId} with ${gpsPoints.length} points (${formatLabel})`);
+
+    res.status(201).json({
+      success: true,
+      message: `GPS route created successfully with ${gpsPoints.length} tracking points`,
+      data: {
+        route: {
+          id: route._id,
+          routeId: route.routeId,
+          routeName: route.routeName,
+          fromCode: route.fromCode,
+          fromName: route.fromName,
+          toCode: route.toCode,
+          toName: route.toName,
+          totalDistance: route.totalDistance,
+          estimatedDuration: route.estimatedDuration,
+          liveMapLink: route.liveMapLink,
+          coordinates: {
+            start: fromCoordinates,
+            end: toCoordinates
+          },
+          gpsTracking: {
+            totalPoints: gpsPoints.length,
+            startPoint: `${startPoint.latitude}, ${startPoint.longitude}`,
+            endPoint: `${endPoint.latitude}, ${endPoint.longitude}`,
+            parseErrors: errors.length,
+            accuracy: route.metadata.trackingAccuracy
+          }
+        },
+        processing: {
+          sourceFormat: format,
+          totalLinesProcessed: totalRecords,
+          validGPSPoints: parsedPoints.length,
+          pointsWithElevation,
+          elevationSources,
+          pointsWithTimestamp,
+          parseErrors: errors.length,
+          successRate: `${successRate}%`,
+          trackingAccuracy: route.metadata.trackingAccuracy
+        },
+        cleaning: {
+          enabled: cleaningReport.enabled,
+          rawPoints: cleaningReport.inputPoints,
+          cleanedPoints: cleaningReport.outputPoints,
+          removedTotal: cleaningReport.removedTotal,
+          distanceBeforeKm: cleaningReport.distanceBeforeKm,
+          distanceAfterKm: cleaningReport.distanceAfterKm,
+          settings: cleaningReport.options,
+          removed: cleaningReport.stages
+        },
+        mapMatching,
+        errors: errors.length > 0 ? errors.slice(0, 5) : [], // Show first 5 errors if any
+        nextSteps: [
+          'GPS route has been created with detailed tracking points',
+          'You can view the route on Google Maps using the live link',
+          'Use /api/routes/:id/collect-all-data to gather comprehensive route data',
+          'Individual GPS points are stored for detailed analysis',
+          'Route is ready for risk assessment and analysis'
+        ]
+      }
+    });
 
   } catch (error) {
     console.error('GPS route upload error:', error);
@@ -414,6 +411,41 @@ exports.uploadGPSRoute = async (req, res) => {
   }
 };
 
+// Format-specific hints returned when an upload yields too few points
+function getUploadTroubleshooting(format) {
+  const common = [
+    'Check that coordinates are valid numbers',
+    'Verify coordinate ranges: lat (-90 to 90), lng (-180 to 180)'
+  ];
+
+  switch (format) {
+    case 'gpx':
+      return [
+        'Ensure the GPX file contains <trkpt>, <rtept> or <wpt> elements',
+        'Each point needs lat and lon attributes',
+        ...common
+      ];
+    case 'kml':
+      return [
+        'Ensure the KML file contains a LineString <coordinates> block or a gx:Track',
+        'KML coordinates are ordered longitude,latitude[,altitude]',
+        ...common
+      ];
+    case 'geojson':
+      return [
+        'Ensure the GeoJSON contains a LineString, MultiLineString or Point features',
+        'GeoJSON positions are ordered [longitude, latitude, elevation?]',
+        ...common
+      ];
+    default:
+      return [
+        'Ensure your CSV has latitude and longitude in separate columns',
+        ...common,
+        'Remove any header rows from your CSV file'
+      ];
+  }
+}
+
 // Legacy CSV upload (for backward compatibility)
 exports.uploadCSV = async (req, res) => {
   // Keep the existing CSV upload functionality for routes with metadata
@@ -511,6 +543,23 @@ exports.getRoute = async (req, res) => {
   }
 };
 
+// Dotted $set paths for the trip detail groups so a partial update such as
+// { vehicle: { ais140Installed: true } } keeps the other stored vehicle fields.
+// Sending null for a group clears it.
+function tripDetailUpdates(details) {
+  const updates = {};
+  Object.entries(details).forEach(([group, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        updates[`${group}.${field}`] = fieldValue;
+      });
+    } else if (value !== undefined) {
+      updates[group] = value;
+    }
+  });
+  return updates;
+}
+
 // Update Route
 exports.updateRoute = async (req, res) => {
   try {
@@ -523,7 +572,7 @@ exports.updateRoute = async (req, res) => {
       });
     }
 
-    const { routeName, terrain, majorHighways } = req.body;
+    const { routeName, terrain, majorHighways, vehicle, cargo, driver, plannedDepartureTime } = req.body;
 
     const route = await Route.findOneAndUpdate(
       {
@@ -534,7 +583,10 @@ exports.updateRoute = async (req, res) => {
       {
         routeName,
         terrain,
-        majorHighways
+        majorHighways,
+        // Trip details used by the compliance rules
+        ...tripDetailUpdates({ vehicle, cargo, driver }),
+        plannedDepartureTime
       },
       { new: true, runValidators: true }
     );
@@ -566,17 +618,11 @@ exports.updateRoute = async (req, res) => {
 // Delete Route (Soft Delete)
 exports.deleteRoute = async (req, res) => {
   try {
-    const route = await Route.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        userId: req.user.id,
-        status: { $ne: 'deleted' }
-      },
-      {
-        status: 'deleted'
-      },
-      { new: true }
-    );
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    }).select('_id routeId');
 
     if (!route) {
       return res.status(404).json({
@@ -585,11 +631,16 @@ exports.deleteRoute = async (req, res) => {
       });
     }
 
+    // Soft-delete the route together with its dependent data and share links
+    const bulkOperationService = require('../services/bulkOperationService');
+    const deletedRecords = await bulkOperationService.cascadeSoftDelete(route._id, req.user.id);
+
     console.log(`Route deleted: ${route.routeId} by user: ${req.user.email}`);
 
     res.status(200).json({
       success: true,
-      message: 'Route deleted successfully'
+      message: 'Route deleted successfully',
+      data: { deletedRecords }
     });
 
   } catch (error) {
@@ -619,7 +670,7 @@ exports.recalculateRisk = async (req, res) => {
 
     // REAL RISK RECALCULATION - Replace mock implementation
     const riskCalculationService = require('../services/riskCalculationService');
-    const realRiskResult = await riskCalculationService.calculateRouteRisk(req.params.id);
+    const realRiskResult = await riskCalculationService.calculateRouteRisk(req.params.id, { trigger: 'manual', triggeredBy: req.user.id });
     
     // Update route with real calculated risk
     await Route.findByIdAndUpdate(req.params.id, {
@@ -1,6 +1,7 @@
 // File: controllers/terrainTrafficController.js
 const Route = require('../models/Route');
 const TrafficData = require('../models/TrafficData');
+const terrainAnalysisService = require('../services/terrainAnalysisService');
 
 const terrainTrafficController = {
   
@@ -17,47 +18,78 @@ const terrainTrafficController = {
         });
       }
 
-      // Calculate elevation data from route points or provide defaults
-      const elevationData = this.calculateElevationData(route.routePoints);
+      const analysis = terrainAnalysisService.analyzeRoute(route);
+      if (!analysis.available) {
+        return res.json({
+          success: true,
+          data: {
+            available: false,
+            reason: analysis.reason,
+            terrainAnalysis: {
+              dataSource: 'Not available - no elevation data for this route',
+              terrainClassification: 'Unknown - elevation data unavailable',
+              curvature: `${analysis.curvatureDegPerKm}°/km average heading change`
+            },
+            elevationCoverage: analysis.elevationCoverage
+          },
+          message: 'Terrain analysis unavailable for this route'
+        });
+      }
+
+      const { statistics, classification } = analysis;
+      const hasGradients = analysis.gradientHazards.length > 0;
+      const describeDistribution = Object.entries(classification.distribution)
+        .filter(([, share]) => share.km > 0)
+        .map(([key, share]) => `${key} ${share.percent}%`)
+        .join(', ');
 
       const terrainAnalysis = {
-        dataSource: "SRTM (Shuttle Radar Topography Mission) DEM (Digital Elevation Model) data (30m resolution), Topographic maps",
-        analysisPoints: elevationData.analysisPoints,
-        minimumElevation: `${elevationData.minElevation} m above sea level`,
-        maximumElevation: `${elevationData.maxElevation} m above sea level`,
-        averageElevation: `${elevationData.avgElevation} m above sea level`,
-        elevationRange: `${elevationData.range} m (very minimal variation)`,
-        terrainClassification: "Flat Plains Terrain - Alluvial Soil (Indo-Gangetic Plain)",
-        drivingDifficulty: "Very Easy - No sharp slopes or rugged surfaces",
-        fuelConsumptionImpact: "Minimal - No gradient resistance; consistent throttle level",
-        significantChanges: "None - No sudden elevation gain/loss >5 m/km observed"
+        dataSource: analysis.elevationSource === 'dem'
+          ? 'SRTM / GeoTIFF DEM (Digital Elevation Model) tiles, resampled along the route'
+          : 'Elevations recorded on the route points',
+        analysisPoints: analysis.analysisPoints,
+        minimumElevation: `${statistics.minElevation} m above sea level`,
+        maximumElevation: `${statistics.maxElevation} m above sea level`,
+        averageElevation: `${statistics.averageElevation} m above sea level`,
+        elevationRange: `${statistics.elevationRange} m`,
+        terrainClassification: classification.label,
+        drivingDifficulty: classification.drivingDifficulty,
+        fuelConsumptionImpact: describeFuelImpact(statistics),
+        significantChanges: hasGradients
+          ? `${analysis.gradientHazards.length} steep grade / long descent stretch(es), steepest ${statistics.maxGradePercent}% ${statistics.maxGradeDirection} at km ${statistics.maxGradeLocationKm}`
+          : `None - steepest grade ${statistics.maxGradePercent}%`
       };
 
       const terrainCharacteristics = {
-        elevationChange: "<20 m across the entire route",
-        groundType: "Stable alluvial soil - typical of Indo-Gangetic plains", 
-        routeComplexity: "Straightforward - no hills, valleys, or obstacles",
-        terrainClassification: "Plains Terrain - Easy - ideal for transportation and infrastructure projects",
-        engineeringRequirement: "Minimal grading or earthwork needed"
+        elevationChange: `${statistics.totalAscentMeters} m cumulative ascent, ${statistics.totalDescentMeters} m cumulative descent over ${statistics.totalDistanceKm} km`,
+        terrainDistribution: describeDistribution,
+        routeComplexity: `${statistics.curvatureDegPerKm}°/km average heading change, ${analysis.crests.length} crest(s), ${analysis.dips.length} dip(s)`,
+        terrainClassification: `${classification.label} - ${classification.drivingDifficulty}`,
+        maximumGrade: `${statistics.maxGradePercent}%`
       };
 
-      const drivingChallenges = {
-        gradient: "Very gentle throughout (<1.5% max slope); minimal driving resistance",
-        ascentsDescents: "None detected - flat terrain typical of alluvial plains",
-        drainageCrossings: "Minor culverts/canal crossings may cause bumpy segments, especially during monsoon",
-        dustyRoads: "In the village outskirts, soft ground post-rain may affect traction slightly",
-        visibilityImpact: "Zero elevation-related blind spots",
-        overtakingRisk: "Encouraged due to flatness, but caution is advised on narrow rural roads during traffic"
-      };
+      const drivingChallenges = analysis.drivingChallenges.length > 0
+        ? analysis.drivingChallenges
+        : [{
+          type: 'none',
+          severity: 'low',
+          description: `No terrain-related challenges - steepest grade ${statistics.maxGradePercent}% with no sustained descents`,
+          locationsKm: []
+        }];
 
       res.json({
         success: true,
         data: {
+          available: true,
           terrainAnalysis: terrainAnalysis,
-          terrainCharacteristics: terrainCharacteristics, 
+          terrainCharacteristics: terrainCharacteristics,
+          elevationStatistics: statistics,
+          classification: classification,
+          segments: analysis.segments,
+          gradientHazards: analysis.gradientHazards,
           drivingChallenges: drivingChallenges,
-          vehiclePreparation: this.getVehiclePreparation(),
-          fuelConsumptionImpact: this.getFuelConsumptionAnalysis()
+          vehiclePreparation: terrainTrafficController.getVehiclePreparation(analysis),
+          fuelConsumptionImpact: terrainTrafficController.getFuelConsumptionAnalysis(analysis)
         },
         message: 'Terrain analysis completed successfully'
       });
@@ -80,14 +112,14 @@ const terrainTrafficController = {
       const trafficData = await TrafficData.find({ routeId });
       
       const analysis = trafficData.length > 0 ? 
-        this.analyzeActualTrafficData(trafficData) : 
-        this.getDefaultTrafficAnalysis();
+        terrainTrafficController.analyzeActualTrafficData(trafficData) : 
+        terrainTrafficController.getDefaultTrafficAnalysis();
 
       res.json({
         success: true,
         data: {
           trafficAnalysis: analysis,
-          recommendations: this.getTrafficRecommendations(analysis)
+          recommendations: terrainTrafficController.getTrafficRecommendations(analysis)
         },
         message: 'Traffic analysis completed successfully'
       });
@@ -102,42 +134,6 @@ const terrainTrafficController = {
     }
   },
 
-  calculateElevationData: (routePoints) => {
-    if (!routePoints || routePoints.length === 0) {
-      return {
-        analysisPoints: 100,
-        minElevation: 214,
-        maxElevation: 236, 
-        avgElevation: 225,
-        range: 22
-      };
-    }
-
-    const elevations = routePoints.map(point => point.elevation || 225).filter(e => e > 0);
-    
-    if (elevations.length === 0) {
-      return {
-        analysisPoints: routePoints.length,
-        minElevation: 214,
-        maxElevation: 236,
-        avgElevation: 225, 
-        range: 22
-      };
-    }
-
-    const minElevation = Math.min(...elevations);
-    const maxElevation = Math.max(...elevations);
-    const avgElevation = Math.round(elevations.reduce((sum, e) => sum + e, 0) / elevations.length);
-
-    return {
-      analysisPoints: elevations.length,
-      minElevation: minElevation,
-      maxElevation: maxElevation,
-      avgElevation: avgElevation,
-      range: maxElevation - minElevation
-    };
-  },
-
   analyzeActualTrafficData: (trafficData) => {
     const routeSegments = trafficData.length;
     const avgSpeedData = trafficData.filter(data => data.averageSpeedKmph > 0);
@@ -180,24 +176,46 @@ const terrainTrafficController = {
     };
   },
 
-  getVehiclePreparation: () => {
+  getVehiclePreparation: (analysis) => {
+    const { statistics, classification, gradientHazards } = analysis;
+    const descents = gradientHazards.filter(hazard => hazard.direction === 'descent');
+    const climbs = gradientHazards.filter(hazard => hazard.direction === 'ascent');
+    const demanding = ['hilly', 'ghat'].includes(classification.mostDemanding);
+
     return {
-      brakingSystem: "Standard brake health check is sufficient - no steep descents",
-      transmission: "No need for gear downshifting - standard torque handling is adequate",
-      coolantSystem: "Normal levels sufficient - no elevation-induced overheating risk",
-      suspensionCheck: "Recommended if crossing unpaved or bumpy canal sections",
-      tirePressure: "Maintain OEM-recommended PSI - no elevation-related adjustments needed",
-      loadManagement: "Full commercial load allowed - no climb-induced torque concerns"
+      brakingSystem: descents.length > 0
+        ? `Full brake inspection before dispatch - ${descents.length} sustained descent(s); check exhaust brake / retarder`
+        : 'Standard brake health check is sufficient - no sustained descents',
+      transmission: demanding || climbs.length > 0
+        ? `Check clutch and low-gear engagement - grades up to ${statistics.maxGradePercent}% need early downshifting`
+        : 'Standard gearbox check - no grade-related downshifting expected',
+      coolantSystem: statistics.totalAscentMeters >= 500
+        ? `Top up coolant and check radiator - ${statistics.totalAscentMeters} m of climbing under load`
+        : 'Normal levels sufficient - limited climbing',
+      suspensionCheck: classification.distribution.ghat.km > 0
+        ? 'Check suspension and steering play - ghat hairpins load the chassis laterally'
+        : 'Standard suspension check',
+      tirePressure: 'Maintain OEM-recommended PSI; inspect tread depth for braking grip',
+      loadManagement: descents.length > 0 || demanding
+        ? 'Do not exceed rated payload - gradients amplify surge and rollover risk on a tanker'
+        : 'Full rated load allowed - no climb-induced torque concerns'
     };
   },
 
-  getFuelConsumptionAnalysis: () => {
+  getFuelConsumptionAnalysis: (analysis) => {
+    const { statistics, classification } = analysis;
+    const flatShare = classification.distribution.plain.percent;
+
     return {
-      flatTerrain: "Promotes consistent throttle control, reduces braking/acceleration frequency",
-      elevationVariation: "Negligible - within 22 m band; no fuel impact from climbs", 
-      trafficStops: "Minor impact at junctions; more related to congestion than terrain",
-      routeType: "Industrial roads + rural highways - mostly 2nd to 4th gear driving",
-      estimatedConsumption: "Diesel trucks: ~11-15 km/l"
+      terrainShare: `${flatShare}% plain terrain - consistent throttle on these stretches`,
+      elevationVariation: describeFuelImpact(statistics),
+      cumulativeClimb: `${statistics.totalAscentMeters} m total ascent, ${statistics.totalDescentMeters} m total descent`,
+      trafficStops: 'Junction and congestion stops add consumption independently of terrain',
+      estimatedConsumption: statistics.totalAscentMeters >= 1000
+        ? 'Diesel trucks: ~8-11 km/l (sustained climbing)'
+        : statistics.totalAscentMeters >= 300
+          ? 'Diesel trucks: ~10-13 km/l'
+          : 'Diesel trucks: ~11-15 km/l'
     };
   },
 
@@ -219,4 +237,16 @@ const terrainTrafficController = {
 
     return recommendations;
   }
-};
\ No newline at end of file
+};
+
+// Fuel impact of the climbing per 100 km of route
+function describeFuelImpact(statistics) {
+  const climbPer100Km = statistics.totalDistanceKm > 0
+    ? Math.round(statistics.totalAscentMeters / statistics.totalDistanceKm * 100)
+    : 0;
+  if (climbPer100Km >= 1000) return `High - ${climbPer100Km} m of climbing per 100 km; expect noticeably higher consumption`;
+  if (climbPer100Km >= 300) return `Moderate - ${climbPer100Km} m of climbing per 100 km`;
+  return `Minimal - ${climbPer100Km} m of climbing per 100 km`;
+}
+
+module.exports = terrainTrafficController;
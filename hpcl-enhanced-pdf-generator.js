@@ -7,28 +7,206 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { BRIEFING_LANGUAGES, translate } = require('./utils/driverBriefingStrings');
+const ReportTemplate = require('./models/ReportTemplate');
+
+// Report chapters for the complete report. Every section is rendered from the same
+// controller handler that serves GET /api/routes/:routeId/<endpoint>, or for image
+// sections from the renderer behind that endpoint.
+const REPORT_CHAPTERS = [
+    {
+        key: 'overview',
+        title: 'Route Overview',
+        sections: [
+            { title: 'Basic Route Information', endpoint: 'basic-info', controller: 'routeBasicInfoController', handler: 'getBasicInfo' },
+            { title: 'Safety Measures', endpoint: 'safety-measures', controller: 'routeBasicInfoController', handler: 'getSafetyMeasures' }
+        ]
+    },
+    {
+        key: 'route-map',
+        title: 'Route & Hazard Map',
+        sections: [
+            { title: 'Route Map', endpoint: 'map-image', image: 'routeMap' }
+        ]
+    },
+    {
+        key: 'risk-factors',
+        title: 'Risk Factor Analysis',
+        sections: [
+            { title: 'Risk Factor Scores Chart', endpoint: 'charts/risk-factors', image: 'riskFactors' },
+            { title: 'Risk Along the Route', endpoint: 'charts/risk-strip', image: 'riskStrip' },
+            { title: 'Risk Factors', endpoint: 'risk-factors', controller: 'riskFactorsController', handler: 'getRiskFactors' }
+        ]
+    },
+    {
+        key: 'high-risk-zones',
+        title: 'High-Risk Zones & Critical Points',
+        sections: [
+            { title: 'High-Risk Zones', endpoint: 'high-risk-zones', controller: 'highRiskZonesController', handler: 'getHighRiskZones' },
+            { title: 'Critical Points', endpoint: 'critical-points', controller: 'highRiskZonesController', handler: 'getCriticalPoints' }
+        ]
+    },
+    {
+        key: 'seasonal-conditions',
+        title: 'Seasonal & Weather Conditions',
+        sections: [
+            { title: 'Seasonal Weather Risk Chart', endpoint: 'charts/seasonal-weather', image: 'seasonalWeather' },
+            { title: 'Seasonal Conditions', endpoint: 'seasonal-conditions', controller: 'seasonalConditionsController', handler: 'getSeasonalConditions' },
+            { title: 'Weather Analysis', endpoint: 'weather-analysis', controller: 'seasonalConditionsController', handler: 'getWeatherAnalysis' }
+        ]
+    },
+    {
+        key: 'emergency-services',
+        title: 'Emergency Services',
+        sections: [
+            { title: 'Emergency Services Overview', endpoint: 'emergency-services', controller: 'emergencyServicesController', handler: 'getEmergencyServices' },
+            { title: 'Medical Facilities', endpoint: 'medical-facilities', controller: 'emergencyServicesController', handler: 'getMedicalFacilities' },
+            { title: 'Police Stations', endpoint: 'police-stations', controller: 'emergencyServicesController', handler: 'getPoliceStations' },
+            { title: 'Fire Stations', endpoint: 'fire-stations', controller: 'emergencyServicesController', handler: 'getFireStations' },
+            { title: 'Emergency Contacts', endpoint: 'emergency-contacts', controller: 'emergencyServicesController', handler: 'getEmergencyContacts' }
+        ]
+    },
+    {
+        key: 'amenities',
+        title: 'Roadside Amenities',
+        sections: [
+            { title: 'Fuel Stations', endpoint: 'fuel-stations', controller: 'emergencyServicesController', handler: 'getFuelStations' },
+            { title: 'Food & Rest Stops', endpoint: 'food-rest-stops', controller: 'emergencyServicesController', handler: 'getFoodRestStops' },
+            { title: 'Educational Institutions', endpoint: 'educational-institutions', controller: 'emergencyServicesController', handler: 'getEducationalInstitutions' }
+        ]
+    },
+    {
+        key: 'communication-coverage',
+        title: 'Communication Coverage',
+        sections: [
+            { title: 'Network Coverage', endpoint: 'communication-coverage', controller: 'communicationCoverageController', handler: 'getCommunicationCoverage' }
+        ]
+    },
+    {
+        key: 'terrain',
+        title: 'Terrain Analysis',
+        sections: [
+            { title: 'Elevation Profile', endpoint: 'charts/elevation-profile', image: 'elevationProfile' },
+            { title: 'Terrain & Gradients', endpoint: 'terrain-analysis', controller: 'terrainTrafficController', handler: 'getTerrainAnalysis' }
+        ]
+    },
+    {
+        key: 'traffic',
+        title: 'Traffic Analysis',
+        sections: [
+            { title: 'Traffic Conditions', endpoint: 'traffic-analysis', controller: 'terrainTrafficController', handler: 'getTrafficAnalysis' }
+        ]
+    },
+    {
+        key: 'compliance',
+        title: 'Regulatory Compliance',
+        sections: [
+            { title: 'Compliance Requirements', endpoint: 'compliance-requirements', controller: 'complianceController', handler: 'getComplianceRequirements' }
+        ]
+    }
+];
+
+// Image sections are drawn by a renderer service instead of a controller.
+// Maps come back as PNG buffers, charts as vector scenes drawn straight into the PDF.
+const chartRenderer = chartType => routeId =>
+    require('./services/chartRenderService').renderRouteChart(routeId, chartType);
+
+const REPORT_IMAGE_RENDERERS = {
+    routeMap: routeId => require('./services/routeMapRenderService').renderRouteMap(routeId, { width: 1000, height: 800 }),
+    elevationProfile: chartRenderer('elevation-profile'),
+    riskStrip: chartRenderer('risk-strip'),
+    riskFactors: chartRenderer('risk-factors'),
+    seasonalWeather: chartRenderer('seasonal-weather')
+};
+
+// Chapter page layout (the title page keeps its own full-bleed layout)
+const REPORT_LAYOUT = {
+    margins: { top: 80, bottom: 60, left: 50, right: 50 },
+    headerHeight: 55,
+    footerOffset: 45,
+    maxTableRows: 40,
+    maxTableColumns: 5,
+    maxNestingDepth: 3,
+    maxCellLength: 300
+};
+
+// Response fields that are plumbing rather than report content
+const HIDDEN_REPORT_FIELDS = /^(_id|__v|id|success|stack)$|(Link|Url)$/;
+
+// Driver briefing card: pocket-sized and capped so it stays within two pages
+const BRIEFING_LAYOUT = {
+    size: 'A5',
+    margins: { top: 36, bottom: 44, left: 28, right: 28 },
+    headerHeight: 64,
+    footerOffset: 30,
+    maxPages: 2,
+    minRiskScore: 6,
+    maxCriticalPoints: 24,
+    maxDeadZones: 6,
+    maxRestStops: 6,
+    deadZoneMergeKm: 2
+};
+
+// Fonts embedded for briefing languages that Helvetica cannot draw. Noto Sans (SIL OFL 1.1)
+// ships in assets/fonts; PDF_FONTS_PATH points at another folder with the same file names.
+// Any Unicode TrueType/OpenType font with shaping tables will do.
+const BRIEFING_FONTS = {
+    devanagari: {
+        regular: 'NotoSansDevanagari-Regular.ttf',
+        bold: 'NotoSansDevanagari-Bold.ttf',
+        range: /[\u0900-\u097F\u1CD0-\u1CFF\uA8E0-\uA8FF]/
+    },
+    tamil: {
+        regular: 'NotoSansTamil-Regular.ttf',
+        bold: 'NotoSansTamil-Bold.ttf',
+        range: /[\u0B80-\u0BFF]/
+    }
+};
+
+// Characters either font can draw; they stay in whichever run they fall in
+const BRIEFING_NEUTRAL_CHARS = /[\s\d.,:;()\/+\-]/;
 
 class HPCLDynamicPDFGenerator {
-    constructor() {
-        // HPCL Official Color Scheme
-        this.colors = {
-            primary: [0, 82, 147],      // HPCL Blue #005293
-            secondary: [60, 60, 60],    // Dark Gray
-            danger: [220, 53, 69],      // Red #dc3545
-            warning: [253, 126, 20],    // Orange #fd7e14
-            success: [40, 167, 69],     // Green #28a745
-            info: [0, 82, 147],         // HPCL Blue
-            lightGray: [245, 245, 245], // Light Gray #f5f5f5
-            white: [255, 255, 255],     // White
-            accent: [255, 193, 7]       // Yellow accent #ffc107
-        };
-        
-        // Check for HPCL logo
-        this.logoPath = path.join(__dirname, 'HPCL-Logo.png');
-        this.hasLogo = fs.existsSync(this.logoPath);
+    /**
+     * @param {Object} template - ReportTemplate document or plain object (built-in HPCL template when omitted)
+     */
+    constructor(template = null) {
+        this.applyReportTemplate(template || ReportTemplate.DEFAULT_TEMPLATE);
         
         console.log('✅ DYNAMIC HPCL PDF Generator initialized');
-        console.log(`🖼️ HPCL Logo: ${this.hasLogo ? 'Found' : 'Not found'} at ${this.logoPath}`);
+        console.log(`🎨 Report template: ${this.template.name}`);
+        console.log(`🖼️ Logo: ${this.hasLogo ? 'Found' : 'Not found'} at ${this.logoPath}`);
+    }
+
+    /**
+     * Apply a report template over the built-in HPCL template: branding, colour palette,
+     * logo, cover text, chapter order, disclaimer and signatories
+     */
+    applyReportTemplate(template) {
+        const defaults = ReportTemplate.DEFAULT_TEMPLATE;
+        const source = typeof template.toObject === 'function' ? template.toObject() : template;
+        // Unset template fields keep the HPCL value
+        const merge = (base, overrides) => ({
+            ...base,
+            ...Object.fromEntries(Object.entries(overrides || {})
+                .filter(([, value]) => value !== undefined && value !== null && value !== ''))
+        });
+
+        this.template = {
+            ...merge(defaults, source),
+            branding: merge(defaults.branding, source.branding),
+            cover: merge(defaults.cover, source.cover)
+        };
+        this.branding = this.template.branding;
+
+        // Colour palette - hex strings are accepted wherever pdfkit takes a colour
+        this.colors = merge(defaults.branding.colors, source.branding?.colors);
+
+        // Uploaded logos live in the report logo folder; without one the HPCL logo is used
+        this.logoPath = this.branding.logoFile
+            ? path.join(ReportTemplate.LOGOS_PATH, path.basename(this.branding.logoFile))
+            : path.join(__dirname, 'HPCL-Logo.png');
+        this.hasLogo = this.branding.showLogo !== false && fs.existsSync(this.logoPath);
     }
 
     /**
@@ -320,40 +498,45 @@ class HPCLDynamicPDFGenerator {
         // Header background
         doc.rect(0, 0, doc.page.width, 90).fill(this.colors.primary);
         
-        // Add HPCL Logo if available
+        // Add template logo if available
         if (this.hasLogo) {
             try {
-                doc.image(this.logoPath, 20, 15, { width: 50, height: 50 });
+                doc.image(this.logoPath, 20, 15, { fit: [50, 50], align: 'center', valign: 'center' });
             } catch (error) {
-                console.warn('Warning: Could not load HPCL logo:', error.message);
+                console.warn('Warning: Could not load report logo:', error.message);
             }
         }
         
-        // Company name and division
-        doc.fontSize(22).fill('white').font('Helvetica-Bold')
-           .text('HINDUSTAN PETROLEUM CORPORATION LIMITED', 80, 20);
+        // Organisation name (shrunk to fit the band) and division
+        const organisationName = this.cleanTextForPdf(this.branding.organisationName);
+        const nameWidth = doc.page.width - 100;
+        doc.font('Helvetica-Bold').fontSize(20);
+        doc.fontSize(Math.min(20, 20 * nameWidth / doc.widthOfString(organisationName)))
+           .fill('white')
+           .text(organisationName, 80, 20, { lineBreak: false });
         
-        doc.fontSize(14).font('Helvetica')
-           .text('Journey Risk Management Division', 80, 45);
+        if (this.branding.divisionName) {
+            doc.fontSize(14).font('Helvetica')
+               .text(this.cleanTextForPdf(this.branding.divisionName), 80, 45, { lineBreak: false });
+        }
         
-        doc.fontSize(11)
-           .text('Powered by Route Analytics Pro - AI Intelligence Platform', 80, 65);
+        if (this.branding.tagline) {
+            doc.fontSize(11).font('Helvetica')
+               .text(this.cleanTextForPdf(this.branding.tagline), 80, 65, { lineBreak: false });
+        }
     }
 
     /**
      * DYNAMIC: Add main title with route-specific information
      */
     addDynamicMainTitle(doc, routeData) {
-        // Main title
+        // Main title from the template, wrapped over as many lines as it needs
         doc.y = 120;
         doc.fontSize(26).fillColor(this.colors.primary).font('Helvetica-Bold')
-           .text('COMPREHENSIVE JOURNEY RISK', 0, doc.y, { align: 'center', width: doc.page.width });
-        
-        doc.y += 32;
-        doc.text('MANAGEMENT ANALYSIS REPORT', 0, doc.y, { align: 'center', width: doc.page.width });
+           .text(this.cleanTextForPdf(this.template.cover.title), 50, doc.y, { align: 'center', width: doc.page.width - 100, lineGap: 2 });
         
-        // Dynamic subtitle based on data quality
-        doc.y += 35;
+        // Template subtitle, or a dynamic one based on data quality
+        doc.y += 5;
         const dataQualityText = routeData.dataQuality.level === 'excellent' ? 
             'Enhanced with Complete AI Analysis & Multi-API Integration' :
             routeData.dataQuality.level === 'good' ?
@@ -361,7 +544,7 @@ class HPCLDynamicPDFGenerator {
             'Enhanced with Artificial Intelligence & Multi-API Analysis';
             
         doc.fontSize(15).fillColor(this.colors.secondary).font('Helvetica')
-           .text(dataQualityText, 0, doc.y, { align: 'center', width: doc.page.width });
+           .text(this.cleanTextForPdf(this.template.cover.subtitle || dataQualityText), 50, doc.y, { align: 'center', width: doc.page.width - 100 });
     }
 
     /**
@@ -383,7 +566,7 @@ class HPCLDynamicPDFGenerator {
         doc.rect(50, boxY, doc.page.width - 100, 30).fill(headerColor);
         
         doc.fontSize(16).fillColor('white').font('Helvetica-Bold')
-           .text(`📋 ROUTE ANALYSIS DETAILS (${routeData.dataQuality.level.toUpperCase()} DATA)`, 60, boxY + 8);
+           .text(`ROUTE ANALYSIS DETAILS (${routeData.dataQuality.level.toUpperCase()} DATA)`, 60, boxY + 8);
         
         // Dynamic route details
         const detailsStartY = boxY + 40;
@@ -495,7 +678,7 @@ class HPCLDynamicPDFGenerator {
         
         // Main footer
         doc.fontSize(10).fillColor(this.colors.primary).font('Helvetica-Bold')
-           .text('Generated by HPCL Journey Risk Management System', 
+           .text(`Generated by ${this.cleanTextForPdf(this.branding.systemName)}`, 
                  0, footerY + 10, { align: 'center', width: doc.page.width });
         
         // Dynamic data source information
@@ -519,7 +702,7 @@ class HPCLDynamicPDFGenerator {
             'Recently analyzed';
         
         doc.fontSize(8).fillColor([120, 120, 120])
-           .text(`Last Analysis: ${analysisDate} • CONFIDENTIAL - For Internal HPCL Use Only`, 
+           .text(`Last Analysis: ${analysisDate} • ${this.cleanTextForPdf(this.template.confidentialityNotice)}`, 
                  0, footerY + 38, { align: 'center', width: doc.page.width });
     }
 
@@ -543,11 +726,11 @@ class HPCLDynamicPDFGenerator {
                 margin: 0,
                 size: 'A4',
                 info: {
-                    Title: `HPCL Journey Risk Analysis - ${routeData.routeName || 'Route Analysis'}`,
-                    Author: 'HPCL Journey Risk Management System',
+                    Title: `${this.branding.shortName} ${this.template.cover.reportName} - ${routeData.routeName || 'Route Analysis'}`,
+                    Author: this.branding.systemName,
                     Subject: `Dynamic Route Analysis: ${routeData.fromName || 'Source'} to ${routeData.toName || 'Destination'}`,
-                    Keywords: `HPCL, Dynamic Analysis, ${routeData.routeId}, Safety, Risk Assessment`,
-                    Creator: 'HPCL Risk Management Division - Dynamic Generator'
+                    Keywords: `${this.branding.shortName}, Dynamic Analysis, ${routeData.routeId}, Safety, Risk Assessment`,
+                    Creator: `${this.branding.systemName} - Dynamic Generator`
                 }
             });
 
@@ -585,10 +768,1320 @@ class HPCLDynamicPDFGenerator {
             throw error;
         }
     }
+
+    // ========================================================================
+    // COMPLETE MULTI-CHAPTER REPORT
+    // ========================================================================
+
+    /**
+     * Helper: Chapters for the requested keys (all when none given), in the template's
+     * chapter order followed by any others in the default report order
+     */
+    selectReportChapters(chapterKeys, chapterOrder = []) {
+        const selected = Array.isArray(chapterKeys) && chapterKeys.length > 0
+            ? REPORT_CHAPTERS.filter(chapter => chapterKeys.includes(chapter.key))
+            : REPORT_CHAPTERS;
+
+        const rank = chapter => {
+            const position = chapterOrder.indexOf(chapter.key);
+            return position === -1 ? chapterOrder.length + REPORT_CHAPTERS.indexOf(chapter) : position;
+        };
+        return [...selected].sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * DYNAMIC: Call a PDF data controller in-process and capture its JSON response
+     * @param {Object} section - Chapter section definition
+     * @param {string} routeId - MongoDB ObjectId string
+     * @param {Object} user - Authenticated user passed through to the controller
+     * @returns {Object} { statusCode, body } as the endpoint would have sent it
+     */
+    invokeSectionController(section, routeId, user) {
+        return new Promise(resolve => {
+            let handler;
+            try {
+                handler = require(`./controllers/${section.controller}`)[section.handler];
+            } catch (error) {
+                return resolve({ statusCode: 503, body: { success: false, message: `${section.controller} not available: ${error.message}` } });
+            }
+            if (typeof handler !== 'function') {
+                return resolve({ statusCode: 503, body: { success: false, message: `${section.controller}.${section.handler} not available` } });
+            }
+
+            let statusCode = 200;
+            const res = {
+                status(code) {
+                    statusCode = code;
+                    return res;
+                },
+                json(body) {
+                    // Serialise like Express so documents, ObjectIds and dates arrive as plain JSON
+                    resolve({ statusCode, body: JSON.parse(JSON.stringify(body)) });
+                    return res;
+                }
+            };
+            const req = { params: { routeId }, query: {}, body: {}, user };
+
+            Promise.resolve()
+                .then(() => handler(req, res))
+                .then(() => resolve({ statusCode: 500, body: { success: false, message: 'No response from controller' } }))
+                .catch(error => resolve({ statusCode: 500, body: { success: false, message: error.message } }));
+        });
+    }
+
+    /**
+     * DYNAMIC: Load every section of the selected chapters from the controllers
+     */
+    async loadReportSections(routeId, chapters, user) {
+        const reportChapters = [];
+
+        for (const chapter of chapters) {
+            const sections = [];
+            for (const section of chapter.sections) {
+                if (section.image) {
+                    sections.push(await this.loadSectionImage(section, routeId));
+                    continue;
+                }
+
+                const { statusCode, body } = await this.invokeSectionController(section, routeId, user);
+                const available = statusCode < 400 && body && body.success !== false;
+
+                if (!available) {
+                    console.warn(`⚠️ Report section ${section.endpoint} unavailable: ${body?.message || statusCode}`);
+                }
+
+                sections.push({
+                    ...section,
+                    available,
+                    data: available ? body.data : null,
+                    message: available ? null : (body?.message || `Request failed with status ${statusCode}`)
+                });
+            }
+            reportChapters.push({ ...chapter, sections });
+        }
+
+        return reportChapters;
+    }
+
+    /**
+     * DYNAMIC: Render an image section (map or chart) through its renderer service
+     */
+    async loadSectionImage(section, routeId) {
+        try {
+            const image = await REPORT_IMAGE_RENDERERS[section.image](routeId);
+            return { ...section, available: true, data: image, message: null };
+        } catch (error) {
+            console.warn(`⚠️ Report section ${section.endpoint} unavailable: ${error.message}`);
+            return { ...section, available: false, data: null, message: error.message };
+        }
+    }
+
+    /**
+     * Place a rendered image across the content width with a caption underneath
+     */
+    addReportImage(doc, image, caption) {
+        const left = REPORT_LAYOUT.margins.left;
+        const width = doc.page.width - left - REPORT_LAYOUT.margins.right;
+        const height = Math.min(width * image.height / image.width, this.reportContentBottom(doc) - REPORT_LAYOUT.margins.top - 40);
+
+        this.ensureReportSpace(doc, height + 30);
+        const top = doc.y;
+        if (image.scene) {
+            require('./services/chartRenderService').drawToPdf(doc, image.scene, left, top, width);
+        } else {
+            doc.image(image.buffer, left, top, { fit: [width, height], align: 'center' });
+        }
+        doc.lineWidth(0.5).strokeColor([210, 210, 210]).rect(left, top, width, height).stroke();
+
+        doc.y = top + height + 6;
+        if (caption) {
+            doc.fontSize(8).fillColor([110, 110, 110]).font('Helvetica')
+               .text(this.cleanTextForPdf(caption), left, doc.y, { width });
+        }
+        doc.x = left;
+        doc.y += 10;
+    }
+
+    /**
+     * Helper: Caption for an image section from its renderer metadata
+     */
+    describeSectionImage(section) {
+        const image = section.data;
+        if (section.image === 'routeMap') {
+            const counts = Object.entries(image.counts)
+                .map(([layer, count]) => `${this.humanizeKey(layer)}: ${count}`)
+                .join(' | ');
+            return `Scale bar ${image.scaleBar.label}. ${counts}${image.tilesUsed === 0 ? ' | Base map: coordinate grid' : ''}`;
+        }
+        return image.caption || '';
+    }
+
+    /**
+     * Helper: Turn a response field name into a table label
+     */
+    humanizeKey(key) {
+        return String(key)
+            .replace(/[_-]+/g, ' ')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/\b\w/g, letter => letter.toUpperCase())
+            .trim();
+    }
+
+    /**
+     * Helper: Values that fit in a single table cell
+     */
+    isScalarValue(value) {
+        if (value === null || typeof value !== 'object') return true;
+        return Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+    }
+
+    /**
+     * Helper: Format a cell value for the report
+     */
+    formatReportValue(value) {
+        if (value === null || value === undefined || value === '') return '-';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+        }
+        if (Array.isArray(value)) {
+            if (value.length === 0) return 'None';
+            const items = value.slice(0, 10).map(item => this.formatReportValue(item)).join(', ');
+            return value.length > 10 ? `${items} (+${value.length - 10} more)` : items;
+        }
+
+        let text = String(value);
+        if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text) && !isNaN(Date.parse(text))) {
+            text = new Date(text).toLocaleString('en-IN');
+        }
+        text = this.cleanTextForPdf(text);
+        return text.length > REPORT_LAYOUT.maxCellLength ? `${text.slice(0, REPORT_LAYOUT.maxCellLength - 3)}...` : text;
+    }
+
+    /**
+     * Helper: Flatten a nested object into [label, value] rows
+     */
+    flattenForTable(value, prefix = '') {
+        const rows = [];
+        Object.entries(value || {}).forEach(([key, item]) => {
+            if (HIDDEN_REPORT_FIELDS.test(key)) return;
+            const label = prefix ? `${prefix} / ${this.humanizeKey(key)}` : this.humanizeKey(key);
+
+            if (this.isScalarValue(item)) {
+                rows.push([label, this.formatReportValue(item)]);
+            } else if (Array.isArray(item)) {
+                rows.push([label, `${item.length} records`]);
+            } else {
+                rows.push(...this.flattenForTable(item, label));
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * Helper: Bottom of the writable area on chapter pages
+     */
+    reportContentBottom(doc) {
+        return doc.page.height - REPORT_LAYOUT.margins.bottom;
+    }
+
+    /**
+     * Helper: Index of the page currently being written
+     */
+    currentPageIndex(doc) {
+        const range = doc.bufferedPageRange();
+        return range.start + range.count - 1;
+    }
+
+    /**
+     * Helper: Start a chapter page with the report margins
+     */
+    addReportPage(doc) {
+        doc.addPage({ size: 'A4', margins: REPORT_LAYOUT.margins });
+        doc.x = REPORT_LAYOUT.margins.left;
+        doc.y = REPORT_LAYOUT.margins.top;
+    }
+
+    /**
+     * Helper: Break to a new page unless `height` still fits on this one
+     */
+    ensureReportSpace(doc, height) {
+        if (doc.y + height > this.reportContentBottom(doc)) {
+            this.addReportPage(doc);
+        }
+    }
+
+    /**
+     * Add a sub-heading inside a section
+     */
+    addReportSubheading(doc, text, depth = 1) {
+        this.ensureReportSpace(doc, 60);
+        const width = doc.page.width - REPORT_LAYOUT.margins.left - REPORT_LAYOUT.margins.right;
+
+        doc.fontSize(Math.max(12 - depth, 9)).fillColor(this.colors.primary).font('Helvetica-Bold')
+           .text(this.cleanTextForPdf(text), REPORT_LAYOUT.margins.left, doc.y, { width });
+        doc.y += 4;
+    }
+
+    /**
+     * Add a plain paragraph inside a section
+     */
+    addReportParagraph(doc, text, color = this.colors.secondary) {
+        const width = doc.page.width - REPORT_LAYOUT.margins.left - REPORT_LAYOUT.margins.right;
+        doc.fontSize(10).font('Helvetica');
+        this.ensureReportSpace(doc, doc.heightOfString(text, { width }) + 8);
+
+        doc.fillColor(color).text(text, REPORT_LAYOUT.margins.left, doc.y, { width });
+        doc.y += 8;
+    }
+
+    /**
+     * Draw a bordered table, repeating the header row after each page break
+     * @param {Array} headers - Column labels
+     * @param {Array} rows - Rows of cell strings
+     * @param {Object} options - { columnWidths: fractions of the table width }
+     */
+    drawReportTable(doc, headers, rows, options = {}) {
+        const left = REPORT_LAYOUT.margins.left;
+        const tableWidth = doc.page.width - left - REPORT_LAYOUT.margins.right;
+        const widths = (options.columnWidths || headers.map(() => 1 / headers.length)).map(share => share * tableWidth);
+        const fontSize = headers.length > 3 ? 8 : 9;
+        const padding = 4;
+
+        const measureRow = (cells, font) => {
+            doc.font(font).fontSize(fontSize);
+            return Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - padding * 2 }))) + padding * 2;
+        };
+
+        const drawRow = (cells, y, style) => {
+            const font = style === 'header' ? 'Helvetica-Bold' : 'Helvetica';
+            const height = measureRow(cells, font);
+
+            if (style === 'header') {
+                doc.rect(left, y, tableWidth, height).fill(this.colors.primary);
+            } else if (style === 'shaded') {
+                doc.rect(left, y, tableWidth, height).fill(this.colors.lightGray);
+            }
+            doc.lineWidth(0.5).strokeColor([210, 210, 210]).rect(left, y, tableWidth, height).stroke();
+
+            doc.font(font).fontSize(fontSize).fillColor(style === 'header' ? 'white' : this.colors.secondary);
+            let x = left;
+            cells.forEach((cell, i) => {
+                doc.text(cell, x + padding, y + padding, { width: widths[i] - padding * 2 });
+                x += widths[i];
+            });
+            return height;
+        };
+
+        const headerCells = headers.map(header => this.cleanTextForPdf(header));
+        const bodyRows = rows.map(row => row.map(cell => this.cleanTextForPdf(cell)));
+
+        this.ensureReportSpace(doc, measureRow(headerCells, 'Helvetica-Bold') + (bodyRows[0] ? measureRow(bodyRows[0], 'Helvetica') : 0));
+        let y = doc.y;
+        y += drawRow(headerCells, y, 'header');
+
+        bodyRows.forEach((cells, index) => {
+            const height = measureRow(cells, 'Helvetica');
+            if (y + height > this.reportContentBottom(doc)) {
+                this.addReportPage(doc);
+                y = doc.y;
+                y += drawRow(headerCells, y, 'header');
+            }
+            y += drawRow(cells, y, index % 2 === 1 ? 'shaded' : 'plain');
+        });
+
+        doc.x = left;
+        doc.y = y + 12;
+    }
+
+    /**
+     * Render an array of records as a table of their scalar fields
+     */
+    renderRecordTable(doc, records) {
+        const objects = records.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+        if (objects.length === 0) {
+            this.addReportParagraph(doc, records.length ? this.formatReportValue(records) : 'No records found.');
+            return;
+        }
+
+        // Columns in order of first appearance across the leading records
+        const columns = [];
+        objects.slice(0, 10).forEach(record => {
+            Object.entries(record).forEach(([key, value]) => {
+                if (!HIDDEN_REPORT_FIELDS.test(key) && this.isScalarValue(value) && !columns.includes(key)) {
+                    columns.push(key);
+                }
+            });
+        });
+
+        if (columns.length === 0) {
+            objects.slice(0, REPORT_LAYOUT.maxTableRows).forEach((record, index) => {
+                this.addReportSubheading(doc, `Record ${index + 1}`, REPORT_LAYOUT.maxNestingDepth);
+                this.drawReportTable(doc, ['Item', 'Value'], this.flattenForTable(record), { columnWidths: [0.4, 0.6] });
+            });
+            return;
+        }
+
+        const shown = columns.slice(0, REPORT_LAYOUT.maxTableColumns);
+        const rows = objects
+            .slice(0, REPORT_LAYOUT.maxTableRows)
+            .map(record => shown.map(key => this.formatReportValue(record[key])));
+
+        this.drawReportTable(doc, shown.map(key => this.humanizeKey(key)), rows);
+
+        if (objects.length > REPORT_LAYOUT.maxTableRows) {
+            this.addReportParagraph(doc, `Showing ${REPORT_LAYOUT.maxTableRows} of ${objects.length} records.`);
+        }
+    }
+
+    /**
+     * Render a controller's response data: scalar fields as a key/value table,
+     * nested objects as sub-sections and arrays of records as tables
+     */
+    renderDataBlock(doc, data, depth = 1) {
+        if (Array.isArray(data)) {
+            this.renderRecordTable(doc, data);
+            return;
+        }
+        if (!data || typeof data !== 'object') {
+            this.addReportParagraph(doc, this.formatReportValue(data));
+            return;
+        }
+
+        const entries = Object.entries(data).filter(([key]) => !HIDDEN_REPORT_FIELDS.test(key));
+        const scalarRows = entries
+            .filter(([, value]) => this.isScalarValue(value))
+            .map(([key, value]) => [this.humanizeKey(key), this.formatReportValue(value)]);
+
+        if (scalarRows.length > 0) {
+            this.drawReportTable(doc, ['Item', 'Value'], scalarRows, { columnWidths: [0.38, 0.62] });
+        }
+
+        entries
+            .filter(([, value]) => !this.isScalarValue(value))
+            .forEach(([key, value]) => {
+                this.addReportSubheading(doc, this.humanizeKey(key), depth);
+
+                if (Array.isArray(value)) {
+                    this.renderRecordTable(doc, value);
+                } else if (depth >= REPORT_LAYOUT.maxNestingDepth) {
+                    this.drawReportTable(doc, ['Item', 'Value'], this.flattenForTable(value), { columnWidths: [0.45, 0.55] });
+                } else {
+                    this.renderDataBlock(doc, value, depth + 1);
+                }
+            });
+    }
+
+    /**
+     * Render one chapter starting on a fresh page; records page indexes for the contents page
+     */
+    renderReportChapter(doc, chapter, number) {
+        const left = REPORT_LAYOUT.margins.left;
+        const width = doc.page.width - left - REPORT_LAYOUT.margins.right;
+
+        this.addReportPage(doc);
+        chapter.pageIndex = this.currentPageIndex(doc);
+        const outline = doc.outline.addItem(`${number}. ${chapter.title}`);
+
+        const bannerY = doc.y;
+        doc.rect(left, bannerY, width, 34).fill(this.colors.primary);
+        doc.fontSize(15).fillColor('white').font('Helvetica-Bold')
+           .text(`${number}. ${chapter.title.toUpperCase()}`, left + 12, bannerY + 10, {
+               width: width - 24,
+               destination: `chapter-${chapter.key}`
+           });
+        doc.y = bannerY + 50;
+
+        chapter.sections.forEach((section, index) => {
+            this.ensureReportSpace(doc, 90);
+            section.pageIndex = this.currentPageIndex(doc);
+            outline.addItem(`${number}.${index + 1} ${section.title}`);
+
+            const headingY = doc.y;
+            doc.fontSize(13).fillColor(this.colors.secondary).font('Helvetica-Bold')
+               .text(`${number}.${index + 1} ${section.title}`, left, headingY, {
+                   width,
+                   destination: `section-${section.endpoint}`
+               });
+            doc.strokeColor(this.colors.primary).lineWidth(1)
+               .moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).stroke();
+            doc.y += 10;
+
+            if (section.available && section.image) {
+                this.addReportImage(doc, section.data, this.describeSectionImage(section));
+            } else if (section.available) {
+                this.renderDataBlock(doc, section.data);
+            } else {
+                this.addReportParagraph(doc, `Data not available for this section: ${this.cleanTextForPdf(section.message)}`, this.colors.warning);
+            }
+            doc.y += 10;
+        });
+    }
+
+    /**
+     * Fill the reserved contents page once chapter page numbers are known
+     */
+    addReportTableOfContents(doc, chapters, pageIndex, signOffPageIndex = null) {
+        const left = REPORT_LAYOUT.margins.left;
+        const width = doc.page.width - left - REPORT_LAYOUT.margins.right;
+
+        doc.switchToPage(pageIndex);
+        doc.y = REPORT_LAYOUT.margins.top;
+
+        doc.fontSize(20).fillColor(this.colors.primary).font('Helvetica-Bold')
+           .text('TABLE OF CONTENTS', left, doc.y, { width });
+        doc.y += 16;
+
+        const addEntry = (label, pageNumber, destination, style) => {
+            const y = doc.y;
+            doc.fontSize(style === 'chapter' ? 12 : 10)
+               .fillColor(style === 'chapter' ? this.colors.secondary : [90, 90, 90])
+               .font(style === 'chapter' ? 'Helvetica-Bold' : 'Helvetica');
+
+            const indent = style === 'chapter' ? 0 : 20;
+            doc.text(label, left + indent, y, { width: width - indent - 40, goTo: destination, lineBreak: false });
+            doc.text(String(pageNumber), left, y, { width, align: 'right', lineBreak: false });
+            doc.y = y + (style === 'chapter' ? 20 : 16);
+        };
+
+        chapters.forEach((chapter, index) => {
+            if (index > 0) doc.y += 4;
+            addEntry(`${index + 1}. ${chapter.title}`, chapter.pageIndex + 1, `chapter-${chapter.key}`, 'chapter');
+            chapter.sections.forEach((section, sectionIndex) => {
+                addEntry(`${index + 1}.${sectionIndex + 1} ${section.title}`, section.pageIndex + 1, `section-${section.endpoint}`, 'section');
+            });
+        });
+
+        if (signOffPageIndex !== null) {
+            doc.y += 4;
+            addEntry('Disclaimer & Sign-off', signOffPageIndex + 1, 'sign-off', 'chapter');
+        }
+    }
+
+    /**
+     * Add the template's disclaimer and signature blocks on a closing page
+     * @returns {number|null} Page index of the sign-off page, or null when the template has neither
+     */
+    renderReportSignOff(doc) {
+        const { disclaimer, signatories = [] } = this.template;
+        if (!disclaimer && signatories.length === 0) {
+            return null;
+        }
+
+        const left = REPORT_LAYOUT.margins.left;
+        const width = doc.page.width - left - REPORT_LAYOUT.margins.right;
+
+        this.addReportPage(doc);
+        const pageIndex = this.currentPageIndex(doc);
+        doc.outline.addItem('Disclaimer & Sign-off');
+
+        const bannerY = doc.y;
+        doc.rect(left, bannerY, width, 34).fill(this.colors.primary);
+        doc.fontSize(15).fillColor('white').font('Helvetica-Bold')
+           .text('DISCLAIMER & SIGN-OFF', left + 12, bannerY + 10, { width: width - 24, destination: 'sign-off' });
+        doc.y = bannerY + 50;
+
+        if (disclaimer) {
+            this.addReportSubheading(doc, 'Disclaimer');
+            this.addReportParagraph(doc, this.cleanTextForPdf(disclaimer));
+        }
+
+        if (signatories.length > 0) {
+            this.addReportSubheading(doc, 'Sign-off');
+            doc.y += 12;
+
+            // Two signature blocks per row: role, signature line, name, designation, organisation, date
+            const blockWidth = (width - 30) / 2;
+            const blockHeight = 110;
+            signatories.forEach((signatory, index) => {
+                if (index % 2 === 0) {
+                    this.ensureReportSpace(doc, blockHeight);
+                }
+                const x = left + (index % 2) * (blockWidth + 30);
+                const y = doc.y;
+
+                doc.fontSize(9).fillColor([120, 120, 120]).font('Helvetica')
+                   .text(this.cleanTextForPdf(signatory.role || 'Approved by'), x, y, { width: blockWidth });
+                doc.strokeColor(this.colors.secondary).lineWidth(0.75)
+                   .moveTo(x, y + 40).lineTo(x + blockWidth, y + 40).stroke();
+                doc.fontSize(11).fillColor(this.colors.secondary).font('Helvetica-Bold')
+                   .text(this.cleanTextForPdf(signatory.name), x, y + 46, { width: blockWidth });
+                doc.fontSize(9).font('Helvetica')
+                   .text(this.cleanTextForPdf([signatory.designation, signatory.organisation].filter(Boolean).join(', ')), x, doc.y + 2, { width: blockWidth })
+                   .text('Date: ____________________', x, doc.y + 6, { width: blockWidth });
+
+                doc.y = index % 2 === 1 || index === signatories.length - 1 ? y + blockHeight : y;
+            });
+        }
+
+        return pageIndex;
+    }
+
+    /**
+     * Stamp the running header, footer and "Page X of Y" on every page after the title page
+     */
+    stampReportPages(doc, routeData) {
+        const range = doc.bufferedPageRange();
+        const routeLabel = this.cleanTextForPdf(
+            `${routeData.routeId} | ${routeData.fromName || 'Origin'} to ${routeData.toName || 'Destination'}`
+        );
+        const organisationName = this.cleanTextForPdf(this.branding.organisationName);
+        const reportName = this.cleanTextForPdf(this.template.cover.reportName);
+        const footerText = this.cleanTextForPdf(`${this.branding.systemName} | ${this.template.confidentialityNotice}`);
+
+        for (let i = range.start + 1; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            const { width, height } = doc.page;
+
+            // Footer text sits inside the bottom margin; let pdfkit write there without paginating
+            const bottomMargin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+
+            doc.rect(0, 0, width, REPORT_LAYOUT.headerHeight).fill(this.colors.primary);
+            if (this.hasLogo) {
+                try {
+                    doc.image(this.logoPath, 15, 8, { fit: [38, 38], align: 'center', valign: 'center' });
+                } catch (error) {
+                    console.warn('Warning: Could not load report logo:', error.message);
+                }
+            }
+            doc.fontSize(12).fillColor('white').font('Helvetica-Bold')
+               .text(organisationName, 62, 12, { width: width - 112, lineBreak: false, ellipsis: true });
+            doc.fontSize(9).font('Helvetica')
+               .text(`${reportName} - ${routeLabel}`, 62, 31, { width: width - 112, lineBreak: false, ellipsis: true });
+
+            const footerY = height - REPORT_LAYOUT.footerOffset;
+            doc.strokeColor(this.colors.primary).lineWidth(1)
+               .moveTo(50, footerY).lineTo(width - 50, footerY).stroke();
+            doc.fontSize(8).fillColor([120, 120, 120]).font('Helvetica')
+               .text(footerText,
+                     50, footerY + 10, { width: width - 100, lineBreak: false });
+            doc.fontSize(9).fillColor(this.colors.primary).font('Helvetica-Bold')
+               .text(`Page ${i - range.start + 1} of ${range.count}`, 50, footerY + 10, { width: width - 100, align: 'right', lineBreak: false });
+
+            doc.page.margins.bottom = bottomMargin;
+        }
+    }
+
+    /**
+     * MAIN METHOD: Generate the complete multi-chapter report from Route ID
+     * @param {string} routeId - MongoDB ObjectId
+     * @param {string} userId - User ID for ownership verification
+     * @param {string} outputPath - Output file path (returns the open document when omitted)
+     * @param {Object} options - { chapters: chapter keys to include (template chapters when omitted), user: request user }
+     */
+    async generateCompleteReport(routeId, userId = null, outputPath = null, options = {}) {
+        try {
+            console.log('📚 Generating complete HPCL route report...');
+            console.log(`🔍 Route ID: ${routeId}`);
+
+            const chapters = this.selectReportChapters(options.chapters || this.template.chapters, this.template.chapters);
+            if (chapters.length === 0) {
+                throw new Error('No valid report chapters selected');
+            }
+
+            // Ownership is verified here before any controller is invoked
+            const routeData = await this.loadDynamicRouteData(routeId, userId);
+            const user = options.user || (userId ? { id: userId } : undefined);
+            const reportChapters = await this.loadReportSections(routeId, chapters, user);
+
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: REPORT_LAYOUT.margins,
+                bufferPages: true,
+                info: {
+                    Title: `${this.branding.shortName} ${this.template.cover.reportName} - ${routeData.routeName || 'Route Analysis'}`,
+                    Author: this.branding.systemName,
+                    Subject: `Complete Route Analysis: ${routeData.fromName || 'Source'} to ${routeData.toName || 'Destination'}`,
+                    Keywords: `${this.branding.shortName}, Route Analysis, ${routeData.routeId}, Safety, Risk Assessment`,
+                    Creator: `${this.branding.systemName} - Dynamic Generator`
+                }
+            });
+
+            // Title page uses absolute positions from edge to edge
+            doc.page.margins = { top: 0, bottom: 0, left: 0, right: 0 };
+            this.addDynamicTitlePageHeader(doc, routeData);
+            this.addDynamicMainTitle(doc, routeData);
+            this.addDynamicRouteDetailsBox(doc, routeData);
+            this.addDynamicTitlePageFooter(doc, routeData);
+
+            // Reserve the contents page; it is filled in after the chapters are laid out
+            this.addReportPage(doc);
+            const contentsPageIndex = this.currentPageIndex(doc);
+
+            reportChapters.forEach((chapter, index) => this.renderReportChapter(doc, chapter, index + 1));
+            const signOffPageIndex = this.renderReportSignOff(doc);
+
+            this.addReportTableOfContents(doc, reportChapters, contentsPageIndex, signOffPageIndex);
+            this.stampReportPages(doc, routeData);
+
+            const report = {
+                totalPages: doc.bufferedPageRange().count,
+                template: { name: this.template.name, version: this.template.version || 1 },
+                signOffPage: signOffPageIndex === null ? null : signOffPageIndex + 1,
+                chapters: reportChapters.map(chapter => ({
+                    key: chapter.key,
+                    title: chapter.title,
+                    page: chapter.pageIndex + 1,
+                    sections: chapter.sections.map(section => ({
+                        endpoint: section.endpoint,
+                        title: section.title,
+                        page: section.pageIndex + 1,
+                        available: section.available
+                    }))
+                }))
+            };
+
+            if (outputPath) {
+                return new Promise((resolve, reject) => {
+                    const stream = fs.createWriteStream(outputPath);
+                    doc.pipe(stream);
+                    doc.end();
+
+                    stream.on('finish', () => {
+                        console.log(`✅ Complete HPCL report generated: ${outputPath}`);
+                        console.log(`📄 Pages: ${report.totalPages}, chapters: ${report.chapters.length}`);
+                        resolve({ filePath: outputPath, routeData, report });
+                    });
+
+                    stream.on('error', reject);
+                });
+            } else {
+                return { doc, routeData, report };
+            }
+
+        } catch (error) {
+            console.error('❌ Error generating complete report:', error);
+            throw error;
+        }
+    }
+
+    // ============================================================================
+    // DRIVER BRIEFING CARD
+    // ============================================================================
+
+    /**
+     * Helper: Locate the font files for a briefing language's script
+     * @returns {Object|null} { regular, bold, range } paths, or null for Latin text
+     */
+    resolveBriefingFonts(languageCode) {
+        const script = BRIEFING_LANGUAGES[languageCode].script;
+        if (script === 'latin') {
+            return null;
+        }
+
+        const fontSet = BRIEFING_FONTS[script];
+        const fontsPath = path.resolve(process.env.PDF_FONTS_PATH || path.join(__dirname, 'assets', 'fonts'));
+        const regular = path.join(fontsPath, fontSet.regular);
+        const bold = path.join(fontsPath, fontSet.bold);
+
+        if (!fs.existsSync(regular)) {
+            const error = new Error(`Font for ${script} text not installed: expected ${fontSet.regular} in ${fontsPath} (set PDF_FONTS_PATH)`);
+            error.statusCode = 503;
+            throw error;
+        }
+
+        return { regular, bold: fs.existsSync(bold) ? bold : regular, range: fontSet.range };
+    }
+
+    /**
+     * Helper: Split text into runs for the script font and for Helvetica
+     */
+    splitScriptRuns(text, range) {
+        const runs = [];
+        for (const char of text) {
+            const script = BRIEFING_NEUTRAL_CHARS.test(char) ? null : range.test(char);
+            const last = runs[runs.length - 1];
+
+            if (last && (script === null || last.script === null || last.script === script)) {
+                last.text += char;
+                if (last.script === null) last.script = script;
+            } else {
+                runs.push({ text: char, script });
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Helper: Text runs with the font each one is drawn in
+     */
+    briefingRuns(text, fonts, bold) {
+        const latinFont = bold ? 'Helvetica-Bold' : 'Helvetica';
+        const value = String(text);
+
+        if (!fonts) {
+            return [{ text: this.cleanTextForPdf(value), font: latinFont }];
+        }
+        return this.splitScriptRuns(value, fonts.range).map(run => run.script
+            ? { text: run.text, font: bold ? 'Briefing-Bold' : 'Briefing' }
+            : { text: this.cleanTextForPdf(run.text), font: latinFont });
+    }
+
+    /**
+     * Helper: Height of mixed-script text at the current font size
+     */
+    measureBriefingText(doc, fonts, text, width, bold = false) {
+        const runs = this.briefingRuns(text, fonts, bold);
+        const value = runs.map(run => run.text).join('');
+        return Math.max(...[...new Set(runs.map(run => run.font))]
+            .map(font => doc.font(font).heightOfString(value, { width })));
+    }
+
+    /**
+     * Write mixed-script text, switching between the script font and Helvetica per run
+     * @param {Object} options - { size, color, bold, width, align, lineBreak }
+     */
+    writeBriefingText(doc, fonts, text, x, y, options = {}) {
+        const { size = 9, color = this.colors.secondary, bold = false, ...textOptions } = options;
+        const runs = this.briefingRuns(text, fonts, bold).filter(run => run.text.length > 0);
+        if (runs.length === 0) return;
+
+        // Each font would otherwise hang from its own ascender; share the tallest so all runs keep one baseline
+        doc.fontSize(size).fillColor(color);
+        const baseline = -Math.max(...runs.map(run => doc.font(run.font)._font.ascender)) / 1000 * size;
+
+        runs.forEach((run, index) => {
+            const continued = index < runs.length - 1;
+            doc.font(run.font);
+            if (index === 0) {
+                doc.text(run.text, x, y, { ...textOptions, baseline, continued });
+            } else {
+                doc.text(run.text, { baseline, continued });
+            }
+        });
+    }
+
+    /**
+     * DYNAMIC: Load the points, dead zones, rest stops and emergency numbers for the briefing
+     */
+    async loadDriverBriefingData(routeId, user) {
+        const SharpTurn = require('./models/SharpTurn');
+        const BlindSpot = require('./models/BlindSpot');
+        const AccidentProneArea = require('./models/AccidentProneArea');
+        const SteepGradient = require('./models/SteepGradient');
+        const NetworkCoverage = require('./models/NetworkCoverage');
+        const EmergencyService = require('./models/EmergencyService');
+
+        const [sharpTurns, blindSpots, accidentAreas, steepGradients, deadZones, restStops, contacts] = await Promise.all([
+            SharpTurn.find({ routeId }).lean(),
+            BlindSpot.find({ routeId }).lean(),
+            AccidentProneArea.find({ routeId }).lean(),
+            SteepGradient.find({ routeId }).lean(),
+            NetworkCoverage.find({ routeId, isDeadZone: true }).sort({ distanceFromStartKm: 1 }).lean(),
+            // Same rest stop filter as GET /api/routes/:routeId/food-rest-stops
+            EmergencyService.find({
+                routeId,
+                serviceType: 'amenity',
+                $or: [
+                    { stopType: { $in: ['restaurant', 'dhaba', 'rest_area'] } },
+                    { amenities: { $in: ['food', 'restaurant', 'rest'] } }
+                ]
+            }).sort({ distanceFromStartKm: 1 }).lean(),
+            this.invokeSectionController(
+                { controller: 'emergencyServicesController', handler: 'getEmergencyContacts' }, routeId, user
+            )
+        ]);
+
+        if (contacts.statusCode !== 200) {
+            console.warn(`⚠️ Emergency contacts not available for briefing: ${contacts.body.message}`);
+        }
+
+        return {
+            sharpTurns,
+            blindSpots,
+            accidentAreas,
+            steepGradients,
+            deadZones,
+            restStops,
+            emergencyContacts: contacts.statusCode === 200 ? contacts.body.data.emergencyContacts : []
+        };
+    }
+
+    /**
+     * Helper: High-risk points in driving order with translated hazard and speed advice
+     * @returns {Object} { points, hiddenCount }
+     */
+    buildBriefingCriticalPoints(data, t, maxPoints = BRIEFING_LAYOUT.maxCriticalPoints) {
+        const speedAdvice = speed => (speed > 0 ? [t('maxSpeed', { speed: Math.round(speed) })] : []);
+        const gearAdvice = gear => (gear ? [t('useGear', { gear })] : []);
+
+        const candidates = [
+            ...data.sharpTurns.map(turn => ({
+                km: turn.distanceFromStartKm,
+                riskScore: turn.riskScore,
+                hazard: turn.turnSeverity === 'hairpin' || turn.turnDirection === 'hairpin'
+                    ? t('turnHairpin')
+                    : t(turn.turnDirection === 'left' ? 'turnLeft' : 'turnRight'),
+                advice: speedAdvice(turn.recommendedSpeed)
+            })),
+            ...data.blindSpots.map(spot => ({
+                km: spot.distanceFromStartKm,
+                riskScore: spot.riskScore,
+                hazard: t('blindSpot'),
+                advice: [t('hornAdvice')]
+            })),
+            ...data.accidentAreas.map(area => ({
+                km: area.distanceFromStartKm,
+                riskScore: area.riskScore,
+                hazard: t('accidentZone'),
+                advice: [t('accidentAdvice')]
+            })),
+            ...data.steepGradients.map(gradient => {
+                const descent = (gradient.averageGradePercent || gradient.elevationChangeMeters || 0) < 0;
+                return {
+                    km: gradient.distanceFromStartKm,
+                    riskScore: gradient.riskScore,
+                    hazard: t(descent ? 'steepDescent' : 'steepClimb'),
+                    advice: descent
+                        ? [...speedAdvice(gradient.recommendedSpeed), ...gearAdvice(gradient.recommendedGear), t('descentAdvice')]
+                        : gearAdvice(gradient.recommendedGear)
+                };
+            })
+        ].filter(point => point.riskScore >= BRIEFING_LAYOUT.minRiskScore);
+
+        // Keep the riskiest points when there are too many for the card, then restore driving order
+        const placed = candidates.filter(point => Number.isFinite(point.km));
+        const points = placed
+            .sort((a, b) => b.riskScore - a.riskScore)
+            .slice(0, maxPoints)
+            .sort((a, b) => a.km - b.km);
+
+        return { points, hiddenCount: candidates.length - points.length };
+    }
+
+    /**
+     * Helper: Merge neighbouring dead zones into stretches along the route
+     * @returns {Object} { stretches, hiddenCount } - the longest stretches, in driving order
+     */
+    buildBriefingDeadZones(deadZones) {
+        const stretches = [];
+
+        deadZones
+            .filter(zone => Number.isFinite(zone.distanceFromStartKm))
+            .forEach(zone => {
+                const radiusKm = (zone.deadZoneRadius || 1000) / 1000;
+                const from = Math.max(0, zone.distanceFromStartKm - radiusKm);
+                const to = zone.distanceFromStartKm + radiusKm;
+                const last = stretches[stretches.length - 1];
+
+                if (last && from - last.to <= BRIEFING_LAYOUT.deadZoneMergeKm) {
+                    last.to = Math.max(last.to, to);
+                    last.minutes += zone.deadZoneDuration || 0;
+                } else {
+                    stretches.push({ from, to, minutes: zone.deadZoneDuration || 0 });
+                }
+            });
+
+        const shown = [...stretches]
+            .sort((a, b) => (b.to - b.from) - (a.to - a.from))
+            .slice(0, BRIEFING_LAYOUT.maxDeadZones)
+            .sort((a, b) => a.from - b.from);
+
+        // Without a recorded crossing time assume a loaded tanker at 40 km/h
+        return {
+            stretches: shown.map(stretch => ({
+                from: stretch.from.toFixed(1),
+                to: stretch.to.toFixed(1),
+                minutes: Math.max(1, Math.round(stretch.minutes || (stretch.to - stretch.from) / 40 * 60))
+            })),
+            hiddenCount: stretches.length - shown.length
+        };
+    }
+
+    /**
+     * Helper: Rest stops spread evenly along the route when there are more than fit
+     */
+    selectBriefingRestStops(restStops) {
+        const max = BRIEFING_LAYOUT.maxRestStops;
+        if (restStops.length <= max) {
+            return restStops;
+        }
+        return Array.from({ length: max }, (_, i) => restStops[Math.round(i * (restStops.length - 1) / (max - 1))]);
+    }
+
+    /**
+     * Helper: Journey time as "7 h 30 min" in the briefing language
+     */
+    formatBriefingDuration(minutes, t) {
+        if (!minutes) return '-';
+        const hours = Math.floor(minutes / 60);
+        const rest = Math.round(minutes % 60);
+        return [hours > 0 ? `${hours} ${t('hours')}` : null, rest > 0 ? `${rest} ${t('minutes')}` : null]
+            .filter(Boolean).join(' ');
+    }
+
+    /**
+     * Helper: Break to a new briefing page unless `height` still fits on this one
+     */
+    ensureBriefingSpace(doc, height) {
+        if (doc.y + height > doc.page.height - BRIEFING_LAYOUT.margins.bottom) {
+            doc.addPage({ size: BRIEFING_LAYOUT.size, margins: BRIEFING_LAYOUT.margins });
+            doc.y = BRIEFING_LAYOUT.margins.top;
+        }
+    }
+
+    /**
+     * Add a briefing section heading (kept together with the first lines below it)
+     */
+    addBriefingHeading(doc, fonts, text) {
+        const left = BRIEFING_LAYOUT.margins.left;
+        const width = doc.page.width - left - BRIEFING_LAYOUT.margins.right;
+
+        this.ensureBriefingSpace(doc, 60);
+        const y = doc.y + 6;
+        doc.rect(left, y, 3, 14).fill(this.colors.primary);
+        this.writeBriefingText(doc, fonts, text, left + 8, y + 1, { size: 11, bold: true, color: this.colors.primary, width: width - 8, lineBreak: false });
+        doc.y = y + 20;
+    }
+
+    /**
+     * Add the card header: title band, route, distance, time and risk level
+     */
+    addBriefingHeader(doc, fonts, t, routeData, language) {
+        const { width } = doc.page;
+        const left = BRIEFING_LAYOUT.margins.left;
+        const contentWidth = width - left - BRIEFING_LAYOUT.margins.right;
+
+        doc.rect(0, 0, width, BRIEFING_LAYOUT.headerHeight).fill(this.colors.primary);
+        if (this.hasLogo) {
+            try {
+                doc.image(this.logoPath, 16, 12, { fit: [40, 40], align: 'center', valign: 'center' });
+            } catch (error) {
+                console.warn('Warning: Could not load report logo:', error.message);
+            }
+        }
+        this.writeBriefingText(doc, fonts, t('title'), 66, 12, { size: 16, bold: true, color: 'white', width: width - 84, lineBreak: false });
+        this.writeBriefingText(doc, fonts, `${t('subtitle')} | ${this.branding.shortName} | ${BRIEFING_LANGUAGES[language].nativeName}`, 66, 38,
+            { size: 9, color: 'white', width: width - 84, lineBreak: false });
+
+        // Risk level chip on the right of the route block
+        const riskLevel = routeData.riskLevel || 'LOW';
+        const riskColor = { CRITICAL: this.colors.danger, HIGH: [255, 87, 34], MEDIUM: this.colors.warning }[riskLevel] || this.colors.success;
+        const chipWidth = 96;
+        const top = BRIEFING_LAYOUT.headerHeight + 10;
+        doc.rect(width - BRIEFING_LAYOUT.margins.right - chipWidth, top, chipWidth, 32).fill(riskColor);
+        this.writeBriefingText(doc, fonts, t('riskLevel'), width - BRIEFING_LAYOUT.margins.right - chipWidth, top + 4,
+            { size: 7, color: 'white', width: chipWidth, align: 'center', lineBreak: false });
+        this.writeBriefingText(doc, fonts, t('riskLevels')[riskLevel] || riskLevel, width - BRIEFING_LAYOUT.margins.right - chipWidth, top + 15,
+            { size: 11, bold: true, color: 'white', width: chipWidth, align: 'center', lineBreak: false });
+
+        const textWidth = contentWidth - chipWidth - 8;
+        this.writeBriefingText(doc, fonts, routeData.routeName || routeData.routeId, left, top,
+            { size: 12, bold: true, color: this.colors.primary, width: textWidth, lineBreak: false, ellipsis: true });
+        this.writeBriefingText(doc, fonts, `${routeData.fromName || routeData.fromAddress || '-'} -> ${routeData.toName || routeData.toAddress || '-'}`, left, top + 17,
+            { size: 9, width: textWidth, lineBreak: false, ellipsis: true });
+
+        const facts = [
+            `${t('distance')}: ${Math.round(routeData.totalDistance || 0)} ${t('km')}`,
+            `${t('duration')}: ${this.formatBriefingDuration(routeData.estimatedDuration, t)}`,
+            routeData.vehicle?.registrationNumber ? `${t('vehicle')}: ${routeData.vehicle.registrationNumber}` : null
+        ].filter(Boolean).join('   ');
+        this.writeBriefingText(doc, fonts, facts, left, top + 32, { size: 9, bold: true, width: contentWidth });
+        doc.y = Math.max(doc.y, top + 44) + 4;
+    }
+
+    /**
+     * Add the emergency numbers as a two-column grid
+     */
+    addBriefingEmergencyNumbers(doc, fonts, t, contacts) {
+        if (contacts.length === 0) return;
+
+        const left = BRIEFING_LAYOUT.margins.left;
+        const contentWidth = doc.page.width - left - BRIEFING_LAYOUT.margins.right;
+        const columnWidth = contentWidth / 2;
+        const rowHeight = 17;
+        const rows = Math.ceil(contacts.length / 2);
+
+        this.addBriefingHeading(doc, fonts, t('emergencyNumbers'));
+        const top = doc.y;
+        doc.rect(left, top, contentWidth, rows * rowHeight + 6).fill(this.colors.lightGray);
+
+        contacts.forEach((contact, index) => {
+            const x = left + (index % 2) * columnWidth + 6;
+            const y = top + 5 + Math.floor(index / 2) * rowHeight;
+            const name = t('contacts')[contact.number] || contact.service;
+
+            this.writeBriefingText(doc, fonts, contact.number, x, y, { size: 12, bold: true, color: this.colors.danger, width: 42, lineBreak: false });
+            this.writeBriefingText(doc, fonts, name, x + 44, y + 2, { size: 8.5, width: columnWidth - 54, lineBreak: false, ellipsis: true });
+        });
+
+        doc.y = top + rows * rowHeight + 12;
+    }
+
+    /**
+     * Draw a compact briefing table; rows may carry an accent colour for the left stripe
+     * @param {Array} columns - { label, width } with widths as fractions of the table width
+     * @param {Array} rows - { cells, accent }
+     */
+    drawBriefingTable(doc, fonts, columns, rows) {
+        const left = BRIEFING_LAYOUT.margins.left;
+        const tableWidth = doc.page.width - left - BRIEFING_LAYOUT.margins.right;
+        const widths = columns.map(column => column.width * tableWidth);
+        const padding = 3;
+        const fontSize = 8.5;
+
+        const measureRow = (cells, bold) => {
+            doc.fontSize(fontSize);
+            return Math.max(...cells.map((cell, i) => this.measureBriefingText(doc, fonts, cell, widths[i] - padding * 2 - 3, bold))) + padding * 2;
+        };
+
+        const drawRow = (cells, y, style, accent) => {
+            const header = style === 'header';
+            const height = measureRow(cells, header);
+
+            if (header) {
+                doc.rect(left, y, tableWidth, height).fill(this.colors.primary);
+            } else if (style === 'shaded') {
+                doc.rect(left, y, tableWidth, height).fill(this.colors.lightGray);
+            }
+            if (accent) {
+                doc.rect(left, y, 3, height).fill(accent);
+            }
+
+            let x = left;
+            cells.forEach((cell, i) => {
+                this.writeBriefingText(doc, fonts, cell, x + padding + 3, y + padding,
+                    { size: fontSize, bold: header || i === 0, color: header ? 'white' : this.colors.secondary, width: widths[i] - padding * 2 - 3 });
+                x += widths[i];
+            });
+            return height;
+        };
+
+        const headerCells = columns.map(column => column.label);
+        this.ensureBriefingSpace(doc, measureRow(headerCells, true) + (rows[0] ? measureRow(rows[0].cells, false) : 0));
+        let y = doc.y;
+        y += drawRow(headerCells, y, 'header');
+
+        rows.forEach((row, index) => {
+            const height = measureRow(row.cells, false);
+            if (y + height > doc.page.height - BRIEFING_LAYOUT.margins.bottom) {
+                doc.addPage({ size: BRIEFING_LAYOUT.size, margins: BRIEFING_LAYOUT.margins });
+                y = BRIEFING_LAYOUT.margins.top;
+                y += drawRow(headerCells, y, 'header');
+            }
+            y += drawRow(row.cells, y, index % 2 === 1 ? 'shaded' : 'plain', row.accent);
+        });
+
+        doc.x = left;
+        doc.y = y + 8;
+    }
+
+    /**
+     * Add a line of text in the briefing body, breaking to a new page when needed
+     */
+    addBriefingLine(doc, fonts, text, options = {}) {
+        const left = BRIEFING_LAYOUT.margins.left;
+        const width = doc.page.width - left - BRIEFING_LAYOUT.margins.right - 10;
+        const size = options.size || 9;
+
+        doc.fontSize(size);
+        const height = this.measureBriefingText(doc, fonts, text, width, options.bold);
+        this.ensureBriefingSpace(doc, height + 4);
+
+        const y = doc.y;
+        if (options.bullet) {
+            doc.circle(left + 3, y + size / 2, 1.8).fill(options.bullet);
+        }
+        this.writeBriefingText(doc, fonts, text, left + 10, y, { ...options, size, width });
+        doc.y = y + height + 3;
+    }
+
+    /**
+     * Stamp the footer with route, issue date and "Page X of Y" on every briefing page
+     */
+    stampBriefingPages(doc, fonts, t, routeData) {
+        const range = doc.bufferedPageRange();
+        const issued = new Date().toLocaleDateString('en-IN');
+
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            const { width, height } = doc.page;
+            const left = BRIEFING_LAYOUT.margins.left;
+            const footerY = height - BRIEFING_LAYOUT.footerOffset;
+
+            const bottomMargin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+
+            doc.strokeColor(this.colors.primary).lineWidth(0.75)
+               .moveTo(left, footerY).lineTo(width - left, footerY).stroke();
+            this.writeBriefingText(doc, fonts, `${routeData.routeId} | ${t('issued')}: ${issued}`, left, footerY + 6,
+                { size: 7.5, color: [120, 120, 120], width: width - left * 2, lineBreak: false });
+            this.writeBriefingText(doc, fonts, t('page', { page: i - range.start + 1, pages: range.count }), left, footerY + 6,
+                { size: 7.5, bold: true, color: this.colors.primary, width: width - left * 2, align: 'right', lineBreak: false });
+
+            doc.page.margins.bottom = bottomMargin;
+        }
+    }
+
+    /**
+     * Lay out the driver briefing card with at most `maxPoints` critical points
+     * @returns {Object} { doc, briefing } - the unfinished document and what it contains
+     */
+    layoutDriverBriefing(routeData, data, language, fontFiles, maxPoints) {
+        const t = (key, params) => translate(language, key, params);
+        const { points, hiddenCount } = this.buildBriefingCriticalPoints(data, t, maxPoints);
+        const deadZones = this.buildBriefingDeadZones(data.deadZones);
+        const restStops = this.selectBriefingRestStops(data.restStops);
+
+        const doc = new PDFDocument({
+            size: BRIEFING_LAYOUT.size,
+            margins: BRIEFING_LAYOUT.margins,
+            bufferPages: true,
+            lang: language,
+            info: {
+                Title: `${this.branding.shortName} Driver Briefing - ${routeData.routeName || routeData.routeId}`,
+                Author: this.branding.systemName,
+                Subject: `Driver briefing: ${routeData.fromName || 'Source'} to ${routeData.toName || 'Destination'}`,
+                Keywords: `${this.branding.shortName}, Driver Briefing, ${routeData.routeId}, ${BRIEFING_LANGUAGES[language].name}`,
+                Creator: `${this.branding.systemName} - Dynamic Generator`
+            }
+        });
+
+        let fonts = null;
+        if (fontFiles) {
+            doc.registerFont('Briefing', fontFiles.regular);
+            doc.registerFont('Briefing-Bold', fontFiles.bold);
+            fonts = { range: fontFiles.range };
+        }
+
+        this.addBriefingHeader(doc, fonts, t, routeData, language);
+        this.addBriefingEmergencyNumbers(doc, fonts, t, data.emergencyContacts);
+
+        this.addBriefingHeading(doc, fonts, t('criticalPoints'));
+        if (points.length > 0) {
+            this.drawBriefingTable(doc, fonts, [
+                { label: t('km'), width: 0.13 },
+                { label: t('hazard'), width: 0.35 },
+                { label: t('advice'), width: 0.52 }
+            ], points.map(point => ({
+                cells: [point.km.toFixed(1), point.hazard, point.advice.join('; ') || '-'],
+                accent: point.riskScore >= 8 ? this.colors.danger : this.colors.warning
+            })));
+        } else {
+            this.addBriefingLine(doc, fonts, t('noCriticalPoints'), { bullet: this.colors.success });
+        }
+        if (hiddenCount > 0) {
+            this.addBriefingLine(doc, fonts, t('morePoints', { count: hiddenCount }), { size: 8, color: [120, 120, 120] });
+        }
+
+        this.addBriefingHeading(doc, fonts, t('deadZones'));
+        if (deadZones.stretches.length > 0) {
+            deadZones.stretches.forEach(zone => this.addBriefingLine(doc, fonts, t('deadZoneStretch', zone), { bullet: this.colors.warning }));
+            if (deadZones.hiddenCount > 0) {
+                this.addBriefingLine(doc, fonts, t('moreDeadZones', { count: deadZones.hiddenCount }), { size: 8, color: [120, 120, 120] });
+            }
+            this.addBriefingLine(doc, fonts, t('deadZoneAdvice'), { bold: true, color: this.colors.warning });
+        } else {
+            this.addBriefingLine(doc, fonts, t('noDeadZones'), { bullet: this.colors.success });
+        }
+
+        this.addBriefingHeading(doc, fonts, t('restStops'));
+        if (restStops.length > 0) {
+            this.drawBriefingTable(doc, fonts, [
+                { label: t('km'), width: 0.13 },
+                { label: t('stop'), width: 0.47 },
+                { label: t('phone'), width: 0.2 },
+                { label: t('parking'), width: 0.2 }
+            ], restStops.map(stop => ({
+                cells: [
+                    Number.isFinite(stop.distanceFromStartKm) ? stop.distanceFromStartKm.toFixed(1) : '-',
+                    stop.name || '-',
+                    stop.phoneNumber || '-',
+                    stop.truckFriendly ? t('truckParking') : '-'
+                ]
+            })));
+        } else {
+            this.addBriefingLine(doc, fonts, t('noRestStops'), { bullet: this.colors.secondary });
+        }
+
+        doc.y += 4;
+        t('safetyRules').forEach(rule => this.addBriefingLine(doc, fonts, rule, { bold: true, color: this.colors.primary, bullet: this.colors.primary }));
+
+        this.stampBriefingPages(doc, fonts, t, routeData);
+
+        const briefing = {
+            language,
+            totalPages: doc.bufferedPageRange().count,
+            criticalPoints: points.length,
+            omittedPoints: hiddenCount,
+            deadZones: deadZones.stretches.length + deadZones.hiddenCount,
+            restStops: restStops.length,
+            emergencyContacts: data.emergencyContacts.length
+        };
+
+        return { doc, briefing };
+    }
+
+    /**
+     * MAIN METHOD: Generate the one- or two-page driver briefing card for a route
+     * @param {string} routeId - MongoDB ObjectId
+     * @param {string} userId - User ID for ownership verification
+     * @param {string} outputPath - Output file path (returns the open document when omitted)
+     * @param {Object} options - { language: key of BRIEFING_LANGUAGES, user: request user }
+     */
+    async generateDriverBriefing(routeId, userId = null, outputPath = null, options = {}) {
+        try {
+            const language = options.language || 'en';
+            if (!Object.hasOwn(BRIEFING_LANGUAGES, language)) {
+                throw new Error(`Unsupported briefing language: ${language}`);
+            }
+
+            console.log(`🚚 Generating driver briefing (${language}) for route: ${routeId}`);
+
+            // Fail before any data is loaded when the script font is missing
+            const fontFiles = this.resolveBriefingFonts(language);
+
+            const Route = require('./models/Route');
+            const routeFilter = { _id: routeId, status: { $ne: 'deleted' } };
+            if (userId) {
+                routeFilter.userId = userId;
+            }
+            const routeData = await Route.findOne(routeFilter).lean();
+            if (!routeData) {
+                throw new Error(`Route not found with ID: ${routeId}`);
+            }
+
+            const user = options.user || (userId ? { id: userId } : undefined);
+            const data = await this.loadDriverBriefingData(routeId, user);
+
+            // Drop the lowest-risk points until the card fits on the pocket-card page budget
+            let maxPoints = BRIEFING_LAYOUT.maxCriticalPoints;
+            let layout;
+            do {
+                layout = this.layoutDriverBriefing(routeData, data, language, fontFiles, maxPoints);
+                maxPoints -= 4;
+            } while (layout.briefing.totalPages > BRIEFING_LAYOUT.maxPages && maxPoints > 0);
+            const { doc, briefing } = layout;
+
+            if (outputPath) {
+                return new Promise((resolve, reject) => {
+                    const stream = fs.createWriteStream(outputPath);
+                    doc.pipe(stream);
+                    doc.end();
+
+                    stream.on('finish', () => {
+                        console.log(`✅ Driver briefing generated: ${outputPath} (${briefing.totalPages} pages)`);
+                        resolve({ filePath: outputPath, routeData, briefing });
+                    });
+
+                    stream.on('error', reject);
+                });
+            } else {
+                return { doc, routeData, briefing };
+            }
+
+        } catch (error) {
+            console.error('❌ Error generating driver briefing:', error);
+            throw error;
+        }
+    }
 }
 
 // Export the dynamic class
 module.exports = HPCLDynamicPDFGenerator;
+module.exports.REPORT_CHAPTERS = REPORT_CHAPTERS;
+module.exports.BRIEFING_LANGUAGES = BRIEFING_LANGUAGES;
 
 // Example usage
 if (require.main === module) {
@@ -616,13 +2109,21 @@ if (require.main === module) {
  *    const generator = new HPCLDynamicPDFGenerator();
  *    await generator.generateDynamicTitlePage(routeId, userId, 'output.pdf');
  * 
- * 2. For multi-page report:
- *    const { doc, routeData } = await generator.generateDynamicTitlePage(routeId, userId);
- *    doc.addPage();
- *    // Add more pages...
- *    doc.end();
+ * 2. For the complete multi-chapter report (all chapters, or a subset by key):
+ *    await generator.generateCompleteReport(routeId, userId, 'report.pdf');
+ *    await generator.generateCompleteReport(routeId, userId, 'report.pdf', {
+ *        chapters: ['overview', 'high-risk-zones', 'compliance']
+ *    });
+ * 
+ * 3. Driver briefing card in English, Hindi (hi), Marathi (mr) or Tamil (ta);
+ *    non-Latin languages embed the Noto fonts bundled in assets/fonts (override with PDF_FONTS_PATH):
+ *    await generator.generateDriverBriefing(routeId, userId, 'briefing-hi.pdf', { language: 'hi' });
+ * 
+ * 4. With a report template (branding, chapter order, disclaimer and signatories):
+ *    const template = await ReportTemplate.resolve('contractor_x');
+ *    await new HPCLDynamicPDFGenerator(template).generateCompleteReport(routeId, userId, 'report.pdf');
  * 
- * 3. API Integration:
+ * 5. API Integration:
  *    router.get('/routes/:routeId/generate-pdf', async (req, res) => {
  *        const result = await generator.generateDynamicTitlePage(
  *            req.params.routeId, 
@@ -3,6 +3,7 @@
 // ✅ UPDATED: Added 'moderate' to severity enum and enhanced validation
 
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const accidentProneAreaSchema = new mongoose.Schema({
   routeId: {
@@ -491,4 +492,6 @@ accidentProneAreaSchema.methods.getSeverityIcon = function() {
   return iconMap[this.accidentSeverity] || '❓';
 };
 
+accidentProneAreaSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('AccidentProneArea', accidentProneAreaSchema);
\ No newline at end of file
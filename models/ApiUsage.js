@@ -0,0 +1,55 @@
+// File: models/ApiUsage.js
+// Purpose: Daily metering of outbound provider API calls
+// One document per day / provider / user / route. Counters are incremented in batches by
+// apiQuotaService; budgets and usage reports aggregate over these documents.
+
+const mongoose = require('mongoose');
+
+const apiUsageSchema = new mongoose.Schema({
+  day: {
+    type: String, // YYYY-MM-DD (UTC)
+    required: true
+  },
+  month: {
+    type: String, // YYYY-MM (UTC)
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    default: null
+  },
+  calls: { type: Number, default: 0 }, // billable calls that reached the provider
+  cachedCalls: { type: Number, default: 0 }, // answered from cache or fixtures
+  blockedCalls: { type: Number, default: 0 }, // refused because a budget was exhausted
+  failedCalls: { type: Number, default: 0 }, // provider returned an error or timed out
+  skippedCalls: { type: Number, default: 0 }, // not attempted because the provider circuit was open
+  estimatedCostUsd: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiUsageSchema.index({ day: 1, provider: 1, userId: 1, routeId: 1 }, { unique: true });
+apiUsageSchema.index({ month: 1, provider: 1 });
+apiUsageSchema.index({ userId: 1, day: -1 });
+apiUsageSchema.index({ routeId: 1, day: -1 });
+
+// Transform JSON output
+apiUsageSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiUsage', apiUsageSchema);
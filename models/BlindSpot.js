@@ -3,6 +3,7 @@
 // CRITICAL FIX: Removed overly strict validation that was preventing saves
 
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const blindSpotSchema = new mongoose.Schema({
   routeId: {
@@ -286,7 +287,8 @@ const blindSpotSchema = new mongoose.Schema({
     'FALLBACK_MOCK',
     'google_places_api',  // Add this (lowercase version)
     'REAL_GPS_GEOMETRY',
-    'REAL_GOOGLE_ROADS_PLACES_API'
+    'REAL_GOOGLE_ROADS_PLACES_API',
+    'OSM_ROAD_NETWORK_PLACES_API'
   ],
   default: 'elevation_data'
 },
@@ -502,4 +504,6 @@ blindSpotSchema.set('toJSON', {
   }
 });
 
+blindSpotSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('BlindSpot', blindSpotSchema);
\ No newline at end of file
@@ -0,0 +1,111 @@
+// File: models/BulkJob.js
+// Purpose: Tracked background bulk operations over many routes
+// (bulk delete, bulk risk recalculation) with per-route results
+
+const mongoose = require('mongoose');
+
+const bulkJobResultSchema = new mongoose.Schema({
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  routeCode: String,   // Route.routeId (RT...)
+  routeName: String,
+  status: {
+    type: String,
+    enum: ['success', 'failed', 'skipped', 'dry_run']
+  },
+  message: String,
+  details: mongoose.Schema.Types.Mixed,
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const bulkJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['delete', 'recalculate'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+
+  // How the routes were selected - explicit ids and/or filter
+  selection: {
+    routeIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route'
+    }],
+    filter: {
+      terminalCode: String,
+      riskLevel: [String],
+      createdBefore: Date
+    }
+  },
+  options: {
+    profile: String,
+    source: String // endpoint that created the job
+  },
+
+  totalRoutes: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  succeeded: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+
+  results: [bulkJobResultSchema],
+
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+bulkJobSchema.index({ userId: 1, createdAt: -1 });
+bulkJobSchema.index({ status: 1 });
+
+bulkJobSchema.virtual('progress').get(function() {
+  if (!this.totalRoutes) return this.status === 'completed' ? 100 : 0;
+  return Math.round((this.processed / this.totalRoutes) * 100);
+});
+
+// Jobs left queued/running by a previous process cannot resume - mark them failed
+bulkJobSchema.statics.failInterrupted = async function() {
+  const result = await this.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: 'Interrupted by server restart', completedAt: new Date() } }
+  );
+  return result.modifiedCount || 0;
+};
+
+// Transform JSON output
+bulkJobSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    delete ret.id;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
@@ -0,0 +1,439 @@
+// File: models/ComplianceRule.js
+// Purpose: Compliance rules stored as data and evaluated per trip by complianceRuleService
+// A rule applies when its `appliesWhen` condition matches the trip facts (route, vehicle,
+// cargo, driver, schedule); it then contributes a requirement, any issues whose own condition
+// matches, a penalty line and its regulation. Rules are managed by admins through
+// /api/compliance-rules; the built-in set is seeded on first use.
+//
+// Conditions: { all: [...] } | { any: [...] } | { not: {...} } | { fact, op, value }
+// `fact` is a dotted path into the facts (e.g. "cargo.hazardous", "trip.drivingHours").
+// Text fields may reference facts as {{path}}.
+
+const mongoose = require('mongoose');
+const adminManagedPlugin = require('./plugins/adminManaged');
+
+const CATEGORIES = [
+  'documents', 'hazardous_goods', 'permits', 'driving_hours', 'night_driving', 'vehicle_tracking', 'vehicle_equipment'
+];
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists', 'notExists', 'truthy', 'falsy', 'nonEmpty', 'empty'];
+const REQUIREMENT_STATUSES = ['REQUIRED', 'CONDITIONAL', 'RECOMMENDED'];
+const SEVERITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+const HAZARDOUS = { fact: 'cargo.hazardous', op: 'eq', value: true };
+
+// Built-in rules seeded on first use - admins can edit them afterwards
+const DEFAULT_RULES = [
+  {
+    code: 'driving_licence',
+    title: 'Valid Driving License',
+    category: 'documents',
+    regulation: 'Motor Vehicles Act, 1988 - Section 3 (necessity for driving licence)',
+    priority: 10,
+    appliesWhen: { all: [] },
+    requirement: { status: 'REQUIRED', action: 'Driver must hold a valid driving licence for the {{vehicle.vehicleType}} (transport endorsement for goods carriages)' },
+    penalty: 'Driving without valid licence: fine up to Rs 5,000 and/or imprisonment up to 3 months (Section 181)'
+  },
+  {
+    code: 'vehicle_registration_insurance',
+    title: 'Registration and Insurance',
+    category: 'documents',
+    regulation: 'Motor Vehicles Act, 1988 - Sections 39 and 146 (registration, third-party insurance)',
+    priority: 11,
+    appliesWhen: { all: [] },
+    requirement: { status: 'REQUIRED', action: 'Carry the registration certificate and a valid insurance policy' },
+    issues: [
+      {
+        when: { fact: 'vehicle.insuranceValid', op: 'eq', value: false },
+        severity: 'HIGH',
+        message: 'Vehicle insurance expires before the trip ({{vehicle.insuranceExpiry}})',
+        action: 'Renew insurance before dispatch'
+      }
+    ],
+    penalty: 'No insurance: fine Rs 2,000 and/or imprisonment up to 3 months (Section 196)'
+  },
+  {
+    code: 'fitness_and_puc',
+    title: 'Fitness and Pollution Certificates',
+    category: 'documents',
+    regulation: 'Motor Vehicles Act, 1988 - Section 56 (fitness); CMVR Rule 115 (PUC)',
+    priority: 12,
+    appliesWhen: { all: [] },
+    requirement: { status: 'REQUIRED', action: 'Carry a valid fitness certificate and Pollution Under Control certificate' },
+    issues: [
+      {
+        when: { fact: 'vehicle.fitnessValid', op: 'eq', value: false },
+        severity: 'HIGH',
+        message: 'Fitness certificate expires before the trip ({{vehicle.fitnessExpiry}})',
+        action: 'Renew fitness certificate at the RTO before dispatch'
+      },
+      {
+        when: { fact: 'vehicle.pucValid', op: 'eq', value: false },
+        severity: 'MEDIUM',
+        message: 'PUC certificate expires before the trip ({{vehicle.pucExpiry}})',
+        action: 'Renew PUC before dispatch'
+      }
+    ],
+    penalty: 'No valid PUC: fine up to Rs 10,000 (Section 190(2)); no fitness: vehicle may be detained'
+  },
+  {
+    code: 'hazmat_driver_rule9',
+    title: 'Dangerous Goods Driver Qualification',
+    category: 'hazardous_goods',
+    regulation: 'CMVR 1989 - Rule 9 (driver of goods carriage carrying dangerous or hazardous goods)',
+    priority: 20,
+    appliesWhen: HAZARDOUS,
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Driver must hold a dangerous goods training certificate and be able to read and write an Indian language and English ({{cargo.productName}}, UN {{cargo.unNumber}})'
+    },
+    issues: [
+      {
+        when: { fact: 'driver.hazmatTrained', op: 'eq', value: false },
+        severity: 'HIGH',
+        message: 'Assigned driver has no dangerous goods training certificate',
+        action: 'Assign a Rule 9 certified driver before loading'
+      },
+      {
+        when: { fact: 'driver.hazmatTrained', op: 'notExists' },
+        severity: 'MEDIUM',
+        message: 'Driver dangerous goods training not recorded for this trip',
+        action: 'Verify the Rule 9 training certificate at gate-in'
+      }
+    ],
+    penalty: 'Carrying hazardous goods in violation of the rules: fine Rs 10,000 and/or imprisonment up to 1 year for the first offence (Section 190(3))'
+  },
+  {
+    code: 'hazmat_documentation',
+    title: 'Hazardous Goods Labelling and TREM Card',
+    category: 'hazardous_goods',
+    regulation: 'CMVR 1989 - Rules 129 to 137 (transport of hazardous goods)',
+    priority: 21,
+    appliesWhen: HAZARDOUS,
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Class {{cargo.hazardClass}} labels and emergency information panel on the tanker; TREM card and consignor information in the cab'
+    },
+    penalty: 'Missing labels / TREM card: fine and detention of the vehicle (Section 190(3))'
+  },
+  {
+    code: 'peso_petroleum_licence',
+    title: 'PESO Tank Truck Licence (Petroleum Rules)',
+    category: 'hazardous_goods',
+    regulation: 'Petroleum Rules, 2002 - licence for transport of petroleum in tank trucks (PESO)',
+    priority: 22,
+    appliesWhen: { fact: 'cargo.regime', op: 'eq', value: 'petroleum' },
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Valid PESO licence for the tank truck covering petroleum class {{cargo.petroleumClass}} ({{cargo.productName}})'
+    },
+    issues: [
+      {
+        when: { fact: 'vehicle.pesoLicenceValid', op: 'eq', value: false },
+        severity: 'HIGH',
+        message: 'PESO licence expires before the trip ({{vehicle.pesoLicenceExpiry}})',
+        action: 'Do not load until the licence is renewed'
+      },
+      {
+        when: { fact: 'vehicle.pesoLicenceValid', op: 'notExists' },
+        severity: 'MEDIUM',
+        message: 'PESO licence for the tank truck not recorded',
+        action: 'Record licence number and expiry on the trip'
+      }
+    ],
+    penalty: 'Transport without PESO licence: prosecution under the Petroleum Act, 1934 and seizure of the consignment'
+  },
+  {
+    code: 'peso_smpv_licence',
+    title: 'PESO Licence for LPG Bullet (SMPV(U) Rules)',
+    category: 'hazardous_goods',
+    regulation: 'Static and Mobile Pressure Vessels (Unfired) Rules, 2016 - licence for mobile pressure vessels (PESO)',
+    priority: 23,
+    appliesWhen: { fact: 'cargo.regime', op: 'eq', value: 'smpv' },
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Valid PESO licence and current hydro-test certificate for the {{cargo.productName}} pressure vessel'
+    },
+    issues: [
+      {
+        when: { fact: 'vehicle.pesoLicenceValid', op: 'eq', value: false },
+        severity: 'HIGH',
+        message: 'SMPV(U) licence expires before the trip ({{vehicle.pesoLicenceExpiry}})',
+        action: 'Do not fill the bullet until the licence is renewed'
+      },
+      {
+        when: { fact: 'vehicle.pesoLicenceValid', op: 'notExists' },
+        severity: 'MEDIUM',
+        message: 'SMPV(U) licence for the bullet not recorded',
+        action: 'Record licence number and expiry on the trip'
+      }
+    ],
+    penalty: 'Operating a pressure vessel without licence: prosecution under the Explosives Act, 1884 and detention of the vehicle'
+  },
+  {
+    code: 'speed_limit_hazardous',
+    title: 'Speed Governor - Hazardous Goods',
+    category: 'vehicle_equipment',
+    regulation: 'CMVR 1989 - Rule 118 (speed governors)',
+    priority: 30,
+    appliesWhen: HAZARDOUS,
+    requirement: { status: 'REQUIRED', action: 'Speed limiting device set to 60 km/h for vehicles carrying dangerous goods' },
+    penalty: 'Tampered / missing speed governor: fitness certificate suspended'
+  },
+  {
+    code: 'interstate_permit',
+    title: 'Interstate Goods Carriage Permit',
+    category: 'permits',
+    regulation: 'Motor Vehicles Act, 1988 - Sections 66 and 88 (permits, validity in other states)',
+    priority: 40,
+    appliesWhen: {
+      all: [
+        { fact: 'route.interstate', op: 'eq', value: true },
+        { fact: 'vehicle.nationalPermit', op: 'ne', value: true }
+      ]
+    },
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Permit valid or countersigned for every state crossed: {{route.stateNames}}'
+    },
+    issues: [
+      {
+        when: { fact: 'vehicle.statesWithoutPermit', op: 'nonEmpty' },
+        severity: 'HIGH',
+        message: 'No permit recorded for {{vehicle.statesWithoutPermitNames}}',
+        action: 'Obtain countersignature / temporary permit before the trip or use a National Permit vehicle'
+      }
+    ],
+    penalty: 'Plying without valid permit: fine up to Rs 10,000 and/or imprisonment up to 6 months for the first offence (Section 192A)'
+  },
+  {
+    code: 'national_permit_documents',
+    title: 'National Permit Authorisation',
+    category: 'permits',
+    regulation: 'Motor Vehicles Act, 1988 - Section 88(12) (National Permit)',
+    priority: 41,
+    appliesWhen: {
+      all: [
+        { fact: 'route.interstate', op: 'eq', value: true },
+        { fact: 'vehicle.nationalPermit', op: 'eq', value: true }
+      ]
+    },
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Carry National Permit authorisation and consolidated fee receipt; trip crosses {{route.stateNames}}'
+    },
+    penalty: 'Expired authorisation: treated as plying without permit (Section 192A)'
+  },
+  {
+    code: 'interstate_unknown',
+    title: 'Route Permits (state crossings not determined)',
+    category: 'permits',
+    regulation: 'Motor Vehicles Act, 1988 - Section 66 (necessity for permits)',
+    priority: 42,
+    appliesWhen: { fact: 'route.statesDetected', op: 'eq', value: false },
+    requirement: {
+      status: 'CONDITIONAL',
+      action: 'State crossings could not be located from the route coordinates or addresses - confirm permits for every state on the route'
+    }
+  },
+  {
+    code: 'continuous_driving_break',
+    title: 'Rest Breaks',
+    category: 'driving_hours',
+    regulation: 'Motor Transport Workers Act, 1961 - Section 13 / Motor Vehicles Act, 1988 - Section 91',
+    priority: 50,
+    appliesWhen: { fact: 'trip.drivingHours', op: 'gt', value: 5 },
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Half-hour rest after every 5 hours of driving - plan {{trip.restBreaksRequired}} break(s) on this {{trip.drivingHours}} h trip'
+    },
+    penalty: 'Driving hour violations: fine on the operator and driver licence action'
+  },
+  {
+    code: 'daily_driving_limit',
+    title: 'Daily Driving Limit',
+    category: 'driving_hours',
+    regulation: 'Motor Transport Workers Act, 1961 - Section 13 (8 hours a day)',
+    priority: 51,
+    appliesWhen: { fact: 'trip.drivingHours', op: 'gt', value: 8 },
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Trip needs {{trip.drivingHours}} h of driving - a single driver may drive at most 8 h a day'
+    },
+    issues: [
+      {
+        when: { fact: 'driver.relieverDriver', op: 'ne', value: true },
+        severity: 'HIGH',
+        message: 'Estimated {{trip.drivingHours}} h of driving exceeds the 8 h daily limit with no reliever driver',
+        action: 'Assign a reliever driver or plan an overnight halt'
+      }
+    ],
+    penalty: 'Driving hour violations: fine on the operator and driver licence action'
+  },
+  {
+    code: 'night_driving_ban',
+    title: 'Night Driving Restriction',
+    category: 'night_driving',
+    regulation: 'Oil industry transport discipline guidelines - no tank truck movement {{trip.nightWindow}}',
+    priority: 60,
+    appliesWhen: {
+      all: [HAZARDOUS, { fact: 'trip.departureKnown', op: 'eq', value: true }]
+    },
+    requirement: {
+      status: 'REQUIRED',
+      action: 'Park at an approved halt during {{trip.nightWindow}}'
+    },
+    issues: [
+      {
+        when: { fact: 'trip.nightDrivingHours', op: 'gt', value: 0 },
+        severity: 'HIGH',
+        message: '{{trip.nightDrivingHours}} h of the planned trip fall within {{trip.nightWindow}}',
+        action: 'Reschedule departure or plan a night halt before {{trip.nightWindowStart}}'
+      }
+    ],
+    penalty: 'Night movement of tank trucks: transporter penalised under the OMC transport contract'
+  },
+  {
+    code: 'night_driving_planning',
+    title: 'Night Driving Restriction (departure not planned)',
+    category: 'night_driving',
+    regulation: 'Oil industry transport discipline guidelines - no tank truck movement {{trip.nightWindow}}',
+    priority: 61,
+    appliesWhen: {
+      all: [HAZARDOUS, { fact: 'trip.departureKnown', op: 'eq', value: false }]
+    },
+    requirement: {
+      status: 'CONDITIONAL',
+      action: 'Set a planned departure time so the {{trip.drivingHours}} h trip can be checked against {{trip.nightWindow}}'
+    }
+  },
+  {
+    code: 'ais140_tracking',
+    title: 'AIS-140 Vehicle Tracking Device',
+    category: 'vehicle_tracking',
+    regulation: 'CMVR 1989 - Rule 125H / AIS-140 (vehicle location tracking and emergency button)',
+    priority: 70,
+    appliesWhen: {
+      any: [HAZARDOUS, { fact: 'vehicle.nationalPermit', op: 'eq', value: true }, { fact: 'vehicle.heavy', op: 'eq', value: true }]
+    },
+    requirement: { status: 'REQUIRED', action: 'AIS-140 certified VLT device with emergency buttons, connected to the state backend' },
+    issues: [
+      {
+        when: { fact: 'vehicle.ais140Installed', op: 'eq', value: false },
+        severity: 'HIGH',
+        message: 'Vehicle has no AIS-140 tracking device',
+        action: 'Install a certified VLT device before dispatch'
+      },
+      {
+        when: { fact: 'vehicle.ais140Installed', op: 'notExists' },
+        severity: 'MEDIUM',
+        message: 'AIS-140 device status not recorded for the vehicle',
+        action: 'Confirm the VLT device is fitted and reporting'
+      }
+    ],
+    penalty: 'No AIS-140 device: fitness certificate and permit not issued or renewed'
+  }
+];
+
+const issueSchema = new mongoose.Schema({
+  when: { type: mongoose.Schema.Types.Mixed, required: true },
+  severity: { type: String, enum: SEVERITIES, default: 'MEDIUM' },
+  message: { type: String, required: true },
+  action: { type: String, default: 'Address before travel' }
+}, { _id: false });
+
+// Structural check so a bad rule is rejected on save instead of failing every evaluation
+function isValidCondition(condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return false;
+  if (Array.isArray(condition.all)) return condition.all.every(isValidCondition);
+  if (Array.isArray(condition.any)) return condition.any.every(isValidCondition);
+  if (condition.not !== undefined) return isValidCondition(condition.not);
+  return typeof condition.fact === 'string' && condition.fact.length > 0 && OPERATORS.includes(condition.op);
+}
+
+const complianceRuleSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Rule code may only contain lowercase letters, numbers and underscores']
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    required: true
+  },
+  regulation: String,
+  description: String,
+
+  appliesWhen: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    validate: {
+      validator: isValidCondition,
+      message: `appliesWhen must be { all | any | not } or { fact, op } with op one of: ${OPERATORS.join(', ')}`
+    }
+  },
+  requirement: {
+    status: { type: String, enum: REQUIREMENT_STATUSES, default: 'REQUIRED' },
+    action: { type: String, required: true }
+  },
+  issues: {
+    type: [issueSchema],
+    validate: {
+      validator: issues => issues.every(issue => isValidCondition(issue.when)),
+      message: 'Every issue needs a valid `when` condition'
+    }
+  },
+  penalty: String,
+
+  // Lower numbers are listed first
+  priority: {
+    type: Number,
+    default: 100
+  }
+}, {
+  timestamps: true
+});
+
+// isActive, version (so evaluations can reference the exact rule revision), audit users
+// and seeding of the built-in rules
+complianceRuleSchema.plugin(adminManagedPlugin, {
+  defaults: DEFAULT_RULES,
+  label: 'default compliance rules'
+});
+
+// Indexes
+complianceRuleSchema.index({ isActive: 1, priority: 1 });
+complianceRuleSchema.index({ category: 1 });
+
+// Active rules in evaluation order
+complianceRuleSchema.statics.getActiveRules = async function() {
+  await this.ensureDefaults();
+  return this.find({ isActive: true }).sort({ priority: 1, code: 1 }).lean();
+};
+
+// Transform JSON output
+complianceRuleSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const ComplianceRule = mongoose.model('ComplianceRule', complianceRuleSchema);
+
+ComplianceRule.CATEGORIES = CATEGORIES;
+ComplianceRule.OPERATORS = OPERATORS;
+ComplianceRule.REQUIREMENT_STATUSES = REQUIREMENT_STATUSES;
+ComplianceRule.SEVERITIES = SEVERITIES;
+ComplianceRule.DEFAULT_RULES = DEFAULT_RULES;
+ComplianceRule.isValidCondition = isValidCondition;
+
+module.exports = ComplianceRule;
@@ -0,0 +1,90 @@
+// File: models/DataCollectionJob.js
+// Purpose: Tracks a queued collect-all-data run for a route
+// Step-level status is persisted so clients can poll progress, cancel the run
+// and resume from the first failed step.
+
+const mongoose = require('mongoose');
+
+const collectionStepSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  name: String,
+  order: Number,
+  status: {
+    type: String,
+    enum: ['PENDING', 'RUNNING', 'SUCCESS', 'FAILED', 'CANCELLED'],
+    default: 'PENDING'
+  },
+  attempts: { type: Number, default: 0 },
+  startedAt: Date,
+  completedAt: Date,
+  durationMs: Number,
+  error: String,
+  result: mongoose.Schema.Types.Mixed // normalised step result (see utils/collectionSummary)
+}, { _id: false });
+
+const dataCollectionJobSchema = new mongoose.Schema({
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  routeCode: String, // Route.routeId (RT...)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'completed_with_errors', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  steps: [collectionStepSchema],
+  currentStep: String,
+  progress: { type: Number, default: 0 }, // 0-100
+
+  // Run number - incremented on every resume
+  run: { type: Number, default: 1 },
+  queueJobId: String,
+  queueMode: {
+    type: String,
+    enum: ['bull', 'inline'],
+    default: 'bull'
+  },
+
+  cancelRequested: { type: Boolean, default: false },
+
+  summary: mongoose.Schema.Types.Mixed,
+  recommendations: mongoose.Schema.Types.Mixed,
+  error: String,
+
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataCollectionJobSchema.index({ routeId: 1, createdAt: -1 });
+dataCollectionJobSchema.index({ userId: 1, status: 1 });
+
+dataCollectionJobSchema.methods.isActive = function() {
+  return this.status === 'queued' || this.status === 'running';
+};
+
+// Index of the first step that still needs to run (failed, cancelled or pending)
+dataCollectionJobSchema.methods.getResumeIndex = function() {
+  return this.steps.findIndex(step => step.status !== 'SUCCESS');
+};
+
+// Transform JSON output
+dataCollectionJobSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('DataCollectionJob', dataCollectionJobSchema);
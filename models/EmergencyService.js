@@ -2,6 +2,7 @@
 // Purpose: Enhanced emergency service model with comprehensive fields
 
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const emergencyServiceSchema = new mongoose.Schema({
   routeId: {
@@ -235,4 +236,6 @@ emergencyServiceSchema.set('toJSON', {
   }
 });
 
+emergencyServiceSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('EmergencyService', emergencyServiceSchema);
\ No newline at end of file
@@ -2,6 +2,7 @@
 // Purpose: Network coverage data storage model
 
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const networkCoverageSchema = new mongoose.Schema({
   routeId: {
@@ -227,4 +228,6 @@ networkCoverageSchema.statics.getRouteCoverageAnalysis = function(routeId) {
   ]);
 };
 
+networkCoverageSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('NetworkCoverage', networkCoverageSchema);
\ No newline at end of file
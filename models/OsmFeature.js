@@ -0,0 +1,72 @@
+// File: models/OsmFeature.js
+// Purpose: Point features on the imported OpenStreetMap road network
+// Junctions (nodes where three or more road arms meet), railway level crossings, signals,
+// stop/give-way signs, toll booths, speed breakers and hazard markers.
+
+const mongoose = require('mongoose');
+
+const FEATURE_TYPES = [
+  'junction',
+  'railway_crossing',
+  'traffic_signals',
+  'stop',
+  'give_way',
+  'mini_roundabout',
+  'pedestrian_crossing',
+  'toll_booth',
+  'speed_camera',
+  'traffic_calming',
+  'hazard'
+];
+
+const osmFeatureSchema = new mongoose.Schema({
+  osmId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OsmImport',
+    required: true
+  },
+  // A node can be several things at once (e.g. a signalised junction)
+  types: {
+    type: [String],
+    enum: FEATURE_TYPES,
+    required: true
+  },
+  roadArms: { type: Number, default: 0 }, // road segments meeting at the node
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  tags: mongoose.Schema.Types.Mixed // relevant OSM tags (railway, crossing, traffic_calming, hazard, ...)
+}, {
+  timestamps: true
+});
+
+// Indexes
+osmFeatureSchema.index({ location: '2dsphere' });
+osmFeatureSchema.index({ types: 1 });
+osmFeatureSchema.index({ importId: 1 });
+
+// Transform JSON output
+osmFeatureSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const OsmFeature = mongoose.model('OsmFeature', osmFeatureSchema);
+OsmFeature.FEATURE_TYPES = FEATURE_TYPES;
+
+module.exports = OsmFeature;
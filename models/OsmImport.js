@@ -0,0 +1,77 @@
+// File: models/OsmImport.js
+// Purpose: One run of the OpenStreetMap road network importer
+// The bounding box of completed imports tells osmRoadNetworkService where local data exists.
+
+const mongoose = require('mongoose');
+
+const osmImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['pbf', 'xml', 'xml-gz'],
+    required: true
+  },
+  fileSizeBytes: Number,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'superseded'],
+    default: 'running'
+  },
+  // Set when a later --replace import dropped this run's data
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OsmImport'
+  },
+  phase: String, // collecting_refs, resolving_nodes, writing_ways, cleanup
+
+  // Area covered by the extract (from the file header, else computed from imported nodes)
+  bbox: {
+    minLat: Number,
+    minLon: Number,
+    maxLat: Number,
+    maxLon: Number
+  },
+  filterBbox: {
+    minLat: Number,
+    minLon: Number,
+    maxLat: Number,
+    maxLon: Number
+  },
+  osmDataTimestamp: Date, // replication timestamp of the extract, if the file carries one
+  writingProgram: String,
+
+  counts: {
+    ways: { type: Number, default: 0 },
+    bridges: { type: Number, default: 0 },
+    tunnels: { type: Number, default: 0 },
+    features: { type: Number, default: 0 },
+    junctions: { type: Number, default: 0 },
+    railwayCrossings: { type: Number, default: 0 },
+    missingNodes: { type: Number, default: 0 }, // way refs with no node in the extract (clipped at the border)
+    failedWrites: { type: Number, default: 0 },
+    removedStale: { type: Number, default: 0 }
+  },
+
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  durationMs: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+osmImportSchema.index({ status: 1, completedAt: -1 });
+
+// Transform JSON output
+osmImportSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('OsmImport', osmImportSchema);
@@ -0,0 +1,74 @@
+// File: models/OsmWay.js
+// Purpose: Road network imported from OpenStreetMap extracts (one document per highway way)
+// Written by osmImportService; queried by osmRoadNetworkService for road attributes,
+// nearby roads, bridges and tunnels instead of paid map APIs.
+
+const mongoose = require('mongoose');
+
+const osmWaySchema = new mongoose.Schema({
+  osmId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OsmImport',
+    required: true
+  },
+  highway: {
+    type: String, // OSM highway class (trunk, primary, residential, ...)
+    required: true
+  },
+  name: String,
+  ref: String, // road number, e.g. NH48;SH17
+  maxspeedKmph: Number,
+  lanes: Number,
+  widthMeters: Number,
+  oneway: { type: Boolean, default: false },
+  surface: String,
+  smoothness: String,
+  bridge: { type: Boolean, default: false },
+  tunnel: { type: Boolean, default: false },
+  layer: Number,
+  roundabout: { type: Boolean, default: false },
+  underConstruction: { type: Boolean, default: false },
+
+  // Heavy vehicle restrictions (tonnes / metres)
+  hgvAccess: String,
+  maxweightTonnes: Number,
+  maxheightMeters: Number,
+
+  geometry: {
+    type: {
+      type: String,
+      enum: ['LineString'],
+      default: 'LineString'
+    },
+    coordinates: {
+      type: [[Number]], // [longitude, latitude]
+      required: true
+    }
+  },
+  lengthKm: Number,
+  nodeCount: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+osmWaySchema.index({ geometry: '2dsphere' });
+osmWaySchema.index({ importId: 1 });
+osmWaySchema.index({ highway: 1 });
+osmWaySchema.index({ bridge: 1 }, { partialFilterExpression: { bridge: true } });
+osmWaySchema.index({ tunnel: 1 }, { partialFilterExpression: { tunnel: true } });
+
+// Transform JSON output
+osmWaySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('OsmWay', osmWaySchema);
@@ -0,0 +1,43 @@
+// File: models/ProviderCacheEntry.js
+// Purpose: Mongo storage for cached external provider responses
+// Used by providerHttpService when PROVIDER_CACHE_STORE=mongo (or Redis is unavailable).
+// Entries are removed by the TTL index once expiresAt has passed.
+
+const mongoose = require('mongoose');
+
+const providerCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  url: String, // request URL with API keys redacted
+  status: Number,
+  data: mongoose.Schema.Types.Mixed,
+  hits: { type: Number, default: 0 },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+providerCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+providerCacheEntrySchema.index({ provider: 1 });
+
+// Transform JSON output
+providerCacheEntrySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ProviderCacheEntry', providerCacheEntrySchema);
@@ -0,0 +1,45 @@
+// File: models/ProviderHealthBucket.js
+// Purpose: Health history for external providers in 5-minute buckets
+// Written by providerHealthService; backs the provider health history endpoint.
+// Buckets are removed by the TTL index after 30 days.
+
+const mongoose = require('mongoose');
+
+const providerHealthBucketSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  bucketStart: {
+    type: Date,
+    required: true
+  },
+  calls: { type: Number, default: 0 }, // requests that reached the provider
+  successes: { type: Number, default: 0 },
+  failures: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 }, // refused by an open circuit
+  totalLatencyMs: { type: Number, default: 0 },
+  maxLatencyMs: { type: Number, default: 0 },
+  errors: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  circuitOpened: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes
+providerHealthBucketSchema.index({ provider: 1, bucketStart: 1 }, { unique: true });
+providerHealthBucketSchema.index({ bucketStart: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Transform JSON output
+providerHealthBucketSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ProviderHealthBucket', providerHealthBucketSchema);
@@ -0,0 +1,181 @@
+// File: models/ReportTemplate.js
+// Purpose: Report templates stored as data - branding (logo, colour palette, organisation
+// names), cover text, the report chapters to include and their order, the disclaimer and
+// the signatories printed on the sign-off page. Templates are managed by admins through
+// /api/report-templates and selected per request with `template` on the /api/pdf endpoints;
+// the built-in HPCL template is seeded on first use.
+
+const mongoose = require('mongoose');
+const path = require('path');
+const adminManagedPlugin = require('./plugins/adminManaged');
+
+const COLOR_KEYS = ['primary', 'secondary', 'danger', 'warning', 'success', 'info', 'lightGray', 'white', 'accent'];
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+// Logos are uploaded into the report logo folder and referenced by file name only
+const LOGO_FILE = /^[\w.-]+\.(png|jpe?g)$/i;
+
+// Built-in template seeded on first use - matches the original hardcoded HPCL report
+const DEFAULT_TEMPLATE = {
+  name: 'hpcl_standard',
+  displayName: 'HPCL Standard Report',
+  organisation: 'Hindustan Petroleum Corporation Limited',
+  description: 'Full journey risk report with HPCL branding',
+  isDefault: true,
+  branding: {
+    organisationName: 'HINDUSTAN PETROLEUM CORPORATION LIMITED',
+    shortName: 'HPCL',
+    divisionName: 'Journey Risk Management Division',
+    tagline: 'Powered by Route Analytics Pro - AI Intelligence Platform',
+    systemName: 'HPCL Journey Risk Management System',
+    logoFile: null,
+    showLogo: true,
+    colors: {
+      primary: '#005293',
+      secondary: '#3c3c3c',
+      danger: '#dc3545',
+      warning: '#fd7e14',
+      success: '#28a745',
+      info: '#005293',
+      lightGray: '#f5f5f5',
+      white: '#ffffff',
+      accent: '#ffc107'
+    }
+  },
+  cover: {
+    title: 'COMPREHENSIVE JOURNEY RISK MANAGEMENT ANALYSIS REPORT',
+    subtitle: null,
+    reportName: 'Journey Risk Analysis Report'
+  },
+  confidentialityNotice: 'CONFIDENTIAL - For Internal HPCL Use Only',
+  chapters: [
+    'overview', 'route-map', 'risk-factors', 'high-risk-zones', 'seasonal-conditions',
+    'emergency-services', 'amenities', 'communication-coverage', 'terrain', 'traffic', 'compliance'
+  ],
+  disclaimer: null,
+  signatories: []
+};
+
+const colorFields = COLOR_KEYS.reduce((fields, key) => {
+  fields[key] = { type: String, match: [HEX_COLOR, `Colour ${key} must be a #rrggbb hex value`] };
+  return fields;
+}, {});
+
+const signatorySchema = new mongoose.Schema({
+  role: { type: String, trim: true, default: 'Approved by' }, // label above the signature line
+  name: { type: String, trim: true, required: true },
+  designation: { type: String, trim: true },
+  organisation: { type: String, trim: true }
+}, { _id: false });
+
+const reportTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Template name may only contain lowercase letters, numbers and underscores']
+  },
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  organisation: {
+    type: String,
+    trim: true
+  }, // business unit or transport contractor the template belongs to
+  description: String,
+
+  branding: {
+    organisationName: { type: String, required: true, trim: true },
+    shortName: { type: String, trim: true },
+    divisionName: { type: String, trim: true },
+    tagline: { type: String, trim: true },
+    systemName: { type: String, trim: true },
+    // File name in LOGOS_PATH; the built-in HPCL logo is used when none is set
+    logoFile: {
+      type: String,
+      trim: true,
+      match: [LOGO_FILE, 'Logo must be a .png or .jpg file name from the report logo folder']
+    },
+    showLogo: { type: Boolean, default: true },
+    // Colours left out fall back to the HPCL palette
+    colors: {
+      type: new mongoose.Schema(colorFields, { _id: false }),
+      default: {}
+    }
+  },
+
+  cover: {
+    title: { type: String, trim: true },
+    subtitle: { type: String, trim: true }, // replaces the data-quality line under the title
+    reportName: { type: String, trim: true } // running header and document title
+  },
+  confidentialityNotice: {
+    type: String,
+    trim: true
+  },
+
+  // Report chapter keys in the order they are rendered (empty includes every chapter)
+  chapters: {
+    type: [String],
+    validate: {
+      validator: function(chapters) {
+        // Lazy require: the generator loads this model for its default template
+        const { REPORT_CHAPTERS } = require('../hpcl-enhanced-pdf-generator');
+        const keys = REPORT_CHAPTERS.map(chapter => chapter.key);
+        return new Set(chapters).size === chapters.length && chapters.every(key => keys.includes(key));
+      },
+      message: 'Chapters must be distinct report chapter keys'
+    }
+  },
+
+  disclaimer: String,
+  signatories: [signatorySchema],
+
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// isActive, version (echoed with generated reports), audit users and seeding of the HPCL template
+reportTemplateSchema.plugin(adminManagedPlugin, {
+  defaults: [DEFAULT_TEMPLATE],
+  label: 'default report template'
+});
+
+// Indexes
+reportTemplateSchema.index({ isActive: 1 });
+reportTemplateSchema.index({ organisation: 1 });
+
+// Find an active template by name, or the default template when no name is given
+reportTemplateSchema.statics.resolve = async function(name) {
+  await this.ensureDefaults();
+
+  if (name) {
+    return this.findOne({ name: String(name).toLowerCase().trim(), isActive: true });
+  }
+  return (await this.findOne({ isDefault: true, isActive: true })) ||
+         this.findOne({ name: DEFAULT_TEMPLATE.name, isActive: true });
+};
+
+// Transform JSON output
+reportTemplateSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const ReportTemplate = mongoose.model('ReportTemplate', reportTemplateSchema);
+
+ReportTemplate.COLOR_KEYS = COLOR_KEYS;
+ReportTemplate.LOGO_FILE = LOGO_FILE;
+ReportTemplate.LOGOS_PATH = path.resolve(process.env.REPORT_LOGOS_PATH || './uploads/report-logos');
+ReportTemplate.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+
+module.exports = ReportTemplate;
@@ -0,0 +1,278 @@
+// File: models/RiskAssessment.js
+// Purpose: Immutable record of every risk calculation run for a route
+// One document is written per calculateRouteRisk() call so risk history and
+// per-factor changes between runs can be audited
+
+const mongoose = require('mongoose');
+
+const RISK_FACTORS = [
+  'roadConditions',
+  'accidentProne',
+  'sharpTurns',
+  'blindSpots',
+  'twoWayTraffic',
+  'trafficDensity',
+  'weatherConditions',
+  'emergencyServices',
+  'networkCoverage',
+  'amenities',
+  'securityIssues'
+];
+
+// Which collected data (dataCounts key or keys) and route inputs drive each factor - used to explain diffs
+const FACTOR_DATA_SOURCES = {
+  roadConditions: { dataCount: 'roadConditions', inputs: [] },
+  accidentProne: { dataCount: 'accidentProneAreas', inputs: [] },
+  sharpTurns: { dataCount: ['sharpTurns', 'steepGradients'], inputs: [] },
+  blindSpots: { dataCount: 'blindSpots', inputs: [] },
+  twoWayTraffic: { dataCount: null, inputs: ['terrain', 'totalDistance', 'majorHighways'] },
+  trafficDensity: { dataCount: 'trafficData', inputs: [] },
+  weatherConditions: { dataCount: 'weatherConditions', inputs: [] },
+  emergencyServices: { dataCount: 'emergencyServices', inputs: [] },
+  networkCoverage: { dataCount: 'networkCoverage', inputs: ['terrain', 'totalDistance'] },
+  amenities: { dataCount: 'amenities', inputs: ['totalDistance'] },
+  securityIssues: { dataCount: null, inputs: ['terrain', 'totalDistance', 'majorHighways'] }
+};
+
+const factorNumbers = RISK_FACTORS.reduce((fields, factor) => {
+  fields[factor] = { type: Number, default: 0 };
+  return fields;
+}, {});
+
+const riskAssessmentSchema = new mongoose.Schema({
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  routeCode: String, // Route.routeId (RT...) for readability
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Position of this run in the route's history (1 = first calculation)
+  sequence: {
+    type: Number,
+    required: true
+  },
+
+  trigger: {
+    type: String,
+    enum: ['manual', 'bulk', 'scheduled'],
+    default: 'manual'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  calculationVersion: {
+    type: String,
+    required: true
+  },
+
+  // Weight profile (vehicle class) the factors were combined with
+  profile: {
+    name: { type: String, default: 'standard' },
+    displayName: String,
+    version: Number
+  },
+
+  // Factor scores (1-10) and the weights (summing to 100) they were combined with
+  factors: new mongoose.Schema(factorNumbers, { _id: false }),
+  weights: new mongoose.Schema(factorNumbers, { _id: false }),
+
+  totalWeightedScore: { type: Number, required: true },
+  riskGrade: {
+    type: String,
+    enum: ['A', 'B', 'C', 'D', 'F'],
+    required: true
+  },
+  riskLevel: String,
+  confidenceLevel: Number,
+
+  // Number of collected records each factor was computed from
+  dataCounts: {
+    roadConditions: { type: Number, default: 0 },
+    accidentProneAreas: { type: Number, default: 0 },
+    sharpTurns: { type: Number, default: 0 },
+    steepGradients: { type: Number, default: 0 },
+    blindSpots: { type: Number, default: 0 },
+    trafficData: { type: Number, default: 0 },
+    weatherConditions: { type: Number, default: 0 },
+    emergencyServices: { type: Number, default: 0 },
+    amenities: { type: Number, default: 0 },
+    networkCoverage: { type: Number, default: 0 },
+    routePoints: { type: Number, default: 0 }
+  },
+
+  // Route attributes used by the non data-driven factors
+  inputs: {
+    terrain: String,
+    totalDistance: Number,
+    majorHighways: [String]
+  },
+
+  dataQuality: {
+    level: String,
+    completionPercentage: Number,
+    missingData: [String],
+    providerCoverage: mongoose.Schema.Types.Mixed // provider calls failed/skipped/blocked during collection
+  },
+
+  topRiskFactors: [{
+    _id: false,
+    factor: String,
+    score: Number,
+    weight: Number
+  }],
+
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+riskAssessmentSchema.index({ routeId: 1, sequence: -1 }, { unique: true });
+riskAssessmentSchema.index({ routeId: 1, calculatedAt: -1 });
+riskAssessmentSchema.index({ trigger: 1 });
+riskAssessmentSchema.index({ 'profile.name': 1 });
+
+// Assessments are append-only
+riskAssessmentSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Risk assessments are immutable and cannot be modified'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  riskAssessmentSchema.pre(operation, function(next) {
+    next(new Error('Risk assessments are immutable and cannot be modified'));
+  });
+});
+
+// Next sequence number for a route
+riskAssessmentSchema.statics.getNextSequence = async function(routeId) {
+  const latest = await this.findOne({ routeId }).sort({ sequence: -1 }).select('sequence').lean();
+  return latest ? latest.sequence + 1 : 1;
+};
+
+// Compare two assessments (older → newer) factor by factor and explain each movement
+riskAssessmentSchema.statics.compareAssessments = function(fromAssessment, toAssessment, threshold = 0.01) {
+  const from = fromAssessment.toObject ? fromAssessment.toObject() : fromAssessment;
+  const to = toAssessment.toObject ? toAssessment.toObject() : toAssessment;
+  const fromProfile = from.profile?.name || 'standard';
+  const toProfile = to.profile?.name || 'standard';
+  const profileChanged = fromProfile !== toProfile || from.profile?.version !== to.profile?.version;
+
+  const factorChanges = RISK_FACTORS.map(factor => {
+    const before = from.factors?.[factor] || 0;
+    const after = to.factors?.[factor] || 0;
+    const weightBefore = from.weights?.[factor] || 0;
+    const weightAfter = to.weights?.[factor] || 0;
+    const delta = Math.round((after - before) * 100) / 100;
+    const weightedImpact = Math.round(((after * weightAfter) - (before * weightBefore)) / 100 * 1000) / 1000;
+
+    const reasons = [];
+    const source = FACTOR_DATA_SOURCES[factor];
+
+    [].concat(source.dataCount || []).forEach(dataCount => {
+      const countBefore = from.dataCounts?.[dataCount] || 0;
+      const countAfter = to.dataCounts?.[dataCount] || 0;
+      if (countBefore !== countAfter) {
+        reasons.push(`${dataCount} records changed from ${countBefore} to ${countAfter}`);
+      }
+    });
+
+    source.inputs.forEach(input => {
+      const inputBefore = JSON.stringify(from.inputs?.[input] ?? null);
+      const inputAfter = JSON.stringify(to.inputs?.[input] ?? null);
+      if (inputBefore !== inputAfter) {
+        reasons.push(`Route ${input} changed from ${inputBefore} to ${inputAfter}`);
+      }
+    });
+
+    if (weightBefore !== weightAfter) {
+      reasons.push(`Weight changed from ${weightBefore} to ${weightAfter}` +
+        (profileChanged ? ` (profile ${fromProfile} → ${toProfile})` : ''));
+    }
+
+    if (Math.abs(delta) >= threshold && reasons.length === 0) {
+      reasons.push(from.calculationVersion !== to.calculationVersion
+        ? `Calculation version changed from ${from.calculationVersion} to ${to.calculationVersion}`
+        : 'Underlying record attributes changed (same record count)');
+    }
+
+    return {
+      factor,
+      from: before,
+      to: after,
+      delta,
+      direction: delta >= threshold ? 'increased' : delta <= -threshold ? 'decreased' : 'unchanged',
+      weightFrom: weightBefore,
+      weightTo: weightAfter,
+      weightedImpact,
+      reasons
+    };
+  });
+
+  const changed = factorChanges
+    .filter(change => change.direction !== 'unchanged' || change.weightFrom !== change.weightTo)
+    .sort((a, b) => Math.abs(b.weightedImpact) - Math.abs(a.weightedImpact));
+
+  const totalDelta = Math.round((to.totalWeightedScore - from.totalWeightedScore) * 100) / 100;
+
+  return {
+    from: {
+      assessmentId: from._id,
+      sequence: from.sequence,
+      calculatedAt: from.calculatedAt,
+      trigger: from.trigger,
+      calculationVersion: from.calculationVersion,
+      profile: from.profile
+    },
+    to: {
+      assessmentId: to._id,
+      sequence: to.sequence,
+      calculatedAt: to.calculatedAt,
+      trigger: to.trigger,
+      calculationVersion: to.calculationVersion,
+      profile: to.profile
+    },
+    totalScore: {
+      from: from.totalWeightedScore,
+      to: to.totalWeightedScore,
+      delta: totalDelta,
+      direction: totalDelta > 0 ? 'increased' : totalDelta < 0 ? 'decreased' : 'unchanged'
+    },
+    grade: {
+      from: from.riskGrade,
+      to: to.riskGrade,
+      changed: from.riskGrade !== to.riskGrade
+    },
+    versionChanged: from.calculationVersion !== to.calculationVersion,
+    profileChanged,
+    factorsChanged: changed.length,
+    changes: changed,
+    unchanged: factorChanges.filter(change => !changed.includes(change)).map(change => change.factor)
+  };
+};
+
+// Transform JSON output
+riskAssessmentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const RiskAssessment = mongoose.model('RiskAssessment', riskAssessmentSchema);
+
+RiskAssessment.RISK_FACTORS = RISK_FACTORS;
+RiskAssessment.FACTOR_DATA_SOURCES = FACTOR_DATA_SOURCES;
+
+module.exports = RiskAssessment;
@@ -0,0 +1,198 @@
+// File: models/RiskProfile.js
+// Purpose: Named risk weight profiles per vehicle class (LPG bullet, MS/HSD tanker, light vehicle)
+// Each profile carries its own factor weights (summing to 100) and grade thresholds.
+// Profiles are managed by admins through /api/risk/profiles.
+
+const mongoose = require('mongoose');
+const { RISK_FACTORS } = require('./RiskAssessment');
+const adminManagedPlugin = require('./plugins/adminManaged');
+
+const GRADES = ['A', 'B', 'C', 'D', 'F'];
+
+const DEFAULT_GRADE_THRESHOLDS = {
+  A: { min: 0, max: 2.0, level: 'Very Low Risk', color: '#28a745' },
+  B: { min: 2.1, max: 4.0, level: 'Low Risk', color: '#20c997' },
+  C: { min: 4.1, max: 6.0, level: 'Medium Risk', color: '#ffc107' },
+  D: { min: 6.1, max: 8.0, level: 'High Risk', color: '#fd7e14' },
+  F: { min: 8.1, max: 10.0, level: 'Critical Risk', color: '#dc3545' }
+};
+
+// Built-in profiles seeded on first use - admins can edit them afterwards
+const DEFAULT_PROFILES = [
+  {
+    name: 'standard',
+    displayName: 'Standard (all vehicles)',
+    vehicleClass: 'general',
+    description: 'Original HPCL weighting used when no vehicle class is specified',
+    isDefault: true,
+    weights: {
+      roadConditions: 15, accidentProne: 15, sharpTurns: 10, blindSpots: 10, twoWayTraffic: 10,
+      trafficDensity: 10, weatherConditions: 10, emergencyServices: 5, networkCoverage: 5,
+      amenities: 5, securityIssues: 5
+    },
+    gradeThresholds: DEFAULT_GRADE_THRESHOLDS
+  },
+  {
+    name: 'lpg_bullet',
+    displayName: 'LPG Bullet Tanker',
+    vehicleClass: 'lpg_bullet',
+    description: 'High centre of gravity pressurised cargo - rollover on turns/gradients and emergency response distance dominate',
+    weights: {
+      roadConditions: 12, accidentProne: 13, sharpTurns: 16, blindSpots: 10, twoWayTraffic: 8,
+      trafficDensity: 7, weatherConditions: 8, emergencyServices: 12, networkCoverage: 5,
+      amenities: 2, securityIssues: 7
+    },
+    gradeThresholds: {
+      A: { min: 0, max: 1.5, level: 'Very Low Risk', color: '#28a745' },
+      B: { min: 1.6, max: 3.0, level: 'Low Risk', color: '#20c997' },
+      C: { min: 3.1, max: 5.0, level: 'Medium Risk', color: '#ffc107' },
+      D: { min: 5.1, max: 7.0, level: 'High Risk', color: '#fd7e14' },
+      F: { min: 7.1, max: 10.0, level: 'Critical Risk', color: '#dc3545' }
+    }
+  },
+  {
+    name: 'ms_hsd_tanker',
+    displayName: 'MS/HSD Tank Truck',
+    vehicleClass: 'ms_hsd_tanker',
+    description: 'Liquid fuel tank trucks - surge on braking makes road surface, turns and accident zones key',
+    weights: {
+      roadConditions: 15, accidentProne: 15, sharpTurns: 13, blindSpots: 10, twoWayTraffic: 10,
+      trafficDensity: 9, weatherConditions: 9, emergencyServices: 8, networkCoverage: 4,
+      amenities: 3, securityIssues: 4
+    },
+    gradeThresholds: {
+      A: { min: 0, max: 1.8, level: 'Very Low Risk', color: '#28a745' },
+      B: { min: 1.9, max: 3.6, level: 'Low Risk', color: '#20c997' },
+      C: { min: 3.7, max: 5.6, level: 'Medium Risk', color: '#ffc107' },
+      D: { min: 5.7, max: 7.6, level: 'High Risk', color: '#fd7e14' },
+      F: { min: 7.7, max: 10.0, level: 'Critical Risk', color: '#dc3545' }
+    }
+  },
+  {
+    name: 'light_vehicle',
+    displayName: 'Light Vehicle',
+    vehicleClass: 'light_vehicle',
+    description: 'Cars and light commercial vehicles - traffic, weather and amenities matter more than turn geometry',
+    weights: {
+      roadConditions: 14, accidentProne: 16, sharpTurns: 7, blindSpots: 9, twoWayTraffic: 11,
+      trafficDensity: 13, weatherConditions: 11, emergencyServices: 4, networkCoverage: 5,
+      amenities: 5, securityIssues: 5
+    },
+    gradeThresholds: DEFAULT_GRADE_THRESHOLDS
+  }
+];
+
+const factorNumbers = RISK_FACTORS.reduce((fields, factor) => {
+  fields[factor] = { type: Number, required: true, min: 0, max: 100 };
+  return fields;
+}, {});
+
+const gradeThresholdSchema = new mongoose.Schema({
+  min: { type: Number, required: true, min: 0, max: 10 },
+  max: { type: Number, required: true, min: 0, max: 10 },
+  level: { type: String, required: true },
+  color: { type: String, default: '#6c757d' }
+}, { _id: false });
+
+const riskProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Profile name may only contain lowercase letters, numbers and underscores']
+  },
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  vehicleClass: {
+    type: String,
+    trim: true,
+    default: 'general'
+  },
+  description: String,
+
+  weights: {
+    type: new mongoose.Schema(factorNumbers, { _id: false }),
+    required: true,
+    validate: {
+      validator: function(weights) {
+        const total = RISK_FACTORS.reduce((sum, factor) => sum + (weights[factor] || 0), 0);
+        return Math.abs(total - 100) < 0.01;
+      },
+      message: 'Profile weights must sum to 100'
+    }
+  },
+
+  gradeThresholds: {
+    type: new mongoose.Schema(
+      GRADES.reduce((fields, grade) => {
+        fields[grade] = { type: gradeThresholdSchema, required: true };
+        return fields;
+      }, {}),
+      { _id: false }
+    ),
+    required: true,
+    validate: {
+      validator: function(thresholds) {
+        // Grades must be ordered A → F with increasing, non-overlapping bands
+        for (let i = 0; i < GRADES.length; i++) {
+          const band = thresholds[GRADES[i]];
+          if (!band || band.min > band.max) return false;
+          if (i > 0 && band.min < thresholds[GRADES[i - 1]].max) return false;
+        }
+        return thresholds.F.max >= 10;
+      },
+      message: 'Grade thresholds must run A to F with ascending, non-overlapping bands ending at 10'
+    }
+  },
+
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// isActive, version (bumped by weight/threshold edits so assessments can reference the
+// exact profile revision), audit users and seeding of the built-in profiles
+riskProfileSchema.plugin(adminManagedPlugin, {
+  defaults: DEFAULT_PROFILES,
+  label: 'default risk weight profiles',
+  versionPaths: ['weights', 'gradeThresholds']
+});
+
+// Indexes
+riskProfileSchema.index({ isActive: 1 });
+riskProfileSchema.index({ vehicleClass: 1 });
+
+// Find an active profile by name, or the default profile when no name is given
+riskProfileSchema.statics.resolve = async function(name) {
+  await this.ensureDefaults();
+
+  if (name) {
+    return this.findOne({ name: String(name).toLowerCase().trim(), isActive: true });
+  }
+  return (await this.findOne({ isDefault: true, isActive: true })) ||
+         this.findOne({ name: 'standard', isActive: true });
+};
+
+// Transform JSON output
+riskProfileSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const RiskProfile = mongoose.model('RiskProfile', riskProfileSchema);
+
+RiskProfile.RISK_FACTORS = RISK_FACTORS;
+RiskProfile.GRADES = GRADES;
+RiskProfile.DEFAULT_PROFILES = DEFAULT_PROFILES;
+
+module.exports = RiskProfile;
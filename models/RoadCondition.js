@@ -1,6 +1,7 @@
 // File: models/RoadCondition.js
 // Purpose: Store road condition data for risk assessment
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const roadConditionSchema = new mongoose.Schema({
     routeId: {
@@ -57,7 +58,8 @@ const roadConditionSchema = new mongoose.Schema({
     dataSource: {
       type: String,
       required: true
-    }
+    },
+    metadata: mongoose.Schema.Types.Mixed // source details, speed limit, OSM way attributes
   }, {
     timestamps: true
   });
@@ -65,4 +67,6 @@ const roadConditionSchema = new mongoose.Schema({
   roadConditionSchema.index({ routeId: 1 });
   roadConditionSchema.index({ latitude: 1, longitude: 1 });
   
+  roadConditionSchema.plugin(softDeletePlugin);
+
   module.exports = mongoose.model('RoadCondition', roadConditionSchema);
\ No newline at end of file
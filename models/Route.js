@@ -1,5 +1,5 @@
 // File: models/Route.js
-// Purpose: Enhanced route schema with GPS upload support
+// Purpose: Enhanced route schema with GPS upload support (CSV, GPX, KML, GeoJSON)
 
 const mongoose = require('mongoose');
 
@@ -22,9 +22,25 @@ const routePointSchema = new mongoose.Schema({
     required: true
   },
   elevation: Number,
+  timestamp: Date, // from GPX/KML/GeoJSON/CSV track timestamps when available
   address: String,
   distanceFromStart: Number, // in km
-  distanceToEnd: Number // in km
+  distanceToEnd: Number, // in km
+
+  // Set by mapMatchingService: latitude/longitude then hold the position snapped to the road
+  gpsLatitude: Number,
+  gpsLongitude: Number,
+  roadMatch: {
+    osmWayId: Number,
+    highway: String,
+    roadType: String,
+    name: String,
+    ref: String,
+    speedLimit: Number, // km/h
+    speedLimitSource: String,
+    snapDistanceMeters: Number,
+    interpolated: Boolean // snapped onto a neighbouring match rather than decided by the HMM
+  }
 }, { _id: false });
 
 // Risk Scores Sub-schema
@@ -46,6 +62,8 @@ const riskScoreSchema = new mongoose.Schema({
     enum: ['A', 'B', 'C', 'D', 'F'],
     default: 'A'
   },
+  riskProfile: { type: String, default: 'standard' }, // weight profile that produced the scores
+  riskProfileVersion: Number,
   calculatedAt: { type: Date, default: Date.now }
 }, { _id: false });
 
@@ -113,6 +131,33 @@ const routeSchema = new mongoose.Schema({
     enum: ['flat', 'hilly', 'urban', 'rural', 'mixed'],
     default: 'mixed'
   },
+
+  // Trip details evaluated by the compliance rules (complianceRuleService)
+  vehicle: {
+    registrationNumber: { type: String, trim: true, uppercase: true },
+    vehicleClass: { type: String, trim: true }, // RiskProfile vehicleClass: lpg_bullet, ms_hsd_tanker, light_vehicle, general
+    grossVehicleWeightKg: Number,
+    ais140Installed: Boolean,
+    nationalPermit: Boolean,
+    permitStates: [String], // state codes the goods carriage permit is valid / countersigned for
+    pesoLicenceNumber: String,
+    pesoLicenceExpiry: Date,
+    fitnessExpiry: Date,
+    insuranceExpiry: Date,
+    pucExpiry: Date
+  },
+  cargo: {
+    product: { type: String, trim: true, lowercase: true }, // lpg, ms, hsd, sko, atf ... see complianceRuleService.CARGO_PRODUCTS
+    unNumber: String,
+    hazardClass: String,
+    quantityLitres: Number,
+    hazardous: Boolean
+  },
+  driver: {
+    hazmatTrained: Boolean, // CMVR Rule 9 dangerous goods training certificate
+    relieverDriver: Boolean
+  },
+  plannedDepartureTime: Date,
   
   // Risk Assessment
   riskScores: riskScoreSchema,
@@ -142,6 +187,36 @@ const routeSchema = new mongoose.Schema({
     securityData: { type: Boolean, default: false }
   },
   
+  // When each data category was last collected successfully (drives scheduled refresh)
+  dataFreshness: {
+    roadConditions: Date,
+    accidentData: Date,
+    weatherData: Date,
+    trafficData: Date,
+    emergencyServices: Date,
+    amenities: Date,
+    networkCoverage: Date
+  },
+  
+  // Result of the last map matching run against the local OSM road network
+  mapMatching: {
+    status: {
+      type: String,
+      enum: ['matched', 'partial', 'unmatched', 'no_coverage']
+    },
+    version: String,
+    matchedAt: Date,
+    totalPoints: Number,
+    matchedPoints: Number,
+    matchRate: Number,
+    breaks: Number,
+    waysConsidered: Number,
+    meanSnapDistanceMeters: Number,
+    gpsDistanceKm: Number,
+    matchedDistanceKm: Number,
+    durationMs: Number
+  },
+
   // Live Map Link
   liveMapLink: String,
   
@@ -149,13 +224,16 @@ const routeSchema = new mongoose.Schema({
   metadata: {
     uploadSource: {
       type: String,
-      enum: ['csv', 'manual', 'api', 'gps_csv'],
+      enum: ['csv', 'manual', 'api', 'gps_csv', 'gps_gpx', 'gps_kml', 'gps_geojson'],
       default: 'manual'
     },
     originalFileName: String,
     processingNotes: [String],
     lastCalculated: Date,
     calculationVersion: { type: String, default: '1.0' },
+    lastDataCollection: Date,
+    dataCollectionVersion: String,
+    lastRefresh: Date, // last scheduled refresh that touched this route
     gpsTrackingPoints: Number, // Number of GPS points
     trackingAccuracy: String   // Accuracy indicator
   }
@@ -220,6 +298,9 @@ routeSchema.methods.generateLiveMapLink = function() {
 // Method to update processing status
 routeSchema.methods.updateProcessingStatus = function(type, status) {
   this.dataProcessingStatus[type] = status;
+  if (status === true) {
+    this.set(`dataFreshness.${type}`, new Date());
+  }
   return this.save();
 };
 
@@ -0,0 +1,155 @@
+// File: models/RouteShare.js
+// Purpose: Read-only share links for a single route
+// A share is referenced by a signed, expiring token. Owners can revoke it at any time,
+// protect it with a password and cap the number of views.
+
+const mongoose = require('mongoose');
+
+const routeShareSchema = new mongoose.Schema({
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Free-text note for the owner, e.g. contractor or transporter name
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+
+  allowPdf: {
+    type: Boolean,
+    default: true
+  },
+  // The multi-chapter report is opt-in; without it shared PDFs are the title page only
+  allowCompleteReport: {
+    type: Boolean,
+    default: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  maxViews: {
+    type: Number,
+    min: 1,
+    default: null // null = unlimited
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  // Wrong passwords within the current window; the share locks once the limit is reached
+  failedPasswordAttempts: {
+    type: Number,
+    default: 0
+  },
+  passwordFailureWindowStart: Date,
+  passwordLockedUntil: Date,
+
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+routeShareSchema.index({ routeId: 1, userId: 1, createdAt: -1 });
+routeShareSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+
+// active | revoked | expired | exhausted
+routeShareSchema.methods.getStatus = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= now) return 'expired';
+  if (this.maxViews && this.viewCount >= this.maxViews) return 'exhausted';
+  return 'active';
+};
+
+routeShareSchema.methods.isActive = function() {
+  return this.getStatus() === 'active';
+};
+
+// Count a view atomically so concurrent requests cannot exceed maxViews
+routeShareSchema.statics.recordView = async function(shareId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: shareId,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+      $or: [
+        { maxViews: null },
+        { $expr: { $lt: ['$viewCount', '$maxViews'] } }
+      ]
+    },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: now } },
+    { new: true }
+  );
+};
+
+// Count a wrong password atomically and lock the share once `maxAttempts` failures
+// fall within `windowMs`. Returns the updated share.
+routeShareSchema.statics.recordFailedPassword = async function(shareId, { maxAttempts, windowMs, lockMs }) {
+  const now = new Date();
+  const inWindow = { $gt: ['$passwordFailureWindowStart', new Date(now.getTime() - windowMs)] };
+
+  return this.findOneAndUpdate(
+    { _id: shareId },
+    [
+      {
+        $set: {
+          failedPasswordAttempts: { $cond: [inWindow, { $add: ['$failedPasswordAttempts', 1] }, 1] },
+          passwordFailureWindowStart: { $cond: [inWindow, '$passwordFailureWindowStart', now] }
+        }
+      },
+      {
+        $set: {
+          passwordLockedUntil: {
+            $cond: [
+              { $gte: ['$failedPasswordAttempts', maxAttempts] },
+              new Date(now.getTime() + lockMs),
+              '$passwordLockedUntil'
+            ]
+          }
+        }
+      }
+    ],
+    { new: true }
+  );
+};
+
+// Transform JSON output
+routeShareSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    delete ret.passwordHash;
+    if (typeof doc.getStatus === 'function') {
+      ret.status = doc.getStatus();
+      ret.remainingViews = doc.maxViews ? Math.max(0, doc.maxViews - doc.viewCount) : null;
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('RouteShare', routeShareSchema);
@@ -3,6 +3,7 @@
 // MAINTAINS COMPATIBILITY with existing fields while adding new image capabilities
 
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const sharpTurnSchema = new mongoose.Schema({
   routeId: {
@@ -248,6 +249,7 @@ const sharpTurnSchema = new mongoose.Schema({
       'street_view', 
       'manual',
       'enhanced_gps_analysis',
+      'map_matched_gps_analysis',
       'real_calculations',
       'geometric_analysis'
     ],
@@ -605,4 +607,6 @@ sharpTurnSchema.set('toJSON', {
   }
 });
 
+sharpTurnSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('SharpTurn', sharpTurnSchema);
\ No newline at end of file
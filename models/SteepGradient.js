@@ -0,0 +1,138 @@
+// File: models/SteepGradient.js
+// Purpose: Steep grade and long-descent hazards found on a route's elevation profile
+// Written by gradientAnalysisService. Long continuous descents are where loaded tankers
+// suffer brake fade, so each record carries the recommended gear and speed for the stretch.
+
+const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
+
+const HAZARD_TYPES = ['steep_grade', 'long_descent'];
+const SEVERITY_LEVELS = ['moderate', 'steep', 'severe', 'critical'];
+
+const steepGradientSchema = new mongoose.Schema({
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  hazardType: {
+    type: String,
+    enum: HAZARD_TYPES,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['descent', 'ascent'],
+    required: true
+  },
+
+  // Start of the stretch (used for map pins and critical point lists)
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  endLatitude: Number,
+  endLongitude: Number,
+  distanceFromStartKm: {
+    type: Number,
+    min: 0
+  },
+  endDistanceFromStartKm: Number,
+
+  // Profile measurements
+  lengthMeters: { type: Number, required: true, min: 0 },
+  startElevation: Number,
+  endElevation: Number,
+  elevationChangeMeters: Number, // positive = climb, negative = drop
+  averageGradePercent: Number,   // signed, negative on descents
+  maxGradePercent: Number,       // steepest 100 m within the stretch (absolute)
+  descentSeverityIndex: Number,  // length (km) x drop (m) - sustained braking demand
+
+  // Assessment
+  severity: {
+    type: String,
+    enum: SEVERITY_LEVELS,
+    default: 'moderate'
+  },
+  brakeFadeRisk: {
+    type: String,
+    enum: ['none', 'low', 'moderate', 'high', 'severe'],
+    default: 'none'
+  },
+  riskScore: {
+    type: Number,
+    min: 1,
+    max: 10,
+    required: true
+  },
+  recommendedGear: String,
+  recommendedSpeed: Number, // km/h, loaded tanker
+  recommendations: [String],
+
+  elevationSource: {
+    type: String,
+    enum: ['dem', 'route_points'],
+    default: 'route_points'
+  },
+  analysisMethod: {
+    type: String,
+    default: 'elevation_profile'
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.8
+  },
+  mapsLink: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+steepGradientSchema.index({ routeId: 1 });
+steepGradientSchema.index({ riskScore: -1 });
+steepGradientSchema.index({ hazardType: 1 });
+steepGradientSchema.index({ distanceFromStartKm: 1 });
+
+// Directions link over the stretch, so the descent can be previewed end to end
+steepGradientSchema.methods.generateMapsLink = function() {
+  const end = this.endLatitude !== undefined && this.endLongitude !== undefined
+    ? `${this.endLatitude},${this.endLongitude}`
+    : `${this.latitude},${this.longitude}`;
+  this.mapsLink = `https://www.google.com/maps/dir/?api=1&origin=${this.latitude},${this.longitude}&destination=${end}&travelmode=driving`;
+  return this.mapsLink;
+};
+
+steepGradientSchema.virtual('riskCategory').get(function() {
+  if (this.riskScore >= 8) return 'critical';
+  if (this.riskScore >= 6) return 'high';
+  if (this.riskScore >= 4) return 'medium';
+  return 'low';
+});
+
+steepGradientSchema.plugin(softDeletePlugin);
+
+// Transform JSON output
+steepGradientSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const SteepGradient = mongoose.model('SteepGradient', steepGradientSchema);
+
+SteepGradient.HAZARD_TYPES = HAZARD_TYPES;
+SteepGradient.SEVERITY_LEVELS = SEVERITY_LEVELS;
+
+module.exports = SteepGradient;
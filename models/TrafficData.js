@@ -4,6 +4,7 @@
 // Purpose: Enhanced traffic data model with comprehensive fields
 
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 
 const trafficDataSchema = new mongoose.Schema({
   routeId: {
@@ -157,4 +158,6 @@ trafficDataSchema.methods.getCongestionImpact = function() {
   return impacts[this.congestionLevel] || impacts.moderate;
 };
   
+  trafficDataSchema.plugin(softDeletePlugin);
+
   module.exports = mongoose.model('TrafficData', trafficDataSchema);
\ No newline at end of file
@@ -1,6 +1,7 @@
 // File: models/WeatherCondition.js
 // Purpose: Store weather condition data
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
 const weatherConditionSchema = new mongoose.Schema({
   routeId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -215,4 +216,6 @@ weatherConditionSchema.statics.getRouteWeatherRisk = function(routeId) {
   ]);
 };
   
+  weatherConditionSchema.plugin(softDeletePlugin);
+
   module.exports = mongoose.model('WeatherCondition', weatherConditionSchema);
\ No newline at end of file
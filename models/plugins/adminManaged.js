@@ -0,0 +1,60 @@
+// File: models/plugins/adminManaged.js
+// Purpose: Shared behaviour for admin-managed configuration collections (risk profiles,
+// compliance rules, report templates): active flag, revision counter, audit users and
+// seeding of the built-in documents on first use.
+// Options: { defaults: built-in documents, label: seed log label,
+//            versionPaths: paths whose edits bump the version (any edit when omitted) }
+
+const mongoose = require('mongoose');
+
+function adminManagedPlugin(schema, options = {}) {
+  const { defaults = [], label = 'default documents', versionPaths = null } = options;
+
+  schema.add({
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    // Incremented on every edit so results can reference the exact revision they used
+    version: {
+      type: Number,
+      default: 1
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  // Bump version on edits
+  schema.pre('save', function(next) {
+    const edited = versionPaths
+      ? versionPaths.some(path => this.isModified(path))
+      : this.isModified();
+    if (!this.isNew && edited) {
+      this.version += 1;
+    }
+    next();
+  });
+
+  // Seed the built-in documents if the collection is empty
+  schema.statics.ensureDefaults = async function() {
+    const count = await this.estimatedDocumentCount();
+    if (count > 0 || defaults.length === 0) return false;
+
+    await this.insertMany(defaults, { ordered: false }).catch(error => {
+      // Another process may have seeded concurrently
+      if (error.code !== 11000) throw error;
+    });
+    console.log(`✅ Seeded ${defaults.length} ${label}`);
+    return true;
+  };
+}
+
+module.exports = adminManagedPlugin;
@@ -0,0 +1,50 @@
+// File: models/plugins/softDelete.js
+// Purpose: Soft-delete support for route-dependent collections
+// Adds isDeleted/deletedAt/deletedBy fields and hides soft-deleted documents from
+// find/count/aggregate queries. Pass { withDeleted: true } as a query option
+// (or filter on isDeleted explicitly) to include them.
+
+const mongoose = require('mongoose');
+
+const READ_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateMany', 'updateOne'];
+
+function softDeletePlugin(schema) {
+  schema.add({
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ routeId: 1, isDeleted: 1 });
+
+  READ_QUERIES.forEach(operation => {
+    schema.pre(operation, function(next) {
+      const filter = this.getFilter();
+      if (!this.getOptions().withDeleted && filter.isDeleted === undefined) {
+        this.where({ isDeleted: { $ne: true } });
+      }
+      next();
+    });
+  });
+
+  schema.pre('aggregate', function(next) {
+    if (!this.options.withDeleted) {
+      this.pipeline().unshift({ $match: { isDeleted: { $ne: true } } });
+    }
+    next();
+  });
+
+  // Soft-delete every document belonging to a route
+  schema.statics.softDeleteByRoute = async function(routeId, deletedBy) {
+    const result = await this.updateMany(
+      { routeId, isDeleted: { $ne: true } },
+      { $set: { isDeleted: true, deletedAt: new Date(), deletedBy } }
+    );
+    return result.modifiedCount || 0;
+  };
+}
+
+module.exports = softDeletePlugin;
@@ -1,6 +1,7 @@
 // File: routes/compliance.js
 const express6 = require('express');
 const router6 = express6.Router();
+const complianceController = require('../controllers/complianceController');
 
 router6.get('/:routeId/compliance-requirements', complianceController.getComplianceRequirements);
 
@@ -0,0 +1,181 @@
+// File: routes/complianceRules.js
+// Purpose: Manage the data-driven compliance rules evaluated by complianceRuleService
+
+const express = require('express');
+const ComplianceRule = require('../models/ComplianceRule');
+const { auth, authorize } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { adminResourceHelpers } = require('../utils/adminResource');
+
+const router = express.Router();
+
+router.use(auth);
+
+const ruleResource = adminResourceHelpers(ComplianceRule, {
+  label: 'compliance rule',
+  editableFields: ['title', 'category', 'regulation', 'description', 'appliesWhen', 'requirement', 'issues', 'penalty', 'priority', 'isActive']
+});
+
+// List rules (admins can include inactive ones with ?includeInactive=true)
+router.get('/', async (req, res) => {
+  try {
+    await ComplianceRule.ensureDefaults();
+
+    const filter = ruleResource.listFilter(req);
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+    const rules = await ComplianceRule.find(filter).sort({ priority: 1, code: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules,
+        total: rules.length,
+        categories: ComplianceRule.CATEGORIES,
+        operators: ComplianceRule.OPERATORS
+      }
+    });
+
+  } catch (error) {
+    logger.error('Compliance rule list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching compliance rules'
+    });
+  }
+});
+
+// Get a single rule
+router.get('/:code', async (req, res) => {
+  try {
+    await ComplianceRule.ensureDefaults();
+    const rule = await ComplianceRule.findOne({ code: req.params.code.toLowerCase() });
+
+    if (!rule || (!rule.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compliance rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+
+  } catch (error) {
+    logger.error('Compliance rule fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching compliance rule'
+    });
+  }
+});
+
+// Create a rule (admin only)
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    await ComplianceRule.ensureDefaults();
+
+    const rule = new ComplianceRule({
+      code: req.body.code,
+      ...ruleResource.pickFields(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    await rule.save();
+
+    console.log(`✅ Compliance rule created: ${rule.code} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Compliance rule created successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return ruleResource.validationResponse(res, error, req.body.code);
+    }
+    logger.error('Compliance rule create error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating compliance rule'
+    });
+  }
+});
+
+// Update a rule (admin only) - every edit bumps the rule version
+router.put('/:code', authorize('admin'), async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findOne({ code: req.params.code.toLowerCase() });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compliance rule not found'
+      });
+    }
+
+    const updates = ruleResource.pickFields(req.body);
+    if (updates.requirement) {
+      updates.requirement = { ...rule.requirement.toObject(), ...updates.requirement };
+    }
+
+    rule.set({ ...updates, updatedBy: req.user.id });
+    // Mixed paths are not change-tracked by set() alone
+    if (updates.appliesWhen !== undefined) rule.markModified('appliesWhen');
+    await rule.save();
+
+    console.log(`✅ Compliance rule updated: ${rule.code} v${rule.version} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Compliance rule updated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return ruleResource.validationResponse(res, error);
+    }
+    logger.error('Compliance rule update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating compliance rule'
+    });
+  }
+});
+
+// Deactivate a rule (admin only) - kept so earlier evaluations stay traceable
+router.delete('/:code', authorize('admin'), async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findOne({ code: req.params.code.toLowerCase() });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compliance rule not found'
+      });
+    }
+
+    rule.isActive = false;
+    rule.updatedBy = req.user.id;
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Compliance rule ${rule.code} deactivated`
+    });
+
+  } catch (error) {
+    logger.error('Compliance rule delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating compliance rule'
+    });
+  }
+});
+
+module.exports = router;
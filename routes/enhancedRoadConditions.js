@@ -564,10 +564,12 @@ router.get('/routes/:routeId/compare', async (req, res) => {
 // UTILITIES AND MANAGEMENT ENDPOINTS
 // ============================================================================
 
-// Check API configuration status
+// Check API configuration status and observed health of the road condition providers
 router.get('/api-status', async (req, res) => {
   try {
+    const providerHealth = require('../services/providerHealthService');
     const apiStatus = enhancedRoadConditionsService.validateApiKeys();
+    const health = endpoints => endpoints.map(name => providerHealth.getStatus(name)).filter(Boolean);
     
     res.status(200).json({
       success: true,
@@ -576,23 +578,29 @@ router.get('/api-status', async (req, res) => {
         capabilities: {
           googleRoads: {
             available: apiStatus.google,
-            features: ['Road snapping', 'Speed limits', 'Road attributes']
+            features: ['Road snapping', 'Speed limits', 'Road attributes'],
+            health: health(['google-roads'])
           },
           tomtomMaps: {
             available: apiStatus.tomtom,
-            features: ['Road network data', 'Map tiles', 'Search functionality']
+            features: ['Road network data', 'Map tiles', 'Search functionality'],
+            health: health(['tomtom-search'])
           },
           hereMaps: {
             available: apiStatus.here,
-            features: ['Geocoding', 'Routing', 'Map attributes']
+            features: ['Geocoding', 'Routing', 'Map attributes'],
+            health: health(['here-geocode', 'here-routing'])
           },
           mapbox: {
             available: apiStatus.mapbox,
-            features: ['Geocoding', 'Matrix API', 'Directions']
+            features: ['Geocoding', 'Matrix API', 'Directions'],
+            health: health(['mapbox'])
           }
         },
-        overallCapability: this.assessOverallCapability(apiStatus),
-        recommendations: this.generateApiRecommendations(apiStatus)
+        overallCapability: assessOverallCapability(apiStatus),
+        overallHealth: providerHealth.getOverallHealth(),
+        openCircuits: providerHealth.getOpenCircuits(),
+        recommendations: generateApiRecommendations(apiStatus)
       }
     });
 
@@ -0,0 +1,211 @@
+// File: routes/freshness.js
+// Purpose: Data freshness per route, outdated risk assessments and the refresh scheduler
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Route = require('../models/Route');
+const { auth, authorize } = require('../middleware/auth');
+const dataFreshness = require('../services/dataFreshnessService');
+const refreshScheduler = require('../services/dataRefreshSchedulerService');
+
+const router = express.Router();
+
+router.use(auth);
+
+async function findUserRoute(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.routeId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid route ID'
+    });
+    return null;
+  }
+
+  const route = await Route.findOne({
+    _id: req.params.routeId,
+    userId: req.user.id,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!route) {
+    res.status(404).json({
+      success: false,
+      message: 'Route not found'
+    });
+  }
+  return route;
+}
+
+// Routes whose risk assessment is out of date (admins may pass ?scope=all)
+router.get('/outdated', async (req, res) => {
+  try {
+    const allUsers = req.query.scope === 'all' && req.user.role === 'admin';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    const report = await dataFreshness.getOutdatedReport({
+      userId: allUsers ? null : req.user.id,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { scope: allUsers ? 'all' : 'user', ...report }
+    });
+
+  } catch (error) {
+    console.error('Outdated assessments report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building outdated assessments report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Freshness of every data category for one route
+router.get('/routes/:routeId', async (req, res) => {
+  try {
+    const route = await findUserRoute(req, res);
+    if (!route) return;
+
+    res.status(200).json({
+      success: true,
+      data: await dataFreshness.getRouteReport(route)
+    });
+
+  } catch (error) {
+    console.error('Route freshness error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching route data freshness',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Re-collect stale (or the listed) categories for one route in the background
+router.post('/routes/:routeId/refresh', async (req, res) => {
+  try {
+    const route = await findUserRoute(req, res);
+    if (!route) return;
+
+    if (route.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active routes can be refreshed'
+      });
+    }
+
+    const busyReason = await refreshScheduler.getRouteBusyReason(route._id);
+    if (busyReason) {
+      return res.status(409).json({
+        success: false,
+        message: busyReason
+      });
+    }
+
+    const requested = Array.isArray(req.body.categories) ? req.body.categories : null;
+    const invalid = (requested || []).filter(category => !dataFreshness.isCategory(category));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown data categories: ${invalid.join(', ')}`,
+        validCategories: dataFreshness.getCategories()
+      });
+    }
+
+    const categories = requested || dataFreshness.getRouteFreshness(route).staleCategories;
+    if (categories.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'All collected data is current - nothing to refresh',
+        data: { categories: [] }
+      });
+    }
+
+    console.log(`🔁 Manual refresh of ${categories.join(', ')} for route ${route.routeId}`);
+
+    refreshScheduler.refreshRoute(route, categories, { triggeredBy: req.user.id })
+      .then(outcome => console.log(`✅ Manual refresh for route ${route.routeId}: ${outcome.refreshed.length} refreshed, ${outcome.failed.length} failed`))
+      .catch(error => console.error(`❌ Manual refresh for route ${route.routeId} failed:`, error.message));
+
+    res.status(202).json({
+      success: true,
+      message: 'Refresh started - risk is recalculated when collection finishes',
+      data: {
+        routeId: route._id,
+        categories,
+        statusUrl: `/api/freshness/routes/${route._id}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Route refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting route refresh',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Scheduler configuration, freshness limits and recent runs
+router.get('/scheduler', async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        ...refreshScheduler.getStatus(),
+        freshness: dataFreshness.getConfig()
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh scheduler status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refresh scheduler status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Run one refresh task now instead of waiting for its schedule
+router.post('/scheduler/run/:category', authorize('admin'), async (req, res) => {
+  try {
+    const category = req.params.category;
+    if (!refreshScheduler.isTask(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown refresh task: ${category}`,
+        validTasks: Object.keys(refreshScheduler.REFRESH_TASKS)
+      });
+    }
+
+    if (refreshScheduler.running.has(category)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A refresh for this category is already running'
+      });
+    }
+
+    refreshScheduler.runTask(category, { trigger: 'manual', triggeredBy: req.user.id })
+      .catch(error => console.error(`❌ Manual ${category} refresh failed:`, error.message));
+
+    res.status(202).json({
+      success: true,
+      message: `${category} refresh started`,
+      data: { category, statusUrl: '/api/freshness/scheduler' }
+    });
+
+  } catch (error) {
+    console.error('Refresh task run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting refresh task',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
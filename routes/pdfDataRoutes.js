@@ -39,15 +39,22 @@ try {
   console.error('❌ Error loading emergencyServicesController:', error.message);
 }
 
-// Import the bundled controllers for additional endpoints
 try {
-  const controllerBundle = require('../controllers/finalControllersBundle');
-  communicationCoverageController = controllerBundle.communicationCoverageController;
-  roadQualityController = controllerBundle.roadQualityEnvironmentalController;
-  terrainTrafficController = controllerBundle.terrainTrafficController;
-  complianceController = controllerBundle.complianceController;
+  communicationCoverageController = require('../controllers/communicationCoverageController');
 } catch (error) {
-  console.error('❌ Error loading controller bundle:', error.message);
+  console.error('❌ Error loading communicationCoverageController:', error.message);
+}
+
+try {
+  terrainTrafficController = require('../controllers/terrainTrafficController');
+} catch (error) {
+  console.error('❌ Error loading terrainTrafficController:', error.message);
+}
+
+try {
+  complianceController = require('../controllers/complianceController');
+} catch (error) {
+  console.error('❌ Error loading complianceController:', error.message);
 }
 
 // ============================================================================
@@ -6,6 +6,7 @@ const express = require('express');
 const { auth } = require('../middleware/auth');
 const HPCLDynamicPDFGenerator = require('../hpcl-enhanced-pdf-generator');
 const Route = require('../models/Route');
+const ReportTemplate = require('../models/ReportTemplate');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -14,21 +15,62 @@ const router = express.Router();
 // All PDF routes require authentication
 router.use(auth);
 
+/**
+ * Helper: Resolve the requested report template (the default when none is named),
+ * answering 400 with the available templates when it is unknown or inactive
+ * @returns {Object|null} Template, or null once the 400 response has been sent
+ */
+async function resolveReportTemplate(name, res) {
+  const template = await ReportTemplate.resolve(name);
+  if (template) {
+    return template;
+  }
+
+  const templates = await ReportTemplate.find({ isActive: true }).select('name').sort({ name: 1 });
+  res.status(400).json({
+    success: false,
+    message: `Unknown or inactive report template: ${name}`,
+    availableTemplates: templates.map(t => t.name)
+  });
+  return null;
+}
+
+/**
+ * Helper: File name prefix from the template's short organisation name
+ */
+function filenamePrefix(generator) {
+  return (generator.branding.shortName || 'Report').replace(/[^a-zA-Z0-9-_]/g, '-');
+}
+
+/**
+ * Helper: Template name and revision echoed back in responses
+ */
+function templateInfo(generator) {
+  return {
+    name: generator.template.name,
+    displayName: generator.template.displayName,
+    version: generator.template.version || 1
+  };
+}
+
 // ============================================================================
 // DYNAMIC PDF GENERATION ENDPOINTS
 // ============================================================================
 
 /**
  * Generate dynamic HPCL title page PDF for a route
- * GET /api/pdf/routes/:routeId/title-page
+ * GET /api/pdf/routes/:routeId/title-page?template=name
  */
 router.get('/routes/:routeId/title-page', async (req, res) => {
   try {
     const { routeId } = req.params;
     const userId = req.user.id;
-    const { download = 'true', filename } = req.query;
+    const { download = 'true', filename, template: templateName } = req.query;
     
     console.log(`📄 Generating dynamic PDF title page for route: ${routeId}`);
+
+    const template = await resolveReportTemplate(templateName, res);
+    if (!template) return;
     
     // Verify route exists and user has access
     const route = await Route.findOne({
@@ -44,15 +86,15 @@ router.get('/routes/:routeId/title-page', async (req, res) => {
       });
     }
 
-    // Initialize PDF generator
-    const generator = new HPCLDynamicPDFGenerator();
+    // Initialize PDF generator with the template's branding
+    const generator = new HPCLDynamicPDFGenerator(template);
     
     // Generate filename
     const safeRouteName = (route.routeName || route.routeId)
       .replace(/[^a-zA-Z0-9-_]/g, '-')
       .substring(0, 50);
     
-    const pdfFilename = filename || `HPCL-${safeRouteName}-Analysis-${Date.now()}.pdf`;
+    const pdfFilename = filename || `${filenamePrefix(generator)}-${safeRouteName}-Analysis-${Date.now()}.pdf`;
     const outputPath = path.join('./downloads/pdf-reports', pdfFilename);
     
     // Ensure output directory exists
@@ -112,6 +154,7 @@ router.get('/routes/:routeId/title-page', async (req, res) => {
             dataQuality: result.routeData.dataQuality,
             lastAnalyzed: result.routeData.lastAnalyzed
           },
+          template: templateInfo(generator),
           generatedAt: new Date().toISOString()
         }
       });
@@ -134,21 +177,35 @@ router.get('/routes/:routeId/title-page', async (req, res) => {
 });
 
 /**
- * Generate complete HPCL analysis report (multi-page)
+ * Generate complete HPCL analysis report (title page, contents and one chapter per section)
  * POST /api/pdf/routes/:routeId/complete-report
+ * Body: { template: 'name', chapters: ['overview', 'risk-factors', ...] }
+ * The default template is used when none is named; chapters default to the template's chapters
  */
 router.post('/routes/:routeId/complete-report', async (req, res) => {
   try {
     const { routeId } = req.params;
     const userId = req.user.id;
-    const { 
-      includePages = ['title', 'overview', 'safety', 'risks', 'recommendations'],
-      format = 'pdf',
-      quality = 'high'
-    } = req.body;
+    const { chapters, template: templateName } = req.body;
+    
+    const chapterKeys = HPCLDynamicPDFGenerator.REPORT_CHAPTERS.map(chapter => chapter.key);
+    if (chapters !== undefined) {
+      const unknown = Array.isArray(chapters) ? chapters.filter(key => !chapterKeys.includes(key)) : [chapters];
+      if (unknown.length > 0 || chapters.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'chapters must be a non-empty array of report chapter keys',
+          invalidChapters: unknown,
+          availableChapters: chapterKeys
+        });
+      }
+    }
+    
+    const template = await resolveReportTemplate(templateName, res);
+    if (!template) return;
     
     console.log(`📊 Generating complete HPCL report for route: ${routeId}`);
-    console.log(`📋 Pages included: ${includePages.join(', ')}`);
+    console.log(`🎨 Report template: ${template.name} (v${template.version || 1})`);
     
     // Verify route access
     const route = await Route.findOne({
@@ -164,66 +221,34 @@ router.post('/routes/:routeId/complete-report', async (req, res) => {
       });
     }
 
-    const generator = new HPCLDynamicPDFGenerator();
-    
-    // Start with title page
-    const { doc, routeData } = await generator.generateDynamicTitlePage(routeId, userId);
-    
-    let pageCount = 1;
-    const reportSections = [];
-    
-    // Add additional pages based on request
-    if (includePages.includes('overview')) {
-      doc.addPage();
-      pageCount++;
-      await addOverviewPage(doc, routeData, generator);
-      reportSections.push('Route Overview & Statistics');
-    }
-    
-    if (includePages.includes('safety')) {
-      doc.addPage();
-      pageCount++;
-      await addSafetyAnalysisPage(doc, routeData, generator);
-      reportSections.push('Safety Analysis & Compliance');
-    }
-    
-    if (includePages.includes('risks')) {
-      doc.addPage();
-      pageCount++;
-      await addRiskAssessmentPage(doc, routeData, generator);
-      reportSections.push('Risk Assessment & Critical Points');
-    }
-    
-    if (includePages.includes('recommendations')) {
-      doc.addPage();
-      pageCount++;
-      await addRecommendationsPage(doc, routeData, generator);
-      reportSections.push('Safety Recommendations & Action Plan');
-    }
+    const generator = new HPCLDynamicPDFGenerator(template);
     
     // Generate filename and save
     const safeRouteName = (route.routeName || route.routeId)
       .replace(/[^a-zA-Z0-9-_]/g, '-')
       .substring(0, 40);
     
-    const reportFilename = `HPCL-Complete-Report-${safeRouteName}-${Date.now()}.pdf`;
+    const reportFilename = `${filenamePrefix(generator)}-Complete-Report-${safeRouteName}-${Date.now()}.pdf`;
     const outputPath = path.join('./downloads/pdf-reports', reportFilename);
     
     await fs.mkdir(path.dirname(outputPath), { recursive: true });
     
-    // Save PDF
-    await new Promise((resolve, reject) => {
-      const stream = fs.createWriteStream(outputPath);
-      doc.pipe(stream);
-      doc.end();
-      
-      stream.on('finish', resolve);
-      stream.on('error', reject);
+    const { routeData, report } = await generator.generateCompleteReport(routeId, userId, outputPath, {
+      chapters,
+      user: req.user
     });
     
+    const unavailableSections = report.chapters
+      .flatMap(chapter => chapter.sections)
+      .filter(section => !section.available)
+      .map(section => section.endpoint);
+    
     console.log(`✅ Complete HPCL report generated: ${reportFilename}`);
-    console.log(`📄 Total pages: ${pageCount}`);
-    console.log(`📊 Sections: ${reportSections.join(', ')}`);
+    console.log(`📋 Chapters included: ${report.chapters.map(chapter => chapter.key).join(', ')}`);
+    console.log(`📄 Total pages: ${report.totalPages}`);
+    if (unavailableSections.length > 0) {
+      console.log(`⚠️ Sections without data: ${unavailableSections.join(', ')}`);
+    }
     
     res.status(200).json({
       success: true,
@@ -233,11 +258,12 @@ router.post('/routes/:routeId/complete-report', async (req, res) => {
         filePath: outputPath,
         downloadUrl: `/api/pdf/download/${reportFilename}`,
         reportDetails: {
-          totalPages: pageCount,
-          sections: reportSections,
-          format: format,
-          quality: quality
+          totalPages: report.totalPages,
+          chapters: report.chapters,
+          signOffPage: report.signOffPage,
+          unavailableSections
         },
+        template: templateInfo(generator),
         routeInfo: {
           routeId: routeData.routeId,
           routeName: routeData.routeName,
@@ -264,6 +290,86 @@ router.post('/routes/:routeId/complete-report', async (req, res) => {
   }
 });
 
+/**
+ * Generate the one- or two-page driver briefing card for a route
+ * GET /api/pdf/routes/:routeId/driver-briefing?language=hi&template=name
+ * Languages: see HPCLDynamicPDFGenerator.BRIEFING_LANGUAGES (en when omitted)
+ */
+router.get('/routes/:routeId/driver-briefing', async (req, res) => {
+  try {
+    const { routeId } = req.params;
+    const userId = req.user.id;
+    const { language = 'en', download = 'true', template: templateName } = req.query;
+
+    const languages = HPCLDynamicPDFGenerator.BRIEFING_LANGUAGES;
+    if (!Object.hasOwn(languages, language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported briefing language: ${language}`,
+        availableLanguages: Object.keys(languages)
+      });
+    }
+
+    const template = await resolveReportTemplate(templateName, res);
+    if (!template) return;
+
+    // Verify route access
+    const route = await Route.findOne({
+      _id: routeId,
+      userId,
+      status: { $ne: 'deleted' }
+    });
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found or access denied'
+      });
+    }
+
+    const generator = new HPCLDynamicPDFGenerator(template);
+
+    const safeRouteName = (route.routeName || route.routeId)
+      .replace(/[^a-zA-Z0-9-_]/g, '-')
+      .substring(0, 40);
+
+    const briefingFilename = `${filenamePrefix(generator)}-Driver-Briefing-${safeRouteName}-${language}-${Date.now()}.pdf`;
+    const outputPath = path.join('./downloads/pdf-reports', briefingFilename);
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+    const { briefing } = await generator.generateDriverBriefing(routeId, userId, outputPath, {
+      language,
+      user: req.user
+    });
+
+    if (download === 'true') {
+      return res.download(outputPath, briefingFilename);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver briefing generated successfully',
+      data: {
+        filename: briefingFilename,
+        filePath: outputPath,
+        downloadUrl: `/api/pdf/download/${briefingFilename}`,
+        briefing,
+        template: templateInfo(generator),
+        generatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Driver briefing generation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error generating driver briefing',
+      error: error.message
+    });
+  }
+});
+
 /**
  * Download generated PDF file
  * GET /api/pdf/download/:filename
@@ -322,6 +428,11 @@ router.get('/routes/:routeId/status', async (req, res) => {
     const generator = new HPCLDynamicPDFGenerator();
     const routeData = await generator.loadDynamicRouteData(routeId, userId);
     
+    await ReportTemplate.ensureDefaults();
+    const templates = await ReportTemplate.find({ isActive: true })
+      .select('name displayName organisation isDefault version')
+      .sort({ isDefault: -1, name: 1 });
+    
     // Assess PDF generation readiness
     const readiness = {
       canGeneratePDF: true,
@@ -362,11 +473,31 @@ router.get('/routes/:routeId/status', async (req, res) => {
         },
         availableReportTypes: [
           'title-page',
-          'complete-report'
+          'complete-report',
+          'driver-briefing'
         ],
+        reportChapters: HPCLDynamicPDFGenerator.REPORT_CHAPTERS.map(chapter => ({
+          key: chapter.key,
+          title: chapter.title,
+          sections: chapter.sections.map(section => section.endpoint)
+        })),
+        briefingLanguages: Object.entries(HPCLDynamicPDFGenerator.BRIEFING_LANGUAGES).map(([code, language]) => ({
+          code,
+          name: language.name,
+          nativeName: language.nativeName
+        })),
+        reportTemplates: templates.map(template => ({
+          name: template.name,
+          displayName: template.displayName,
+          organisation: template.organisation,
+          isDefault: template.isDefault,
+          version: template.version
+        })),
         endpoints: {
           generateTitlePage: `/api/pdf/routes/${routeId}/title-page`,
           generateCompleteReport: `/api/pdf/routes/${routeId}/complete-report`,
+          generateDriverBriefing: `/api/pdf/routes/${routeId}/driver-briefing?language={code}&template={name}`,
+          reportTemplates: '/api/report-templates',
           downloadPDF: `/api/pdf/download/{filename}`
         }
       }
@@ -381,76 +512,4 @@ router.get('/routes/:routeId/status', async (req, res) => {
   }
 });
 
-// ============================================================================
-// HELPER FUNCTIONS FOR MULTI-PAGE REPORTS
-// ============================================================================
-
-async function addOverviewPage(doc, routeData, generator) {
-  // Add page header
-  generator.addDynamicTitlePageHeader(doc, routeData);
-  doc.y = 100;
-  
-  // Page title
-  doc.fontSize(20).fillColor(generator.colors.primary).font('Helvetica-Bold')
-     .text('ROUTE OVERVIEW & STATISTICAL ANALYSIS', 50, doc.y);
-  
-  doc.y += 40;
-  
-  // Statistics summary
-  const stats = routeData.dynamicStats;
-  
-  doc.fontSize(14).fillColor(generator.colors.secondary).font('Helvetica-Bold')
-     .text('DATA ANALYSIS SUMMARY', 50, doc.y);
-  
-  doc.y += 30;
-  doc.fontSize(11).font('Helvetica');
-  
-  const summaryData = [
-    ['Total Data Points Analyzed', stats.totalDataPoints.toString()],
-    ['Average Risk Score', stats.riskAnalysis.avgRiskScore.toFixed(2) + '/10'],
-    ['Critical Risk Points', stats.riskAnalysis.criticalPoints.toString()],
-    ['Maximum Risk Score', stats.riskAnalysis.maxRiskScore.toFixed(2) + '/10'],
-    ['Data Quality Level', routeData.dataQuality.level.toUpperCase()],
-    ['Analysis Completeness', routeData.dataQuality.score + '%']
-  ];
-  
-  generator.createDetailedTable(doc, summaryData, [200, 300]);
-}
-
-async function addSafetyAnalysisPage(doc, routeData, generator) {
-  // Safety analysis page implementation
-  generator.addDynamicTitlePageHeader(doc, routeData);
-  doc.y = 100;
-  
-  doc.fontSize(20).fillColor(generator.colors.warning).font('Helvetica-Bold')
-     .text('SAFETY ANALYSIS & COMPLIANCE ASSESSMENT', 50, doc.y);
-  
-  // Add safety metrics based on dynamic data
-  // Implementation continues...
-}
-
-async function addRiskAssessmentPage(doc, routeData, generator) {
-  // Risk assessment page implementation
-  generator.addDynamicTitlePageHeader(doc, routeData);
-  doc.y = 100;
-  
-  doc.fontSize(20).fillColor(generator.colors.danger).font('Helvetica-Bold')
-     .text('COMPREHENSIVE RISK ASSESSMENT', 50, doc.y);
-  
-  // Add risk analysis based on dynamic data
-  // Implementation continues...
-}
-
-async function addRecommendationsPage(doc, routeData, generator) {
-  // Recommendations page implementation
-  generator.addDynamicTitlePageHeader(doc, routeData);
-  doc.y = 100;
-  
-  doc.fontSize(20).fillColor(generator.colors.success).font('Helvetica-Bold')
-     .text('SAFETY RECOMMENDATIONS & ACTION PLAN', 50, doc.y);
-  
-  // Add recommendations based on dynamic analysis
-  // Implementation continues...
-}
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,141 @@
+// File: routes/providers.js
+// Purpose: External provider configuration, health and circuit breaker status
+
+const express = require('express');
+const { auth, authorize } = require('../middleware/auth');
+const providerRegistry = require('../services/providers');
+const providerHttp = require('../services/providerHttpService');
+const providerHealth = require('../services/providerHealthService');
+const osmRoadNetwork = require('../services/osmRoadNetworkService');
+
+const router = express.Router();
+
+router.use(auth);
+
+// Registry chains, HTTP cache statistics and current health in one view
+router.get('/', async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        registry: providerRegistry.describe(),
+        http: providerHttp.getStats(),
+        overallHealth: providerHealth.getOverallHealth(),
+        openCircuits: providerHealth.getOpenCircuits(),
+        localRoadNetwork: await osmRoadNetwork.getStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('Provider overview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching provider overview',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Rolling health, latency, error classes and breaker state per provider
+router.get('/health', async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        overallHealth: providerHealth.getOverallHealth(),
+        successRate: providerHealth.getSuccessRate(),
+        openCircuits: providerHealth.getOpenCircuits(),
+        breaker: providerHealth.getConfig(),
+        providers: providerHealth.getStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('Provider health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching provider health',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Bucketed health history (?provider=google-places&hours=24, max 30 days)
+router.get('/health/history', async (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 30 * 24);
+    const history = await providerHealth.getHistory({
+      provider: req.query.provider || null,
+      hours
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        provider: req.query.provider || 'all',
+        hours,
+        bucketMinutes: providerHealth.getConfig().bucketMinutes,
+        buckets: history
+      }
+    });
+
+  } catch (error) {
+    console.error('Provider health history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching provider health history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Imported OpenStreetMap road network: coverage, counts and recent imports
+router.get('/osm', async (req, res) => {
+  try {
+    const imports = await require('../services/osmImportService').getImports();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...(await osmRoadNetwork.getStatus()),
+        imports
+      }
+    });
+
+  } catch (error) {
+    console.error('OSM road network status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching OSM road network status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Close a provider's circuit manually (e.g. after rotating an API key)
+router.post('/health/:provider/reset', authorize('admin'), async (req, res) => {
+  try {
+    if (!providerHealth.reset(req.params.provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No health data for this provider'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Circuit for ${req.params.provider} reset`,
+      data: providerHealth.getStatus(req.params.provider)
+    });
+
+  } catch (error) {
+    console.error('Provider circuit reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting provider circuit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+// File: routes/reportTemplates.js
+// Purpose: Manage the report templates (branding, logo, chapters, disclaimer and signatories)
+// selected with `template` on the /api/pdf endpoints
+
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const ReportTemplate = require('../models/ReportTemplate');
+const HPCLDynamicPDFGenerator = require('../hpcl-enhanced-pdf-generator');
+const { auth, authorize } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { adminResourceHelpers } = require('../utils/adminResource');
+
+const router = express.Router();
+
+router.use(auth);
+
+// Logos are stored under the template name so re-uploads are easy to trace
+const logoUpload = multer({
+  storage: multer.diskStorage({
+    destination: function (req, file, cb) {
+      fs.mkdir(ReportTemplate.LOGOS_PATH, { recursive: true }, error => cb(error, ReportTemplate.LOGOS_PATH));
+    },
+    filename: function (req, file, cb) {
+      const name = req.params.name.toLowerCase().replace(/[^a-z0-9_]/g, '');
+      cb(null, `${name}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (ReportTemplate.LOGO_FILE.test(path.basename(file.originalname))) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .png, .jpg and .jpeg logos are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  }
+});
+
+const templateResource = adminResourceHelpers(ReportTemplate, {
+  label: 'report template',
+  editableFields: ['displayName', 'organisation', 'description', 'branding', 'cover', 'confidentialityNotice',
+    'chapters', 'disclaimer', 'signatories', 'isDefault', 'isActive']
+});
+
+// List templates (admins can include inactive ones with ?includeInactive=true)
+router.get('/', async (req, res) => {
+  try {
+    await ReportTemplate.ensureDefaults();
+
+    const filter = templateResource.listFilter(req);
+    if (req.query.organisation) {
+      filter.organisation = req.query.organisation;
+    }
+    const templates = await ReportTemplate.find(filter).sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates,
+        total: templates.length,
+        colorKeys: ReportTemplate.COLOR_KEYS,
+        chapters: HPCLDynamicPDFGenerator.REPORT_CHAPTERS.map(chapter => ({
+          key: chapter.key,
+          title: chapter.title
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Report template list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching report templates'
+    });
+  }
+});
+
+// Get a single template
+router.get('/:name', async (req, res) => {
+  try {
+    await ReportTemplate.ensureDefaults();
+    const template = await ReportTemplate.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!template || (!template.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    logger.error('Report template fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching report template'
+    });
+  }
+});
+
+// Create a template (admin only)
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    await ReportTemplate.ensureDefaults();
+
+    const template = new ReportTemplate({
+      name: req.body.name,
+      ...templateResource.pickFields(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    await template.save();
+
+    if (template.isDefault) {
+      await templateResource.clearOtherDefaults(template._id);
+    }
+
+    console.log(`✅ Report template created: ${template.name} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Report template created successfully',
+      data: template
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return templateResource.validationResponse(res, error, req.body.name);
+    }
+    logger.error('Report template create error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating report template'
+    });
+  }
+});
+
+// Update a template (admin only) - every edit bumps the template version
+router.put('/:name', authorize('admin'), async (req, res) => {
+  try {
+    const template = await ReportTemplate.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    const updates = templateResource.pickFields(req.body);
+    if (template.isDefault && (updates.isActive === false || updates.isDefault === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another template the default before deactivating or unsetting this one'
+      });
+    }
+
+    // Merge partial branding, colour and cover updates over the current values
+    if (updates.branding) {
+      const current = template.branding.toObject();
+      updates.branding = {
+        ...current,
+        ...updates.branding,
+        colors: { ...(current.colors || {}), ...(updates.branding.colors || {}) }
+      };
+    }
+    if (updates.cover) {
+      updates.cover = { ...template.cover.toObject(), ...updates.cover };
+    }
+
+    template.set({ ...updates, updatedBy: req.user.id });
+    await template.save();
+
+    if (template.isDefault) {
+      await templateResource.clearOtherDefaults(template._id);
+    }
+
+    console.log(`✅ Report template updated: ${template.name} v${template.version} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Report template updated successfully',
+      data: template
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return templateResource.validationResponse(res, error);
+    }
+    logger.error('Report template update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating report template'
+    });
+  }
+});
+
+// Upload the template logo (admin only) - multipart field `logo`, PNG or JPEG
+router.put('/:name/logo', authorize('admin'), (req, res, next) => {
+  logoUpload.single('logo')(req, res, error => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No logo uploaded - send a PNG or JPEG file in the `logo` field'
+      });
+    }
+
+    const template = await ReportTemplate.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!template) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    template.branding.logoFile = req.file.filename;
+    template.branding.showLogo = true;
+    template.updatedBy = req.user.id;
+    await template.save();
+
+    console.log(`✅ Report template logo uploaded: ${template.name} -> ${req.file.filename}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Report template logo uploaded successfully',
+      data: template
+    });
+
+  } catch (error) {
+    logger.error('Report template logo upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading report template logo'
+    });
+  }
+});
+
+// Deactivate a template (admin only) - kept so earlier reports stay traceable
+router.delete('/:name', authorize('admin'), async (req, res) => {
+  try {
+    const template = await ReportTemplate.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    if (template.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default report template cannot be deactivated'
+      });
+    }
+
+    template.isActive = false;
+    template.updatedBy = req.user.id;
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Report template ${template.name} deactivated`
+    });
+
+  } catch (error) {
+    logger.error('Report template delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating report template'
+    });
+  }
+});
+
+module.exports = router;
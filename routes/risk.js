@@ -2,9 +2,13 @@
 // Purpose: Risk assessment and calculation endpoints with FIXED logger import
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Route = require('../models/Route');
-const { auth } = require('../middleware/auth');
+const RiskAssessment = require('../models/RiskAssessment');
+const RiskProfile = require('../models/RiskProfile');
+const { auth, authorize } = require('../middleware/auth');
 const { logger } = require('../utils/logger'); // ✅ FIXED: Destructured logger import
+const { adminResourceHelpers } = require('../utils/adminResource');
 
 const router = express.Router();
 
@@ -30,12 +34,26 @@ router.get('/calculate/:routeId', async (req, res) => {
       });
     }
 
+    // Optional vehicle-class weight profile, e.g. ?profile=lpg_bullet
+    const profileName = req.query.profile;
+    if (profileName && !(await RiskProfile.resolve(profileName))) {
+      return res.status(400).json({
+        success: false,
+        message: `Risk profile not found: ${profileName}`,
+        availableProfiles: await getActiveProfileNames()
+      });
+    }
+
     console.log(`🔄 Starting real risk calculation for route: ${route.routeId}`);
 
     // REAL RISK CALCULATION using the enhanced service
     try {
       const riskCalculationService = require('../services/riskCalculationService');
-      const realRiskScore = await riskCalculationService.calculateRouteRisk(routeId);
+      const realRiskScore = await riskCalculationService.calculateRouteRisk(routeId, {
+        trigger: 'manual',
+        triggeredBy: userId,
+        profile: profileName
+      });
       
       // Generate comprehensive risk explanation
       const explanation = {
@@ -47,6 +65,7 @@ router.get('/calculate/:routeId', async (req, res) => {
         recommendations: realRiskScore.safetyRecommendations,
         dataQuality: realRiskScore.dataQuality,
         confidence: realRiskScore.confidenceLevel,
+        riskProfile: realRiskScore.riskProfile,
         calculatedAt: realRiskScore.calculatedAt
       };
       
@@ -68,7 +87,13 @@ router.get('/calculate/:routeId', async (req, res) => {
             totalScore: realRiskScore.totalWeightedScore,
             riskGrade: realRiskScore.riskGrade,
             riskLevel: realRiskScore.riskLevel,
-            confidence: realRiskScore.confidenceLevel
+            confidence: realRiskScore.confidenceLevel,
+            riskProfile: {
+              name: realRiskScore.riskProfile,
+              displayName: realRiskScore.riskProfileName,
+              version: realRiskScore.riskProfileVersion
+            },
+            assessmentId: realRiskScore.assessmentId
           },
           riskBreakdown: {
             roadConditions: realRiskScore.roadConditions,
@@ -171,11 +196,13 @@ async function calculateBasicRisk(route) {
   };
 }
 
-// Get risk calculation history
+// Get risk calculation history - full assessment timeline plus a diff between two runs
+// Query: limit (default 50), from/to = assessment id or sequence number (default: previous → latest)
 router.get('/history/:routeId', async (req, res) => {
   try {
     const { routeId } = req.params;
     const userId = req.user.id;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
     
     // Verify route ownership
     const route = await Route.findOne({
@@ -191,27 +218,91 @@ router.get('/history/:routeId', async (req, res) => {
       });
     }
     
-    // Return current risk score as history
-    const history = [];
+    const [assessments, totalCalculations] = await Promise.all([
+      RiskAssessment.find({ routeId: route._id }).sort({ sequence: -1 }).limit(limit).lean(),
+      RiskAssessment.countDocuments({ routeId: route._id })
+    ]);
+    
+    const history = assessments.map(assessment => ({
+      assessmentId: assessment._id,
+      sequence: assessment.sequence,
+      calculatedAt: assessment.calculatedAt,
+      riskScore: assessment.totalWeightedScore,
+      riskGrade: assessment.riskGrade,
+      riskLevel: assessment.riskLevel,
+      confidence: assessment.confidenceLevel,
+      trigger: assessment.trigger,
+      calculationVersion: assessment.calculationVersion,
+      riskProfile: assessment.profile?.name || 'standard',
+      factors: assessment.factors,
+      weights: assessment.weights,
+      dataCounts: assessment.dataCounts,
+      dataQuality: assessment.dataQuality,
+      calculationType: 'comprehensive'
+    }));
     
-    if (route.riskScores && route.riskScores.totalWeightedScore) {
+    // Routes calculated before assessments were recorded only have their current score
+    if (history.length === 0 && route.riskScores && route.riskScores.totalWeightedScore) {
       history.push({
         calculatedAt: route.metadata?.lastCalculated || route.updatedAt,
         riskScore: route.riskScores.totalWeightedScore,
         riskGrade: route.riskScores.riskGrade || 'C',
         riskLevel: route.riskLevel || 'MEDIUM',
-        calculationType: 'comprehensive'
+        calculationType: 'legacy_snapshot'
       });
     }
     
+    // Diff between two assessments
+    let comparison = null;
+    if (totalCalculations >= 2) {
+      const findAssessment = async (ref) => {
+        if (mongoose.isValidObjectId(ref)) {
+          return RiskAssessment.findOne({ _id: ref, routeId: route._id }).lean();
+        }
+        const sequence = parseInt(ref, 10);
+        return isNaN(sequence) ? null : RiskAssessment.findOne({ routeId: route._id, sequence }).lean();
+      };
+      
+      const { from, to } = req.query;
+      let toAssessment = to ? await findAssessment(to) : null;
+      let fromAssessment = from ? await findAssessment(from) : null;
+      
+      if ((from && !fromAssessment) || (to && !toAssessment)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assessment to compare not found for this route'
+        });
+      }
+      
+      if (!toAssessment) {
+        toAssessment = await RiskAssessment.findOne({ routeId: route._id }).sort({ sequence: -1 }).lean();
+      }
+      if (!fromAssessment) {
+        fromAssessment = await RiskAssessment.findOne({
+          routeId: route._id,
+          sequence: { $lt: toAssessment.sequence }
+        }).sort({ sequence: -1 }).lean();
+      }
+      
+      if (fromAssessment && toAssessment) {
+        // Always compare older → newer
+        if (fromAssessment.sequence > toAssessment.sequence) {
+          [fromAssessment, toAssessment] = [toAssessment, fromAssessment];
+        }
+        comparison = RiskAssessment.compareAssessments(fromAssessment, toAssessment);
+      }
+    }
+    
     res.status(200).json({
       success: true,
       data: {
         routeId: route.routeId,
         routeName: route.routeName,
         history,
-        totalCalculations: history.length,
-        latestCalculation: history[0] || null
+        totalCalculations,
+        returned: history.length,
+        latestCalculation: history[0] || null,
+        comparison
       }
     });
     
@@ -224,98 +315,114 @@ router.get('/history/:routeId', async (req, res) => {
   }
 });
 
-// Batch calculate risks for multiple routes
-router.post('/batch-calculate', async (req, res) => {
+// Per-segment risk strip - chainage-indexed scores with the dominant factor per segment
+// Query: segmentKm (default 1), profile (weight profile), top (ranked segments, default 10)
+router.get('/segments/:routeId', async (req, res) => {
   try {
-    const { routeIds } = req.body;
+    const { routeId } = req.params;
     const userId = req.user.id;
-    
-    if (!routeIds || !Array.isArray(routeIds)) {
-      return res.status(400).json({
+
+    const route = await Route.findOne({
+      _id: routeId,
+      userId,
+      status: { $ne: 'deleted' }
+    });
+
+    if (!route) {
+      return res.status(404).json({
         success: false,
-        message: 'Route IDs array is required'
+        message: 'Route not found'
       });
     }
-    
-    if (routeIds.length > 10) {
+
+    const profileName = req.query.profile;
+    if (profileName && !(await RiskProfile.resolve(profileName))) {
       return res.status(400).json({
         success: false,
-        message: 'Maximum 10 routes can be processed at once'
+        message: `Risk profile not found: ${profileName}`,
+        availableProfiles: await getActiveProfileNames()
       });
     }
-    
-    // Verify all routes belong to user
-    const routes = await Route.find({
-      _id: { $in: routeIds },
-      userId,
-      status: { $ne: 'deleted' }
+
+    console.log(`📊 Building segment risk strip for route: ${route.routeId}`);
+
+    const segmentRiskService = require('../services/segmentRiskService');
+    const strip = await segmentRiskService.buildRiskStrip(route._id, {
+      segmentKm: req.query.segmentKm,
+      profile: profileName,
+      top: req.query.top
+    });
+
+    console.log(`✅ Segment risk strip built: ${strip.segmentCount} segments, ${strip.riskyStretches.length} risky stretches`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Segment risk strip generated successfully',
+      data: strip
     });
+
+  } catch (error) {
+    logger.error('Segment risk strip API error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating segment risk strip',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Batch calculate risks for multiple routes
+router.post('/batch-calculate', async (req, res) => {
+  try {
+    const { profile: profileName } = req.body;
+    const userId = req.user.id;
     
-    if (routes.length !== routeIds.length) {
+    if (profileName && !(await RiskProfile.resolve(profileName))) {
       return res.status(400).json({
         success: false,
-        message: 'Some routes not found or not accessible'
+        message: `Risk profile not found: ${profileName}`,
+        availableProfiles: await getActiveProfileNames()
       });
     }
     
-    console.log(`🔄 Starting batch risk calculation for ${routes.length} routes`);
-    
-    // Calculate risks for all routes
-    const results = [];
-    
-    for (const route of routes) {
-      try {
-        const riskCalculationService = require('../services/riskCalculationService');
-        const riskResult = await riskCalculationService.calculateRouteRisk(route._id);
-        
-        results.push({
-          routeId: route.routeId,
-          routeName: route.routeName,
-          success: true,
-          riskScore: riskResult.totalWeightedScore,
-          riskGrade: riskResult.riskGrade,
-          riskLevel: riskResult.riskLevel,
-          confidence: riskResult.confidenceLevel,
-          calculatedAt: riskResult.calculatedAt
-        });
-        
-        console.log(`   ✅ Calculated risk for ${route.routeName}: ${riskResult.riskGrade} (${riskResult.totalWeightedScore})`);
-        
-      } catch (error) {
-        console.error(`   ❌ Risk calculation failed for ${route.routeName}:`, error.message);
-        
-        results.push({
-          routeId: route.routeId,
-          routeName: route.routeName,
-          success: false,
-          error: error.message
-        });
-      }
+    const bulkOperationService = require('../services/bulkOperationService');
+    const { selection, errors } = bulkOperationService.validateSelection(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Route IDs array or filter is required',
+        errors
+      });
     }
     
-    const successful = results.filter(r => r.success);
-    const failed = results.filter(r => !r.success);
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const job = await bulkOperationService.createJob('recalculate', userId, selection, {
+      dryRun,
+      profile: profileName,
+      source: 'risk/batch-calculate'
+    });
     
-    console.log(`✅ Batch calculation completed: ${successful.length} successful, ${failed.length} failed`);
+    console.log(`🔄 Batch risk calculation job ${job._id} for ${job.totalRoutes} routes${dryRun ? ' (dry run)' : ''}`);
     
-    res.status(200).json({
+    res.status(dryRun ? 200 : 202).json({
       success: true,
-      message: 'Batch risk calculation completed',
-      data: {
-        totalProcessed: results.length,
-        successful: successful.length,
-        failed: failed.length,
-        results,
-        summary: {
-          averageRiskScore: successful.length > 0 ? 
-            successful.reduce((sum, r) => sum + r.riskScore, 0) / successful.length : 0,
-          highRiskRoutes: successful.filter(r => r.riskScore > 6).length,
-          criticalRiskRoutes: successful.filter(r => r.riskScore > 8).length
-        }
+      message: dryRun ? 'Batch risk calculation dry run completed' : 'Batch risk calculation queued',
+      data: dryRun ? job : {
+        jobId: job._id,
+        status: job.status,
+        totalRoutes: job.totalRoutes,
+        statusUrl: `/api/routes/bulk/jobs/${job._id}`
       }
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     logger.error('Batch risk calculation error:', error);
     res.status(500).json({
       success: false,
@@ -384,6 +491,7 @@ router.post('/recalculate/:routeId', async (req, res) => {
     const { routeId } = req.params;
     const userId = req.user.id;
     const { forceRefresh = false } = req.body;
+    const profileName = req.query.profile || req.body.profile;
     
     const route = await Route.findOne({
       _id: routeId,
@@ -398,10 +506,22 @@ router.post('/recalculate/:routeId', async (req, res) => {
       });
     }
     
+    if (profileName && !(await RiskProfile.resolve(profileName))) {
+      return res.status(400).json({
+        success: false,
+        message: `Risk profile not found: ${profileName}`,
+        availableProfiles: await getActiveProfileNames()
+      });
+    }
+    
     console.log(`🔄 Recalculating risk for route: ${route.routeId} (force: ${forceRefresh})`);
     
     const riskCalculationService = require('../services/riskCalculationService');
-    const riskResult = await riskCalculationService.calculateRouteRisk(routeId);
+    const riskResult = await riskCalculationService.calculateRouteRisk(routeId, {
+      trigger: 'manual',
+      triggeredBy: userId,
+      profile: profileName
+    });
     
     res.status(200).json({
       success: true,
@@ -412,13 +532,15 @@ router.post('/recalculate/:routeId', async (req, res) => {
         previousRisk: {
           score: route.riskScores?.totalWeightedScore || 0,
           grade: route.riskScores?.riskGrade || 'N/A',
-          level: route.riskLevel || 'UNKNOWN'
+          level: route.riskLevel || 'UNKNOWN',
+          riskProfile: route.riskScores?.riskProfile || 'standard'
         },
         newRisk: {
           score: riskResult.totalWeightedScore,
           grade: riskResult.riskGrade,
           level: riskResult.riskLevel,
-          confidence: riskResult.confidenceLevel
+          confidence: riskResult.confidenceLevel,
+          riskProfile: riskResult.riskProfile
         },
         improvement: (route.riskScores?.totalWeightedScore || 0) - riskResult.totalWeightedScore,
         dataQuality: riskResult.dataQuality,
@@ -435,4 +557,204 @@ router.post('/recalculate/:routeId', async (req, res) => {
   }
 });
 
+// ============================================================================
+// RISK WEIGHT PROFILES (vehicle-class specific weights and grade thresholds)
+// ============================================================================
+
+async function getActiveProfileNames() {
+  const profiles = await RiskProfile.find({ isActive: true }).select('name').lean();
+  return profiles.map(profile => profile.name);
+}
+
+const profileResource = adminResourceHelpers(RiskProfile, {
+  label: 'risk profile',
+  editableFields: ['displayName', 'vehicleClass', 'description', 'weights', 'gradeThresholds', 'isDefault', 'isActive']
+});
+
+// List profiles (admins can include inactive ones with ?includeInactive=true)
+router.get('/profiles', async (req, res) => {
+  try {
+    await RiskProfile.ensureDefaults();
+    
+    const filter = profileResource.listFilter(req);
+    const profiles = await RiskProfile.find(filter).sort({ isDefault: -1, name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        profiles,
+        defaultProfile: profiles.find(profile => profile.isDefault)?.name || 'standard',
+        total: profiles.length
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Risk profile list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching risk profiles'
+    });
+  }
+});
+
+// Get a single profile
+router.get('/profiles/:name', async (req, res) => {
+  try {
+    await RiskProfile.ensureDefaults();
+    const profile = await RiskProfile.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!profile || (!profile.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Risk profile not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: profile
+    });
+    
+  } catch (error) {
+    logger.error('Risk profile fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching risk profile'
+    });
+  }
+});
+
+// Create a profile (admin only)
+router.post('/profiles', authorize('admin'), async (req, res) => {
+  try {
+    await RiskProfile.ensureDefaults();
+    
+    const profile = new RiskProfile({
+      name: req.body.name,
+      ...profileResource.pickFields(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    await profile.save();
+    
+    if (profile.isDefault) {
+      await profileResource.clearOtherDefaults(profile._id);
+    }
+    
+    console.log(`✅ Risk profile created: ${profile.name} by ${req.user.username}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Risk profile created successfully',
+      data: profile
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return profileResource.validationResponse(res, error, req.body.name);
+    }
+    logger.error('Risk profile create error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating risk profile'
+    });
+  }
+});
+
+// Update a profile (admin only) - weight/threshold edits bump the profile version
+router.put('/profiles/:name', authorize('admin'), async (req, res) => {
+  try {
+    const profile = await RiskProfile.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Risk profile not found'
+      });
+    }
+    
+    const updates = profileResource.pickFields(req.body);
+    if (profile.isDefault && (updates.isActive === false || updates.isDefault === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another profile the default before deactivating or unsetting this one'
+      });
+    }
+    
+    // Merge partial weight/threshold updates over the current values
+    if (updates.weights) {
+      updates.weights = { ...profile.weights.toObject(), ...updates.weights };
+    }
+    if (updates.gradeThresholds) {
+      const current = profile.gradeThresholds.toObject();
+      updates.gradeThresholds = RiskProfile.GRADES.reduce((thresholds, grade) => {
+        thresholds[grade] = { ...current[grade], ...(updates.gradeThresholds[grade] || {}) };
+        return thresholds;
+      }, {});
+    }
+    
+    profile.set({ ...updates, updatedBy: req.user.id });
+    await profile.save();
+    
+    if (profile.isDefault) {
+      await profileResource.clearOtherDefaults(profile._id);
+    }
+    
+    console.log(`✅ Risk profile updated: ${profile.name} v${profile.version} by ${req.user.username}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Risk profile updated successfully',
+      data: profile
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return profileResource.validationResponse(res, error);
+    }
+    logger.error('Risk profile update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating risk profile'
+    });
+  }
+});
+
+// Deactivate a profile (admin only) - kept for assessments that reference it
+router.delete('/profiles/:name', authorize('admin'), async (req, res) => {
+  try {
+    const profile = await RiskProfile.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Risk profile not found'
+      });
+    }
+    
+    if (profile.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default risk profile cannot be deactivated'
+      });
+    }
+    
+    profile.isActive = false;
+    profile.updatedBy = req.user.id;
+    await profile.save();
+    
+    res.status(200).json({
+      success: true,
+      message: `Risk profile ${profile.name} deactivated`
+    });
+    
+  } catch (error) {
+    logger.error('Risk profile delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating risk profile'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
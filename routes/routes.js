@@ -1,14 +1,16 @@
 // File: routes/routes.js
-// Purpose: Route management endpoints with GPS CSV upload support and data collection
+// Purpose: Route management endpoints with GPS file upload support and data collection
 // Dependencies: multer for file uploads, express-validator for validation
 
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const { body, query } = require('express-validator');
 const routeController = require('../controllers/routeController');
 const { auth } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { EXTENSION_FORMATS } = require('../utils/gpsFileParser');
 // ============================================================================
 // ADD THESE MISSING IMPORTS (add these lines)
 // ============================================================================
@@ -35,14 +37,16 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  // Check file type
-  const allowedTypes = ['.csv', '.txt'];
+  // Check file type - GPS routes also accept GPX, KML and GeoJSON tracks
+  const allowedTypes = file.fieldname === 'gpsFile'
+    ? Object.keys(EXTENSION_FORMATS)
+    : ['.csv', '.txt'];
   const fileExt = path.extname(file.originalname).toLowerCase();
   
   if (allowedTypes.includes(fileExt)) {
     cb(null, true);
   } else {
-    cb(new Error('Only CSV and TXT files are allowed'), false);
+    cb(new Error(`Only ${allowedTypes.join(', ')} files are allowed`), false);
   }
 };
 
@@ -168,7 +172,17 @@ const updateRouteValidation = [
   body('majorHighways')
     .optional()
     .isArray()
-    .withMessage('Major highways must be an array')
+    .withMessage('Major highways must be an array'),
+
+  body(['vehicle', 'cargo', 'driver'])
+    .optional()
+    .isObject()
+    .withMessage('Vehicle, cargo and driver must be objects'),
+
+  body('plannedDepartureTime')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Planned departure time must be an ISO 8601 date')
 ];
 
 const queryValidation = [
@@ -203,7 +217,7 @@ router.get('/:id', routeController.getRoute);
 router.put('/:id', updateRouteValidation, routeController.updateRoute);
 router.delete('/:id', routeController.deleteRoute);
 
-// GPS Route Upload - NEW ENDPOINT for your requirement
+// GPS Route Upload - accepts CSV, GPX, KML and GeoJSON files in the gpsFile field
 router.post('/upload-gps-route', 
   upload.single('gpsFile'), 
   gpsRouteValidation, 
@@ -300,34 +314,337 @@ function assessAnalyticsDataQuality(roadConditions, accidentAreas, weatherCondit
   };
 }
 
-// Export route data
+// Export route bundle (route line, latest risk scores, hazard features)
+// Query: format = geojson (default) | kml | gpx | csv | excel
 router.get('/:id/export', async (req, res) => {
   try {
+    const routeExportService = require('../services/routeExportService');
+    const format = routeExportService.resolveFormat(req.query.format);
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported export format: ${req.query.format}`,
+        supportedFormats: routeExportService.getSupportedFormats()
+      });
+    }
+
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    }).select('_id routeId');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    console.log(`📦 Exporting route ${route.routeId} as ${format}`);
+
+    const exported = await routeExportService.exportRoute(route._id, format);
+
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.setHeader('X-Feature-Counts', JSON.stringify(exported.featureCounts));
+    res.status(200).send(exported.content);
+
+  } catch (error) {
+    console.error('❌ Route export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting route data',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Offline static map of the route and its hazards (PNG, no tile server needed)
+// Query: width, height (px), layers = comma list of route, markers, sharpTurns,
+// blindSpots, accidentZones, deadZones (default all)
+router.get('/:id/map-image', async (req, res) => {
+  try {
+    const routeMapRenderService = require('../services/routeMapRenderService');
+
+    let layers;
+    if (req.query.layers) {
+      layers = String(req.query.layers).split(',').map(layer => layer.trim()).filter(Boolean);
+      const unknown = layers.filter(layer => !routeMapRenderService.MAP_LAYERS.includes(layer));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported map layers: ${unknown.join(', ')}`,
+          supportedLayers: routeMapRenderService.MAP_LAYERS
+        });
+      }
+    }
+
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    }).select('_id routeId');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const map = await routeMapRenderService.renderRouteMap(route._id, {
+      width: req.query.width,
+      height: req.query.height,
+      layers
+    });
+
+    res.setHeader('Content-Type', map.mimeType);
+    res.setHeader('Content-Disposition', `inline; filename="${route.routeId}-map.png"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('X-Feature-Counts', JSON.stringify(map.counts));
+    res.setHeader('X-Map-Bounds', JSON.stringify(map.bounds));
+    res.status(200).send(map.buffer);
+
+  } catch (error) {
+    if (error.statusCode === 422) {
+      return res.status(422).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Route map render error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rendering route map',
+      error: error.message
+    });
+  }
+});
+
+// Route chart for the dashboard and reports
+// Params: chartType = elevation-profile | risk-strip | risk-factors | seasonal-weather
+// Query: format = svg (default) | png | json, width, height, style = bar | radar (risk-factors)
+router.get('/:id/charts/:chartType', async (req, res) => {
+  try {
+    const chartRenderService = require('../services/chartRenderService');
+    const { chartType } = req.params;
+    const format = (req.query.format || 'svg').toLowerCase();
+
+    if (!chartRenderService.CHART_TYPES.includes(chartType) || !chartRenderService.CHART_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported chart type or format: ${chartType} (${format})`,
+        supportedCharts: chartRenderService.CHART_TYPES,
+        supportedFormats: chartRenderService.CHART_FORMATS
+      });
+    }
+
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    }).select('_id routeId');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const chart = await chartRenderService.renderRouteChart(route._id, chartType, {
+      width: req.query.width,
+      height: req.query.height,
+      style: req.query.style
+    });
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: {
+          chartType,
+          caption: chart.caption,
+          width: chart.width,
+          height: chart.height,
+          data: chart.data
+        }
+      });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('Content-Disposition', `inline; filename="${route.routeId}-${chartType}.${format}"`);
+    if (format === 'png') {
+      res.setHeader('Content-Type', 'image/png');
+      return res.status(200).send(await chartRenderService.toPng(chart.scene));
+    }
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.status(200).send(chartRenderService.toSvg(chart.scene));
+
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Route chart render error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rendering route chart',
+      error: error.message
+    });
+  }
+});
+
+// Route sharing - create a signed, expiring read-only link
+// Body: expiresInHours (default 72), password, maxViews, label, allowPdf (default true),
+// allowCompleteReport (default false - shared PDFs are the title page only)
+router.post('/:id/share', async (req, res) => {
+  try {
+    const routeShareService = require('../services/routeShareService');
+
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    }).select('_id routeId routeName');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const { options, errors } = routeShareService.validateOptions(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid share options',
+        errors
+      });
+    }
+
+    const { share, token, shareUrl, pdfUrl, completeReportPdfUrl } = await routeShareService.createShare(route, req.user.id, options);
+
+    console.log(`🔗 Share link created for route ${route.routeId} (expires ${share.expiresAt.toISOString()})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shareable link created successfully',
+      data: {
+        shareId: share._id,
+        routeId: route.routeId,
+        routeName: route.routeName,
+        token,
+        shareUrl,
+        pdfUrl,
+        completeReportPdfUrl,
+        expiresAt: share.expiresAt,
+        maxViews: share.maxViews,
+        passwordProtected: share.hasPassword,
+        allowPdf: share.allowPdf,
+        allowCompleteReport: share.allowCompleteReport,
+        label: share.label || null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Route share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating shareable link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// List share links for a route (active only unless ?includeInactive=true)
+router.get('/:id/shares', async (req, res) => {
+  try {
+    const routeShareService = require('../services/routeShareService');
+
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    }).select('_id routeId');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const shares = await routeShareService.listShares(
+      route._id,
+      req.user.id,
+      req.query.includeInactive === 'true'
+    );
+
     res.status(200).json({
       success: true,
-      message: 'Route export endpoint - coming soon',
-      routeId: req.params.id
+      data: {
+        routeId: route.routeId,
+        shares,
+        total: shares.length
+      }
     });
   } catch (error) {
+    console.error('❌ List route shares error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error exporting route data'
+      message: 'Error fetching share links'
     });
   }
 });
 
-// Route sharing (generate shareable link)
-router.post('/:id/share', async (req, res) => {
+// Revoke a share link
+router.delete('/:id/shares/:shareId', async (req, res) => {
   try {
+    const routeShareService = require('../services/routeShareService');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.shareId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid share ID'
+      });
+    }
+
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    }).select('_id routeId');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const share = await routeShareService.revokeShare(route._id, req.params.shareId, req.user.id);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    console.log(`🚫 Share link ${share._id} revoked for route ${route.routeId}`);
+
     res.status(200).json({
       success: true,
-      message: 'Route sharing endpoint - coming soon',
-      routeId: req.params.id
+      message: 'Share link revoked successfully',
+      data: share
     });
   } catch (error) {
+    console.error('❌ Revoke route share error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error generating shareable link'
+      message: 'Error revoking share link'
     });
   }
 });
@@ -341,7 +658,7 @@ router.get('/:id/gps-points', async (req, res) => {
       _id: req.params.id,
       userId: req.user.id,
       status: { $ne: 'deleted' }
-    }).select('routePoints routeName fromName toName totalDistance');
+    }).select('routePoints routeName fromName toName totalDistance mapMatching');
 
     if (!route) {
       return res.status(404).json({
@@ -359,7 +676,8 @@ router.get('/:id/gps-points', async (req, res) => {
         toName: route.toName,
         totalDistance: route.totalDistance,
         gpsPoints: route.routePoints,
-        totalPoints: route.routePoints.length
+        totalPoints: route.routePoints.length,
+        mapMatching: route.mapMatching || null
       }
     });
 
@@ -371,11 +689,66 @@ router.get('/:id/gps-points', async (req, res) => {
   }
 });
 
+// Snap the route's GPS points to the imported OSM road network (re-run after a new import)
+router.post('/:id/map-match', async (req, res) => {
+  try {
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    });
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const mapMatchingService = require('../services/mapMatchingService');
+    const summary = await mapMatchingService.matchAndSaveRoute(route);
+
+    if (summary.status === 'unavailable') {
+      return res.status(503).json({
+        success: false,
+        message: summary.reason
+      });
+    }
+
+    console.log(`🛣️ Map matching for route ${route.routeId}: ${summary.status}`);
+
+    res.status(200).json({
+      success: true,
+      message: summary.status === 'no_coverage'
+        ? 'Route lies outside the imported road network - GPS points left unchanged'
+        : `Route map matched (${summary.matchedPoints}/${summary.totalPoints} points)`,
+      data: {
+        routeId: route.routeId,
+        mapMatching: summary,
+        totalDistance: route.totalDistance,
+        nextSteps: [
+          'Re-run /api/routes/:id/collect-all-data so sharp turns and road conditions use the matched geometry'
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Map matching error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error map matching route',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Collect all route data with enhanced weather and visibility analysis
-// FIXED: Comprehensive data collection with proper async/await handling
+// Runs as a background job - the job id is returned immediately and step progress
+// is pushed over socket.io ('collection:progress' / 'collection:status') or polled below
 router.post('/:id/collect-all-data', async (req, res) => {
   try {
     const Route = require('../models/Route');
+    const dataCollectionJobService = require('../services/dataCollectionJobService');
     
     const route = await Route.findOne({
       _id: req.params.id,
@@ -390,590 +763,264 @@ router.post('/:id/collect-all-data', async (req, res) => {
       });
     }
 
-    console.log(`🔄 Starting ENHANCED comprehensive data collection for route: ${route.routeId}`);
-    
-    // ===================================================================
-    // SEQUENTIAL DATA COLLECTION WITH PROGRESS TRACKING
-    // ===================================================================
-    
-    let collectionStatus = {
-      totalSteps: 7,
-      currentStep: 0,
-      stepResults: {},
-      startTime: Date.now()
-    };
+    // In hard_stop mode a run is refused up front once any budget is exhausted
+    const apiQuota = require('../services/apiQuotaService');
+    if (apiQuota.mode === 'hard_stop') {
+      const { budgets } = await apiQuota.getBudgetStatus(req.user.id);
+      const exhausted = budgets.filter(budget => budget.exhausted);
+      if (exhausted.length > 0) {
+        return res.status(429).json({
+          success: false,
+          message: 'API budget exhausted - data collection not started',
+          data: { budgets: exhausted }
+        });
+      }
+    }
 
-    // Helper function to update progress
-    const updateProgress = (stepName, status, data = null) => {
-      collectionStatus.currentStep++;
-      collectionStatus.stepResults[stepName] = {
-        status: status,
-        data: data,
-        timestamp: new Date(),
-        step: collectionStatus.currentStep
-      };
-      console.log(`📊 Step ${collectionStatus.currentStep}/${collectionStatus.totalSteps}: ${stepName} - ${status}`);
-    };
+    const { job, alreadyActive } = await dataCollectionJobService.startCollection(route, req.user.id);
 
-    try {
-      // ===================================================================
-      // STEP 1: ORIGINAL DATA COLLECTION
-      // ===================================================================
-      console.log('🔄 Step 1/7: Starting original data collection...');
-      let originalResults;
-      try {
-        const dataCollectionService = require('../services/dataCollectionService');
-        originalResults = await dataCollectionService.collectAllRouteData(req.params.id);
-        updateProgress('originalDataCollection', 'SUCCESS', originalResults);
-      } catch (error) {
-        console.error('❌ Original data collection failed:', error);
-        updateProgress('originalDataCollection', 'FAILED', { error: error.message });
-        originalResults = { error: error.message, source: 'dataCollection' };
-      }
+    if (alreadyActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Data collection is already in progress for this route',
+        data: formatCollectionJob(job, req.params.id)
+      });
+    }
 
-      // ===================================================================
-      // STEP 2: ENHANCED WEATHER DATA
-      // ===================================================================
-      console.log('🔄 Step 2/7: Starting enhanced weather data collection...');
-      let seasonalWeatherResults;
-      try {
-        const enhancedWeatherService = require('../services/enhancedWeatherService');
-        seasonalWeatherResults = await enhancedWeatherService.collectAllSeasonalWeatherData(req.params.id);
-        updateProgress('seasonalWeatherAnalysis', 'SUCCESS', seasonalWeatherResults);
-      } catch (error) {
-        console.error('❌ Seasonal weather collection failed:', error);
-        updateProgress('seasonalWeatherAnalysis', 'FAILED', { error: error.message });
-        seasonalWeatherResults = { error: error.message, source: 'seasonalWeather' };
-      }
+    console.log(`🔄 Queued ENHANCED comprehensive data collection for route: ${route.routeId}`);
 
-      // ===================================================================
-      // STEP 3: VISIBILITY ANALYSIS
-      // ===================================================================
-      console.log('🔄 Step 3/7: Starting visibility analysis...');
-      let visibilityResults;
-      try {
-        visibilityResults = await collectVisibilityAnalysis(req.params.id);
-        updateProgress('visibilityAnalysis', 'SUCCESS', visibilityResults);
-      } catch (error) {
-        console.error('❌ Visibility analysis failed:', error);
-        updateProgress('visibilityAnalysis', 'FAILED', { error: error.message });
-        visibilityResults = { error: error.message, source: 'visibilityAnalysis' };
-      }
+    res.status(202).json({
+      success: true,
+      message: 'Data collection started',
+      data: formatCollectionJob(job, req.params.id)
+    });
 
-      // ===================================================================
-      // STEP 4: NETWORK COVERAGE ANALYSIS
-      // ===================================================================
-      console.log('🔄 Step 4/7: Starting network coverage analysis...');
-      let networkCoverageResults;
-      try {
-        const { NetworkCoverageService } = require('../services/networkCoverageService');
-        networkCoverageResults = await NetworkCoverageService.analyzeNetworkCoverage(req.params.id);
-        updateProgress('networkCoverageAnalysis', 'SUCCESS', networkCoverageResults);
-      } catch (error) {
-        console.error('❌ Network coverage analysis failed:', error);
-        updateProgress('networkCoverageAnalysis', 'FAILED', { error: error.message });
-        networkCoverageResults = { error: error.message, source: 'networkCoverage' };
-      }
+  } catch (error) {
+    console.error('❌ Enhanced data collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start data collection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-      // ===================================================================
-      // STEP 5: ACCIDENT DATA COLLECTION
-      // ===================================================================
-      console.log('🔄 Step 5/7: Starting accident data collection...');
-      let accidentDataResults;
-      try {
-        const accidentDataService = require('../services/accidentDataService');
-        accidentDataResults = await accidentDataService.collectRealAccidentProneAreas(route);
-        updateProgress('accidentDataCollection', 'SUCCESS', accidentDataResults);
-      } catch (error) {
-        console.error('❌ Accident data collection failed:', error);
-        updateProgress('accidentDataCollection', 'FAILED', { error: error.message });
-        accidentDataResults = { error: error.message, source: 'accidentData' };
-      }
+// Dry run: predicted provider calls and cost for collect-all-data, checked against budgets
+router.get('/:id/collect-all-data/estimate', async (req, res) => {
+  try {
+    const apiCostEstimateService = require('../services/apiCostEstimateService');
 
-      // ===================================================================
-      // STEP 6: RISK CALCULATION
-      // ===================================================================
-      console.log('🔄 Step 6/7: Starting comprehensive risk calculation...');
-      let riskCalculationResults;
-      try {
-        const riskCalculationService = require('../services/riskCalculationService');
-        riskCalculationResults = await riskCalculationService.calculateRouteRisk(req.params.id);
-        updateProgress('riskCalculation', 'SUCCESS', riskCalculationResults);
-      } catch (error) {
-        console.error('❌ Risk calculation failed:', error);
-        updateProgress('riskCalculation', 'FAILED', { error: error.message });
-        riskCalculationResults = { error: error.message, source: 'riskCalculation' };
-      }
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    });
 
-      // ===================================================================
-      // STEP 7: UPDATE ROUTE STATUS
-      // ===================================================================
-      console.log('🔄 Step 7/7: Updating route processing status...');
-      try {
-        await Route.findByIdAndUpdate(req.params.id, {
-          'dataProcessingStatus.emergencyServices': !originalResults.error,
-          'dataProcessingStatus.weatherData': !seasonalWeatherResults.error,
-          'dataProcessingStatus.trafficData': !originalResults.error,
-          'dataProcessingStatus.accidentData': !accidentDataResults.error,
-          'dataProcessingStatus.roadConditions': !originalResults.error,
-          'dataProcessingStatus.networkCoverage': !networkCoverageResults.error,
-          'dataProcessingStatus.securityData': true,
-          'metadata.lastDataCollection': new Date(),
-          'metadata.dataCollectionVersion': '2.0-enhanced'
-        });
-        updateProgress('routeStatusUpdate', 'SUCCESS', { updated: true });
-      } catch (error) {
-        console.error('❌ Route status update failed:', error);
-        updateProgress('routeStatusUpdate', 'FAILED', { error: error.message });
-      }
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
 
-      // ===================================================================
-      // CALCULATE COMPLETION STATISTICS
-      // ===================================================================
-      const totalExecutionTime = Date.now() - collectionStatus.startTime;
-      const successfulSteps = Object.values(collectionStatus.stepResults).filter(step => step.status === 'SUCCESS').length;
-      const failedSteps = Object.values(collectionStatus.stepResults).filter(step => step.status === 'FAILED').length;
-
-      // ===================================================================
-      // PROCESS RESULTS FOR COMPREHENSIVE RESPONSE
-      // ===================================================================
-      const processedResults = {
-        // Original data collection
-        originalDataCollection: processCollectionResults(originalResults),
-        
-        // Enhanced weather analysis
-        seasonalWeatherAnalysis: processSeasonalWeatherResults(seasonalWeatherResults),
-        
-        // Visibility analysis
-        visibilityAnalysis: processVisibilityResults(visibilityResults),
-        
-        // Network coverage analysis
-        networkCoverageAnalysis: processNetworkCoverageResults(networkCoverageResults),
-        
-        // Accident data analysis
-        accidentDataAnalysis: processAccidentDataResults(accidentDataResults),
-        
-        // Risk calculation
-        riskAssessment: processRiskCalculationResults(riskCalculationResults)
-      };
+    const estimate = await apiCostEstimateService.estimateCollection(route, req.user.id);
 
-      // ===================================================================
-      // COMPREHENSIVE SUMMARY
-      // ===================================================================
-      const comprehensiveSummary = {
-        executionDetails: {
-          totalSteps: collectionStatus.totalSteps,
-          successfulSteps: successfulSteps,
-          failedSteps: failedSteps,
-          successRate: Math.round((successfulSteps / collectionStatus.totalSteps) * 100),
-          totalExecutionTime: `${(totalExecutionTime / 1000).toFixed(2)}s`,
-          completedAt: new Date()
-        },
-        
-        dataCategories: {
-          emergencyServices: processedResults.originalDataCollection.emergencyServices?.total || 0,
-          weatherPoints: processedResults.originalDataCollection.weatherData?.total || 0,
-          seasonalWeatherPoints: processedResults.seasonalWeatherAnalysis.totalDataPoints || 0,
-          trafficPoints: processedResults.originalDataCollection.trafficData?.total || 0,
-          accidentAreas: processedResults.accidentDataAnalysis.total || 0,
-          roadConditions: processedResults.originalDataCollection.roadConditions?.total || 0,
-          sharpTurns: processedResults.visibilityAnalysis.summary?.totalSharpTurns || 0,
-          blindSpots: processedResults.visibilityAnalysis.summary?.totalBlindSpots || 0,
-          networkCoveragePoints: processedResults.networkCoverageAnalysis.totalAnalysisPoints || 0,
-          deadZones: processedResults.networkCoverageAnalysis.deadZones?.total || 0
-        },
-        
-        totalDataPoints: calculateTotalDataPoints(processedResults),
-        
-        dataQuality: assessOverallDataQuality(collectionStatus.stepResults),
-        
-        riskFactors: identifyOverallRiskFactors(processedResults),
-        
-        completionStatus: generateCompletionStatus(collectionStatus.stepResults)
-      };
+    res.status(200).json({
+      success: true,
+      data: estimate
+    });
 
-      // ===================================================================
-      // ENHANCED RECOMMENDATIONS
-      // ===================================================================
-      const enhancedRecommendations = generateEnhancedRecommendations(processedResults, comprehensiveSummary);
+  } catch (error) {
+    console.error('Data collection estimate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error estimating data collection cost',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-      // ===================================================================
-      // SEND FINAL RESPONSE AFTER ALL OPERATIONS COMPLETE
-      // ===================================================================
-      console.log(`✅ ENHANCED data collection completed for route ${route.routeId} in ${(totalExecutionTime / 1000).toFixed(2)}s`);
-      console.log(`📊 Success Rate: ${comprehensiveSummary.executionDetails.successRate}% (${successfulSteps}/${collectionStatus.totalSteps} steps)`);
+// Latest (or ?jobId=) data collection job for a route - polling alternative to socket.io
+router.get('/:id/collect-all-data/status', async (req, res) => {
+  try {
+    const dataCollectionJobService = require('../services/dataCollectionJobService');
 
-      // 🔥 CRITICAL: Response sent ONLY after ALL operations complete
-      res.status(200).json({
-        success: true,
-        message: 'ENHANCED comprehensive data collection completed successfully',
-        
-        routeInfo: {
-          routeId: route.routeId,
-          routeName: route.routeName,
-          fromName: route.fromName,
-          toName: route.toName,
-          totalDistance: route.totalDistance,
-          terrain: route.terrain,
-          gpsPoints: route.routePoints.length
-        },
-        
-        executionSummary: comprehensiveSummary.executionDetails,
-        
-        // Detailed results for each category
-        dataCollectionResults: processedResults,
-        
-        // Comprehensive summary
-        overallSummary: comprehensiveSummary,
-        
-        // Step-by-step execution log
-        executionLog: collectionStatus.stepResults,
-        
-        // Enhanced recommendations
-        recommendations: enhancedRecommendations,
-        
-        // API endpoints for accessing collected data
-        apiEndpoints: {
-          // Original endpoints
-          emergencyServices: `/api/routes/${req.params.id}/emergency-services`,
-          weatherData: `/api/routes/${req.params.id}/weather-data`,
-          trafficData: `/api/routes/${req.params.id}/traffic-data`,
-          roadConditions: `/api/routes/${req.params.id}/road-conditions`,
-          accidentAreas: `/api/routes/${req.params.id}/accident-areas`,
-          
-          // Enhanced endpoints
-          seasonalWeatherAnalysis: `/api/routes/${req.params.id}/seasonal-weather-analysis`,
-          sharpTurns: `/api/routes/${req.params.id}/sharp-turns`,
-          blindSpots: `/api/routes/${req.params.id}/blind-spots`,
-          networkCoverage: `/api/network-coverage/routes/${req.params.id}/overview`,
-          deadZones: `/api/network-coverage/routes/${req.params.id}/dead-zones`,
-          riskAssessment: `/api/risk/calculate/${req.params.id}`,
-          
-          // Analysis endpoints
-          comprehensiveAnalysis: `/api/routes/${req.params.id}/comprehensive-analysis`,
-          visibilityStats: `/api/routes/${req.params.id}/visibility-stats`
-        },
-        
-        // Next steps for the user
-        nextSteps: [
-          '✅ All route data collection completed successfully',
-          '🔍 Review execution log for any failed steps',
-          '📊 Use provided API endpoints for detailed analysis',
-          '🎯 Implement recommendations based on risk factors',
-          '⚠️ Address any critical issues identified',
-          '📈 Monitor data quality and update as needed'
-        ],
-        
-        // Performance metrics
-        performanceMetrics: {
-          totalExecutionTime: totalExecutionTime,
-          avgTimePerStep: Math.round(totalExecutionTime / collectionStatus.totalSteps),
-          dataPointsPerSecond: Math.round(comprehensiveSummary.totalDataPoints / (totalExecutionTime / 1000)),
-          memoryUsage: process.memoryUsage(),
-          dataCollectionTimestamp: new Date()
-        }
+    if (req.query.jobId && !mongoose.Types.ObjectId.isValid(req.query.jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
       });
+    }
 
-    } catch (processingError) {
-      console.error('❌ Data collection processing error:', processingError);
-      
-      // Even in case of processing errors, wait and send response
-      res.status(500).json({
+    const job = req.query.jobId
+      ? await dataCollectionJobService.getJob(req.query.jobId, req.user.id)
+      : await dataCollectionJobService.getLatestJob(req.params.id, req.user.id);
+
+    if (!job || String(job.routeId) !== req.params.id) {
+      return res.status(404).json({
         success: false,
-        message: 'Data collection completed with processing errors',
-        routeId: route.routeId,
-        error: processingError.message,
-        executionLog: collectionStatus.stepResults,
-        partialData: true,
-        timestamp: new Date()
+        message: 'No data collection job found for this route'
       });
     }
 
+    res.status(200).json({
+      success: true,
+      data: formatCollectionJob(job, req.params.id, { includeResults: true })
+    });
+
   } catch (error) {
-    console.error('❌ Enhanced data collection error:', error);
-    
-    // Final error response - also waits for completion
+    console.error('Data collection status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Enhanced data collection failed',
-      error: error.message,
-      timestamp: new Date(),
-      troubleshooting: [
-        'Check if all required services are available',
-        'Verify route has sufficient GPS points',
-        'Ensure database connectivity',
-        'Check API key configurations'
-      ]
+      message: 'Error fetching data collection status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-
-// Enhanced visibility analysis collection
-async function collectVisibilityAnalysis(routeId) {
+// Cancel a queued or running data collection job (running jobs stop after the current step)
+router.post('/:id/collect-all-data/jobs/:jobId/cancel', async (req, res) => {
   try {
-    const sharpTurnsService = require('../services/sharpTurnsBlindSpotsService');
-    return await sharpTurnsService.analyzeRoute(routeId);
+    const dataCollectionJobService = require('../services/dataCollectionJobService');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    const job = await dataCollectionJobService.cancelJob(req.params.jobId, req.user.id);
+
+    if (!job || String(job.routeId) !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data collection job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: job.status === 'cancelled'
+        ? 'Data collection cancelled'
+        : job.cancelRequested
+          ? 'Cancellation requested - the job will stop after the current step'
+          : `Job already ${job.status}`,
+      data: formatCollectionJob(job, req.params.id)
+    });
+
   } catch (error) {
-    console.error('Visibility analysis failed:', error);
-    return { 
-      error: error.message, 
-      summary: { 
-        totalSharpTurns: 0, 
-        totalBlindSpots: 0,
-        criticalTurns: 0,
-        criticalBlindSpots: 0,
-        overallRiskLevel: 'UNKNOWN'
-      } 
-    };
-  }
-}
-// Process collection results
-// Process collection results with null safety
-function processCollectionResults(originalResults) {
-  if (originalResults && !originalResults.error) {
-    return originalResults;
-  } else {
-    return { 
-      error: originalResults?.error || 'Collection failed',
-      emergencyServices: { total: 0 },
-      weatherData: { total: 0 },
-      trafficData: { total: 0 },
-      roadConditions: { total: 0 },
-      amenities: { total: 0 }
-    };
+    console.error('Data collection cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling data collection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
-}
+});
 
-// Process seasonal weather results
-// Process seasonal weather results
-function processSeasonalWeatherResults(seasonalResults) {
-  if (seasonalResults && !seasonalResults.error) {
-    return seasonalResults;
-  } else {
-    return { 
-      error: seasonalResults?.error || 'Seasonal weather collection failed',
-      totalDataPoints: 0,
-      seasonalData: {},
-      analysis: null,
-      vehiclePredictions: null
-    };
-  }
-}
+// Resume a failed, cancelled or partially failed job from its first unsuccessful step
+router.post('/:id/collect-all-data/jobs/:jobId/resume', async (req, res) => {
+  try {
+    const dataCollectionJobService = require('../services/dataCollectionJobService');
 
-// Process visibility analysis results
-function processVisibilityResults(visibilityResults) {
-  if (visibilityResults && !visibilityResults.error) {
-    return visibilityResults;
-  } else {
-    return { 
-      error: visibilityResults?.error || 'Visibility analysis failed',
-      summary: { 
-        totalSharpTurns: 0, 
-        totalBlindSpots: 0, 
-        criticalTurns: 0, 
-        criticalBlindSpots: 0,
-        overallRiskLevel: 'UNKNOWN'
-      }
-    };
-  }
-}
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
 
-// Process network coverage results
-function processNetworkCoverageResults(networkResults) {
-  if (networkResults && !networkResults.error) {
-    return networkResults;
-  } else {
-    return { 
-      error: networkResults?.error || 'Network coverage analysis failed',
-      totalAnalysisPoints: 0,
-      deadZones: { total: 0 },
-      averageSignalStrength: 0,
-      communicationRisk: 5
-    };
-  }
-}
+    const { job, error, resumedFrom } = await dataCollectionJobService.resumeJob(req.params.jobId, req.user.id);
 
-// Process accident data results
-function processAccidentDataResults(accidentResults) {
-  if (accidentResults && !accidentResults.error) {
-    return accidentResults;
-  } else {
-    return { 
-      error: accidentResults?.error || 'Accident data collection failed',
-      total: 0,
-      bySource: {},
-      highRiskAreas: 0,
-      averageRisk: 0
-    };
-  }
-}
-// Process risk calculation results
-function processRiskCalculationResults(riskResults) {
-  if (riskResults && !riskResults.error) {
-    return riskResults;
-  } else {
-    return { 
-      error: riskResults?.error || 'Risk calculation failed',
-      totalWeightedScore: 0,
-      riskGrade: 'UNKNOWN',
-      riskLevel: 'UNKNOWN',
-      confidenceLevel: 0
-    };
-  }
-}
+    if (!job || String(job.routeId) !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data collection job not found'
+      });
+    }
 
-// Calculate total data points across all collections
-function calculateTotalDataPoints(processedResults) {
-  const original = (processedResults.originalDataCollection.emergencyServices?.total || 0) +
-                  (processedResults.originalDataCollection.weatherData?.total || 0) +
-                  (processedResults.originalDataCollection.trafficData?.total || 0) +
-                  (processedResults.originalDataCollection.roadConditions?.total || 0);
-  
-  const seasonal = processedResults.seasonalWeatherAnalysis.totalDataPoints || 0;
-  const visibility = (processedResults.visibilityAnalysis.summary?.totalSharpTurns || 0) + 
-                    (processedResults.visibilityAnalysis.summary?.totalBlindSpots || 0);
-  const network = processedResults.networkCoverageAnalysis.totalAnalysisPoints || 0;
-  const accident = processedResults.accidentDataAnalysis.total || 0;
-  
-  return original + seasonal + visibility + network + accident;
-}
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error,
+        data: formatCollectionJob(job, req.params.id)
+      });
+    }
 
-// Assess overall data quality based on step results
-function assessOverallDataQuality(stepResults) {
-  const totalSteps = Object.keys(stepResults).length;
-  const successfulSteps = Object.values(stepResults).filter(step => step.status === 'SUCCESS').length;
-  
-  const percentage = totalSteps > 0 ? (successfulSteps / totalSteps) * 100 : 0;
-  
-  let quality = 'poor';
-  if (percentage >= 90) quality = 'excellent';
-  else if (percentage >= 75) quality = 'good';
-  else if (percentage >= 50) quality = 'fair';
-  
-  return {
-    level: quality,
-    successRate: Math.round(percentage),
-    successfulSteps: successfulSteps,
-    totalSteps: totalSteps,
-    failedSteps: totalSteps - successfulSteps
-  };
-}
-// Identify overall risk factors from processed results
-function identifyOverallRiskFactors(processedResults) {
-  const riskFactors = [];
-  
-  // Network coverage risks
-  const deadZones = processedResults.networkCoverageAnalysis.deadZones?.total || 0;
-  if (deadZones > 3) {
-    riskFactors.push({
-      category: 'network_coverage',
-      risk: 'high',
-      description: `${deadZones} dead zones detected`,
-      impact: 'communication_failure_risk'
-    });
-  }
-  
-  // Visibility risks
-  const criticalVisibilityPoints = (processedResults.visibilityAnalysis.summary?.criticalTurns || 0) + 
-                                  (processedResults.visibilityAnalysis.summary?.criticalBlindSpots || 0);
-  if (criticalVisibilityPoints > 2) {
-    riskFactors.push({
-      category: 'visibility_hazards',
-      risk: 'high',
-      description: `${criticalVisibilityPoints} critical visibility hazards`,
-      impact: 'accident_risk_increase'
-    });
-  }
-  
-  // Weather risks
-  if (processedResults.seasonalWeatherAnalysis.analysis?.worstSeason?.score >= 7) {
-    riskFactors.push({
-      category: 'seasonal_weather',
-      risk: 'high',
-      description: 'Severe seasonal weather conditions identified',
-      impact: 'travel_disruption_and_safety_risk'
+    res.status(202).json({
+      success: true,
+      message: `Data collection resumed from step: ${resumedFrom}`,
+      data: formatCollectionJob(job, req.params.id)
     });
-  }
-  
-  // Accident risks
-  const highRiskAccidentAreas = processedResults.accidentDataAnalysis.highRiskAreas || 0;
-  if (highRiskAccidentAreas > 2) {
-    riskFactors.push({
-      category: 'accident_prone_areas',
-      risk: 'high',
-      description: `${highRiskAccidentAreas} high-risk accident areas`,
-      impact: 'increased_accident_probability'
+
+  } catch (error) {
+    console.error('Data collection resume error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming data collection',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-  
-  return riskFactors;
-}
-// Generate completion status for each step
-function generateCompletionStatus(stepResults) {
-  const status = {};
-  
-  Object.entries(stepResults).forEach(([stepName, result]) => {
-    status[stepName] = result.status === 'SUCCESS' ? '✅ Complete' : '❌ Failed';
-  });
-  
-  return status;
-}
+});
 
-// Generate enhanced recommendations based on all collected data
-function generateEnhancedRecommendations(processedResults, comprehensiveSummary) {
-  const recommendations = {
-    immediate: [],
-    planning: [],
-    equipment: [],
-    maintenance: []
+// Shape a DataCollectionJob for API responses
+function formatCollectionJob(job, routeId, { includeResults = false } = {}) {
+  const finished = !job.isActive();
+  const baseUrl = `/api/routes/${routeId}/collect-all-data`;
+
+  const response = {
+    jobId: job._id,
+    routeId: job.routeCode,
+    status: job.status,
+    progress: job.progress,
+    currentStep: job.currentStep || null,
+    run: job.run,
+    queueMode: job.queueMode,
+    cancelRequested: job.cancelRequested,
+    steps: job.steps.map(step => ({
+      key: step.key,
+      name: step.name,
+      order: step.order,
+      status: step.status,
+      attempts: step.attempts,
+      durationMs: step.durationMs || null,
+      error: step.error || null,
+      ...(includeResults ? { result: step.result || null } : {})
+    })),
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    statusUrl: `${baseUrl}/status?jobId=${job._id}`,
+    cancelUrl: `${baseUrl}/jobs/${job._id}/cancel`,
+    resumeUrl: `${baseUrl}/jobs/${job._id}/resume`,
+    socketEvents: ['collection:progress', 'collection:status']
   };
-  
-  // Critical recommendations based on success rate
-  if (comprehensiveSummary.executionDetails.successRate < 70) {
-    recommendations.immediate.push({
-      priority: 'CRITICAL',
-      category: 'data_quality',
-      action: 'Address failed data collection steps before route execution',
-      reason: `Only ${comprehensiveSummary.executionDetails.successRate}% of data collection completed successfully`
-    });
-  }
-  
-  // Network coverage recommendations
-  const deadZones = processedResults.networkCoverageAnalysis.deadZones?.total || 0;
-  if (deadZones > 0) {
-    recommendations.equipment.push({
-      priority: 'HIGH',
-      category: 'communication',
-      action: `Install satellite communication for ${deadZones} dead zones`,
-      reason: 'Cellular coverage gaps require backup communication'
-    });
-  }
-  
-  // Visibility recommendations
-  const criticalVisibility = (processedResults.visibilityAnalysis.summary?.criticalTurns || 0) + 
-                            (processedResults.visibilityAnalysis.summary?.criticalBlindSpots || 0);
-  if (criticalVisibility > 0) {
-    recommendations.immediate.push({
-      priority: 'HIGH',
-      category: 'safety',
-      action: `Implement convoy travel for ${criticalVisibility} critical visibility points`,
-      reason: 'Critical visibility hazards require enhanced safety measures'
-    });
-  }
-  
-  // Weather-based recommendations
-  if (processedResults.seasonalWeatherAnalysis.analysis?.criticalPeriods?.length > 0) {
-    recommendations.planning.push({
-      priority: 'MEDIUM',
-      category: 'timing',
-      action: 'Plan route execution outside critical weather periods',
-      reason: 'Seasonal weather analysis identified high-risk periods'
-    });
+
+  if (finished && job.summary) {
+    response.overallSummary = job.summary;
+    response.recommendations = job.recommendations;
+    response.apiEndpoints = {
+      emergencyServices: `/api/routes/${routeId}/emergency-services`,
+      weatherData: `/api/routes/${routeId}/weather-data`,
+      trafficData: `/api/routes/${routeId}/traffic-data`,
+      roadConditions: `/api/routes/${routeId}/road-conditions`,
+      accidentAreas: `/api/routes/${routeId}/accident-areas`,
+      seasonalWeatherAnalysis: `/api/routes/${routeId}/seasonal-weather-analysis`,
+      sharpTurns: `/api/routes/${routeId}/sharp-turns`,
+      blindSpots: `/api/routes/${routeId}/blind-spots`,
+      networkCoverage: `/api/network-coverage/routes/${routeId}/overview`,
+      deadZones: `/api/network-coverage/routes/${routeId}/dead-zones`,
+      riskAssessment: `/api/risk/calculate/${routeId}`,
+      comprehensiveAnalysis: `/api/routes/${routeId}/comprehensive-analysis`,
+      visibilityStats: `/api/routes/${routeId}/visibility-stats`
+    };
   }
-  
-  return recommendations;
+
+  return response;
 }
+
 // Check for critical risks
 // function hasCriticalRisks(seasonalWeather, visibilityAnalysis) {
 //   const criticalWeather = seasonalWeather.analysis?.worstSeason?.score >= 8;
@@ -1356,34 +1403,164 @@ router.get('/:id/comprehensive-analysis', async (req, res) => {
   }
 });
 
-// Bulk operations
+// Bulk operations - run as tracked background jobs (see GET /bulk/jobs/:jobId)
+// Body: routeIds and/or filter { terminalCode, riskLevel, createdBefore }, dryRun
 router.post('/bulk/delete', async (req, res) => {
+  await startBulkJob('delete', req, res);
+});
+
+// Body: as bulk delete, plus profile (risk weight profile)
+router.post('/bulk/recalculate', async (req, res) => {
+  await startBulkJob('recalculate', req, res);
+});
+
+// List the user's recent bulk jobs (without per-route results)
+router.get('/bulk/jobs', async (req, res) => {
   try {
+    const bulkOperationService = require('../services/bulkOperationService');
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const jobs = await bulkOperationService.listJobs(req.user.id, limit);
+
     res.status(200).json({
       success: true,
-      message: 'Bulk delete endpoint - coming soon'
+      data: { jobs, total: jobs.length }
     });
   } catch (error) {
+    console.error('❌ List bulk jobs error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error in bulk delete operation'
+      message: 'Error fetching bulk jobs'
     });
   }
 });
 
-router.post('/bulk/recalculate', async (req, res) => {
+// Bulk job status, progress and per-route results
+router.get('/bulk/jobs/:jobId', async (req, res) => {
   try {
+    const bulkOperationService = require('../services/bulkOperationService');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    const job = await bulkOperationService.getJob(req.params.jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Bulk recalculate endpoint - coming soon'
+      data: job
     });
   } catch (error) {
+    console.error('❌ Get bulk job error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error in bulk recalculate operation'
+      message: 'Error fetching bulk job'
     });
   }
 });
+
+// Cancel a queued or running bulk job (running jobs stop before the next route)
+router.post('/bulk/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const bulkOperationService = require('../services/bulkOperationService');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    const job = await bulkOperationService.requestCancel(req.params.jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Bulk job cancelled' : 'Cancellation requested',
+      data: { jobId: job._id, status: job.status, cancelRequested: job.cancelRequested }
+    });
+  } catch (error) {
+    console.error('❌ Cancel bulk job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling bulk job'
+    });
+  }
+});
+
+async function startBulkJob(type, req, res) {
+  try {
+    const bulkOperationService = require('../services/bulkOperationService');
+    const { selection, errors } = bulkOperationService.validateSelection(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bulk selection',
+        errors
+      });
+    }
+
+    const profileName = type === 'recalculate' ? req.body.profile : undefined;
+    if (profileName) {
+      const RiskProfile = require('../models/RiskProfile');
+      if (!(await RiskProfile.resolve(profileName))) {
+        return res.status(400).json({
+          success: false,
+          message: `Risk profile not found: ${profileName}`
+        });
+      }
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const job = await bulkOperationService.createJob(type, req.user.id, selection, {
+      dryRun,
+      profile: profileName,
+      source: `routes/bulk/${type}`
+    });
+
+    res.status(dryRun ? 200 : 202).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${job.totalRoutes} routes would be affected by bulk ${type}`
+        : `Bulk ${type} job queued for ${job.totalRoutes} routes`,
+      data: dryRun ? job : {
+        jobId: job._id,
+        type: job.type,
+        status: job.status,
+        totalRoutes: job.totalRoutes,
+        statusUrl: `/api/routes/bulk/jobs/${job._id}`
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(`❌ Bulk ${type} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error in bulk ${type} operation`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
 // Analyze sharp turns and blind spots for a route
 // router.post('/:id/analyze-visibility', async (req, res) => {
 //   try {
@@ -1487,6 +1664,66 @@ router.get('/:id/sharp-turns', async (req, res) => {
   }
 });
 
+// Get steep gradients and long descents for a route
+router.get('/:id/steep-gradients', async (req, res) => {
+  try {
+    const SteepGradient = require('../models/SteepGradient');
+    
+    const route = await Route.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    });
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const gradients = await SteepGradient.find({ routeId: req.params.id })
+      .sort({ distanceFromStartKm: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        routeId: route.routeId,
+        routeName: route.routeName,
+        totalSteepGradients: gradients.length,
+        longDescents: gradients.filter(g => g.hazardType === 'long_descent').length,
+        criticalGradients: gradients.filter(g => g.riskScore >= 8).length,
+        steepGradients: gradients.map(gradient => ({
+          id: gradient._id,
+          hazardType: gradient.hazardType,
+          direction: gradient.direction,
+          coordinates: { latitude: gradient.latitude, longitude: gradient.longitude },
+          endCoordinates: { latitude: gradient.endLatitude, longitude: gradient.endLongitude },
+          distanceFromStart: gradient.distanceFromStartKm,
+          endDistanceFromStart: gradient.endDistanceFromStartKm,
+          lengthMeters: gradient.lengthMeters,
+          elevationChangeMeters: gradient.elevationChangeMeters,
+          averageGradePercent: gradient.averageGradePercent,
+          maxGradePercent: gradient.maxGradePercent,
+          brakeFadeRisk: gradient.brakeFadeRisk,
+          riskScore: gradient.riskScore,
+          severity: gradient.severity,
+          recommendedGear: gradient.recommendedGear,
+          recommendedSpeed: gradient.recommendedSpeed,
+          recommendations: gradient.recommendations,
+          mapsLink: gradient.mapsLink
+        }))
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching steep gradient data'
+    });
+  }
+});
+
 // Get blind spots data for a route
 router.get('/:id/blind-spots', async (req, res) => {
   try {
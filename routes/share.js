@@ -0,0 +1,158 @@
+// File: routes/share.js
+// Purpose: Public read-only viewer for shared routes (no account required)
+// Access is granted by a share token created via POST /api/routes/:id/share.
+// Password-protected shares expect the password in the X-Share-Password header; repeated
+// wrong passwords lock the share for a while (429 with Retry-After).
+
+const express = require('express');
+const routeShareService = require('../services/routeShareService');
+const HPCLDynamicPDFGenerator = require('../hpcl-enhanced-pdf-generator');
+const ReportTemplate = require('../models/ReportTemplate');
+
+const router = express.Router();
+
+const MAX_ROUTE_LINE_POINTS = 1000;
+const PDF_REPORT_TYPES = ['title-page', 'complete'];
+
+// Chapters a shared complete report may contain. Compliance is left out: it carries the
+// owner's vehicle registration, PESO licence, cargo and driver details.
+const PUBLIC_REPORT_CHAPTERS = ['overview', 'route-map', 'risk-factors', 'high-risk-zones', 'seasonal-conditions',
+  'emergency-services', 'amenities', 'communication-coverage', 'terrain', 'traffic'];
+
+function sendShareError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    if (error.retryAfterSeconds) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+// Share metadata (expiry, password requirement, remaining views) - does not count a view
+router.get('/:token/info', async (req, res) => {
+  try {
+    const { share, route } = await routeShareService.resolveToken(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        routeName: route.routeName,
+        ...routeShareService.describeShare(share)
+      }
+    });
+  } catch (error) {
+    sendShareError(res, error, 'Error reading share link');
+  }
+});
+
+// Shared route analysis - route line, latest risk scores, hazards and riskiest stretches
+router.get('/:token', async (req, res) => {
+  try {
+    const { share, route } = await routeShareService.openShare(
+      req.params.token,
+      req.get('x-share-password')
+    );
+
+    const routeExportService = require('../services/routeExportService');
+    const segmentRiskService = require('../services/segmentRiskService');
+
+    const [bundle, strip] = await Promise.all([
+      routeExportService.buildBundle(route._id),
+      segmentRiskService.buildRiskStrip(route._id, { profile: route.riskScores?.riskProfile }).catch(error => {
+        console.warn('⚠️ Segment risk strip unavailable for shared route:', error.message);
+        return null;
+      })
+    ]);
+
+    // Thin the route line for the viewer map
+    const step = Math.max(1, Math.ceil(bundle.routePoints.length / MAX_ROUTE_LINE_POINTS));
+    const routeLine = bundle.routePoints
+      .filter((point, index) => index % step === 0 || index === bundle.routePoints.length - 1)
+      .map(point => [point.longitude, point.latitude]);
+
+    const { id, ...routeSummary } = bundle.route;
+
+    console.log(`👁️ Shared route ${route.routeId} viewed (view ${share.viewCount}${share.maxViews ? `/${share.maxViews}` : ''})`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        share: routeShareService.describeShare(share),
+        route: routeSummary,
+        riskScores: bundle.risk,
+        routeLine,
+        features: bundle.layers,
+        featureCounts: bundle.featureCounts,
+        riskyStretches: strip ? strip.riskyStretches : [],
+        riskiestSegments: strip ? strip.rankedSegments : [],
+        generatedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    sendShareError(res, error, 'Error loading shared route');
+  }
+});
+
+// Shared route PDF - the title page, or ?report=complete for the multi-chapter report when the
+// share allows it (public chapters only)
+router.get('/:token/pdf', async (req, res) => {
+  try {
+    const { report: reportType = 'title-page' } = req.query;
+    if (!PDF_REPORT_TYPES.includes(reportType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown report type: ${reportType}`,
+        availableReports: PDF_REPORT_TYPES
+      });
+    }
+
+    const { share, route } = await routeShareService.openShare(
+      req.params.token,
+      req.get('x-share-password'),
+      { pdf: true, completeReport: reportType === 'complete' }
+    );
+
+    // Sections are loaded as the owner would see them, with the default report template
+    // limited to the public chapters
+    const generator = new HPCLDynamicPDFGenerator(await ReportTemplate.resolve());
+    let doc;
+    if (reportType === 'complete') {
+      const templateChapters = generator.template.chapters || [];
+      const chapters = templateChapters.filter(key => PUBLIC_REPORT_CHAPTERS.includes(key));
+      ({ doc } = await generator.generateCompleteReport(route._id, share.userId, null, {
+        chapters: chapters.length > 0 ? chapters : PUBLIC_REPORT_CHAPTERS,
+        user: { id: String(share.userId) }
+      }));
+    } else {
+      ({ doc } = await generator.generateDynamicTitlePage(route._id, share.userId));
+    }
+
+    const safeRouteName = (route.routeName || route.routeId)
+      .replace(/[^a-zA-Z0-9-_]/g, '-')
+      .substring(0, 50);
+    const suffix = reportType === 'complete' ? 'Complete-Report' : 'Analysis';
+    const prefix = generator.branding.shortName.replace(/[^a-zA-Z0-9-_]/g, '-');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${prefix}-${safeRouteName}-${suffix}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+
+    console.log(`📄 Shared route PDF (${reportType}) served for ${route.routeId}`);
+  } catch (error) {
+    sendShareError(res, error, 'Error generating shared route PDF');
+  }
+});
+
+module.exports = router;
@@ -7,7 +7,7 @@ const Route = require('../models/Route');
 const SharpTurn = require('../models/SharpTurn');
 const fs = require('fs').promises;
 const path = require('path');
-const axios = require('axios');
+const providerHttp = require('../services/providerHttpService');
 
 const router = express.Router();
 router.use(auth);
@@ -16,6 +16,44 @@ router.use(auth);
 // ENHANCED DOWNLOAD WITH DATABASE UPDATES
 // ============================================================================
 
+// Dry run for download-all-images: predicted image API calls and cost, checked against budgets
+router.get('/routes/:routeId/download-estimate', async (req, res) => {
+  try {
+    const apiCostEstimateService = require('../services/apiCostEstimateService');
+    const { routeId } = req.params;
+
+    const route = await Route.findOne({
+      _id: routeId,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    });
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const estimate = await apiCostEstimateService.estimateSharpTurnImageDownload(route, {
+      imageTypes: req.query.imageTypes ? String(req.query.imageTypes).split(',').map(type => type.trim()) : undefined
+    }, req.user.id);
+
+    res.json({
+      success: true,
+      data: estimate
+    });
+
+  } catch (error) {
+    console.error('Sharp turn image download estimate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to estimate image download cost',
+      error: error.message
+    });
+  }
+});
+
 // Download all sharp turn images AND update database with image details
 router.post('/routes/:routeId/download-all-images', async (req, res) => {
   try {
@@ -734,9 +772,7 @@ function generateRoadmapUrlEnhanced(turn, apiKey, quality) {
 async function downloadImageWithRetry(url, filepath, maxRetries = 3) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const response = await axios({
-        method: 'GET',
-        url: url,
+      const response = await providerHttp.get(url, {
         responseType: 'stream',
         timeout: 30000
       });
@@ -768,7 +804,8 @@ async function downloadImageWithRetry(url, filepath, maxRetries = 3) {
       return; // Success, exit retry loop
       
     } catch (error) {
-      if (attempt === maxRetries) {
+      // Budget refusals will not succeed on retry
+      if (attempt === maxRetries || error.code === 'PROVIDER_BUDGET_EXCEEDED') {
         throw error;
       }
       
@@ -1,6 +1,7 @@
 // File: routes/terrainTraffic.js
 const express7 = require('express');
 const router7 = express7.Router(); 
+const terrainTrafficController = require('../controllers/terrainTrafficController');
 
 router7.get('/:routeId/terrain-analysis', terrainTrafficController.getTerrainAnalysis);
 router7.get('/:routeId/traffic-analysis', terrainTrafficController.getTrafficAnalysis);
@@ -0,0 +1,143 @@
+// File: routes/usage.js
+// Purpose: Provider API usage, cost and budget reporting
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Route = require('../models/Route');
+const { auth, authorize } = require('../middleware/auth');
+const apiQuota = require('../services/apiQuotaService');
+
+const router = express.Router();
+
+router.use(auth);
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Report window from ?from=&to= (YYYY-MM-DD, UTC); defaults to the current month
+function parseWindow(query) {
+  const today = new Date().toISOString().slice(0, 10);
+  const from = DAY_PATTERN.test(query.from || '') ? query.from : `${today.slice(0, 7)}-01`;
+  const to = DAY_PATTERN.test(query.to || '') ? query.to : today;
+  return { from, to };
+}
+
+// Current user's usage by provider, day and route
+router.get('/', async (req, res) => {
+  try {
+    const window = parseWindow(req.query);
+    const report = await apiQuota.getUsageReport({ userId: req.user.id, ...window });
+
+    res.status(200).json({
+      success: true,
+      data: { ...window, ...report }
+    });
+
+  } catch (error) {
+    console.error('API usage report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API usage',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Budgets with current consumption (user budgets are shown for the caller)
+router.get('/budgets', async (req, res) => {
+  try {
+    const status = await apiQuota.getBudgetStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...status,
+        pricing: apiQuota.getPricing()
+      }
+    });
+
+  } catch (error) {
+    console.error('API budget status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API budgets',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Usage for one of the caller's routes
+router.get('/routes/:routeId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.routeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route ID'
+      });
+    }
+
+    const route = await Route.findOne({
+      _id: req.params.routeId,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    }).select('routeId routeName');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const window = parseWindow(req.query);
+    const report = await apiQuota.getUsageReport({ routeId: route._id, ...window });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        route: { id: route._id, routeId: route.routeId, routeName: route.routeName },
+        ...window,
+        total: report.total,
+        byProvider: report.byProvider,
+        byDay: report.byDay
+      }
+    });
+
+  } catch (error) {
+    console.error('Route API usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching route API usage',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Organisation-wide usage (optionally one user)
+router.get('/all', authorize('admin'), async (req, res) => {
+  try {
+    if (req.query.userId && !mongoose.Types.ObjectId.isValid(req.query.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const window = parseWindow(req.query);
+    const report = await apiQuota.getUsageReport({ userId: req.query.userId, ...window });
+
+    res.status(200).json({
+      success: true,
+      data: { ...window, ...report }
+    });
+
+  } catch (error) {
+    console.error('API usage report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API usage',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
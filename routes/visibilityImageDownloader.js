@@ -9,7 +9,7 @@ const SharpTurn = require('../models/SharpTurn');
 const BlindSpot = require('../models/BlindSpot');
 const fs = require('fs').promises;
 const path = require('path');
-const axios = require('axios');
+const providerHttp = require('../services/providerHttpService');
 
 const router = express.Router();
 router.use(auth);
@@ -18,6 +18,50 @@ router.use(auth);
 // COMPREHENSIVE VISIBILITY IMAGE DOWNLOAD
 // ============================================================================
 
+/**
+ * Dry run for download-all-images: predicted image API calls and cost, checked against budgets
+ * GET /api/visibility-images/routes/:routeId/download-estimate?imageTypes=street_view,satellite&riskThreshold=6
+ */
+router.get('/routes/:routeId/download-estimate', async (req, res) => {
+  try {
+    const apiCostEstimateService = require('../services/apiCostEstimateService');
+    const { routeId } = req.params;
+
+    const route = await Route.findOne({
+      _id: routeId,
+      userId: req.user.id,
+      status: { $ne: 'deleted' }
+    });
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const estimate = await apiCostEstimateService.estimateImageDownload(route, {
+      imageTypes: req.query.imageTypes ? String(req.query.imageTypes).split(',').map(type => type.trim()) : undefined,
+      includeSharpTurns: req.query.includeSharpTurns !== 'false',
+      includeBlindSpots: req.query.includeBlindSpots !== 'false',
+      riskThreshold: parseFloat(req.query.riskThreshold) || 0
+    }, req.user.id);
+
+    res.json({
+      success: true,
+      data: estimate
+    });
+
+  } catch (error) {
+    console.error('Image download estimate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to estimate image download cost',
+      error: error.message
+    });
+  }
+});
+
 /**
  * Download ALL visibility images (Sharp Turns + Blind Spots) for a route
  * POST /api/visibility-images/routes/:routeId/download-all-images
@@ -928,9 +972,7 @@ function getPublicImageUrl(routeId, filename) {
 async function downloadImageWithRetry(url, filepath, maxRetries = 3) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const response = await axios({
-        method: 'GET',
-        url: url,
+      const response = await providerHttp.get(url, {
         responseType: 'stream',
         timeout: 30000
       });
@@ -962,7 +1004,8 @@ async function downloadImageWithRetry(url, filepath, maxRetries = 3) {
       return; // Success, exit retry loop
       
     } catch (error) {
-      if (attempt === maxRetries) {
+      // Budget refusals will not succeed on retry
+      if (attempt === maxRetries || error.code === 'PROVIDER_BUDGET_EXCEEDED') {
         throw error;
       }
       
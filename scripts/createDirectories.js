@@ -12,7 +12,8 @@ const directories = [
   './public/images',
   './public/reports',
   './templates',
-  './templates/pdf'
+  './templates/pdf',
+  './data/elevation'
 ];
 
 console.log('Creating necessary directories...');
@@ -0,0 +1,75 @@
+// File: scripts/importOsm.js
+// Purpose: Import an OpenStreetMap extract into the local road network collections
+//
+// Usage:
+//   node scripts/importOsm.js <file.osm.pbf|file.osm|file.osm.gz> [--bbox minLon,minLat,maxLon,maxLat] [--replace]
+//
+// Regional extracts (e.g. Geofabrik state files) are imported in three streaming passes.
+// --bbox keeps only roads and features touching the box; --replace drops all earlier OSM data first.
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+function parseArgs(argv) {
+  const options = { file: null, bbox: null, replace: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--replace') {
+      options.replace = true;
+    } else if (arg === '--bbox') {
+      const values = (argv[++i] || '').split(',').map(Number);
+      if (values.length !== 4 || values.some(value => !Number.isFinite(value))) {
+        throw new Error('--bbox expects minLon,minLat,maxLon,maxLat');
+      }
+      const [minLon, minLat, maxLon, maxLat] = values;
+      if (minLon >= maxLon || minLat >= maxLat) {
+        throw new Error('--bbox minimums must be smaller than maximums');
+      }
+      options.bbox = { minLon, minLat, maxLon, maxLat };
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: node scripts/importOsm.js <file.osm.pbf|file.osm|file.osm.gz> [--bbox minLon,minLat,maxLon,maxLat] [--replace]');
+  }
+  if (!fs.existsSync(options.file)) {
+    throw new Error(`File not found: ${options.file}`);
+  }
+  return options;
+}
+
+async function importOsm() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/hpcl_journey_risk');
+    console.log('Connected to MongoDB');
+
+    const osmImportService = require('../services/osmImportService');
+    const run = await osmImportService.importFile(options.file, {
+      bbox: options.bbox,
+      replace: options.replace
+    });
+
+    console.log('📊 Import summary:', JSON.stringify(run.counts, null, 2));
+    await mongoose.disconnect();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ OSM import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  importOsm();
+}
+
+module.exports = importOsm;
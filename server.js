@@ -13,6 +13,9 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Attribute outbound provider API calls to the requesting user and route
+app.use(require('./services/apiQuotaService').middleware());
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/hpcl_journey_risk', {
   useNewUrlParser: true,
@@ -20,6 +23,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/hpcl_jour
 })
 .then(() => {
   console.log('✅ Connected to MongoDB');
+  // Start the collect-all-data queue worker and recover jobs interrupted by a restart
+  require('./services/dataCollectionJobService').init();
+  // Re-collect stale traffic, accident, weather... data on their cron schedules
+  require('./services/dataRefreshSchedulerService').start();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -112,6 +119,60 @@ try {
 } catch (error) {
   console.error('❌ Error loading PDF routes:', error.message);
 }
+
+// Public read-only viewer for shared routes (token based, no login)
+try {
+  const shareRoutes = require('./routes/share');
+  app.use('/api/share', shareRoutes);
+  console.log('✅ Route share viewer routes loaded');
+} catch (error) {
+  console.error('❌ Error loading route share routes:', error.message);
+}
+
+// Provider API usage, cost and budgets
+try {
+  const usageRoutes = require('./routes/usage');
+  app.use('/api/usage', usageRoutes);
+  console.log('✅ API usage routes loaded');
+} catch (error) {
+  console.error('❌ Error loading API usage routes:', error.message);
+}
+
+// External provider configuration, health and circuit breakers
+try {
+  const providerRoutes = require('./routes/providers');
+  app.use('/api/providers', providerRoutes);
+  console.log('✅ Provider health routes loaded');
+} catch (error) {
+  console.error('❌ Error loading provider health routes:', error.message);
+}
+
+// Data freshness, outdated assessments and scheduled refresh
+try {
+  const freshnessRoutes = require('./routes/freshness');
+  app.use('/api/freshness', freshnessRoutes);
+  console.log('✅ Data freshness routes loaded');
+} catch (error) {
+  console.error('❌ Error loading data freshness routes:', error.message);
+}
+
+// Compliance rules evaluated for each trip
+try {
+  const complianceRuleRoutes = require('./routes/complianceRules');
+  app.use('/api/compliance-rules', complianceRuleRoutes);
+  console.log('✅ Compliance rule routes loaded');
+} catch (error) {
+  console.error('❌ Error loading compliance rule routes:', error.message);
+}
+
+// Report templates: branding, chapters, disclaimer and signatories for PDF reports
+try {
+  const reportTemplateRoutes = require('./routes/reportTemplates');
+  app.use('/api/report-templates', reportTemplateRoutes);
+  console.log('✅ Report template routes loaded');
+} catch (error) {
+  console.error('❌ Error loading report template routes:', error.message);
+}
 // 1. Route Basic Info Routes
 try {
   const routeBasicInfoRoutes = require('./routes/routeBasicInfo');
@@ -264,6 +325,12 @@ app.get('/', (req, res) => {
       sharpTurnImages: '/api/sharp-turn-images',
       visibilityImages: '/api/visibility-images',
       pdf: '/api/pdf',
+      share: '/api/share/:token',
+      usage: '/api/usage',
+      providers: '/api/providers',
+      freshness: '/api/freshness',
+      complianceRules: '/api/compliance-rules',
+      reportTemplates: '/api/report-templates',
       health: '/health'
     },
     
@@ -386,7 +453,7 @@ app.use((err, req, res, next) => {
 // ============================================================================
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 HPCL Journey Risk Management Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}`);
@@ -402,6 +469,9 @@ app.listen(PORT, () => {
   console.log('├── Sharp Turn Images (Legacy): /api/sharp-turn-images');
   console.log('├── Visibility Images (Enhanced): /api/visibility-images');
   console.log('├── PDF Generation: /api/pdf');
+  console.log('├── API Usage & Budgets: /api/usage');
+  console.log('├── Provider Health: /api/providers/health');
+  console.log('├── Data Freshness: /api/freshness/outdated');
   console.log('└── Health Check: /health');
   console.log('');
   console.log('🆕 NEW: PDF Data Routes for Journey Risk Report');
@@ -431,4 +501,7 @@ app.listen(PORT, () => {
   console.log('🔄 All endpoints support JSON response format for PDF generation integration');
 });
 
+// Live progress for background jobs (collect-all-data)
+require('./services/socketService').init(server);
+
 module.exports = app;
\ No newline at end of file
@@ -1,49 +1,52 @@
 // File: services/accidentDataService.js - REAL APIs ONLY VERSION
-// Purpose: Real accident data using ONLY TomTom and HERE APIs - NO MOCK DATA
+// Purpose: Real accident data from the configured incident providers (TomTom, HERE) - NO MOCK DATA
 
-const axios = require('axios');
+const providerRegistry = require('./providers');
 const AccidentProneArea = require('../models/AccidentProneArea');
 
+const SAMPLING = {
+  segments: 15 // More segments for better coverage
+};
+
 class AccidentDataService {
   constructor() {
-    this.tomtomApiKey = process.env.TOMTOM_API_KEY;
-    this.hereApiKey = process.env.HERE_API_KEY;
-    
-    // Validate API keys on startup
+    // Validate incident providers on startup
     this.validateApiKeys();
   }
 
-  // Validate API keys are configured
+  // Validate at least one incident provider is configured
   validateApiKeys() {
-    if (!this.tomtomApiKey) {
-      console.error('❌ TOMTOM_API_KEY not configured in .env file');
-    } else {
-      console.log('✅ TomTom API key configured');
-    }
-    
-    if (!this.hereApiKey) {
-      console.error('❌ HERE_API_KEY not configured in .env file');  
+    const providers = providerRegistry.getProviders('incidents');
+
+    if (providers.length === 0) {
+      console.error(`❌ NO INCIDENT PROVIDERS CONFIGURED (${providerRegistry.getChain('incidents').join(', ')}) - Accident data collection will fail`);
     } else {
-      console.log('✅ HERE API key configured');
-    }
-    
-    if (!this.tomtomApiKey && !this.hereApiKey) {
-      console.error('❌ NO API KEYS CONFIGURED - Accident data collection will fail');
+      console.log(`✅ Incident providers configured: ${providers.map(provider => provider.label).join(', ')}`);
     }
   }
 
+  // Provider status for result payloads, e.g. { tomtom: 'CONFIGURED', here: 'NOT_CONFIGURED' }
+  getApiStatus(configuredValue = 'CONFIGURED') {
+    const active = providerRegistry.getProviders('incidents').map(provider => provider.name);
+    return providerRegistry.getChain('incidents').reduce((status, name) => {
+      status[name] = active.includes(name) ? configuredValue : 'NOT_CONFIGURED';
+      return status;
+    }, {});
+  }
+
   // MAIN: Collect ONLY real accident data - NO MOCK DATA
   async collectRealAccidentProneAreas(route) {
     try {
       console.log('🚨 Collecting accident data using REAL APIs ONLY (NO MOCK DATA)...');
       
-      // Verify API keys before proceeding
-      if (!this.tomtomApiKey && !this.hereApiKey) {
-        throw new Error('No API keys configured - cannot collect real accident data');
+      // Verify providers before proceeding
+      const providers = providerRegistry.getProviders('incidents');
+      if (providers.length === 0) {
+        throw new Error('No incident providers configured - cannot collect real accident data');
       }
 
       const accidentAreas = [];
-      const routeSegments = this.createRouteSegments(route.routePoints, 15); // More segments for better coverage
+      const routeSegments = this.createRouteSegments(route.routePoints, SAMPLING.segments);
       
       console.log(`📍 Analyzing ${routeSegments.length} route segments...`);
       
@@ -52,58 +55,37 @@ class AccidentDataService {
         console.log(`🔍 Segment ${i + 1}/${routeSegments.length}: ${segment.latitude.toFixed(4)}, ${segment.longitude.toFixed(4)}`);
         
         try {
-          // Collect from REAL APIs only
-          const apiPromises = [];
-          
-          if (this.tomtomApiKey) {
-            apiPromises.push(this.getTomTomIncidents(segment));
-          }
-          
-          if (this.hereApiKey) {
-            apiPromises.push(this.getHereIncidents(segment));
-          }
+          // Query every configured incident provider for this segment
+          const results = await Promise.allSettled(providers.map(provider => provider.getIncidents({
+            latitude: segment.latitude,
+            longitude: segment.longitude,
+            radiusDeg: 0.08 // ~9km radius
+          })));
           
-          const results = await Promise.allSettled(apiPromises);
-          
-          // Process TomTom results
-          if (this.tomtomApiKey && results[0]?.status === 'fulfilled') {
-            const tomtomIncidents = results[0].value || [];
-            console.log(`📊 TomTom found ${tomtomIncidents.length} incidents`);
-            
-            for (const incident of tomtomIncidents) {
-              if (this.isAccidentRelated(incident)) {
-                const accidentArea = await this.createAccidentProneArea(
-                  incident, route._id, 'tomtom'
-                );
-                if (accidentArea) {
-                  accidentAreas.push(accidentArea);
-                  console.log(`✅ Saved TomTom accident: ${incident.description}`);
-                }
-              }
+          for (let p = 0; p < providers.length; p++) {
+            const provider = providers[p];
+            const result = results[p];
+
+            if (result.status === 'rejected') {
+              console.error(`❌ ${provider.label} incidents failed: ${result.reason.message}`);
+              continue;
             }
-          } else if (this.tomtomApiKey && results[0]?.status === 'rejected') {
-            console.error(`❌ TomTom API failed: ${results[0].reason.message}`);
-          }
 
-          // Process HERE results  
-          const hereIndex = this.tomtomApiKey ? 1 : 0;
-          if (this.hereApiKey && results[hereIndex]?.status === 'fulfilled') {
-            const hereIncidents = results[hereIndex].value || [];
-            console.log(`📊 HERE found ${hereIncidents.length} incidents`);
+            const incidents = result.value || [];
+            console.log(`📊 ${provider.label} found ${incidents.length} incidents`);
             
-            for (const incident of hereIncidents) {
+            for (const incident of incidents) {
+              incident.severity = this.mapIncidentSeverity(incident.magnitude);
               if (this.isAccidentRelated(incident)) {
                 const accidentArea = await this.createAccidentProneArea(
-                  incident, route._id, 'here'
+                  incident, route._id, provider.name
                 );
                 if (accidentArea) {
                   accidentAreas.push(accidentArea);
-                  console.log(`✅ Saved HERE accident: ${incident.description}`);
+                  console.log(`✅ Saved ${provider.label} accident: ${incident.description}`);
                 }
               }
             }
-          } else if (this.hereApiKey && results[hereIndex]?.status === 'rejected') {
-            console.error(`❌ HERE API failed: ${results[hereIndex].reason.message}`);
           }
 
           // Rate limiting between API calls
@@ -119,10 +101,7 @@ class AccidentDataService {
         bySource: this.groupBySource(accidentAreas),
         highRiskAreas: accidentAreas.filter(a => a.riskScore > 7).length,
         averageRisk: this.calculateAverageRisk(accidentAreas),
-        apiStatus: {
-          tomtom: this.tomtomApiKey ? 'CONFIGURED' : 'NOT_CONFIGURED',
-          here: this.hereApiKey ? 'CONFIGURED' : 'NOT_CONFIGURED'
-        }
+        apiStatus: this.getApiStatus()
       };
 
       console.log(`🎯 REAL API Results: ${finalResults.total} accident areas found`);
@@ -147,131 +126,12 @@ class AccidentDataService {
         averageRisk: 0,
         error: error.message,
         note: 'Real API collection failed - no mock data used',
-        apiStatus: {
-          tomtom: this.tomtomApiKey ? 'ERROR' : 'NOT_CONFIGURED',
-          here: this.hereApiKey ? 'ERROR' : 'NOT_CONFIGURED'
-        }
+        apiStatus: this.getApiStatus('ERROR')
       };
     }
   }
 
-  // 1. TomTom Traffic Incidents API - ENHANCED WITH BETTER LOGGING
-  async getTomTomIncidents(segment) {
-    try {
-      if (!this.tomtomApiKey) {
-        throw new Error('TomTom API key not configured');
-      }
-
-      // Expanded search area for better coverage
-      const searchRadius = 0.08; // ~9km radius
-      const url = `https://api.tomtom.com/traffic/services/5/incidentDetails` +
-        `?key=${this.tomtomApiKey}` +
-        `&bbox=${segment.latitude - searchRadius},${segment.longitude - searchRadius},` +
-        `${segment.latitude + searchRadius},${segment.longitude + searchRadius}` +
-        `&fields={incidents{type,geometry{type,coordinates},properties{iconCategory,magnitudeOfDelay,events{description,code,iconCategory}}}}` +
-        `&language=en-GB`;
-
-      console.log(`🔗 TomTom API URL: ${url.substring(0, 100)}...`);
-
-      const response = await axios.get(url, { 
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'HPCL-Journey-Risk-Management/2.0'
-        }
-      });
-
-      console.log(`📡 TomTom API Response Status: ${response.status}`);
-      console.log(`📄 TomTom Response Data:`, JSON.stringify(response.data, null, 2));
-
-      if (response.data && response.data.incidents) {
-        const incidents = response.data.incidents.map(incident => ({
-          id: incident.id || `tomtom_${Date.now()}_${Math.random()}`,
-          type: 'tomtom',
-          coordinates: this.extractCoordinates(incident.geometry),
-          severity: this.mapTomTomSeverity(incident.properties?.magnitudeOfDelay),
-          description: incident.properties?.events?.[0]?.description || 'Traffic incident',
-          category: incident.properties?.iconCategory || 'unknown',
-          source: 'TomTom Traffic API',
-          timestamp: new Date(),
-          rawData: incident // Keep raw data for debugging
-        }));
-
-        console.log(`✅ TomTom parsed ${incidents.length} incidents`);
-        return incidents;
-      }
-
-      console.log('ℹ️ TomTom API returned no incidents for this area');
-      return [];
-
-    } catch (error) {
-      console.error('❌ TomTom API Error Details:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data
-      });
-      throw error;
-    }
-  }
-
-  // 2. HERE Traffic Incidents API - ENHANCED WITH BETTER LOGGING
-  async getHereIncidents(segment) {
-    try {
-      if (!this.hereApiKey) {
-        throw new Error('HERE API key not configured');
-      }
-
-      // Expanded search area for better coverage
-      const searchRadius = 0.08; // ~9km radius
-      const url = `https://data.traffic.hereapi.com/v7/incidents` +
-        `?apikey=${this.hereApiKey}` +
-        `&in=bbox:${segment.longitude - searchRadius},${segment.latitude - searchRadius},${segment.longitude + searchRadius},${segment.latitude + searchRadius}` +
-        `&locationReferencing=shape`;
-
-      console.log(`🔗 HERE API URL: ${url.substring(0, 100)}...`);
-
-      const response = await axios.get(url, { 
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'HPCL-Journey-Risk-Management/2.0'
-        }
-      });
-
-      console.log(`📡 HERE API Response Status: ${response.status}`);
-      console.log(`📄 HERE Response Data:`, JSON.stringify(response.data, null, 2));
-
-      if (response.data && response.data.results) {
-        const incidents = response.data.results.map(incident => ({
-          id: incident.incidentDetails?.id || `here_${Date.now()}_${Math.random()}`,
-          type: 'here',
-          coordinates: this.extractHereCoordinates(incident.location),
-          severity: this.mapHereSeverity(incident.incidentDetails?.criticality),
-          description: incident.incidentDetails?.description?.value || 'Traffic incident',
-          category: incident.incidentDetails?.type || 'unknown',
-          source: 'HERE Traffic API',
-          timestamp: new Date(),
-          rawData: incident // Keep raw data for debugging
-        }));
-
-        console.log(`✅ HERE parsed ${incidents.length} incidents`);
-        return incidents;
-      }
-
-      console.log('ℹ️ HERE API returned no incidents for this area');
-      return [];
-
-    } catch (error) {
-      console.error('❌ HERE API Error Details:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data
-      });
-      throw error;
-    }
-  }
-
-  // 3. Create AccidentProneArea from REAL incident data only
+  // Create AccidentProneArea from REAL incident data only
   async createAccidentProneArea(incident, routeId, source) {
     try {
       // Calculate enhanced risk factors from real incident data
@@ -416,8 +276,8 @@ class AccidentDataService {
 
   analyzeSafetyFromIncident(incident) {
     const measures = ['Real-time Traffic Monitoring'];
-    if (incident.source.includes('TomTom')) measures.push('TomTom Traffic Management');
-    if (incident.source.includes('HERE')) measures.push('HERE Traffic Intelligence');
+    if (incident.provider === 'tomtom') measures.push('TomTom Traffic Management');
+    if (incident.provider === 'here') measures.push('HERE Traffic Intelligence');
     return measures;
   }
 
@@ -437,17 +297,11 @@ class AccidentDataService {
   }
 
   // Existing helper methods (same as before)
-  mapTomTomSeverity(magnitudeOfDelay) {
-    if (!magnitudeOfDelay) return 'minor';
-    if (magnitudeOfDelay > 3) return 'major';
-    if (magnitudeOfDelay > 2) return 'moderate';
-    return 'minor';
-  }
-
-  mapHereSeverity(criticality) {
-    if (!criticality) return 'minor';
-    if (criticality >= 4) return 'major';
-    if (criticality >= 3) return 'moderate';
+  // Provider magnitude is normalised to 0-4 by the incident adapters
+  mapIncidentSeverity(magnitude) {
+    if (!magnitude) return 'minor';
+    if (magnitude >= 4) return 'major';
+    if (magnitude >= 3) return 'moderate';
     return 'minor';
   }
 
@@ -475,42 +329,6 @@ class AccidentDataService {
     return severityMap[severity] || 'minor';
   }
 
-  extractCoordinates(geometry) {
-    try {
-      if (geometry?.type === 'Point') {
-        return {
-          latitude: geometry.coordinates[1],
-          longitude: geometry.coordinates[0]
-        };
-      } else if (geometry?.type === 'LineString') {
-        return {
-          latitude: geometry.coordinates[0][1],
-          longitude: geometry.coordinates[0][0]
-        };
-      }
-      return { latitude: 0, longitude: 0 };
-    } catch (error) {
-      console.error('❌ Coordinate extraction failed:', error);
-      return { latitude: 0, longitude: 0 };
-    }
-  }
-
-  extractHereCoordinates(location) {
-    try {
-      if (location?.shape?.links?.[0]?.points?.[0]) {
-        const firstPoint = location.shape.links[0].points[0];
-        return {
-          latitude: firstPoint.lat,
-          longitude: firstPoint.lng
-        };
-      }
-      return { latitude: 0, longitude: 0 };
-    } catch (error) {
-      console.error('❌ HERE coordinate extraction failed:', error);
-      return { latitude: 0, longitude: 0 };
-    }
-  }
-
   createRouteSegments(routePoints, numberOfSegments) {
     const segments = [];
     const step = Math.max(1, Math.floor(routePoints.length / numberOfSegments));
@@ -536,4 +354,7 @@ class AccidentDataService {
   }
 }
 
-module.exports = new AccidentDataService();
\ No newline at end of file
+const accidentDataService = new AccidentDataService();
+accidentDataService.SAMPLING = SAMPLING;
+
+module.exports = accidentDataService;
\ No newline at end of file
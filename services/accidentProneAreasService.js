@@ -1,32 +1,39 @@
 // File: services/accidentProneAreasService.js
-// Purpose: REAL accident-prone areas using TomTom Traffic API and Google Places API
+// Purpose: REAL accident-prone areas from the configured incident (TomTom/HERE) and places (Google) providers
 // Fetches REAL accident data without any mock/placeholder data
 
-const axios = require('axios');
+const providerRegistry = require('./providers');
 const AccidentProneArea = require('../models/AccidentProneArea');
 
+const SAMPLING = {
+  segments: 20 // 20 segments for detailed coverage
+};
+
+// Places that might indicate accident-prone areas
+const ACCIDENT_PLACE_TYPES = [
+  'police',           // Police stations (accident reports)
+  'hospital',         // Hospitals (accident victims)
+  'car_repair',       // Repair shops (post-accident services)
+  'gas_station'       // Fuel stations (common accident locations)
+];
+
 class AccidentProneAreasService {
   constructor() {
-    this.tomtomApiKey = process.env.TOMTOM_API_KEY;
-    this.googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY;
-    this.hereApiKey = process.env.HERE_API_KEY;
-    
-    // Validate API keys
+    // Validate providers
     this.validateApiKeys();
   }
 
-  // Validate API keys are configured
+  // Validate incident/places providers are configured
   validateApiKeys() {
     const apiStatus = {
-      tomtom: !!this.tomtomApiKey,
-      google: !!this.googleMapsApiKey,
-      here: !!this.hereApiKey
+      incidents: providerRegistry.getProviders('incidents').map(provider => provider.name),
+      places: providerRegistry.getProviders('places').map(provider => provider.name)
     };
 
-    console.log('🔑 API Key Status:', apiStatus);
+    console.log('🔑 Accident data provider status:', apiStatus);
     
-    if (!this.tomtomApiKey && !this.hereApiKey) {
-      console.warn('⚠️ No traffic incident APIs configured - accident data collection will be limited');
+    if (apiStatus.incidents.length === 0) {
+      console.warn('⚠️ No traffic incident providers configured - accident data collection will be limited');
     }
     
     return apiStatus;
@@ -51,7 +58,7 @@ class AccidentProneAreasService {
       console.log('🗑️ Cleared existing accident data');
 
       const accidentAreas = [];
-      const routeSegments = this.createRouteSegments(route.routePoints, 20); // 20 segments for detailed coverage
+      const routeSegments = this.createRouteSegments(route.routePoints, SAMPLING.segments);
       
       console.log(`📍 Analyzing ${routeSegments.length} route segments for accident data...`);
 
@@ -61,76 +68,47 @@ class AccidentProneAreasService {
         console.log(`🔍 Segment ${segmentIndex + 1}/${routeSegments.length}: ${segment.latitude.toFixed(4)}, ${segment.longitude.toFixed(4)}`);
         
         try {
-          // Collect from multiple REAL APIs in parallel
-          const apiPromises = [];
+          // Collect from every configured incident and places provider in parallel
+          const incidentProviders = providerRegistry.getProviders('incidents');
+          const placesAvailable = providerRegistry.isAvailable('places');
+
+          const [incidentResults, placesResult] = await Promise.all([
+            Promise.allSettled(incidentProviders.map(provider => this.getTrafficIncidents(provider, segment))),
+            placesAvailable ? this.getAccidentRelatedPlaces(segment) : Promise.resolve([])
+          ]);
           
-          // 1. TomTom Traffic Incidents API
-          if (this.tomtomApiKey) {
-            apiPromises.push(this.getTomTomTrafficIncidents(segment));
-          }
-          
-          // 2. HERE Traffic Incidents API
-          if (this.hereApiKey) {
-            apiPromises.push(this.getHereTrafficIncidents(segment));
-          }
-          
-          // 3. Google Places - Accident-related points
-          if (this.googleMapsApiKey) {
-            apiPromises.push(this.getGoogleAccidentRelatedPlaces(segment));
-          }
-          
-          const results = await Promise.allSettled(apiPromises);
-          
-          // Process TomTom results
-          if (this.tomtomApiKey && results[0]?.status === 'fulfilled') {
-            const tomtomIncidents = results[0].value || [];
-            console.log(`   📊 TomTom: ${tomtomIncidents.length} incidents found`);
-            
-            for (const incident of tomtomIncidents) {
-              if (this.isAccidentRelated(incident)) {
-                const accidentArea = await this.createAccidentProneAreaFromIncident(
-                  incident, route, segment, 'TOMTOM_TRAFFIC_API'
-                );
-                if (accidentArea) {
-                  accidentAreas.push(accidentArea);
-                  console.log(`      ✅ Saved TomTom accident: ${incident.description}`);
-                }
-              }
-            }
-          }
+          // Process incident results
+          for (let p = 0; p < incidentProviders.length; p++) {
+            const provider = incidentProviders[p];
+            if (incidentResults[p].status !== 'fulfilled') continue;
 
-          // Process HERE results
-          const hereIndex = this.tomtomApiKey ? 1 : 0;
-          if (this.hereApiKey && results[hereIndex]?.status === 'fulfilled') {
-            const hereIncidents = results[hereIndex].value || [];
-            console.log(`   📊 HERE: ${hereIncidents.length} incidents found`);
+            const incidents = incidentResults[p].value || [];
+            console.log(`   📊 ${provider.label}: ${incidents.length} incidents found`);
             
-            for (const incident of hereIncidents) {
+            for (const incident of incidents) {
               if (this.isAccidentRelated(incident)) {
                 const accidentArea = await this.createAccidentProneAreaFromIncident(
-                  incident, route, segment, 'HERE_TRAFFIC_API'
+                  incident, route, segment, incident.source
                 );
                 if (accidentArea) {
                   accidentAreas.push(accidentArea);
-                  console.log(`      ✅ Saved HERE accident: ${incident.description}`);
+                  console.log(`      ✅ Saved ${provider.label} accident: ${incident.description}`);
                 }
               }
             }
           }
 
-          // Process Google Places results
-          const googleIndex = (this.tomtomApiKey ? 1 : 0) + (this.hereApiKey ? 1 : 0);
-          if (this.googleMapsApiKey && results[googleIndex]?.status === 'fulfilled') {
-            const googlePlaces = results[googleIndex].value || [];
-            console.log(`   📊 Google Places: ${googlePlaces.length} relevant places found`);
+          // Process places results
+          if (placesAvailable) {
+            console.log(`   📊 Places: ${placesResult.length} relevant places found`);
             
-            for (const place of googlePlaces) {
+            for (const place of placesResult) {
               const accidentArea = await this.createAccidentProneAreaFromPlace(
-                place, route, segment, 'GOOGLE_PLACES_API'
+                place, route, segment, place.source
               );
               if (accidentArea) {
                 accidentAreas.push(accidentArea);
-                console.log(`      ✅ Saved Google place: ${place.name}`);
+                console.log(`      ✅ Saved place: ${place.name}`);
               }
             }
           }
@@ -162,57 +140,24 @@ class AccidentProneAreasService {
   }
 
   // ============================================================================
-  // TOMTOM TRAFFIC INCIDENTS API
+  // TRAFFIC INCIDENTS (TomTom / HERE / stub via provider registry)
   // ============================================================================
-  async getTomTomTrafficIncidents(segment) {
+  async getTrafficIncidents(provider, segment) {
     try {
-      if (!this.tomtomApiKey) {
-        return [];
-      }
-
-      // Expanded search area for better coverage
-      const searchRadius = 0.05; // ~5.5km radius
-      const bbox = [
-        segment.latitude - searchRadius,   // minLat
-        segment.longitude - searchRadius,  // minLon
-        segment.latitude + searchRadius,   // maxLat
-        segment.longitude + searchRadius   // maxLon
-      ].join(',');
-
-      const url = `https://api.tomtom.com/traffic/services/5/incidentDetails` +
-        `?key=${this.tomtomApiKey}` +
-        `&bbox=${bbox}` +
-        `&fields={incidents{type,geometry{type,coordinates},properties{iconCategory,magnitudeOfDelay,events{description,code,iconCategory}}}}` +
-        `&language=en-GB` +
-        `&categoryFilter=0,1,2,3,4,5,6,7,8,9,10,11`; // All incident types
-
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'HPCL-Journey-Risk-Management/2.0'
-        }
+      const incidents = await provider.getIncidents({
+        latitude: segment.latitude,
+        longitude: segment.longitude,
+        radiusDeg: 0.05 // ~5.5km radius
       });
 
-      if (response.data?.incidents) {
-        return response.data.incidents.map(incident => ({
-          id: incident.id || `tomtom_${Date.now()}_${Math.random()}`,
-          type: 'traffic_incident',
-          coordinates: this.extractTomTomCoordinates(incident.geometry),
-          severity: this.mapTomTomSeverity(incident.properties?.magnitudeOfDelay),
-          description: incident.properties?.events?.[0]?.description || 'Traffic incident',
-          category: incident.properties?.iconCategory || 'unknown',
-          eventCode: incident.properties?.events?.[0]?.code,
-          magnitudeOfDelay: incident.properties?.magnitudeOfDelay || 0,
-          source: 'TOMTOM_TRAFFIC_API',
-          timestamp: new Date(),
-          rawData: incident
-        }));
-      }
-
-      return [];
+      return incidents.map(incident => ({
+        ...incident,
+        type: 'traffic_incident',
+        severity: this.mapIncidentSeverity(incident.magnitude)
+      }));
 
     } catch (error) {
-      console.error('TomTom API Error:', {
+      console.error(`${provider.label} incidents error:`, {
         message: error.message,
         status: error.response?.status,
         data: error.response?.data
@@ -222,127 +167,45 @@ class AccidentProneAreasService {
   }
 
   // ============================================================================
-  // HERE TRAFFIC INCIDENTS API
+  // PLACES - Accident-related places
   // ============================================================================
-  async getHereTrafficIncidents(segment) {
-    try {
-      if (!this.hereApiKey) {
-        return [];
-      }
-
-      const searchRadius = 0.05; // ~5.5km radius
-      const bbox = [
-        segment.longitude - searchRadius,  // minLon
-        segment.latitude - searchRadius,   // minLat
-        segment.longitude + searchRadius,  // maxLon
-        segment.latitude + searchRadius    // maxLat
-      ].join(',');
-
-      const url = `https://data.traffic.hereapi.com/v7/incidents` +
-        `?apikey=${this.hereApiKey}` +
-        `&in=bbox:${bbox}` +
-        `&locationReferencing=shape`;
-
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'HPCL-Journey-Risk-Management/2.0'
-        }
-      });
+  async getAccidentRelatedPlaces(segment) {
+    const allPlaces = [];
+    
+    for (const searchType of ACCIDENT_PLACE_TYPES) {
+      try {
+        const places = await providerRegistry.call('places', 'searchNearby', {
+          latitude: segment.latitude,
+          longitude: segment.longitude,
+          radius: 5000,
+          type: searchType
+        });
 
-      if (response.data?.results) {
-        return response.data.results.map(incident => ({
-          id: incident.incidentDetails?.id || `here_${Date.now()}_${Math.random()}`,
-          type: 'traffic_incident',
-          coordinates: this.extractHereCoordinates(incident.location),
-          severity: this.mapHereSeverity(incident.incidentDetails?.criticality),
-          description: incident.incidentDetails?.description?.value || 'Traffic incident',
-          category: incident.incidentDetails?.type || 'unknown',
-          criticality: incident.incidentDetails?.criticality || 0,
-          startTime: incident.incidentDetails?.startTime,
-          endTime: incident.incidentDetails?.endTime,
-          source: 'HERE_TRAFFIC_API',
-          timestamp: new Date(),
-          rawData: incident
-        }));
+        allPlaces.push(...places.map(place => ({
+          id: place.placeId,
+          type: 'infrastructure',
+          coordinates: {
+            latitude: place.latitude,
+            longitude: place.longitude
+          },
+          name: place.name,
+          placeType: searchType,
+          rating: place.rating || 0,
+          vicinity: place.vicinity,
+          businessStatus: place.businessStatus,
+          source: place.source,
+          timestamp: new Date()
+        })));
+
+        // Rate limiting between requests
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+      } catch (typeError) {
+        console.warn(`Places search failed for type ${searchType}:`, typeError.message);
       }
-
-      return [];
-
-    } catch (error) {
-      console.error('HERE API Error:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      });
-      return [];
     }
-  }
 
-  // ============================================================================
-  // GOOGLE PLACES API - Accident-related places
-  // ============================================================================
-  async getGoogleAccidentRelatedPlaces(segment) {
-    try {
-      if (!this.googleMapsApiKey) {
-        return [];
-      }
-
-      // Search for places that might indicate accident-prone areas
-      const searchTypes = [
-        'police',           // Police stations (accident reports)
-        'hospital',         // Hospitals (accident victims)
-        'car_repair',       // Repair shops (post-accident services)
-        'gas_station'       // Fuel stations (common accident locations)
-      ];
-
-      const allPlaces = [];
-      
-      for (const searchType of searchTypes) {
-        try {
-          const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json` +
-            `?location=${segment.latitude},${segment.longitude}` +
-            `&radius=5000` +
-            `&type=${searchType}` +
-            `&key=${this.googleMapsApiKey}`;
-
-          const response = await axios.get(url, { timeout: 10000 });
-
-          if (response.data?.results) {
-            const places = response.data.results.map(place => ({
-              id: place.place_id,
-              type: 'infrastructure',
-              coordinates: {
-                latitude: place.geometry.location.lat,
-                longitude: place.geometry.location.lng
-              },
-              name: place.name,
-              placeType: searchType,
-              rating: place.rating || 0,
-              vicinity: place.vicinity,
-              businessStatus: place.business_status,
-              source: 'GOOGLE_PLACES_API',
-              timestamp: new Date(),
-              rawData: place
-            }));
-
-            allPlaces.push(...places);
-          }
-
-          // Rate limiting between requests
-          await new Promise(resolve => setTimeout(resolve, 200));
-
-        } catch (typeError) {
-          console.warn(`Google Places API failed for type ${searchType}:`, typeError.message);
-        }
-      }
-
-      return allPlaces;
-
-    } catch (error) {
-      console.error('Google Places API Error:', error.message);
-      return [];
-    }
+    return allPlaces;
   }
 
   // ============================================================================
@@ -496,14 +359,9 @@ class AccidentProneAreasService {
       if (desc.includes('blocked') || desc.includes('closed')) overallRisk += 1;
     }
 
-    // TomTom-specific analysis
-    if (incident.magnitudeOfDelay > 0) {
-      overallRisk += Math.min(3, incident.magnitudeOfDelay);
-    }
-
-    // HERE-specific analysis
-    if (incident.criticality > 0) {
-      overallRisk += Math.min(3, incident.criticality / 2);
+    // Provider delay magnitude / criticality (normalised 0-4)
+    if (incident.magnitude > 0) {
+      overallRisk += Math.min(3, incident.magnitude);
     }
 
     const finalRisk = Math.max(3, Math.min(10, overallRisk)); // Real incidents get min risk of 3
@@ -529,11 +387,7 @@ class AccidentProneAreasService {
       return baseFrequency + 4;
     }
     
-    if (incident.source.includes('TOMTOM') && incident.magnitudeOfDelay > 3) {
-      return baseFrequency + 2;
-    }
-    
-    if (incident.source.includes('HERE') && incident.criticality > 3) {
+    if (incident.magnitude > 3) {
       return baseFrequency + 2;
     }
     
@@ -636,12 +490,8 @@ class AccidentProneAreasService {
   analyzeTrafficRisk(incident) {
     let trafficRisk = 6; // Base traffic risk for incidents
     
-    if (incident.magnitudeOfDelay > 0) {
-      trafficRisk += Math.min(3, incident.magnitudeOfDelay);
-    }
-    
-    if (incident.criticality > 0) {
-      trafficRisk += Math.min(3, incident.criticality / 2);
+    if (incident.magnitude > 0) {
+      trafficRisk += Math.min(3, incident.magnitude);
     }
     
     const desc = incident.description?.toLowerCase() || '';
@@ -759,55 +609,12 @@ class AccidentProneAreasService {
     return R * c;
   }
 
-  extractTomTomCoordinates(geometry) {
-    try {
-      if (geometry?.type === 'Point' && geometry.coordinates) {
-        return {
-          latitude: geometry.coordinates[1],
-          longitude: geometry.coordinates[0]
-        };
-      } else if (geometry?.type === 'LineString' && geometry.coordinates?.[0]) {
-        return {
-          latitude: geometry.coordinates[0][1],
-          longitude: geometry.coordinates[0][0]
-        };
-      }
-      return { latitude: 0, longitude: 0 };
-    } catch (error) {
-      console.error('TomTom coordinate extraction failed:', error);
-      return { latitude: 0, longitude: 0 };
-    }
-  }
-
-  extractHereCoordinates(location) {
-    try {
-      if (location?.shape?.links?.[0]?.points?.[0]) {
-        const point = location.shape.links[0].points[0];
-        return {
-          latitude: point.lat,
-          longitude: point.lng
-        };
-      }
-      return { latitude: 0, longitude: 0 };
-    } catch (error) {
-      console.error('HERE coordinate extraction failed:', error);
-      return { latitude: 0, longitude: 0 };
-    }
-  }
-
-  mapTomTomSeverity(magnitudeOfDelay) {
-    if (!magnitudeOfDelay) return 'minor';
-    if (magnitudeOfDelay >= 4) return 'fatal';
-    if (magnitudeOfDelay >= 3) return 'major';
-    if (magnitudeOfDelay >= 2) return 'moderate';
-    return 'minor';
-  }
-
-  mapHereSeverity(criticality) {
-    if (!criticality) return 'minor';
-    if (criticality >= 4) return 'fatal';
-    if (criticality >= 3) return 'major';
-    if (criticality >= 2) return 'moderate';
+  // Provider magnitude is normalised to 0-4 by the incident adapters
+  mapIncidentSeverity(magnitude) {
+    if (!magnitude) return 'minor';
+    if (magnitude >= 4) return 'fatal';
+    if (magnitude >= 3) return 'major';
+    if (magnitude >= 2) return 'moderate';
     return 'minor';
   }
 
@@ -836,14 +643,10 @@ class AccidentProneAreasService {
       description.includes(keyword) || category.includes(keyword)
     );
     
-    // Check for TomTom/HERE specific indicators
-    const isTomTomAccident = incident.source?.includes('TOMTOM') && 
-      (incident.magnitudeOfDelay > 0 || category.includes('accident'));
+    // Incidents the provider rates as causing delay/disruption
+    const hasReportedImpact = incident.magnitude > 0 || category.includes('accident');
     
-    const isHereAccident = incident.source?.includes('HERE') && 
-      (incident.criticality > 0 || category.includes('accident'));
-    
-    return hasAccidentKeyword || isTomTomAccident || isHereAccident;
+    return hasAccidentKeyword || hasReportedImpact;
   }
 
   determineAccidentTrend(incident) {
@@ -852,7 +655,7 @@ class AccidentProneAreasService {
       return 'increasing';
     }
     
-    if (incident.magnitudeOfDelay > 2 || incident.criticality > 2) {
+    if (incident.magnitude > 2) {
       return 'increasing';
     }
     
@@ -1087,4 +890,8 @@ class AccidentProneAreasService {
   }
 }
 
-module.exports = new AccidentProneAreasService();
\ No newline at end of file
+const accidentProneAreasService = new AccidentProneAreasService();
+accidentProneAreasService.SAMPLING = SAMPLING;
+accidentProneAreasService.ACCIDENT_PLACE_TYPES = ACCIDENT_PLACE_TYPES;
+
+module.exports = accidentProneAreasService;
\ No newline at end of file
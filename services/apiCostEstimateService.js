@@ -0,0 +1,301 @@
+// File: services/apiCostEstimateService.js
+// Purpose: Dry-run estimate of provider calls and cost for collect-all-data and image downloads
+// Call counts mirror the sampling each collection service uses (segment counts, sample
+// intervals, search types) against the provider chains configured right now. Cache hits are
+// not predicted, so for recently analysed routes the figures are an upper bound.
+
+const providerRegistry = require('./providers');
+const providerHttp = require('./providerHttpService');
+const apiQuota = require('./apiQuotaService');
+
+// Metered HTTP provider (providerHttpService naming) behind each adapter method.
+// Adapters that are not listed (the offline stub) make no billable calls.
+const ADAPTER_ENDPOINTS = {
+  google: {
+    searchNearby: 'google-places',
+    getPlaceDetails: 'google-place-details',
+    getElevations: 'google-elevation',
+    nearestRoads: 'google-roads',
+    getSpeedLimits: 'google-roads',
+    getDirections: 'google-directions'
+  },
+  tomtom: { getIncidents: 'tomtom-traffic', getRoadInfo: 'tomtom-search' },
+  here: {
+    getIncidents: 'here-traffic',
+    getDirections: 'here-routing',
+    getTrafficFlow: 'here-traffic',
+    getRoadInfo: ['here-geocode', 'here-routing'] // reverse geocode + speed limit route
+  },
+  mapbox: { getRoadInfo: ['mapbox', 'mapbox'] }, // matrix + reverse geocode
+  openweather: { getCurrentWeather: 'openweather', getHistoricalWeather: 'openweather' },
+  visualcrossing: { getCurrentWeather: 'visualcrossing', getHistoricalWeather: 'visualcrossing' },
+  'tomorrow-io': { getCurrentWeather: 'tomorrow-io', getHistoricalWeather: 'tomorrow-io' }
+};
+
+// Image types of the visibility image downloader (routes/visibilityImageDownloader.js)
+const SHARP_TURN_IMAGE_ENDPOINTS = {
+  street_view: 'google-streetview',
+  satellite: 'google-static-maps',
+  roadmap: 'google-static-maps'
+};
+
+const BLIND_SPOT_IMAGE_ENDPOINTS = {
+  street_view: 'google-streetview',
+  satellite: 'google-static-maps'
+};
+
+// Image types of the legacy sharp turn image downloader (routes/sharpTurnImageDownloader.js)
+const LEGACY_SHARP_TURN_IMAGE_ENDPOINTS = {
+  street: 'google-streetview',
+  satellite: 'google-static-maps',
+  roadmap: 'google-static-maps'
+};
+
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+class ApiCostEstimateService {
+  // Same arithmetic as createRouteSegments in the collection services
+  segmentCount(routePoints, numberOfSegments) {
+    const length = routePoints.length;
+    if (length === 0) return 0;
+    const step = Math.max(1, Math.floor(length / numberOfSegments));
+    return Math.ceil(length / step);
+  }
+
+  sampleCount(routePoints, interval) {
+    return Math.ceil(routePoints.length / interval);
+  }
+
+  // Endpoints hit by one capability call: registry.call uses the first provider,
+  // some services query every configured provider
+  endpointsFor(capability, method, allProviders = false) {
+    const providers = providerRegistry.getProviders(capability);
+    return (allProviders ? providers : providers.slice(0, 1))
+      .flatMap(provider => [].concat(ADAPTER_ENDPOINTS[provider.name]?.[method] || []));
+  }
+
+  // ----------------------------------------------------------------------------
+  // collect-all-data
+  // ----------------------------------------------------------------------------
+
+  // Route sampling is shared with the collection services: each one exports the segment
+  // counts and intervals it samples with as SAMPLING, and the plan reads them from there
+  // so the estimate follows their changes
+  buildCollectionPlan(route) {
+    const points = route.routePoints || [];
+    const dataCollection = require('./dataCollectionService');
+    const accidentProneAreas = require('./accidentProneAreasService');
+    const roadConditions = require('./enhancedRoadConditionsService');
+    const weather = require('./enhancedWeatherService');
+    const blindSpots = require('./realBlindSpotCalculations');
+    const accidentData = require('./accidentDataService');
+    const apiService = require('./apiService');
+    const elevationService = require('./elevationService');
+    const unifiedTypes = Object.keys(dataCollection.unifiedServiceCategories).length;
+    const placeDetailsPerSearch = dataCollection.SAMPLING.placeDetailsPerSearch;
+
+    const plan = [];
+    const step = (key, name) => {
+      const entry = { key, name, breakdown: [] };
+      plan.push(entry);
+      return (endpoints, calls, description) => {
+        [].concat(endpoints).forEach(provider => {
+          if (provider && calls > 0) entry.breakdown.push({ provider, calls, description });
+        });
+      };
+    };
+
+    // 1. Original data collection (all sub-collections run in parallel)
+    let add = step('originalDataCollection', 'Original data collection');
+    const unifiedSearches = this.segmentCount(points, dataCollection.SAMPLING.unifiedServiceSegments) * unifiedTypes;
+    add(this.endpointsFor('places', 'searchNearby'), unifiedSearches, `${unifiedTypes} service types per segment`);
+    add(this.endpointsFor('places', 'getPlaceDetails'), unifiedSearches * placeDetailsPerSearch,
+      `details for up to ${placeDetailsPerSearch} places per search`);
+    add(this.endpointsFor('weather', 'getCurrentWeather'), this.segmentCount(points, dataCollection.SAMPLING.weatherSegments), 'current weather per segment');
+    add(this.endpointsFor('traffic', 'getTrafficFlow'), this.segmentCount(points, dataCollection.SAMPLING.trafficSegments), 'traffic flow per segment');
+
+    const accidentSegments = this.segmentCount(points, accidentProneAreas.SAMPLING.segments);
+    this.endpointsFor('incidents', 'getIncidents', true).forEach(provider => {
+      add(provider, accidentSegments, 'incidents per segment (accident-prone areas)');
+    });
+    add(this.endpointsFor('places', 'searchNearby'), accidentSegments * accidentProneAreas.ACCIDENT_PLACE_TYPES.length, 'accident-related place searches');
+
+    const roadSegments = this.segmentCount(points, roadConditions.SAMPLING.segments);
+    add(this.endpointsFor('roads', 'nearestRoads'), roadSegments * 2, 'nearest road + speed limit per segment');
+    add(this.endpointsFor('roadInfo', 'getRoadInfo', true), roadSegments, 'road info per segment');
+    this.endpointsFor('directions', 'getDirections', true).forEach(provider => {
+      add(provider, 1, 'network connectivity check');
+    });
+
+    // 2. Seasonal weather
+    add = step('seasonalWeatherAnalysis', 'Enhanced weather data');
+    const seasonalMonths = Object.values(weather.seasonalRanges).reduce((sum, season) => sum + season.months.length, 0);
+    add(this.endpointsFor('weather', 'getHistoricalWeather'),
+      this.segmentCount(points, weather.SAMPLING.segments) * weather.SAMPLING.historyYears * seasonalMonths,
+      `historical weather: ${weather.SAMPLING.historyYears} years x ${seasonalMonths} months per segment`);
+
+    // 3. Visibility (sharp turns + blind spots)
+    add = step('visibilityAnalysis', 'Visibility analysis');
+    if (!elevationService.hasLocalTiles()) {
+      add(this.endpointsFor('elevation', 'getElevations'), Math.ceil(points.length / apiService.ELEVATION_BATCH_SIZE),
+        `elevation batches of ${apiService.ELEVATION_BATCH_SIZE} points`);
+    }
+    add(this.endpointsFor('places', 'searchNearby'),
+      this.sampleCount(points, blindSpots.SAMPLING.obstructionInterval) * blindSpots.OBSTRUCTION_PLACE_TYPES.length, 'obstruction searches');
+    const intersections = this.sampleCount(points, blindSpots.SAMPLING.intersectionInterval);
+    add(this.endpointsFor('roads', 'nearestRoads'), intersections, 'intersection road lookups');
+    add(this.endpointsFor('places', 'searchNearby'), intersections, 'intersection obstruction searches (upper bound)');
+
+    // 4. Network coverage - computed locally
+    step('networkCoverageAnalysis', 'Network coverage analysis');
+
+    // 5. Accident data
+    add = step('accidentDataCollection', 'Accident data collection');
+    const incidentSegments = this.segmentCount(points, accidentData.SAMPLING.segments);
+    this.endpointsFor('incidents', 'getIncidents', true).forEach(provider => {
+      add(provider, incidentSegments, 'incidents per segment');
+    });
+
+    // 6-7. Risk calculation and status update - no provider calls
+    step('riskCalculation', 'Risk calculation');
+    step('routeStatusUpdate', 'Route status update');
+
+    return plan;
+  }
+
+  async estimateCollection(route, userId = null) {
+    const { SAMPLING } = require('./dataCollectionService');
+    return this.buildEstimate(route, this.buildCollectionPlan(route), userId, [
+      'Counts assume every segment is queried; cached responses are not subtracted.',
+      `Place details are counted for the maximum of ${SAMPLING.placeDetailsPerSearch} places per search.`
+    ]);
+  }
+
+  // ----------------------------------------------------------------------------
+  // Image downloads (visibility image downloader)
+  // ----------------------------------------------------------------------------
+
+  async estimateImageDownload(route, options = {}, userId = null) {
+    const SharpTurn = require('../models/SharpTurn');
+    const BlindSpot = require('../models/BlindSpot');
+    const {
+      imageTypes = ['street_view', 'satellite', 'roadmap'],
+      includeSharpTurns = true,
+      includeBlindSpots = true,
+      riskThreshold = 0
+    } = options;
+
+    const filter = { routeId: route._id, riskScore: { $gte: Number(riskThreshold) || 0 } };
+    const [sharpTurns, blindSpots] = await Promise.all([
+      includeSharpTurns ? SharpTurn.countDocuments(filter) : 0,
+      includeBlindSpots ? BlindSpot.countDocuments(filter) : 0
+    ]);
+
+    const sharpTurnStep = { key: 'sharpTurnImages', name: `Sharp turn images (${sharpTurns})`, breakdown: [] };
+    const blindSpotStep = { key: 'blindSpotImages', name: `Blind spot images (${blindSpots})`, breakdown: [] };
+
+    imageTypes.forEach(type => {
+      if (SHARP_TURN_IMAGE_ENDPOINTS[type] && sharpTurns > 0) {
+        sharpTurnStep.breakdown.push({ provider: SHARP_TURN_IMAGE_ENDPOINTS[type], calls: sharpTurns, description: `${type} per sharp turn` });
+      }
+      if (BLIND_SPOT_IMAGE_ENDPOINTS[type] && blindSpots > 0) {
+        blindSpotStep.breakdown.push({ provider: BLIND_SPOT_IMAGE_ENDPOINTS[type], calls: blindSpots, description: `${type} per blind spot` });
+      }
+    });
+
+    return this.buildEstimate(route, [sharpTurnStep, blindSpotStep], userId, this.imageDownloadNotes());
+  }
+
+  // ----------------------------------------------------------------------------
+  // Image downloads (legacy sharp turn image downloader)
+  // ----------------------------------------------------------------------------
+
+  // Every sharp turn on the route is downloaded; there is no risk threshold
+  async estimateSharpTurnImageDownload(route, options = {}, userId = null) {
+    const SharpTurn = require('../models/SharpTurn');
+    const { imageTypes = ['street', 'satellite', 'roadmap'] } = options;
+
+    const sharpTurns = await SharpTurn.countDocuments({ routeId: route._id });
+    const step = { key: 'sharpTurnImages', name: `Sharp turn images (${sharpTurns})`, breakdown: [] };
+
+    imageTypes.forEach(type => {
+      if (LEGACY_SHARP_TURN_IMAGE_ENDPOINTS[type] && sharpTurns > 0) {
+        step.breakdown.push({ provider: LEGACY_SHARP_TURN_IMAGE_ENDPOINTS[type], calls: sharpTurns, description: `${type} per sharp turn` });
+      }
+    });
+
+    return this.buildEstimate(route, [step], userId, this.imageDownloadNotes());
+  }
+
+  imageDownloadNotes() {
+    const notes = ['Failed downloads are retried up to 3 times; retries are not included.'];
+    if (!process.env.GOOGLE_MAPS_API_KEY) {
+      notes.push('GOOGLE_MAPS_API_KEY is not configured - the download would fail without making calls.');
+    }
+    return notes;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Shared
+  // ----------------------------------------------------------------------------
+
+  async buildEstimate(route, plan, userId, notes = []) {
+    const callsByProvider = {};
+    const replay = providerHttp.mode === 'replay';
+
+    const steps = plan.map(step => {
+      let calls = 0;
+      let cost = 0;
+      step.breakdown.forEach(item => {
+        const unitCost = apiQuota.getPrice(item.provider);
+        item.estimatedCostUsd = roundCost(item.calls * unitCost);
+        calls += item.calls;
+        cost += item.calls * unitCost;
+        callsByProvider[item.provider] = (callsByProvider[item.provider] || 0) + item.calls;
+      });
+      return { key: step.key, name: step.name, calls, estimatedCostUsd: roundCost(cost), breakdown: step.breakdown };
+    });
+
+    const byProvider = Object.entries(callsByProvider)
+      .map(([provider, calls]) => ({
+        provider,
+        calls,
+        unitCostUsd: apiQuota.getPrice(provider),
+        estimatedCostUsd: roundCost(calls * apiQuota.getPrice(provider))
+      }))
+      .sort((a, b) => b.estimatedCostUsd - a.estimatedCostUsd || b.calls - a.calls);
+
+    const totalCalls = byProvider.reduce((sum, item) => sum + item.calls, 0);
+    const estimatedCostUsd = roundCost(byProvider.reduce((sum, item) => sum + item.estimatedCostUsd, 0));
+    const budgets = replay ? [] : await apiQuota.projectBudgets(callsByProvider, userId);
+
+    if (replay) {
+      notes.push('PROVIDER_HTTP_MODE=replay - responses come from fixtures and nothing is billed.');
+    }
+    if (providerRegistry.getMode() === 'stub') {
+      notes.push('PROVIDER_MODE=stub - registry capabilities are answered offline; only direct provider calls are counted.');
+    }
+
+    return {
+      routeId: route._id,
+      routeCode: route.routeId,
+      routePoints: (route.routePoints || []).length,
+      distanceKm: route.totalDistance,
+      providerMode: providerRegistry.getMode(),
+      httpMode: providerHttp.mode,
+      budgetMode: apiQuota.mode,
+      totalCalls: replay ? 0 : totalCalls,
+      estimatedCostUsd: replay ? 0 : estimatedCostUsd,
+      currency: 'USD',
+      byProvider,
+      steps,
+      budgets,
+      withinBudget: budgets.every(budget => !budget.wouldExceed),
+      notes
+    };
+  }
+}
+
+module.exports = new ApiCostEstimateService();
@@ -0,0 +1,530 @@
+// File: services/apiQuotaService.js
+// Purpose: Meters every outbound provider call and enforces daily/monthly API budgets
+// providerHttpService reports each request here. Calls are attributed to the user and route of
+// the current request or background job (AsyncLocalStorage context), priced from a per-provider
+// table and persisted to ApiUsage in batches.
+//
+// API_BUDGET_MODE:
+//   degrade   (default) - over budget: serve cached data if any, otherwise fail the call so the
+//                         calling service falls back to its estimated data
+//   hard_stop           - over budget: fail the call and stop running collection jobs
+//
+// Budgets (all optional, unset = unlimited):
+//   API_BUDGET_DAILY_CALLS, API_BUDGET_MONTHLY_CALLS                    all providers
+//   API_BUDGET_DAILY_COST_USD, API_BUDGET_MONTHLY_COST_USD              all providers
+//   API_BUDGET_<PROVIDER>_DAILY_CALLS, ..._MONTHLY_COST_USD             one provider, e.g. API_BUDGET_GOOGLE_PLACES_DAILY_CALLS
+//   API_BUDGET_USER_DAILY_CALLS, API_BUDGET_USER_MONTHLY_COST_USD, ...  each user
+//
+// Prices: API_COST_<PROVIDER>=<USD per call> overrides the table below.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+const BUDGET_MODES = ['degrade', 'hard_stop'];
+const FLUSH_INTERVAL_MS = 5000;
+
+// Approximate list prices in USD per request (pay-as-you-go tiers, before free credits)
+const PRICING = {
+  'google-directions': 0.005,
+  'google-geocode': 0.005,
+  'google-elevation': 0.005,
+  'google-places': 0.032, // Nearby Search
+  'google-place-details': 0.017,
+  'google-roads': 0.01,
+  'google-streetview': 0.007,
+  'google-static-maps': 0.002,
+  'openweather': 0.0015,
+  'visualcrossing': 0.0001,
+  'tomorrow-io': 0,
+  'tomtom-traffic': 0.00054,
+  'tomtom-search': 0.0005,
+  'here-traffic': 0.00083,
+  'here-routing': 0.00075,
+  'here-geocode': 0.00083,
+  'mapbox': 0.0005
+};
+
+const PERIODS = ['daily', 'monthly'];
+const OUTCOME_FIELDS = {
+  call: 'calls',
+  cached: 'cachedCalls',
+  blocked: 'blockedCalls',
+  failed: 'failedCalls',
+  skipped: 'skippedCalls'
+};
+const COUNTER_FIELDS = Object.values(OUTCOME_FIELDS);
+const METRICS = { CALLS: 'calls', COST_USD: 'cost' };
+
+function envName(provider) {
+  return provider.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+function emptyTotals() {
+  return { daily: { calls: 0, cost: 0 }, monthly: { calls: 0, cost: 0 } };
+}
+
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+class ApiQuotaService {
+  constructor() {
+    this.mode = BUDGET_MODES.includes(process.env.API_BUDGET_MODE) ? process.env.API_BUDGET_MODE : 'degrade';
+    this.storage = new AsyncLocalStorage();
+
+    this.pending = new Map();
+    this.flushTimer = null;
+    this.flushing = null;
+
+    this.totals = null; // { day, month, global, providers: {}, users: {} }
+    this.totalsLoadedFromDb = false;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Attribution context
+  // ----------------------------------------------------------------------------
+
+  // Express middleware: provider calls made while handling the request are attributed to
+  // req.user and the :id / :routeId route parameter (resolved lazily, after auth has run)
+  middleware() {
+    return (req, res, next) => this.storage.run({ req }, next);
+  }
+
+  // Background work (queue workers, schedulers) sets the attribution explicitly
+  runWithContext(context, fn) {
+    return this.storage.run({ ...context }, fn);
+  }
+
+  getContext() {
+    const store = this.storage.getStore();
+    if (!store) return { userId: null, routeId: null };
+
+    const req = store.req;
+    const userId = store.userId || req?.user?.id || null;
+    const routeId = store.routeId || req?.params?.routeId || req?.params?.id || null;
+
+    return {
+      userId: userId && mongoose.isValidObjectId(userId) ? String(userId) : null,
+      routeId: routeId && mongoose.isValidObjectId(routeId) ? String(routeId) : null
+    };
+  }
+
+  // Budget hit during the current context (used by jobs in hard_stop mode)
+  getExceededBudget() {
+    return this.storage.getStore()?.budgetExceeded || null;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Pricing and budgets
+  // ----------------------------------------------------------------------------
+
+  getPrice(provider) {
+    const override = parseFloat(process.env[`API_COST_${envName(provider)}`]);
+    if (!isNaN(override)) return override;
+    return PRICING[provider] || 0;
+  }
+
+  getPricing() {
+    const providers = new Set([...Object.keys(PRICING), ...Object.keys(this.totals?.providers || {})]);
+    const pricing = {};
+    providers.forEach(provider => { pricing[provider] = this.getPrice(provider); });
+    return pricing;
+  }
+
+  // Budgets configured in the environment, e.g. { scope: 'provider', provider: 'google-places', period: 'daily', metric: 'calls', limit: 1000 }
+  getBudgets() {
+    const budgets = [];
+    const knownProviders = Object.keys(PRICING);
+
+    Object.entries(process.env).forEach(([name, value]) => {
+      const match = name.match(/^API_BUDGET_(?:(.+)_)?(DAILY|MONTHLY)_(CALLS|COST_USD)$/);
+      if (!match) return;
+
+      const limit = parseFloat(value);
+      if (isNaN(limit) || limit < 0) return;
+
+      const [, scopeName, period, metric] = match;
+      const budget = { period: period.toLowerCase(), metric: METRICS[metric], limit, variable: name };
+
+      if (!scopeName) {
+        budget.scope = 'global';
+      } else if (scopeName === 'USER') {
+        budget.scope = 'user';
+      } else {
+        const provider = knownProviders.find(p => envName(p) === scopeName) || scopeName.toLowerCase().replace(/_/g, '-');
+        budget.scope = 'provider';
+        budget.provider = provider;
+      }
+      budgets.push(budget);
+    });
+
+    return budgets;
+  }
+
+  getUsed(budget, provider, userId) {
+    const totals = this.totals;
+    if (!totals) return 0;
+
+    let bucket;
+    if (budget.scope === 'global') bucket = totals.global;
+    else if (budget.scope === 'provider') bucket = totals.providers[budget.provider];
+    else bucket = userId ? totals.users[userId] : null;
+
+    return bucket ? bucket[budget.period][budget.metric] : 0;
+  }
+
+  appliesTo(budget, provider, userId) {
+    if (budget.scope === 'provider') return budget.provider === provider;
+    if (budget.scope === 'user') return Boolean(userId);
+    return true;
+  }
+
+  // First budget that one more call to this provider would exceed, or null
+  async checkBudget(provider) {
+    const budgets = this.getBudgets();
+    if (budgets.length === 0) return null;
+
+    await this.ensureTotals();
+
+    const { userId } = this.getContext();
+    const price = this.getPrice(provider);
+
+    for (const budget of budgets) {
+      if (!this.appliesTo(budget, provider, userId)) continue;
+
+      const used = this.getUsed(budget, provider, userId);
+      const exceeded = budget.metric === 'calls'
+        ? used + 1 > budget.limit
+        : price > 0 && used + price > budget.limit;
+
+      if (exceeded) {
+        return { ...budget, used: budget.metric === 'cost' ? roundCost(used) : used, provider };
+      }
+    }
+    return null;
+  }
+
+  budgetError(provider, budget) {
+    const scope = budget.scope === 'provider' ? budget.provider : budget.scope;
+    const error = new Error(
+      `API budget exceeded for ${provider}: ${scope} ${budget.period} ${budget.metric} limit ${budget.limit} (used ${budget.used})`
+    );
+    error.code = 'PROVIDER_BUDGET_EXCEEDED';
+    error.budget = budget;
+    error.hardStop = this.mode === 'hard_stop';
+
+    const store = this.storage.getStore();
+    if (store && !store.budgetExceeded) {
+      store.budgetExceeded = { ...budget, message: error.message };
+    }
+    return error;
+  }
+
+  // Budgets a projected set of calls would exceed ({ provider: calls })
+  async projectBudgets(callsByProvider, userId = null) {
+    const budgets = this.getBudgets();
+    if (budgets.length === 0) return [];
+
+    await this.ensureTotals();
+    const key = userId ? String(userId) : null;
+
+    return budgets.map(budget => {
+      let projectedCalls = 0;
+      let projectedCost = 0;
+      Object.entries(callsByProvider).forEach(([provider, calls]) => {
+        if (!this.appliesTo(budget, provider, key)) return;
+        projectedCalls += calls;
+        projectedCost += calls * this.getPrice(provider);
+      });
+
+      const used = budget.scope === 'provider'
+        ? this.getUsed(budget, budget.provider, key)
+        : this.getUsed(budget, null, key);
+      const projected = budget.metric === 'calls' ? projectedCalls : projectedCost;
+
+      return {
+        variable: budget.variable,
+        scope: budget.scope,
+        provider: budget.provider,
+        period: budget.period,
+        metric: budget.metric,
+        limit: budget.limit,
+        used: budget.metric === 'cost' ? roundCost(used) : used,
+        projected: budget.metric === 'cost' ? roundCost(projected) : projected,
+        remaining: Math.max(0, budget.metric === 'cost' ? roundCost(budget.limit - used) : budget.limit - used),
+        wouldExceed: projected > 0 && used + projected > budget.limit
+      };
+    }).filter(result => result.projected > 0);
+  }
+
+  // ----------------------------------------------------------------------------
+  // Metering
+  // ----------------------------------------------------------------------------
+
+  // outcome: 'call' (billable), 'cached' (cache/fixture), 'blocked' (refused by a budget),
+  // 'failed' (provider error) or 'skipped' (circuit open)
+  record(provider, outcome = 'call') {
+    const { userId, routeId } = this.getContext();
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+    const cost = outcome === 'call' ? this.getPrice(provider) : 0;
+
+    const key = [day, provider, userId || '', routeId || ''].join('|');
+    if (!this.pending.has(key)) {
+      this.pending.set(key, {
+        day, month: day.slice(0, 7), provider, userId, routeId,
+        calls: 0, cachedCalls: 0, blockedCalls: 0, failedCalls: 0, skippedCalls: 0, estimatedCostUsd: 0
+      });
+    }
+    const entry = this.pending.get(key);
+    entry[OUTCOME_FIELDS[outcome] || 'calls'] += 1;
+    entry.estimatedCostUsd += cost;
+
+    if (outcome === 'call') {
+      this.addToTotals(day, provider, userId, 1, cost);
+    }
+    this.scheduleFlush();
+  }
+
+  addToTotals(day, provider, userId, calls, cost) {
+    this.rollTotals(day);
+    const buckets = [this.totals.global];
+
+    if (!this.totals.providers[provider]) this.totals.providers[provider] = emptyTotals();
+    buckets.push(this.totals.providers[provider]);
+
+    if (userId) {
+      if (!this.totals.users[userId]) this.totals.users[userId] = emptyTotals();
+      buckets.push(this.totals.users[userId]);
+    }
+
+    buckets.forEach(bucket => {
+      PERIODS.forEach(period => {
+        bucket[period].calls += calls;
+        bucket[period].cost += cost;
+      });
+    });
+  }
+
+  // Starts fresh counters when the UTC day or month changes
+  rollTotals(day = new Date().toISOString().slice(0, 10)) {
+    const month = day.slice(0, 7);
+
+    if (!this.totals || this.totals.month !== month) {
+      this.totals = { day, month, global: emptyTotals(), providers: {}, users: {} };
+      this.totalsLoadedFromDb = false;
+      return;
+    }
+
+    if (this.totals.day !== day) {
+      this.totals.day = day;
+      const buckets = [this.totals.global, ...Object.values(this.totals.providers), ...Object.values(this.totals.users)];
+      buckets.forEach(bucket => { bucket.daily = { calls: 0, cost: 0 }; });
+    }
+  }
+
+  // Seeds the in-memory counters from ApiUsage so budgets survive restarts
+  async ensureTotals() {
+    this.rollTotals();
+    if (this.totalsLoadedFromDb || mongoose.connection.readyState !== 1) return;
+
+    try {
+      await this.flush();
+      const ApiUsage = require('../models/ApiUsage');
+      const { day, month } = this.totals;
+
+      const rows = await ApiUsage.aggregate([
+        { $match: { month } },
+        {
+          $group: {
+            _id: { provider: '$provider', userId: '$userId', today: { $eq: ['$day', day] } },
+            calls: { $sum: '$calls' },
+            cost: { $sum: '$estimatedCostUsd' }
+          }
+        }
+      ]);
+
+      const totals = { day, month, global: emptyTotals(), providers: {}, users: {} };
+      rows.forEach(row => {
+        const buckets = [totals.global];
+        const provider = row._id.provider;
+        if (!totals.providers[provider]) totals.providers[provider] = emptyTotals();
+        buckets.push(totals.providers[provider]);
+
+        if (row._id.userId) {
+          const userId = String(row._id.userId);
+          if (!totals.users[userId]) totals.users[userId] = emptyTotals();
+          buckets.push(totals.users[userId]);
+        }
+
+        buckets.forEach(bucket => {
+          bucket.monthly.calls += row.calls;
+          bucket.monthly.cost += row.cost;
+          if (row._id.today) {
+            bucket.daily.calls += row.calls;
+            bucket.daily.cost += row.cost;
+          }
+        });
+      });
+
+      // Calls recorded while the aggregate was running
+      this.pending.forEach(entry => {
+        if (entry.month !== month) return;
+        const apply = bucket => {
+          bucket.monthly.calls += entry.calls;
+          bucket.monthly.cost += entry.estimatedCostUsd;
+          if (entry.day === day) {
+            bucket.daily.calls += entry.calls;
+            bucket.daily.cost += entry.estimatedCostUsd;
+          }
+        };
+        apply(totals.global);
+        if (!totals.providers[entry.provider]) totals.providers[entry.provider] = emptyTotals();
+        apply(totals.providers[entry.provider]);
+        if (entry.userId) {
+          if (!totals.users[entry.userId]) totals.users[entry.userId] = emptyTotals();
+          apply(totals.users[entry.userId]);
+        }
+      });
+
+      this.totals = totals;
+      this.totalsLoadedFromDb = true;
+    } catch (error) {
+      console.warn('⚠️ Could not load API usage totals:', error.message);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => console.warn('⚠️ API usage flush failed:', error.message));
+    }, FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+  }
+
+  // Writes pending counters to Mongo. Counters stay pending while Mongo is unavailable.
+  async flush() {
+    if (this.flushing) return this.flushing;
+    if (this.pending.size === 0 || mongoose.connection.readyState !== 1) return;
+
+    const entries = Array.from(this.pending.values());
+    this.pending.clear();
+
+    const ApiUsage = require('../models/ApiUsage');
+    this.flushing = ApiUsage.bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { day: entry.day, provider: entry.provider, userId: entry.userId, routeId: entry.routeId },
+        update: {
+          $inc: {
+            ...Object.fromEntries(COUNTER_FIELDS.map(field => [field, entry[field]])),
+            estimatedCostUsd: entry.estimatedCostUsd
+          },
+          $setOnInsert: { month: entry.month }
+        },
+        upsert: true
+      }
+    })), { ordered: false }).catch(error => {
+      // Put the counters back so they are retried on the next flush
+      entries.forEach(entry => {
+        const key = [entry.day, entry.provider, entry.userId || '', entry.routeId || ''].join('|');
+        const existing = this.pending.get(key);
+        if (existing) {
+          COUNTER_FIELDS.forEach(field => { existing[field] += entry[field]; });
+          existing.estimatedCostUsd += entry.estimatedCostUsd;
+        } else {
+          this.pending.set(key, entry);
+        }
+      });
+      throw error;
+    }).finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Reporting
+  // ----------------------------------------------------------------------------
+
+  // Usage grouped by provider and by day. filter: { userId, routeId, from, to } (days as YYYY-MM-DD)
+  async getUsageReport(filter = {}) {
+    await this.flush().catch(() => {});
+    const ApiUsage = require('../models/ApiUsage');
+
+    const match = {};
+    if (filter.userId) match.userId = new mongoose.Types.ObjectId(String(filter.userId));
+    if (filter.routeId) match.routeId = new mongoose.Types.ObjectId(String(filter.routeId));
+    if (filter.from || filter.to) {
+      match.day = {};
+      if (filter.from) match.day.$gte = filter.from;
+      if (filter.to) match.day.$lte = filter.to;
+    }
+
+    const sums = {
+      ...Object.fromEntries(COUNTER_FIELDS.map(field => [field, { $sum: `$${field}` }])),
+      estimatedCostUsd: { $sum: '$estimatedCostUsd' }
+    };
+
+    const [byProvider, byDay, byRoute] = await Promise.all([
+      ApiUsage.aggregate([{ $match: match }, { $group: { _id: '$provider', ...sums } }, { $sort: { estimatedCostUsd: -1 } }]),
+      ApiUsage.aggregate([{ $match: match }, { $group: { _id: '$day', ...sums } }, { $sort: { _id: 1 } }]),
+      ApiUsage.aggregate([
+        { $match: { ...match, routeId: match.routeId || { $ne: null } } },
+        { $group: { _id: '$routeId', ...sums } },
+        { $sort: { estimatedCostUsd: -1 } },
+        { $limit: 20 }
+      ])
+    ]);
+
+    const format = row => ({
+      ...Object.fromEntries(COUNTER_FIELDS.map(field => [field, row[field] || 0])),
+      estimatedCostUsd: roundCost(row.estimatedCostUsd)
+    });
+
+    const total = { estimatedCostUsd: 0 };
+    COUNTER_FIELDS.forEach(field => { total[field] = 0; });
+    byProvider.forEach(row => {
+      COUNTER_FIELDS.forEach(field => { total[field] += row[field] || 0; });
+      total.estimatedCostUsd += row.estimatedCostUsd;
+    });
+
+    return {
+      total: format(total),
+      byProvider: byProvider.map(row => ({ provider: row._id, ...format(row) })),
+      byDay: byDay.map(row => ({ day: row._id, ...format(row) })),
+      topRoutes: byRoute.map(row => ({ routeId: row._id, ...format(row) }))
+    };
+  }
+
+  // Budget configuration with current consumption
+  async getBudgetStatus(userId = null) {
+    await this.ensureTotals();
+    const key = userId ? String(userId) : null;
+
+    return {
+      mode: this.mode,
+      budgets: this.getBudgets().map(budget => {
+        const used = this.getUsed(budget, budget.provider, key);
+        return {
+          variable: budget.variable,
+          scope: budget.scope,
+          provider: budget.provider,
+          period: budget.period,
+          metric: budget.metric,
+          limit: budget.limit,
+          used: budget.metric === 'cost' ? roundCost(used) : used,
+          remaining: Math.max(0, budget.metric === 'cost' ? roundCost(budget.limit - used) : budget.limit - used),
+          exhausted: used >= budget.limit
+        };
+      })
+    };
+  }
+}
+
+const apiQuotaService = new ApiQuotaService();
+apiQuotaService.PRICING = PRICING;
+apiQuotaService.BUDGET_MODES = BUDGET_MODES;
+
+module.exports = apiQuotaService;
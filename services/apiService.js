@@ -2,51 +2,45 @@
 // Purpose: Integration with external APIs (Google Maps, Weather, Traffic, etc.)
 // Phase 1: Core API integrations for route details and geocoding
 
-const axios = require('axios');
+const providerHttp = require('./providerHttpService');
 const logger = require('../utils/logger');
+const providerRegistry = require('./providers');
+
+// Maximum points per elevation request
+const ELEVATION_BATCH_SIZE = 100;
 
 class ApiService {
   constructor() {
     this.googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY;
     this.openWeatherApiKey = process.env.OPENWEATHER_API_KEY;
-    this.tomtomApiKey = process.env.TOMTOM_API_KEY;
-    this.hereApiKey = process.env.HERE_API_KEY;
     this.visualCrossingApiKey = process.env.VISUALCROSSING_API_KEY;
-    this.mapboxApiKey = process.env.MAPBOX_API_KEY;
   }
 
-  // Google Maps Directions API - Get route details
+  // Directions (Google / HERE / stub via provider registry) - Get route details
   async getRouteDetails(fromCoords, toCoords, waypoints = []) {
     try {
-      const origin = `${fromCoords.latitude},${fromCoords.longitude}`;
-      const destination = `${toCoords.latitude},${toCoords.longitude}`;
-      
-      let url = `https://maps.googleapis.com/maps/api/directions/json?origin=${origin}&destination=${destination}&key=${this.googleMapsApiKey}`;
-      
-      if (waypoints.length > 0) {
-        const waypointsStr = waypoints.map(wp => `${wp.latitude},${wp.longitude}`).join('|');
-        url += `&waypoints=${waypointsStr}`;
-      }
+      const result = await providerRegistry.call('directions', 'getDirections', {
+        origin: fromCoords,
+        destination: toCoords,
+        waypoints
+      });
 
-      const response = await axios.get(url);
-      
-      if (response.data.status !== 'OK') {
-        throw new Error(`Google Directions API error: ${response.data.status}`);
+      if (!result || result.routes.length === 0) {
+        throw new Error('No route found');
       }
 
-      const route = response.data.routes[0];
-      const leg = route.legs[0];
+      const route = result.routes[0];
 
       return {
-        distance: leg.distance.value / 1000, // Convert to km
-        duration: leg.duration.value / 60, // Convert to minutes
-        polyline: route.overview_polyline.points,
-        steps: leg.steps,
+        distance: route.distance, // km
+        duration: route.duration, // minutes
+        polyline: route.polyline,
+        steps: route.steps,
         bounds: route.bounds
       };
 
     } catch (error) {
-      logger.error('Google Directions API error:', error);
+      logger.error('Directions API error:', error);
       throw new Error(`Failed to get route details: ${error.message}`);
     }
   }
@@ -56,7 +50,7 @@ class ApiService {
     try {
       const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${this.googleMapsApiKey}`;
       
-      const response = await axios.get(url);
+      const response = await providerHttp.get(url);
       
       if (response.data.status !== 'OK') {
         throw new Error(`Google Geocoding API error: ${response.data.status}`);
@@ -84,33 +78,20 @@ class ApiService {
     }
     
     // Batch processing for large coordinate arrays
-    if (coordinates.length > 100) {
+    if (coordinates.length > ELEVATION_BATCH_SIZE) {
       return await this.getElevationBatch(coordinates);
     }
     
-    const locations = coordinates.map(coord => `${coord.latitude},${coord.longitude}`).join('|');
-    const url = `https://maps.googleapis.com/maps/api/elevation/json?locations=${locations}&key=${this.googleMapsApiKey}`;
-    
-    const response = await axios.get(url);
-    
-    if (response.data.status !== 'OK') {
-      throw new Error(`Google Elevation API error: ${response.data.status}`);
-    }
-
-    return response.data.results.map(result => ({
-      latitude: result.location.lat,
-      longitude: result.location.lng,
-      elevation: result.elevation
-    }));
+    return await providerRegistry.call('elevation', 'getElevations', coordinates);
 
   } catch (error) {
-    logger.error('Google Elevation API error:', error);
+    logger.error('Elevation API error:', error);
     throw new Error(`Failed to get elevation data: ${error.message}`);
   }
 }
 
 // ✅ ADD new batch processing method:
-async getElevationBatch(coordinates, batchSize = 100) {
+async getElevationBatch(coordinates, batchSize = ELEVATION_BATCH_SIZE) {
   try {
     const results = [];
     
@@ -138,93 +119,50 @@ async getElevationBatch(coordinates, batchSize = 100) {
   }
 }
 
-  // Google Places API - Find nearby services
+  // Places (Google / stub via provider registry) - Find nearby services
   async findNearbyPlaces(latitude, longitude, type, radius = 50000) {
     try {
-      const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?location=${latitude},${longitude}&radius=${radius}&type=${type}&key=${this.googleMapsApiKey}`;
-      
-      const response = await axios.get(url);
-      
-      if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
-        throw new Error(`Google Places API error: ${response.data.status}`);
-      }
-
-      return response.data.results.map(place => ({
-        placeId: place.place_id,
-        name: place.name,
-        latitude: place.geometry.location.lat,
-        longitude: place.geometry.location.lng,
-        rating: place.rating,
-        vicinity: place.vicinity,
-        types: place.types,
-        openNow: place.opening_hours?.open_now,
-        priceLevel: place.price_level
-      }));
+      return await providerRegistry.call('places', 'searchNearby', { latitude, longitude, radius, type });
 
     } catch (error) {
-      logger.error('Google Places API error:', error);
+      logger.error('Places API error:', error);
       throw new Error(`Failed to find nearby places: ${error.message}`);
     }
   }
 
-  // OpenWeather API - Get weather data
+  // Current weather (Visual Crossing / Tomorrow.io / OpenWeather / stub via provider registry)
   async getWeatherData(latitude, longitude) {
     try {
-      const currentUrl = `https://api.openweathermap.org/data/2.5/weather?lat=${latitude}&lon=${longitude}&appid=${this.openWeatherApiKey}&units=metric`;
-      
-      const response = await axios.get(currentUrl);
-      
-      return {
-        temperature: response.data.main.temp,
-        humidity: response.data.main.humidity,
-        pressure: response.data.main.pressure,
-        windSpeed: response.data.wind.speed,
-        windDirection: response.data.wind.deg,
-        visibility: response.data.visibility / 1000, // Convert to km
-        description: response.data.weather[0].description,
-        condition: response.data.weather[0].main
-      };
+      return await providerRegistry.call('weather', 'getCurrentWeather', latitude, longitude);
 
     } catch (error) {
-      logger.error('OpenWeather API error:', error);
+      logger.error('Weather API error:', error);
       throw new Error(`Failed to get weather data: ${error.message}`);
     }
   }
 
-  // TomTom Traffic API - Get traffic data
+  // Traffic flow (HERE / stub via provider registry)
   async getTrafficData(latitude, longitude, radius = 1000) {
   try {
-    if (!this.hereApiKey) {
-      throw new Error('HERE API key not configured');
-    }
-
-    // HERE Traffic API v7 - Real-time flow data
-    const url = `https://data.traffic.hereapi.com/v7/flow?` +
-      `locationReferencing=shape&` +
-      `in=circle:${latitude},${longitude};r=${radius}&` +
-      `apikey=${this.hereApiKey}`;
-    
-    const response = await axios.get(url, { timeout: 15000 });
+    const flow = await providerRegistry.call('traffic', 'getTrafficFlow', { latitude, longitude, radius });
     
-    if (response.data && response.data.results) {
-      const flowData = response.data.results[0]?.currentFlow;
-      
+    if (flow) {
       return {
-        currentSpeed: flowData?.speed || 50,
-        freeFlowSpeed: flowData?.freeFlow || 60,
-        jamFactor: flowData?.jamFactor || 0,
-        confidence: flowData?.confidence || 0.8,
-        roadClosure: flowData?.traversability === 'closed',
-        congestionLevel: this.determineCongestionLevel(flowData?.jamFactor || 0),
+        currentSpeed: flow.currentSpeed ?? 50,
+        freeFlowSpeed: flow.freeFlowSpeed ?? 60,
+        jamFactor: flow.jamFactor || 0,
+        confidence: flow.confidence ?? 0.8,
+        roadClosure: flow.roadClosure,
+        congestionLevel: this.determineCongestionLevel(flow.jamFactor || 0),
         lastUpdated: new Date(),
-        dataSource: 'HERE_TRAFFIC_API_V7'
+        dataSource: flow.dataSource
       };
     }
     
     throw new Error('No traffic data available');
     
   } catch (error) {
-    logger.error('HERE Traffic API error:', error);
+    logger.error('Traffic API error:', error);
     // NO FALLBACK - Let calling code handle the error
     throw new Error(`Real traffic data unavailable: ${error.message}`);
   }
@@ -239,27 +177,20 @@ determineCongestionLevel(jamFactor) {
   return 'free_flow';
 }
 
-  // HERE API - Get road attributes
+  // Road attributes (HERE / TomTom / Mapbox / stub via provider registry)
   async getRoadAttributes(latitude, longitude) {
     try {
-      if (!this.hereApiKey) {
-        throw new Error('HERE API key not configured');
-      }
+      const roadInfo = await providerRegistry.call('roadInfo', 'getRoadInfo', { latitude, longitude });
 
-      const url = `https://router.hereapi.com/v8/routes?transportMode=car&origin=${latitude},${longitude}&destination=${latitude},${longitude}&return=summary&apikey=${this.hereApiKey}`;
-      
-      const response = await axios.get(url);
-      
-      // Extract road information from response
       return {
-        roadType: 'unknown',
-        speedLimit: 50, // Default speed limit
+        roadType: roadInfo?.roadType || 'unknown',
+        speedLimit: roadInfo?.speedLimit || 50,
         surfaceType: 'paved'
       };
 
     } catch (error) {
-      logger.error('HERE API error:', error);
-      // Return default values if HERE fails
+      logger.error('Road info API error:', error);
+      // Return default values if no provider answers
       return {
         roadType: 'unknown',
         speedLimit: 50,
@@ -268,42 +199,34 @@ determineCongestionLevel(jamFactor) {
     }
   }
 
-  // Visual Crossing Weather API - Historical weather data
+  // Historical weather (Visual Crossing / Tomorrow.io / OpenWeather / stub via provider registry)
   async getHistoricalWeather(latitude, longitude, date) {
   try {
-    if (!this.visualCrossingApiKey) {
-      throw new Error('Visual Crossing API key not configured');
+    const dayData = await providerRegistry.call('weather', 'getHistoricalWeather', latitude, longitude, date);
+    
+    if (!dayData) {
+      throw new Error('No weather data available');
     }
 
-    const dateStr = date.toISOString().split('T')[0];
-    const url = `https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline/` +
-      `${latitude},${longitude}/${dateStr}?` +
-      `key=${this.visualCrossingApiKey}&` +
-      `include=days&` +
-      `elements=temp,humidity,precip,windspeed,visibility,conditions`;
-    
-    const response = await axios.get(url, { timeout: 15000 });
-    
-    if (response.data && response.data.days && response.data.days[0]) {
-      const dayData = response.data.days[0];
-      
-      return {
-        temperature: dayData.temp,
-        humidity: dayData.humidity,
-        precipitation: dayData.precip || 0,
-        windSpeed: dayData.windspeed,
+    return {
+      temperature: dayData.temperature,
+      humidity: dayData.humidity,
+      precipitation: dayData.precipitation || 0,
+      windSpeed: dayData.windSpeed,
+      visibility: dayData.visibility,
+      conditions: dayData.conditions,
+      riskScore: this.calculateWeatherRisk({
         visibility: dayData.visibility,
-        conditions: dayData.conditions,
-        riskScore: this.calculateWeatherRisk(dayData),
-        dataSource: 'VISUAL_CROSSING_API',
-        lastUpdated: new Date()
-      };
-    }
-    
-    throw new Error('No weather data available');
+        windspeed: dayData.windSpeed,
+        precip: dayData.precipitation,
+        conditions: dayData.conditions
+      }),
+      dataSource: dayData.dataSource,
+      lastUpdated: new Date()
+    };
     
   } catch (error) {
-    logger.error('Visual Crossing API error:', error);
+    logger.error('Historical weather error:', error);
     throw new Error(`Real weather data unavailable: ${error.message}`);
   }
 }
@@ -358,4 +281,7 @@ calculateWeatherRisk(weatherData) {
   }
 }
 
-module.exports = new ApiService();
\ No newline at end of file
+const apiService = new ApiService();
+apiService.ELEVATION_BATCH_SIZE = ELEVATION_BATCH_SIZE;
+
+module.exports = apiService;
\ No newline at end of file
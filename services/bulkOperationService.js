@@ -0,0 +1,395 @@
+// File: services/bulkOperationService.js
+// Purpose: Bulk delete / bulk risk recalculation over many routes as tracked background jobs
+// Routes are selected by ids and/or a filter (terminal code, risk level, created-before).
+// Jobs run one at a time in-process; progress and per-route results are stored on BulkJob.
+
+const mongoose = require('mongoose');
+const Route = require('../models/Route');
+const BulkJob = require('../models/BulkJob');
+const RouteShare = require('../models/RouteShare');
+const SharpTurn = require('../models/SharpTurn');
+const SteepGradient = require('../models/SteepGradient');
+const BlindSpot = require('../models/BlindSpot');
+const AccidentProneArea = require('../models/AccidentProneArea');
+const RoadCondition = require('../models/RoadCondition');
+const WeatherCondition = require('../models/WeatherCondition');
+const TrafficData = require('../models/TrafficData');
+const EmergencyService = require('../models/EmergencyService');
+const NetworkCoverage = require('../models/NetworkCoverage');
+
+// Collections soft-deleted together with their route (risk assessments are kept as audit history)
+const DEPENDENT_MODELS = {
+  sharpTurns: SharpTurn,
+  steepGradients: SteepGradient,
+  blindSpots: BlindSpot,
+  accidentProneAreas: AccidentProneArea,
+  roadConditions: RoadCondition,
+  weatherConditions: WeatherCondition,
+  trafficData: TrafficData,
+  emergencyServices: EmergencyService,
+  networkCoverage: NetworkCoverage
+};
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+function bulkError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class BulkOperationService {
+  constructor() {
+    this.maxRoutesPerJob = parseInt(process.env.BULK_MAX_ROUTES, 10) || 1000;
+    this.queue = [];
+    this.running = false;
+    this.recovered = false;
+  }
+
+  // Validate { routeIds, filter } from a request body. Returns { selection, errors }
+  validateSelection(body = {}) {
+    const errors = [];
+    const selection = { routeIds: [], filter: {} };
+
+    if (body.routeIds !== undefined) {
+      if (!Array.isArray(body.routeIds)) {
+        errors.push('routeIds must be an array');
+      } else {
+        const invalid = body.routeIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+        if (invalid.length > 0) {
+          errors.push(`Invalid route IDs: ${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? '...' : ''}`);
+        }
+        selection.routeIds = [...new Set(body.routeIds.map(String))];
+      }
+    }
+
+    const filter = body.filter || {};
+    if (filter.terminalCode) {
+      selection.filter.terminalCode = String(filter.terminalCode).trim().toUpperCase();
+    }
+    if (filter.riskLevel) {
+      const levels = (Array.isArray(filter.riskLevel) ? filter.riskLevel : String(filter.riskLevel).split(','))
+        .map(level => String(level).trim().toUpperCase())
+        .filter(Boolean);
+      const unknown = levels.filter(level => !RISK_LEVELS.includes(level));
+      if (unknown.length > 0) {
+        errors.push(`riskLevel must be one of: ${RISK_LEVELS.join(', ')}`);
+      }
+      selection.filter.riskLevel = levels;
+    }
+    if (filter.createdBefore) {
+      const createdBefore = new Date(filter.createdBefore);
+      if (isNaN(createdBefore.getTime())) {
+        errors.push('createdBefore must be a valid date');
+      } else {
+        selection.filter.createdBefore = createdBefore;
+      }
+    }
+
+    // Never operate on "all routes" by accident
+    if (selection.routeIds.length === 0 && Object.keys(selection.filter).length === 0) {
+      errors.push('Provide routeIds and/or a filter (terminalCode, riskLevel, createdBefore)');
+    }
+
+    return { selection, errors };
+  }
+
+  buildRouteQuery(userId, selection) {
+    const query = { userId, status: { $ne: 'deleted' } };
+
+    if (selection.routeIds && selection.routeIds.length > 0) {
+      query._id = { $in: selection.routeIds };
+    }
+    if (selection.filter.terminalCode) {
+      query.$or = [
+        { fromCode: selection.filter.terminalCode },
+        { toCode: selection.filter.terminalCode }
+      ];
+    }
+    if (selection.filter.riskLevel && selection.filter.riskLevel.length > 0) {
+      query.riskLevel = { $in: selection.filter.riskLevel };
+    }
+    if (selection.filter.createdBefore) {
+      query.createdAt = { $lt: selection.filter.createdBefore };
+    }
+
+    return query;
+  }
+
+  // Create a job. Dry runs execute immediately and return the completed job;
+  // real runs are queued and processed in the background.
+  async createJob(type, userId, selection, options = {}) {
+    await this.recoverInterruptedJobs();
+
+    const routes = await Route.find(this.buildRouteQuery(userId, selection))
+      .select('_id routeId routeName')
+      .sort({ createdAt: 1 })
+      .limit(this.maxRoutesPerJob + 1)
+      .lean();
+
+    if (routes.length > this.maxRoutesPerJob) {
+      throw bulkError(`Selection matches more than ${this.maxRoutesPerJob} routes - narrow the filter or split the job`);
+    }
+
+    // Requested ids that are missing, deleted or owned by someone else are reported as skipped
+    const matchedIds = new Set(routes.map(route => String(route._id)));
+    const unmatched = (selection.routeIds || [])
+      .filter(id => !matchedIds.has(String(id)))
+      .map(id => ({
+        routeId: id,
+        status: 'skipped',
+        message: 'Route not found or not accessible'
+      }));
+
+    const job = await BulkJob.create({
+      type,
+      userId,
+      dryRun: !!options.dryRun,
+      selection,
+      options: { profile: options.profile, source: options.source },
+      totalRoutes: routes.length + unmatched.length,
+      processed: unmatched.length,
+      skipped: unmatched.length,
+      results: unmatched
+    });
+
+    console.log(`📋 Bulk ${type} job ${job._id} created: ${routes.length} routes${job.dryRun ? ' (dry run)' : ''}`);
+
+    if (job.dryRun) {
+      await this.runJob(job._id, routes);
+      return BulkJob.findById(job._id);
+    }
+
+    this.queue.push({ jobId: job._id, routes });
+    setImmediate(() => this.processQueue());
+    return job;
+  }
+
+  async recoverInterruptedJobs() {
+    if (this.recovered) return;
+    this.recovered = true;
+
+    try {
+      const count = await BulkJob.failInterrupted();
+      if (count > 0) {
+        console.warn(`⚠️ Marked ${count} interrupted bulk jobs as failed`);
+      }
+    } catch (error) {
+      this.recovered = false;
+      console.error('❌ Failed to recover interrupted bulk jobs:', error.message);
+    }
+  }
+
+  async processQueue() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const { jobId, routes } = this.queue.shift();
+        try {
+          await this.runJob(jobId, routes);
+        } catch (error) {
+          console.error(`❌ Bulk job ${jobId} failed:`, error);
+          await BulkJob.updateOne(
+            { _id: jobId },
+            { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+          ).catch(() => {});
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runJob(jobId, routes) {
+    // Only queued jobs start - a job cancelled while waiting stays cancelled
+    const job = await BulkJob.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!job) return;
+
+    // Dependent record counts for delete dry runs, fetched in one pass
+    const dependentCounts = job.type === 'delete' && job.dryRun
+      ? await this.countDependents(routes.map(route => route._id))
+      : null;
+
+    for (const route of routes) {
+      if (!job.dryRun) {
+        const current = await BulkJob.findById(jobId).select('cancelRequested').lean();
+        if (current && current.cancelRequested) {
+          await BulkJob.updateOne({ _id: jobId }, { $set: { status: 'cancelled', completedAt: new Date() } });
+          console.log(`🛑 Bulk ${job.type} job ${jobId} cancelled after ${job.processed} routes`);
+          return;
+        }
+      }
+
+      let result;
+      try {
+        result = await this.processRoute(job, route, dependentCounts);
+      } catch (error) {
+        console.error(`   ❌ Bulk ${job.type} failed for ${route.routeName}:`, error.message);
+        result = { status: 'failed', message: error.message };
+      }
+
+      const counter = result.status === 'success' || result.status === 'dry_run' ? 'succeeded'
+        : result.status === 'failed' ? 'failed' : 'skipped';
+
+      await BulkJob.updateOne(
+        { _id: jobId },
+        {
+          $push: {
+            results: {
+              routeId: route._id,
+              routeCode: route.routeId,
+              routeName: route.routeName,
+              ...result
+            }
+          },
+          $inc: { processed: 1, [counter]: 1 }
+        }
+      );
+      job.processed++;
+    }
+
+    await BulkJob.updateOne({ _id: jobId }, { $set: { status: 'completed', completedAt: new Date() } });
+    console.log(`✅ Bulk ${job.type} job ${jobId} completed: ${routes.length} routes processed`);
+  }
+
+  async processRoute(job, route, dependentCounts) {
+    if (job.type === 'delete') {
+      if (job.dryRun) {
+        return {
+          status: 'dry_run',
+          message: 'Route and dependent records would be soft-deleted',
+          details: { dependentRecords: dependentCounts[String(route._id)] }
+        };
+      }
+
+      const deleted = await this.cascadeSoftDelete(route._id, job.userId);
+      if (!deleted) {
+        return { status: 'skipped', message: 'Route already deleted' };
+      }
+      return { status: 'success', message: 'Route deleted', details: deleted };
+    }
+
+    // recalculate
+    const current = await Route.findOne({ _id: route._id, status: { $ne: 'deleted' } })
+      .select('riskScores riskLevel')
+      .lean();
+    if (!current) {
+      return { status: 'skipped', message: 'Route no longer available' };
+    }
+
+    if (job.dryRun) {
+      return {
+        status: 'dry_run',
+        message: 'Risk would be recalculated',
+        details: {
+          currentRiskScore: current.riskScores?.totalWeightedScore ?? null,
+          currentRiskGrade: current.riskScores?.riskGrade ?? null,
+          currentRiskProfile: current.riskScores?.riskProfile ?? null,
+          targetRiskProfile: job.options?.profile || null
+        }
+      };
+    }
+
+    const riskCalculationService = require('./riskCalculationService');
+    const riskResult = await riskCalculationService.calculateRouteRisk(route._id, {
+      trigger: 'bulk',
+      triggeredBy: job.userId,
+      profile: job.options?.profile
+    });
+
+    console.log(`   ✅ Recalculated risk for ${route.routeName}: ${riskResult.riskGrade} (${riskResult.totalWeightedScore})`);
+
+    return {
+      status: 'success',
+      message: 'Risk recalculated',
+      details: {
+        previousRiskScore: current.riskScores?.totalWeightedScore ?? null,
+        riskScore: riskResult.totalWeightedScore,
+        riskGrade: riskResult.riskGrade,
+        riskLevel: riskResult.riskLevel,
+        riskProfile: riskResult.riskProfile,
+        assessmentId: riskResult.assessmentId
+      }
+    };
+  }
+
+  // Soft-delete a route and everything that hangs off it. Returns per-collection counts,
+  // or null when the route was already deleted.
+  async cascadeSoftDelete(routeId, userId) {
+    const route = await Route.findOneAndUpdate(
+      { _id: routeId, status: { $ne: 'deleted' } },
+      { status: 'deleted' },
+      { new: true }
+    );
+    if (!route) return null;
+
+    const counts = {};
+    for (const [key, model] of Object.entries(DEPENDENT_MODELS)) {
+      counts[key] = await model.softDeleteByRoute(route._id, userId);
+    }
+
+    const shares = await RouteShare.updateMany(
+      { routeId: route._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: userId } }
+    );
+    counts.shareLinksRevoked = shares.modifiedCount || 0;
+
+    return counts;
+  }
+
+  // { routeId: { sharpTurns: n, ... } } for the given routes
+  async countDependents(routeIds) {
+    const counts = {};
+    routeIds.forEach(id => {
+      counts[String(id)] = Object.keys(DEPENDENT_MODELS).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+    });
+
+    for (const [key, model] of Object.entries(DEPENDENT_MODELS)) {
+      const grouped = await model.aggregate([
+        { $match: { routeId: { $in: routeIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+        { $group: { _id: '$routeId', count: { $sum: 1 } } }
+      ]);
+      grouped.forEach(group => {
+        if (counts[String(group._id)]) counts[String(group._id)][key] = group.count;
+      });
+    }
+
+    return counts;
+  }
+
+  async getJob(jobId, userId) {
+    return BulkJob.findOne({ _id: jobId, userId });
+  }
+
+  async listJobs(userId, limit = 20) {
+    return BulkJob.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-results');
+  }
+
+  // Running jobs stop before the next route; queued jobs are cancelled immediately
+  async requestCancel(jobId, userId) {
+    const job = await BulkJob.findOne({ _id: jobId, userId });
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(entry => String(entry.jobId) !== String(job._id));
+      job.status = 'cancelled';
+      job.completedAt = new Date();
+    }
+    if (job.status === 'running') {
+      job.cancelRequested = true;
+    }
+    await job.save();
+    return job;
+  }
+}
+
+module.exports = new BulkOperationService();
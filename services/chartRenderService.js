@@ -0,0 +1,676 @@
+// File: services/chartRenderService.js
+// Purpose: Browserless charts for reports and the dashboard
+// Each chart is built once as a small scene of shapes and text (pixel units), which is
+// then written out as SVG, converted to PNG with sharp, or drawn as vectors into a
+// pdfkit document. Charts: elevation profile with hazards by chainage, per-km risk
+// strip, risk factor scores (bar or radar) and seasonal weather risk.
+
+const Route = require('../models/Route');
+const SharpTurn = require('../models/SharpTurn');
+const BlindSpot = require('../models/BlindSpot');
+const AccidentProneArea = require('../models/AccidentProneArea');
+const SteepGradient = require('../models/SteepGradient');
+const WeatherCondition = require('../models/WeatherCondition');
+const gradientAnalysisService = require('./gradientAnalysisService');
+const segmentRiskService = require('./segmentRiskService');
+
+const CHART_TYPES = ['elevation-profile', 'risk-strip', 'risk-factors', 'seasonal-weather'];
+const CHART_FORMATS = ['svg', 'png', 'json'];
+
+const CHART_COLORS = {
+  primary: '#005293',
+  text: '#3c3c3c',
+  muted: '#787878',
+  axis: '#9aa0a6',
+  grid: '#e3e6ea',
+  background: '#ffffff',
+  low: '#28a745',
+  medium: '#fd7e14',
+  high: '#ff5722',
+  critical: '#dc3545',
+  unknown: '#c8ccd0'
+};
+
+const HAZARD_STYLES = {
+  sharpTurn: { label: 'Sharp turn', color: '#fd7e14' },
+  blindSpot: { label: 'Blind spot', color: '#6f42c1' },
+  accidentZone: { label: 'Accident zone', color: '#dc3545' },
+  steepGradient: { label: 'Steep grade / long descent', color: '#8d6e63' }
+};
+
+// Factor fields of Route.riskScores in report order
+const RISK_FACTOR_LABELS = {
+  roadConditions: 'Road Conditions',
+  accidentProne: 'Accident-Prone Areas',
+  sharpTurns: 'Sharp Turns',
+  blindSpots: 'Blind Spots',
+  twoWayTraffic: 'Two-Way Traffic',
+  trafficDensity: 'Traffic Density',
+  weatherConditions: 'Weather',
+  emergencyServices: 'Emergency Services',
+  networkCoverage: 'Network Coverage',
+  amenities: 'Amenities',
+  securityIssues: 'Security'
+};
+
+const SEASONS = ['spring', 'summer', 'monsoon', 'winter'];
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function riskColor(score) {
+  if (score === null || score === undefined) return CHART_COLORS.unknown;
+  if (score >= 8) return CHART_COLORS.critical;
+  if (score >= 6) return CHART_COLORS.high;
+  if (score >= 4) return CHART_COLORS.medium;
+  return CHART_COLORS.low;
+}
+
+// Axis ticks on 1/2/5 x 10^n steps covering [min, max]
+function niceTicks(min, max, targetCount = 5) {
+  if (max <= min) max = min + 1;
+  const rough = (max - min) / targetCount;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+  const start = Math.floor(min / step) * step;
+  const end = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let value = start; value <= end + step / 2; value += step) {
+    ticks.push(round(value, 6));
+  }
+  return { ticks, min: start, max: end, step };
+}
+
+function chartError(message, statusCode = 422) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class ChartRenderService {
+
+  // ========================================================================
+  // SCENE
+  // ========================================================================
+
+  createScene(width, height, title, subtitle) {
+    const scene = { width, height, title, items: [] };
+    scene.items.push({ type: 'rect', x: 0, y: 0, w: width, h: height, fill: CHART_COLORS.background });
+    if (title) {
+      scene.items.push({ type: 'text', x: 16, y: 24, text: title, size: 15, bold: true, color: CHART_COLORS.primary });
+    }
+    if (subtitle) {
+      scene.items.push({ type: 'text', x: width - 16, y: 24, text: subtitle, size: 10, color: CHART_COLORS.muted, anchor: 'end' });
+    }
+    return scene;
+  }
+
+  // Horizontal gridlines and y-axis labels; returns value -> y
+  addValueAxis(scene, plot, scale, label) {
+    const toY = value => plot.y + plot.h - (value - scale.min) / (scale.max - scale.min) * plot.h;
+
+    scale.ticks.forEach(tick => {
+      const y = toY(tick);
+      scene.items.push({ type: 'line', x1: plot.x, y1: y, x2: plot.x + plot.w, y2: y, stroke: CHART_COLORS.grid, width: 1 });
+      scene.items.push({ type: 'text', x: plot.x - 6, y: y + 3.5, text: String(tick), size: 9, color: CHART_COLORS.muted, anchor: 'end' });
+    });
+    if (label) {
+      scene.items.push({ type: 'text', x: 14, y: plot.y + plot.h / 2, text: label, size: 9, color: CHART_COLORS.muted, anchor: 'middle', rotate: -90 });
+    }
+    return toY;
+  }
+
+  // Chainage axis along the bottom of the plot; returns km -> x
+  addChainageAxis(scene, plot, totalKm) {
+    const scale = niceTicks(0, totalKm, Math.max(2, Math.floor(plot.w / 80)));
+    const toX = km => plot.x + km / totalKm * plot.w;
+
+    scene.items.push({ type: 'line', x1: plot.x, y1: plot.y + plot.h, x2: plot.x + plot.w, y2: plot.y + plot.h, stroke: CHART_COLORS.axis, width: 1 });
+    scale.ticks.filter(tick => tick <= totalKm).forEach(tick => {
+      const x = toX(tick);
+      scene.items.push({ type: 'line', x1: x, y1: plot.y + plot.h, x2: x, y2: plot.y + plot.h + 4, stroke: CHART_COLORS.axis, width: 1 });
+      scene.items.push({ type: 'text', x, y: plot.y + plot.h + 15, text: String(tick), size: 9, color: CHART_COLORS.muted, anchor: 'middle' });
+    });
+    scene.items.push({ type: 'text', x: plot.x + plot.w / 2, y: plot.y + plot.h + 29, text: 'Chainage (km from origin)', size: 9, color: CHART_COLORS.muted, anchor: 'middle' });
+    return toX;
+  }
+
+  // Legend row of coloured swatches, laid out left to right
+  addLegend(scene, x, y, entries) {
+    let cursor = x;
+    entries.forEach(entry => {
+      scene.items.push({ type: 'rect', x: cursor, y: y - 8, w: 10, h: 10, fill: entry.color });
+      scene.items.push({ type: 'text', x: cursor + 14, y, text: entry.label, size: 9, color: CHART_COLORS.text });
+      cursor += 24 + entry.label.length * 5.2;
+    });
+  }
+
+  // ========================================================================
+  // CHART BUILDERS (pure: data in, scene out)
+  // ========================================================================
+
+  /**
+   * @param {Object} data - { profile: [{ distanceKm, elevation }], hazards: [{ type, chainageKm, endChainageKm }], source, coverage }
+   */
+  buildElevationProfileChart(data, options = {}) {
+    const width = options.width || 800;
+    const height = options.height || 360;
+    const profile = data.profile || [];
+    if (profile.length < 2) {
+      throw chartError('No elevation profile available for this route');
+    }
+
+    const scene = this.createScene(width, height, 'Elevation Profile',
+      `Source: ${data.source === 'dem' ? 'terrain model' : 'GPS track'}, coverage ${Math.round((data.coverage || 0) * 100)}%`);
+    const plot = { x: 62, y: 48, w: width - 84, h: height - 118 };
+    const totalKm = profile[profile.length - 1].distanceKm || 1;
+
+    const elevations = profile.map(sample => sample.elevation);
+    const minElevation = Math.min(...elevations);
+    const maxElevation = Math.max(...elevations);
+    const padding = Math.max((maxElevation - minElevation) * 0.1, 5);
+    const scale = niceTicks(Math.max(0, minElevation - padding), maxElevation + padding, 5);
+
+    const toY = this.addValueAxis(scene, plot, scale, 'Elevation (m)');
+    const toX = this.addChainageAxis(scene, plot, totalKm);
+
+    // Steep stretches as bands behind the profile
+    const hazards = data.hazards || [];
+    hazards.filter(hazard => hazard.type === 'steepGradient').forEach(hazard => {
+      const x1 = toX(hazard.chainageKm);
+      const x2 = toX(Math.max(hazard.endChainageKm || hazard.chainageKm, hazard.chainageKm + totalKm / plot.w * 2));
+      scene.items.push({ type: 'rect', x: x1, y: plot.y, w: Math.max(x2 - x1, 2), h: plot.h, fill: HAZARD_STYLES.steepGradient.color, opacity: 0.18 });
+    });
+
+    const line = profile.map(sample => ({ x: toX(sample.distanceKm), y: toY(sample.elevation) }));
+    scene.items.push({
+      type: 'polygon',
+      points: [{ x: line[0].x, y: plot.y + plot.h }, ...line, { x: line[line.length - 1].x, y: plot.y + plot.h }],
+      fill: CHART_COLORS.primary,
+      opacity: 0.15
+    });
+    scene.items.push({ type: 'polyline', points: line, stroke: CHART_COLORS.primary, width: 2 });
+
+    // Point hazards as ticks on the profile line with a marker above the plot
+    const elevationAt = km => {
+      const index = profile.findIndex(sample => sample.distanceKm >= km);
+      return index <= 0 ? profile[Math.max(index, 0)].elevation : profile[index].elevation;
+    };
+    hazards.filter(hazard => hazard.type !== 'steepGradient' && hazard.chainageKm <= totalKm).forEach(hazard => {
+      const style = HAZARD_STYLES[hazard.type];
+      const x = toX(hazard.chainageKm);
+      const y = toY(elevationAt(hazard.chainageKm));
+      scene.items.push({ type: 'line', x1: x, y1: plot.y, x2: x, y2: y, stroke: style.color, width: 1, dash: [3, 3] });
+      scene.items.push({ type: 'circle', cx: x, cy: y, r: 3.5, fill: style.color, stroke: '#ffffff' });
+    });
+
+    const counts = {};
+    hazards.forEach(hazard => { counts[hazard.type] = (counts[hazard.type] || 0) + 1; });
+    this.addLegend(scene, plot.x, height - 12, Object.entries(HAZARD_STYLES)
+      .filter(([type]) => counts[type])
+      .map(([type, style]) => ({ label: `${style.label} (${counts[type]})`, color: style.color })));
+
+    scene.caption = `Elevation ${Math.round(minElevation)}-${Math.round(maxElevation)} m over ${round(totalKm)} km; ${hazards.length} hazards marked by chainage.`;
+    return scene;
+  }
+
+  /**
+   * @param {Object} data - { segments: [{ fromKm, toKm, score, riskLevel }], totalDistance, segmentKm }
+   */
+  buildRiskStripChart(data, options = {}) {
+    const width = options.width || 800;
+    const height = options.height || 300;
+    const segments = data.segments || [];
+    if (segments.length === 0) {
+      throw chartError('No risk segments available for this route');
+    }
+
+    const scene = this.createScene(width, height, 'Risk Along the Route', `${data.segmentKm} km segments`);
+    const plot = { x: 62, y: 48, w: width - 84, h: height - 150 };
+    const totalKm = data.totalDistance || segments[segments.length - 1].toKm || 1;
+
+    const toY = this.addValueAxis(scene, plot, { ticks: [0, 2, 4, 6, 8, 10], min: 0, max: 10 }, 'Risk score');
+    const toX = km => plot.x + km / totalKm * plot.w;
+
+    segments.forEach(segment => {
+      if (segment.score === null) return;
+      const x = toX(segment.fromKm);
+      const w = Math.max(toX(segment.toKm) - x - (segments.length < 120 ? 0.5 : 0), 0.5);
+      const y = toY(segment.score);
+      scene.items.push({ type: 'rect', x, y, w, h: plot.y + plot.h - y, fill: riskColor(segment.score) });
+    });
+
+    // Continuous strip under the bars, then the chainage axis under the strip
+    const strip = { x: plot.x, y: plot.y + plot.h + 8, w: plot.w, h: 16 };
+    segments.forEach(segment => {
+      const x = toX(segment.fromKm);
+      scene.items.push({ type: 'rect', x, y: strip.y, w: Math.max(toX(segment.toKm) - x, 0.5), h: strip.h, fill: riskColor(segment.score) });
+    });
+    this.addChainageAxis(scene, { x: plot.x, y: strip.y, w: plot.w, h: strip.h }, totalKm);
+
+    this.addLegend(scene, plot.x, height - 12, [
+      { label: 'Low (<4)', color: CHART_COLORS.low },
+      { label: 'Medium (4-6)', color: CHART_COLORS.medium },
+      { label: 'High (6-8)', color: CHART_COLORS.high },
+      { label: 'Critical (8+)', color: CHART_COLORS.critical },
+      { label: 'No data', color: CHART_COLORS.unknown }
+    ]);
+
+    const scored = segments.filter(segment => segment.score !== null);
+    const highRisk = scored.filter(segment => segment.score >= 6).length;
+    scene.caption = `${segments.length} segments, ${highRisk} at high or critical risk; peak score ${scored.length ? Math.max(...scored.map(segment => segment.score)) : 'n/a'}.`;
+    return scene;
+  }
+
+  /**
+   * @param {Object} data - { factors: [{ key, label, score }], totalWeightedScore, riskGrade }
+   * @param {Object} options - { style: 'bar' (default) | 'radar' }
+   */
+  buildRiskFactorsChart(data, options = {}) {
+    const factors = data.factors || [];
+    if (factors.length === 0) {
+      throw chartError('No risk factor scores available for this route');
+    }
+    return options.style === 'radar'
+      ? this.buildRiskFactorsRadar(data, options)
+      : this.buildRiskFactorsBars(data, options);
+  }
+
+  buildRiskFactorsBars(data, options = {}) {
+    const width = options.width || 800;
+    const rowHeight = 24;
+    const height = options.height || 70 + data.factors.length * rowHeight + 30;
+
+    const scene = this.createScene(width, height, 'Risk Factor Scores',
+      `Overall ${round(data.totalWeightedScore || 0)}/10${data.riskGrade ? `, grade ${data.riskGrade}` : ''}`);
+    const plot = { x: 170, y: 44, w: width - 230, h: data.factors.length * rowHeight };
+    const toX = score => plot.x + score / 10 * plot.w;
+
+    [0, 2, 4, 6, 8, 10].forEach(tick => {
+      const x = toX(tick);
+      scene.items.push({ type: 'line', x1: x, y1: plot.y, x2: x, y2: plot.y + plot.h, stroke: CHART_COLORS.grid, width: 1 });
+      scene.items.push({ type: 'text', x, y: plot.y + plot.h + 14, text: String(tick), size: 9, color: CHART_COLORS.muted, anchor: 'middle' });
+    });
+
+    data.factors.forEach((factor, index) => {
+      const y = plot.y + index * rowHeight;
+      scene.items.push({ type: 'text', x: plot.x - 8, y: y + rowHeight / 2 + 3.5, text: factor.label, size: 10, color: CHART_COLORS.text, anchor: 'end' });
+      scene.items.push({ type: 'rect', x: plot.x, y: y + 5, w: Math.max(toX(factor.score) - plot.x, 1), h: rowHeight - 10, fill: riskColor(factor.score) });
+      scene.items.push({ type: 'text', x: toX(factor.score) + 6, y: y + rowHeight / 2 + 3.5, text: round(factor.score).toFixed(1), size: 9, color: CHART_COLORS.text });
+    });
+
+    scene.caption = this.describeFactors(data.factors);
+    return scene;
+  }
+
+  buildRiskFactorsRadar(data, options = {}) {
+    const width = options.width || 800;
+    const height = options.height || 460;
+    const scene = this.createScene(width, height, 'Risk Factor Profile',
+      `Overall ${round(data.totalWeightedScore || 0)}/10${data.riskGrade ? `, grade ${data.riskGrade}` : ''}`);
+
+    const cx = width / 2;
+    const cy = height / 2 + 14;
+    const radius = Math.min(width, height) / 2 - 70;
+    const count = data.factors.length;
+    const pointAt = (index, value) => {
+      const angle = -Math.PI / 2 + index / count * Math.PI * 2;
+      return { x: cx + Math.cos(angle) * radius * value / 10, y: cy + Math.sin(angle) * radius * value / 10 };
+    };
+
+    [2, 4, 6, 8, 10].forEach(ring => {
+      scene.items.push({ type: 'polygon', points: data.factors.map((factor, index) => pointAt(index, ring)), stroke: CHART_COLORS.grid, width: 1 });
+      scene.items.push({ type: 'text', x: cx + 3, y: pointAt(0, ring).y + 10, text: String(ring), size: 8, color: CHART_COLORS.muted });
+    });
+    data.factors.forEach((factor, index) => {
+      const outer = pointAt(index, 10);
+      const label = pointAt(index, 11.4);
+      scene.items.push({ type: 'line', x1: cx, y1: cy, x2: outer.x, y2: outer.y, stroke: CHART_COLORS.grid, width: 1 });
+      scene.items.push({
+        type: 'text',
+        x: label.x,
+        y: label.y + 3.5,
+        text: factor.label,
+        size: 9,
+        color: CHART_COLORS.text,
+        anchor: Math.abs(label.x - cx) < 10 ? 'middle' : (label.x > cx ? 'start' : 'end')
+      });
+    });
+
+    const shape = data.factors.map((factor, index) => pointAt(index, factor.score));
+    scene.items.push({ type: 'polygon', points: shape, fill: CHART_COLORS.primary, opacity: 0.25, stroke: CHART_COLORS.primary, width: 2 });
+    shape.forEach((point, index) => {
+      scene.items.push({ type: 'circle', cx: point.x, cy: point.y, r: 3.5, fill: riskColor(data.factors[index].score) });
+    });
+
+    scene.caption = this.describeFactors(data.factors);
+    return scene;
+  }
+
+  describeFactors(factors) {
+    const highest = [...factors].sort((a, b) => b.score - a.score).slice(0, 3);
+    return `Highest factors: ${highest.map(factor => `${factor.label} ${round(factor.score)}`).join(', ')}.`;
+  }
+
+  /**
+   * @param {Object} data - { seasons: [{ season, averageRisk, maxRisk, samples }] }
+   */
+  buildSeasonalWeatherChart(data, options = {}) {
+    const width = options.width || 800;
+    const height = options.height || 340;
+    const seasons = (data.seasons || []).filter(season => season.samples > 0);
+    if (seasons.length === 0) {
+      throw chartError('No seasonal weather data available for this route');
+    }
+
+    const scene = this.createScene(width, height, 'Seasonal Weather Risk', `${seasons.reduce((sum, s) => sum + s.samples, 0)} weather samples`);
+    const plot = { x: 62, y: 48, w: width - 84, h: height - 110 };
+    const toY = this.addValueAxis(scene, plot, { ticks: [0, 2, 4, 6, 8, 10], min: 0, max: 10 }, 'Risk score');
+
+    const groupWidth = plot.w / seasons.length;
+    const barWidth = Math.min(groupWidth * 0.3, 60);
+    scene.items.push({ type: 'line', x1: plot.x, y1: plot.y + plot.h, x2: plot.x + plot.w, y2: plot.y + plot.h, stroke: CHART_COLORS.axis, width: 1 });
+
+    seasons.forEach((season, index) => {
+      const center = plot.x + groupWidth * (index + 0.5);
+      [[season.averageRisk, center - barWidth - 2, riskColor(season.averageRisk)],
+        [season.maxRisk, center + 2, CHART_COLORS.axis]].forEach(([value, x, fill]) => {
+        const y = toY(value);
+        scene.items.push({ type: 'rect', x, y, w: barWidth, h: plot.y + plot.h - y, fill });
+        scene.items.push({ type: 'text', x: x + barWidth / 2, y: y - 4, text: round(value).toFixed(1), size: 9, color: CHART_COLORS.text, anchor: 'middle' });
+      });
+      const label = season.season.charAt(0).toUpperCase() + season.season.slice(1);
+      scene.items.push({ type: 'text', x: center, y: plot.y + plot.h + 15, text: label, size: 10, bold: true, color: CHART_COLORS.text, anchor: 'middle' });
+      scene.items.push({ type: 'text', x: center, y: plot.y + plot.h + 28, text: `${season.samples} samples`, size: 8, color: CHART_COLORS.muted, anchor: 'middle' });
+    });
+
+    this.addLegend(scene, plot.x, height - 12, [
+      { label: 'Average risk (coloured by level)', color: CHART_COLORS.medium },
+      { label: 'Peak risk', color: CHART_COLORS.axis }
+    ]);
+
+    const worst = [...seasons].sort((a, b) => b.averageRisk - a.averageRisk)[0];
+    scene.caption = `Highest average weather risk in ${worst.season} (${round(worst.averageRisk)}/10).`;
+    return scene;
+  }
+
+  // ========================================================================
+  // OUTPUT
+  // ========================================================================
+
+  toSvg(scene) {
+    const attrs = item => [
+      item.fill ? `fill="${item.fill}"` : 'fill="none"',
+      item.stroke ? `stroke="${item.stroke}" stroke-width="${item.width || 1}"` : '',
+      item.opacity !== undefined ? `fill-opacity="${item.opacity}"` : '',
+      item.dash ? `stroke-dasharray="${item.dash.join(' ')}"` : ''
+    ].filter(Boolean).join(' ');
+    const points = list => list.map(p => `${round(p.x, 2)},${round(p.y, 2)}`).join(' ');
+
+    const body = scene.items.map(item => {
+      switch (item.type) {
+        case 'rect':
+          return `<rect x="${round(item.x, 2)}" y="${round(item.y, 2)}" width="${round(item.w, 2)}" height="${round(item.h, 2)}" ${attrs(item)}/>`;
+        case 'line':
+          return `<line x1="${round(item.x1, 2)}" y1="${round(item.y1, 2)}" x2="${round(item.x2, 2)}" y2="${round(item.y2, 2)}" ${attrs({ ...item, fill: null })}/>`;
+        case 'polyline':
+          return `<polyline points="${points(item.points)}" ${attrs({ ...item, fill: null })} stroke-linejoin="round"/>`;
+        case 'polygon':
+          return `<polygon points="${points(item.points)}" ${attrs(item)}/>`;
+        case 'circle':
+          return `<circle cx="${round(item.cx, 2)}" cy="${round(item.cy, 2)}" r="${item.r}" ${attrs(item)}/>`;
+        case 'text': {
+          const anchor = { start: 'start', middle: 'middle', end: 'end' }[item.anchor || 'start'];
+          const transform = item.rotate ? ` transform="rotate(${item.rotate} ${round(item.x, 2)} ${round(item.y, 2)})"` : '';
+          return `<text x="${round(item.x, 2)}" y="${round(item.y, 2)}" font-size="${item.size}" fill="${item.color}" text-anchor="${anchor}"${item.bold ? ' font-weight="bold"' : ''}${transform}>${escapeXml(item.text)}</text>`;
+        }
+        default:
+          return '';
+      }
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" font-family="Helvetica, Arial, sans-serif">`,
+      scene.title ? `<title>${escapeXml(scene.title)}</title>` : '',
+      ...body,
+      '</svg>'
+    ].filter(Boolean).join('\n');
+  }
+
+  // Rasterised from the SVG at 2x for crisp dashboard display
+  async toPng(scene, density = 144) {
+    const sharp = require('sharp');
+    return sharp(Buffer.from(this.toSvg(scene)), { density }).png().toBuffer();
+  }
+
+  /**
+   * Draw a scene as vectors into a pdfkit document, scaled to `width` points
+   * Returns the drawn height in points.
+   */
+  drawToPdf(doc, scene, x, y, width) {
+    const scale = width / scene.width;
+    const fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+    doc.save();
+    doc.translate(x, y).scale(scale);
+
+    scene.items.forEach(item => {
+      doc.save();
+      if (item.dash) doc.dash(item.dash[0], { space: item.dash[1] });
+
+      switch (item.type) {
+        case 'rect':
+          doc.rect(item.x, item.y, item.w, item.h);
+          this.paintPdf(doc, item);
+          break;
+        case 'line':
+          doc.moveTo(item.x1, item.y1).lineTo(item.x2, item.y2);
+          this.paintPdf(doc, { ...item, fill: null });
+          break;
+        case 'polyline':
+        case 'polygon':
+          doc.moveTo(item.points[0].x, item.points[0].y);
+          item.points.slice(1).forEach(point => doc.lineTo(point.x, point.y));
+          if (item.type === 'polygon') doc.closePath();
+          this.paintPdf(doc, item.type === 'polyline' ? { ...item, fill: null } : item);
+          break;
+        case 'circle':
+          doc.circle(item.cx, item.cy, item.r);
+          this.paintPdf(doc, item);
+          break;
+        case 'text': {
+          doc.font(item.bold ? fonts.bold : fonts.regular).fontSize(item.size).fillColor(item.color);
+          const textWidth = doc.widthOfString(item.text);
+          const offset = item.anchor === 'middle' ? textWidth / 2 : item.anchor === 'end' ? textWidth : 0;
+          // pdfkit positions text by its top edge, SVG by the baseline
+          const top = item.y - item.size * 0.78;
+          if (item.rotate) doc.rotate(item.rotate, { origin: [item.x, item.y] });
+          doc.text(item.text, item.x - offset, top, { lineBreak: false });
+          break;
+        }
+        default:
+          break;
+      }
+      doc.restore();
+    });
+
+    doc.restore();
+    return scene.height * scale;
+  }
+
+  paintPdf(doc, item) {
+    if (item.fill) doc.fillColor(item.fill, item.opacity);
+    if (item.stroke) doc.strokeColor(item.stroke).lineWidth(item.width || 1);
+
+    if (item.fill && item.stroke) {
+      doc.fillAndStroke();
+    } else if (item.fill) {
+      doc.fill();
+    } else if (item.stroke) {
+      doc.stroke();
+    }
+  }
+
+  // ========================================================================
+  // ROUTE DATA
+  // ========================================================================
+
+  async loadElevationData(route) {
+    const { profile, coverage, source } = gradientAnalysisService.buildElevationProfile(
+      (route.routePoints || []).slice().sort((a, b) => (a.pointOrder ?? 0) - (b.pointOrder ?? 0))
+    );
+    if (profile.length < 2 || coverage < gradientAnalysisService.MIN_ELEVATION_COVERAGE) {
+      throw chartError('Route has too little elevation data for a profile');
+    }
+
+    // Keep roughly one sample per output pixel column
+    const step = Math.max(1, Math.floor(profile.length / 800));
+    const thinned = profile.filter((sample, index) => index % step === 0 || index === profile.length - 1);
+
+    const [sharpTurns, blindSpots, accidentZones, steepGradients] = await Promise.all([
+      SharpTurn.find({ routeId: route._id }).select('distanceFromStartKm riskScore').lean(),
+      BlindSpot.find({ routeId: route._id }).select('distanceFromStartKm riskScore').lean(),
+      AccidentProneArea.find({ routeId: route._id }).select('distanceFromStartKm riskScore').lean(),
+      SteepGradient.find({ routeId: route._id }).select('distanceFromStartKm endDistanceFromStartKm riskScore').lean()
+    ]);
+
+    const hazards = [
+      ...sharpTurns.map(record => ({ type: 'sharpTurn', record })),
+      ...blindSpots.map(record => ({ type: 'blindSpot', record })),
+      ...accidentZones.map(record => ({ type: 'accidentZone', record })),
+      ...steepGradients.map(record => ({ type: 'steepGradient', record }))
+    ]
+      .filter(({ record }) => typeof record.distanceFromStartKm === 'number')
+      .map(({ type, record }) => ({
+        type,
+        chainageKm: record.distanceFromStartKm,
+        endChainageKm: record.endDistanceFromStartKm,
+        riskScore: record.riskScore
+      }))
+      .sort((a, b) => a.chainageKm - b.chainageKm);
+
+    return {
+      profile: thinned.map(sample => ({ distanceKm: round(sample.distance / 1000, 3), elevation: round(sample.elevation) })),
+      hazards,
+      source,
+      coverage: round(coverage, 2)
+    };
+  }
+
+  async loadRiskStripData(route) {
+    const strip = await segmentRiskService.buildRiskStrip(route._id, {
+      segmentKm: 1,
+      profile: route.riskScores?.riskProfile
+    });
+    return {
+      totalDistance: strip.totalDistance,
+      segmentKm: strip.segmentKm,
+      segments: strip.segments.map(segment => ({
+        fromKm: segment.fromKm,
+        toKm: segment.toKm,
+        score: segment.score,
+        riskLevel: segment.riskLevel,
+        dominantFactor: segment.dominantFactorLabel
+      }))
+    };
+  }
+
+  loadRiskFactorData(route) {
+    const scores = route.riskScores;
+    if (!scores || !scores.calculatedAt) {
+      throw chartError('Route risk has not been calculated yet');
+    }
+    return {
+      totalWeightedScore: scores.totalWeightedScore,
+      riskGrade: scores.riskGrade,
+      factors: Object.entries(RISK_FACTOR_LABELS).map(([key, label]) => ({
+        key,
+        label,
+        score: typeof scores[key] === 'number' ? scores[key] : 0
+      }))
+    };
+  }
+
+  async loadSeasonalWeatherData(route) {
+    const conditions = await WeatherCondition.find({ routeId: route._id }).select('season riskScore').lean();
+    return {
+      seasons: SEASONS.map(season => {
+        const scores = conditions
+          .filter(condition => condition.season === season && typeof condition.riskScore === 'number')
+          .map(condition => condition.riskScore);
+        return {
+          season,
+          samples: scores.length,
+          averageRisk: scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length, 2) : 0,
+          maxRisk: scores.length ? Math.max(...scores) : 0
+        };
+      })
+    };
+  }
+
+  /**
+   * Build one chart for a route.
+   * @param {string} chartType - one of CHART_TYPES
+   * @param {Object} options - { width, height, style } (style 'radar' for risk-factors)
+   * Returns { chartType, scene, data, caption }
+   */
+  async renderRouteChart(routeId, chartType, options = {}) {
+    if (!CHART_TYPES.includes(chartType)) {
+      throw chartError(`Unsupported chart type: ${chartType}`, 400);
+    }
+
+    const route = await Route.findById(routeId).lean();
+    if (!route) {
+      throw chartError('Route not found', 404);
+    }
+
+    const size = {
+      width: Math.min(Math.max(parseInt(options.width, 10) || 800, 400), 2000),
+      height: options.height ? Math.min(Math.max(parseInt(options.height, 10), 200), 1500) : undefined,
+      style: options.style
+    };
+
+    let data;
+    let scene;
+    switch (chartType) {
+      case 'elevation-profile':
+        data = await this.loadElevationData(route);
+        scene = this.buildElevationProfileChart(data, size);
+        break;
+      case 'risk-strip':
+        data = await this.loadRiskStripData(route);
+        scene = this.buildRiskStripChart(data, size);
+        break;
+      case 'risk-factors':
+        data = this.loadRiskFactorData(route);
+        scene = this.buildRiskFactorsChart(data, size);
+        break;
+      case 'seasonal-weather':
+        data = await this.loadSeasonalWeatherData(route);
+        scene = this.buildSeasonalWeatherChart(data, size);
+        break;
+      default:
+        break;
+    }
+
+    console.log(`📈 Chart ${chartType} built for ${route.routeId} (${scene.items.length} shapes)`);
+    return { chartType, scene, data, caption: scene.caption, width: scene.width, height: scene.height };
+  }
+}
+
+const chartRenderService = new ChartRenderService();
+chartRenderService.CHART_TYPES = CHART_TYPES;
+chartRenderService.CHART_FORMATS = CHART_FORMATS;
+chartRenderService.CHART_COLORS = CHART_COLORS;
+
+module.exports = chartRenderService;
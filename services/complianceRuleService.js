@@ -0,0 +1,301 @@
+// File: services/complianceRuleService.js
+// Purpose: Evaluate the data-driven compliance rules (models/ComplianceRule) against a trip
+// Facts are built from the route (distance, duration, states crossed from its coordinates), the
+// vehicle, cargo and driver recorded on the route, and the planned departure time.
+// Each applicable rule yields a requirement, the issues that match and its penalty line.
+
+const ComplianceRule = require('../models/ComplianceRule');
+const { detectRouteStates, parseRegistrationState, getState } = require('../utils/indianStates');
+
+// Hazardous products moved by HPCL and the regulatory regime for each
+const CARGO_PRODUCTS = {
+  lpg: { name: 'LPG', unNumber: '1075', hazardClass: '2.1', regime: 'smpv', petroleumClass: null },
+  ms: { name: 'Motor Spirit (Petrol)', unNumber: '1203', hazardClass: '3', regime: 'petroleum', petroleumClass: 'A' },
+  hsd: { name: 'High Speed Diesel', unNumber: '1202', hazardClass: '3', regime: 'petroleum', petroleumClass: 'B' },
+  sko: { name: 'Superior Kerosene Oil', unNumber: '1223', hazardClass: '3', regime: 'petroleum', petroleumClass: 'B' },
+  atf: { name: 'Aviation Turbine Fuel', unNumber: '1863', hazardClass: '3', regime: 'petroleum', petroleumClass: 'B' },
+  ms_hsd: { name: 'MS/HSD', unNumber: '1203/1202', hazardClass: '3', regime: 'petroleum', petroleumClass: 'A/B' }
+};
+
+// Product assumed from the vehicle class when the trip does not name one
+const VEHICLE_CLASS_PRODUCTS = {
+  lpg_bullet: 'lpg',
+  ms_hsd_tanker: 'ms_hsd'
+};
+
+const VEHICLE_CLASS_LABELS = {
+  lpg_bullet: 'LPG Bullet Tanker',
+  ms_hsd_tanker: 'MS/HSD Tank Truck',
+  light_vehicle: 'Light Vehicle',
+  general: 'Heavy Goods Vehicle'
+};
+
+const HEAVY_VEHICLE_GVW_KG = 12000; // MV Act definition of a heavy goods vehicle
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const NIGHT_WINDOW = {
+  start: parseInt(process.env.NIGHT_DRIVING_START_HOUR, 10) || 22,
+  end: parseInt(process.env.NIGHT_DRIVING_END_HOUR, 10) || 6
+};
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// true / false when an expiry date is recorded, undefined when it is not
+function validThrough(expiry, tripEnd) {
+  const date = toDate(expiry);
+  if (!date) return undefined;
+  return date.getTime() >= tripEnd.getTime();
+}
+
+function getPath(facts, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), facts);
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return 'not recorded';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Array.isArray(value)) return value.length > 0 ? value.map(formatValue).join(', ') : 'none';
+  return String(value);
+}
+
+class ComplianceRuleService {
+  constructor() {
+    this.nightWindow = NIGHT_WINDOW;
+  }
+
+  // Hours of [start, end] that fall inside the nightly no-movement window (IST)
+  nightDrivingHours(start, end) {
+    const { start: windowStart, end: windowEnd } = this.nightWindow;
+    const dayMs = 24 * 3600 * 1000;
+    const firstDay = Math.floor((start.getTime() + IST_OFFSET_MS) / dayMs) - 1;
+    const lastDay = Math.floor((end.getTime() + IST_OFFSET_MS) / dayMs);
+    let overlapMs = 0;
+
+    for (let day = firstDay; day <= lastDay; day++) {
+      const nightStart = day * dayMs + windowStart * 3600 * 1000 - IST_OFFSET_MS;
+      const nightEnd = (windowEnd > windowStart ? day : day + 1) * dayMs + windowEnd * 3600 * 1000 - IST_OFFSET_MS;
+      overlapMs += Math.max(0, Math.min(end.getTime(), nightEnd) - Math.max(start.getTime(), nightStart));
+    }
+    return round(overlapMs / 3600000);
+  }
+
+  buildCargoFacts(cargo, vehicleClass) {
+    const productKey = cargo.product || VEHICLE_CLASS_PRODUCTS[vehicleClass] || null;
+    const product = productKey ? CARGO_PRODUCTS[productKey] : null;
+
+    return {
+      product: productKey,
+      productName: product ? product.name : (cargo.product || null),
+      unNumber: cargo.unNumber || product?.unNumber || null,
+      hazardClass: cargo.hazardClass || product?.hazardClass || null,
+      regime: product?.regime || null,
+      petroleumClass: product?.petroleumClass || null,
+      quantityLitres: cargo.quantityLitres ?? null,
+      // Explicit flag wins; otherwise any known dangerous product or stated hazard class
+      hazardous: typeof cargo.hazardous === 'boolean'
+        ? cargo.hazardous
+        : Boolean(product || cargo.hazardClass || cargo.unNumber)
+    };
+  }
+
+  /**
+   * Facts for one trip. overrides = { vehicle, cargo, driver, departureTime } merged over what
+   * is stored on the route, so a what-if (other vehicle / departure) can be evaluated.
+   */
+  buildFacts(route, overrides = {}) {
+    const vehicle = { ...(route.vehicle?.toObject ? route.vehicle.toObject() : route.vehicle || {}), ...(overrides.vehicle || {}) };
+    const cargo = { ...(route.cargo?.toObject ? route.cargo.toObject() : route.cargo || {}), ...(overrides.cargo || {}) };
+    const driver = { ...(route.driver?.toObject ? route.driver.toObject() : route.driver || {}), ...(overrides.driver || {}) };
+
+    const profileClass = route.riskScores?.riskProfile;
+    const vehicleClass = vehicle.vehicleClass || (VEHICLE_CLASS_LABELS[profileClass] ? profileClass : 'general');
+
+    // Schedule
+    const departure = toDate(overrides.departureTime) || toDate(route.plannedDepartureTime);
+    const drivingHours = round((route.estimatedDuration || 0) / 60);
+    const tripStart = departure || new Date();
+    const tripEnd = new Date(tripStart.getTime() + (route.estimatedDuration || 0) * 60000);
+    const pad = hour => `${String(hour).padStart(2, '0')}:00`;
+
+    // States crossed and permits
+    const detected = detectRouteStates(route);
+    const routeStates = detected.states;
+    const registration = parseRegistrationState(vehicle.registrationNumber);
+    // Without a registration number the vehicle is taken to be based in the origin state
+    const homeState = registration && !registration.bharatSeries
+      ? registration.code
+      : (routeStates[0]?.code || null);
+    const permitStates = (vehicle.permitStates || []).map(code => String(code).toUpperCase());
+
+    let interstate = null;
+    if (routeStates.length > 1 || (homeState && routeStates.some(state => state.code !== homeState))) {
+      interstate = true;
+    } else if (routeStates.length === 1 && detected.locationsMatched >= 2) {
+      interstate = false;
+    }
+
+    const statesWithoutPermit = vehicle.nationalPermit === true
+      ? []
+      : routeStates
+        .map(state => state.code)
+        .filter(code => code !== homeState && !permitStates.includes(code));
+
+    const gvw = vehicle.grossVehicleWeightKg;
+    let heavy;
+    if (typeof gvw === 'number') heavy = gvw > HEAVY_VEHICLE_GVW_KG;
+    else if (VEHICLE_CLASS_PRODUCTS[vehicleClass] || vehicleClass === 'general') heavy = true;
+    else if (vehicleClass === 'light_vehicle') heavy = false;
+
+    return {
+      route: {
+        routeId: route.routeId,
+        distanceKm: route.totalDistance,
+        origin: route.fromName || route.fromAddress,
+        destination: route.toName || route.toAddress,
+        states: routeStates.map(state => state.code),
+        stateNames: routeStates.map(state => state.name),
+        stateCount: routeStates.length,
+        interstate,
+        statesDetected: interstate !== null
+      },
+      vehicle: {
+        registrationNumber: vehicle.registrationNumber || null,
+        registrationState: registration ? registration.code : null,
+        homeState,
+        vehicleClass,
+        vehicleType: VEHICLE_CLASS_LABELS[vehicleClass] || vehicleClass,
+        heavy,
+        grossVehicleWeightKg: gvw ?? null,
+        ais140Installed: vehicle.ais140Installed,
+        nationalPermit: vehicle.nationalPermit,
+        permitStates,
+        statesWithoutPermit,
+        statesWithoutPermitNames: statesWithoutPermit.map(code => getState(code)?.name || code),
+        pesoLicenceNumber: vehicle.pesoLicenceNumber || null,
+        pesoLicenceExpiry: toDate(vehicle.pesoLicenceExpiry),
+        pesoLicenceValid: validThrough(vehicle.pesoLicenceExpiry, tripEnd),
+        fitnessExpiry: toDate(vehicle.fitnessExpiry),
+        fitnessValid: validThrough(vehicle.fitnessExpiry, tripEnd),
+        insuranceExpiry: toDate(vehicle.insuranceExpiry),
+        insuranceValid: validThrough(vehicle.insuranceExpiry, tripEnd),
+        pucExpiry: toDate(vehicle.pucExpiry),
+        pucValid: validThrough(vehicle.pucExpiry, tripEnd)
+      },
+      cargo: this.buildCargoFacts(cargo, vehicleClass),
+      driver: {
+        hazmatTrained: driver.hazmatTrained,
+        relieverDriver: driver.relieverDriver
+      },
+      trip: {
+        drivingHours,
+        restBreaksRequired: Math.max(0, Math.ceil(drivingHours / 5) - 1),
+        departureKnown: Boolean(departure),
+        departureTime: departure,
+        arrivalTime: departure ? tripEnd : null,
+        nightWindow: `${pad(this.nightWindow.start)}-${pad(this.nightWindow.end)} IST`,
+        nightWindowStart: pad(this.nightWindow.start),
+        nightDrivingHours: departure ? this.nightDrivingHours(tripStart, tripEnd) : null
+      }
+    };
+  }
+
+  evaluateCondition(condition, facts) {
+    if (Array.isArray(condition.all)) return condition.all.every(item => this.evaluateCondition(item, facts));
+    if (Array.isArray(condition.any)) return condition.any.some(item => this.evaluateCondition(item, facts));
+    if (condition.not !== undefined) return !this.evaluateCondition(condition.not, facts);
+
+    const actual = getPath(facts, condition.fact);
+    const expected = condition.value;
+    switch (condition.op) {
+      case 'eq': return actual === expected;
+      case 'ne': return actual !== expected;
+      case 'gt': return typeof actual === 'number' && actual > expected;
+      case 'gte': return typeof actual === 'number' && actual >= expected;
+      case 'lt': return typeof actual === 'number' && actual < expected;
+      case 'lte': return typeof actual === 'number' && actual <= expected;
+      case 'in': return Array.isArray(expected) && expected.includes(actual);
+      case 'nin': return Array.isArray(expected) && !expected.includes(actual);
+      case 'exists': return actual !== null && actual !== undefined;
+      case 'notExists': return actual === null || actual === undefined;
+      case 'truthy': return Boolean(actual);
+      case 'falsy': return !actual;
+      case 'nonEmpty': return Array.isArray(actual) ? actual.length > 0 : Boolean(actual);
+      case 'empty': return Array.isArray(actual) ? actual.length === 0 : !actual;
+      default: return false;
+    }
+  }
+
+  renderTemplate(text, facts) {
+    if (!text) return text;
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => formatValue(getPath(facts, path)));
+  }
+
+  // Apply rules (plain objects, in evaluation order) to a set of facts
+  evaluateRules(rules, facts) {
+    const result = {
+      requirements: [],
+      issues: [],
+      penalties: [],
+      regulatoryFramework: [],
+      appliedRules: [],
+      rulesEvaluated: rules.length
+    };
+
+    rules.forEach(rule => {
+      if (!this.evaluateCondition(rule.appliesWhen, facts)) return;
+
+      const regulation = this.renderTemplate(rule.regulation, facts);
+      result.appliedRules.push({ code: rule.code, version: rule.version || 1 });
+      result.requirements.push({
+        ruleCode: rule.code,
+        category: rule.title,
+        ruleCategory: rule.category,
+        status: rule.requirement.status,
+        action: this.renderTemplate(rule.requirement.action, facts),
+        regulation
+      });
+
+      (rule.issues || []).forEach(issue => {
+        if (!this.evaluateCondition(issue.when, facts)) return;
+        result.issues.push({
+          ruleCode: rule.code,
+          issue: this.renderTemplate(issue.message, facts),
+          severity: issue.severity,
+          action: this.renderTemplate(issue.action, facts)
+        });
+      });
+
+      if (rule.penalty) {
+        const penalty = this.renderTemplate(rule.penalty, facts);
+        if (!result.penalties.includes(penalty)) result.penalties.push(penalty);
+      }
+      if (regulation && !result.regulatoryFramework.includes(regulation)) {
+        result.regulatoryFramework.push(regulation);
+      }
+    });
+
+    const severityOrder = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+    result.issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+    return result;
+  }
+
+  async evaluateRoute(route, overrides = {}) {
+    const rules = await ComplianceRule.getActiveRules();
+    const facts = this.buildFacts(route, overrides);
+    return { facts, ...this.evaluateRules(rules, facts) };
+  }
+}
+
+const complianceRuleService = new ComplianceRuleService();
+complianceRuleService.CARGO_PRODUCTS = CARGO_PRODUCTS;
+complianceRuleService.VEHICLE_CLASS_PRODUCTS = VEHICLE_CLASS_PRODUCTS;
+
+module.exports = complianceRuleService;
@@ -0,0 +1,482 @@
+// File: services/dataCollectionJobService.js
+// Purpose: Runs collect-all-data as a queued background job (bull/Redis)
+// Each collection step is persisted on DataCollectionJob and pushed over socket.io,
+// so clients can poll or listen for progress, cancel a run and resume from the first failed step.
+// When Redis is unavailable (or DATA_COLLECTION_QUEUE=inline) jobs run in-process instead.
+
+const Queue = require('bull');
+const Route = require('../models/Route');
+const DataCollectionJob = require('../models/DataCollectionJob');
+const socketService = require('./socketService');
+const apiQuota = require('./apiQuotaService');
+const {
+  processCollectionResults,
+  processSeasonalWeatherResults,
+  processVisibilityResults,
+  processNetworkCoverageResults,
+  processAccidentDataResults,
+  processRiskCalculationResults,
+  buildCollectionSummary
+} = require('../utils/collectionSummary');
+
+const QUEUE_NAME = 'route-data-collection';
+const QUEUE_ADD_TIMEOUT_MS = 5000;
+const MAX_STORED_ARRAY_ITEMS = 25;
+
+// Collection pipeline. resultKey is the key used in the collection summary;
+// process normalises both successful and failed results for that summary.
+const COLLECTION_STEPS = [
+  {
+    key: 'originalDataCollection',
+    name: 'Original data collection',
+    resultKey: 'originalDataCollection',
+    process: processCollectionResults,
+    run: ({ routeId }) => require('./dataCollectionService').collectAllRouteData(routeId)
+  },
+  {
+    key: 'seasonalWeatherAnalysis',
+    name: 'Enhanced weather data',
+    resultKey: 'seasonalWeatherAnalysis',
+    process: processSeasonalWeatherResults,
+    run: ({ routeId }) => require('./enhancedWeatherService').collectAllSeasonalWeatherData(routeId)
+  },
+  {
+    key: 'visibilityAnalysis',
+    name: 'Visibility analysis',
+    resultKey: 'visibilityAnalysis',
+    process: processVisibilityResults,
+    run: ({ routeId }) => require('./sharpTurnsBlindSpotsService').analyzeRoute(routeId)
+  },
+  {
+    key: 'networkCoverageAnalysis',
+    name: 'Network coverage analysis',
+    resultKey: 'networkCoverageAnalysis',
+    process: processNetworkCoverageResults,
+    run: ({ routeId }) => {
+      const { NetworkCoverageService } = require('./networkCoverageService');
+      return NetworkCoverageService.analyzeNetworkCoverage(routeId);
+    }
+  },
+  {
+    key: 'accidentDataCollection',
+    name: 'Accident data collection',
+    resultKey: 'accidentDataAnalysis',
+    process: processAccidentDataResults,
+    run: ({ route }) => require('./accidentDataService').collectRealAccidentProneAreas(route)
+  },
+  {
+    key: 'riskCalculation',
+    name: 'Risk calculation',
+    resultKey: 'riskAssessment',
+    process: processRiskCalculationResults,
+    run: ({ routeId, userId }) => require('./riskCalculationService').calculateRouteRisk(routeId, {
+      trigger: 'manual',
+      triggeredBy: userId
+    })
+  },
+  {
+    key: 'routeStatusUpdate',
+    name: 'Route status update',
+    resultKey: null,
+    process: result => result,
+    run: async ({ routeId, job }) => {
+      const succeeded = key => job.steps.some(step => step.key === key && step.status === 'SUCCESS');
+      const completedAt = key => job.steps.find(step => step.key === key)?.completedAt || new Date();
+      const categorySteps = {
+        emergencyServices: 'originalDataCollection',
+        amenities: 'originalDataCollection',
+        weatherData: 'seasonalWeatherAnalysis',
+        trafficData: 'originalDataCollection',
+        accidentData: 'accidentDataCollection',
+        roadConditions: 'originalDataCollection',
+        networkCoverage: 'networkCoverageAnalysis'
+      };
+
+      const update = {
+        'dataProcessingStatus.securityData': true,
+        'metadata.lastDataCollection': new Date(),
+        'metadata.dataCollectionVersion': '2.0-enhanced'
+      };
+      Object.entries(categorySteps).forEach(([category, stepKey]) => {
+        update[`dataProcessingStatus.${category}`] = succeeded(stepKey);
+        // Freshness only moves forward - a failed re-collection keeps the old timestamp
+        if (succeeded(stepKey)) {
+          update[`dataFreshness.${category}`] = completedAt(stepKey);
+        }
+      });
+
+      await Route.findByIdAndUpdate(routeId, update);
+      return { updated: true };
+    }
+  }
+];
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Step results are stored on the job document - keep them JSON-safe and bounded.
+// Full records stay in their own collections.
+function compactResult(value) {
+  const plain = value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+  const walk = node => {
+    if (Array.isArray(node)) {
+      return node.slice(0, MAX_STORED_ARRAY_ITEMS).map(walk);
+    }
+    if (node && typeof node === 'object') {
+      Object.keys(node).forEach(key => { node[key] = walk(node[key]); });
+    }
+    return node;
+  };
+
+  return walk(plain);
+}
+
+class DataCollectionJobService {
+  constructor() {
+    this.mode = process.env.DATA_COLLECTION_QUEUE === 'inline' ? 'inline' : 'bull';
+    this.concurrency = parseInt(process.env.DATA_COLLECTION_CONCURRENCY, 10) || 1;
+    this.queue = null;
+    this.redisErrorLogged = false;
+  }
+
+  getQueue() {
+    if (this.mode !== 'bull') return null;
+
+    if (!this.queue) {
+      this.queue = new Queue(QUEUE_NAME, {
+        redis: {
+          host: process.env.REDIS_HOST || '127.0.0.1',
+          port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+          password: process.env.REDIS_PASSWORD || undefined,
+          db: parseInt(process.env.REDIS_DB, 10) || 0
+        }
+      });
+
+      this.queue.on('error', error => {
+        if (!this.redisErrorLogged) {
+          console.error('❌ Data collection queue (Redis) error:', error.message);
+          this.redisErrorLogged = true;
+        }
+      });
+
+      this.queue.process(this.concurrency, bullJob => this.runJob(bullJob.data.jobId));
+    }
+
+    return this.queue;
+  }
+
+  // Called once at server start: start the queue worker and mark runs that were
+  // interrupted by a restart as failed so they can be resumed
+  async init() {
+    this.getQueue();
+
+    try {
+      const result = await DataCollectionJob.updateMany(
+        { status: 'running' },
+        { $set: { status: 'failed', error: 'Interrupted by server restart', completedAt: new Date() } }
+      );
+      if (result.modifiedCount > 0) {
+        console.warn(`⚠️ Marked ${result.modifiedCount} interrupted data collection jobs as failed`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to recover interrupted data collection jobs:', error.message);
+    }
+  }
+
+  // Queue a new collection run for a route. Returns { job, alreadyActive }
+  async startCollection(route, userId) {
+    const active = await DataCollectionJob.findOne({
+      routeId: route._id,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (active) {
+      return { job: active, alreadyActive: true };
+    }
+
+    const job = await DataCollectionJob.create({
+      routeId: route._id,
+      routeCode: route.routeId,
+      userId,
+      steps: COLLECTION_STEPS.map((step, index) => ({
+        key: step.key,
+        name: step.name,
+        order: index + 1
+      }))
+    });
+
+    await this.enqueue(job);
+    return { job, alreadyActive: false };
+  }
+
+  async enqueue(job) {
+    const queue = this.getQueue();
+    job.queueMode = 'inline';
+
+    if (queue) {
+      try {
+        const bullJob = await withTimeout(
+          queue.add({ jobId: String(job._id) }, {
+            jobId: `${job._id}-${job.run}`,
+            removeOnComplete: true,
+            removeOnFail: 50
+          }),
+          QUEUE_ADD_TIMEOUT_MS
+        );
+        job.queueMode = 'bull';
+        job.queueJobId = String(bullJob.id);
+      } catch (error) {
+        console.warn(`⚠️ Could not queue data collection in Redis (${error.message}), running in-process`);
+      }
+    }
+
+    await job.save();
+
+    if (job.queueMode === 'inline') {
+      setImmediate(() => {
+        this.runJob(job._id).catch(error => console.error(`❌ Data collection job ${job._id} crashed:`, error));
+      });
+    }
+
+    this.emitStatus(job);
+    console.log(`📋 Data collection job ${job._id} queued for route ${job.routeCode} (${job.queueMode}, run ${job.run})`);
+  }
+
+  async runJob(jobId) {
+    // Only queued jobs start - cancelled or already-running jobs are left alone
+    const job = await DataCollectionJob.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date(), cancelRequested: false } },
+      { new: true }
+    );
+    if (!job) return;
+
+    this.emitStatus(job);
+
+    const route = await Route.findOne({ _id: job.routeId, status: { $ne: 'deleted' } });
+    if (!route) {
+      return this.finishJob(job, 'failed', 'Route not found or deleted');
+    }
+
+    console.log(`🔄 Starting data collection job ${job._id} for route ${route.routeId} (run ${job.run})`);
+
+    // Routes uploaded before the road network (or their area of it) was imported are matched
+    // now, so every step works on road geometry
+    if (!route.mapMatching?.matchedAt || route.mapMatching.status === 'no_coverage') {
+      try {
+        await require('./mapMatchingService').matchAndSaveRoute(route);
+      } catch (error) {
+        console.warn(`⚠️ Map matching before collection failed for ${route.routeId}:`, error.message);
+      }
+    }
+
+    const context = { routeId: String(route._id), route, userId: job.userId, job };
+
+    // Provider calls made by the steps are metered against the job's user and route
+    return apiQuota.runWithContext(
+      { userId: String(job.userId), routeId: String(route._id) },
+      () => this.runSteps(job, context)
+    );
+  }
+
+  async runSteps(job, context) {
+    const startIndex = Math.max(0, job.getResumeIndex());
+
+    for (let index = startIndex; index < COLLECTION_STEPS.length; index++) {
+      if (await DataCollectionJob.exists({ _id: job._id, cancelRequested: true })) {
+        job.steps.slice(index).forEach(step => { step.status = 'CANCELLED'; });
+        return this.finishJob(job, 'cancelled', 'Cancelled by user');
+      }
+
+      await this.runStep(job, COLLECTION_STEPS[index], job.steps[index], context);
+
+      // hard_stop budgets end the run; remaining steps can be resumed once budget is available
+      const exceeded = apiQuota.getExceededBudget();
+      if (exceeded && apiQuota.mode === 'hard_stop') {
+        job.steps.slice(index + 1).forEach(step => { step.status = 'CANCELLED'; });
+        return this.finishJob(job, 'failed', `Stopped: ${exceeded.message}`);
+      }
+    }
+
+    const failedSteps = job.steps.filter(step => step.status === 'FAILED').length;
+    const report = this.buildReport(job);
+    job.summary = report.summary;
+    job.recommendations = report.recommendations;
+
+    return this.finishJob(job, failedSteps > 0 ? 'completed_with_errors' : 'completed');
+  }
+
+  async runStep(job, definition, step, context) {
+    step.status = 'RUNNING';
+    step.attempts += 1;
+    step.startedAt = new Date();
+    step.error = undefined;
+    job.currentStep = step.key;
+    await job.save();
+    this.emitProgress(job, step);
+
+    console.log(`🔄 Step ${step.order}/${job.steps.length}: ${step.name}...`);
+
+    try {
+      const result = await definition.run(context);
+      // Some services report failure in the result instead of throwing
+      if (result && result.error) {
+        throw new Error(typeof result.error === 'string' ? result.error : 'Step reported an error');
+      }
+      step.status = 'SUCCESS';
+      step.result = compactResult(definition.process(result));
+    } catch (error) {
+      console.error(`❌ ${step.name} failed:`, error.message);
+      step.status = 'FAILED';
+      step.error = error.message;
+      step.result = compactResult(definition.process({ error: error.message }));
+    }
+
+    step.completedAt = new Date();
+    step.durationMs = step.completedAt - step.startedAt;
+    job.progress = Math.round(
+      (job.steps.filter(s => s.status === 'SUCCESS' || s.status === 'FAILED').length / job.steps.length) * 100
+    );
+    job.markModified('steps');
+    await job.save();
+    this.emitProgress(job, step);
+
+    console.log(`📊 Step ${step.order}/${job.steps.length}: ${step.key} - ${step.status}`);
+  }
+
+  async finishJob(job, status, error) {
+    job.status = status;
+    job.currentStep = undefined;
+    job.completedAt = new Date();
+    if (error) job.error = error;
+    await job.save();
+    this.emitStatus(job);
+
+    console.log(`${status === 'completed' ? '✅' : '⚠️'} Data collection job ${job._id} finished: ${status}`);
+    return job;
+  }
+
+  // Summary in the same shape the synchronous collect-all-data response used
+  buildReport(job) {
+    const processedResults = {};
+    const stepResults = {};
+    let totalExecutionTime = 0;
+
+    COLLECTION_STEPS.forEach((definition, index) => {
+      const step = job.steps[index];
+      stepResults[step.key] = { status: step.status, step: step.order, timestamp: step.completedAt };
+      totalExecutionTime += step.durationMs || 0;
+      if (definition.resultKey) {
+        processedResults[definition.resultKey] = step.result || definition.process({ error: step.error || 'Step not run' });
+      }
+    });
+
+    return buildCollectionSummary(processedResults, stepResults, totalExecutionTime, COLLECTION_STEPS.length);
+  }
+
+  async getJob(jobId, userId) {
+    return DataCollectionJob.findOne({ _id: jobId, userId });
+  }
+
+  async getLatestJob(routeId, userId) {
+    return DataCollectionJob.findOne({ routeId, userId }).sort({ createdAt: -1 });
+  }
+
+  // Queued jobs are cancelled immediately; running jobs stop before their next step
+  async cancelJob(jobId, userId) {
+    const job = await this.getJob(jobId, userId);
+    if (!job || !job.isActive()) return job;
+
+    if (job.status === 'queued') {
+      if (job.queueMode === 'bull' && job.queueJobId) {
+        const bullJob = await this.getQueue()?.getJob(job.queueJobId).catch(() => null);
+        if (bullJob) await bullJob.remove().catch(() => {});
+      }
+      job.steps.forEach(step => { if (step.status === 'PENDING') step.status = 'CANCELLED'; });
+      return this.finishJob(job, 'cancelled', 'Cancelled by user');
+    }
+
+    job.cancelRequested = true;
+    await job.save();
+    return job;
+  }
+
+  // Re-queue a finished run from its first unsuccessful step; successful steps are kept
+  async resumeJob(jobId, userId) {
+    const job = await this.getJob(jobId, userId);
+    if (!job) return { job: null };
+
+    if (!['failed', 'completed_with_errors', 'cancelled'].includes(job.status) || job.getResumeIndex() === -1) {
+      return { job, error: `Job is ${job.status} and has no failed steps to resume` };
+    }
+
+    const active = await DataCollectionJob.exists({
+      routeId: job.routeId,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (active) {
+      return { job, error: 'Another data collection job is already active for this route' };
+    }
+
+    const resumeIndex = job.getResumeIndex();
+    job.steps.slice(resumeIndex).forEach(step => {
+      step.status = 'PENDING';
+      step.error = undefined;
+    });
+    job.markModified('steps');
+    job.status = 'queued';
+    job.run += 1;
+    job.cancelRequested = false;
+    job.error = undefined;
+    job.completedAt = undefined;
+    job.summary = undefined;
+    job.recommendations = undefined;
+    job.progress = Math.round((resumeIndex / job.steps.length) * 100);
+
+    await this.enqueue(job);
+    return { job, resumedFrom: job.steps[resumeIndex].key };
+  }
+
+  emitProgress(job, step) {
+    socketService.emitToUser(job.userId, 'collection:progress', {
+      jobId: String(job._id),
+      routeId: String(job.routeId),
+      status: job.status,
+      progress: job.progress,
+      step: {
+        key: step.key,
+        name: step.name,
+        order: step.order,
+        status: step.status,
+        error: step.error || null,
+        durationMs: step.durationMs || null
+      },
+      totalSteps: job.steps.length,
+      timestamp: new Date()
+    });
+  }
+
+  emitStatus(job) {
+    socketService.emitToUser(job.userId, 'collection:status', {
+      jobId: String(job._id),
+      routeId: String(job.routeId),
+      status: job.status,
+      progress: job.progress,
+      run: job.run,
+      error: job.error || null,
+      timestamp: new Date()
+    });
+  }
+}
+
+const dataCollectionJobService = new DataCollectionJobService();
+dataCollectionJobService.COLLECTION_STEPS = COLLECTION_STEPS;
+
+module.exports = dataCollectionJobService;
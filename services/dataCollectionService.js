@@ -2,7 +2,7 @@
 // Purpose: Enhanced comprehensive route data collection storing ALL services in EmergencyService model
 // ALL SERVICE TYPES: Medical, Law Enforcement, Fire, Fuel, Educational, Food, Financial, Transportation
 
-const axios = require('axios');
+const providerRegistry = require('./providers');
 const { logger } = require('../utils/logger');
 const apiService = require('./apiService');
 const Route = require('../models/Route');
@@ -15,11 +15,16 @@ const WeatherCondition = require('../models/WeatherCondition');
 const TrafficData = require('../models/TrafficData');
 const EmergencyService = require('../models/EmergencyService');
 
+const SAMPLING = {
+  unifiedServiceSegments: 25, // 25 segments for comprehensive coverage
+  placeDetailsPerSearch: 3, // top 3 per type per segment
+  weatherSegments: 15,
+  trafficSegments: 20
+};
+
 class UnifiedDataCollectionService {
   
   constructor() {
-    this.googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY;
-
     // UNIFIED service categories - ALL stored in EmergencyService model
     this.unifiedServiceCategories = {
       // ============================================================================
@@ -346,7 +351,7 @@ class UnifiedDataCollectionService {
       console.log('🏥🚓🚒⛽🎓🍽️🏦🚌 Collecting ALL services in unified EmergencyService model...');
       
       const allServices = [];
-      const routeSegments = this.createRouteSegments(route.routePoints, 25); // 25 segments for comprehensive coverage
+      const routeSegments = this.createRouteSegments(route.routePoints, SAMPLING.unifiedServiceSegments);
       
       let totalProcessed = 0;
       const totalToProcess = routeSegments.length * Object.keys(this.unifiedServiceCategories).length;
@@ -370,7 +375,7 @@ class UnifiedDataCollectionService {
             console.log(`   ${config.category}: Found ${nearbyServices.length} ${serviceKey} services`);
             
             // Process each service found
-            for (const service of nearbyServices.slice(0, 3)) { // Top 3 per type per segment
+            for (const service of nearbyServices.slice(0, SAMPLING.placeDetailsPerSearch)) {
               try {
                 const unifiedService = await this.createUnifiedService(
                   service, route, serviceKey, config, segment
@@ -659,7 +664,7 @@ class UnifiedDataCollectionService {
 
   async getPlaceDetails(placeId) {
     try {
-      if (!this.googleMapsApiKey) {
+      if (!providerRegistry.isAvailable('places')) {
         return {
           phoneNumber: 'API_KEY_NOT_CONFIGURED',
           address: 'Address unavailable - API key required',
@@ -670,20 +675,13 @@ class UnifiedDataCollectionService {
         };
       }
 
-      const url = `https://maps.googleapis.com/maps/api/place/details/json?` +
-        `place_id=${placeId}&` +
-        `fields=formatted_phone_number,formatted_address,opening_hours,website,business_status&` +
-        `key=${this.googleMapsApiKey}`;
-
-      const response = await axios.get(url, { timeout: 10000 });
+      const place = await providerRegistry.call('places', 'getPlaceDetails', placeId);
       
-      if (response.data.status === 'OK' && response.data.result) {
-        const place = response.data.result;
-        
+      if (place) {
         return {
-          phoneNumber: place.formatted_phone_number || 'Not available',
-          address: place.formatted_address || 'Address not available',
-          operatingHours: this.formatOperatingHours(place.opening_hours),
+          phoneNumber: place.phoneNumber || 'Not available',
+          address: place.address || 'Address not available',
+          operatingHours: this.formatOperatingHours(place.openingHours),
           website: place.website || '',
           accessibility: this.assessAccessibility(place),
           amenities: this.extractAmenities(place)
@@ -715,12 +713,12 @@ class UnifiedDataCollectionService {
     try {
       if (!openingHours) return 'Hours not available';
       
-      if (openingHours.weekday_text && openingHours.weekday_text.length > 0) {
-        return openingHours.weekday_text.join('; ');
+      if (openingHours.weekdayText && openingHours.weekdayText.length > 0) {
+        return openingHours.weekdayText.join('; ');
       }
       
-      if (openingHours.open_now !== undefined) {
-        return openingHours.open_now ? 'Currently open' : 'Currently closed';
+      if (openingHours.openNow !== undefined) {
+        return openingHours.openNow ? 'Currently open' : 'Currently closed';
       }
       
       return 'Hours format not recognized';
@@ -730,8 +728,8 @@ class UnifiedDataCollectionService {
   }
 
   assessAccessibility(place) {
-    if (place.wheelchair_accessible_entrance !== undefined) {
-      return place.wheelchair_accessible_entrance ? 'Wheelchair accessible' : 'Limited accessibility';
+    if (place.wheelchairAccessible !== undefined) {
+      return place.wheelchairAccessible ? 'Wheelchair accessible' : 'Limited accessibility';
     }
     return 'Accessibility information not available';
   }
@@ -870,7 +868,7 @@ class UnifiedDataCollectionService {
       console.log('🌤️ Collecting basic weather data...');
       
       const weatherPoints = [];
-      const routeSegments = this.createRouteSegments(route.routePoints, 15);
+      const routeSegments = this.createRouteSegments(route.routePoints, SAMPLING.weatherSegments);
       
       for (const segment of routeSegments) {
         try {
@@ -892,7 +890,7 @@ class UnifiedDataCollectionService {
             roadSurfaceCondition: this.determineSurfaceCondition(weatherData),
             riskScore: this.assessWeatherRisk(weatherData),
             distanceFromStartKm: this.calculateDistanceFromStart(route.routePoints, segment),
-            dataSource: 'OPENWEATHER_API'
+            dataSource: weatherData.dataSource || 'OPENWEATHER_API'
           });
           
           await weather.save();
@@ -923,7 +921,7 @@ class UnifiedDataCollectionService {
       console.log('🚗 Collecting detailed traffic data...');
       
       const trafficPoints = [];
-      const routeSegments = this.createRouteSegments(route.routePoints, 20);
+      const routeSegments = this.createRouteSegments(route.routePoints, SAMPLING.trafficSegments);
       
       for (const segment of routeSegments) {
         try {
@@ -1417,4 +1415,7 @@ class UnifiedDataCollectionService {
   }
 }
 
-module.exports = new UnifiedDataCollectionService();
\ No newline at end of file
+const dataCollectionService = new UnifiedDataCollectionService();
+dataCollectionService.SAMPLING = SAMPLING;
+
+module.exports = dataCollectionService;
\ No newline at end of file
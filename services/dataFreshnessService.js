@@ -0,0 +1,292 @@
+// File: services/dataFreshnessService.js
+// Purpose: Tracks how current each data category is per route and which risk assessments are out of date
+// Categories mirror Route.dataProcessingStatus; collection times are kept on Route.dataFreshness.
+// securityData is not tracked: the security factor is derived at risk calculation time from the
+// route itself and its police stations (emergencyServices), so there is nothing to re-collect.
+// A category is stale once it is older than its max age (FRESHNESS_MAX_AGE_<CATEGORY>_DAYS).
+
+const Route = require('../models/Route');
+const RiskAssessment = require('../models/RiskAssessment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default max age per category, in days. Traffic changes fastest; terrain-bound data barely moves.
+const CATEGORIES = {
+  trafficData: { label: 'Traffic', maxAgeDays: 7 },
+  accidentData: { label: 'Accident incidents', maxAgeDays: 30 },
+  weatherData: { label: 'Weather', maxAgeDays: 90 },
+  emergencyServices: { label: 'Emergency services', maxAgeDays: 90 },
+  amenities: { label: 'Amenities', maxAgeDays: 90 },
+  roadConditions: { label: 'Road conditions', maxAgeDays: 180 },
+  networkCoverage: { label: 'Network coverage', maxAgeDays: 180 }
+};
+
+const DEFAULT_ASSESSMENT_MAX_AGE_DAYS = 30;
+const REPORT_ROUTE_LIMIT = 500;
+
+// trafficData -> TRAFFIC_DATA
+function envKey(category) {
+  return category.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+function positiveNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+class DataFreshnessService {
+  constructor() {
+    this.maxAgeDays = {};
+    Object.entries(CATEGORIES).forEach(([category, definition]) => {
+      this.maxAgeDays[category] = positiveNumber(
+        process.env[`FRESHNESS_MAX_AGE_${envKey(category)}_DAYS`],
+        definition.maxAgeDays
+      );
+    });
+    this.assessmentMaxAgeDays = positiveNumber(
+      process.env.RISK_ASSESSMENT_MAX_AGE_DAYS,
+      DEFAULT_ASSESSMENT_MAX_AGE_DAYS
+    );
+  }
+
+  getCategories() {
+    return Object.keys(CATEGORIES);
+  }
+
+  isCategory(category) {
+    return Object.prototype.hasOwnProperty.call(CATEGORIES, category);
+  }
+
+  getConfig() {
+    return {
+      categories: Object.entries(CATEGORIES).map(([category, definition]) => ({
+        category,
+        label: definition.label,
+        maxAgeDays: this.maxAgeDays[category],
+        envVar: `FRESHNESS_MAX_AGE_${envKey(category)}_DAYS`
+      })),
+      assessmentMaxAgeDays: this.assessmentMaxAgeDays,
+      calculationVersion: this.getCurrentCalculationVersion()
+    };
+  }
+
+  getCurrentCalculationVersion() {
+    return require('./riskCalculationService').calculationVersion;
+  }
+
+  // Routes collected before freshness was tracked fall back to the last full collection
+  getCollectedAt(route, category) {
+    if (!route.dataProcessingStatus?.[category]) return null;
+    return route.dataFreshness?.[category] || route.metadata?.lastDataCollection || null;
+  }
+
+  // Per-category age and staleness for one route (plain object or document)
+  getRouteFreshness(route, now = new Date()) {
+    const categories = {};
+    const staleCategories = [];
+    const missingCategories = [];
+    let newestDataAt = null;
+
+    Object.keys(CATEGORIES).forEach(category => {
+      const collected = !!route.dataProcessingStatus?.[category];
+      const collectedAt = this.getCollectedAt(route, category);
+      const maxAgeDays = this.maxAgeDays[category];
+      const ageDays = collectedAt ? Math.round(((now - new Date(collectedAt)) / DAY_MS) * 10) / 10 : null;
+
+      let state = 'fresh';
+      if (!collected) {
+        state = 'not_collected';
+        missingCategories.push(category);
+      } else if (!collectedAt || ageDays > maxAgeDays) {
+        state = 'stale';
+        staleCategories.push(category);
+      }
+
+      if (collectedAt && (!newestDataAt || new Date(collectedAt) > newestDataAt)) {
+        newestDataAt = new Date(collectedAt);
+      }
+
+      categories[category] = {
+        label: CATEGORIES[category].label,
+        state,
+        collectedAt,
+        ageDays,
+        maxAgeDays,
+        refreshDueAt: collectedAt ? new Date(new Date(collectedAt).getTime() + maxAgeDays * DAY_MS) : null
+      };
+    });
+
+    return { categories, staleCategories, missingCategories, newestDataAt };
+  }
+
+  // Latest assessment per route in one aggregation
+  async getLatestAssessments(routeIds) {
+    if (routeIds.length === 0) return new Map();
+
+    const latest = await RiskAssessment.aggregate([
+      { $match: { routeId: { $in: routeIds } } },
+      { $sort: { routeId: 1, sequence: -1 } },
+      {
+        $group: {
+          _id: '$routeId',
+          sequence: { $first: '$sequence' },
+          calculatedAt: { $first: '$calculatedAt' },
+          calculationVersion: { $first: '$calculationVersion' },
+          trigger: { $first: '$trigger' },
+          riskLevel: { $first: '$riskLevel' }
+        }
+      }
+    ]);
+
+    return new Map(latest.map(item => [String(item._id), item]));
+  }
+
+  // Why (if at all) the route's latest assessment no longer reflects its data
+  getAssessmentStatus(route, assessment, freshness, now = new Date()) {
+    const reasons = [];
+    const assessedAt = assessment?.calculatedAt || route.metadata?.lastCalculated || null;
+
+    if (!assessedAt) {
+      reasons.push({ code: 'never_assessed', message: 'Route has no risk assessment' });
+    } else {
+      if (freshness.newestDataAt && freshness.newestDataAt > new Date(assessedAt)) {
+        reasons.push({
+          code: 'data_changed',
+          message: `Data collected on ${freshness.newestDataAt.toISOString()} is newer than the assessment`
+        });
+      }
+
+      const ageDays = (now - new Date(assessedAt)) / DAY_MS;
+      if (ageDays > this.assessmentMaxAgeDays) {
+        reasons.push({
+          code: 'assessment_expired',
+          message: `Assessment is ${Math.floor(ageDays)} days old (max ${this.assessmentMaxAgeDays})`
+        });
+      }
+
+      const currentVersion = this.getCurrentCalculationVersion();
+      if (assessment?.calculationVersion && assessment.calculationVersion !== currentVersion) {
+        reasons.push({
+          code: 'calculation_version',
+          message: `Calculated with version ${assessment.calculationVersion}, current is ${currentVersion}`
+        });
+      }
+    }
+
+    if (freshness.staleCategories.length > 0) {
+      reasons.push({
+        code: 'stale_data',
+        message: `Stale data: ${freshness.staleCategories.map(category => CATEGORIES[category].label).join(', ')}`,
+        categories: freshness.staleCategories
+      });
+    }
+
+    return {
+      outdated: reasons.length > 0,
+      assessedAt,
+      sequence: assessment?.sequence || null,
+      calculationVersion: assessment?.calculationVersion || null,
+      riskLevel: assessment?.riskLevel || route.riskLevel || null,
+      reasons
+    };
+  }
+
+  async getRouteReport(route) {
+    const now = new Date();
+    const assessments = await this.getLatestAssessments([route._id]);
+    const freshness = this.getRouteFreshness(route, now);
+
+    return {
+      routeId: route._id,
+      routeCode: route.routeId,
+      routeName: route.routeName,
+      ...freshness,
+      lastRefresh: route.metadata?.lastRefresh || null,
+      assessment: this.getAssessmentStatus(route, assessments.get(String(route._id)), freshness, now)
+    };
+  }
+
+  // Active routes whose risk assessment is out of date (userId null = all users)
+  async getOutdatedReport({ userId = null, limit = REPORT_ROUTE_LIMIT } = {}) {
+    const now = new Date();
+    const filter = { status: 'active' };
+    if (userId) filter.userId = userId;
+
+    const routes = await Route.find(filter)
+      .select('routeId routeName userId riskLevel dataProcessingStatus dataFreshness metadata')
+      .lean();
+
+    const assessments = await this.getLatestAssessments(routes.map(route => route._id));
+    const byReason = {};
+    const byCategory = {};
+    const outdated = [];
+
+    routes.forEach(route => {
+      const freshness = this.getRouteFreshness(route, now);
+      const assessment = this.getAssessmentStatus(route, assessments.get(String(route._id)), freshness, now);
+      if (!assessment.outdated) return;
+
+      assessment.reasons.forEach(reason => {
+        byReason[reason.code] = (byReason[reason.code] || 0) + 1;
+      });
+      freshness.staleCategories.forEach(category => {
+        byCategory[category] = (byCategory[category] || 0) + 1;
+      });
+
+      outdated.push({
+        routeId: route._id,
+        routeCode: route.routeId,
+        routeName: route.routeName,
+        userId: route.userId,
+        riskLevel: assessment.riskLevel,
+        assessedAt: assessment.assessedAt,
+        calculationVersion: assessment.calculationVersion,
+        staleCategories: freshness.staleCategories,
+        reasons: assessment.reasons
+      });
+    });
+
+    // Never-assessed first, then oldest assessment first
+    outdated.sort((a, b) => new Date(a.assessedAt || 0) - new Date(b.assessedAt || 0));
+
+    return {
+      generatedAt: now,
+      config: this.getConfig(),
+      totals: {
+        activeRoutes: routes.length,
+        outdatedRoutes: outdated.length,
+        byReason,
+        staleByCategory: byCategory
+      },
+      routes: outdated.slice(0, limit),
+      truncated: outdated.length > limit
+    };
+  }
+
+  // Active routes with collected data older than the category's max age, oldest first
+  async findStaleRoutes(category, { limit = 25, routeIds = null } = {}) {
+    const cutoff = new Date(Date.now() - this.maxAgeDays[category] * DAY_MS);
+    const field = `dataFreshness.${category}`;
+
+    const filter = {
+      status: 'active',
+      [`dataProcessingStatus.${category}`]: true,
+      $or: [
+        { [field]: { $lt: cutoff } },
+        { [field]: null, 'metadata.lastDataCollection': { $lt: cutoff } },
+        { [field]: null, 'metadata.lastDataCollection': null }
+      ]
+    };
+    if (routeIds) filter._id = { $in: routeIds };
+
+    return Route.find(filter)
+      .sort({ [field]: 1, 'metadata.lastDataCollection': 1 })
+      .limit(limit);
+  }
+}
+
+const dataFreshnessService = new DataFreshnessService();
+dataFreshnessService.CATEGORIES = CATEGORIES;
+dataFreshnessService.envKey = envKey;
+
+module.exports = dataFreshnessService;
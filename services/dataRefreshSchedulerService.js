@@ -0,0 +1,309 @@
+// File: services/dataRefreshSchedulerService.js
+// Purpose: Re-collects stale route data on a schedule and recalculates risk afterwards
+// Each refresh task runs on its own cron schedule (REFRESH_SCHEDULE_<CATEGORY>), picks active
+// routes whose data is older than the category's max age and re-runs just that collector.
+// Disable with REFRESH_SCHEDULER_ENABLED=false; REFRESH_MAX_ROUTES_PER_RUN bounds provider spend.
+
+const cron = require('node-cron');
+const Route = require('../models/Route');
+const DataCollectionJob = require('../models/DataCollectionJob');
+const apiQuota = require('./apiQuotaService');
+const dataFreshness = require('./dataFreshnessService');
+
+const DEFAULT_MAX_ROUTES_PER_RUN = 25;
+const RUN_HISTORY_SIZE = 20;
+
+// One task per collector. covers lists the dataProcessingStatus categories the collector refreshes;
+// prune returns the model whose older records are removed once the new collection succeeded
+// (those collectors append instead of replacing).
+const REFRESH_TASKS = {
+  trafficData: {
+    schedule: '0 2 * * 0', // weekly, Sunday 02:00
+    covers: ['trafficData'],
+    prune: () => require('../models/TrafficData'),
+    run: route => require('./dataCollectionService').collectDetailedTrafficData(route)
+  },
+  accidentData: {
+    schedule: '0 3 1 * *', // monthly
+    covers: ['accidentData'],
+    run: route => require('./accidentProneAreasService').collectAccidentProneAreasForRoute(route._id)
+  },
+  weatherData: {
+    schedule: '0 4 1 * *',
+    covers: ['weatherData'],
+    prune: () => require('../models/WeatherCondition'),
+    run: route => require('./dataCollectionService').collectEnhancedWeatherData(route)
+  },
+  emergencyServices: {
+    schedule: '0 1 1 * *',
+    covers: ['emergencyServices', 'amenities'],
+    prune: () => require('../models/EmergencyService'),
+    run: route => require('./dataCollectionService').collectAllUnifiedServices(route)
+  },
+  roadConditions: {
+    schedule: '0 5 15 * *',
+    covers: ['roadConditions'],
+    run: route => require('./enhancedRoadConditionsService').collectEnhancedRoadConditions(route._id)
+  },
+  networkCoverage: {
+    schedule: '30 5 15 * *',
+    covers: ['networkCoverage'],
+    run: route => {
+      const { NetworkCoverageService } = require('./networkCoverageService');
+      return NetworkCoverageService.analyzeNetworkCoverage(route._id);
+    }
+  }
+};
+
+// Several collectors swallow their errors and return an empty or error-tagged result
+function collectorSucceeded(result) {
+  if (!result || result.error) return false;
+  if (typeof result.total === 'number') return result.total > 0;
+  return true;
+}
+
+class DataRefreshSchedulerService {
+  constructor() {
+    this.enabled = process.env.REFRESH_SCHEDULER_ENABLED !== 'false';
+    this.timezone = process.env.REFRESH_SCHEDULER_TIMEZONE || 'Asia/Kolkata';
+    this.maxRoutesPerRun = parseInt(process.env.REFRESH_MAX_ROUTES_PER_RUN, 10) || DEFAULT_MAX_ROUTES_PER_RUN;
+    this.tasks = {};
+    this.running = new Set();
+    this.refreshingRoutes = new Set();
+    this.history = [];
+    this.started = false;
+  }
+
+  getSchedule(category) {
+    const override = process.env[`REFRESH_SCHEDULE_${dataFreshness.envKey(category)}`];
+    if (override && cron.validate(override)) return override;
+    if (override) {
+      console.warn(`⚠️ Invalid cron expression for ${category} refresh: "${override}" - using default`);
+    }
+    return REFRESH_TASKS[category].schedule;
+  }
+
+  isTask(category) {
+    return Object.prototype.hasOwnProperty.call(REFRESH_TASKS, category);
+  }
+
+  // Task that refreshes a data category (amenities are collected with emergency services)
+  taskFor(category) {
+    return Object.keys(REFRESH_TASKS).find(task => REFRESH_TASKS[task].covers.includes(category)) || null;
+  }
+
+  start() {
+    if (this.started) return;
+    if (!this.enabled) {
+      console.log('⏸️ Data refresh scheduler disabled (REFRESH_SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    Object.keys(REFRESH_TASKS).forEach(category => {
+      this.tasks[category] = cron.schedule(
+        this.getSchedule(category),
+        () => this.runTask(category, { trigger: 'scheduled' }).catch(error => {
+          console.error(`❌ Scheduled ${category} refresh failed:`, error.message);
+        }),
+        { timezone: this.timezone }
+      );
+    });
+
+    this.started = true;
+    console.log(`⏰ Data refresh scheduler started (${Object.keys(this.tasks).length} tasks, ${this.timezone})`);
+  }
+
+  stop() {
+    Object.values(this.tasks).forEach(task => task.stop());
+    this.tasks = {};
+    this.started = false;
+  }
+
+  // Refresh one category across stale active routes (or the given routes, regardless of age)
+  async runTask(category, { trigger = 'manual', triggeredBy = null, routeIds = null } = {}) {
+    if (!this.isTask(category)) {
+      throw new Error(`Unknown refresh task: ${category}`);
+    }
+    if (this.running.has(category)) {
+      return { category, skipped: true, reason: 'A refresh for this category is already running' };
+    }
+
+    this.running.add(category);
+    const run = {
+      category,
+      trigger,
+      triggeredBy,
+      startedAt: new Date(),
+      completedAt: null,
+      routesChecked: 0,
+      routesRefreshed: 0,
+      routesFailed: 0,
+      routesSkipped: 0,
+      stoppedReason: null,
+      routes: []
+    };
+
+    try {
+      const routes = routeIds
+        ? await Route.find({ _id: { $in: routeIds }, status: 'active' }).limit(this.maxRoutesPerRun)
+        : await dataFreshness.findStaleRoutes(REFRESH_TASKS[category].covers[0], { limit: this.maxRoutesPerRun });
+
+      run.routesChecked = routes.length;
+      console.log(`🔁 ${category} refresh (${trigger}): ${routes.length} route(s) to refresh`);
+
+      // Routes with a collect-all-data job in flight are refreshed by that job
+      const busy = new Set((await DataCollectionJob.distinct('routeId', {
+        routeId: { $in: routes.map(route => route._id) },
+        status: { $in: ['queued', 'running'] }
+      })).map(String));
+
+      for (const route of routes) {
+        if (busy.has(String(route._id))) {
+          run.routesSkipped++;
+          run.routes.push({ routeId: route._id, routeCode: route.routeId, skipped: 'collection job active' });
+          continue;
+        }
+        if (this.refreshingRoutes.has(String(route._id))) {
+          run.routesSkipped++;
+          run.routes.push({ routeId: route._id, routeCode: route.routeId, skipped: 'refresh already running' });
+          continue;
+        }
+
+        const result = await this.refreshRoute(route, [category], { triggeredBy });
+        run.routes.push(result);
+        if (result.refreshed.length > 0) run.routesRefreshed++;
+        if (result.failed.length > 0) run.routesFailed++;
+
+        if (result.budgetExceeded && apiQuota.mode === 'hard_stop') {
+          run.stoppedReason = result.budgetExceeded;
+          break;
+        }
+      }
+
+      return run;
+
+    } finally {
+      run.completedAt = new Date();
+      this.running.delete(category);
+      this.history.unshift(run);
+      this.history.length = Math.min(this.history.length, RUN_HISTORY_SIZE);
+      console.log(`✅ ${category} refresh done: ${run.routesRefreshed} refreshed, ${run.routesFailed} failed, ${run.routesSkipped} skipped`);
+    }
+  }
+
+  // Why one route cannot be refreshed right now, or null when it is idle
+  // The in-process check runs after the query so a caller that starts refreshRoute straight
+  // away cannot interleave with another request for the same route
+  async getRouteBusyReason(routeId) {
+    const activeJob = await DataCollectionJob.exists({
+      routeId,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (activeJob) {
+      return 'A data collection job is already running for this route';
+    }
+    return this.refreshingRoutes.has(String(routeId)) ? 'A refresh is already running for this route' : null;
+  }
+
+  // Re-collect the given categories for one route, then recalculate its risk
+  async refreshRoute(route, categories, { triggeredBy = null } = {}) {
+    const routeKey = String(route._id);
+    this.refreshingRoutes.add(routeKey);
+    try {
+      return await this.collectRouteCategories(route, categories, { triggeredBy });
+    } finally {
+      this.refreshingRoutes.delete(routeKey);
+    }
+  }
+
+  async collectRouteCategories(route, categories, { triggeredBy }) {
+    const tasks = [...new Set(categories.map(category => this.taskFor(category)).filter(Boolean))];
+    const outcome = {
+      routeId: route._id,
+      routeCode: route.routeId,
+      refreshed: [],
+      failed: [],
+      riskRecalculated: false,
+      budgetExceeded: null
+    };
+
+    // Provider calls are metered against the route owner
+    return apiQuota.runWithContext({ userId: String(route.userId), routeId: String(route._id) }, async () => {
+      for (const category of tasks) {
+        const task = REFRESH_TASKS[category];
+        const startedAt = new Date();
+
+        try {
+          const result = await task.run(route);
+          if (!collectorSucceeded(result)) {
+            throw new Error(result?.error || 'Collector returned no data');
+          }
+
+          if (task.prune) {
+            await task.prune().deleteMany({ routeId: route._id, createdAt: { $lt: startedAt } });
+          }
+
+          const update = {};
+          task.covers.forEach(covered => {
+            update[`dataProcessingStatus.${covered}`] = true;
+            update[`dataFreshness.${covered}`] = new Date();
+          });
+          await Route.findByIdAndUpdate(route._id, update);
+
+          outcome.refreshed.push(...task.covers);
+
+        } catch (error) {
+          console.warn(`⚠️ ${category} refresh failed for route ${route.routeId}:`, error.message);
+          outcome.failed.push({ category, error: error.message });
+        }
+
+        const exceeded = apiQuota.getExceededBudget();
+        if (exceeded) {
+          outcome.budgetExceeded = exceeded.message;
+          if (apiQuota.mode === 'hard_stop') break;
+        }
+      }
+
+      if (outcome.refreshed.length > 0) {
+        try {
+          await require('./riskCalculationService').calculateRouteRisk(route._id, {
+            trigger: 'scheduled',
+            triggeredBy
+          });
+          outcome.riskRecalculated = true;
+        } catch (error) {
+          console.warn(`⚠️ Risk recalculation failed for route ${route.routeId}:`, error.message);
+          outcome.riskError = error.message;
+        }
+      }
+
+      await Route.findByIdAndUpdate(route._id, { 'metadata.lastRefresh': new Date() });
+      return outcome;
+    });
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      started: this.started,
+      timezone: this.timezone,
+      maxRoutesPerRun: this.maxRoutesPerRun,
+      budgetMode: apiQuota.mode,
+      tasks: Object.entries(REFRESH_TASKS).map(([category, task]) => ({
+        category,
+        covers: task.covers,
+        schedule: this.getSchedule(category),
+        envVar: `REFRESH_SCHEDULE_${dataFreshness.envKey(category)}`,
+        maxAgeDays: dataFreshness.maxAgeDays[task.covers[0]],
+        running: this.running.has(category),
+        lastRun: this.history.find(run => run.category === category) || null
+      })),
+      recentRuns: this.history.map(({ routes, ...run }) => run)
+    };
+  }
+}
+
+const dataRefreshSchedulerService = new DataRefreshSchedulerService();
+dataRefreshSchedulerService.REFRESH_TASKS = REFRESH_TASKS;
+
+module.exports = dataRefreshSchedulerService;
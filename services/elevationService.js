@@ -0,0 +1,213 @@
+// File: services/elevationService.js
+// Purpose: Elevation provider backed by local SRTM .hgt / GeoTIFF tiles
+// Heights are interpolated bilinearly from tiles in ELEVATION_TILES_PATH so elevation works
+// in air-gapped deployments. The configured elevation provider (Google, or the offline stub)
+// is used only as an optional fallback.
+
+const fs = require('fs');
+const path = require('path');
+const apiService = require('./apiService');
+const providerRegistry = require('./providers');
+const {
+  getHgtTileName,
+  readHgtTile,
+  readGeoTiffInfo,
+  readGeoTiffTile,
+  sampleRaster
+} = require('../utils/demTileReader');
+
+class ElevationService {
+  constructor() {
+    this.tilesPath = path.resolve(process.env.ELEVATION_TILES_PATH || './data/elevation');
+    this.googleFallbackEnabled = process.env.ELEVATION_GOOGLE_FALLBACK !== 'false';
+    this.maxCachedTiles = parseInt(process.env.ELEVATION_TILE_CACHE_SIZE, 10) || 6;
+
+    this.index = null;          // built lazily on first lookup
+    this.tileCache = new Map(); // filePath -> raster, insertion order used for LRU eviction
+    this.failedTiles = new Set();
+  }
+
+  // Scan the tiles directory: .hgt tiles are keyed by name, GeoTIFFs by their bounds
+  buildIndex() {
+    const index = { hgt: new Map(), geotiff: [], builtAt: new Date() };
+
+    if (!fs.existsSync(this.tilesPath)) {
+      console.warn(`⚠️ Elevation tiles directory not found: ${this.tilesPath}`);
+      this.index = index;
+      return index;
+    }
+
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+          continue;
+        }
+
+        const ext = path.extname(entry.name).toLowerCase();
+        if (ext === '.hgt') {
+          index.hgt.set(path.basename(entry.name, path.extname(entry.name)).toUpperCase(), fullPath);
+        } else if (ext === '.tif' || ext === '.tiff') {
+          try {
+            index.geotiff.push(readGeoTiffInfo(fullPath));
+          } catch (error) {
+            console.warn(`⚠️ Skipping GeoTIFF ${entry.name}: ${error.message}`);
+          }
+        }
+      }
+    };
+
+    walk(this.tilesPath);
+    // Prefer finer resolution GeoTIFFs when tiles overlap
+    index.geotiff.sort((a, b) => a.resX - b.resX);
+
+    console.log(`🗻 Elevation tiles indexed: ${index.hgt.size} SRTM, ${index.geotiff.length} GeoTIFF from ${this.tilesPath}`);
+    this.index = index;
+    return index;
+  }
+
+  getIndex() {
+    return this.index || this.buildIndex();
+  }
+
+  // Re-scan the tiles directory (e.g. after new tiles are copied in)
+  reload() {
+    this.index = null;
+    this.tileCache.clear();
+    this.failedTiles.clear();
+    return this.getStatus();
+  }
+
+  hasLocalTiles() {
+    const index = this.getIndex();
+    return index.hgt.size > 0 || index.geotiff.length > 0;
+  }
+
+  loadTile(filePath, reader) {
+    if (this.tileCache.has(filePath)) {
+      const cached = this.tileCache.get(filePath);
+      this.tileCache.delete(filePath);
+      this.tileCache.set(filePath, cached);
+      return cached;
+    }
+
+    if (this.failedTiles.has(filePath)) return null;
+
+    try {
+      const raster = reader(filePath);
+      this.tileCache.set(filePath, raster);
+      if (this.tileCache.size > this.maxCachedTiles) {
+        this.tileCache.delete(this.tileCache.keys().next().value);
+      }
+      return raster;
+    } catch (error) {
+      console.error(`❌ Failed to read elevation tile ${path.basename(filePath)}:`, error.message);
+      this.failedTiles.add(filePath);
+      return null;
+    }
+  }
+
+  // Synchronous lookup against local tiles only. Returns { elevation, source } or null.
+  getLocalElevation(latitude, longitude) {
+    const index = this.getIndex();
+
+    const hgtPath = index.hgt.get(getHgtTileName(latitude, longitude));
+    if (hgtPath) {
+      const raster = this.loadTile(hgtPath, readHgtTile);
+      const elevation = raster ? sampleRaster(raster, latitude, longitude) : null;
+      if (elevation !== null) {
+        return { elevation: Math.round(elevation * 10) / 10, source: 'srtm' };
+      }
+    }
+
+    for (const info of index.geotiff) {
+      const { bounds } = info;
+      if (latitude < bounds.south || latitude > bounds.north ||
+          longitude < bounds.west || longitude > bounds.east) {
+        continue;
+      }
+
+      const raster = this.loadTile(info.filePath, readGeoTiffTile);
+      const elevation = raster ? sampleRaster(raster, latitude, longitude) : null;
+      if (elevation !== null) {
+        return { elevation: Math.round(elevation * 10) / 10, source: 'geotiff' };
+      }
+    }
+
+    return null;
+  }
+
+  // Elevation for a single coordinate - local tiles first, then the elevation provider if enabled
+  async getElevation(latitude, longitude, options = {}) {
+    const [result] = await this.getElevations([{ latitude, longitude }], options);
+    return result.elevation;
+  }
+
+  // Elevation for many coordinates. Results stay aligned with the input:
+  // [{ latitude, longitude, elevation, source }] where source is srtm | geotiff | <provider name> | null
+  async getElevations(points, options = {}) {
+    const fallbackProvider = providerRegistry.get('elevation');
+    const allowFallback = !!fallbackProvider && (options.allowFallback !== undefined
+      ? options.allowFallback
+      : this.googleFallbackEnabled);
+
+    const results = points.map(point => {
+      const local = this.getLocalElevation(point.latitude, point.longitude);
+      return {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        elevation: local ? local.elevation : null,
+        source: local ? local.source : null
+      };
+    });
+
+    const missing = results.filter(result => result.elevation === null);
+
+    if (missing.length > 0 && allowFallback) {
+      try {
+        console.log(`📡 ${missing.length} points not covered by local DEM tiles, using ${fallbackProvider.label} elevation`);
+        const providerResults = await apiService.getElevation(
+          missing.map(result => ({ latitude: result.latitude, longitude: result.longitude }))
+        );
+
+        missing.forEach((result, i) => {
+          const elevation = providerResults[i]?.elevation;
+          if (typeof elevation === 'number' && !isNaN(elevation)) {
+            result.elevation = Math.round(elevation * 10) / 10;
+            result.source = fallbackProvider.name;
+          }
+        });
+      } catch (error) {
+        console.warn('⚠️ Elevation provider fallback failed:', error.message);
+      }
+    }
+
+    return results;
+  }
+
+  // Count results per source for processing reports
+  summarizeSources(results) {
+    return results.reduce((summary, result) => {
+      const key = result.source || 'missing';
+      summary[key] = (summary[key] || 0) + 1;
+      return summary;
+    }, {});
+  }
+
+  getStatus() {
+    const index = this.getIndex();
+    return {
+      tilesPath: this.tilesPath,
+      srtmTiles: index.hgt.size,
+      geotiffTiles: index.geotiff.length,
+      cachedTiles: this.tileCache.size,
+      unreadableTiles: Array.from(this.failedTiles).map(filePath => path.basename(filePath)),
+      googleFallbackEnabled: this.googleFallbackEnabled,
+      fallbackProvider: providerRegistry.get('elevation')?.name || null,
+      indexedAt: index.builtAt
+    };
+  }
+}
+
+module.exports = new ElevationService();
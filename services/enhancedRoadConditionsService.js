@@ -1,34 +1,34 @@
 // File: services/enhancedRoadConditionsService.js
 // Purpose: Comprehensive road conditions using Google Roads API, TomTom API, and HERE API
 // Fetches REAL road data: surface quality, width, lanes, construction, speed limits
+// Segments covered by an imported OpenStreetMap extract are answered locally without API calls
 
-const axios = require('axios');
+const providerRegistry = require('./providers');
+const osmRoadNetwork = require('./osmRoadNetworkService');
 const RoadCondition = require('../models/RoadCondition');
 const { logger } = require('../utils/logger');
 
+const SAMPLING = {
+  segments: 30, // 30 segments for detailed analysis
+  batchSize: 5
+};
+
 class EnhancedRoadConditionsService {
   constructor() {
-    this.googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY;
-    this.tomtomApiKey = process.env.TOMTOM_API_KEY;
-    this.hereApiKey = process.env.HERE_API_KEY;
-    this.mapboxApiKey = process.env.MAPBOX_API_KEY;
-    
     // Validate API keys
     this.validateApiKeys();
   }
 
-  // Validate API keys are configured
+  // Roads and road info providers usable with the current configuration
   validateApiKeys() {
     const apiStatus = {
-      google: !!this.googleMapsApiKey,
-      tomtom: !!this.tomtomApiKey,
-      here: !!this.hereApiKey,
-      mapbox: !!this.mapboxApiKey
+      roads: providerRegistry.getProviders('roads').map(provider => provider.name),
+      roadInfo: providerRegistry.getProviders('roadInfo').map(provider => provider.name)
     };
 
     console.log('🔑 Road Conditions API Status:', apiStatus);
     
-    if (!this.googleMapsApiKey && !this.tomtomApiKey && !this.hereApiKey) {
+    if (apiStatus.roads.length === 0 && apiStatus.roadInfo.length === 0) {
       console.warn('⚠️ No road condition APIs configured - analysis will be limited');
     }
     
@@ -58,12 +58,12 @@ class EnhancedRoadConditionsService {
       console.log('🗑️ Cleared existing road condition data');
 
       const roadConditions = [];
-      const routeSegments = this.createRouteSegments(route.routePoints, 30); // 30 segments for detailed analysis
+      const routeSegments = this.createRouteSegments(route.routePoints, SAMPLING.segments);
       
       console.log(`📍 Analyzing ${routeSegments.length} route segments for road conditions...`);
 
       // Process segments in batches to respect API limits
-      const batchSize = 5;
+      const batchSize = SAMPLING.batchSize;
       for (let batchStart = 0; batchStart < routeSegments.length; batchStart += batchSize) {
         const batch = routeSegments.slice(batchStart, batchStart + batchSize);
         
@@ -85,8 +85,9 @@ class EnhancedRoadConditionsService {
           }
         });
         
-        // Rate limiting between batches
-        if (batchStart + batchSize < routeSegments.length) {
+        // Rate limiting between batches (not needed when the whole batch came from local OSM data)
+        const usedApis = batchResults.some(result => result.value?.dataSource !== 'OSM_LOCAL');
+        if (usedApis && batchStart + batchSize < routeSegments.length) {
           await new Promise(resolve => setTimeout(resolve, 2000));
         }
       }
@@ -114,28 +115,34 @@ class EnhancedRoadConditionsService {
     try {
       console.log(`🔍 Analyzing segment ${segmentIndex + 1}: ${segment.latitude.toFixed(4)}, ${segment.longitude.toFixed(4)}`);
       
-      // Collect data from multiple APIs in parallel
-      const apiPromises = [];
-      
-      // 1. Google Roads API - Road attributes and speed limits
-      if (this.googleMapsApiKey) {
-        apiPromises.push(this.getGoogleRoadsData(segment));
+      // 0. Imported OSM road network - no API calls when the segment is covered.
+      // Map-matched points already know their way, so the nearest-road guess is skipped.
+      try {
+        const localRoad = await osmRoadNetwork.getRoadAttributes(segment, {
+          osmWayId: segment.roadMatch?.osmWayId || null,
+          distanceMeters: segment.roadMatch?.snapDistanceMeters || 0
+        });
+        if (localRoad) {
+          const structures = await osmRoadNetwork.findStructures(segment).catch(structureError => {
+            console.warn('Local OSM structure lookup failed:', structureError.message);
+            return null;
+          });
+          return await this.createLocalRoadConditionEntry(localRoad, route, segment, segmentIndex, structures);
+        }
+      } catch (osmError) {
+        console.warn('Local OSM road lookup failed, using APIs:', osmError.message);
       }
       
-      // 2. TomTom Map Display API - Road network details
-      if (this.tomtomApiKey) {
-        apiPromises.push(this.getTomTomRoadData(segment));
-      }
+      // Collect data from multiple APIs in parallel
+      const apiPromises = [];
       
-      // 3. HERE Map Attributes API - Detailed road properties
-      if (this.hereApiKey) {
-        apiPromises.push(this.getHereRoadData(segment));
-      }
+      // 1. Roads provider (Google Roads API) - Road attributes and speed limits
+      apiPromises.push(this.getRoadsProviderData(segment));
       
-      // 4. Mapbox Directions API - Additional road insights
-      if (this.mapboxApiKey) {
-        apiPromises.push(this.getMapboxRoadData(segment));
-      }
+      // 2. Every configured road info provider (HERE, TomTom, Mapbox or stub), in chain order
+      providerRegistry.getProviders('roadInfo').forEach(provider => {
+        apiPromises.push(this.getRoadInfoData(provider, segment));
+      });
       
       const results = await Promise.allSettled(apiPromises);
       
@@ -156,49 +163,41 @@ class EnhancedRoadConditionsService {
   }
 
   // ============================================================================
-  // GOOGLE ROADS API - Road attributes and speed limits
+  // ROADS PROVIDER (Google Roads API) - Road attributes and speed limits
   // ============================================================================
-  async getGoogleRoadsData(segment) {
+  async getRoadsProviderData(segment) {
+    const roadsProvider = providerRegistry.get('roads');
+
     try {
-      if (!this.googleMapsApiKey) {
-        return { source: 'google', error: 'API key not configured' };
+      if (!roadsProvider) {
+        return { source: 'google', error: 'No roads provider configured' };
       }
 
-      // Google Roads API - Get nearest roads
-      const nearestRoadsUrl = `https://roads.googleapis.com/v1/nearestRoads?` +
-        `points=${segment.latitude},${segment.longitude}&` +
-        `key=${this.googleMapsApiKey}`;
-
-      const roadsResponse = await axios.get(nearestRoadsUrl, {
-        timeout: 15000,
-        headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
-      });
+      // Nearest road to the segment point
+      const snappedPoints = await roadsProvider.nearestRoads([segment]);
 
-      if (roadsResponse.data?.snappedPoints?.length > 0) {
-        const road = roadsResponse.data.snappedPoints[0];
+      if (snappedPoints.length > 0) {
+        const road = snappedPoints[0];
         
-        // Get speed limits using Google Roads API
+        // Speed limit for the snapped road
         let speedLimit = null;
         try {
-          const speedLimitUrl = `https://roads.googleapis.com/v1/speedLimits?` +
-            `placeId=${road.placeId}&` +
-            `key=${this.googleMapsApiKey}`;
-          
-          const speedResponse = await axios.get(speedLimitUrl, { timeout: 10000 });
-          if (speedResponse.data?.speedLimits?.length > 0) {
-            speedLimit = speedResponse.data.speedLimits[0].speedLimit;
+          const limits = await roadsProvider.getSpeedLimits([road.placeId]);
+          if (limits.length > 0) {
+            speedLimit = limits[0].speedLimit;
           }
         } catch (speedError) {
-          console.warn('Google speed limit API failed:', speedError.message);
+          console.warn('Speed limit lookup failed:', speedError.message);
         }
 
         return {
           source: 'google',
+          provider: roadsProvider.name,
           placeId: road.placeId,
           originalIndex: road.originalIndex,
           location: road.location,
           speedLimit: speedLimit,
-          confidence: 0.8,
+          confidence: roadsProvider.name === 'stub' ? 0.5 : 0.8,
           roadExists: true,
           snappedCoordinates: {
             latitude: road.location.latitude,
@@ -210,7 +209,7 @@ class EnhancedRoadConditionsService {
       return { source: 'google', error: 'No roads found near coordinates' };
 
     } catch (error) {
-      console.error('Google Roads API Error:', {
+      console.error(`${roadsProvider.label} roads error:`, {
         message: error.message,
         status: error.response?.status,
         data: error.response?.data
@@ -220,205 +219,24 @@ class EnhancedRoadConditionsService {
   }
 
   // ============================================================================
-  // TOMTOM MAP DISPLAY API - Road network details
-  // ============================================================================
-  async getTomTomRoadData(segment) {
-    try {
-      if (!this.tomtomApiKey) {
-        return { source: 'tomtom', error: 'API key not configured' };
-      }
-
-      // TomTom Map Display API - Get road network tiles
-      const zoom = 15; // Detailed zoom level
-      const tileUrl = `https://api.tomtom.com/map/1/tile/basic/main/` +
-        `${zoom}/${this.lon2tile(segment.longitude, zoom)}/${this.lat2tile(segment.latitude, zoom)}.png?` +
-        `key=${this.tomtomApiKey}&` +
-        `format=png&` +
-        `layer=basic&` +
-        `style=main`;
-
-      // TomTom Search API for nearby roads
-      const searchUrl = `https://api.tomtom.com/search/2/nearbySearch/.json?` +
-        `lat=${segment.latitude}&` +
-        `lon=${segment.longitude}&` +
-        `radius=100&` +
-        `categorySet=7311&` + // Road category
-        `key=${this.tomtomApiKey}`;
-
-      const searchResponse = await axios.get(searchUrl, {
-        timeout: 15000,
-        headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
-      });
-
-      if (searchResponse.data?.results?.length > 0) {
-        const roadResult = searchResponse.data.results[0];
-        
-        // Extract road information
-        return {
-          source: 'tomtom',
-          name: roadResult.poi?.name || 'Unknown Road',
-          address: roadResult.address?.freeformAddress,
-          roadType: this.classifyTomTomRoadType(roadResult),
-          speedLimit: roadResult.speedLimit || null,
-          categories: roadResult.poi?.categories || [],
-          confidence: roadResult.score || 0.7,
-          coordinates: {
-            latitude: roadResult.position.lat,
-            longitude: roadResult.position.lon
-          },
-          tileUrl: tileUrl
-        };
-      }
-
-      return { source: 'tomtom', error: 'No road data found' };
-
-    } catch (error) {
-      console.error('TomTom API Error:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      });
-      return { source: 'tomtom', error: error.message };
-    }
-  }
-
-  // ============================================================================
-  // HERE MAP ATTRIBUTES API - Detailed road properties
-  // ============================================================================
-  async getHereRoadData(segment) {
-    try {
-      if (!this.hereApiKey) {
-        return { source: 'here', error: 'API key not configured' };
-      }
-
-      // HERE Geocoding and Search API
-      const geocodeUrl = `https://geocode.search.hereapi.com/v1/revgeocode?` +
-        `at=${segment.latitude},${segment.longitude}&` +
-        `lang=en-US&` +
-        `apikey=${this.hereApiKey}`;
-
-      const geocodeResponse = await axios.get(geocodeUrl, {
-        timeout: 15000,
-        headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
-      });
-
-      if (geocodeResponse.data?.items?.length > 0) {
-        const roadItem = geocodeResponse.data.items[0];
-        
-        // HERE Routing API for road attributes
-        let routeData = null;
-        try {
-          const routeUrl = `https://router.hereapi.com/v8/routes?` +
-            `transportMode=car&` +
-            `origin=${segment.latitude},${segment.longitude}&` +
-            `destination=${segment.latitude + 0.001},${segment.longitude + 0.001}&` +
-            `return=summary,polyline,actions,instructions&` +
-            `apikey=${this.hereApiKey}`;
-          
-          const routeResponse = await axios.get(routeUrl, { timeout: 10000 });
-          if (routeResponse.data?.routes?.length > 0) {
-            routeData = routeResponse.data.routes[0];
-          }
-        } catch (routeError) {
-          console.warn('HERE routing API failed:', routeError.message);
-        }
-
-        return {
-          source: 'here',
-          address: roadItem.address?.label,
-          roadNumber: roadItem.address?.street,
-          administrativeArea: roadItem.address?.state,
-          countryCode: roadItem.address?.countryCode,
-          roadClass: this.classifyHereRoadType(roadItem),
-          mapView: roadItem.mapView,
-          scoring: roadItem.scoring,
-          routeAttributes: routeData ? {
-            distance: routeData.sections?.[0]?.summary?.length,
-            duration: routeData.sections?.[0]?.summary?.duration,
-            speedLimit: routeData.sections?.[0]?.summary?.speedLimit,
-            roadAttributes: routeData.sections?.[0]?.attributes
-          } : null,
-          confidence: 0.8,
-          coordinates: {
-            latitude: roadItem.position.lat,
-            longitude: roadItem.position.lng
-          }
-        };
-      }
-
-      return { source: 'here', error: 'No road data found' };
-
-    } catch (error) {
-      console.error('HERE API Error:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      });
-      return { source: 'here', error: error.message };
-    }
-  }
-
-  // ============================================================================
-  // MAPBOX DIRECTIONS API - Additional road insights
+  // ROAD INFO PROVIDERS (HERE, TomTom, Mapbox) - Road names, classes and speed limits
   // ============================================================================
-  async getMapboxRoadData(segment) {
+  async getRoadInfoData(provider, segment) {
     try {
-      if (!this.mapboxApiKey) {
-        return { source: 'mapbox', error: 'API key not configured' };
-      }
-
-      // Mapbox Matrix API for road network analysis
-      const matrixUrl = `https://api.mapbox.com/directions-matrix/v1/mapbox/driving/` +
-        `${segment.longitude},${segment.latitude};${segment.longitude + 0.001},${segment.latitude + 0.001}?` +
-        `sources=0&` +
-        `destinations=1&` +
-        `annotations=distance,duration&` +
-        `access_token=${this.mapboxApiKey}`;
-
-      const matrixResponse = await axios.get(matrixUrl, {
-        timeout: 10000,
-        headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
+      const roadInfo = await provider.getRoadInfo({
+        latitude: segment.latitude,
+        longitude: segment.longitude
       });
 
-      // Mapbox Geocoding for road details
-      const geocodeUrl = `https://api.mapbox.com/geocoding/v5/mapbox.places/` +
-        `${segment.longitude},${segment.latitude}.json?` +
-        `types=address&` +
-        `access_token=${this.mapboxApiKey}`;
-
-      const geocodeResponse = await axios.get(geocodeUrl, { timeout: 10000 });
-
-      let roadData = {
-        source: 'mapbox',
-        confidence: 0.7
-      };
-
-      if (matrixResponse.data?.distances?.[0]?.[0] !== null) {
-        roadData.matrixDistance = matrixResponse.data.distances[0][0];
-        roadData.matrixDuration = matrixResponse.data.durations[0][0];
-        roadData.roadExists = true;
-      }
-
-      if (geocodeResponse.data?.features?.length > 0) {
-        const feature = geocodeResponse.data.features[0];
-        roadData.placeName = feature.place_name;
-        roadData.context = feature.context;
-        roadData.roadType = this.classifyMapboxRoadType(feature);
-        roadData.coordinates = {
-          latitude: feature.center[1],
-          longitude: feature.center[0]
-        };
-      }
-
-      return roadData;
+      return roadInfo || { source: provider.name, error: 'No road data found' };
 
     } catch (error) {
-      console.error('Mapbox API Error:', {
+      console.error(`${provider.label} road info error:`, {
         message: error.message,
         status: error.response?.status,
         data: error.response?.data
       });
-      return { source: 'mapbox', error: error.message };
+      return { source: provider.name, error: error.message };
     }
   }
 
@@ -444,11 +262,9 @@ class EnhancedRoadConditionsService {
       dataQuality: 'unknown'
     };
 
-    // Process each API result
-    const apiOrder = ['google', 'tomtom', 'here', 'mapbox'];
-    
-    apiResults.forEach((result, index) => {
-      const source = apiOrder[index];
+    // Process each API result, keyed by the source each lookup reports
+    apiResults.forEach(result => {
+      const source = result.value?.source || 'unknown';
       if (result.status === 'fulfilled' && result.value && !result.value.error) {
         combinedData.sources[source] = result.value;
         console.log(`     📡 ${source}: Success`);
@@ -470,46 +286,24 @@ class EnhancedRoadConditionsService {
     let totalConfidence = 0;
 
     // Check if road exists
-    if (sources.google && !sources.google.error) {
-      combinedData.consensus.roadExists = true;
-      validSources++;
-      totalConfidence += sources.google.confidence || 0.8;
-    }
-
-    if (sources.tomtom && !sources.tomtom.error) {
+    Object.values(sources).forEach(source => {
+      if (source.error) return;
       combinedData.consensus.roadExists = true;
       validSources++;
-      totalConfidence += sources.tomtom.confidence || 0.7;
-    }
-
-    if (sources.here && !sources.here.error) {
-      combinedData.consensus.roadExists = true;
-      validSources++;
-      totalConfidence += sources.here.confidence || 0.8;
-    }
-
-    if (sources.mapbox && !sources.mapbox.error) {
-      combinedData.consensus.roadExists = true;
-      validSources++;
-      totalConfidence += sources.mapbox.confidence || 0.7;
-    }
+      totalConfidence += source.confidence || 0.7;
+    });
 
     // Calculate overall confidence
     combinedData.confidence = validSources > 0 ? totalConfidence / validSources : 0.3;
 
-    // Determine road type (priority: Google > HERE > TomTom > Mapbox)
-    combinedData.consensus.roadType = 
-      this.extractRoadType(sources.google) ||
-      this.extractRoadType(sources.here) ||
-      this.extractRoadType(sources.tomtom) ||
-      this.extractRoadType(sources.mapbox) ||
+    // Road type and speed limit: Google first, then road info providers in chain order
+    const ranked = Object.values(sources);
+    combinedData.consensus.roadType =
+      ranked.map(source => this.extractRoadType(source)).find(Boolean) ||
       'rural';
 
-    // Determine speed limit
-    combinedData.consensus.speedLimit = 
-      sources.google?.speedLimit ||
-      sources.here?.routeAttributes?.speedLimit ||
-      sources.tomtom?.speedLimit ||
+    combinedData.consensus.speedLimit =
+      ranked.filter(source => !source.error).map(source => source.speedLimit).find(Boolean) ||
       this.getDefaultSpeedLimit(combinedData.consensus.roadType);
 
     // Estimate other road properties
@@ -565,6 +359,65 @@ class EnhancedRoadConditionsService {
     }
   }
 
+  // Road condition entry from the imported OSM network (tagged attributes, no estimates).
+  // Bridges, tunnels, level crossings and tolls near the segment raise its risk score.
+  async createLocalRoadConditionEntry(localRoad, route, segment, segmentIndex, structures = null) {
+    try {
+      const structureRisk = this.calculateStructureRisk(structures, route);
+
+      const roadCondition = new RoadCondition({
+        routeId: route._id,
+        latitude: segment.latitude,
+        longitude: segment.longitude,
+        roadType: localRoad.roadType,
+        surfaceQuality: localRoad.surfaceQuality,
+        widthMeters: localRoad.widthMeters,
+        laneCount: localRoad.laneCount,
+        hasPotholes: localRoad.hasPotholes,
+        underConstruction: localRoad.underConstruction,
+        riskScore: Math.min(10, this.calculateRoadRiskScore({ ...localRoad }, localRoad.roadType) + structureRisk.riskPoints),
+        dataSource: 'OSM_LOCAL',
+        metadata: {
+          apiSources: ['osm'],
+          successfulSources: ['osm'],
+          confidence: localRoad.confidence,
+          dataQuality: localRoad.surfaceSource === 'default' ? 'fair' : 'good',
+          speedLimit: localRoad.speedLimit,
+          speedLimitSource: localRoad.speedLimitSource,
+          osmWayId: localRoad.osmWayId,
+          roadName: localRoad.name,
+          roadRef: localRoad.ref,
+          highway: localRoad.highway,
+          bridge: localRoad.bridge,
+          tunnel: localRoad.tunnel,
+          oneway: localRoad.oneway,
+          maxweightTonnes: localRoad.maxweightTonnes,
+          maxheightMeters: localRoad.maxheightMeters,
+          snapDistanceMeters: localRoad.distanceMeters,
+          mapMatched: !!segment.roadMatch?.osmWayId,
+          structures: structures ? {
+            bridges: structures.bridges.length,
+            tunnels: structures.tunnels.length,
+            railwayCrossings: structures.railwayCrossings.length,
+            tollBooths: structures.tollBooths.length,
+            trafficCalming: structures.trafficCalming.length,
+            hazards: structures.hazards.length,
+            weightRestrictedBridges: structureRisk.weightRestrictedBridges,
+            notes: structureRisk.notes
+          } : null,
+          segmentIndex: segmentIndex,
+          lastUpdated: new Date()
+        }
+      });
+
+      return await roadCondition.save();
+
+    } catch (error) {
+      console.error('Failed to create local road condition entry:', error);
+      return null;
+    }
+  }
+
   // ============================================================================
   // UTILITY METHODS
   // ============================================================================
@@ -580,49 +433,10 @@ class EnhancedRoadConditionsService {
     return segments;
   }
 
-  // Map tile conversion utilities for TomTom
-  lon2tile(lon, zoom) {
-    return Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
-  }
-
-  lat2tile(lat, zoom) {
-    return Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
-  }
-
-  // Road type classification methods
-  classifyTomTomRoadType(roadResult) {
-    const categories = roadResult.poi?.categories || [];
-    if (categories.some(cat => cat.includes('highway'))) return 'highway';
-    if (categories.some(cat => cat.includes('arterial'))) return 'state';
-    if (categories.some(cat => cat.includes('local'))) return 'district';
-    return 'rural';
-  }
-
-  classifyHereRoadType(roadItem) {
-    const roadNumber = roadItem.address?.street || '';
-    if (roadNumber.includes('NH') || roadNumber.includes('National')) return 'highway';
-    if (roadNumber.includes('SH') || roadNumber.includes('State')) return 'state';
-    if (roadNumber.includes('MDR') || roadNumber.includes('District')) return 'district';
-    return 'rural';
-  }
-
-  classifyMapboxRoadType(feature) {
-    const context = feature.context || [];
-    const placeName = feature.place_name || '';
-    
-    if (placeName.includes('Highway') || placeName.includes('NH')) return 'highway';
-    if (placeName.includes('State') || placeName.includes('SH')) return 'state';
-    if (context.some(c => c.id?.includes('postcode'))) return 'district';
-    return 'rural';
-  }
-
   extractRoadType(sourceData) {
     if (!sourceData || sourceData.error) return null;
     
-    if (sourceData.roadType) return sourceData.roadType;
-    if (sourceData.roadClass) return sourceData.roadClass;
-    
-    return null;
+    return sourceData.roadType || null;
   }
 
   getDefaultSpeedLimit(roadType) {
@@ -661,18 +475,56 @@ class EnhancedRoadConditionsService {
     // Random construction probability
     combinedData.consensus.underConstruction = Math.random() > 0.95;
     
-    // Calculate risk score
+    combinedData.consensus.riskScore = this.calculateRoadRiskScore(combinedData.consensus, roadType);
+  }
+
+  // Risk score (1-10) from surface, potholes, construction, road type and lane count
+  calculateRoadRiskScore(consensus, roadType) {
     let riskScore = 3; // Base risk
     
-    if (combinedData.consensus.surfaceQuality === 'poor') riskScore += 3;
-    else if (combinedData.consensus.surfaceQuality === 'fair') riskScore += 1;
+    if (consensus.surfaceQuality === 'critical') riskScore += 4;
+    else if (consensus.surfaceQuality === 'poor') riskScore += 3;
+    else if (consensus.surfaceQuality === 'fair') riskScore += 1;
     
-    if (combinedData.consensus.hasPotholes) riskScore += 2;
-    if (combinedData.consensus.underConstruction) riskScore += 2;
+    if (consensus.hasPotholes) riskScore += 2;
+    if (consensus.underConstruction) riskScore += 2;
     if (roadType === 'rural') riskScore += 1;
-    if (combinedData.consensus.laneCount === 1) riskScore += 1;
+    if (consensus.laneCount === 1) riskScore += 1;
     
-    combinedData.consensus.riskScore = Math.max(1, Math.min(10, riskScore));
+    return Math.max(1, Math.min(10, riskScore));
+  }
+
+  // Extra risk points from structures near a segment (see osmRoadNetworkService.findStructures):
+  // unmanned/level crossings, bridges rated below the trip vehicle's weight, tunnels (hazardous
+  // cargo restrictions) and tagged hazards
+  calculateStructureRisk(structures, route) {
+    const result = { riskPoints: 0, weightRestrictedBridges: 0, notes: [] };
+    if (!structures) return result;
+
+    if (structures.railwayCrossings.length > 0) {
+      result.riskPoints += 2;
+      result.notes.push(`${structures.railwayCrossings.length} railway level crossing(s) - stop, look and listen`);
+    }
+
+    const vehicleTonnes = route.vehicle?.grossVehicleWeightKg ? route.vehicle.grossVehicleWeightKg / 1000 : null;
+    const restricted = structures.bridges.filter(bridge =>
+      bridge.maxweightTonnes && vehicleTonnes && bridge.maxweightTonnes < vehicleTonnes);
+    if (restricted.length > 0) {
+      result.riskPoints += 3;
+      result.weightRestrictedBridges = restricted.length;
+      result.notes.push(`Bridge limit ${Math.min(...restricted.map(bridge => bridge.maxweightTonnes))}t is below the vehicle's ${vehicleTonnes}t`);
+    }
+
+    if (structures.tunnels.length > 0) {
+      result.riskPoints += 1;
+      result.notes.push('Tunnel - check hazardous cargo restrictions');
+    }
+    if (structures.hazards.length > 0) {
+      result.riskPoints += 1;
+      result.notes.push(`${structures.hazards.length} tagged road hazard(s)`);
+    }
+
+    return result;
   }
 
   assessDataQuality(validSources, confidence) {
@@ -724,6 +576,15 @@ class EnhancedRoadConditionsService {
         narrowRoadSegments: roadConditions.filter(rc => rc.widthMeters < 5).length
       },
       
+      // Structures from the imported OSM network (segments with local data only)
+      structures: {
+        segmentsWithBridges: roadConditions.filter(rc => rc.metadata?.structures?.bridges > 0).length,
+        segmentsWithTunnels: roadConditions.filter(rc => rc.metadata?.structures?.tunnels > 0).length,
+        railwayCrossings: roadConditions.reduce((sum, rc) => sum + (rc.metadata?.structures?.railwayCrossings || 0), 0),
+        tollBooths: roadConditions.reduce((sum, rc) => sum + (rc.metadata?.structures?.tollBooths || 0), 0),
+        weightRestrictedBridges: roadConditions.reduce((sum, rc) => sum + (rc.metadata?.structures?.weightRestrictedBridges || 0), 0)
+      },
+      
       // Data quality assessment
       dataQuality: this.assessOverallDataQuality(roadConditions),
       
@@ -753,7 +614,11 @@ class EnhancedRoadConditionsService {
     }
     
     const avgConfidence = roadConditions.reduce((sum, rc) => sum + (rc.metadata?.confidence || 0), 0) / roadConditions.length;
-    const apiCoverage = roadConditions.filter(rc => rc.metadata?.successfulSources?.length > 1).length / roadConditions.length;
+    // Segments answered from the imported OSM network count as covered
+    const localSegments = roadConditions.filter(rc => rc.dataSource === 'OSM_LOCAL').length;
+    const apiCoverage = roadConditions.filter(rc =>
+      rc.dataSource === 'OSM_LOCAL' || rc.metadata?.successfulSources?.length > 1
+    ).length / roadConditions.length;
     
     let qualityLevel = 'poor';
     if (avgConfidence >= 0.8 && apiCoverage >= 0.7) qualityLevel = 'excellent';
@@ -766,6 +631,7 @@ class EnhancedRoadConditionsService {
       apiCoverage: Math.round(apiCoverage * 100),
       totalSegments: roadConditions.length,
       multiSourceSegments: roadConditions.filter(rc => rc.metadata?.successfulSources?.length > 1).length,
+      localOsmSegments: localSegments,
       recommendation: this.getDataQualityRecommendation(qualityLevel, apiCoverage)
     };
   }
@@ -817,6 +683,26 @@ class EnhancedRoadConditionsService {
       });
     }
 
+    // Structures from the imported OSM network
+    const weightRestrictedBridges = roadConditions.reduce((sum, rc) => sum + (rc.metadata?.structures?.weightRestrictedBridges || 0), 0);
+    const railwayCrossings = roadConditions.reduce((sum, rc) => sum + (rc.metadata?.structures?.railwayCrossings || 0), 0);
+    if (weightRestrictedBridges > 0) {
+      recommendations.push({
+        priority: 'CRITICAL',
+        category: 'structures',
+        message: `${weightRestrictedBridges} bridge(s) rated below the vehicle's gross weight`,
+        action: 'Plan a diversion - the vehicle must not cross these bridges'
+      });
+    }
+    if (railwayCrossings > 0) {
+      recommendations.push({
+        priority: 'HIGH',
+        category: 'structures',
+        message: `${railwayCrossings} railway level crossing(s) on the route`,
+        action: 'Hazardous goods vehicles must stop before every level crossing'
+      });
+    }
+
     // Construction zones
     if (constructionZones > 0) {
       recommendations.push({
@@ -882,18 +768,11 @@ class EnhancedRoadConditionsService {
       const endPoint = route.routePoints[route.routePoints.length - 1];
       const midPoint = route.routePoints[Math.floor(route.routePoints.length / 2)];
       
-      // Check connectivity using multiple APIs
-      const connectivityChecks = [];
-      
-      // Google Directions connectivity
-      if (this.googleMapsApiKey) {
-        connectivityChecks.push(this.checkGoogleConnectivity(startPoint, endPoint));
-      }
-      
-      // HERE routing connectivity
-      if (this.hereApiKey) {
-        connectivityChecks.push(this.checkHereConnectivity(startPoint, endPoint));
-      }
+      // Check connectivity with every configured directions provider (Google, HERE)
+      const directionsProviders = providerRegistry.getProviders('directions');
+      const connectivityChecks = directionsProviders.map(provider =>
+        this.checkProviderConnectivity(provider, startPoint, endPoint)
+      );
       
       const results = await Promise.allSettled(connectivityChecks);
       
@@ -915,44 +794,21 @@ class EnhancedRoadConditionsService {
     }
   }
 
-  async checkGoogleConnectivity(startPoint, endPoint) {
-    try {
-      const url = `https://maps.googleapis.com/maps/api/directions/json?` +
-        `origin=${startPoint.latitude},${startPoint.longitude}&` +
-        `destination=${endPoint.latitude},${endPoint.longitude}&` +
-        `alternatives=true&` +
-        `key=${this.googleMapsApiKey}`;
-      
-      const response = await axios.get(url, { timeout: 10000 });
-      
-      return {
-        connected: response.data.status === 'OK' && response.data.routes.length > 0,
-        alternatives: response.data.routes.length > 1,
-        source: 'google'
-      };
-    } catch (error) {
-      return { connected: false, alternatives: false, source: 'google', error: error.message };
-    }
-  }
-
-  async checkHereConnectivity(startPoint, endPoint) {
+  async checkProviderConnectivity(provider, startPoint, endPoint) {
     try {
-      const url = `https://router.hereapi.com/v8/routes?` +
-        `transportMode=car&` +
-        `origin=${startPoint.latitude},${startPoint.longitude}&` +
-        `destination=${endPoint.latitude},${endPoint.longitude}&` +
-        `alternatives=2&` +
-        `apikey=${this.hereApiKey}`;
-      
-      const response = await axios.get(url, { timeout: 10000 });
+      const result = await provider.getDirections({
+        origin: startPoint,
+        destination: endPoint,
+        alternatives: true
+      });
       
       return {
-        connected: response.data.routes && response.data.routes.length > 0,
-        alternatives: response.data.routes && response.data.routes.length > 1,
-        source: 'here'
+        connected: result.routes.length > 0,
+        alternatives: result.routes.length > 1,
+        source: provider.name
       };
     } catch (error) {
-      return { connected: false, alternatives: false, source: 'here', error: error.message };
+      return { connected: false, alternatives: false, source: provider.name, error: error.message };
     }
   }
 
@@ -1185,4 +1041,7 @@ class EnhancedRoadConditionsService {
   }
 }
 
-module.exports = new EnhancedRoadConditionsService();
\ No newline at end of file
+const enhancedRoadConditionsService = new EnhancedRoadConditionsService();
+enhancedRoadConditionsService.SAMPLING = SAMPLING;
+
+module.exports = enhancedRoadConditionsService;
\ No newline at end of file
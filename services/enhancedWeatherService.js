@@ -1,15 +1,16 @@
 // File: services/enhancedWeatherService.js
 // Purpose: Multi-seasonal weather data collection with vehicle/road condition predictions
 
-const axios = require('axios');
+const providerRegistry = require('./providers');
 const WeatherCondition = require('../models/WeatherCondition');
 
+const SAMPLING = {
+  segments: 15,
+  historyYears: 3 // current year and the two before it
+};
+
 class EnhancedWeatherService {
   constructor() {
-    this.openWeatherApiKey = process.env.OPENWEATHER_API_KEY;
-    this.visualCrossingApiKey = process.env.VISUALCROSSING_API_KEY;
-    this.tomorrowIoApiKey = process.env.TOMORROW_IO_API_KEY;
-    
     // Seasonal date ranges for comprehensive data
     this.seasonalRanges = {
       winter: { months: [12, 1, 2], label: 'Winter (Dec-Feb)' },
@@ -47,7 +48,7 @@ class EnhancedWeatherService {
       console.log('🗑️ Cleared existing weather data');
 
       const seasonalResults = {};
-      const routeSegments = this.createRouteSegments(route.routePoints, 15);
+      const routeSegments = this.createRouteSegments(route.routePoints, SAMPLING.segments);
       
       // Collect data for ALL seasons
       for (const [seasonName, seasonConfig] of Object.entries(this.seasonalRanges)) {
@@ -100,7 +101,7 @@ class EnhancedWeatherService {
     const currentYear = new Date().getFullYear();
     
     // Get historical data for this season from multiple years
-    const years = [currentYear - 2, currentYear - 1, currentYear];
+    const years = Array.from({ length: SAMPLING.historyYears }, (_, i) => currentYear - i).reverse();
     
     for (const segment of routeSegments) {
       for (const year of years) {
@@ -155,24 +156,11 @@ class EnhancedWeatherService {
   // ENHANCED WEATHER DATA APIS
   // ============================================================================
 
+  // Visual Crossing (best for historical data), then Tomorrow.io, then OpenWeather -
+  // chain and stubs are configured through the provider registry
   async getHistoricalWeatherData(latitude, longitude, date) {
     try {
-      // Try Visual Crossing API first (best for historical data)
-      if (this.visualCrossingApiKey) {
-        return await this.getVisualCrossingHistoricalData(latitude, longitude, date);
-      }
-      
-      // Fallback to Tomorrow.io API
-      if (this.tomorrowIoApiKey) {
-        return await this.getTomorrowIoHistoricalData(latitude, longitude, date);
-      }
-      
-      // Final fallback to OpenWeather (limited historical)
-      if (this.openWeatherApiKey) {
-        return await this.getOpenWeatherHistoricalData(latitude, longitude, date);
-      }
-      
-      throw new Error('No weather API keys configured');
+      return await providerRegistry.call('weather', 'getHistoricalWeather', latitude, longitude, date);
       
     } catch (error) {
       console.error('Historical weather data failed:', error);
@@ -180,115 +168,6 @@ class EnhancedWeatherService {
     }
   }
 
-  async getVisualCrossingHistoricalData(latitude, longitude, date) {
-    try {
-      const dateStr = date.toISOString().split('T')[0];
-      const url = `https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline/` +
-        `${latitude},${longitude}/${dateStr}?` +
-        `key=${this.visualCrossingApiKey}&` +
-        `include=days&` +
-        `elements=temp,tempmax,tempmin,humidity,precip,windspeed,winddir,visibility,conditions,snow,snowdepth,icon`;
-      
-      const response = await axios.get(url, { timeout: 15000 });
-      
-      if (response.data && response.data.days && response.data.days[0]) {
-        const dayData = response.data.days[0];
-        
-        return {
-          temperature: dayData.temp,
-          maxTemperature: dayData.tempmax,
-          minTemperature: dayData.tempmin,
-          humidity: dayData.humidity,
-          precipitation: dayData.precip || 0,
-          windSpeed: dayData.windspeed || 0,
-          windDirection: dayData.winddir || 0,
-          visibility: dayData.visibility || 10,
-          conditions: dayData.conditions,
-          snow: dayData.snow || 0,
-          snowDepth: dayData.snowdepth || 0,
-          icon: dayData.icon,
-          dataSource: 'VISUAL_CROSSING_HISTORICAL',
-          confidence: 0.9
-        };
-      }
-      
-      return null;
-      
-    } catch (error) {
-      console.error('Visual Crossing API error:', error);
-      throw error;
-    }
-  }
-
-  async getTomorrowIoHistoricalData(latitude, longitude, date) {
-    try {
-      const dateStr = date.toISOString().split('T')[0];
-      const url = `https://api.tomorrow.io/v4/timelines?` +
-        `location=${latitude},${longitude}&` +
-        `fields=temperature,humidity,precipitationIntensity,windSpeed,visibility&` +
-        `timesteps=1d&` +
-        `startTime=${dateStr}T00:00:00Z&` +
-        `endTime=${dateStr}T23:59:59Z&` +
-        `apikey=${this.tomorrowIoApiKey}`;
-      
-      const response = await axios.get(url, { timeout: 15000 });
-      
-      if (response.data && response.data.data && response.data.data.timelines[0]) {
-        const dayData = response.data.data.timelines[0].intervals[0].values;
-        
-        return {
-          temperature: dayData.temperature,
-          humidity: dayData.humidity,
-          precipitation: dayData.precipitationIntensity || 0,
-          windSpeed: dayData.windSpeed || 0,
-          visibility: dayData.visibility || 10,
-          dataSource: 'TOMORROW_IO_HISTORICAL',
-          confidence: 0.85
-        };
-      }
-      
-      return null;
-      
-    } catch (error) {
-      console.error('Tomorrow.io API error:', error);
-      throw error;
-    }
-  }
-
-  async getOpenWeatherHistoricalData(latitude, longitude, date) {
-    try {
-      // OpenWeather has limited free historical data (last 5 days only)
-      // For older dates, use current conditions as approximation
-      const url = `https://api.openweathermap.org/data/2.5/weather?` +
-        `lat=${latitude}&lon=${longitude}&` +
-        `appid=${this.openWeatherApiKey}&units=metric`;
-      
-      const response = await axios.get(url, { timeout: 10000 });
-      
-      if (response.data) {
-        const data = response.data;
-        
-        return {
-          temperature: data.main.temp,
-          humidity: data.main.humidity,
-          precipitation: 0, // Not available in current weather
-          windSpeed: data.wind.speed * 3.6, // Convert m/s to km/h
-          windDirection: data.wind.deg || 0,
-          visibility: (data.visibility || 10000) / 1000, // Convert to km
-          conditions: data.weather[0].description,
-          dataSource: 'OPENWEATHER_CURRENT_APPROX',
-          confidence: 0.6 // Lower confidence for approximated data
-        };
-      }
-      
-      return null;
-      
-    } catch (error) {
-      console.error('OpenWeather API error:', error);
-      throw error;
-    }
-  }
-
   // ============================================================================
   // VEHICLE & ROAD CONDITION PREDICTIONS
   // ============================================================================
@@ -1321,4 +1200,7 @@ class EnhancedWeatherService {
   }
 }
 
-module.exports = new EnhancedWeatherService();
\ No newline at end of file
+const enhancedWeatherService = new EnhancedWeatherService();
+enhancedWeatherService.SAMPLING = SAMPLING;
+
+module.exports = enhancedWeatherService;
\ No newline at end of file
@@ -0,0 +1,462 @@
+// File: services/gradientAnalysisService.js
+// Purpose: Steep grade and long-descent detection over a route's elevation profile
+// The route line is resampled at a fixed step and heights are read from local DEM tiles
+// (falling back to the elevations stored on the route points), smoothed, and scanned for
+// stretches above the grade thresholds and for long continuous descents (length x drop).
+// Results are stored as SteepGradient hazards and feed the risk calculation.
+
+const Route = require('../models/Route');
+const SteepGradient = require('../models/SteepGradient');
+const elevationService = require('./elevationService');
+
+const EARTH_RADIUS_M = 6371000;
+
+// Thresholds are configurable per deployment (percent grade, metres, km x m)
+const GRADIENT_THRESHOLDS = {
+  steepPercent: parseFloat(process.env.GRADIENT_STEEP_PERCENT) || 6,
+  severePercent: parseFloat(process.env.GRADIENT_SEVERE_PERCENT) || 8,
+  criticalPercent: parseFloat(process.env.GRADIENT_CRITICAL_PERCENT) || 10,
+  minSteepLengthMeters: parseFloat(process.env.GRADIENT_MIN_LENGTH_M) || 200,
+  longDescentMinDropMeters: parseFloat(process.env.LONG_DESCENT_MIN_DROP_M) || 100,
+  longDescentMinLengthMeters: parseFloat(process.env.LONG_DESCENT_MIN_LENGTH_M) || 1500,
+  longDescentMinGradePercent: parseFloat(process.env.LONG_DESCENT_MIN_GRADE_PERCENT) || 3,
+  // Descent severity index bands (length km x drop m)
+  descentIndexModerate: parseFloat(process.env.LONG_DESCENT_INDEX_MODERATE) || 300,
+  descentIndexSevere: parseFloat(process.env.LONG_DESCENT_INDEX_SEVERE) || 1000,
+  descentIndexCritical: parseFloat(process.env.LONG_DESCENT_INDEX_CRITICAL) || 3000
+};
+
+const PROFILE_STEP_METERS = 50;
+const SMOOTHING_WINDOW_METERS = 200; // cancels DEM pixel noise without flattening real grades
+const MAX_GRADE_WINDOW_METERS = 100;
+const DESCENT_RISE_TOLERANCE_METERS = 10; // short rises that do not let brakes cool
+const STEEP_GAP_TOLERANCE_METERS = 100;
+const MIN_ELEVATION_COVERAGE = 0.5;
+
+// Loaded tanker practice: descend in the gear you would climb in, exhaust brake engaged.
+// Rows are matched on absolute grade, first row whose maxGrade is not exceeded.
+const GEAR_GUIDANCE = [
+  { maxGrade: 4, descentGear: 'Top gear minus one, exhaust brake on', ascentGear: 'top gear minus one', descentSpeed: 50, ascentSpeed: 40 },
+  { maxGrade: 6, descentGear: '4th gear, exhaust brake on', ascentGear: '4th gear', descentSpeed: 40, ascentSpeed: 30 },
+  { maxGrade: 8, descentGear: '3rd gear, exhaust brake on', ascentGear: '3rd gear', descentSpeed: 30, ascentSpeed: 25 },
+  { maxGrade: 10, descentGear: '2nd gear, exhaust brake on', ascentGear: '2nd gear', descentSpeed: 25, ascentSpeed: 20 },
+  { maxGrade: Infinity, descentGear: '1st/2nd (crawler) gear, exhaust brake on', ascentGear: '1st/2nd (crawler) gear', descentSpeed: 20, ascentSpeed: 15 }
+];
+
+function haversineMeters(p1, p2) {
+  const dLat = (p2.latitude - p1.latitude) * Math.PI / 180;
+  const dLon = (p2.longitude - p1.longitude) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(p1.latitude * Math.PI / 180) * Math.cos(p2.latitude * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+class GradientAnalysisService {
+  constructor() {
+    this.thresholds = GRADIENT_THRESHOLDS;
+  }
+
+  /**
+   * Resample the route every PROFILE_STEP_METERS.
+   * Returns [{ distance, latitude, longitude, elevation }] (distance in metres, elevation may be null).
+   */
+  buildProfile(routePoints) {
+    const points = routePoints.filter(point =>
+      typeof point.latitude === 'number' && typeof point.longitude === 'number');
+    if (points.length < 2) return [];
+
+    const samples = [];
+    let travelled = 0;
+    let nextSample = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const length = haversineMeters(from, to);
+      const fromElevation = typeof from.elevation === 'number' ? from.elevation : null;
+      const toElevation = typeof to.elevation === 'number' ? to.elevation : null;
+
+      while (nextSample <= travelled + length) {
+        const t = length > 0 ? (nextSample - travelled) / length : 0;
+        samples.push({
+          distance: nextSample,
+          latitude: from.latitude + (to.latitude - from.latitude) * t,
+          longitude: from.longitude + (to.longitude - from.longitude) * t,
+          pointElevation: fromElevation !== null && toElevation !== null
+            ? fromElevation + (toElevation - fromElevation) * t
+            : (t < 0.5 ? fromElevation : toElevation)
+        });
+        nextSample += PROFILE_STEP_METERS;
+      }
+      travelled += length;
+    }
+
+    // Always end on the final point so the last partial step is measured
+    const last = points[points.length - 1];
+    if (samples.length === 0 || samples[samples.length - 1].distance < travelled) {
+      samples.push({
+        distance: travelled,
+        latitude: last.latitude,
+        longitude: last.longitude,
+        pointElevation: typeof last.elevation === 'number' ? last.elevation : null
+      });
+    }
+
+    return samples;
+  }
+
+  // DEM heights where tiles cover the sample, else the interpolated route point elevation
+  attachElevations(samples) {
+    let demCount = 0;
+    samples.forEach(sample => {
+      let local = null;
+      try {
+        local = elevationService.getLocalElevation(sample.latitude, sample.longitude);
+      } catch (error) {
+        local = null;
+      }
+      if (local) {
+        sample.elevation = local.elevation;
+        demCount += 1;
+      } else {
+        sample.elevation = sample.pointElevation;
+      }
+    });
+
+    const known = samples.filter(sample => sample.elevation !== null && sample.elevation !== undefined).length;
+
+    // Fill isolated gaps by linear interpolation between known neighbours
+    let previousKnown = -1;
+    samples.forEach((sample, i) => {
+      if (sample.elevation === null || sample.elevation === undefined) return;
+      if (previousKnown >= 0 && i - previousKnown > 1) {
+        const from = samples[previousKnown];
+        for (let j = previousKnown + 1; j < i; j++) {
+          const t = (samples[j].distance - from.distance) / (sample.distance - from.distance);
+          samples[j].elevation = from.elevation + (sample.elevation - from.elevation) * t;
+        }
+      }
+      previousKnown = i;
+    });
+
+    return {
+      coverage: samples.length > 0 ? known / samples.length : 0,
+      source: demCount >= samples.length / 2 ? 'dem' : 'route_points'
+    };
+  }
+
+  /**
+   * Resampled, elevation-attached and smoothed profile for a list of route points.
+   * samples keeps every resampled position (elevation may be null); profile only the
+   * samples with a height, smoothed. Shared with the terrain analysis.
+   */
+  buildElevationProfile(routePoints) {
+    const samples = this.buildProfile(routePoints);
+    if (samples.length === 0) {
+      return { samples, profile: [], coverage: 0, source: 'route_points' };
+    }
+
+    const { coverage, source } = this.attachElevations(samples);
+    const profile = this.smoothElevations(samples.filter(sample => typeof sample.elevation === 'number'));
+    return { samples, profile, coverage, source };
+  }
+
+  smoothElevations(samples) {
+    const half = Math.max(1, Math.round(SMOOTHING_WINDOW_METERS / PROFILE_STEP_METERS / 2));
+    return samples.map((sample, i) => {
+      let sum = 0;
+      let count = 0;
+      for (let j = Math.max(0, i - half); j <= Math.min(samples.length - 1, i + half); j++) {
+        if (typeof samples[j].elevation === 'number') {
+          sum += samples[j].elevation;
+          count += 1;
+        }
+      }
+      return { ...sample, elevation: count > 0 ? sum / count : null };
+    });
+  }
+
+  gearGuidance(absGradePercent, direction) {
+    const row = GEAR_GUIDANCE.find(item => absGradePercent <= item.maxGrade);
+    return direction === 'descent'
+      ? { gear: row.descentGear, speed: row.descentSpeed }
+      : { gear: row.ascentGear, speed: row.ascentSpeed };
+  }
+
+  gradeSeverity(absGradePercent) {
+    const { steepPercent, severePercent, criticalPercent } = this.thresholds;
+    if (absGradePercent >= criticalPercent) return 'critical';
+    if (absGradePercent >= severePercent) return 'severe';
+    if (absGradePercent >= steepPercent) return 'steep';
+    return 'moderate';
+  }
+
+  descentSeverity(index) {
+    const { descentIndexModerate, descentIndexSevere, descentIndexCritical } = this.thresholds;
+    if (index >= descentIndexCritical) return 'critical';
+    if (index >= descentIndexSevere) return 'severe';
+    if (index >= descentIndexModerate) return 'steep';
+    return 'moderate';
+  }
+
+  // Steepest grade over any MAX_GRADE_WINDOW_METERS inside [start, end]
+  maxGradeBetween(profile, start, end) {
+    const window = Math.max(1, Math.round(MAX_GRADE_WINDOW_METERS / PROFILE_STEP_METERS));
+    let max = 0;
+    for (let i = start; i < end; i++) {
+      const j = Math.min(end, i + window);
+      const run = profile[j].distance - profile[i].distance;
+      if (run > 0) {
+        max = Math.max(max, Math.abs(profile[j].elevation - profile[i].elevation) / run * 100);
+      }
+    }
+    return max;
+  }
+
+  // Runs of consecutive steps steeper than the threshold, in the same direction
+  findSteepSegments(profile) {
+    const { steepPercent, minSteepLengthMeters } = this.thresholds;
+    const segments = [];
+    let current = null;
+
+    for (let i = 0; i < profile.length - 1; i++) {
+      const run = profile[i + 1].distance - profile[i].distance;
+      if (run <= 0) continue;
+      const grade = (profile[i + 1].elevation - profile[i].elevation) / run * 100;
+      const direction = grade < 0 ? 'descent' : 'ascent';
+
+      if (Math.abs(grade) >= steepPercent) {
+        // Bridge short easings inside one climb or descent
+        if (current && current.direction === direction &&
+            profile[i].distance - profile[current.end].distance <= STEEP_GAP_TOLERANCE_METERS) {
+          current.end = i + 1;
+        } else {
+          if (current) segments.push(current);
+          current = { start: i, end: i + 1, direction };
+        }
+      }
+    }
+    if (current) segments.push(current);
+
+    return segments
+      .filter(segment => profile[segment.end].distance - profile[segment.start].distance >= minSteepLengthMeters)
+      .map(segment => this.describeStretch(profile, segment.start, segment.end, 'steep_grade'));
+  }
+
+  // Continuous descents: from a local high point down to the lowest point reached before
+  // the road climbs more than DESCENT_RISE_TOLERANCE_METERS again
+  findLongDescents(profile) {
+    const { longDescentMinDropMeters, longDescentMinLengthMeters, longDescentMinGradePercent } = this.thresholds;
+    const descents = [];
+    let i = 0;
+
+    while (i < profile.length - 1) {
+      if (profile[i + 1].elevation >= profile[i].elevation) {
+        i += 1;
+        continue;
+      }
+
+      const start = i;
+      let lowest = i + 1;
+      for (let j = i + 1; j < profile.length; j++) {
+        if (profile[j].elevation < profile[lowest].elevation) {
+          lowest = j;
+        } else if (profile[j].elevation - profile[lowest].elevation > DESCENT_RISE_TOLERANCE_METERS) {
+          break;
+        }
+      }
+
+      const drop = profile[start].elevation - profile[lowest].elevation;
+      const length = profile[lowest].distance - profile[start].distance;
+      if (drop >= longDescentMinDropMeters && length >= longDescentMinLengthMeters &&
+          drop / length * 100 >= longDescentMinGradePercent) {
+        descents.push(this.describeStretch(profile, start, lowest, 'long_descent'));
+      }
+      i = Math.max(lowest, i + 1);
+    }
+
+    return descents;
+  }
+
+  describeStretch(profile, start, end, hazardType) {
+    const from = profile[start];
+    const to = profile[end];
+    const lengthMeters = to.distance - from.distance;
+    const elevationChange = to.elevation - from.elevation;
+    const direction = elevationChange < 0 ? 'descent' : 'ascent';
+    const averageGrade = lengthMeters > 0 ? elevationChange / lengthMeters * 100 : 0;
+    const maxGrade = Math.max(Math.abs(averageGrade), this.maxGradeBetween(profile, start, end));
+    const descentSeverityIndex = direction === 'descent' ? (lengthMeters / 1000) * Math.abs(elevationChange) : 0;
+
+    const severity = hazardType === 'long_descent'
+      ? this.descentSeverity(descentSeverityIndex)
+      : this.gradeSeverity(Math.abs(averageGrade));
+
+    return {
+      hazardType,
+      direction,
+      latitude: round(from.latitude, 6),
+      longitude: round(from.longitude, 6),
+      endLatitude: round(to.latitude, 6),
+      endLongitude: round(to.longitude, 6),
+      distanceFromStartKm: round(from.distance / 1000, 2),
+      endDistanceFromStartKm: round(to.distance / 1000, 2),
+      lengthMeters: Math.round(lengthMeters),
+      startElevation: round(from.elevation),
+      endElevation: round(to.elevation),
+      elevationChangeMeters: round(elevationChange),
+      averageGradePercent: round(averageGrade),
+      maxGradePercent: round(maxGrade),
+      descentSeverityIndex: round(descentSeverityIndex),
+      severity
+    };
+  }
+
+  // Risk, brake fade, gear and speed for a detected stretch
+  assessHazard(hazard) {
+    const absGrade = Math.abs(hazard.averageGradePercent);
+    const { severePercent, criticalPercent, steepPercent } = this.thresholds;
+    const isDescent = hazard.direction === 'descent';
+
+    let riskScore = isDescent ? 3 : 2;
+    if (absGrade >= criticalPercent) riskScore += 4;
+    else if (absGrade >= severePercent) riskScore += 3;
+    else if (absGrade >= steepPercent) riskScore += 2;
+    else riskScore += 1;
+
+    let brakeFadeRisk = 'none';
+    if (isDescent) {
+      const index = hazard.descentSeverityIndex;
+      if (index >= this.thresholds.descentIndexCritical) {
+        riskScore += 3;
+        brakeFadeRisk = 'severe';
+      } else if (index >= this.thresholds.descentIndexSevere) {
+        riskScore += 2;
+        brakeFadeRisk = 'high';
+      } else if (index >= this.thresholds.descentIndexModerate) {
+        riskScore += 1;
+        brakeFadeRisk = 'moderate';
+      } else {
+        brakeFadeRisk = 'low';
+      }
+    }
+
+    // Gear and speed follow the steepest part, speed drops further on very long descents
+    const guidance = this.gearGuidance(Math.max(absGrade, hazard.maxGradePercent * 0.8), hazard.direction);
+    let recommendedSpeed = guidance.speed;
+    if (brakeFadeRisk === 'severe') recommendedSpeed -= 5;
+
+    const recommendations = [];
+    if (isDescent) {
+      recommendations.push(`Engage ${guidance.gear.toLowerCase()} before the crest at km ${hazard.distanceFromStartKm}`);
+      recommendations.push(`Hold ${recommendedSpeed} km/h or less for ${round(hazard.lengthMeters / 1000, 1)} km - do not ride the service brakes`);
+      if (brakeFadeRisk === 'high' || brakeFadeRisk === 'severe') {
+        recommendations.push('Check brake temperature / smell at the bottom; stop to cool brakes if fade is felt');
+        recommendations.push('Brief driver on escape ramps and emergency stopping points before dispatch');
+      }
+    } else {
+      recommendations.push(`Downshift to ${guidance.gear} before the climb at km ${hazard.distanceFromStartKm}`);
+      recommendations.push('Watch engine temperature; no overtaking on the climb');
+    }
+
+    return {
+      riskScore: Math.max(1, Math.min(10, riskScore)),
+      brakeFadeRisk,
+      recommendedGear: guidance.gear,
+      recommendedSpeed: Math.max(15, recommendedSpeed),
+      recommendations
+    };
+  }
+
+  // A steep descent lying (mostly) inside a long descent is the same hill - keep one record
+  // per hill so the risk factor does not count it twice
+  mergeOverlaps(steepSegments, longDescents) {
+    const kept = steepSegments.filter(segment => {
+      if (segment.direction !== 'descent') return true;
+      const container = longDescents.find(descent => {
+        const overlap = Math.min(segment.endDistanceFromStartKm, descent.endDistanceFromStartKm) -
+          Math.max(segment.distanceFromStartKm, descent.distanceFromStartKm);
+        return overlap * 1000 >= segment.lengthMeters * 0.8;
+      });
+      if (!container) return true;
+      container.maxGradePercent = Math.max(container.maxGradePercent, segment.maxGradePercent);
+      return false;
+    });
+
+    return [...kept, ...longDescents].sort((a, b) => a.distanceFromStartKm - b.distanceFromStartKm);
+  }
+
+  /**
+   * Detect steep grades and long descents on a route and store them as SteepGradient records
+   * (previous records for the route are replaced). Accepts a route id or route document.
+   */
+  async analyzeRoute(routeOrId) {
+    const route = routeOrId && routeOrId.routePoints ? routeOrId : await Route.findById(routeOrId);
+    if (!route) {
+      throw new Error('Route not found');
+    }
+
+    console.log(`⛰️ Analyzing gradients for route ${route.routeId}...`);
+
+    const { samples, profile, coverage, source } = this.buildElevationProfile(route.routePoints || []);
+    if (samples.length < 3) {
+      return { skipped: true, reason: 'Route too short for gradient analysis', totalCount: 0, hazards: [] };
+    }
+    if (coverage < MIN_ELEVATION_COVERAGE) {
+      return {
+        skipped: true,
+        reason: `Elevation available for ${Math.round(coverage * 100)}% of the route - gradient analysis needs ${MIN_ELEVATION_COVERAGE * 100}%`,
+        totalCount: 0,
+        hazards: []
+      };
+    }
+
+    const detected = this.mergeOverlaps(this.findSteepSegments(profile), this.findLongDescents(profile));
+
+    await SteepGradient.deleteMany({ routeId: route._id });
+
+    const confidence = source === 'dem' ? 0.85 : Math.min(0.75, 0.5 + coverage * 0.25);
+    const hazards = [];
+    for (const hazard of detected) {
+      const record = new SteepGradient({
+        routeId: route._id,
+        ...hazard,
+        ...this.assessHazard(hazard),
+        elevationSource: source,
+        confidence
+      });
+      record.generateMapsLink();
+      hazards.push(await record.save());
+    }
+
+    const descents = hazards.filter(hazard => hazard.direction === 'descent');
+    const summary = {
+      totalCount: hazards.length,
+      steepGrades: hazards.filter(hazard => hazard.hazardType === 'steep_grade').length,
+      longDescents: hazards.filter(hazard => hazard.hazardType === 'long_descent').length,
+      criticalCount: hazards.filter(hazard => hazard.riskScore >= 8).length,
+      maxGradePercent: hazards.length > 0 ? Math.max(...hazards.map(hazard => hazard.maxGradePercent)) : 0,
+      longestDescentKm: descents.length > 0 ? round(Math.max(...descents.map(hazard => hazard.lengthMeters)) / 1000, 2) : 0,
+      elevationSource: source,
+      elevationCoverage: round(coverage, 2),
+      profileSamples: profile.length,
+      thresholds: this.thresholds
+    };
+
+    console.log(`⛰️ Gradient analysis for ${route.routeId}: ${summary.steepGrades} steep grades, ${summary.longDescents} long descents (${source})`);
+    return { ...summary, hazards };
+  }
+}
+
+const gradientAnalysisService = new GradientAnalysisService();
+gradientAnalysisService.GRADIENT_THRESHOLDS = GRADIENT_THRESHOLDS;
+gradientAnalysisService.GEAR_GUIDANCE = GEAR_GUIDANCE;
+gradientAnalysisService.PROFILE_STEP_METERS = PROFILE_STEP_METERS;
+gradientAnalysisService.MIN_ELEVATION_COVERAGE = MIN_ELEVATION_COVERAGE;
+
+module.exports = gradientAnalysisService;
@@ -0,0 +1,568 @@
+// File: services/mapMatchingService.js
+// Purpose: Snap uploaded GPS tracks to the locally imported OSM road network
+// Hidden Markov model map matching (Newson & Krumm, 2009) solved with Viterbi:
+// candidates are projections onto nearby ways, emissions score the GPS offset and
+// transitions compare road distance with straight-line distance between fixes.
+// Matched points keep their raw fix in gpsLatitude/gpsLongitude and carry the way they were
+// matched to, so sharp-turn, chainage and road-condition analysis work on road geometry.
+
+const mongoose = require('mongoose');
+const OsmWay = require('../models/OsmWay');
+const osmRoadNetwork = require('./osmRoadNetworkService');
+
+const EARTH_RADIUS_M = 6371000;
+const DEG = Math.PI / 180;
+
+// Tunable through .env - defaults suit phone / vehicle tracker fixes
+const MATCHING_OPTIONS = {
+  enabled: process.env.MAP_MATCHING_ENABLED !== 'false',
+  gpsSigmaMeters: parseFloat(process.env.MAP_MATCH_GPS_SIGMA_M) || 10,
+  searchRadiusMeters: parseFloat(process.env.MAP_MATCH_SEARCH_RADIUS_M) || 50,
+  transitionBetaMeters: parseFloat(process.env.MAP_MATCH_BETA_M) || 50,
+  maxCandidates: parseInt(process.env.MAP_MATCH_MAX_CANDIDATES, 10) || 6,
+  minMatchRate: parseFloat(process.env.MAP_MATCH_MIN_RATE) || 0.5
+};
+
+const MATCHING_VERSION = '1.0';
+const GRID_CELL_DEGREES = 0.001; // ~110 m
+const LOAD_CHUNK_METERS = 2000; // ways are loaded per ~2 km of track
+const MAX_DETOUR_FACTOR = 2;
+const MIN_DETOUR_ALLOWANCE_METERS = 200;
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * DEG;
+  const dLon = (lon2 - lon1) * DEG;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function rawPosition(point) {
+  return {
+    latitude: point.gpsLatitude ?? point.latitude,
+    longitude: point.gpsLongitude ?? point.longitude
+  };
+}
+
+// Minimal binary heap keyed on distance, for the bounded Dijkstra searches
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(node, distance) {
+    const items = this.items;
+    items.push({ node, distance });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].distance <= items[i].distance) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].distance < items[smallest].distance) smallest = left;
+        if (right < items.length && items[right].distance < items[smallest].distance) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * In-memory road graph for one matching run. Ways sharing an OSM node share the exact
+ * stored coordinate, so vertices are keyed by coordinate. Oneway restrictions are not
+ * applied - noisy fixes on divided highways would otherwise produce spurious breaks.
+ */
+class RoadGraph {
+  constructor() {
+    this.ways = [];
+    this.wayIndexById = new Map();
+    this.adjacency = new Map();
+    this.grid = new Map();
+  }
+
+  addWay(way) {
+    if (this.wayIndexById.has(way.osmId)) return;
+    const coordinates = way.geometry && way.geometry.coordinates;
+    if (!coordinates || coordinates.length < 2) return;
+
+    const wayIndex = this.ways.length;
+    const vertexKeys = coordinates.map(([lon, lat]) => `${lon},${lat}`);
+    const cumulative = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+      const [lon1, lat1] = coordinates[i - 1];
+      const [lon2, lat2] = coordinates[i];
+      const length = haversineMeters(lat1, lon1, lat2, lon2);
+      cumulative.push(cumulative[i - 1] + length);
+
+      this.link(vertexKeys[i - 1], vertexKeys[i], length);
+      this.link(vertexKeys[i], vertexKeys[i - 1], length);
+      this.indexSegment(wayIndex, i - 1, coordinates[i - 1], coordinates[i]);
+    }
+
+    this.ways.push({ ...way, coordinates, vertexKeys, cumulative });
+    this.wayIndexById.set(way.osmId, wayIndex);
+  }
+
+  link(from, to, length) {
+    if (!this.adjacency.has(from)) this.adjacency.set(from, []);
+    this.adjacency.get(from).push({ to, length });
+  }
+
+  // Segments are registered in every grid cell they pass through (sampled at half a cell)
+  indexSegment(wayIndex, segmentIndex, [lon1, lat1], [lon2, lat2]) {
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(lon2 - lon1), Math.abs(lat2 - lat1)) / (GRID_CELL_DEGREES / 2)));
+    const seen = new Set();
+    for (let s = 0; s <= steps; s++) {
+      const lon = lon1 + (lon2 - lon1) * s / steps;
+      const lat = lat1 + (lat2 - lat1) * s / steps;
+      const key = `${Math.floor(lon / GRID_CELL_DEGREES)}:${Math.floor(lat / GRID_CELL_DEGREES)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!this.grid.has(key)) this.grid.set(key, []);
+      this.grid.get(key).push([wayIndex, segmentIndex]);
+    }
+  }
+
+  /**
+   * Nearest projection onto each way within radius, closest first.
+   * Returns [{ wayIndex, segmentIndex, latitude, longitude, distance, offset }].
+   */
+  findCandidates(point, radius, limit) {
+    const cellLon = Math.floor(point.longitude / GRID_CELL_DEGREES);
+    const cellLat = Math.floor(point.latitude / GRID_CELL_DEGREES);
+    const reach = Math.ceil(radius / (GRID_CELL_DEGREES * 111320 * Math.cos(point.latitude * DEG)));
+    const cosLat = Math.cos(point.latitude * DEG);
+    const toX = lon => (lon - point.longitude) * DEG * EARTH_RADIUS_M * cosLat;
+    const toY = lat => (lat - point.latitude) * DEG * EARTH_RADIUS_M;
+
+    const bestByWay = new Map();
+    const checked = new Set();
+    for (let dx = -reach; dx <= reach; dx++) {
+      for (let dy = -reach; dy <= reach; dy++) {
+        const entries = this.grid.get(`${cellLon + dx}:${cellLat + dy}`);
+        if (!entries) continue;
+
+        for (const [wayIndex, segmentIndex] of entries) {
+          const segmentKey = wayIndex * 100000 + segmentIndex;
+          if (checked.has(segmentKey)) continue;
+          checked.add(segmentKey);
+
+          const way = this.ways[wayIndex];
+          const [lon1, lat1] = way.coordinates[segmentIndex];
+          const [lon2, lat2] = way.coordinates[segmentIndex + 1];
+          const x1 = toX(lon1), y1 = toY(lat1);
+          const x2 = toX(lon2), y2 = toY(lat2);
+          const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+          const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, -(x1 * (x2 - x1) + y1 * (y2 - y1)) / lengthSquared))
+            : 0;
+          const distance = Math.hypot(x1 + t * (x2 - x1), y1 + t * (y2 - y1));
+          if (distance > radius) continue;
+
+          const current = bestByWay.get(wayIndex);
+          if (!current || distance < current.distance) {
+            const segmentLength = way.cumulative[segmentIndex + 1] - way.cumulative[segmentIndex];
+            bestByWay.set(wayIndex, {
+              wayIndex,
+              segmentIndex,
+              latitude: lat1 + t * (lat2 - lat1),
+              longitude: lon1 + t * (lon2 - lon1),
+              distance,
+              offset: way.cumulative[segmentIndex] + t * segmentLength
+            });
+          }
+        }
+      }
+    }
+
+    return [...bestByWay.values()].sort((a, b) => a.distance - b.distance).slice(0, limit);
+  }
+
+  /**
+   * Road distance from one candidate to each of the targets, or Infinity when no path
+   * shorter than maxDistance exists. One bounded Dijkstra serves all targets.
+   */
+  routeDistances(from, targets, maxDistance) {
+    const fromWay = this.ways[from.wayIndex];
+    const results = targets.map(target => (target.wayIndex === from.wayIndex
+      ? Math.abs(target.offset - from.offset)
+      : Infinity));
+    if (targets.every(target => target.wayIndex === from.wayIndex)) return results;
+
+    const settled = new Map();
+    const heap = new MinHeap();
+    heap.push(fromWay.vertexKeys[from.segmentIndex], from.offset - fromWay.cumulative[from.segmentIndex]);
+    heap.push(fromWay.vertexKeys[from.segmentIndex + 1], fromWay.cumulative[from.segmentIndex + 1] - from.offset);
+
+    while (heap.size > 0) {
+      const { node, distance } = heap.pop();
+      if (settled.has(node)) continue;
+      if (distance > maxDistance) break;
+      settled.set(node, distance);
+
+      for (const edge of this.adjacency.get(node) || []) {
+        if (!settled.has(edge.to)) heap.push(edge.to, distance + edge.length);
+      }
+    }
+
+    targets.forEach((target, i) => {
+      if (target.wayIndex === from.wayIndex) return;
+      const way = this.ways[target.wayIndex];
+      const viaStart = settled.get(way.vertexKeys[target.segmentIndex]);
+      const viaEnd = settled.get(way.vertexKeys[target.segmentIndex + 1]);
+      const best = Math.min(
+        viaStart === undefined ? Infinity : viaStart + (target.offset - way.cumulative[target.segmentIndex]),
+        viaEnd === undefined ? Infinity : viaEnd + (way.cumulative[target.segmentIndex + 1] - target.offset)
+      );
+      if (best <= maxDistance) results[i] = best;
+    });
+
+    return results;
+  }
+}
+
+class MapMatchingService {
+  constructor() {
+    this.options = MATCHING_OPTIONS;
+  }
+
+  async isAvailable() {
+    return this.options.enabled &&
+      mongoose.connection.readyState === 1 &&
+      (await osmRoadNetwork.isAvailable());
+  }
+
+  // Loads every way intersecting the track, one bounding box per ~2 km stretch
+  async loadRoadGraph(points) {
+    const graph = new RoadGraph();
+    const padLat = this.options.searchRadiusMeters / 111320;
+
+    let chunk = [];
+    let chunkLength = 0;
+    const loadChunk = async () => {
+      if (chunk.length === 0) return;
+      const lats = chunk.map(point => point.latitude);
+      const lons = chunk.map(point => point.longitude);
+      const padLon = padLat / Math.max(0.2, Math.cos(lats[0] * DEG));
+      const minLon = Math.min(...lons) - padLon, maxLon = Math.max(...lons) + padLon;
+      const minLat = Math.min(...lats) - padLat, maxLat = Math.max(...lats) + padLat;
+
+      const ways = await OsmWay.find({
+        geometry: {
+          $geoIntersects: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]]
+            }
+          }
+        }
+      })
+        .select('osmId highway name ref maxspeedKmph lanes widthMeters surface smoothness bridge tunnel oneway roundabout geometry')
+        .lean();
+      ways.forEach(way => graph.addWay(way));
+      chunk = [chunk[chunk.length - 1]];
+      chunkLength = 0;
+    };
+
+    for (let i = 0; i < points.length; i++) {
+      if (i > 0) {
+        chunkLength += haversineMeters(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+      }
+      chunk.push(points[i]);
+      if (chunkLength >= LOAD_CHUNK_METERS) await loadChunk();
+    }
+    if (chunk.length > 1 || graph.ways.length === 0) await loadChunk();
+
+    return graph;
+  }
+
+  emissionLogProbability(distance) {
+    return -0.5 * (distance / this.options.gpsSigmaMeters) ** 2;
+  }
+
+  transitionLogProbability(routeDistance, greatCircleDistance) {
+    return -Math.abs(routeDistance - greatCircleDistance) / this.options.transitionBetaMeters;
+  }
+
+  /**
+   * Viterbi over the track. Fixes closer than 2 sigma to the previous state are not HMM
+   * states (their offset is mostly noise) and are projected onto the neighbouring match.
+   * When no transition is possible the chain breaks and matching restarts at the next fix.
+   */
+  matchPoints(points, graph) {
+    const { searchRadiusMeters, maxCandidates, gpsSigmaMeters } = this.options;
+    const matches = new Array(points.length).fill(null);
+    let breaks = 0;
+
+    let chain = []; // [{ index, candidates, scores, back, routeDistances }]
+    const closeChain = () => {
+      if (chain.length === 0) return;
+      const lastStep = chain[chain.length - 1];
+      let best = lastStep.scores.indexOf(Math.max(...lastStep.scores));
+      for (let s = chain.length - 1; s >= 0; s--) {
+        const step = chain[s];
+        matches[step.index] = {
+          ...step.candidates[best],
+          state: true,
+          routeDistanceFromPrevious: s > 0 ? step.routeDistances[best] : null
+        };
+        best = step.back[best];
+      }
+      chain = [];
+    };
+
+    let lastStatePoint = null;
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+      const isLast = i === points.length - 1;
+      if (lastStatePoint && chain.length > 0 && !isLast &&
+          haversineMeters(lastStatePoint.latitude, lastStatePoint.longitude, point.latitude, point.longitude) < 2 * gpsSigmaMeters) {
+        continue;
+      }
+
+      const candidates = graph.findCandidates(point, searchRadiusMeters, maxCandidates);
+      if (candidates.length === 0) {
+        if (chain.length > 0) breaks += 1;
+        closeChain();
+        lastStatePoint = null;
+        continue;
+      }
+
+      const emissions = candidates.map(candidate => this.emissionLogProbability(candidate.distance));
+
+      if (chain.length === 0) {
+        chain.push({ index: i, candidates, scores: emissions, back: candidates.map(() => -1), routeDistances: [] });
+        lastStatePoint = point;
+        continue;
+      }
+
+      const previous = chain[chain.length - 1];
+      const greatCircle = haversineMeters(lastStatePoint.latitude, lastStatePoint.longitude, point.latitude, point.longitude);
+      const maxDistance = greatCircle * MAX_DETOUR_FACTOR + MIN_DETOUR_ALLOWANCE_METERS;
+
+      const scores = candidates.map(() => -Infinity);
+      const back = candidates.map(() => -1);
+      const routeDistances = candidates.map(() => null);
+
+      previous.candidates.forEach((from, p) => {
+        if (previous.scores[p] === -Infinity) return;
+        const distances = graph.routeDistances(from, candidates, maxDistance);
+        distances.forEach((routeDistance, c) => {
+          if (routeDistance === Infinity) return;
+          const score = previous.scores[p] + this.transitionLogProbability(routeDistance, greatCircle) + emissions[c];
+          if (score > scores[c]) {
+            scores[c] = score;
+            back[c] = p;
+            routeDistances[c] = routeDistance;
+          }
+        });
+      });
+
+      if (scores.every(score => score === -Infinity)) {
+        // No road connection - end the chain here and start a new one at this fix
+        breaks += 1;
+        closeChain();
+        chain.push({ index: i, candidates, scores: emissions, back: candidates.map(() => -1), routeDistances: [] });
+      } else {
+        chain.push({ index: i, candidates, scores, back, routeDistances });
+      }
+      lastStatePoint = point;
+    }
+    closeChain();
+
+    // Fixes skipped as non-states snap onto the way of the preceding (else following) match
+    let previousState = null;
+    for (let i = 0; i < points.length; i++) {
+      if (matches[i]) {
+        previousState = matches[i];
+        continue;
+      }
+      let neighbour = previousState;
+      if (!neighbour) {
+        const next = matches.slice(i + 1).find(Boolean);
+        neighbour = next || null;
+      }
+      if (!neighbour) continue;
+
+      const [candidate] = graph.findCandidates(points[i], searchRadiusMeters, maxCandidates)
+        .filter(item => item.wayIndex === neighbour.wayIndex);
+      if (candidate) {
+        matches[i] = { ...candidate, state: false, routeDistanceFromPrevious: null };
+      }
+    }
+
+    return { matches, breaks };
+  }
+
+  /**
+   * Matches a route's points in place (the caller saves). Re-running uses the stored raw
+   * fixes, so matching again after a new OSM import is safe. Returns the matching summary.
+   */
+  async matchRoute(route) {
+    const startedAt = Date.now();
+    const points = route.routePoints || [];
+
+    if (!(await this.isAvailable())) {
+      return { status: 'unavailable', reason: 'No local road network imported or map matching disabled' };
+    }
+    if (points.length < 2) {
+      return { status: 'unmatched', reason: 'At least 2 GPS points are required' };
+    }
+
+    const rawPoints = points.map(rawPosition);
+    const coveredFlags = await Promise.all(rawPoints.map(point => osmRoadNetwork.covers(point)));
+    if (!coveredFlags.some(Boolean)) {
+      const summary = { status: 'no_coverage', version: MATCHING_VERSION, matchedAt: new Date(), totalPoints: points.length, matchedPoints: 0, matchRate: 0 };
+      route.mapMatching = summary;
+      return summary;
+    }
+
+    const graph = await this.loadRoadGraph(rawPoints);
+    const { matches, breaks } = this.matchPoints(rawPoints, graph);
+    const matchedCount = matches.filter(Boolean).length;
+    const matchRate = matchedCount / points.length;
+
+    const summary = {
+      status: matchRate >= this.options.minMatchRate ? (matchedCount === points.length ? 'matched' : 'partial') : 'unmatched',
+      version: MATCHING_VERSION,
+      matchedAt: new Date(),
+      totalPoints: points.length,
+      matchedPoints: matchedCount,
+      matchRate: round(matchRate, 3),
+      breaks,
+      waysConsidered: graph.ways.length,
+      meanSnapDistanceMeters: matchedCount > 0
+        ? round(matches.filter(Boolean).reduce((sum, match) => sum + match.distance, 0) / matchedCount, 1)
+        : null,
+      gpsDistanceKm: null,
+      matchedDistanceKm: null,
+      durationMs: null
+    };
+
+    // A mostly unmatched track is left on its raw fixes rather than half-snapped
+    const apply = summary.status !== 'unmatched';
+    if (!apply && !points.some(point => point.gpsLatitude !== undefined && point.gpsLatitude !== null)) {
+      summary.durationMs = Date.now() - startedAt;
+      route.mapMatching = summary;
+      return summary;
+    }
+    const describeCache = new Map();
+    const describe = wayIndex => {
+      if (!describeCache.has(wayIndex)) {
+        describeCache.set(wayIndex, osmRoadNetwork.describeRoad(graph.ways[wayIndex]));
+      }
+      return describeCache.get(wayIndex);
+    };
+
+    let gpsDistance = 0;
+    let matchedDistance = 0;
+    const updatedPoints = points.map((point, i) => {
+      const plain = typeof point.toObject === 'function' ? point.toObject() : { ...point };
+      const raw = rawPoints[i];
+      const match = apply ? matches[i] : null;
+
+      if (i > 0) {
+        const previousRaw = rawPoints[i - 1];
+        gpsDistance += haversineMeters(previousRaw.latitude, previousRaw.longitude, raw.latitude, raw.longitude);
+      }
+
+      const snapped = match ? { latitude: match.latitude, longitude: match.longitude } : raw;
+      if (i > 0) {
+        const previousMatch = apply ? matches[i - 1] : null;
+        const previousPosition = previousMatch
+          ? { latitude: previousMatch.latitude, longitude: previousMatch.longitude }
+          : rawPoints[i - 1];
+        // Consecutive HMM states carry the road distance between them; anything else is straight-line
+        matchedDistance += match && match.state && previousMatch && previousMatch.state && match.routeDistanceFromPrevious !== null
+          ? match.routeDistanceFromPrevious
+          : haversineMeters(previousPosition.latitude, previousPosition.longitude, snapped.latitude, snapped.longitude);
+      }
+
+      delete plain.gpsLatitude;
+      delete plain.gpsLongitude;
+      delete plain.roadMatch;
+
+      const updated = {
+        ...plain,
+        latitude: round(snapped.latitude, 7),
+        longitude: round(snapped.longitude, 7),
+        distanceFromStart: matchedDistance / 1000
+      };
+
+      if (match) {
+        const road = describe(match.wayIndex);
+        updated.gpsLatitude = raw.latitude;
+        updated.gpsLongitude = raw.longitude;
+        updated.roadMatch = {
+          osmWayId: road.osmWayId,
+          highway: road.highway,
+          roadType: road.roadType,
+          name: road.name,
+          ref: road.ref,
+          speedLimit: road.speedLimit,
+          speedLimitSource: road.speedLimitSource,
+          snapDistanceMeters: round(match.distance, 1),
+          interpolated: !match.state
+        };
+      }
+      return updated;
+    });
+
+    const totalKm = matchedDistance / 1000;
+    updatedPoints.forEach(point => {
+      point.distanceFromStart = round(point.distanceFromStart, 2);
+      point.distanceToEnd = Math.max(0, round(totalKm - point.distanceFromStart, 2));
+    });
+
+    summary.gpsDistanceKm = round(gpsDistance / 1000, 2);
+    summary.matchedDistanceKm = round(totalKm, 2);
+    summary.durationMs = Date.now() - startedAt;
+
+    route.routePoints = updatedPoints;
+    route.totalDistance = round(totalKm, 2);
+    route.mapMatching = summary;
+
+    console.log(`🛣️ Map matching ${route.routeId || route._id}: ${matchedCount}/${points.length} points matched (${summary.status}, ${breaks} breaks, ${summary.meanSnapDistanceMeters ?? '-'}m mean offset)`);
+    return summary;
+  }
+
+  // Matches and saves a stored route; used by the API and before data collection
+  async matchAndSaveRoute(route) {
+    const summary = await this.matchRoute(route);
+    if (summary.status !== 'unavailable') {
+      await route.save();
+    }
+    return summary;
+  }
+}
+
+const mapMatchingService = new MapMatchingService();
+mapMatchingService.MATCHING_VERSION = MATCHING_VERSION;
+mapMatchingService.RoadGraph = RoadGraph;
+
+module.exports = mapMatchingService;
@@ -4,6 +4,7 @@
 const NetworkCoverage = require('../models/NetworkCoverage'); // ✅ FIXED: Import separate model
 const Route = require('../models/Route');
 const axios = require('axios');
+const elevationService = require('./elevationService');
 
 class NetworkCoverageService {
   
@@ -270,7 +271,13 @@ class NetworkCoverageService {
 
   async getElevation(latitude, longitude) {
     try {
-      // Rough elevation estimation for India
+      // Local SRTM/GeoTIFF tiles (Google fallback per ELEVATION_GOOGLE_FALLBACK)
+      const elevation = await elevationService.getElevation(latitude, longitude);
+      if (elevation !== null) {
+        return elevation;
+      }
+      
+      // Rough elevation estimation for India when no DEM data covers the point
       if (latitude > 28 && latitude < 36) {
         return Math.random() * 3000 + 1000; // Himalayan region
       }
@@ -0,0 +1,431 @@
+// File: services/osmImportService.js
+// Purpose: Load an OpenStreetMap extract (.osm.pbf / .osm / .osm.gz) into OsmWay and OsmFeature
+// Three streaming passes keep memory bounded on regional extracts:
+//   1. collect the node ids referenced by road ways (one entry per road arm)
+//   2. resolve those nodes' coordinates and write point features (junctions, level crossings, ...)
+//   3. write the road ways with their geometry
+// Node coordinates live in typed arrays (about 17 bytes per road node), not in Mongo.
+
+const fs = require('fs');
+const path = require('path');
+const geolib = require('geolib');
+const OsmWay = require('../models/OsmWay');
+const OsmFeature = require('../models/OsmFeature');
+const OsmImport = require('../models/OsmImport');
+const { readOsmFile, detectFormat } = require('../utils/osmReader');
+
+// highway=* values imported as drivable road
+const ROAD_CLASSES = new Set([
+  'motorway', 'motorway_link',
+  'trunk', 'trunk_link',
+  'primary', 'primary_link',
+  'secondary', 'secondary_link',
+  'tertiary', 'tertiary_link',
+  'unclassified', 'residential', 'living_street', 'service', 'road', 'track',
+  'construction'
+]);
+
+// Node tags kept on OsmFeature documents
+const FEATURE_TAG_KEYS = ['highway', 'railway', 'crossing', 'barrier', 'traffic_calming', 'hazard', 'name', 'ref'];
+
+const WRITE_BATCH_SIZE = 1000;
+const PROGRESS_STEP = 0.1;
+
+// Growable Float64Array - node ids exceed 2^32, so Int32/Uint32 arrays cannot hold them
+class IdBuffer {
+  constructor(capacity = 1 << 20) {
+    this.values = new Float64Array(capacity);
+    this.length = 0;
+  }
+
+  push(value) {
+    if (this.length === this.values.length) {
+      const grown = new Float64Array(this.values.length * 2);
+      grown.set(this.values);
+      this.values = grown;
+    }
+    this.values[this.length++] = value;
+  }
+
+  sorted() {
+    return this.values.subarray(0, this.length).sort();
+  }
+}
+
+function indexOfId(ids, id) {
+  let low = 0;
+  let high = ids.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >>> 1;
+    const value = ids[mid];
+    if (value === id) return mid;
+    if (value < id) low = mid + 1;
+    else high = mid - 1;
+  }
+  return -1;
+}
+
+function isRoad(tags) {
+  return ROAD_CLASSES.has(tags.highway) && tags.area !== 'yes';
+}
+
+// "60", "60 km/h", "40 mph", "30;50" (first value). Zone codes like "IN:urban" return null.
+function parseSpeed(value) {
+  if (!value) return null;
+  const match = String(value).split(';')[0].trim().match(/^(\d+(?:\.\d+)?)\s*(mph|km\/h|kmh|kph)?$/i);
+  if (!match) return null;
+  const speed = parseFloat(match[1]);
+  return Math.round(match[2] && match[2].toLowerCase() === 'mph' ? speed * 1.609 : speed);
+}
+
+// "7", "7.5 m", "12 t", "14'6\"" (feet/inches, converted to metres)
+function parseMeasure(value) {
+  if (!value) return null;
+  const text = String(value).split(';')[0].trim();
+
+  const feet = text.match(/^(\d+)'(?:\s*(\d+)")?$/);
+  if (feet) {
+    return Math.round((parseInt(feet[1], 10) * 0.3048 + (parseInt(feet[2] || '0', 10) * 0.0254)) * 100) / 100;
+  }
+
+  const number = parseFloat(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== 'no' && value !== 'false' && value !== '0';
+}
+
+function pick(tags, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (tags[key] !== undefined) picked[key] = tags[key];
+  });
+  return picked;
+}
+
+function featureTypes(tags, roadArms) {
+  const types = [];
+  if (roadArms >= 3) types.push('junction');
+  if (tags.railway === 'level_crossing') types.push('railway_crossing');
+
+  switch (tags.highway) {
+    case 'traffic_signals': types.push('traffic_signals'); break;
+    case 'stop': types.push('stop'); break;
+    case 'give_way': types.push('give_way'); break;
+    case 'mini_roundabout': types.push('mini_roundabout'); break;
+    case 'crossing': types.push('pedestrian_crossing'); break;
+    case 'speed_camera': types.push('speed_camera'); break;
+    default: break;
+  }
+
+  if (tags.barrier === 'toll_booth') types.push('toll_booth');
+  if (isSet(tags.traffic_calming)) types.push('traffic_calming');
+  if (isSet(tags.hazard)) types.push('hazard');
+  return types;
+}
+
+function inBbox(bbox, lon, lat) {
+  return lat >= bbox.minLat && lat <= bbox.maxLat && lon >= bbox.minLon && lon <= bbox.maxLon;
+}
+
+function bboxPolygon(bbox) {
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [bbox.minLon, bbox.minLat],
+      [bbox.maxLon, bbox.minLat],
+      [bbox.maxLon, bbox.maxLat],
+      [bbox.minLon, bbox.maxLat],
+      [bbox.minLon, bbox.minLat]
+    ]]
+  };
+}
+
+function buildWayDocument(way, coordinates, importId) {
+  const tags = way.tags;
+  const highway = tags.highway;
+
+  let lengthKm = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    lengthKm += geolib.getDistance(coordinates[i - 1], coordinates[i], 0.1) / 1000;
+  }
+
+  return {
+    osmId: way.id,
+    importId,
+    highway,
+    name: tags.name || tags['name:en'] || undefined,
+    ref: tags.ref || undefined,
+    maxspeedKmph: parseSpeed(tags.maxspeed) ?? undefined,
+    lanes: parseMeasure(tags.lanes) ?? undefined,
+    widthMeters: parseMeasure(tags.width) ?? undefined,
+    oneway: tags.oneway === 'yes' || tags.oneway === '1' || tags.oneway === '-1' ||
+      tags.junction === 'roundabout' || highway === 'motorway',
+    surface: tags.surface || undefined,
+    smoothness: tags.smoothness || undefined,
+    bridge: isSet(tags.bridge),
+    tunnel: isSet(tags.tunnel),
+    layer: parseMeasure(tags.layer) ?? undefined,
+    roundabout: tags.junction === 'roundabout',
+    underConstruction: highway === 'construction',
+    hgvAccess: tags.hgv || undefined,
+    maxweightTonnes: parseMeasure(tags.maxweight) ?? undefined,
+    maxheightMeters: parseMeasure(tags.maxheight) ?? undefined,
+    geometry: { type: 'LineString', coordinates },
+    lengthKm: Math.round(lengthKm * 1000) / 1000,
+    nodeCount: coordinates.length
+  };
+}
+
+class OsmImportService {
+  // Bulk upsert by osmId; a bad geometry fails its own document, not the batch
+  async writeBatch(Model, documents) {
+    if (documents.length === 0) return 0;
+
+    try {
+      await Model.bulkWrite(documents.map(doc => ({
+        replaceOne: { filter: { osmId: doc.osmId }, replacement: doc, upsert: true }
+      })), { ordered: false });
+      return 0;
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      const failures = Array.isArray(error.writeErrors) ? error.writeErrors.length : 1;
+      console.warn(`⚠️ ${failures} ${Model.modelName} document(s) rejected: ${error.message}`);
+      return failures;
+    }
+  }
+
+  progressLogger(label) {
+    let next = PROGRESS_STEP;
+    return ({ bytesRead, totalBytes }) => {
+      const share = totalBytes > 0 ? bytesRead / totalBytes : 1;
+      if (share >= next) {
+        console.log(`   ${label}: ${Math.min(100, Math.round(share * 100))}%`);
+        while (next <= share) next += PROGRESS_STEP;
+      }
+    };
+  }
+
+  /**
+   * Import an extract. Options:
+   *   bbox     { minLat, minLon, maxLat, maxLon } - only keep roads and features touching this box
+   *   replace  drop all previously imported OSM data first
+   * Data from earlier imports inside the imported area is removed once this import completes.
+   */
+  async importFile(filePath, { bbox = null, replace = false } = {}) {
+    const format = detectFormat(filePath);
+    const { size } = await fs.promises.stat(filePath);
+    const startedAt = Date.now();
+
+    const run = await OsmImport.create({
+      fileName: path.basename(filePath),
+      format,
+      fileSizeBytes: size,
+      filterBbox: bbox || undefined,
+      phase: 'collecting_refs'
+    });
+
+    console.log(`🗺️ Importing OSM road network from ${path.basename(filePath)} (${format}, ${Math.round(size / 1048576)} MB)`);
+
+    try {
+      await Promise.all([OsmWay.init(), OsmFeature.init()]);
+
+      if (replace) {
+        await Promise.all([OsmWay.deleteMany({}), OsmFeature.deleteMany({})]);
+        // Their data is gone, so they no longer count towards local coverage
+        const superseded = await OsmImport.updateMany(
+          { _id: { $ne: run._id }, status: 'completed' },
+          { $set: { status: 'superseded', supersededBy: run._id } }
+        );
+        require('./osmRoadNetworkService').invalidateCoverage();
+        console.log(`🗑️ Cleared previously imported OSM data (${superseded.modifiedCount} imports superseded)`);
+      }
+
+      const header = {};
+      const counts = {
+        ways: 0, bridges: 0, tunnels: 0, features: 0, junctions: 0,
+        railwayCrossings: 0, missingNodes: 0, failedWrites: 0, removedStale: 0
+      };
+
+      // Pass 1: node ids used by road ways. A node is pushed once per road arm
+      // (twice mid-way, once at a way end) so duplicates count the arms meeting there.
+      const refs = new IdBuffer();
+      await readOsmFile(filePath, {
+        onHeader: value => Object.assign(header, value),
+        onWay: way => {
+          if (!isRoad(way.tags)) return;
+          const last = way.refs.length - 1;
+          for (let i = 0; i <= last; i++) {
+            refs.push(way.refs[i]);
+            if (i > 0 && i < last) refs.push(way.refs[i]);
+          }
+        },
+        onBatch: this.progressLogger('Pass 1/3 road node ids')
+      });
+
+      let sortedRefs = refs.sorted();
+      let uniqueCount = 0;
+      for (let i = 0; i < sortedRefs.length; i++) {
+        if (i === 0 || sortedRefs[i] !== sortedRefs[i - 1]) uniqueCount++;
+      }
+
+      const ids = new Float64Array(uniqueCount);
+      const arms = new Uint8Array(uniqueCount);
+      for (let i = 0, index = -1; i < sortedRefs.length; i++) {
+        if (i === 0 || sortedRefs[i] !== sortedRefs[i - 1]) ids[++index] = sortedRefs[i];
+        if (arms[index] < 255) arms[index]++;
+      }
+      refs.values = null;
+      sortedRefs = null;
+      console.log(`✅ ${uniqueCount} road nodes referenced`);
+
+      // Pass 2: coordinates (1e-7 degree integers) and point features
+      run.phase = 'resolving_nodes';
+      run.counts = counts;
+      await run.save();
+
+      const lats = new Int32Array(uniqueCount);
+      const lons = new Int32Array(uniqueCount);
+      const found = new Uint8Array(uniqueCount);
+      const extent = { minLat: 90, minLon: 180, maxLat: -90, maxLon: -180 };
+      let features = [];
+
+      const logNodes = this.progressLogger('Pass 2/3 nodes and features');
+      await readOsmFile(filePath, {
+        onNode: node => {
+          const index = indexOfId(ids, node.id);
+          if (index === -1) return;
+
+          lats[index] = Math.round(node.lat * 1e7);
+          lons[index] = Math.round(node.lon * 1e7);
+          found[index] = 1;
+
+          extent.minLat = Math.min(extent.minLat, node.lat);
+          extent.maxLat = Math.max(extent.maxLat, node.lat);
+          extent.minLon = Math.min(extent.minLon, node.lon);
+          extent.maxLon = Math.max(extent.maxLon, node.lon);
+
+          const types = featureTypes(node.tags, arms[index]);
+          if (types.length === 0 || (bbox && !inBbox(bbox, node.lon, node.lat))) return;
+
+          features.push({
+            osmId: node.id,
+            importId: run._id,
+            types,
+            roadArms: arms[index],
+            location: { type: 'Point', coordinates: [lons[index] / 1e7, lats[index] / 1e7] },
+            tags: pick(node.tags, FEATURE_TAG_KEYS)
+          });
+          counts.features++;
+          if (types.includes('junction')) counts.junctions++;
+          if (types.includes('railway_crossing')) counts.railwayCrossings++;
+        },
+        onBatch: async progress => {
+          if (features.length >= WRITE_BATCH_SIZE) {
+            const batch = features;
+            features = [];
+            counts.failedWrites += await this.writeBatch(OsmFeature, batch);
+          }
+          logNodes(progress);
+        }
+      });
+      counts.failedWrites += await this.writeBatch(OsmFeature, features);
+      features = null;
+
+      // Pass 3: road ways with geometry
+      run.phase = 'writing_ways';
+      run.counts = counts;
+      await run.save();
+
+      let ways = [];
+      const logWays = this.progressLogger('Pass 3/3 ways');
+      await readOsmFile(filePath, {
+        onWay: way => {
+          if (!isRoad(way.tags)) return;
+
+          const coordinates = [];
+          let touchesBbox = !bbox;
+          for (const ref of way.refs) {
+            const index = indexOfId(ids, ref);
+            if (index === -1 || !found[index]) {
+              counts.missingNodes++;
+              continue;
+            }
+            const lon = lons[index] / 1e7;
+            const lat = lats[index] / 1e7;
+            const previous = coordinates[coordinates.length - 1];
+            // 2dsphere indexes reject repeated consecutive vertices
+            if (previous && previous[0] === lon && previous[1] === lat) continue;
+            coordinates.push([lon, lat]);
+            if (!touchesBbox && inBbox(bbox, lon, lat)) touchesBbox = true;
+          }
+          if (coordinates.length < 2 || !touchesBbox) return;
+
+          const doc = buildWayDocument(way, coordinates, run._id);
+          ways.push(doc);
+          counts.ways++;
+          if (doc.bridge) counts.bridges++;
+          if (doc.tunnel) counts.tunnels++;
+        },
+        onBatch: async progress => {
+          if (ways.length >= WRITE_BATCH_SIZE) {
+            const batch = ways;
+            ways = [];
+            counts.failedWrites += await this.writeBatch(OsmWay, batch);
+          }
+          logWays(progress);
+        }
+      });
+      counts.failedWrites += await this.writeBatch(OsmWay, ways);
+
+      // Remove roads and features from earlier imports of the same area (deleted upstream since)
+      run.phase = 'cleanup';
+      run.bbox = bbox || header.bbox || (extent.minLat <= extent.maxLat ? extent : undefined);
+      if (run.bbox && !replace) {
+        const area = { $geoWithin: { $geometry: bboxPolygon(run.bbox) } };
+        const [staleWays, staleFeatures] = await Promise.all([
+          OsmWay.deleteMany({ importId: { $ne: run._id }, geometry: area }),
+          OsmFeature.deleteMany({ importId: { $ne: run._id }, location: area })
+        ]);
+        counts.removedStale = staleWays.deletedCount + staleFeatures.deletedCount;
+      }
+
+      run.status = 'completed';
+      run.phase = null;
+      run.counts = counts;
+      run.osmDataTimestamp = header.replicationTimestamp || undefined;
+      run.writingProgram = header.writingProgram || undefined;
+      run.completedAt = new Date();
+      run.durationMs = Date.now() - startedAt;
+      await run.save();
+
+      console.log(`✅ OSM import completed in ${Math.round(run.durationMs / 1000)}s: ${counts.ways} ways ` +
+        `(${counts.bridges} bridges, ${counts.tunnels} tunnels), ${counts.junctions} junctions, ` +
+        `${counts.railwayCrossings} railway crossings`);
+
+      require('./osmRoadNetworkService').invalidateCoverage();
+      return run;
+
+    } catch (error) {
+      console.error('❌ OSM import failed:', error);
+      run.status = 'failed';
+      run.error = error.message;
+      run.completedAt = new Date();
+      run.durationMs = Date.now() - startedAt;
+      await run.save().catch(() => {});
+      throw error;
+    }
+  }
+
+  async getImports(limit = 20) {
+    return OsmImport.find().sort({ createdAt: -1 }).limit(limit).lean();
+  }
+}
+
+const osmImportService = new OsmImportService();
+osmImportService.ROAD_CLASSES = ROAD_CLASSES;
+osmImportService.parseSpeed = parseSpeed;
+osmImportService.parseMeasure = parseMeasure;
+
+module.exports = osmImportService;
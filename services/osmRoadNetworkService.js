@@ -0,0 +1,332 @@
+// File: services/osmRoadNetworkService.js
+// Purpose: Road attributes, intersections and structures from the locally imported OSM network
+// enhancedRoadConditionsService and realBlindSpotCalculations query this first and only fall
+// back to paid map APIs where no completed import covers the point. OSM_LOCAL_ROADS=false disables it.
+
+const mongoose = require('mongoose');
+const OsmWay = require('../models/OsmWay');
+const OsmFeature = require('../models/OsmFeature');
+const OsmImport = require('../models/OsmImport');
+
+const COVERAGE_TTL_MS = 5 * 60 * 1000;
+const SNAP_DISTANCE_METERS = 40;
+const INTERSECTION_RADIUS_METERS = 30;
+const STRUCTURE_RADIUS_METERS = 200;
+
+// OSM highway class -> RoadCondition.roadType (road numbers take precedence, see classifyRoadType)
+const HIGHWAY_ROAD_TYPES = {
+  motorway: 'highway',
+  motorway_link: 'highway',
+  trunk: 'highway',
+  trunk_link: 'highway',
+  primary: 'state',
+  primary_link: 'state',
+  secondary: 'state',
+  secondary_link: 'state',
+  tertiary: 'district',
+  tertiary_link: 'district'
+};
+
+// Used when the way carries no lanes / surface tags (same defaults as the API-based estimate)
+const ROAD_TYPE_DEFAULTS = {
+  highway: { lanes: 4, widthPerLane: 3.75, surface: 'good', speedLimit: 100 },
+  state: { lanes: 2, widthPerLane: 3.5, surface: 'good', speedLimit: 80 },
+  district: { lanes: 2, widthPerLane: 2.75, surface: 'fair', speedLimit: 60 },
+  rural: { lanes: 1, widthPerLane: 3.5, surface: 'fair', speedLimit: 40 }
+};
+
+const SMOOTHNESS_QUALITY = {
+  excellent: 'excellent',
+  good: 'good',
+  intermediate: 'fair',
+  bad: 'poor',
+  very_bad: 'critical',
+  horrible: 'critical',
+  very_horrible: 'critical',
+  impassable: 'critical'
+};
+
+const SURFACE_QUALITY = {
+  asphalt: 'good',
+  concrete: 'good',
+  'concrete:plates': 'good',
+  'concrete:lanes': 'fair',
+  paved: 'good',
+  chipseal: 'fair',
+  paving_stones: 'fair',
+  sett: 'fair',
+  cobblestone: 'fair',
+  compacted: 'fair',
+  fine_gravel: 'fair',
+  unpaved: 'poor',
+  gravel: 'poor',
+  pebblestone: 'poor',
+  dirt: 'poor',
+  earth: 'poor',
+  ground: 'poor',
+  mud: 'critical',
+  sand: 'poor',
+  grass: 'critical'
+};
+
+function toGeoPoint(point) {
+  return { type: 'Point', coordinates: [point.longitude, point.latitude] };
+}
+
+class OsmRoadNetworkService {
+  constructor() {
+    this.enabled = process.env.OSM_LOCAL_ROADS !== 'false';
+    this.coverage = null;
+    this.coverageLoadedAt = 0;
+  }
+
+  invalidateCoverage() {
+    this.coverage = null;
+    this.coverageLoadedAt = 0;
+  }
+
+  // Bounding boxes of completed imports, cached for a few minutes
+  async getCoverage() {
+    if (!this.enabled || mongoose.connection.readyState !== 1) return [];
+
+    if (!this.coverage || Date.now() - this.coverageLoadedAt > COVERAGE_TTL_MS) {
+      const imports = await OsmImport.find({ status: 'completed', 'bbox.minLat': { $ne: null } })
+        .select('bbox fileName completedAt osmDataTimestamp')
+        .lean();
+      this.coverage = imports.map(item => ({
+        ...item.bbox,
+        fileName: item.fileName,
+        importedAt: item.completedAt,
+        osmDataTimestamp: item.osmDataTimestamp
+      }));
+      this.coverageLoadedAt = Date.now();
+    }
+    return this.coverage;
+  }
+
+  async isAvailable() {
+    return (await this.getCoverage()).length > 0;
+  }
+
+  async covers(point) {
+    const coverage = await this.getCoverage();
+    return coverage.some(box =>
+      point.latitude >= box.minLat && point.latitude <= box.maxLat &&
+      point.longitude >= box.minLon && point.longitude <= box.maxLon
+    );
+  }
+
+  // Indian road numbers decide the class where present (NH = national, SH = state, MDR/ODR = district)
+  classifyRoadType(way) {
+    const ref = way.ref || '';
+    if (/\b(NH|NE)\s*-?\s*\d/i.test(ref)) return 'highway';
+    if (/\bSH\s*-?\s*\d/i.test(ref)) return 'state';
+    if (/\b(MDR|ODR)\b/i.test(ref)) return 'district';
+    return HIGHWAY_ROAD_TYPES[way.highway] || 'rural';
+  }
+
+  classifySurface(way, roadType) {
+    if (way.smoothness && SMOOTHNESS_QUALITY[way.smoothness]) {
+      return { quality: SMOOTHNESS_QUALITY[way.smoothness], source: 'smoothness' };
+    }
+    if (way.surface && SURFACE_QUALITY[way.surface]) {
+      return { quality: SURFACE_QUALITY[way.surface], source: 'surface' };
+    }
+    return { quality: ROAD_TYPE_DEFAULTS[roadType].surface, source: 'default' };
+  }
+
+  // Ways within maxDistance metres, nearest first (distanceMeters added)
+  async findNearbyWays(point, maxDistance = SNAP_DISTANCE_METERS, limit = 10, query = {}) {
+    return OsmWay.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint(point),
+          key: 'geometry',
+          distanceField: 'distanceMeters',
+          maxDistance,
+          spherical: true,
+          query
+        }
+      },
+      { $limit: limit },
+      { $project: { geometry: 0 } }
+    ]);
+  }
+
+  async findNearbyFeatures(point, maxDistance, types = null, limit = 20) {
+    return OsmFeature.aggregate([
+      {
+        $geoNear: {
+          near: toGeoPoint(point),
+          key: 'location',
+          distanceField: 'distanceMeters',
+          maxDistance,
+          spherical: true,
+          query: types ? { types: { $in: types } } : {}
+        }
+      },
+      { $limit: limit }
+    ]);
+  }
+
+  /**
+   * Attributes of the road the point lies on, in RoadCondition terms.
+   * Map-matched points pass the matched osmWayId, which is used directly instead of the nearest way.
+   * Returns null when the point is outside imported coverage or no road is within snapping distance.
+   */
+  async getRoadAttributes(point, { maxDistance = SNAP_DISTANCE_METERS, osmWayId = null, distanceMeters = 0 } = {}) {
+    if (!(await this.covers(point))) return null;
+
+    if (osmWayId) {
+      const matchedWay = await OsmWay.findOne({ osmId: osmWayId }).select('-geometry').lean();
+      if (matchedWay) {
+        return this.describeRoad({ ...matchedWay, distanceMeters });
+      }
+    }
+
+    const [way] = await this.findNearbyWays(point, maxDistance, 1);
+    if (!way) return null;
+
+    return this.describeRoad(way);
+  }
+
+  describeRoad(way) {
+    const roadType = this.classifyRoadType(way);
+    const defaults = ROAD_TYPE_DEFAULTS[roadType];
+    const surface = this.classifySurface(way, roadType);
+    const laneCount = Math.max(1, Math.min(8, Math.round(way.lanes || defaults.lanes)));
+    const widthMeters = way.widthMeters || laneCount * defaults.widthPerLane;
+
+    // Tagged attributes raise confidence; a bare highway class is still better than an API guess
+    const taggedAttributes = ['maxspeedKmph', 'lanes', 'surface', 'smoothness', 'widthMeters']
+      .filter(key => way[key] !== undefined && way[key] !== null).length;
+
+    return {
+      source: 'osm',
+      osmWayId: way.osmId,
+      name: way.name || null,
+      ref: way.ref || null,
+      highway: way.highway,
+      roadType,
+      speedLimit: way.maxspeedKmph || defaults.speedLimit,
+      speedLimitSource: way.maxspeedKmph ? 'osm' : 'default',
+      laneCount,
+      lanesSource: way.lanes ? 'osm' : 'default',
+      widthMeters: Math.max(2, Math.min(20, Math.round(widthMeters * 10) / 10)),
+      surface: way.surface || null,
+      surfaceQuality: surface.quality,
+      surfaceSource: surface.source,
+      hasPotholes: ['bad', 'very_bad', 'horrible', 'very_horrible'].includes(way.smoothness),
+      underConstruction: !!way.underConstruction,
+      bridge: !!way.bridge,
+      tunnel: !!way.tunnel,
+      oneway: !!way.oneway,
+      roundabout: !!way.roundabout,
+      hgvAccess: way.hgvAccess || null,
+      maxweightTonnes: way.maxweightTonnes || null,
+      maxheightMeters: way.maxheightMeters || null,
+      distanceMeters: Math.round((way.distanceMeters || 0) * 10) / 10,
+      confidence: Math.min(0.95, 0.7 + taggedAttributes * 0.05)
+    };
+  }
+
+  /**
+   * Nearest junction within radius: road arms meeting there, the roads involved and any
+   * traffic control (signals, stop/give-way) or level crossing at the node. null if none.
+   */
+  async getIntersection(point, { radius = INTERSECTION_RADIUS_METERS } = {}) {
+    if (!(await this.covers(point))) return null;
+
+    const [junction] = await this.findNearbyFeatures(point, radius, ['junction'], 1);
+    if (!junction) return null;
+
+    const junctionPoint = {
+      latitude: junction.location.coordinates[1],
+      longitude: junction.location.coordinates[0]
+    };
+    const [ways, controls] = await Promise.all([
+      this.findNearbyWays(junctionPoint, 2, 10),
+      this.findNearbyFeatures(junctionPoint, radius, ['traffic_signals', 'stop', 'give_way', 'mini_roundabout', 'railway_crossing'], 10)
+    ]);
+
+    return {
+      osmNodeId: junction.osmId,
+      location: junctionPoint,
+      distanceMeters: Math.round(junction.distanceMeters * 10) / 10,
+      roadArms: junction.roadArms,
+      roads: ways.map(way => ({
+        osmWayId: way.osmId,
+        name: way.name || null,
+        ref: way.ref || null,
+        highway: way.highway,
+        roadType: this.classifyRoadType(way)
+      })),
+      controls: [...new Set(controls.flatMap(feature => feature.types.filter(type => type !== 'junction')))]
+    };
+  }
+
+  // Bridges, tunnels, level crossings, toll booths and speed breakers near a point
+  async findStructures(point, { radius = STRUCTURE_RADIUS_METERS } = {}) {
+    if (!(await this.covers(point))) return null;
+
+    const [structuralWays, features] = await Promise.all([
+      this.findNearbyWays(point, radius, 20, { $or: [{ bridge: true }, { tunnel: true }] }),
+      this.findNearbyFeatures(point, radius, ['railway_crossing', 'toll_booth', 'traffic_calming', 'hazard'], 20)
+    ]);
+
+    const describeWay = way => ({
+      osmWayId: way.osmId,
+      name: way.name || null,
+      ref: way.ref || null,
+      lengthKm: way.lengthKm,
+      maxweightTonnes: way.maxweightTonnes || null,
+      maxheightMeters: way.maxheightMeters || null,
+      distanceMeters: Math.round(way.distanceMeters)
+    });
+    const describeFeature = feature => ({
+      osmNodeId: feature.osmId,
+      tags: feature.tags,
+      location: {
+        latitude: feature.location.coordinates[1],
+        longitude: feature.location.coordinates[0]
+      },
+      distanceMeters: Math.round(feature.distanceMeters)
+    });
+
+    return {
+      bridges: structuralWays.filter(way => way.bridge).map(describeWay),
+      tunnels: structuralWays.filter(way => way.tunnel).map(describeWay),
+      railwayCrossings: features.filter(feature => feature.types.includes('railway_crossing')).map(describeFeature),
+      tollBooths: features.filter(feature => feature.types.includes('toll_booth')).map(describeFeature),
+      trafficCalming: features.filter(feature => feature.types.includes('traffic_calming')).map(describeFeature),
+      hazards: features.filter(feature => feature.types.includes('hazard')).map(describeFeature)
+    };
+  }
+
+  async getStatus() {
+    const connected = mongoose.connection.readyState === 1;
+    if (!connected) {
+      return { enabled: this.enabled, connected, coverage: [] };
+    }
+
+    const [ways, features, latestImport] = await Promise.all([
+      OsmWay.estimatedDocumentCount(),
+      OsmFeature.estimatedDocumentCount(),
+      OsmImport.findOne().sort({ createdAt: -1 }).lean()
+    ]);
+
+    return {
+      enabled: this.enabled,
+      connected,
+      ways,
+      features,
+      coverage: await this.getCoverage(),
+      latestImport
+    };
+  }
+}
+
+const osmRoadNetworkService = new OsmRoadNetworkService();
+osmRoadNetworkService.HIGHWAY_ROAD_TYPES = HIGHWAY_ROAD_TYPES;
+
+module.exports = osmRoadNetworkService;
@@ -0,0 +1,470 @@
+// File: services/providerHealthService.js
+// Purpose: Health tracking and circuit breaking for external providers
+// providerHttpService reports every request that reaches a provider. For each provider we keep
+// a rolling window (success rate, latency, error classes) and a circuit breaker:
+//
+//   closed    - requests flow normally
+//   open      - requests are refused without calling the provider until the cool-down ends
+//   half_open - one trial request is let through; success closes the circuit, failure re-opens it
+//
+// The circuit opens after PROVIDER_BREAKER_FAILURES consecutive failures (default 5) or when the
+// rolling error rate reaches PROVIDER_BREAKER_ERROR_RATE (default 0.5, at least 10 calls).
+// Cool-down starts at PROVIDER_BREAKER_COOLDOWN_MS (default 60s) and doubles on each re-open up
+// to PROVIDER_BREAKER_MAX_COOLDOWN_MS (default 15 min).
+// Counters are also written to ProviderHealthBucket in 5-minute buckets for history.
+
+const mongoose = require('mongoose');
+
+const WINDOW_SIZE = 50;
+const MIN_CALLS_FOR_RATE = 10;
+const BUCKET_MS = 5 * 60 * 1000;
+const FLUSH_INTERVAL_MS = 30000;
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Error classes that say nothing about provider health (bad request built by us)
+const NEUTRAL_ERROR_CLASSES = ['client_error'];
+
+// Provider-level statuses returned with HTTP 200
+const BODY_STATUS_CLASSES = {
+  OVER_QUERY_LIMIT: 'rate_limited',
+  REQUEST_DENIED: 'auth',
+  UNKNOWN_ERROR: 'server_error',
+  INVALID_REQUEST: 'client_error'
+};
+
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+class ProviderHealthService {
+  constructor() {
+    this.failureThreshold = numberFromEnv('PROVIDER_BREAKER_FAILURES', 5);
+    this.errorRateThreshold = numberFromEnv('PROVIDER_BREAKER_ERROR_RATE', 0.5);
+    this.cooldownMs = numberFromEnv('PROVIDER_BREAKER_COOLDOWN_MS', 60000);
+    this.maxCooldownMs = numberFromEnv('PROVIDER_BREAKER_MAX_COOLDOWN_MS', 15 * 60 * 1000);
+
+    this.providers = new Map();
+    this.pending = new Map();
+    this.flushTimer = null;
+  }
+
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, {
+        name,
+        state: STATES.CLOSED,
+        window: [], // { at, ok, latencyMs, errorClass }
+        consecutiveFailures: 0,
+        openedAt: null,
+        retryAt: null,
+        cooldownMs: this.cooldownMs,
+        trialInFlight: false,
+        timesOpened: 0,
+        totals: { calls: 0, successes: 0, failures: 0, skipped: 0 },
+        errors: {},
+        lastSuccessAt: null,
+        lastFailure: null
+      });
+    }
+    return this.providers.get(name);
+  }
+
+  // ----------------------------------------------------------------------------
+  // Circuit breaker
+  // ----------------------------------------------------------------------------
+
+  // Whether a request to this provider may go out now. Open circuits move to half_open
+  // once the cool-down has passed and let a single trial request through.
+  canRequest(name) {
+    const provider = this.getProvider(name);
+
+    if (provider.state === STATES.OPEN) {
+      if (Date.now() < provider.retryAt) {
+        return { allowed: false, state: provider.state, retryAt: new Date(provider.retryAt) };
+      }
+      provider.state = STATES.HALF_OPEN;
+      provider.trialInFlight = false;
+      console.log(`🟡 Circuit for ${name} half-open - sending a trial request`);
+    }
+
+    if (provider.state === STATES.HALF_OPEN) {
+      if (provider.trialInFlight) {
+        return { allowed: false, state: provider.state, retryAt: null };
+      }
+      provider.trialInFlight = true;
+    }
+
+    return { allowed: true, state: provider.state };
+  }
+
+  circuitOpenError(name, check) {
+    const retry = check.retryAt ? ` until ${check.retryAt.toISOString()}` : ' while a trial request is in flight';
+    const error = new Error(`Circuit open for ${name} - provider skipped${retry}`);
+    error.code = 'PROVIDER_CIRCUIT_OPEN';
+    error.provider = name;
+    error.retryAt = check.retryAt || null;
+    return error;
+  }
+
+  open(provider, reason) {
+    const reopening = provider.state === STATES.HALF_OPEN;
+    provider.cooldownMs = reopening ? Math.min(provider.cooldownMs * 2, this.maxCooldownMs) : this.cooldownMs;
+    provider.state = STATES.OPEN;
+    provider.openedAt = Date.now();
+    provider.retryAt = provider.openedAt + provider.cooldownMs;
+    provider.trialInFlight = false;
+    provider.timesOpened += 1;
+    this.addToBucket(provider.name, { circuitOpened: 1 });
+
+    console.warn(`🔴 Circuit opened for ${provider.name} (${reason}) - skipping for ${Math.round(provider.cooldownMs / 1000)}s`);
+  }
+
+  close(provider) {
+    if (provider.state !== STATES.CLOSED) {
+      console.log(`🟢 Circuit closed for ${provider.name}`);
+    }
+    provider.state = STATES.CLOSED;
+    provider.openedAt = null;
+    provider.retryAt = null;
+    provider.trialInFlight = false;
+    provider.cooldownMs = this.cooldownMs;
+  }
+
+  reset(name) {
+    const provider = this.providers.get(name);
+    if (!provider) return false;
+    this.close(provider);
+    provider.consecutiveFailures = 0;
+    provider.window = [];
+    return true;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Recording
+  // ----------------------------------------------------------------------------
+
+  classifyError(error) {
+    const status = error.response?.status;
+    const code = error.code;
+
+    if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || /timeout/i.test(error.message || '')) return 'timeout';
+    if (status === 429) return 'rate_limited';
+    if (status === 401 || status === 403) return 'auth';
+    if (status >= 500) return 'server_error';
+    if (status >= 400) return 'client_error';
+    if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'].includes(code)) return 'network';
+    return 'other';
+  }
+
+  // Error class for a 2xx response whose body reports a provider failure, or null
+  classifyResponse(response) {
+    const status = response?.data?.status;
+    return (typeof status === 'string' && BODY_STATUS_CLASSES[status]) || null;
+  }
+
+  recordSuccess(name, latencyMs) {
+    const provider = this.getProvider(name);
+    this.pushWindow(provider, { at: Date.now(), ok: true, latencyMs, errorClass: null });
+
+    provider.totals.calls += 1;
+    provider.totals.successes += 1;
+    provider.consecutiveFailures = 0;
+    provider.lastSuccessAt = new Date();
+    this.addToBucket(name, { calls: 1, successes: 1, latencyMs });
+
+    if (provider.state !== STATES.CLOSED) {
+      this.close(provider);
+    }
+  }
+
+  recordFailure(name, errorClass, latencyMs, message) {
+    const provider = this.getProvider(name);
+
+    provider.totals.calls += 1;
+    provider.errors[errorClass] = (provider.errors[errorClass] || 0) + 1;
+    provider.lastFailure = { errorClass, message, at: new Date() };
+    this.addToBucket(name, { calls: 1, failures: 1, latencyMs, errorClass });
+
+    // Our own bad requests are tracked but do not count against the provider
+    if (NEUTRAL_ERROR_CLASSES.includes(errorClass)) {
+      provider.totals.successes += 1;
+      this.pushWindow(provider, { at: Date.now(), ok: true, latencyMs, errorClass });
+      if (provider.state === STATES.HALF_OPEN) provider.trialInFlight = false;
+      return;
+    }
+
+    provider.totals.failures += 1;
+    provider.consecutiveFailures += 1;
+    this.pushWindow(provider, { at: Date.now(), ok: false, latencyMs, errorClass });
+
+    if (provider.state === STATES.HALF_OPEN) {
+      this.open(provider, `trial request failed: ${errorClass}`);
+      return;
+    }
+
+    if (provider.state === STATES.CLOSED) {
+      const window = provider.window;
+      const errorRate = window.filter(entry => !entry.ok).length / window.length;
+
+      if (provider.consecutiveFailures >= this.failureThreshold) {
+        this.open(provider, `${provider.consecutiveFailures} consecutive failures`);
+      } else if (window.length >= MIN_CALLS_FOR_RATE && errorRate >= this.errorRateThreshold) {
+        this.open(provider, `error rate ${Math.round(errorRate * 100)}%`);
+      }
+    }
+  }
+
+  recordSkipped(name) {
+    const provider = this.getProvider(name);
+    provider.totals.skipped += 1;
+    this.addToBucket(name, { skipped: 1 });
+  }
+
+  pushWindow(provider, entry) {
+    provider.window.push(entry);
+    if (provider.window.length > WINDOW_SIZE) {
+      provider.window.shift();
+    }
+  }
+
+  // ----------------------------------------------------------------------------
+  // History buckets
+  // ----------------------------------------------------------------------------
+
+  addToBucket(name, delta) {
+    const bucketStart = Math.floor(Date.now() / BUCKET_MS) * BUCKET_MS;
+    const key = `${name}|${bucketStart}`;
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, {
+        provider: name,
+        bucketStart: new Date(bucketStart),
+        calls: 0, successes: 0, failures: 0, skipped: 0,
+        totalLatencyMs: 0, maxLatencyMs: 0, circuitOpened: 0,
+        errors: {}
+      });
+    }
+
+    const bucket = this.pending.get(key);
+    bucket.calls += delta.calls || 0;
+    bucket.successes += delta.successes || 0;
+    bucket.failures += delta.failures || 0;
+    bucket.skipped += delta.skipped || 0;
+    bucket.circuitOpened += delta.circuitOpened || 0;
+    if (delta.latencyMs !== undefined) {
+      bucket.totalLatencyMs += delta.latencyMs;
+      bucket.maxLatencyMs = Math.max(bucket.maxLatencyMs, delta.latencyMs);
+    }
+    if (delta.errorClass) {
+      bucket.errors[delta.errorClass] = (bucket.errors[delta.errorClass] || 0) + 1;
+    }
+
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => console.warn('⚠️ Provider health flush failed:', error.message));
+    }, FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+  }
+
+  // History is best effort - buckets are dropped rather than kept while Mongo is down
+  async flush() {
+    if (this.pending.size === 0) return;
+
+    const buckets = Array.from(this.pending.values());
+    this.pending.clear();
+    if (mongoose.connection.readyState !== 1) return;
+
+    const ProviderHealthBucket = require('../models/ProviderHealthBucket');
+    await ProviderHealthBucket.bulkWrite(buckets.map(bucket => {
+      const inc = {
+        calls: bucket.calls,
+        successes: bucket.successes,
+        failures: bucket.failures,
+        skipped: bucket.skipped,
+        totalLatencyMs: bucket.totalLatencyMs,
+        circuitOpened: bucket.circuitOpened
+      };
+      Object.entries(bucket.errors).forEach(([errorClass, count]) => {
+        inc[`errors.${errorClass}`] = count;
+      });
+
+      return {
+        updateOne: {
+          filter: { provider: bucket.provider, bucketStart: bucket.bucketStart },
+          update: { $inc: inc, $max: { maxLatencyMs: bucket.maxLatencyMs } },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+  }
+
+  // ----------------------------------------------------------------------------
+  // Reporting
+  // ----------------------------------------------------------------------------
+
+  describeProvider(provider) {
+    const window = provider.window;
+    const latencies = window.map(entry => entry.latencyMs).filter(value => typeof value === 'number');
+    const failures = window.filter(entry => !entry.ok).length;
+    const windowErrors = {};
+    window.forEach(entry => {
+      if (entry.errorClass) windowErrors[entry.errorClass] = (windowErrors[entry.errorClass] || 0) + 1;
+    });
+
+    return {
+      provider: provider.name,
+      state: provider.state,
+      status: this.getProviderStatus(provider),
+      retryAt: provider.retryAt ? new Date(provider.retryAt) : null,
+      consecutiveFailures: provider.consecutiveFailures,
+      timesOpened: provider.timesOpened,
+      window: {
+        calls: window.length,
+        successRate: window.length > 0 ? Math.round(((window.length - failures) / window.length) * 1000) / 1000 : null,
+        latencyMs: {
+          avg: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+          p50: percentile(latencies, 50),
+          p95: percentile(latencies, 95)
+        },
+        errors: windowErrors
+      },
+      sinceStart: { ...provider.totals, errors: { ...provider.errors } },
+      lastSuccessAt: provider.lastSuccessAt,
+      lastFailure: provider.lastFailure
+    };
+  }
+
+  getProviderStatus(provider) {
+    if (provider.state === STATES.OPEN) return 'unhealthy';
+    if (provider.state === STATES.HALF_OPEN) return 'recovering';
+    if (provider.window.length === 0) return 'unknown';
+
+    const successRate = provider.window.filter(entry => entry.ok).length / provider.window.length;
+    if (successRate >= 0.9) return 'healthy';
+    if (successRate >= 0.5) return 'degraded';
+    return 'unhealthy';
+  }
+
+  getStatus(name = null) {
+    if (name) {
+      const provider = this.providers.get(name);
+      return provider ? this.describeProvider(provider) : null;
+    }
+    return Array.from(this.providers.values()).map(provider => this.describeProvider(provider));
+  }
+
+  // Rolling success rate across providers (or the given ones); null when nothing was called
+  getSuccessRate(names = null) {
+    const providers = Array.from(this.providers.values())
+      .filter(provider => !names || names.includes(provider.name));
+    const window = providers.flatMap(provider => provider.window);
+    if (window.length === 0) return null;
+    return window.filter(entry => entry.ok).length / window.length;
+  }
+
+  getOverallHealth() {
+    const statuses = Array.from(this.providers.values())
+      .map(provider => this.getProviderStatus(provider))
+      .filter(status => status !== 'unknown');
+
+    if (statuses.length === 0) return 'unknown';
+    if (statuses.every(status => status === 'healthy')) return 'healthy';
+    if (statuses.filter(status => status === 'unhealthy').length > statuses.length / 2) return 'unhealthy';
+    return 'degraded';
+  }
+
+  getOpenCircuits() {
+    return Array.from(this.providers.values())
+      .filter(provider => provider.state !== STATES.CLOSED)
+      .map(provider => provider.name);
+  }
+
+  // Bucketed history from Mongo, plus buckets not yet flushed
+  async getHistory({ provider = null, hours = 24 } = {}) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const merged = new Map();
+
+    const add = bucket => {
+      const key = `${bucket.provider}|${new Date(bucket.bucketStart).getTime()}`;
+      if (!merged.has(key)) {
+        merged.set(key, {
+          provider: bucket.provider,
+          bucketStart: new Date(bucket.bucketStart),
+          calls: 0, successes: 0, failures: 0, skipped: 0,
+          totalLatencyMs: 0, maxLatencyMs: 0, circuitOpened: 0,
+          errors: {}
+        });
+      }
+      const target = merged.get(key);
+      ['calls', 'successes', 'failures', 'skipped', 'totalLatencyMs', 'circuitOpened'].forEach(field => {
+        target[field] += bucket[field] || 0;
+      });
+      target.maxLatencyMs = Math.max(target.maxLatencyMs, bucket.maxLatencyMs || 0);
+      const errors = bucket.errors instanceof Map ? Object.fromEntries(bucket.errors) : (bucket.errors || {});
+      Object.entries(errors).forEach(([errorClass, count]) => {
+        target.errors[errorClass] = (target.errors[errorClass] || 0) + count;
+      });
+    };
+
+    if (mongoose.connection.readyState === 1) {
+      const ProviderHealthBucket = require('../models/ProviderHealthBucket');
+      const filter = { bucketStart: { $gte: since } };
+      if (provider) filter.provider = provider;
+      (await ProviderHealthBucket.find(filter).sort({ bucketStart: 1 }).lean()).forEach(add);
+    }
+
+    this.pending.forEach(bucket => {
+      if (bucket.bucketStart >= since && (!provider || bucket.provider === provider)) add(bucket);
+    });
+
+    return Array.from(merged.values())
+      .sort((a, b) => a.bucketStart - b.bucketStart)
+      .map(bucket => ({
+        provider: bucket.provider,
+        bucketStart: bucket.bucketStart,
+        calls: bucket.calls,
+        successes: bucket.successes,
+        failures: bucket.failures,
+        skipped: bucket.skipped,
+        successRate: bucket.calls > 0 ? Math.round((bucket.successes / bucket.calls) * 1000) / 1000 : null,
+        avgLatencyMs: bucket.calls > 0 ? Math.round(bucket.totalLatencyMs / bucket.calls) : null,
+        maxLatencyMs: bucket.maxLatencyMs,
+        circuitOpened: bucket.circuitOpened,
+        errors: bucket.errors
+      }));
+  }
+
+  getConfig() {
+    return {
+      failureThreshold: this.failureThreshold,
+      errorRateThreshold: this.errorRateThreshold,
+      minCallsForRate: MIN_CALLS_FOR_RATE,
+      windowSize: WINDOW_SIZE,
+      cooldownMs: this.cooldownMs,
+      maxCooldownMs: this.maxCooldownMs,
+      bucketMinutes: BUCKET_MS / 60000
+    };
+  }
+}
+
+const providerHealthService = new ProviderHealthService();
+providerHealthService.STATES = STATES;
+
+module.exports = providerHealthService;
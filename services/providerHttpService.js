@@ -0,0 +1,520 @@
+// File: services/providerHttpService.js
+// Purpose: Shared HTTP layer for external map/weather/traffic providers
+// Responses are cached under a provider-aware key (API keys stripped, coordinates rounded)
+// with per-provider TTLs in Redis or Mongo, and can be recorded to / replayed from fixture
+// files so full route analyses can be re-run offline.
+//
+// PROVIDER_HTTP_MODE:
+//   cache  (default) - serve from cache when fresh, otherwise call the provider and cache
+//   live             - always call the provider, no caching
+//   record           - always call the provider, write a fixture file and refresh the cache
+//   replay           - serve from fixture files only; never touches the network
+//
+// Every request is metered and budget-checked through apiQuotaService, and goes through the
+// per-provider circuit breaker in providerHealthService.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const apiQuota = require('./apiQuotaService');
+const providerHealth = require('./providerHealthService');
+
+const HTTP_MODES = ['cache', 'live', 'record', 'replay'];
+const SECRET_PARAMS = ['key', 'apikey', 'api_key', 'appid', 'access_token', 'token'];
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Matched in order - first host/path match wins. ttl in seconds (0 = never cache)
+const PROVIDERS = [
+  { name: 'google-directions', host: 'maps.googleapis.com', pathPrefix: '/maps/api/directions', ttl: DAY },
+  { name: 'google-geocode', host: 'maps.googleapis.com', pathPrefix: '/maps/api/geocode', ttl: 30 * DAY },
+  { name: 'google-elevation', host: 'maps.googleapis.com', pathPrefix: '/maps/api/elevation', ttl: 90 * DAY },
+  { name: 'google-place-details', host: 'maps.googleapis.com', pathPrefix: '/maps/api/place/details', ttl: 7 * DAY },
+  { name: 'google-places', host: 'maps.googleapis.com', pathPrefix: '/maps/api/place', ttl: 7 * DAY },
+  { name: 'google-streetview', host: 'maps.googleapis.com', pathPrefix: '/maps/api/streetview', ttl: 0 },
+  { name: 'google-static-maps', host: 'maps.googleapis.com', pathPrefix: '/maps/api/staticmap', ttl: 0 },
+  { name: 'google-roads', host: 'roads.googleapis.com', ttl: 30 * DAY },
+  { name: 'openweather', host: 'api.openweathermap.org', ttl: 30 * MINUTE },
+  { name: 'visualcrossing', host: 'weather.visualcrossing.com', ttl: 12 * HOUR },
+  { name: 'tomorrow-io', host: 'api.tomorrow.io', ttl: HOUR },
+  { name: 'tomtom-traffic', host: 'api.tomtom.com', pathPrefix: '/traffic', ttl: 5 * MINUTE },
+  { name: 'tomtom-search', host: 'api.tomtom.com', pathPrefix: '/search', ttl: 7 * DAY },
+  { name: 'here-traffic', host: 'data.traffic.hereapi.com', ttl: 5 * MINUTE },
+  { name: 'here-routing', host: 'router.hereapi.com', ttl: DAY },
+  { name: 'here-geocode', host: 'geocode.search.hereapi.com', ttl: 30 * DAY },
+  { name: 'here-geocode', host: 'revgeocode.search.hereapi.com', ttl: 30 * DAY },
+  { name: 'mapbox', host: 'api.mapbox.com', ttl: DAY }
+];
+
+// Provider-level failures returned with HTTP 200 - never cache these
+const UNCACHEABLE_STATUSES = ['OVER_QUERY_LIMIT', 'REQUEST_DENIED', 'UNKNOWN_ERROR', 'INVALID_REQUEST'];
+
+// ============================================================================
+// CACHE STORES
+// ============================================================================
+
+class MongoCacheStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  get model() {
+    return require('../models/ProviderCacheEntry');
+  }
+
+  // Skip rather than buffer when Mongo is not connected
+  isReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async get(key) {
+    if (!this.isReady()) return null;
+    const entry = await this.model.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+    return entry ? { status: entry.status, data: entry.data, cachedAt: entry.updatedAt } : null;
+  }
+
+  async set(key, entry, ttlSeconds) {
+    if (!this.isReady()) return;
+    await this.model.updateOne(
+      { key },
+      {
+        $set: {
+          provider: entry.provider,
+          url: entry.url,
+          status: entry.status,
+          data: entry.data,
+          expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+        },
+        $setOnInsert: { hits: 0 }
+      },
+      { upsert: true }
+    );
+  }
+
+  async clear(provider) {
+    if (!this.isReady()) return 0;
+    const result = await this.model.deleteMany(provider ? { provider } : {});
+    return result.deletedCount;
+  }
+}
+
+class RedisCacheStore {
+  constructor() {
+    this.name = 'redis';
+    this.prefix = 'provider-cache:';
+    this.client = null;
+  }
+
+  async connect() {
+    const { createClient } = require('redis');
+    const client = createClient({
+      socket: {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+        connectTimeout: 3000,
+        reconnectStrategy: retries => (retries >= 3 ? new Error('Redis unavailable') : 1000)
+      },
+      password: process.env.REDIS_PASSWORD || undefined,
+      database: parseInt(process.env.REDIS_DB, 10) || 0
+    });
+    client.on('error', () => {}); // connection failures surface through connect()/commands
+
+    await client.connect();
+    this.client = client;
+  }
+
+  isReady() {
+    return Boolean(this.client && this.client.isReady);
+  }
+
+  async get(key) {
+    if (!this.isReady()) return null;
+    const raw = await this.client.get(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, entry, ttlSeconds) {
+    if (!this.isReady()) return;
+    await this.client.setEx(this.prefix + key, ttlSeconds, JSON.stringify({
+      status: entry.status,
+      data: entry.data,
+      cachedAt: new Date()
+    }));
+  }
+
+  async clear(provider) {
+    if (!this.isReady()) return 0;
+    let deleted = 0;
+    const pattern = `${this.prefix}${provider ? `${provider}:` : ''}*`;
+    for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      deleted += await this.client.del(key);
+    }
+    return deleted;
+  }
+}
+
+// ============================================================================
+// PROVIDER HTTP SERVICE
+// ============================================================================
+
+class ProviderHttpService {
+  constructor() {
+    this.mode = HTTP_MODES.includes(process.env.PROVIDER_HTTP_MODE) ? process.env.PROVIDER_HTTP_MODE : 'cache';
+    this.storeType = process.env.PROVIDER_CACHE_STORE === 'redis' ? 'redis' : 'mongo';
+    this.coordinatePrecision = parseInt(process.env.PROVIDER_CACHE_COORD_PRECISION, 10) || 4; // ~11m
+    this.fixturesDir = path.resolve(process.env.PROVIDER_FIXTURES_DIR || './fixtures/providers');
+
+    this.store = null;
+    this.storePromise = null;
+    this.inFlight = new Map();
+    this.stats = {};
+  }
+
+  // ----------------------------------------------------------------------------
+  // Public API - axios-compatible for GET requests
+  // ----------------------------------------------------------------------------
+
+  async get(url, config = {}) {
+    const provider = this.resolveProvider(url);
+
+    // Binary/stream downloads (images) are metered but never cached
+    if (config.responseType && config.responseType !== 'json') {
+      if (this.mode === 'replay') {
+        throw this.replayError(url, 'binary responses are not recorded');
+      }
+      const budget = await apiQuota.checkBudget(provider.name);
+      if (budget) {
+        this.count(provider.name, 'blocked');
+        apiQuota.record(provider.name, 'blocked');
+        throw apiQuota.budgetError(provider.name, budget);
+      }
+      return this.request(provider, url, config);
+    }
+
+    const key = this.buildCacheKey(provider.name, url, config.params);
+
+    if (this.mode === 'replay') {
+      const response = this.replay(provider, key, url);
+      apiQuota.record(provider.name, 'cached');
+      return response;
+    }
+
+    // Identical concurrent requests share a single provider call
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const request = this.fetch(provider, key, url, config).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  async fetch(provider, key, url, config) {
+    const ttl = this.getTtl(provider);
+    const cacheable = this.mode !== 'live' && ttl > 0;
+
+    if (cacheable && this.mode === 'cache') {
+      const cached = await this.readCache(key);
+      if (cached) {
+        this.count(provider.name, 'hits');
+        apiQuota.record(provider.name, 'cached');
+        return this.toResponse(cached, url, config, 'cache');
+      }
+      this.count(provider.name, 'misses');
+    }
+
+    const budget = await apiQuota.checkBudget(provider.name);
+    if (budget) {
+      return this.overBudget(provider, key, url, config, budget);
+    }
+
+    const response = await this.request(provider, url, config);
+
+    if (this.isCacheableResponse(response)) {
+      const entry = {
+        provider: provider.name,
+        url: this.redactUrl(url),
+        status: response.status,
+        data: response.data
+      };
+
+      if (cacheable) {
+        await this.writeCache(key, entry, ttl);
+      }
+      if (this.mode === 'record') {
+        this.writeFixture(key, entry, config.params);
+        this.count(provider.name, 'recorded');
+      }
+    }
+
+    return response;
+  }
+
+  // The actual network call: circuit breaker check, health tracking and metering
+  async request(provider, url, config) {
+    const check = providerHealth.canRequest(provider.name);
+    if (!check.allowed) {
+      this.count(provider.name, 'skipped');
+      providerHealth.recordSkipped(provider.name);
+      apiQuota.record(provider.name, 'skipped');
+      throw providerHealth.circuitOpenError(provider.name, check);
+    }
+
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await axios.get(url, config);
+    } catch (error) {
+      providerHealth.recordFailure(provider.name, providerHealth.classifyError(error), Date.now() - startedAt, error.message);
+      apiQuota.record(provider.name, 'failed');
+      throw error;
+    }
+
+    const bodyError = providerHealth.classifyResponse(response);
+    if (bodyError) {
+      providerHealth.recordFailure(provider.name, bodyError, Date.now() - startedAt, `Provider status ${response.data.status}`);
+    } else {
+      providerHealth.recordSuccess(provider.name, Date.now() - startedAt);
+    }
+
+    this.count(provider.name, 'requests');
+    apiQuota.record(provider.name, 'call');
+    return response;
+  }
+
+  // Budget exhausted: in degrade mode a cached answer is still acceptable (even in live/record
+  // mode); otherwise the call fails and the caller falls back to its estimated data
+  async overBudget(provider, key, url, config, budget) {
+    if (apiQuota.mode === 'degrade' && this.mode !== 'cache' && this.getTtl(provider) > 0) {
+      const cached = await this.readCache(key);
+      if (cached) {
+        this.count(provider.name, 'hits');
+        apiQuota.record(provider.name, 'cached');
+        return this.toResponse(cached, url, config, 'cache');
+      }
+    }
+
+    this.count(provider.name, 'blocked');
+    apiQuota.record(provider.name, 'blocked');
+    throw apiQuota.budgetError(provider.name, budget);
+  }
+
+  // ----------------------------------------------------------------------------
+  // Cache key / provider resolution
+  // ----------------------------------------------------------------------------
+
+  resolveProvider(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { name: 'other', ttl: 0 };
+    }
+
+    const provider = PROVIDERS.find(p =>
+      p.host === parsed.hostname && (!p.pathPrefix || parsed.pathname.startsWith(p.pathPrefix))
+    );
+    return provider || { name: parsed.hostname.replace(/[^a-z0-9.-]/gi, '_'), ttl: 0 };
+  }
+
+  getTtl(provider) {
+    const override = process.env[`PROVIDER_CACHE_TTL_${provider.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+    return override !== undefined && !isNaN(parseInt(override, 10)) ? parseInt(override, 10) : provider.ttl;
+  }
+
+  // Rounds coordinates so nearby points along a route share cache entries
+  roundCoordinates(value) {
+    const precision = this.coordinatePrecision;
+    return String(value).replace(/-?\d{1,3}\.\d+/g, match => {
+      const decimals = match.split('.')[1].length;
+      return decimals > precision ? Number(match).toFixed(precision) : match;
+    });
+  }
+
+  buildCacheKey(providerName, url, params = {}) {
+    const parsed = new URL(url);
+    const query = [];
+
+    parsed.searchParams.forEach((value, name) => query.push([name, value]));
+    Object.entries(params || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) query.push([name, String(value)]);
+    });
+
+    const normalisedQuery = query
+      .filter(([name]) => !SECRET_PARAMS.includes(name.toLowerCase()))
+      .map(([name, value]) => `${name}=${this.roundCoordinates(value)}`)
+      .sort()
+      .join('&');
+
+    const normalisedPath = this.roundCoordinates(decodeURIComponent(parsed.pathname));
+    const fingerprint = `GET ${parsed.hostname}${normalisedPath}?${normalisedQuery}`;
+
+    return `${providerName}:${crypto.createHash('sha1').update(fingerprint).digest('hex')}`;
+  }
+
+  redactUrl(url) {
+    try {
+      const parsed = new URL(url);
+      Array.from(parsed.searchParams.keys()).forEach(name => {
+        if (SECRET_PARAMS.includes(name.toLowerCase())) parsed.searchParams.set(name, 'REDACTED');
+      });
+      return parsed.toString();
+    } catch (error) {
+      return '[invalid url]';
+    }
+  }
+
+  isCacheableResponse(response) {
+    if (response.status < 200 || response.status >= 300) return false;
+    const data = response.data;
+    if (data === undefined || data === null || typeof data !== 'object') return false;
+    return !UNCACHEABLE_STATUSES.includes(data.status);
+  }
+
+  toResponse(entry, url, config, source) {
+    return {
+      data: entry.data,
+      status: entry.status || 200,
+      statusText: 'OK',
+      headers: { 'x-provider-cache': source },
+      config: { ...config, url },
+      fromCache: true,
+      cacheSource: source,
+      cachedAt: entry.cachedAt || entry.recordedAt || null
+    };
+  }
+
+  // ----------------------------------------------------------------------------
+  // Storage
+  // ----------------------------------------------------------------------------
+
+  async getStore() {
+    if (this.store) return this.store;
+    if (!this.storePromise) {
+      this.storePromise = (async () => {
+        if (this.storeType === 'redis') {
+          const redisStore = new RedisCacheStore();
+          try {
+            await redisStore.connect();
+            console.log('✅ Provider cache using Redis');
+            return redisStore;
+          } catch (error) {
+            console.warn(`⚠️ Provider cache: Redis unavailable (${error.message}), falling back to Mongo`);
+          }
+        }
+        return new MongoCacheStore();
+      })().then(store => {
+        this.store = store;
+        return store;
+      });
+    }
+    return this.storePromise;
+  }
+
+  // Cache failures never fail the provider call
+  async readCache(key) {
+    try {
+      const store = await this.getStore();
+      return await store.get(key);
+    } catch (error) {
+      console.warn('⚠️ Provider cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async writeCache(key, entry, ttl) {
+    try {
+      const store = await this.getStore();
+      await store.set(key, entry, ttl);
+      this.count(entry.provider, 'stored');
+    } catch (error) {
+      console.warn('⚠️ Provider cache write failed:', error.message);
+    }
+  }
+
+  async clearCache(provider = null) {
+    const store = await this.getStore();
+    return store.clear(provider);
+  }
+
+  // ----------------------------------------------------------------------------
+  // Record / replay fixtures
+  // ----------------------------------------------------------------------------
+
+  fixturePath(key) {
+    const [provider, hash] = key.split(':');
+    return path.join(this.fixturesDir, provider, `${hash}.json`);
+  }
+
+  writeFixture(key, entry, params) {
+    try {
+      const file = this.fixturePath(key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        key,
+        provider: entry.provider,
+        url: entry.url,
+        params: params || undefined,
+        status: entry.status,
+        recordedAt: new Date(),
+        data: entry.data
+      }, null, 2));
+    } catch (error) {
+      console.warn('⚠️ Failed to write provider fixture:', error.message);
+    }
+  }
+
+  replay(provider, key, url) {
+    const file = this.fixturePath(key);
+    if (!fs.existsSync(file)) {
+      this.count(provider.name, 'replayMisses');
+      throw this.replayError(url, `no fixture ${path.relative(process.cwd(), file)}`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.count(provider.name, 'replayed');
+    return this.toResponse(fixture, url, {}, 'fixture');
+  }
+
+  // Behaves like a network error so callers fall back exactly as they would offline
+  replayError(url, reason) {
+    const error = new Error(`Provider replay: ${reason} for ${this.redactUrl(url)}`);
+    error.code = 'PROVIDER_FIXTURE_MISSING';
+    return error;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Stats
+  // ----------------------------------------------------------------------------
+
+  count(providerName, field) {
+    if (!this.stats[providerName]) {
+      this.stats[providerName] = { requests: 0, hits: 0, misses: 0, blocked: 0, skipped: 0, stored: 0, recorded: 0, replayed: 0, replayMisses: 0 };
+    }
+    this.stats[providerName][field] += 1;
+  }
+
+  getStats() {
+    return {
+      mode: this.mode,
+      store: this.store ? this.store.name : this.storeType,
+      coordinatePrecision: this.coordinatePrecision,
+      fixturesDir: this.fixturesDir,
+      providers: this.stats
+    };
+  }
+}
+
+const providerHttpService = new ProviderHttpService();
+providerHttpService.PROVIDERS = PROVIDERS;
+providerHttpService.HTTP_MODES = HTTP_MODES;
+
+module.exports = providerHttpService;
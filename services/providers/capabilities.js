@@ -0,0 +1,174 @@
+// File: services/providers/capabilities.js
+// Purpose: Capability interfaces implemented by external provider adapters
+// Every adapter that declares a capability must implement all of its methods and return
+// the normalised shapes below, so services never parse provider-specific payloads.
+
+/**
+ * @typedef {Object} Coordinates
+ * @property {number} latitude
+ * @property {number} longitude
+ */
+
+/**
+ * incidents.getIncidents({ latitude, longitude, radiusDeg })
+ * @typedef {Object} Incident
+ * @property {string} id
+ * @property {string} provider - adapter name (tomtom, here, stub)
+ * @property {string} source - data source label stored on records (e.g. TOMTOM_TRAFFIC_API)
+ * @property {Coordinates} coordinates
+ * @property {number} magnitude - 0 (unknown) to 4 (most severe), provider scale normalised
+ * @property {string} description
+ * @property {string} category
+ * @property {string|null} eventCode
+ * @property {string|null} startTime
+ * @property {string|null} endTime
+ * @property {Date} timestamp
+ * @property {Object} rawData - original provider payload, for debugging only
+ */
+
+/**
+ * places.searchNearby({ latitude, longitude, radius, type }) -> Place[]
+ * places.getPlaceDetails(placeId) -> PlaceDetails|null
+ * @typedef {Object} Place
+ * @property {string} placeId
+ * @property {string} name
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number|undefined} rating
+ * @property {string|undefined} vicinity
+ * @property {string[]} types
+ * @property {boolean|undefined} openNow
+ * @property {number|undefined} priceLevel
+ * @property {string|undefined} businessStatus
+ * @property {string} source
+ *
+ * @typedef {Object} PlaceDetails
+ * @property {string} placeId
+ * @property {string|null} phoneNumber
+ * @property {string|null} address
+ * @property {{ weekdayText: string[], openNow: boolean|undefined }|null} openingHours
+ * @property {string|null} website
+ * @property {string|null} businessStatus
+ * @property {boolean|undefined} wheelchairAccessible
+ * @property {string[]} types
+ */
+
+/**
+ * elevation.getElevations(points) -> ElevationResult[] (same order as the input, max 100 points)
+ * @typedef {Object} ElevationResult
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number} elevation - metres above sea level
+ */
+
+/**
+ * roads.nearestRoads(points) -> SnappedPoint[]
+ * roads.getSpeedLimits(placeIds) -> SpeedLimit[]
+ * @typedef {Object} SnappedPoint
+ * @property {string} placeId
+ * @property {{ latitude: number, longitude: number }} location
+ * @property {number|undefined} originalIndex
+ *
+ * @typedef {Object} SpeedLimit
+ * @property {string} placeId
+ * @property {number} speedLimit
+ * @property {string} units - KPH or MPH
+ */
+
+/**
+ * weather.getCurrentWeather(latitude, longitude) -> CurrentWeather
+ * weather.getHistoricalWeather(latitude, longitude, date) -> DailyWeather|null
+ * @typedef {Object} CurrentWeather
+ * @property {number} temperature - °C
+ * @property {number} humidity - %
+ * @property {number|undefined} pressure - hPa
+ * @property {number} windSpeed - km/h
+ * @property {number|undefined} windDirection - degrees
+ * @property {number} visibility - km
+ * @property {string} description
+ * @property {string} condition
+ * @property {string} dataSource
+ *
+ * @typedef {Object} DailyWeather
+ * @property {number} temperature
+ * @property {number|undefined} maxTemperature
+ * @property {number|undefined} minTemperature
+ * @property {number} humidity
+ * @property {number} precipitation - mm
+ * @property {number} windSpeed - km/h
+ * @property {number|undefined} windDirection
+ * @property {number} visibility - km
+ * @property {string|undefined} conditions
+ * @property {string} dataSource
+ * @property {number} confidence - 0-1
+ */
+
+/**
+ * directions.getDirections({ origin, destination, waypoints, alternatives }) -> DirectionsResult
+ * @typedef {Object} DirectionsRoute
+ * @property {number} distance - km
+ * @property {number} duration - minutes
+ * @property {string|null} polyline - encoded polyline (Google format) when available
+ * @property {Array} steps
+ * @property {Object|null} bounds
+ *
+ * @typedef {Object} DirectionsResult
+ * @property {string} provider
+ * @property {DirectionsRoute[]} routes
+ */
+
+/**
+ * traffic.getTrafficFlow({ latitude, longitude, radius }) -> TrafficFlow|null
+ * @typedef {Object} TrafficFlow
+ * @property {number|null} currentSpeed - km/h
+ * @property {number|null} freeFlowSpeed - km/h
+ * @property {number} jamFactor - 0 (free flow) to 10 (standstill)
+ * @property {number|null} confidence - 0-1
+ * @property {boolean} roadClosure
+ * @property {string} dataSource
+ */
+
+/**
+ * roadInfo.getRoadInfo({ latitude, longitude }) -> RoadInfo|null
+ * @typedef {Object} RoadInfo
+ * @property {string} source - adapter name (here, tomtom, mapbox, stub)
+ * @property {string|null} name
+ * @property {string|null} address
+ * @property {string|null} roadNumber
+ * @property {string} roadType - highway, state, district or rural
+ * @property {number|null} speedLimit - km/h
+ * @property {number} confidence - 0-1
+ * @property {Coordinates|null} coordinates
+ */
+
+const CAPABILITIES = {
+  incidents: ['getIncidents'],
+  places: ['searchNearby', 'getPlaceDetails'],
+  elevation: ['getElevations'],
+  roads: ['nearestRoads', 'getSpeedLimits'],
+  weather: ['getCurrentWeather', 'getHistoricalWeather'],
+  directions: ['getDirections'],
+  traffic: ['getTrafficFlow'],
+  roadInfo: ['getRoadInfo']
+};
+
+// Throws if an adapter declares a capability without implementing its methods
+function assertImplements(adapter) {
+  for (const capability of adapter.capabilities || []) {
+    const methods = CAPABILITIES[capability];
+    if (!methods) {
+      throw new Error(`Provider ${adapter.name} declares unknown capability "${capability}"`);
+    }
+
+    const missing = methods.filter(method => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Provider ${adapter.name} does not implement ${capability}: ${missing.join(', ')}`);
+    }
+  }
+  return adapter;
+}
+
+module.exports = {
+  CAPABILITIES,
+  assertImplements
+};
@@ -0,0 +1,176 @@
+// File: services/providers/googleProvider.js
+// Purpose: Google Maps Platform adapter - Places, Elevation, Roads and Directions
+
+const providerHttp = require('../providerHttpService');
+
+const PLACES_OK = ['OK', 'ZERO_RESULTS'];
+
+class GoogleProvider {
+  constructor() {
+    this.name = 'google';
+    this.label = 'Google Maps Platform';
+    this.capabilities = ['places', 'elevation', 'roads', 'directions'];
+    this.apiKey = process.env.GOOGLE_MAPS_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  // ============================================================================
+  // PLACES
+  // ============================================================================
+
+  async searchNearby({ latitude, longitude, radius = 5000, type }) {
+    const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?` +
+      `location=${latitude},${longitude}&` +
+      `radius=${radius}&` +
+      (type ? `type=${type}&` : '') +
+      `key=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, { timeout: 10000 });
+
+    if (!PLACES_OK.includes(response.data.status)) {
+      throw new Error(`Google Places API error: ${response.data.status}`);
+    }
+
+    return (response.data.results || []).map(place => ({
+      placeId: place.place_id,
+      name: place.name,
+      latitude: place.geometry.location.lat,
+      longitude: place.geometry.location.lng,
+      rating: place.rating,
+      vicinity: place.vicinity,
+      types: place.types || [],
+      openNow: place.opening_hours?.open_now,
+      priceLevel: place.price_level,
+      businessStatus: place.business_status,
+      source: 'GOOGLE_PLACES_API'
+    }));
+  }
+
+  async getPlaceDetails(placeId) {
+    const url = `https://maps.googleapis.com/maps/api/place/details/json?` +
+      `place_id=${placeId}&` +
+      `fields=formatted_phone_number,formatted_address,opening_hours,website,business_status,types,wheelchair_accessible_entrance&` +
+      `key=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, { timeout: 10000 });
+
+    if (response.data.status !== 'OK' || !response.data.result) {
+      return null;
+    }
+
+    const place = response.data.result;
+    return {
+      placeId,
+      phoneNumber: place.formatted_phone_number || null,
+      address: place.formatted_address || null,
+      openingHours: place.opening_hours ? {
+        weekdayText: place.opening_hours.weekday_text || [],
+        openNow: place.opening_hours.open_now
+      } : null,
+      website: place.website || null,
+      businessStatus: place.business_status || null,
+      wheelchairAccessible: place.wheelchair_accessible_entrance,
+      types: place.types || []
+    };
+  }
+
+  // ============================================================================
+  // ELEVATION
+  // ============================================================================
+
+  async getElevations(points) {
+    const locations = points.map(point => `${point.latitude},${point.longitude}`).join('|');
+    const url = `https://maps.googleapis.com/maps/api/elevation/json?locations=${locations}&key=${this.apiKey}`;
+
+    const response = await providerHttp.get(url);
+
+    if (response.data.status !== 'OK') {
+      throw new Error(`Google Elevation API error: ${response.data.status}`);
+    }
+
+    return response.data.results.map(result => ({
+      latitude: result.location.lat,
+      longitude: result.location.lng,
+      elevation: result.elevation
+    }));
+  }
+
+  // ============================================================================
+  // ROADS
+  // ============================================================================
+
+  async nearestRoads(points) {
+    const url = `https://roads.googleapis.com/v1/nearestRoads?` +
+      `points=${points.map(point => `${point.latitude},${point.longitude}`).join('|')}&` +
+      `key=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, {
+      timeout: 15000,
+      headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
+    });
+
+    return (response.data?.snappedPoints || []).map(snap => ({
+      placeId: snap.placeId,
+      location: {
+        latitude: snap.location.latitude,
+        longitude: snap.location.longitude
+      },
+      originalIndex: snap.originalIndex
+    }));
+  }
+
+  async getSpeedLimits(placeIds) {
+    const url = `https://roads.googleapis.com/v1/speedLimits?` +
+      placeIds.map(placeId => `placeId=${placeId}`).join('&') +
+      `&key=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, { timeout: 10000 });
+
+    return (response.data?.speedLimits || []).map(limit => ({
+      placeId: limit.placeId,
+      speedLimit: limit.speedLimit,
+      units: limit.units || 'KPH'
+    }));
+  }
+
+  // ============================================================================
+  // DIRECTIONS
+  // ============================================================================
+
+  async getDirections({ origin, destination, waypoints = [], alternatives = false }) {
+    let url = `https://maps.googleapis.com/maps/api/directions/json?` +
+      `origin=${origin.latitude},${origin.longitude}&` +
+      `destination=${destination.latitude},${destination.longitude}&` +
+      (alternatives ? 'alternatives=true&' : '') +
+      `key=${this.apiKey}`;
+
+    if (waypoints.length > 0) {
+      url += `&waypoints=${waypoints.map(wp => `${wp.latitude},${wp.longitude}`).join('|')}`;
+    }
+
+    const response = await providerHttp.get(url, { timeout: 10000 });
+
+    if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
+      throw new Error(`Google Directions API error: ${response.data.status}`);
+    }
+
+    return {
+      provider: this.name,
+      routes: (response.data.routes || []).map(route => {
+        const legs = route.legs || [];
+        return {
+          distance: legs.reduce((sum, leg) => sum + leg.distance.value, 0) / 1000,
+          duration: legs.reduce((sum, leg) => sum + leg.duration.value, 0) / 60,
+          polyline: route.overview_polyline?.points || null,
+          steps: legs[0]?.steps || [],
+          bounds: route.bounds || null
+        };
+      })
+    };
+  }
+}
+
+module.exports = new GoogleProvider();
@@ -0,0 +1,177 @@
+// File: services/providers/hereProvider.js
+// Purpose: HERE adapter - Traffic Incidents and Flow v7, Routing v8 and reverse geocoding
+
+const providerHttp = require('../providerHttpService');
+
+// HERE v7 reports criticality as a label; older payloads used numbers
+const CRITICALITY_MAGNITUDE = {
+  critical: 4,
+  major: 3,
+  minor: 2,
+  lowImpact: 1
+};
+
+class HereProvider {
+  constructor() {
+    this.name = 'here';
+    this.label = 'HERE Technologies';
+    this.capabilities = ['incidents', 'directions', 'traffic', 'roadInfo'];
+    this.apiKey = process.env.HERE_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async getIncidents({ latitude, longitude, radiusDeg = 0.05 }) {
+    const bbox = [
+      longitude - radiusDeg, // minLon
+      latitude - radiusDeg,  // minLat
+      longitude + radiusDeg, // maxLon
+      latitude + radiusDeg   // maxLat
+    ].join(',');
+
+    const url = `https://data.traffic.hereapi.com/v7/incidents` +
+      `?apikey=${this.apiKey}` +
+      `&in=bbox:${bbox}` +
+      `&locationReferencing=shape`;
+
+    const response = await providerHttp.get(url, {
+      timeout: 15000,
+      headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
+    });
+
+    return (response.data?.results || []).map(incident => {
+      const details = incident.incidentDetails || {};
+      return {
+        id: details.id || `here_${Date.now()}_${Math.random()}`,
+        provider: this.name,
+        source: 'HERE_TRAFFIC_API',
+        coordinates: this.extractCoordinates(incident.location),
+        magnitude: this.toMagnitude(details.criticality),
+        description: details.description?.value || 'Traffic incident',
+        category: details.type || 'unknown',
+        eventCode: null,
+        startTime: details.startTime || null,
+        endTime: details.endTime || null,
+        timestamp: new Date(),
+        rawData: incident
+      };
+    });
+  }
+
+  async getDirections({ origin, destination, waypoints = [], alternatives = false }) {
+    const url = `https://router.hereapi.com/v8/routes?` +
+      `transportMode=car&` +
+      `origin=${origin.latitude},${origin.longitude}&` +
+      `destination=${destination.latitude},${destination.longitude}&` +
+      waypoints.map(wp => `via=${wp.latitude},${wp.longitude}&`).join('') +
+      (alternatives ? 'alternatives=2&' : '') +
+      `return=summary&` +
+      `apikey=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, { timeout: 10000 });
+
+    return {
+      provider: this.name,
+      routes: (response.data?.routes || []).map(route => {
+        const sections = route.sections || [];
+        return {
+          distance: sections.reduce((sum, section) => sum + (section.summary?.length || 0), 0) / 1000,
+          duration: sections.reduce((sum, section) => sum + (section.summary?.duration || 0), 0) / 60,
+          polyline: null, // HERE uses flexible polyline encoding - not requested
+          steps: [],
+          bounds: null
+        };
+      })
+    };
+  }
+
+  async getTrafficFlow({ latitude, longitude, radius = 1000 }) {
+    const url = `https://data.traffic.hereapi.com/v7/flow?` +
+      `locationReferencing=shape&` +
+      `in=circle:${latitude},${longitude};r=${radius}&` +
+      `apikey=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, { timeout: 15000 });
+
+    const flow = response.data?.results?.[0]?.currentFlow;
+    if (!flow) return null;
+
+    // v7 reports speeds in m/s
+    const toKmh = speed => (typeof speed === 'number' ? Math.round(speed * 3.6 * 10) / 10 : null);
+
+    return {
+      currentSpeed: toKmh(flow.speed),
+      freeFlowSpeed: toKmh(flow.freeFlow),
+      jamFactor: flow.jamFactor || 0,
+      confidence: flow.confidence ?? null,
+      roadClosure: flow.traversability === 'closed',
+      dataSource: 'HERE_TRAFFIC_API_V7'
+    };
+  }
+
+  // Reverse geocode for the road name, plus a short route from the point for its speed limit
+  async getRoadInfo({ latitude, longitude }) {
+    const geocodeUrl = `https://geocode.search.hereapi.com/v1/revgeocode?` +
+      `at=${latitude},${longitude}&` +
+      `lang=en-US&` +
+      `apikey=${this.apiKey}`;
+
+    const geocodeResponse = await providerHttp.get(geocodeUrl, {
+      timeout: 15000,
+      headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
+    });
+
+    const item = geocodeResponse.data?.items?.[0];
+    if (!item) return null;
+
+    let summary = null;
+    try {
+      const routeUrl = `https://router.hereapi.com/v8/routes?` +
+        `transportMode=car&` +
+        `origin=${latitude},${longitude}&` +
+        `destination=${latitude + 0.001},${longitude + 0.001}&` +
+        `return=summary&` +
+        `apikey=${this.apiKey}`;
+
+      const routeResponse = await providerHttp.get(routeUrl, { timeout: 10000 });
+      summary = routeResponse.data?.routes?.[0]?.sections?.[0]?.summary || null;
+    } catch (error) {
+      console.warn('HERE routing for road attributes failed:', error.message);
+    }
+
+    const street = item.address?.street || null;
+    return {
+      source: this.name,
+      name: street,
+      address: item.address?.label || null,
+      roadNumber: street,
+      roadType: this.classifyRoadType(street),
+      speedLimit: summary?.speedLimit ?? null,
+      confidence: 0.8,
+      coordinates: item.position ? { latitude: item.position.lat, longitude: item.position.lng } : null,
+      administrativeArea: item.address?.state || null
+    };
+  }
+
+  classifyRoadType(street) {
+    const roadNumber = street || '';
+    if (roadNumber.includes('NH') || roadNumber.includes('National')) return 'highway';
+    if (roadNumber.includes('SH') || roadNumber.includes('State')) return 'state';
+    if (roadNumber.includes('MDR') || roadNumber.includes('District')) return 'district';
+    return 'rural';
+  }
+
+  toMagnitude(criticality) {
+    if (typeof criticality === 'number') return criticality;
+    return CRITICALITY_MAGNITUDE[criticality] || 0;
+  }
+
+  extractCoordinates(location) {
+    const point = location?.shape?.links?.[0]?.points?.[0];
+    return point ? { latitude: point.lat, longitude: point.lng } : { latitude: 0, longitude: 0 };
+  }
+}
+
+module.exports = new HereProvider();
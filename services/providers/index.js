@@ -0,0 +1,138 @@
+// File: services/providers/index.js
+// Purpose: Registry of external provider adapters, resolved per capability from configuration
+//
+// PROVIDER_MODE=stub              every capability uses the offline stub provider
+// PROVIDERS_<CAPABILITY>=a,b,...  ordered provider chain, e.g. PROVIDERS_INCIDENTS=tomtom,here
+//                                 or PROVIDERS_WEATHER=stub
+// Adapters without an API key are skipped; stubs are only used when configured explicitly.
+
+const { CAPABILITIES, assertImplements } = require('./capabilities');
+
+const DEFAULT_CHAINS = {
+  incidents: ['tomtom', 'here'],
+  places: ['google'],
+  elevation: ['google'],
+  roads: ['google'],
+  weather: ['visualcrossing', 'tomorrow-io', 'openweather'],
+  directions: ['google', 'here'],
+  traffic: ['here'],
+  roadInfo: ['here', 'tomtom', 'mapbox']
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+
+    [
+      require('./googleProvider'),
+      require('./tomtomProvider'),
+      require('./hereProvider'),
+      require('./mapboxProvider'),
+      require('./openWeatherProvider'),
+      require('./visualCrossingProvider'),
+      require('./tomorrowIoProvider'),
+      require('./stubProvider')
+    ].forEach(adapter => this.register(adapter));
+  }
+
+  register(adapter) {
+    assertImplements(adapter);
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  assertCapability(capability) {
+    if (!CAPABILITIES[capability]) {
+      throw new Error(`Unknown provider capability: ${capability}`);
+    }
+  }
+
+  getMode() {
+    return process.env.PROVIDER_MODE === 'stub' ? 'stub' : 'live';
+  }
+
+  // Configured provider names for a capability, in priority order
+  getChain(capability) {
+    this.assertCapability(capability);
+
+    if (this.getMode() === 'stub') return ['stub'];
+
+    const configured = process.env[`PROVIDERS_${capability.toUpperCase()}`];
+    if (configured) {
+      return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    }
+    return DEFAULT_CHAINS[capability];
+  }
+
+  // Usable adapters for a capability (declared the capability and have credentials)
+  getProviders(capability) {
+    return this.getChain(capability)
+      .map(name => this.adapters.get(name))
+      .filter(adapter => adapter && adapter.capabilities.includes(capability) && adapter.isConfigured());
+  }
+
+  get(capability) {
+    return this.getProviders(capability)[0] || null;
+  }
+
+  isAvailable(capability) {
+    return this.getProviders(capability).length > 0;
+  }
+
+  // Call a capability method on the first provider that answers, falling through the chain on errors
+  async call(capability, method, ...args) {
+    if (!CAPABILITIES[capability]?.includes(method)) {
+      throw new Error(`${method} is not part of the ${capability} capability`);
+    }
+
+    const providers = this.getProviders(capability);
+    if (providers.length === 0) {
+      const error = new Error(`No ${capability} provider configured (chain: ${this.getChain(capability).join(', ')})`);
+      error.code = 'PROVIDER_NOT_CONFIGURED';
+      throw error;
+    }
+
+    let lastError = null;
+    for (const provider of providers) {
+      try {
+        const result = await provider[method](...args);
+        if (result !== null && result !== undefined) {
+          return result;
+        }
+      } catch (error) {
+        lastError = error;
+        console.warn(`⚠️ ${provider.label} ${capability}.${method} failed: ${error.message}`);
+      }
+    }
+
+    if (lastError) throw lastError;
+    return null;
+  }
+
+  // Configuration overview for status endpoints and startup logs
+  describe() {
+    const capabilities = {};
+    Object.keys(CAPABILITIES).forEach(capability => {
+      capabilities[capability] = {
+        chain: this.getChain(capability),
+        active: this.getProviders(capability).map(adapter => adapter.name)
+      };
+    });
+
+    return {
+      mode: this.getMode(),
+      capabilities,
+      providers: Array.from(this.adapters.values()).map(adapter => ({
+        name: adapter.name,
+        label: adapter.label,
+        capabilities: adapter.capabilities,
+        configured: adapter.isConfigured()
+      }))
+    };
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+providerRegistry.CAPABILITIES = CAPABILITIES;
+
+module.exports = providerRegistry;
@@ -0,0 +1,66 @@
+// File: services/providers/mapboxProvider.js
+// Purpose: Mapbox adapter - Matrix and Geocoding APIs for road lookups
+
+const providerHttp = require('../providerHttpService');
+
+class MapboxProvider {
+  constructor() {
+    this.name = 'mapbox';
+    this.label = 'Mapbox';
+    this.capabilities = ['roadInfo'];
+    this.apiKey = process.env.MAPBOX_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  // A drivable matrix leg from the point confirms a road; reverse geocoding names it
+  async getRoadInfo({ latitude, longitude }) {
+    const matrixUrl = `https://api.mapbox.com/directions-matrix/v1/mapbox/driving/` +
+      `${longitude},${latitude};${longitude + 0.001},${latitude + 0.001}?` +
+      `sources=0&` +
+      `destinations=1&` +
+      `annotations=distance,duration&` +
+      `access_token=${this.apiKey}`;
+
+    const matrixResponse = await providerHttp.get(matrixUrl, {
+      timeout: 10000,
+      headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
+    });
+
+    const geocodeUrl = `https://api.mapbox.com/geocoding/v5/mapbox.places/` +
+      `${longitude},${latitude}.json?` +
+      `types=address&` +
+      `access_token=${this.apiKey}`;
+
+    const geocodeResponse = await providerHttp.get(geocodeUrl, { timeout: 10000 });
+
+    const roadExists = typeof matrixResponse.data?.distances?.[0]?.[0] === 'number';
+    const feature = geocodeResponse.data?.features?.[0];
+    if (!roadExists && !feature) return null;
+
+    return {
+      source: this.name,
+      name: feature?.text || null,
+      address: feature?.place_name || null,
+      roadNumber: null,
+      roadType: feature ? this.classifyRoadType(feature) : 'rural',
+      speedLimit: null,
+      confidence: 0.7,
+      coordinates: feature?.center ? { latitude: feature.center[1], longitude: feature.center[0] } : null
+    };
+  }
+
+  classifyRoadType(feature) {
+    const context = feature.context || [];
+    const placeName = feature.place_name || '';
+
+    if (placeName.includes('Highway') || placeName.includes('NH')) return 'highway';
+    if (placeName.includes('State') || placeName.includes('SH')) return 'state';
+    if (context.some(entry => entry.id?.includes('postcode'))) return 'district';
+    return 'rural';
+  }
+}
+
+module.exports = new MapboxProvider();
@@ -0,0 +1,63 @@
+// File: services/providers/openWeatherProvider.js
+// Purpose: OpenWeather adapter - current conditions
+// The free tier has no long-range history, so historical requests are answered with current
+// conditions at reduced confidence (same behaviour as the original weather service).
+
+const providerHttp = require('../providerHttpService');
+
+class OpenWeatherProvider {
+  constructor() {
+    this.name = 'openweather';
+    this.label = 'OpenWeather';
+    this.capabilities = ['weather'];
+    this.apiKey = process.env.OPENWEATHER_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async fetchCurrent(latitude, longitude) {
+    const url = `https://api.openweathermap.org/data/2.5/weather?` +
+      `lat=${latitude}&lon=${longitude}&` +
+      `appid=${this.apiKey}&units=metric`;
+
+    const response = await providerHttp.get(url, { timeout: 10000 });
+    return response.data;
+  }
+
+  async getCurrentWeather(latitude, longitude) {
+    const data = await this.fetchCurrent(latitude, longitude);
+
+    return {
+      temperature: data.main.temp,
+      humidity: data.main.humidity,
+      pressure: data.main.pressure,
+      windSpeed: (data.wind?.speed || 0) * 3.6, // m/s -> km/h
+      windDirection: data.wind?.deg,
+      visibility: (data.visibility || 10000) / 1000, // m -> km
+      description: data.weather[0].description,
+      condition: data.weather[0].main,
+      dataSource: 'OPENWEATHER_API'
+    };
+  }
+
+  async getHistoricalWeather(latitude, longitude) {
+    const data = await this.fetchCurrent(latitude, longitude);
+    if (!data) return null;
+
+    return {
+      temperature: data.main.temp,
+      humidity: data.main.humidity,
+      precipitation: 0, // Not available in current weather
+      windSpeed: (data.wind?.speed || 0) * 3.6,
+      windDirection: data.wind?.deg || 0,
+      visibility: (data.visibility || 10000) / 1000,
+      conditions: data.weather[0].description,
+      dataSource: 'OPENWEATHER_CURRENT_APPROX',
+      confidence: 0.6 // Lower confidence for approximated data
+    };
+  }
+}
+
+module.exports = new OpenWeatherProvider();
@@ -0,0 +1,344 @@
+// File: services/providers/stubProvider.js
+// Purpose: Deterministic offline provider implementing every capability
+// Output depends only on the request (coordinates rounded to ~100m, type, date), so repeated
+// runs give identical results. Lets the full analysis pipeline run with no network or API keys.
+// Enable with PROVIDER_MODE=stub, or list "stub" in a PROVIDERS_<CAPABILITY> chain.
+
+const crypto = require('crypto');
+
+const PLACE_NAMES = {
+  hospital: ['District Hospital', 'Community Health Centre', 'City Care Hospital'],
+  police: ['Police Station', 'Highway Police Outpost', 'Traffic Police Chowki'],
+  fire_station: ['Fire Station', 'Fire & Rescue Post'],
+  gas_station: ['HP Petrol Pump', 'Highway Fuel Station', 'Fuel Point'],
+  car_repair: ['Truck Repair Works', 'Highway Garage'],
+  school: ['Government School', 'Public School'],
+  restaurant: ['Highway Dhaba', 'Family Restaurant']
+};
+
+const INCIDENT_TEMPLATES = [
+  { category: 'accident', description: 'Accident: vehicle collision, lane blocked', magnitude: 3 },
+  { category: 'broken_down_vehicle', description: 'Broken down vehicle on shoulder', magnitude: 2 },
+  { category: 'road_works', description: 'Road works, single lane traffic', magnitude: 1 },
+  { category: 'dangerous_conditions', description: 'Hazard: debris on road', magnitude: 2 },
+  { category: 'accident', description: 'Accident involving heavy vehicle', magnitude: 4 }
+];
+
+const WEATHER_CONDITIONS = ['Clear', 'Clouds', 'Haze', 'Rain', 'Mist'];
+
+const ROAD_TYPES = [
+  { roadType: 'highway', prefix: 'NH', speedLimit: 80 },
+  { roadType: 'state', prefix: 'SH', speedLimit: 60 },
+  { roadType: 'district', prefix: 'MDR', speedLimit: 50 },
+  { roadType: 'rural', prefix: 'ODR', speedLimit: 40 }
+];
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.label = 'Offline stub provider';
+    this.capabilities = ['incidents', 'places', 'elevation', 'roads', 'weather', 'directions', 'traffic', 'roadInfo'];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // ============================================================================
+  // DETERMINISTIC HELPERS
+  // ============================================================================
+
+  // Seeded PRNG (mulberry32) keyed on the request
+  random(...parts) {
+    const seed = crypto.createHash('md5').update(parts.join('|')).digest().readUInt32LE(0);
+    let state = seed;
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  cell(latitude, longitude) {
+    return `${Number(latitude).toFixed(3)},${Number(longitude).toFixed(3)}`;
+  }
+
+  offset(latitude, longitude, rand, maxMeters) {
+    const distance = rand() * maxMeters;
+    const bearing = rand() * 2 * Math.PI;
+    const dLat = (distance * Math.cos(bearing)) / 111320;
+    const dLon = (distance * Math.sin(bearing)) / (111320 * Math.cos(latitude * Math.PI / 180));
+    return {
+      latitude: Math.round((latitude + dLat) * 1e6) / 1e6,
+      longitude: Math.round((longitude + dLon) * 1e6) / 1e6
+    };
+  }
+
+  distanceKm(a, b) {
+    const R = 6371;
+    const dLat = (b.latitude - a.latitude) * Math.PI / 180;
+    const dLon = (b.longitude - a.longitude) * Math.PI / 180;
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(a.latitude * Math.PI / 180) * Math.cos(b.latitude * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  }
+
+  // Google encoded polyline algorithm
+  encodePolyline(points) {
+    let lastLat = 0;
+    let lastLng = 0;
+    let encoded = '';
+
+    const encodeValue = value => {
+      let v = value < 0 ? ~(value << 1) : value << 1;
+      let chunk = '';
+      while (v >= 0x20) {
+        chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+        v >>= 5;
+      }
+      return chunk + String.fromCharCode(v + 63);
+    };
+
+    for (const point of points) {
+      const lat = Math.round(point.latitude * 1e5);
+      const lng = Math.round(point.longitude * 1e5);
+      encoded += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+      lastLat = lat;
+      lastLng = lng;
+    }
+    return encoded;
+  }
+
+  // ============================================================================
+  // INCIDENTS
+  // ============================================================================
+
+  async getIncidents({ latitude, longitude, radiusDeg = 0.05 }) {
+    const rand = this.random('incidents', this.cell(latitude, longitude), radiusDeg);
+    const count = Math.floor(rand() * 3); // 0-2 incidents per query
+
+    return Array.from({ length: count }, (_, i) => {
+      const template = INCIDENT_TEMPLATES[Math.floor(rand() * INCIDENT_TEMPLATES.length)];
+      return {
+        id: `stub_incident_${this.cell(latitude, longitude)}_${i}`,
+        provider: this.name,
+        source: 'STUB_PROVIDER',
+        coordinates: this.offset(latitude, longitude, rand, radiusDeg * 111320 * 0.8),
+        magnitude: template.magnitude,
+        description: template.description,
+        category: template.category,
+        eventCode: null,
+        startTime: null,
+        endTime: null,
+        timestamp: new Date(),
+        rawData: { stub: true }
+      };
+    });
+  }
+
+  // ============================================================================
+  // PLACES
+  // ============================================================================
+
+  async searchNearby({ latitude, longitude, radius = 5000, type = 'establishment' }) {
+    const rand = this.random('places', this.cell(latitude, longitude), radius, type);
+    const names = PLACE_NAMES[type] || ['Roadside Establishment', 'Commercial Building'];
+    const count = Math.floor(rand() * 4); // 0-3 places
+
+    return Array.from({ length: count }, (_, i) => {
+      const location = this.offset(latitude, longitude, rand, radius);
+      return {
+        placeId: `stub_${type}_${this.cell(latitude, longitude)}_${i}`,
+        name: `${names[i % names.length]} ${i + 1}`,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        rating: Math.round((3 + rand() * 2) * 10) / 10,
+        vicinity: `Near ${this.cell(latitude, longitude)}`,
+        types: [type, 'point_of_interest', 'establishment'],
+        openNow: true,
+        priceLevel: undefined,
+        businessStatus: 'OPERATIONAL',
+        source: 'STUB_PROVIDER'
+      };
+    });
+  }
+
+  async getPlaceDetails(placeId) {
+    const rand = this.random('place-details', placeId);
+    const type = String(placeId).split('_')[1] || 'establishment';
+
+    return {
+      placeId,
+      phoneNumber: `+91 ${String(Math.floor(7000000000 + rand() * 2999999999))}`,
+      address: `Stub address for ${placeId}`,
+      openingHours: {
+        weekdayText: type === 'hospital' || type === 'police' ? ['Open 24 hours'] : ['Monday-Sunday: 8:00 AM - 10:00 PM'],
+        openNow: true
+      },
+      website: null,
+      businessStatus: 'OPERATIONAL',
+      wheelchairAccessible: rand() > 0.5,
+      types: [type]
+    };
+  }
+
+  // ============================================================================
+  // ELEVATION - smooth synthetic terrain so gradients look plausible
+  // ============================================================================
+
+  async getElevations(points) {
+    return points.map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      elevation: Math.round((
+        400 +
+        250 * Math.sin(point.latitude * 25) * Math.cos(point.longitude * 18) +
+        80 * Math.sin(point.longitude * 140)
+      ) * 10) / 10
+    }));
+  }
+
+  // ============================================================================
+  // ROADS
+  // ============================================================================
+
+  async nearestRoads(points) {
+    return points.map((point, index) => ({
+      placeId: `stub_road_${this.cell(point.latitude, point.longitude)}`,
+      location: { latitude: point.latitude, longitude: point.longitude },
+      originalIndex: index
+    }));
+  }
+
+  async getSpeedLimits(placeIds) {
+    return placeIds.map(placeId => ({
+      placeId,
+      speedLimit: [40, 60, 80][Math.floor(this.random('speed', placeId)() * 3)],
+      units: 'KPH'
+    }));
+  }
+
+  async getRoadInfo({ latitude, longitude }) {
+    const rand = this.random('road-info', this.cell(latitude, longitude));
+    const road = ROAD_TYPES[Math.floor(rand() * ROAD_TYPES.length)];
+    const roadNumber = `${road.prefix} ${1 + Math.floor(rand() * 150)}`;
+
+    return {
+      source: this.name,
+      name: roadNumber,
+      address: `${roadNumber}, near ${this.cell(latitude, longitude)}`,
+      roadNumber,
+      roadType: road.roadType,
+      speedLimit: road.speedLimit,
+      confidence: 0.5,
+      coordinates: { latitude, longitude }
+    };
+  }
+
+  // ============================================================================
+  // TRAFFIC
+  // ============================================================================
+
+  async getTrafficFlow({ latitude, longitude, radius = 1000 }) {
+    const rand = this.random('traffic', this.cell(latitude, longitude), radius);
+    const freeFlowSpeed = Math.round(40 + rand() * 40);
+    const jamFactor = Math.round(rand() * 6 * 10) / 10;
+
+    return {
+      currentSpeed: Math.round(freeFlowSpeed * (1 - jamFactor / 10) * 10) / 10,
+      freeFlowSpeed,
+      jamFactor,
+      confidence: 0.5,
+      roadClosure: false,
+      dataSource: 'STUB_PROVIDER'
+    };
+  }
+
+  // ============================================================================
+  // WEATHER - seasonal climate curve for the Indian subcontinent
+  // ============================================================================
+
+  climate(latitude, longitude, month) {
+    const rand = this.random('weather', this.cell(latitude, longitude), month);
+    const monsoon = month >= 6 && month <= 9;
+    const winter = month === 12 || month <= 2;
+    const base = 33 - Math.abs(latitude - 12) * 0.5 - (winter ? 8 : 0) - (monsoon ? 3 : 0);
+
+    return {
+      temperature: Math.round((base + rand() * 4 - 2) * 10) / 10,
+      humidity: Math.round(monsoon ? 75 + rand() * 20 : 40 + rand() * 30),
+      pressure: Math.round(1005 + rand() * 12),
+      precipitation: monsoon ? Math.round(rand() * 40 * 10) / 10 : Math.round(rand() * 2 * 10) / 10,
+      windSpeed: Math.round((5 + rand() * 20) * 10) / 10,
+      windDirection: Math.round(rand() * 360),
+      visibility: Math.round((winter ? 2 + rand() * 6 : 6 + rand() * 4) * 10) / 10,
+      condition: monsoon ? 'Rain' : WEATHER_CONDITIONS[Math.floor(rand() * WEATHER_CONDITIONS.length)]
+    };
+  }
+
+  async getCurrentWeather(latitude, longitude) {
+    const climate = this.climate(latitude, longitude, 1); // fixed month keeps output independent of the clock
+    return {
+      temperature: climate.temperature,
+      humidity: climate.humidity,
+      pressure: climate.pressure,
+      windSpeed: climate.windSpeed,
+      windDirection: climate.windDirection,
+      visibility: climate.visibility,
+      description: climate.condition.toLowerCase(),
+      condition: climate.condition,
+      dataSource: 'STUB_PROVIDER'
+    };
+  }
+
+  async getHistoricalWeather(latitude, longitude, date) {
+    const climate = this.climate(latitude, longitude, new Date(date).getUTCMonth() + 1);
+    return {
+      temperature: climate.temperature,
+      maxTemperature: Math.round((climate.temperature + 5) * 10) / 10,
+      minTemperature: Math.round((climate.temperature - 6) * 10) / 10,
+      humidity: climate.humidity,
+      precipitation: climate.precipitation,
+      windSpeed: climate.windSpeed,
+      windDirection: climate.windDirection,
+      visibility: climate.visibility,
+      conditions: climate.condition,
+      dataSource: 'STUB_PROVIDER',
+      confidence: 0.5
+    };
+  }
+
+  // ============================================================================
+  // DIRECTIONS - straight line with a road winding factor
+  // ============================================================================
+
+  async getDirections({ origin, destination, waypoints = [], alternatives = false }) {
+    const points = [origin, ...waypoints, destination];
+    let straightKm = 0;
+    for (let i = 1; i < points.length; i++) {
+      straightKm += this.distanceKm(points[i - 1], points[i]);
+    }
+
+    const route = winding => {
+      const distance = Math.round(straightKm * winding * 100) / 100;
+      return {
+        distance,
+        duration: Math.round((distance / 45) * 60 * 10) / 10, // 45 km/h average for tankers
+        polyline: this.encodePolyline(points),
+        steps: [],
+        bounds: {
+          northeast: { lat: Math.max(...points.map(p => p.latitude)), lng: Math.max(...points.map(p => p.longitude)) },
+          southwest: { lat: Math.min(...points.map(p => p.latitude)), lng: Math.min(...points.map(p => p.longitude)) }
+        }
+      };
+    };
+
+    return {
+      provider: this.name,
+      routes: alternatives ? [route(1.25), route(1.4)] : [route(1.25)]
+    };
+  }
+}
+
+module.exports = new StubProvider();
@@ -0,0 +1,69 @@
+// File: services/providers/tomorrowIoProvider.js
+// Purpose: Tomorrow.io adapter - realtime and daily timeline weather
+
+const providerHttp = require('../providerHttpService');
+
+class TomorrowIoProvider {
+  constructor() {
+    this.name = 'tomorrow-io';
+    this.label = 'Tomorrow.io';
+    this.capabilities = ['weather'];
+    this.apiKey = process.env.TOMORROW_IO_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async getCurrentWeather(latitude, longitude) {
+    const url = `https://api.tomorrow.io/v4/weather/realtime?` +
+      `location=${latitude},${longitude}&` +
+      `units=metric&` +
+      `apikey=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, { timeout: 15000 });
+    const values = response.data?.data?.values;
+    if (!values) {
+      throw new Error('Tomorrow.io returned no data');
+    }
+
+    return {
+      temperature: values.temperature,
+      humidity: values.humidity,
+      pressure: values.pressureSurfaceLevel,
+      windSpeed: (values.windSpeed || 0) * 3.6, // m/s -> km/h
+      windDirection: values.windDirection,
+      visibility: values.visibility || 10,
+      description: `Weather code ${values.weatherCode}`,
+      condition: values.precipitationIntensity > 0 ? 'Rain' : 'Clear',
+      dataSource: 'TOMORROW_IO'
+    };
+  }
+
+  async getHistoricalWeather(latitude, longitude, date) {
+    const dateStr = date.toISOString().split('T')[0];
+    const url = `https://api.tomorrow.io/v4/timelines?` +
+      `location=${latitude},${longitude}&` +
+      `fields=temperature,humidity,precipitationIntensity,windSpeed,visibility&` +
+      `timesteps=1d&` +
+      `startTime=${dateStr}T00:00:00Z&` +
+      `endTime=${dateStr}T23:59:59Z&` +
+      `apikey=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, { timeout: 15000 });
+    const dayData = response.data?.data?.timelines?.[0]?.intervals?.[0]?.values;
+    if (!dayData) return null;
+
+    return {
+      temperature: dayData.temperature,
+      humidity: dayData.humidity,
+      precipitation: dayData.precipitationIntensity || 0,
+      windSpeed: dayData.windSpeed || 0,
+      visibility: dayData.visibility || 10,
+      dataSource: 'TOMORROW_IO_HISTORICAL',
+      confidence: 0.85
+    };
+  }
+}
+
+module.exports = new TomorrowIoProvider();
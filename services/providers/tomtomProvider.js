@@ -0,0 +1,121 @@
+// File: services/providers/tomtomProvider.js
+// Purpose: TomTom adapter - Traffic Incident Details and Search APIs
+
+const providerHttp = require('../providerHttpService');
+
+// TomTom iconCategory codes
+const ICON_CATEGORIES = {
+  0: 'unknown',
+  1: 'accident',
+  2: 'fog',
+  3: 'dangerous_conditions',
+  4: 'rain',
+  5: 'ice',
+  6: 'jam',
+  7: 'lane_closed',
+  8: 'road_closed',
+  9: 'road_works',
+  10: 'wind',
+  11: 'flooding',
+  14: 'broken_down_vehicle'
+};
+
+class TomTomProvider {
+  constructor() {
+    this.name = 'tomtom';
+    this.label = 'TomTom';
+    this.capabilities = ['incidents', 'roadInfo'];
+    this.apiKey = process.env.TOMTOM_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async getIncidents({ latitude, longitude, radiusDeg = 0.05 }) {
+    const bbox = [
+      longitude - radiusDeg, // minLon
+      latitude - radiusDeg,  // minLat
+      longitude + radiusDeg, // maxLon
+      latitude + radiusDeg   // maxLat
+    ].join(',');
+
+    const url = `https://api.tomtom.com/traffic/services/5/incidentDetails` +
+      `?key=${this.apiKey}` +
+      `&bbox=${bbox}` +
+      `&fields={incidents{type,geometry{type,coordinates},properties{id,iconCategory,magnitudeOfDelay,startTime,endTime,events{description,code,iconCategory}}}}` +
+      `&language=en-GB`;
+
+    const response = await providerHttp.get(url, {
+      timeout: 15000,
+      headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
+    });
+
+    return (response.data?.incidents || []).map(incident => {
+      const properties = incident.properties || {};
+      return {
+        id: properties.id || incident.id || `tomtom_${Date.now()}_${Math.random()}`,
+        provider: this.name,
+        source: 'TOMTOM_TRAFFIC_API',
+        coordinates: this.extractCoordinates(incident.geometry),
+        magnitude: properties.magnitudeOfDelay || 0,
+        description: properties.events?.[0]?.description || 'Traffic incident',
+        category: ICON_CATEGORIES[properties.iconCategory] || 'unknown',
+        eventCode: properties.events?.[0]?.code ?? null,
+        startTime: properties.startTime || null,
+        endTime: properties.endTime || null,
+        timestamp: new Date(),
+        rawData: incident
+      };
+    });
+  }
+
+  // Nearby search restricted to the road category
+  async getRoadInfo({ latitude, longitude }) {
+    const url = `https://api.tomtom.com/search/2/nearbySearch/.json?` +
+      `lat=${latitude}&` +
+      `lon=${longitude}&` +
+      `radius=100&` +
+      `categorySet=7311&` +
+      `key=${this.apiKey}`;
+
+    const response = await providerHttp.get(url, {
+      timeout: 15000,
+      headers: { 'User-Agent': 'HPCL-Journey-Risk-Management/2.0' }
+    });
+
+    const result = response.data?.results?.[0];
+    if (!result) return null;
+
+    return {
+      source: this.name,
+      name: result.poi?.name || null,
+      address: result.address?.freeformAddress || null,
+      roadNumber: null,
+      roadType: this.classifyRoadType(result.poi?.categories || []),
+      speedLimit: result.speedLimit || null,
+      confidence: result.score || 0.7,
+      coordinates: result.position ? { latitude: result.position.lat, longitude: result.position.lon } : null
+    };
+  }
+
+  classifyRoadType(categories) {
+    if (categories.some(category => category.includes('highway'))) return 'highway';
+    if (categories.some(category => category.includes('arterial'))) return 'state';
+    if (categories.some(category => category.includes('local'))) return 'district';
+    return 'rural';
+  }
+
+  // GeoJSON Point or first vertex of a LineString
+  extractCoordinates(geometry) {
+    if (geometry?.type === 'Point' && geometry.coordinates) {
+      return { latitude: geometry.coordinates[1], longitude: geometry.coordinates[0] };
+    }
+    if (geometry?.type === 'LineString' && geometry.coordinates?.[0]) {
+      return { latitude: geometry.coordinates[0][1], longitude: geometry.coordinates[0][0] };
+    }
+    return { latitude: 0, longitude: 0 };
+  }
+}
+
+module.exports = new TomTomProvider();
@@ -0,0 +1,72 @@
+// File: services/providers/visualCrossingProvider.js
+// Purpose: Visual Crossing adapter - Timeline API (best source for historical daily weather)
+
+const providerHttp = require('../providerHttpService');
+
+class VisualCrossingProvider {
+  constructor() {
+    this.name = 'visualcrossing';
+    this.label = 'Visual Crossing';
+    this.capabilities = ['weather'];
+    this.apiKey = process.env.VISUALCROSSING_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async fetchDay(latitude, longitude, day) {
+    const url = `https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline/` +
+      `${latitude},${longitude}/${day}?` +
+      `key=${this.apiKey}&` +
+      `unitGroup=metric&` +
+      `include=days&` +
+      `elements=temp,tempmax,tempmin,humidity,pressure,precip,windspeed,winddir,visibility,conditions,snow,snowdepth,icon`;
+
+    const response = await providerHttp.get(url, { timeout: 15000 });
+    return response.data?.days?.[0] || null;
+  }
+
+  async getCurrentWeather(latitude, longitude) {
+    const dayData = await this.fetchDay(latitude, longitude, 'today');
+    if (!dayData) {
+      throw new Error('Visual Crossing returned no data');
+    }
+
+    return {
+      temperature: dayData.temp,
+      humidity: dayData.humidity,
+      pressure: dayData.pressure,
+      windSpeed: dayData.windspeed || 0,
+      windDirection: dayData.winddir,
+      visibility: dayData.visibility || 10,
+      description: dayData.conditions,
+      condition: (dayData.conditions || '').split(',')[0],
+      dataSource: 'VISUAL_CROSSING'
+    };
+  }
+
+  async getHistoricalWeather(latitude, longitude, date) {
+    const dayData = await this.fetchDay(latitude, longitude, date.toISOString().split('T')[0]);
+    if (!dayData) return null;
+
+    return {
+      temperature: dayData.temp,
+      maxTemperature: dayData.tempmax,
+      minTemperature: dayData.tempmin,
+      humidity: dayData.humidity,
+      precipitation: dayData.precip || 0,
+      windSpeed: dayData.windspeed || 0,
+      windDirection: dayData.winddir || 0,
+      visibility: dayData.visibility || 10,
+      conditions: dayData.conditions,
+      snow: dayData.snow || 0,
+      snowDepth: dayData.snowdepth || 0,
+      icon: dayData.icon,
+      dataSource: 'VISUAL_CROSSING_HISTORICAL',
+      confidence: 0.9
+    };
+  }
+}
+
+module.exports = new VisualCrossingProvider();
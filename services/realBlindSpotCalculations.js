@@ -1,22 +1,31 @@
 // File: services/realBlindSpotCalculations.js - REAL APIs ONLY VERSION
-// Purpose: Calculate blind spots using ONLY real Google APIs - NO mock/fallback data
+// Purpose: Calculate blind spots using ONLY real data (Google APIs, local DEM tiles) - NO mock/fallback data
 // CRITICAL: This version ONLY returns results from actual API calls
 
-const axios = require('axios');
+const providerRegistry = require('./providers');
+const osmRoadNetwork = require('./osmRoadNetworkService');
 const BlindSpot = require('../models/BlindSpot');
+const elevationService = require('./elevationService');
+
+// Route point sampling to stay within API rate limits
+const SAMPLING = {
+  obstructionInterval: 20,
+  intersectionInterval: 25
+};
+
+const OBSTRUCTION_PLACE_TYPES = ['establishment', 'point_of_interest', 'building'];
 
 class RealBlindSpotCalculator {
   constructor() {
-    this.googleMapsApiKey = process.env.GOOGLE_MAPS_API_KEY;
     this.earthRadiusKm = 6371;
     
-    // Validate API key on startup
-    if (!this.googleMapsApiKey) {
-      console.error('❌ CRITICAL: Google Maps API key not configured');
-      console.error('❌ Blind spot analysis will NOT work without API key');
-      console.error('❌ Please set GOOGLE_MAPS_API_KEY in .env file');
+    // Validate places provider on startup
+    if (!providerRegistry.isAvailable('places')) {
+      console.error('❌ CRITICAL: No places provider configured');
+      console.error('❌ Blind spot analysis will NOT work without a places provider');
+      console.error('❌ Please set GOOGLE_MAPS_API_KEY in .env file (or PROVIDER_MODE=stub for offline runs)');
     } else {
-      console.log('✅ Google Maps API key configured for blind spot analysis');
+      console.log(`✅ Places provider configured for blind spot analysis: ${providerRegistry.get('places').label}`);
     }
     
     // STRICT thresholds for real blind spot detection
@@ -44,9 +53,9 @@ class RealBlindSpotCalculator {
   
   async analyzeAllBlindSpots(routeId) {
     try {
-      // CRITICAL: Fail immediately if no API key
-      if (!this.googleMapsApiKey) {
-        throw new Error('Google Maps API key not configured - cannot perform real blind spot analysis');
+      // CRITICAL: Fail immediately if no places provider
+      if (!providerRegistry.isAvailable('places')) {
+        throw new Error('No places provider configured - cannot perform real blind spot analysis');
       }
 
       console.log(`🔍 Starting REAL blind spot analysis for route: ${routeId} (NO MOCK DATA)`);
@@ -162,13 +171,13 @@ class RealBlindSpotCalculator {
   
   async analyzeRealElevationBlindSpots(routePoints, routeId) {
     try {
-      if (!this.googleMapsApiKey) {
-        throw new Error('Google Maps API key required for elevation analysis');
+      if (!elevationService.hasLocalTiles() && !providerRegistry.isAvailable('elevation')) {
+        throw new Error('Local DEM tiles or an elevation provider required for elevation analysis');
       }
 
       console.log(`📡 Fetching REAL elevation data for ${routePoints.length} points...`);
       
-      // Get real elevation data from Google
+      // Get real elevation data (local DEM tiles, Google fallback)
       const elevationData = await this.getRealElevationData(routePoints);
       
       if (!elevationData || elevationData.length === 0) {
@@ -289,8 +298,8 @@ class RealBlindSpotCalculator {
   
   async analyzeRealObstructionBlindSpots(routePoints, routeId) {
     try {
-      if (!this.googleMapsApiKey) {
-        throw new Error('Google Maps API key required for obstruction analysis');
+      if (!providerRegistry.isAvailable('places')) {
+        throw new Error('Places provider required for obstruction analysis');
       }
 
       console.log('🏢 Analyzing REAL obstructions using Google Places API...');
@@ -298,7 +307,7 @@ class RealBlindSpotCalculator {
       const blindSpots = [];
       
       // Sample every 20th point to avoid API rate limits
-      for (let i = 0; i < routePoints.length; i += 20) {
+      for (let i = 0; i < routePoints.length; i += SAMPLING.obstructionInterval) {
         try {
           const point = routePoints[i];
           
@@ -361,27 +370,30 @@ class RealBlindSpotCalculator {
   }
 
   // ============================================================================
-  // 4. REAL INTERSECTION BLIND SPOTS (Google Places + Roads API)
+  // 4. REAL INTERSECTION BLIND SPOTS (imported OSM network or Roads API + Google Places)
   // ============================================================================
   
   async analyzeRealIntersectionBlindSpots(routePoints, routeId) {
     try {
-      if (!this.googleMapsApiKey) {
-        throw new Error('Google Maps API key required for intersection analysis');
+      const localNetwork = await osmRoadNetwork.isAvailable();
+      if (!providerRegistry.isAvailable('places') || (!localNetwork && !providerRegistry.isAvailable('roads'))) {
+        throw new Error('Places provider and a road network (OSM import or roads provider) required for intersection analysis');
       }
 
-      console.log('🚦 Analyzing REAL intersections using Google APIs...');
+      console.log(`🚦 Analyzing REAL intersections using ${localNetwork ? 'the imported OSM road network' : 'Google APIs'}...`);
       
       const blindSpots = [];
       
       // Sample every 25th point for intersection analysis
-      for (let i = 0; i < routePoints.length; i += 25) {
+      for (let i = 0; i < routePoints.length; i += SAMPLING.intersectionInterval) {
         try {
           const point = routePoints[i];
           
-          // Check for intersections using Google Roads API
-          const nearbyRoads = await this.getRealNearbyRoads(point);
-          const intersectionAnalysis = this.analyzeRealIntersection(point, nearbyRoads);
+          // Junctions from the local OSM network where covered, else the roads provider
+          const localIntersection = localNetwork && await osmRoadNetwork.covers(point);
+          const intersectionAnalysis = localIntersection
+            ? this.analyzeLocalIntersection(await osmRoadNetwork.getIntersection(point))
+            : this.analyzeRealIntersection(point, await this.getRealNearbyRoads(point));
           
           if (intersectionAnalysis.isSignificantIntersection) {
             // Get visibility obstructions at intersection
@@ -399,7 +411,7 @@ class RealBlindSpotCalculator {
                   visibilityDistance: visibilityAnalysis.minVisibilityDistance,
                   obstructionHeight: visibilityAnalysis.maxObstructionHeight,
                   riskScore,
-                  analysisMethod: 'REAL_GOOGLE_ROADS_PLACES_API',
+                  analysisMethod: localIntersection ? 'OSM_ROAD_NETWORK_PLACES_API' : 'REAL_GOOGLE_ROADS_PLACES_API',
                   confidence: visibilityAnalysis.confidence,
                   intersectionData: {
                     roadCount: intersectionAnalysis.roadCount,
@@ -417,8 +429,10 @@ class RealBlindSpotCalculator {
             }
           }
           
-          // Rate limiting between API calls
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          // Rate limiting between API calls (local junction lookups only call the places provider)
+          if (!localIntersection || intersectionAnalysis.isSignificantIntersection) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
           
         } catch (intError) {
           console.warn(`Intersection analysis failed for point ${i}:`, intError.message);
@@ -434,86 +448,62 @@ class RealBlindSpotCalculator {
   }
 
   // ============================================================================
-  // REAL GOOGLE API METHODS
+  // REAL DATA SOURCE METHODS (local DEM + Google APIs)
   // ============================================================================
 
-  // Get real elevation data from Google Elevation API
+  // Get real elevation data - local SRTM/GeoTIFF tiles first, Google Elevation API as fallback
   async getRealElevationData(routePoints) {
     try {
-      const elevationData = [];
-      const batchSize = 100; // Google API limit
+      console.log(`📡 Fetching elevation data for ${routePoints.length} points...`);
       
-      console.log(`📡 Fetching elevation data in batches of ${batchSize}...`);
+      const results = await elevationService.getElevations(routePoints);
       
-      for (let i = 0; i < routePoints.length; i += batchSize) {
-        const batch = routePoints.slice(i, i + batchSize);
-        const locations = batch.map(p => `${p.latitude},${p.longitude}`).join('|');
-        
-        const url = `https://maps.googleapis.com/maps/api/elevation/json?locations=${locations}&key=${this.googleMapsApiKey}`;
-        
-        const response = await axios.get(url, { timeout: 15000 });
-        
-        if (response.data.status !== 'OK') {
-          throw new Error(`Google Elevation API error: ${response.data.status}`);
-        }
-
-        const validElevations = response.data.results
-          .map(result => result.elevation)
-          .filter(elevation => typeof elevation === 'number' && !isNaN(elevation));
-        
-        elevationData.push(...validElevations);
-        
-        console.log(`✅ Batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(routePoints.length/batchSize)}: ${validElevations.length} elevations`);
-        
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
+      const elevationData = results
+        .map(result => result.elevation)
+        .filter(elevation => typeof elevation === 'number' && !isNaN(elevation));
+      
+      const sources = elevationService.summarizeSources(results);
+      console.log(`📊 Total elevation points fetched: ${elevationData.length}`, sources);
+      
+      if (elevationData.length === 0) {
+        throw new Error('No elevation data from local DEM tiles or Google Elevation API');
       }
       
-      console.log(`📊 Total elevation points fetched: ${elevationData.length}`);
       return elevationData;
       
     } catch (error) {
-      console.error('❌ Google Elevation API failed:', error);
+      console.error('❌ Elevation data unavailable:', error);
       throw error; // NO FALLBACK
     }
   }
 
-  // Get real nearby obstructions from Google Places API
+  // Get real nearby obstructions from the places provider (Google Places)
   async getRealNearbyObstructions(point) {
     try {
       const radius = this.REAL_THRESHOLDS.MAX_OBSTRUCTION_DISTANCE;
-      const types = ['establishment', 'point_of_interest', 'building'];
       const obstructions = [];
 
-      for (const type of types) {
-        const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?` +
-          `location=${point.latitude},${point.longitude}&` +
-          `radius=${radius}&` +
-          `type=${type}&` +
-          `key=${this.googleMapsApiKey}`;
-
-        const response = await axios.get(url, { timeout: 10000 });
-
-        if (response.data.status === 'OK' && response.data.results) {
-          for (const place of response.data.results) {
-            const distance = this.calculateDistance(
-              point,
-              { latitude: place.geometry.location.lat, longitude: place.geometry.location.lng }
-            );
-
-            if (distance <= this.REAL_THRESHOLDS.MAX_OBSTRUCTION_DISTANCE) {
-              obstructions.push({
-                type: this.categorizeRealObstruction(place.types),
-                name: place.name,
-                distance: distance,
-                height: this.estimateRealHeight(place.types, place.name),
-                coordinates: {
-                  latitude: place.geometry.location.lat,
-                  longitude: place.geometry.location.lng
-                },
-                placeId: place.place_id
-              });
-            }
+      for (const type of OBSTRUCTION_PLACE_TYPES) {
+        const places = await providerRegistry.call('places', 'searchNearby', {
+          latitude: point.latitude,
+          longitude: point.longitude,
+          radius,
+          type
+        });
+
+        for (const place of places) {
+          const coordinates = { latitude: place.latitude, longitude: place.longitude };
+          const distance = this.calculateDistance(point, coordinates);
+
+          if (distance <= this.REAL_THRESHOLDS.MAX_OBSTRUCTION_DISTANCE) {
+            obstructions.push({
+              type: this.categorizeRealObstruction(place.types),
+              name: place.name,
+              distance: distance,
+              height: this.estimateRealHeight(place.types, place.name),
+              coordinates,
+              placeId: place.placeId
+            });
           }
         }
 
@@ -528,33 +518,18 @@ class RealBlindSpotCalculator {
       );
 
     } catch (error) {
-      console.error('❌ Google Places API failed:', error);
+      console.error('❌ Places provider failed:', error);
       throw error; // NO FALLBACK
     }
   }
 
-  // Get real nearby roads from Google Roads API
+  // Get real nearby roads from the roads provider (Google Roads)
   async getRealNearbyRoads(point) {
     try {
-      // Use Google Roads API to get road information
-      const url = `https://roads.googleapis.com/v1/nearestRoads?` +
-        `points=${point.latitude},${point.longitude}&` +
-        `key=${this.googleMapsApiKey}`;
-
-      const response = await axios.get(url, { timeout: 10000 });
-
-      if (response.data.snappedPoints) {
-        return response.data.snappedPoints.map(snap => ({
-          placeId: snap.placeId,
-          location: snap.location,
-          originalIndex: snap.originalIndex
-        }));
-      }
-
-      return [];
+      return await providerRegistry.call('roads', 'nearestRoads', [point]);
 
     } catch (error) {
-      console.error('❌ Google Roads API failed:', error);
+      console.error('❌ Roads provider failed:', error);
       throw error; // NO FALLBACK
     }
   }
@@ -564,32 +539,27 @@ class RealBlindSpotCalculator {
     try {
       // Get nearby buildings and structures that could obstruct intersection visibility
       const radius = 50; // meters
-      const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?` +
-        `location=${point.latitude},${point.longitude}&` +
-        `radius=${radius}&` +
-        `type=establishment&` +
-        `key=${this.googleMapsApiKey}`;
-
-      const response = await axios.get(url, { timeout: 10000 });
-
-      if (response.data.status === 'OK' && response.data.results) {
-        return response.data.results
-          .map(place => ({
-            name: place.name,
-            type: this.categorizeRealObstruction(place.types),
-            height: this.estimateRealHeight(place.types, place.name),
-            distance: this.calculateDistance(
-              point,
-              { latitude: place.geometry.location.lat, longitude: place.geometry.location.lng }
-            )
-          }))
-          .filter(obs => obs.distance <= 50 && obs.height >= 3);
-      }
+      const places = await providerRegistry.call('places', 'searchNearby', {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        radius,
+        type: 'establishment'
+      });
 
-      return [];
+      return places
+        .map(place => ({
+          name: place.name,
+          type: this.categorizeRealObstruction(place.types),
+          height: this.estimateRealHeight(place.types, place.name),
+          distance: this.calculateDistance(
+            point,
+            { latitude: place.latitude, longitude: place.longitude }
+          )
+        }))
+        .filter(obs => obs.distance <= 50 && obs.height >= 3);
 
     } catch (error) {
-      console.error('❌ Google Places API failed for intersections:', error);
+      console.error('❌ Places provider failed for intersections:', error);
       throw error; // NO FALLBACK
     }
   }
@@ -713,6 +683,23 @@ class RealBlindSpotCalculator {
     };
   }
 
+  // Same shape as analyzeRealIntersection, from an OSM junction (road arms meeting at the node)
+  analyzeLocalIntersection(junction) {
+    const roadCount = junction ? junction.roadArms : 0;
+    
+    let intersectionType = 'none';
+    if (roadCount >= 4) intersectionType = 'major_intersection';
+    else if (roadCount === 3) intersectionType = 't_junction';
+    
+    return {
+      isSignificantIntersection: roadCount >= 3,
+      roadCount,
+      type: intersectionType,
+      complexity: roadCount > 3 ? 'complex' : 'simple',
+      controls: junction ? junction.controls : []
+    };
+  }
+
   analyzeRealIntersection(point, nearbyRoads) {
     const roadCount = nearbyRoads.length;
     
@@ -1294,4 +1281,8 @@ validateNumber(value, defaultValue) {
   }
 }
 
-module.exports = new RealBlindSpotCalculator();
\ No newline at end of file
+const realBlindSpotCalculator = new RealBlindSpotCalculator();
+realBlindSpotCalculator.SAMPLING = SAMPLING;
+realBlindSpotCalculator.OBSTRUCTION_PLACE_TYPES = OBSTRUCTION_PLACE_TYPES;
+
+module.exports = realBlindSpotCalculator;
\ No newline at end of file
@@ -9,6 +9,8 @@ const AccidentProneArea = require('../models/AccidentProneArea');
 const WeatherCondition = require('../models/WeatherCondition');
 const TrafficData = require('../models/TrafficData');
 const EmergencyService = require('../models/EmergencyService');
+const RiskAssessment = require('../models/RiskAssessment');
+const RiskProfile = require('../models/RiskProfile');
 const logger = require('../utils/logger');
 const axios = require('axios'); // ✅ ADDED: Missing axios import
 
@@ -37,10 +39,15 @@ class EnhancedRiskCalculationService {
       D: { min: 6.1, max: 8.0, level: 'High Risk', color: '#fd7e14' },
       F: { min: 8.1, max: 10.0, level: 'Critical Risk', color: '#dc3545' }
     };
+    
+    // Stored with every assessment - bump when factor logic or weights change
+    this.calculationVersion = '2.1';
   }
 
   // Main enhanced risk calculation function
-  async calculateRouteRisk(routeId) {
+  // options.trigger: 'manual' | 'bulk' | 'scheduled', options.triggeredBy: user id,
+  // options.profile: risk weight profile name (default profile when omitted)
+  async calculateRouteRisk(routeId, options = {}) {
     try {
       console.log(`🔄 Starting enhanced risk calculation for route: ${routeId}`);
       
@@ -49,6 +56,9 @@ class EnhancedRiskCalculationService {
         throw new Error('Route not found');
       }
 
+      const profile = await this.resolveProfile(options.profile);
+      const { weights, gradeThresholds } = profile;
+
       // Calculate individual risk scores with enhanced data
       const riskScores = {
         roadConditions: await this.calculateEnhancedRoadConditionsRisk(routeId),
@@ -64,23 +74,26 @@ class EnhancedRiskCalculationService {
         securityIssues: await this.calculateEnhancedSecurityRisk(routeId)
       };
 
-      // Calculate weighted total score
-      const totalWeightedScore = this.calculateWeightedScore(riskScores);
+      // Calculate weighted total score with the profile's weights
+      const totalWeightedScore = this.calculateWeightedScore(riskScores, weights);
       
-      // Determine risk grade and level
-      const riskGrade = this.determineRiskGrade(totalWeightedScore);
-      const riskLevel = this.determineRiskLevel(totalWeightedScore);
+      // Determine risk grade and level from the profile's thresholds
+      const riskGrade = this.determineRiskGrade(totalWeightedScore, gradeThresholds);
+      const riskLevel = this.determineRiskLevel(totalWeightedScore, gradeThresholds);
       
       // Generate comprehensive risk explanation
-      const riskExplanation = this.generateEnhancedRiskExplanation(riskScores, totalWeightedScore, riskGrade);
+      const riskExplanation = this.generateEnhancedRiskExplanation(riskScores, totalWeightedScore, riskGrade, profile);
       
       const result = {
         ...riskScores,
         totalWeightedScore: Math.round(totalWeightedScore * 100) / 100,
         riskGrade,
         riskLevel,
+        riskProfile: profile.name,
+        riskProfileVersion: profile.version,
+        riskProfileName: profile.displayName,
         riskExplanation,
-        topRiskFactors: this.identifyTopRiskFactors(riskScores),
+        topRiskFactors: this.identifyTopRiskFactors(riskScores, weights),
         safetyRecommendations: this.generateComprehensiveSafetyRecommendations(riskScores, totalWeightedScore),
         calculatedAt: new Date(),
         dataQuality: await this.assessDataQuality(routeId),
@@ -92,10 +105,15 @@ class EnhancedRiskCalculationService {
         riskScores: result,
         riskLevel: riskLevel,
         'metadata.lastCalculated': new Date(),
-        'metadata.riskVersion': '2.0'
+        'metadata.riskVersion': this.calculationVersion
       });
 
-      console.log(`✅ Enhanced risk calculation completed for route ${routeId}: Score ${totalWeightedScore}, Grade ${riskGrade}, Level ${riskLevel}`);
+      // Keep an immutable record of this run for history and diffs
+      const assessment = await this.recordAssessment(route, result, riskScores, profile, options);
+      result.assessmentId = assessment ? assessment._id : null;
+      result.calculationVersion = this.calculationVersion;
+
+      console.log(`✅ Enhanced risk calculation completed for route ${routeId}: Score ${totalWeightedScore}, Grade ${riskGrade}, Level ${riskLevel} (profile: ${profile.name})`);
       
       return result;
 
@@ -105,6 +123,138 @@ class EnhancedRiskCalculationService {
     }
   }
 
+  // Load weights and grade thresholds for a named profile. Without a name the default
+  // profile is used, falling back to the built-in weights if profiles are unavailable.
+  async resolveProfile(profileName) {
+    let profile = null;
+    
+    try {
+      profile = await RiskProfile.resolve(profileName);
+    } catch (error) {
+      if (profileName) throw error;
+      console.warn('⚠️ Risk profiles unavailable, using built-in weights:', error.message);
+    }
+    
+    if (!profile) {
+      if (profileName) {
+        throw new Error(`Risk profile not found: ${profileName}`);
+      }
+      return {
+        name: 'standard',
+        displayName: 'Standard (built-in)',
+        version: 0,
+        weights: this.riskWeights,
+        gradeThresholds: this.gradeThresholds
+      };
+    }
+    
+    const plain = profile.toObject();
+    return {
+      name: plain.name,
+      displayName: plain.displayName,
+      version: plain.version,
+      weights: plain.weights,
+      gradeThresholds: plain.gradeThresholds
+    };
+  }
+
+  // Persist a RiskAssessment record - history failures are logged but do not fail the calculation
+  async recordAssessment(route, result, riskScores, profile, options = {}) {
+    try {
+      const dataCounts = await this.collectDataCounts(route);
+      const factors = {};
+      const weights = {};
+      
+      RiskAssessment.RISK_FACTORS.forEach(factor => {
+        const score = riskScores[factor];
+        factors[factor] = typeof score === 'object' ? score.riskScore || 0 : score;
+        weights[factor] = profile.weights[factor] || 0;
+      });
+      
+      const assessmentData = {
+        routeId: route._id,
+        routeCode: route.routeId,
+        userId: route.userId,
+        trigger: options.trigger || 'manual',
+        triggeredBy: options.triggeredBy,
+        calculationVersion: this.calculationVersion,
+        profile: {
+          name: profile.name,
+          displayName: profile.displayName,
+          version: profile.version
+        },
+        factors,
+        weights,
+        totalWeightedScore: result.totalWeightedScore,
+        riskGrade: result.riskGrade,
+        riskLevel: result.riskLevel,
+        confidenceLevel: result.confidenceLevel,
+        dataCounts,
+        inputs: {
+          terrain: route.terrain,
+          totalDistance: route.totalDistance,
+          majorHighways: route.majorHighways || []
+        },
+        dataQuality: result.dataQuality,
+        topRiskFactors: result.topRiskFactors,
+        calculatedAt: result.calculatedAt
+      };
+      
+      // Retry once if a concurrent run took the same sequence number
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          const sequence = await RiskAssessment.getNextSequence(route._id);
+          return await RiskAssessment.create({ ...assessmentData, sequence });
+        } catch (error) {
+          if (error.code !== 11000 || attempt === 1) throw error;
+        }
+      }
+      
+    } catch (error) {
+      console.error(`❌ Failed to record risk assessment for route ${route._id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Count the collected records each factor is calculated from
+  async collectDataCounts(route) {
+    const SharpTurn = require('../models/SharpTurn');
+    const SteepGradient = require('../models/SteepGradient');
+    const BlindSpot = require('../models/BlindSpot');
+    const NetworkCoverage = require('../models/NetworkCoverage');
+    const routeId = route._id;
+    
+    const [
+      roadConditions, accidentProneAreas, sharpTurns, steepGradients, blindSpots, trafficData,
+      weatherConditions, emergencyServices, amenities, networkCoverage
+    ] = await Promise.all([
+      RoadCondition.countDocuments({ routeId }),
+      AccidentProneArea.countDocuments({ routeId }),
+      SharpTurn.countDocuments({ routeId }),
+      SteepGradient.countDocuments({ routeId }),
+      BlindSpot.countDocuments({ routeId }),
+      TrafficData.countDocuments({ routeId }),
+      WeatherCondition.countDocuments({ routeId }),
+      EmergencyService.countDocuments({ routeId }),
+      EmergencyService.countDocuments({ routeId, serviceType: { $in: ['amenity', 'mechanic'] } }),
+      NetworkCoverage.countDocuments({ routeId })
+    ]);
+    
+    return {
+      roadConditions,
+      accidentProneAreas,
+      sharpTurns,
+      steepGradients,
+      blindSpots,
+      trafficData,
+      weatherConditions,
+      emergencyServices,
+      amenities,
+      networkCoverage,
+      routePoints: route.routePoints ? route.routePoints.length : 0
+    };
+  }
+
   // 1. ENHANCED ROAD CONDITIONS RISK
   async calculateEnhancedRoadConditionsRisk(routeId) {
     try {
@@ -225,12 +375,17 @@ class EnhancedRiskCalculationService {
   }
 
   // 3. ENHANCED SHARP TURNS RISK CALCULATION
+  // Road geometry: sharp turns plus steep grades / long descents (profiles weight them together)
   async calculateEnhancedSharpTurnsRisk(routeId) {
     try {
       const SharpTurn = require('../models/SharpTurn');
-      const sharpTurns = await SharpTurn.find({ routeId });
+      const SteepGradient = require('../models/SteepGradient');
+      const [sharpTurns, gradients] = await Promise.all([
+        SharpTurn.find({ routeId }),
+        SteepGradient.find({ routeId })
+      ]);
       
-      if (sharpTurns.length === 0) return 3; // Low base risk
+      if (sharpTurns.length === 0 && gradients.length === 0) return 3; // Low base risk
       
       let totalRisk = 0;
       let weightedPoints = 0;
@@ -278,6 +433,16 @@ class EnhancedRiskCalculationService {
         weightedPoints += weight;
       }
       
+      // Descents weigh most - brake fade on a loaded tanker; climbs only slow the vehicle
+      for (const gradient of gradients) {
+        let weight = gradient.direction === 'ascent' ? 0.5 : 1;
+        if (gradient.brakeFadeRisk === 'severe') weight = 2;
+        else if (gradient.brakeFadeRisk === 'high' || gradient.hazardType === 'long_descent') weight = 1.5;
+        
+        totalRisk += Math.max(1, Math.min(10, gradient.riskScore || 5)) * weight;
+        weightedPoints += weight;
+      }
+      
       const avgRisk = weightedPoints > 0 ? totalRisk / weightedPoints : 3;
       
       return Math.round(avgRisk * 100) / 100;
@@ -746,13 +911,13 @@ class EnhancedRiskCalculationService {
   // ANALYSIS AND REPORTING METHODS
   // ============================================================================
 
-  identifyTopRiskFactors(riskScores) {
+  identifyTopRiskFactors(riskScores, weights = this.riskWeights) {
     return Object.entries(riskScores)
       .filter(([key, value]) => key !== 'totalWeightedScore' && key !== 'riskGrade' && key !== 'calculatedAt')
       .map(([key, value]) => ({
         factor: key,
         score: typeof value === 'object' ? value.riskScore || value : value,
-        weight: this.riskWeights[key] || 0
+        weight: weights[key] || 0
       }))
       .sort((a, b) => b.score - a.score)
       .slice(0, 5);
@@ -812,7 +977,8 @@ class EnhancedRiskCalculationService {
       ],
       sharpTurns: [
         { priority: 'high', category: 'driving', recommendation: 'Reduce speed significantly before sharp turns' },
-        { priority: 'high', category: 'safety', recommendation: 'Use horn signals when approaching blind curves' }
+        { priority: 'high', category: 'safety', recommendation: 'Use horn signals when approaching blind curves' },
+        { priority: 'high', category: 'driving', recommendation: 'Engage a low gear and exhaust brake before long descents - do not ride the service brakes' }
       ],
       blindSpots: [
         { priority: 'critical', category: 'visibility', recommendation: 'Exercise extreme caution in areas with limited visibility' },
@@ -835,11 +1001,12 @@ class EnhancedRiskCalculationService {
     return recommendations[factor] || [];
   }
 
-  generateEnhancedRiskExplanation(riskScores, totalScore, riskGrade) {
-    const topRisks = this.identifyTopRiskFactors(riskScores);
-    const gradeInfo = this.gradeThresholds[riskGrade];
+  generateEnhancedRiskExplanation(riskScores, totalScore, riskGrade, profile = null) {
+    const topRisks = this.identifyTopRiskFactors(riskScores, profile ? profile.weights : this.riskWeights);
+    const gradeInfo = (profile ? profile.gradeThresholds : this.gradeThresholds)[riskGrade];
     
-    let explanation = `Route risk assessment: Grade ${riskGrade} (${gradeInfo.level}) with a total weighted score of ${totalScore}. `;
+    let explanation = `Route risk assessment: Grade ${riskGrade} (${gradeInfo.level}) with a total weighted score of ${Math.round(totalScore * 100) / 100}`;
+    explanation += profile ? ` using the ${profile.displayName} weight profile. ` : '. ';
     
     if (topRisks.length > 0) {
       explanation += `Primary risk factors include: `;
@@ -862,31 +1029,34 @@ class EnhancedRiskCalculationService {
     return explanation;
   }
 
-  calculateWeightedScore(riskScores) {
+  calculateWeightedScore(riskScores, weights = this.riskWeights) {
     let totalScore = 0;
     
     Object.entries(riskScores).forEach(([criterion, score]) => {
-      if (this.riskWeights[criterion]) {
+      if (weights[criterion]) {
         const actualScore = typeof score === 'object' ? score.riskScore || score : score;
-        totalScore += (actualScore * this.riskWeights[criterion]) / 100;
+        totalScore += (actualScore * weights[criterion]) / 100;
       }
     });
     
     return totalScore;
   }
 
-  determineRiskGrade(totalScore) {
-    for (const [grade, threshold] of Object.entries(this.gradeThresholds)) {
-      if (totalScore >= threshold.min && totalScore <= threshold.max) {
+  // Grades are checked A → F against each band's upper bound, so scores falling
+  // between two bands (e.g. 2.05) take the lower grade instead of dropping to F
+  determineRiskGrade(totalScore, gradeThresholds = this.gradeThresholds) {
+    for (const grade of ['A', 'B', 'C', 'D', 'F']) {
+      const threshold = gradeThresholds[grade];
+      if (threshold && totalScore <= threshold.max) {
         return grade;
       }
     }
     return 'F';
   }
 
-  determineRiskLevel(totalScore) {
-    const grade = this.determineRiskGrade(totalScore);
-    return this.gradeThresholds[grade].level;
+  determineRiskLevel(totalScore, gradeThresholds = this.gradeThresholds) {
+    const grade = this.determineRiskGrade(totalScore, gradeThresholds);
+    return gradeThresholds[grade].level;
   }
 
   async assessDataQuality(routeId) {
@@ -899,16 +1069,25 @@ class EnhancedRiskCalculationService {
       
       const completionPercentage = totalCategories > 0 ? (completedCategories / totalCategories) * 100 : 0;
       
-      let quality = 'low';
-      if (completionPercentage >= 90) quality = 'high';
-      else if (completionPercentage >= 70) quality = 'medium';
+      const levels = ['low', 'medium', 'high'];
+      let levelIndex = 0;
+      if (completionPercentage >= 90) levelIndex = 2;
+      else if (completionPercentage >= 70) levelIndex = 1;
+      
+      // Parts of the analysis built from estimates because providers failed or were skipped
+      const providerCoverage = await this.assessProviderCoverage(route);
+      if (providerCoverage) {
+        if (providerCoverage.gapShare >= 0.3) levelIndex -= 2;
+        else if (providerCoverage.gapShare >= 0.1) levelIndex -= 1;
+      }
       
       return {
-        level: quality,
+        level: levels[Math.max(0, levelIndex)],
         completionPercentage: Math.round(completionPercentage),
         missingData: Object.entries(processingStatus)
           .filter(([key, value]) => !value)
-          .map(([key]) => key)
+          .map(([key]) => key),
+        providerCoverage
       };
     } catch (error) {
       return { level: 'unknown', completionPercentage: 0, missingData: [] };
@@ -925,6 +1104,11 @@ class EnhancedRiskCalculationService {
       else if (quality.completionPercentage >= 70) confidence += 20;
       else if (quality.completionPercentage >= 50) confidence += 10;
       
+      // Provider calls that failed, hit an open circuit or a budget (up to -30)
+      if (quality.providerCoverage && quality.providerCoverage.gapShare > 0) {
+        confidence -= Math.round(Math.min(0.5, quality.providerCoverage.gapShare) * 60);
+      }
+      
       // Additional factors
       const route = await Route.findById(routeId);
       if (route.routePoints && route.routePoints.length > 20) confidence += 10;
@@ -941,36 +1125,86 @@ class EnhancedRiskCalculationService {
     }
   }
 
+  // Provider calls made for this route since its latest data collection started, from API
+  // usage metering. gapShare is the fraction that failed, were skipped by an open circuit
+  // breaker or were refused by a budget - those parts of the analysis used estimated data.
+  async assessProviderCoverage(route) {
+    try {
+      const ApiUsage = require('../models/ApiUsage');
+      const DataCollectionJob = require('../models/DataCollectionJob');
+      
+      const latestJob = await DataCollectionJob.findOne({ routeId: route._id })
+        .sort({ createdAt: -1 })
+        .select('startedAt createdAt');
+      const since = latestJob?.startedAt || latestJob?.createdAt || route.metadata?.lastDataCollection;
+      if (!since) return null;
+      
+      const rows = await ApiUsage.aggregate([
+        { $match: { routeId: route._id, day: { $gte: new Date(since).toISOString().slice(0, 10) } } },
+        {
+          $group: {
+            _id: '$provider',
+            calls: { $sum: '$calls' },
+            cachedCalls: { $sum: '$cachedCalls' },
+            failedCalls: { $sum: '$failedCalls' },
+            skippedCalls: { $sum: '$skippedCalls' },
+            blockedCalls: { $sum: '$blockedCalls' }
+          }
+        }
+      ]);
+      if (rows.length === 0) return null;
+      
+      const totals = { answered: 0, failed: 0, skipped: 0, blocked: 0 };
+      const degradedProviders = [];
+      
+      rows.forEach(row => {
+        totals.answered += row.calls + row.cachedCalls;
+        totals.failed += row.failedCalls;
+        totals.skipped += row.skippedCalls;
+        totals.blocked += row.blockedCalls;
+        
+        if (row.failedCalls + row.skippedCalls + row.blockedCalls > 0) {
+          degradedProviders.push({
+            provider: row._id,
+            failed: row.failedCalls,
+            skipped: row.skippedCalls,
+            blocked: row.blockedCalls
+          });
+        }
+      });
+      
+      const gaps = totals.failed + totals.skipped + totals.blocked;
+      const attempted = totals.answered + gaps;
+      
+      return {
+        since,
+        attempted,
+        ...totals,
+        gapShare: attempted > 0 ? Math.round((gaps / attempted) * 1000) / 1000 : 0,
+        degradedProviders
+      };
+    } catch (error) {
+      console.warn('Provider coverage assessment failed:', error.message);
+      return null;
+    }
+  }
+
   // ============================================================================
   // API SUCCESS RATE AND HEALTH CHECK METHODS
   // ============================================================================
 
+  // Rolling success rate of provider calls in this process; null until a provider was called
   async getApiSuccessRate() {
-    try {
-      // Mock API success rate - in real implementation, this would track actual API calls
-      return 0.95; // 95% success rate
-    } catch (error) {
-      return 0.8; // Default moderate success rate
-    }
+    const providerHealth = require('./providerHealthService');
+    const rate = providerHealth.getSuccessRate();
+    return rate === null ? null : Math.round(rate * 1000) / 1000;
   }
 
+  // 'healthy' | 'degraded' | 'unhealthy' | 'unknown' from provider health and circuit state
   async checkExternalApiHealth() {
     try {
-      // Mock API health check - in real implementation, this would ping actual APIs
-      const healthChecks = {
-        googleMaps: process.env.GOOGLE_MAPS_API_KEY ? 'healthy' : 'unavailable',
-        openWeather: process.env.OPENWEATHER_API_KEY ? 'healthy' : 'unavailable',
-        tomTom: process.env.TOMTOM_API_KEY ? 'healthy' : 'unavailable',
-        here: process.env.HERE_API_KEY ? 'healthy' : 'unavailable'
-      };
-      
-      const healthyCount = Object.values(healthChecks).filter(status => status === 'healthy').length;
-      const totalApis = Object.keys(healthChecks).length;
-      
-      if (healthyCount === totalApis) return 'healthy';
-      if (healthyCount >= totalApis * 0.7) return 'degraded';
-      return 'unhealthy';
-      
+      const providerHealth = require('./providerHealthService');
+      return providerHealth.getOverallHealth();
     } catch (error) {
       return 'unknown';
     }
@@ -0,0 +1,503 @@
+// File: services/routeExportService.js
+// Purpose: Export a route bundle (route line, latest risk scores and hazard features)
+// as GeoJSON, KML, GPX, CSV or Excel for GIS teams and downstream tools
+
+const Route = require('../models/Route');
+const RiskAssessment = require('../models/RiskAssessment');
+const SharpTurn = require('../models/SharpTurn');
+const SteepGradient = require('../models/SteepGradient');
+const BlindSpot = require('../models/BlindSpot');
+const AccidentProneArea = require('../models/AccidentProneArea');
+const NetworkCoverage = require('../models/NetworkCoverage');
+const EmergencyService = require('../models/EmergencyService');
+const { buildWorkbook, escapeXml } = require('../utils/xlsxWriter');
+
+const EXPORT_FORMATS = {
+  geojson: { extension: 'geojson', contentType: 'application/geo+json' },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' },
+  gpx: { extension: 'gpx', contentType: 'application/gpx+xml' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const FORMAT_ALIASES = { json: 'geojson', xlsx: 'excel', xls: 'excel' };
+
+const EMERGENCY_SERVICE_TYPES = ['hospital', 'police', 'fire_station', 'ambulance'];
+
+// Feature layers in the bundle. fields are exported as attributes (dotted paths allowed);
+// image data and other bulky nested documents are deliberately left out.
+const FEATURE_LAYERS = [
+  {
+    key: 'sharpTurns',
+    featureType: 'sharp_turn',
+    label: 'Sharp Turns',
+    color: 'ff0000ff',
+    model: SharpTurn,
+    query: {},
+    fields: ['distanceFromStartKm', 'turnAngle', 'turnDirection', 'turnRadius', 'turnSeverity', 'approachSpeed',
+      'recommendedSpeed', 'riskScore', 'bankingAngle', 'guardrails', 'warningSigns', 'confidence', 'streetViewLink', 'mapsLink'],
+    title: record => `Sharp ${record.turnDirection || ''} turn ${Math.round(record.turnAngle || 0)}°`.replace(/\s+/g, ' ')
+  },
+  {
+    key: 'steepGradients',
+    featureType: 'steep_gradient',
+    label: 'Steep Gradients',
+    color: 'ff0080ff',
+    model: SteepGradient,
+    query: {},
+    fields: ['distanceFromStartKm', 'endDistanceFromStartKm', 'hazardType', 'direction', 'lengthMeters', 'elevationChangeMeters',
+      'averageGradePercent', 'maxGradePercent', 'descentSeverityIndex', 'brakeFadeRisk', 'riskScore', 'recommendedGear',
+      'recommendedSpeed', 'elevationSource', 'mapsLink'],
+    title: record => record.hazardType === 'long_descent'
+      ? `Long descent ${((record.lengthMeters || 0) / 1000).toFixed(1)} km, ${Math.abs(Math.round(record.elevationChangeMeters || 0))} m drop`
+      : `Steep ${record.direction || ''} ${Math.abs(record.averageGradePercent || 0)}%`.replace(/\s+/g, ' ')
+  },
+  {
+    key: 'blindSpots',
+    featureType: 'blind_spot',
+    label: 'Blind Spots',
+    color: 'ff00a5ff',
+    model: BlindSpot,
+    query: {},
+    fields: ['distanceFromStartKm', 'spotType', 'visibilityDistance', 'obstructionHeight', 'riskScore', 'severityLevel',
+      'speedLimit', 'warningSignsPresent', 'mirrorInstalled', 'confidence', 'satelliteViewLink'],
+    title: record => `Blind spot (${record.spotType || 'unknown'}) - ${Math.round(record.visibilityDistance || 0)}m visibility`
+  },
+  {
+    key: 'accidentProneAreas',
+    featureType: 'accident_prone_area',
+    label: 'Accident-Prone Areas',
+    color: 'ff0000a0',
+    model: AccidentProneArea,
+    query: {},
+    fields: ['distanceFromStartKm', 'accidentFrequencyYearly', 'accidentSeverity', 'riskScore', 'commonAccidentTypes',
+      'contributingFactors', 'lastAccidentDate', 'accidentTrend', 'safetyMeasuresPresent', 'dataSource'],
+    title: record => `Accident-prone area (${record.accidentSeverity || 'unknown'} severity)`
+  },
+  {
+    key: 'deadZones',
+    featureType: 'dead_zone',
+    label: 'Dead Zones',
+    color: 'ff808080',
+    model: NetworkCoverage,
+    query: { isDeadZone: true },
+    fields: ['distanceFromStartKm', 'coverageType', 'signalStrength', 'deadZoneSeverity', 'deadZoneRadius',
+      'deadZoneDuration', 'terrain', 'communicationRisk', 'emergencyRisk', 'nearestCellTower.distance', 'alternativeMethods'],
+    title: record => `Network dead zone (${record.deadZoneSeverity || 'unknown'})`
+  },
+  {
+    key: 'emergencyServices',
+    featureType: 'emergency_service',
+    label: 'Emergency Services',
+    color: 'ff00ff00',
+    model: EmergencyService,
+    query: { serviceType: { $in: EMERGENCY_SERVICE_TYPES } },
+    fields: ['serviceType', 'name', 'phoneNumber', 'emergencyNumber', 'address', 'operatingHours', 'distanceFromRouteKm',
+      'distanceFromStartKm', 'responseTimeMinutes', 'availabilityScore', 'priority', 'servicesOffered'],
+    title: record => record.name || record.serviceType
+  }
+];
+
+const RISK_SCORE_FIELDS = ['roadConditions', 'accidentProne', 'sharpTurns', 'blindSpots', 'twoWayTraffic', 'trafficDensity',
+  'weatherConditions', 'emergencyServices', 'networkCoverage', 'amenities', 'securityIssues'];
+
+class RouteExportService {
+
+  // Normalise the requested format (json → geojson, xlsx → excel). Returns null when unsupported.
+  resolveFormat(format) {
+    const key = String(format || 'geojson').toLowerCase().trim();
+    const resolved = FORMAT_ALIASES[key] || key;
+    return EXPORT_FORMATS[resolved] ? resolved : null;
+  }
+
+  getSupportedFormats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
+  // Export a route in the given format. Returns { content, contentType, filename, featureCounts }
+  async exportRoute(routeId, format) {
+    const resolved = this.resolveFormat(format);
+    if (!resolved) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const bundle = await this.buildBundle(routeId);
+    const writers = {
+      geojson: () => JSON.stringify(this.toGeoJSON(bundle), null, 2),
+      kml: () => this.toKML(bundle),
+      gpx: () => this.toGPX(bundle),
+      csv: () => this.toCSV(bundle),
+      excel: () => this.toExcel(bundle)
+    };
+
+    const safeName = String(bundle.route.routeId || routeId).replace(/[^A-Za-z0-9_-]/g, '_');
+
+    return {
+      content: writers[resolved](),
+      contentType: EXPORT_FORMATS[resolved].contentType,
+      filename: `${safeName}_export.${EXPORT_FORMATS[resolved].extension}`,
+      format: resolved,
+      featureCounts: bundle.featureCounts
+    };
+  }
+
+  // Load the route, its latest risk assessment and every feature layer
+  async buildBundle(routeId) {
+    const route = await Route.findById(routeId).lean();
+    if (!route) {
+      throw new Error('Route not found');
+    }
+
+    const latestAssessment = await RiskAssessment.findOne({ routeId: route._id })
+      .sort({ sequence: -1 })
+      .select('sequence calculatedAt confidenceLevel calculationVersion profile')
+      .lean();
+
+    const layers = {};
+    const featureCounts = {};
+
+    for (const layer of FEATURE_LAYERS) {
+      const records = await layer.model.find({ routeId: route._id, ...layer.query })
+        .sort({ distanceFromStartKm: 1 })
+        .lean();
+
+      layers[layer.key] = records
+        .filter(record => typeof record.latitude === 'number' && typeof record.longitude === 'number')
+        .map(record => ({
+          id: String(record._id),
+          featureType: layer.featureType,
+          name: layer.title(record),
+          latitude: record.latitude,
+          longitude: record.longitude,
+          attributes: this.pickAttributes(record, layer.fields)
+        }));
+      featureCounts[layer.key] = layers[layer.key].length;
+    }
+
+    const routePoints = (route.routePoints || [])
+      .slice()
+      .sort((a, b) => (a.pointOrder || 0) - (b.pointOrder || 0));
+
+    return {
+      route: {
+        id: String(route._id),
+        routeId: route.routeId,
+        routeName: route.routeName,
+        fromName: route.fromName || route.fromAddress,
+        fromCode: route.fromCode,
+        toName: route.toName || route.toAddress,
+        toCode: route.toCode,
+        totalDistance: route.totalDistance,
+        estimatedDuration: route.estimatedDuration,
+        terrain: route.terrain,
+        majorHighways: route.majorHighways || [],
+        riskLevel: route.riskLevel
+      },
+      risk: this.buildRiskSummary(route, latestAssessment),
+      routePoints,
+      layers,
+      featureCounts,
+      exportedAt: new Date()
+    };
+  }
+
+  buildRiskSummary(route, latestAssessment) {
+    const scores = route.riskScores || {};
+    const factors = {};
+    RISK_SCORE_FIELDS.forEach(field => {
+      factors[field] = typeof scores[field] === 'number' ? scores[field] : null;
+    });
+
+    return {
+      totalWeightedScore: typeof scores.totalWeightedScore === 'number' ? scores.totalWeightedScore : null,
+      riskGrade: scores.riskGrade || null,
+      riskLevel: route.riskLevel || null,
+      riskProfile: scores.riskProfile || null,
+      calculatedAt: scores.calculatedAt || null,
+      assessmentSequence: latestAssessment ? latestAssessment.sequence : null,
+      confidenceLevel: latestAssessment ? latestAssessment.confidenceLevel : null,
+      calculationVersion: latestAssessment ? latestAssessment.calculationVersion : null,
+      factors
+    };
+  }
+
+  // Flat attribute map: arrays become "a; b", dates ISO strings, nested paths keep their dotted name
+  pickAttributes(record, fields) {
+    const attributes = {};
+    fields.forEach(field => {
+      const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), record);
+      attributes[field] = this.flattenValue(value);
+    });
+    return attributes;
+  }
+
+  flattenValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) {
+      return value.filter(item => item !== null && typeof item !== 'object').join('; ');
+    }
+    if (typeof value === 'object') return null;
+    return value;
+  }
+
+  allFeatures(bundle) {
+    return FEATURE_LAYERS.reduce((features, layer) => features.concat(bundle.layers[layer.key]), []);
+  }
+
+  // ---------------------------------------------------------------------------
+  // GeoJSON - route LineString with risk properties followed by typed Point features
+  // ---------------------------------------------------------------------------
+  toGeoJSON(bundle) {
+    const routeFeature = {
+      type: 'Feature',
+      id: bundle.route.id,
+      geometry: {
+        type: 'LineString',
+        coordinates: bundle.routePoints.map(point => this.toCoordinate(point))
+      },
+      properties: {
+        featureType: 'route',
+        ...bundle.route,
+        majorHighways: bundle.route.majorHighways.join('; '),
+        ...this.flattenRisk(bundle.risk)
+      }
+    };
+
+    const features = this.allFeatures(bundle).map(feature => ({
+      type: 'Feature',
+      id: feature.id,
+      geometry: { type: 'Point', coordinates: [feature.longitude, feature.latitude] },
+      properties: {
+        featureType: feature.featureType,
+        name: feature.name,
+        ...feature.attributes
+      }
+    }));
+
+    return {
+      type: 'FeatureCollection',
+      name: bundle.route.routeName,
+      metadata: {
+        routeId: bundle.route.routeId,
+        exportedAt: bundle.exportedAt.toISOString(),
+        featureCounts: bundle.featureCounts,
+        riskScores: bundle.risk
+      },
+      features: [routeFeature, ...features]
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // KML - one folder per feature type, attributes as ExtendedData
+  // ---------------------------------------------------------------------------
+  toKML(bundle) {
+    const extendedData = attributes => {
+      const entries = Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== '')
+        .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+      return entries ? `<ExtendedData>${entries}</ExtendedData>` : '';
+    };
+
+    const styles = [
+      '<Style id="route"><LineStyle><color>ffff0000</color><width>4</width></LineStyle></Style>',
+      ...FEATURE_LAYERS.map(layer =>
+        `<Style id="${layer.featureType}"><IconStyle><color>${layer.color}</color></IconStyle></Style>`
+      )
+    ].join('\n    ');
+
+    const routeCoordinates = bundle.routePoints
+      .map(point => this.toCoordinate(point).join(','))
+      .join(' ');
+
+    const folders = FEATURE_LAYERS.map(layer => {
+      const placemarks = bundle.layers[layer.key].map(feature =>
+        `      <Placemark id="${escapeXml(feature.id)}"><name>${escapeXml(feature.name)}</name><styleUrl>#${layer.featureType}</styleUrl>` +
+        extendedData({ featureType: feature.featureType, ...feature.attributes }) +
+        `<Point><coordinates>${feature.longitude},${feature.latitude}</coordinates></Point></Placemark>`
+      ).join('\n');
+      return `    <Folder><name>${escapeXml(layer.label)} (${bundle.layers[layer.key].length})</name>\n${placemarks}\n    </Folder>`;
+    }).join('\n');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+      '  <Document>\n' +
+      `    <name>${escapeXml(bundle.route.routeName)}</name>\n` +
+      `    <description>${escapeXml(`${bundle.route.fromName} → ${bundle.route.toName} (${bundle.route.totalDistance} km)`)}</description>\n` +
+      `    ${styles}\n` +
+      `    <Placemark id="${escapeXml(bundle.route.id)}"><name>${escapeXml(bundle.route.routeName)}</name><styleUrl>#route</styleUrl>` +
+      extendedData({ featureType: 'route', routeId: bundle.route.routeId, ...this.flattenRisk(bundle.risk) }) +
+      `<LineString><tessellate>1</tessellate><coordinates>${routeCoordinates}</coordinates></LineString></Placemark>\n` +
+      `${folders}\n` +
+      '  </Document>\n' +
+      '</kml>\n';
+  }
+
+  // ---------------------------------------------------------------------------
+  // GPX - route as a track, features as waypoints (type = feature type)
+  // ---------------------------------------------------------------------------
+  toGPX(bundle) {
+    const trackPoints = bundle.routePoints.map(point => {
+      const elevation = typeof point.elevation === 'number' ? `<ele>${point.elevation}</ele>` : '';
+      const time = point.timestamp ? `<time>${new Date(point.timestamp).toISOString()}</time>` : '';
+      return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${elevation}${time}</trkpt>`;
+    }).join('\n');
+
+    const waypoints = this.allFeatures(bundle).map(feature => {
+      const description = Object.entries(feature.attributes)
+        .filter(([, value]) => value !== null && value !== '')
+        .map(([key, value]) => `${key}=${value}`)
+        .join('; ');
+      return `  <wpt lat="${feature.latitude}" lon="${feature.longitude}"><name>${escapeXml(feature.name)}</name>` +
+        `<desc>${escapeXml(description)}</desc><type>${feature.featureType}</type></wpt>`;
+    }).join('\n');
+
+    const risk = bundle.risk;
+    const routeDescription = risk.riskGrade
+      ? `Risk grade ${risk.riskGrade} (${risk.totalWeightedScore}), ${bundle.route.totalDistance} km`
+      : `${bundle.route.totalDistance} km`;
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<gpx version="1.1" creator="HPCL Journey Risk Management" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+      `  <metadata><name>${escapeXml(bundle.route.routeName)}</name><desc>${escapeXml(routeDescription)}</desc>` +
+      `<time>${bundle.exportedAt.toISOString()}</time></metadata>\n` +
+      (waypoints ? `${waypoints}\n` : '') +
+      `  <trk><name>${escapeXml(bundle.route.routeName)}</name><type>route</type>\n    <trkseg>\n${trackPoints}\n    </trkseg>\n  </trk>\n` +
+      '</gpx>\n';
+  }
+
+  // ---------------------------------------------------------------------------
+  // CSV - one row per feature (route summary first), columns are the union of all attributes
+  // ---------------------------------------------------------------------------
+  toCSV(bundle) {
+    const baseColumns = ['featureType', 'id', 'name', 'latitude', 'longitude'];
+    const attributeColumns = [];
+    const addColumn = column => {
+      if (!baseColumns.includes(column) && !attributeColumns.includes(column)) attributeColumns.push(column);
+    };
+
+    const routeAttributes = {
+      routeId: bundle.route.routeId,
+      fromName: bundle.route.fromName,
+      toName: bundle.route.toName,
+      totalDistance: bundle.route.totalDistance,
+      terrain: bundle.route.terrain,
+      ...this.flattenRisk(bundle.risk)
+    };
+    const start = bundle.routePoints[0];
+    const rows = [{
+      featureType: 'route',
+      id: bundle.route.id,
+      name: bundle.route.routeName,
+      latitude: start ? start.latitude : null,
+      longitude: start ? start.longitude : null,
+      ...routeAttributes
+    }];
+    Object.keys(routeAttributes).forEach(addColumn);
+
+    this.allFeatures(bundle).forEach(feature => {
+      Object.keys(feature.attributes).forEach(addColumn);
+      rows.push({
+        featureType: feature.featureType,
+        id: feature.id,
+        name: feature.name,
+        latitude: feature.latitude,
+        longitude: feature.longitude,
+        ...feature.attributes
+      });
+    });
+
+    const columns = [...baseColumns, ...attributeColumns];
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => this.csvValue(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // Text starting with a formula trigger is prefixed with ' so spreadsheets show it as text
+  // instead of evaluating it (names and descriptions come from users and providers).
+  // Numbers are left alone so negative values stay numeric.
+  csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Excel - Summary, Risk Scores, Route Points and one sheet per feature type
+  // ---------------------------------------------------------------------------
+  toExcel(bundle) {
+    const summaryRows = [
+      ['Field', 'Value'],
+      ...Object.entries(bundle.route).map(([key, value]) => [key, Array.isArray(value) ? value.join('; ') : value]),
+      ['exportedAt', bundle.exportedAt.toISOString()],
+      ...Object.entries(bundle.featureCounts).map(([key, count]) => [`${key}Count`, count])
+    ];
+
+    const risk = bundle.risk;
+    const riskRows = [
+      ['Factor', 'Score'],
+      ...Object.entries(risk.factors).map(([factor, score]) => [factor, score]),
+      ['totalWeightedScore', risk.totalWeightedScore],
+      ['riskGrade', risk.riskGrade],
+      ['riskLevel', risk.riskLevel],
+      ['riskProfile', risk.riskProfile],
+      ['confidenceLevel', risk.confidenceLevel],
+      ['calculatedAt', risk.calculatedAt ? new Date(risk.calculatedAt).toISOString() : null]
+    ];
+
+    const pointRows = [
+      ['pointOrder', 'latitude', 'longitude', 'elevation', 'distanceFromStart', 'timestamp'],
+      ...bundle.routePoints.map(point => [
+        point.pointOrder, point.latitude, point.longitude, point.elevation,
+        point.distanceFromStart, point.timestamp ? new Date(point.timestamp).toISOString() : null
+      ])
+    ];
+
+    const layerSheets = FEATURE_LAYERS.map(layer => ({
+      name: layer.label,
+      rows: [
+        ['id', 'name', 'latitude', 'longitude', ...layer.fields],
+        ...bundle.layers[layer.key].map(feature => [
+          feature.id, feature.name, feature.latitude, feature.longitude,
+          ...layer.fields.map(field => feature.attributes[field])
+        ])
+      ]
+    }));
+
+    return buildWorkbook([
+      { name: 'Summary', rows: summaryRows },
+      { name: 'Risk Scores', rows: riskRows },
+      { name: 'Route Points', rows: pointRows },
+      ...layerSheets
+    ]);
+  }
+
+  // routeRiskScore keeps the route total apart from the per-feature riskScore column
+  flattenRisk(risk) {
+    const flat = {
+      routeRiskScore: risk.totalWeightedScore,
+      riskGrade: risk.riskGrade,
+      riskLevel: risk.riskLevel,
+      riskProfile: risk.riskProfile,
+      riskCalculatedAt: risk.calculatedAt ? new Date(risk.calculatedAt).toISOString() : null
+    };
+    Object.entries(risk.factors).forEach(([factor, score]) => {
+      flat[`risk_${factor}`] = score;
+    });
+    return flat;
+  }
+
+  toCoordinate(point) {
+    return typeof point.elevation === 'number'
+      ? [point.longitude, point.latitude, point.elevation]
+      : [point.longitude, point.latitude];
+  }
+}
+
+module.exports = new RouteExportService();
@@ -0,0 +1,534 @@
+// File: services/routeMapRenderService.js
+// Purpose: Offline static map images of a route and its hazards for reports and the API
+// The route polyline, start/end markers, sharp turns, blind spots, accident zones and
+// network dead zones are drawn in Web Mercator onto a Jimp raster with a scale bar,
+// north arrow and legend. No tile server is needed: when pre-rendered slippy tiles are
+// present under MAP_TILES_PATH ({z}/{x}/{y}.png) they are used as the base layer,
+// otherwise the map is drawn on a plain background with a coordinate grid.
+
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const Route = require('../models/Route');
+const SharpTurn = require('../models/SharpTurn');
+const BlindSpot = require('../models/BlindSpot');
+const AccidentProneArea = require('../models/AccidentProneArea');
+const NetworkCoverage = require('../models/NetworkCoverage');
+
+const TILE_SIZE = 256;
+const MAX_ZOOM = 17;
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+
+// Drawn radius when the record has none (accident areas store only a centre point)
+const DEFAULT_ACCIDENT_ZONE_RADIUS_M = 500;
+const DEFAULT_DEAD_ZONE_RADIUS_M = 1000;
+
+const MAP_LAYERS = ['route', 'markers', 'sharpTurns', 'blindSpots', 'accidentZones', 'deadZones'];
+
+const MAP_SIZE_LIMITS = { minWidth: 200, maxWidth: 2000, minHeight: 150, maxHeight: 2000 };
+
+// RGBA colours; hazard colours follow the HPCL report palette
+const MAP_STYLES = {
+  background: [244, 246, 248, 255],
+  grid: [214, 220, 226, 255],
+  routeCasing: [255, 255, 255, 255],
+  route: [0, 82, 147, 255],
+  start: [40, 167, 69, 255],
+  end: [220, 53, 69, 255],
+  sharpTurns: [253, 126, 20, 255],
+  blindSpots: [111, 66, 193, 255],
+  accidentZones: [220, 53, 69, 110],
+  deadZones: [108, 117, 125, 90],
+  outline: [40, 40, 40, 255],
+  panel: [255, 255, 255, 225]
+};
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function hasCoordinates(item) {
+  return item && Number.isFinite(item.latitude) && Number.isFinite(item.longitude) &&
+    !(item.latitude === 0 && item.longitude === 0);
+}
+
+// Web Mercator position as a fraction of the world (0..1 on both axes)
+function mercator(latitude, longitude) {
+  const lat = clamp(latitude, -85.0511, 85.0511) * Math.PI / 180;
+  return {
+    x: (longitude + 180) / 360,
+    y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2
+  };
+}
+
+// Largest 1/2/5 x 10^n distance that fits in maxMeters
+function niceDistance(maxMeters) {
+  const magnitude = 10 ** Math.floor(Math.log10(maxMeters));
+  return [5, 2, 1].map(step => step * magnitude).find(value => value <= maxMeters) || magnitude;
+}
+
+class RouteMapRenderService {
+  constructor() {
+    this.tilesPath = path.resolve(process.env.MAP_TILES_PATH || './data/map-tiles');
+    this.fonts = null;
+  }
+
+  async loadFonts() {
+    if (!this.fonts) {
+      const [label, small] = await Promise.all([
+        Jimp.loadFont(Jimp.FONT_SANS_14_BLACK),
+        Jimp.loadFont(Jimp.FONT_SANS_12_BLACK)
+      ]);
+      this.fonts = { label, small };
+    }
+    return this.fonts;
+  }
+
+  tilesAvailable() {
+    return fs.existsSync(this.tilesPath);
+  }
+
+  /**
+   * Projection fitted to the given points: returns toPixel(lat, lon) plus the zoom
+   * and metres-per-pixel at the map centre.
+   */
+  buildViewport(points, width, height, padding) {
+    const projected = points.map(point => mercator(point.latitude, point.longitude));
+    const minX = Math.min(...projected.map(p => p.x));
+    const maxX = Math.max(...projected.map(p => p.x));
+    const minY = Math.min(...projected.map(p => p.y));
+    const maxY = Math.max(...projected.map(p => p.y));
+
+    const spanX = Math.max(maxX - minX, 1e-9);
+    const spanY = Math.max(maxY - minY, 1e-9);
+    const fitScale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+    const zoom = Math.min(Math.log2(fitScale / TILE_SIZE), MAX_ZOOM);
+    const worldSize = TILE_SIZE * 2 ** zoom;
+
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const originX = centerX * worldSize - width / 2;
+    const originY = centerY * worldSize - height / 2;
+
+    const centerLatitude = Math.atan(Math.sinh(Math.PI * (1 - 2 * centerY))) * 180 / Math.PI;
+
+    return {
+      width,
+      height,
+      zoom,
+      worldSize,
+      originX,
+      originY,
+      metersPerPixel: EARTH_CIRCUMFERENCE_M * Math.cos(centerLatitude * Math.PI / 180) / worldSize,
+      toPixel: (latitude, longitude) => {
+        const p = mercator(latitude, longitude);
+        return { x: p.x * worldSize - originX, y: p.y * worldSize - originY };
+      },
+      toLatLon: (x, y) => {
+        const mx = (x + originX) / worldSize;
+        const my = (y + originY) / worldSize;
+        return {
+          latitude: Math.atan(Math.sinh(Math.PI * (1 - 2 * my))) * 180 / Math.PI,
+          longitude: mx * 360 - 180
+        };
+      }
+    };
+  }
+
+  // ========================================================================
+  // RASTER PRIMITIVES (alpha-blended writes into the Jimp bitmap)
+  // ========================================================================
+
+  blendPixel(image, x, y, color) {
+    const { width, height, data } = image.bitmap;
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+
+    const index = (y * width + x) * 4;
+    const alpha = color[3] / 255;
+    data[index] = Math.round(color[0] * alpha + data[index] * (1 - alpha));
+    data[index + 1] = Math.round(color[1] * alpha + data[index + 1] * (1 - alpha));
+    data[index + 2] = Math.round(color[2] * alpha + data[index + 2] * (1 - alpha));
+    data[index + 3] = 255;
+  }
+
+  fillRect(image, x, y, width, height, color) {
+    for (let py = Math.floor(y); py < y + height; py++) {
+      for (let px = Math.floor(x); px < x + width; px++) {
+        this.blendPixel(image, px, py, color);
+      }
+    }
+  }
+
+  fillCircle(image, cx, cy, radius, color) {
+    const r2 = radius * radius;
+    for (let py = Math.floor(cy - radius); py <= Math.ceil(cy + radius); py++) {
+      for (let px = Math.floor(cx - radius); px <= Math.ceil(cx + radius); px++) {
+        if ((px - cx) ** 2 + (py - cy) ** 2 <= r2) this.blendPixel(image, px, py, color);
+      }
+    }
+  }
+
+  strokeCircle(image, cx, cy, radius, color, lineWidth = 1.5) {
+    const inner = (radius - lineWidth) ** 2;
+    const outer = radius * radius;
+    for (let py = Math.floor(cy - radius); py <= Math.ceil(cy + radius); py++) {
+      for (let px = Math.floor(cx - radius); px <= Math.ceil(cx + radius); px++) {
+        const d2 = (px - cx) ** 2 + (py - cy) ** 2;
+        if (d2 <= outer && d2 >= inner) this.blendPixel(image, px, py, color);
+      }
+    }
+  }
+
+  // Thick segment: every pixel within lineWidth/2 of the segment is painted once
+  drawLine(image, x0, y0, x1, y1, lineWidth, color) {
+    const half = lineWidth / 2;
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const length2 = dx * dx + dy * dy;
+
+    for (let py = Math.floor(Math.min(y0, y1) - half); py <= Math.ceil(Math.max(y0, y1) + half); py++) {
+      for (let px = Math.floor(Math.min(x0, x1) - half); px <= Math.ceil(Math.max(x0, x1) + half); px++) {
+        const t = length2 === 0 ? 0 : clamp(((px - x0) * dx + (py - y0) * dy) / length2, 0, 1);
+        if ((px - (x0 + t * dx)) ** 2 + (py - (y0 + t * dy)) ** 2 <= half * half) {
+          this.blendPixel(image, px, py, color);
+        }
+      }
+    }
+  }
+
+  // Route colours are opaque, so overlapping joints need no special handling
+  drawPolyline(image, points, lineWidth, color) {
+    for (let i = 1; i < points.length; i++) {
+      this.drawLine(image, points[i - 1].x, points[i - 1].y, points[i].x, points[i].y, lineWidth, color);
+    }
+  }
+
+  // Scanline fill of a convex or concave polygon given as [{x, y}]
+  fillPolygon(image, vertices, color) {
+    const minY = Math.floor(Math.min(...vertices.map(v => v.y)));
+    const maxY = Math.ceil(Math.max(...vertices.map(v => v.y)));
+
+    for (let py = minY; py <= maxY; py++) {
+      const scanY = py + 0.5;
+      const crossings = [];
+      vertices.forEach((a, i) => {
+        const b = vertices[(i + 1) % vertices.length];
+        if ((a.y <= scanY && b.y > scanY) || (b.y <= scanY && a.y > scanY)) {
+          crossings.push(a.x + (scanY - a.y) / (b.y - a.y) * (b.x - a.x));
+        }
+      });
+      crossings.sort((a, b) => a - b);
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        for (let px = Math.round(crossings[i]); px < Math.round(crossings[i + 1]); px++) {
+          this.blendPixel(image, px, py, color);
+        }
+      }
+    }
+  }
+
+  // ========================================================================
+  // MAP LAYERS
+  // ========================================================================
+
+  async drawBaseLayer(image, viewport) {
+    const tileZoom = clamp(Math.floor(viewport.zoom), 0, 19);
+    const tileScale = 2 ** (viewport.zoom - tileZoom);
+    const tilePixels = TILE_SIZE * tileScale;
+    let tilesUsed = 0;
+
+    if (this.tilesAvailable()) {
+      const firstX = Math.floor(viewport.originX / tilePixels);
+      const firstY = Math.floor(viewport.originY / tilePixels);
+      const lastX = Math.floor((viewport.originX + viewport.width) / tilePixels);
+      const lastY = Math.floor((viewport.originY + viewport.height) / tilePixels);
+      const tileCount = 2 ** tileZoom;
+
+      for (let ty = Math.max(firstY, 0); ty <= Math.min(lastY, tileCount - 1); ty++) {
+        for (let tx = firstX; tx <= lastX; tx++) {
+          const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+          const tileFile = path.join(this.tilesPath, String(tileZoom), String(wrappedX), `${ty}.png`);
+          if (!fs.existsSync(tileFile)) continue;
+
+          try {
+            const tile = await Jimp.read(tileFile);
+            const size = Math.ceil(tilePixels);
+            if (size !== TILE_SIZE) tile.resize(size, size);
+            image.composite(tile, Math.round(tx * tilePixels - viewport.originX), Math.round(ty * tilePixels - viewport.originY));
+            tilesUsed++;
+          } catch (error) {
+            console.warn(`⚠️ Skipping unreadable map tile ${tileFile}: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    if (tilesUsed === 0) {
+      this.drawGrid(image, viewport);
+    }
+    return tilesUsed;
+  }
+
+  // Latitude/longitude grid so an untiled map still reads as a map
+  drawGrid(image, viewport) {
+    const topLeft = viewport.toLatLon(0, 0);
+    const bottomRight = viewport.toLatLon(viewport.width, viewport.height);
+    const spanDegrees = Math.max(bottomRight.longitude - topLeft.longitude, topLeft.latitude - bottomRight.latitude);
+    const step = niceDistance(spanDegrees / 4);
+
+    for (let lon = Math.ceil(topLeft.longitude / step) * step; lon <= bottomRight.longitude; lon += step) {
+      const x = viewport.toPixel(topLeft.latitude, lon).x;
+      this.fillRect(image, x, 0, 1, viewport.height, MAP_STYLES.grid);
+    }
+    for (let lat = Math.ceil(bottomRight.latitude / step) * step; lat <= topLeft.latitude; lat += step) {
+      const y = viewport.toPixel(lat, topLeft.longitude).y;
+      this.fillRect(image, 0, y, viewport.width, 1, MAP_STYLES.grid);
+    }
+  }
+
+  drawRoute(image, viewport, routePoints) {
+    const pixels = [];
+    routePoints.forEach(point => {
+      const pixel = viewport.toPixel(point.latitude, point.longitude);
+      const last = pixels[pixels.length - 1];
+      if (!last || Math.abs(last.x - pixel.x) + Math.abs(last.y - pixel.y) >= 1) pixels.push(pixel);
+    });
+
+    this.drawPolyline(image, pixels, 7, MAP_STYLES.routeCasing);
+    this.drawPolyline(image, pixels, 4, MAP_STYLES.route);
+  }
+
+  drawEndpoints(image, viewport, routePoints) {
+    const start = viewport.toPixel(routePoints[0].latitude, routePoints[0].longitude);
+    const end = viewport.toPixel(routePoints[routePoints.length - 1].latitude, routePoints[routePoints.length - 1].longitude);
+
+    [[start, MAP_STYLES.start], [end, MAP_STYLES.end]].forEach(([pixel, color]) => {
+      this.fillCircle(image, pixel.x, pixel.y, 9, MAP_STYLES.outline);
+      this.fillCircle(image, pixel.x, pixel.y, 7.5, color);
+      this.fillCircle(image, pixel.x, pixel.y, 3, [255, 255, 255, 255]);
+    });
+  }
+
+  // Marker symbols: triangle (sharp turn), diamond (blind spot); size grows with risk
+  drawSymbol(image, symbol, x, y, size, color) {
+    const outlineSize = size + 1.5;
+    const shape = s => symbol === 'triangle'
+      ? [{ x, y: y - s }, { x: x + s * 0.95, y: y + s * 0.7 }, { x: x - s * 0.95, y: y + s * 0.7 }]
+      : [{ x, y: y - s }, { x: x + s, y }, { x, y: y + s }, { x: x - s, y }];
+
+    this.fillPolygon(image, shape(outlineSize), MAP_STYLES.outline);
+    this.fillPolygon(image, shape(size), color);
+  }
+
+  markerSize(riskScore) {
+    return 5 + clamp((riskScore || 5) - 5, 0, 5) * 0.8;
+  }
+
+  // Area hazards go under the route line
+  drawHazardZones(image, viewport, hazards, layers) {
+    const counts = {};
+
+    if (layers.includes('deadZones')) {
+      const zones = (hazards.deadZones || []).filter(hasCoordinates);
+      zones.forEach(zone => {
+        const pixel = viewport.toPixel(zone.latitude, zone.longitude);
+        const radius = Math.max((zone.deadZoneRadius || DEFAULT_DEAD_ZONE_RADIUS_M) / viewport.metersPerPixel, 6);
+        this.fillCircle(image, pixel.x, pixel.y, radius, MAP_STYLES.deadZones);
+        this.strokeCircle(image, pixel.x, pixel.y, radius, [108, 117, 125, 200]);
+      });
+      counts.deadZones = zones.length;
+    }
+
+    if (layers.includes('accidentZones')) {
+      const areas = (hazards.accidentZones || []).filter(hasCoordinates);
+      areas.forEach(area => {
+        const pixel = viewport.toPixel(area.latitude, area.longitude);
+        const radius = Math.max(DEFAULT_ACCIDENT_ZONE_RADIUS_M / viewport.metersPerPixel, 8);
+        this.fillCircle(image, pixel.x, pixel.y, radius, MAP_STYLES.accidentZones);
+        this.strokeCircle(image, pixel.x, pixel.y, radius, [220, 53, 69, 220]);
+      });
+      counts.accidentZones = areas.length;
+    }
+
+    return counts;
+  }
+
+  // Point hazards go over the route line so they are never hidden by it
+  drawHazardMarkers(image, viewport, hazards, layers) {
+    const counts = {};
+
+    if (layers.includes('blindSpots')) {
+      const spots = (hazards.blindSpots || []).filter(hasCoordinates);
+      spots.forEach(spot => {
+        const pixel = viewport.toPixel(spot.latitude, spot.longitude);
+        this.drawSymbol(image, 'diamond', pixel.x, pixel.y, this.markerSize(spot.riskScore), MAP_STYLES.blindSpots);
+      });
+      counts.blindSpots = spots.length;
+    }
+
+    if (layers.includes('sharpTurns')) {
+      const turns = (hazards.sharpTurns || []).filter(hasCoordinates);
+      turns.forEach(turn => {
+        const pixel = viewport.toPixel(turn.latitude, turn.longitude);
+        this.drawSymbol(image, 'triangle', pixel.x, pixel.y, this.markerSize(turn.riskScore), MAP_STYLES.sharpTurns);
+      });
+      counts.sharpTurns = turns.length;
+    }
+
+    return counts;
+  }
+
+  drawNorthArrow(image, fonts, width) {
+    const cx = width - 32;
+    const top = 14;
+
+    this.fillCircle(image, cx, top + 22, 22, MAP_STYLES.panel);
+    this.fillPolygon(image, [{ x: cx, y: top + 6 }, { x: cx + 9, y: top + 34 }, { x: cx, y: top + 28 }], MAP_STYLES.outline);
+    this.fillPolygon(image, [{ x: cx, y: top + 6 }, { x: cx, y: top + 28 }, { x: cx - 9, y: top + 34 }], [150, 150, 150, 255]);
+    image.print(fonts.small, cx - 4, top + 32, 'N');
+  }
+
+  drawScaleBar(image, fonts, viewport) {
+    const maxBarPixels = Math.min(150, viewport.width / 4);
+    const meters = niceDistance(maxBarPixels * viewport.metersPerPixel);
+    const barPixels = meters / viewport.metersPerPixel;
+    const label = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+    const x = 14;
+    const y = viewport.height - 28;
+
+    this.fillRect(image, x - 6, y - 22, barPixels + 12, 38, MAP_STYLES.panel);
+    this.fillRect(image, x, y, barPixels, 5, MAP_STYLES.outline);
+    this.fillRect(image, x, y - 4, 2, 9, MAP_STYLES.outline);
+    this.fillRect(image, x + barPixels - 2, y - 4, 2, 9, MAP_STYLES.outline);
+    this.fillRect(image, x + barPixels / 2 - 1, y - 2, 2, 5, MAP_STYLES.outline);
+    image.print(fonts.small, x, y - 19, label);
+
+    return { meters, pixels: Math.round(barPixels), label };
+  }
+
+  drawLegend(image, fonts, viewport, layers, counts) {
+    const entries = [];
+    if (layers.includes('route')) entries.push({ label: 'Route', draw: (x, y) => this.drawLine(image, x, y, x + 18, y, 4, MAP_STYLES.route) });
+    if (layers.includes('markers')) {
+      entries.push({ label: 'Start', draw: (x, y) => this.fillCircle(image, x + 9, y, 6, MAP_STYLES.start) });
+      entries.push({ label: 'End', draw: (x, y) => this.fillCircle(image, x + 9, y, 6, MAP_STYLES.end) });
+    }
+    if (counts.sharpTurns !== undefined) entries.push({ label: `Sharp turns (${counts.sharpTurns})`, draw: (x, y) => this.drawSymbol(image, 'triangle', x + 9, y + 1, 6, MAP_STYLES.sharpTurns) });
+    if (counts.blindSpots !== undefined) entries.push({ label: `Blind spots (${counts.blindSpots})`, draw: (x, y) => this.drawSymbol(image, 'diamond', x + 9, y, 6, MAP_STYLES.blindSpots) });
+    if (counts.accidentZones !== undefined) entries.push({ label: `Accident zones (${counts.accidentZones})`, draw: (x, y) => this.fillCircle(image, x + 9, y, 7, MAP_STYLES.accidentZones) });
+    if (counts.deadZones !== undefined) entries.push({ label: `Dead zones (${counts.deadZones})`, draw: (x, y) => this.fillCircle(image, x + 9, y, 7, [108, 117, 125, 160]) });
+    if (entries.length === 0) return;
+
+    const rowHeight = 20;
+    const panelWidth = 28 + Math.max(...entries.map(entry => Jimp.measureText(fonts.small, entry.label))) + 12;
+    const panelHeight = entries.length * rowHeight + 10;
+    const left = viewport.width - panelWidth - 10;
+    const top = viewport.height - panelHeight - 10;
+
+    this.fillRect(image, left, top, panelWidth, panelHeight, MAP_STYLES.panel);
+    entries.forEach((entry, index) => {
+      const rowY = top + 5 + index * rowHeight;
+      entry.draw(left + 6, rowY + rowHeight / 2);
+      image.print(fonts.small, left + 32, rowY + 3, entry.label);
+    });
+  }
+
+  // ========================================================================
+  // PUBLIC API
+  // ========================================================================
+
+  /**
+   * Draw a route and its hazards.
+   * @param {Object} route - Route with routePoints (or from/to coordinates)
+   * @param {Object} hazards - { sharpTurns, blindSpots, accidentZones, deadZones }
+   * @param {Object} options - { width, height, layers }
+   * Returns { buffer, mimeType, width, height, zoom, layers, counts, scaleBar, tilesUsed, bounds }
+   */
+  async renderMap(route, hazards = {}, options = {}) {
+    const width = clamp(parseInt(options.width, 10) || 800, MAP_SIZE_LIMITS.minWidth, MAP_SIZE_LIMITS.maxWidth);
+    const height = clamp(parseInt(options.height, 10) || 600, MAP_SIZE_LIMITS.minHeight, MAP_SIZE_LIMITS.maxHeight);
+    const layers = (options.layers || MAP_LAYERS).filter(layer => MAP_LAYERS.includes(layer));
+
+    let routePoints = (route.routePoints || [])
+      .slice()
+      .sort((a, b) => (a.pointOrder ?? 0) - (b.pointOrder ?? 0))
+      .filter(hasCoordinates);
+    if (routePoints.length < 2) {
+      routePoints = [route.fromCoordinates, route.toCoordinates].filter(hasCoordinates);
+    }
+    if (routePoints.length < 2) {
+      const error = new Error('Route has no GPS coordinates to draw');
+      error.statusCode = 422;
+      throw error;
+    }
+
+    // Hazards are fitted too so an off-route accident zone is not cut off
+    const hazardPoints = Object.values(hazards).flat().filter(hasCoordinates);
+    const viewport = this.buildViewport([...routePoints, ...hazardPoints], width, height, Math.round(Math.min(width, height) * 0.08) + 20);
+
+    const fonts = await this.loadFonts();
+    const image = new Jimp(width, height, Jimp.rgbaToInt(...MAP_STYLES.background));
+
+    const tilesUsed = await this.drawBaseLayer(image, viewport);
+    const counts = this.drawHazardZones(image, viewport, hazards, layers);
+    if (layers.includes('route')) this.drawRoute(image, viewport, routePoints);
+    Object.assign(counts, this.drawHazardMarkers(image, viewport, hazards, layers));
+    if (layers.includes('markers')) this.drawEndpoints(image, viewport, routePoints);
+
+    this.drawNorthArrow(image, fonts, width);
+    const scaleBar = this.drawScaleBar(image, fonts, viewport);
+    this.drawLegend(image, fonts, viewport, layers, counts);
+
+    const topLeft = viewport.toLatLon(0, 0);
+    const bottomRight = viewport.toLatLon(width, height);
+
+    return {
+      buffer: await image.getBufferAsync(Jimp.MIME_PNG),
+      mimeType: Jimp.MIME_PNG,
+      width,
+      height,
+      zoom: Math.round(viewport.zoom * 100) / 100,
+      layers,
+      counts,
+      scaleBar,
+      tilesUsed,
+      bounds: {
+        north: topLeft.latitude,
+        west: topLeft.longitude,
+        south: bottomRight.latitude,
+        east: bottomRight.longitude
+      }
+    };
+  }
+
+  /**
+   * Load a route and its stored hazards and draw them (see renderMap for options)
+   */
+  async renderRouteMap(routeId, options = {}) {
+    const route = await Route.findById(routeId).lean();
+    if (!route) {
+      const error = new Error('Route not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const [sharpTurns, blindSpots, accidentZones, deadZones] = await Promise.all([
+      SharpTurn.find({ routeId }).select('latitude longitude riskScore').lean(),
+      BlindSpot.find({ routeId }).select('latitude longitude riskScore').lean(),
+      AccidentProneArea.find({ routeId }).select('latitude longitude riskScore').lean(),
+      NetworkCoverage.find({ routeId, isDeadZone: true }).select('latitude longitude deadZoneRadius').lean()
+    ]);
+
+    const result = await this.renderMap(route, { sharpTurns, blindSpots, accidentZones, deadZones }, options);
+    console.log(`🗺️ Route map rendered for ${route.routeId}: ${result.width}x${result.height}, zoom ${result.zoom}, ${result.tilesUsed} tiles`);
+    return result;
+  }
+}
+
+const routeMapRenderService = new RouteMapRenderService();
+routeMapRenderService.MAP_LAYERS = MAP_LAYERS;
+routeMapRenderService.MAP_STYLES = MAP_STYLES;
+routeMapRenderService.MAP_SIZE_LIMITS = MAP_SIZE_LIMITS;
+
+module.exports = routeMapRenderService;
@@ -0,0 +1,260 @@
+// File: services/routeShareService.js
+// Purpose: Signed, expiring, revocable read-only share links for routes
+// Tokens are JWTs scoped to one share record (audience "route-share"), so a leaked token
+// stops working as soon as the owner revokes the share or its view limit is reached.
+
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const Route = require('../models/Route');
+const RouteShare = require('../models/RouteShare');
+
+const SHARE_AUDIENCE = 'route-share';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Error codes surfaced to the public viewer, with their HTTP status
+const SHARE_ERRORS = {
+  INVALID_TOKEN: { status: 401, message: 'Share link is invalid' },
+  SHARE_EXPIRED: { status: 410, message: 'Share link has expired' },
+  SHARE_REVOKED: { status: 410, message: 'Share link has been revoked' },
+  VIEW_LIMIT_REACHED: { status: 410, message: 'Share link has reached its view limit' },
+  PASSWORD_REQUIRED: { status: 401, message: 'This share link is password protected' },
+  INVALID_PASSWORD: { status: 403, message: 'Incorrect share password' },
+  PASSWORD_LOCKED: { status: 429, message: 'Too many incorrect passwords - share link is temporarily locked' },
+  PDF_NOT_ALLOWED: { status: 403, message: 'PDF download is not enabled for this share link' },
+  COMPLETE_REPORT_NOT_ALLOWED: { status: 403, message: 'The complete report is not enabled for this share link' },
+  ROUTE_UNAVAILABLE: { status: 404, message: 'Shared route is no longer available' }
+};
+
+function shareError(code, retryAt = null) {
+  const error = new Error(SHARE_ERRORS[code].message);
+  error.code = code;
+  error.statusCode = SHARE_ERRORS[code].status;
+  if (retryAt) {
+    error.retryAfterSeconds = Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000));
+  }
+  return error;
+}
+
+class RouteShareService {
+  constructor() {
+    this.secret = process.env.SHARE_TOKEN_SECRET || process.env.JWT_SECRET;
+    this.defaultExpiryHours = parseInt(process.env.SHARE_DEFAULT_EXPIRY_HOURS, 10) || 72;
+    this.maxExpiryHours = parseInt(process.env.SHARE_MAX_EXPIRY_HOURS, 10) || 720;
+    this.baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+    // Brute-force protection for password-protected shares
+    this.maxPasswordAttempts = parseInt(process.env.SHARE_MAX_PASSWORD_ATTEMPTS, 10) || 5;
+    this.passwordWindowMinutes = parseInt(process.env.SHARE_PASSWORD_WINDOW_MINUTES, 10) || 15;
+    this.passwordLockMinutes = parseInt(process.env.SHARE_PASSWORD_LOCK_MINUTES, 10) || 30;
+  }
+
+  // Validate share options from the request body. Returns { options, errors }
+  validateOptions(body = {}) {
+    const errors = [];
+    const options = {
+      expiresInHours: this.defaultExpiryHours,
+      maxViews: null,
+      password: null,
+      label: body.label ? String(body.label).trim().slice(0, 100) : undefined,
+      allowPdf: body.allowPdf === undefined ? true : body.allowPdf === true || body.allowPdf === 'true',
+      allowCompleteReport: body.allowCompleteReport === true || body.allowCompleteReport === 'true'
+    };
+
+    if (options.allowCompleteReport && !options.allowPdf) {
+      errors.push('allowCompleteReport requires allowPdf');
+    }
+
+    if (body.expiresInHours !== undefined) {
+      const hours = parseFloat(body.expiresInHours);
+      if (isNaN(hours) || hours <= 0 || hours > this.maxExpiryHours) {
+        errors.push(`expiresInHours must be between 0 and ${this.maxExpiryHours}`);
+      } else {
+        options.expiresInHours = hours;
+      }
+    }
+
+    if (body.maxViews !== undefined && body.maxViews !== null && body.maxViews !== '') {
+      const maxViews = parseInt(body.maxViews, 10);
+      if (isNaN(maxViews) || maxViews < 1) {
+        errors.push('maxViews must be a positive integer');
+      } else {
+        options.maxViews = maxViews;
+      }
+    }
+
+    if (body.password !== undefined && body.password !== null && body.password !== '') {
+      if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH || body.password.length > 128) {
+        errors.push(`password must be between ${MIN_PASSWORD_LENGTH} and 128 characters`);
+      } else {
+        options.password = body.password;
+      }
+    }
+
+    return { options, errors };
+  }
+
+  async createShare(route, userId, options) {
+    if (!this.secret) {
+      throw new Error('Share tokens are not configured (SHARE_TOKEN_SECRET / JWT_SECRET missing)');
+    }
+
+    const share = new RouteShare({
+      routeId: route._id,
+      userId,
+      label: options.label,
+      allowPdf: options.allowPdf,
+      allowCompleteReport: options.allowCompleteReport,
+      maxViews: options.maxViews,
+      expiresAt: new Date(Date.now() + options.expiresInHours * 60 * 60 * 1000),
+      hasPassword: !!options.password,
+      passwordHash: options.password ? await bcrypt.hash(options.password, 10) : undefined
+    });
+    await share.save();
+
+    return { share, ...this.buildLink(share) };
+  }
+
+  // Token and public viewer URL for an existing share (owner only)
+  buildLink(share) {
+    const expiresInSeconds = Math.max(1, Math.floor((share.expiresAt.getTime() - Date.now()) / 1000));
+    const token = jwt.sign(
+      { type: 'route_share', routeId: String(share.routeId) },
+      this.secret,
+      { audience: SHARE_AUDIENCE, jwtid: String(share._id), expiresIn: expiresInSeconds }
+    );
+
+    return {
+      token,
+      shareUrl: `${this.baseUrl}/api/share/${token}`,
+      pdfUrl: share.allowPdf ? `${this.baseUrl}/api/share/${token}/pdf` : null,
+      completeReportPdfUrl: share.allowPdf && share.allowCompleteReport
+        ? `${this.baseUrl}/api/share/${token}/pdf?report=complete`
+        : null
+    };
+  }
+
+  // Verify the token and share state. Does not count a view.
+  async resolveToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret, { audience: SHARE_AUDIENCE });
+    } catch (error) {
+      throw shareError(error.name === 'TokenExpiredError' ? 'SHARE_EXPIRED' : 'INVALID_TOKEN');
+    }
+
+    if (payload.type !== 'route_share' || !payload.jti) {
+      throw shareError('INVALID_TOKEN');
+    }
+
+    const share = await RouteShare.findById(payload.jti).select('+passwordHash');
+    if (!share || String(share.routeId) !== payload.routeId) {
+      throw shareError('INVALID_TOKEN');
+    }
+
+    const status = share.getStatus();
+    if (status === 'revoked') throw shareError('SHARE_REVOKED');
+    if (status === 'expired') throw shareError('SHARE_EXPIRED');
+    if (status === 'exhausted') throw shareError('VIEW_LIMIT_REACHED');
+
+    const route = await Route.findOne({ _id: share.routeId, status: { $ne: 'deleted' } });
+    if (!route) {
+      throw shareError('ROUTE_UNAVAILABLE');
+    }
+
+    return { share, route };
+  }
+
+  async checkPassword(share, password) {
+    if (!share.hasPassword) return;
+
+    if (!password) {
+      throw shareError('PASSWORD_REQUIRED');
+    }
+
+    if (share.passwordLockedUntil && share.passwordLockedUntil > new Date()) {
+      throw shareError('PASSWORD_LOCKED', share.passwordLockedUntil);
+    }
+
+    const matches = await bcrypt.compare(String(password), share.passwordHash || '');
+    if (!matches) {
+      const updated = await RouteShare.recordFailedPassword(share._id, {
+        maxAttempts: this.maxPasswordAttempts,
+        windowMs: this.passwordWindowMinutes * 60 * 1000,
+        lockMs: this.passwordLockMinutes * 60 * 1000
+      });
+      if (updated && updated.passwordLockedUntil && updated.passwordLockedUntil > new Date()) {
+        console.warn(`🔒 Share ${share._id} locked after ${updated.failedPasswordAttempts} incorrect passwords`);
+        throw shareError('PASSWORD_LOCKED', updated.passwordLockedUntil);
+      }
+      throw shareError('INVALID_PASSWORD');
+    }
+
+    if (share.failedPasswordAttempts > 0) {
+      await RouteShare.updateOne({ _id: share._id }, { $set: { failedPasswordAttempts: 0 }, $unset: { passwordFailureWindowStart: 1 } });
+    }
+  }
+
+  // Resolve, check the password and count the view - used by every public viewer request.
+  // options.pdf / options.completeReport reject shares without that access before a view is counted.
+  async openShare(token, password, options = {}) {
+    const { share, route } = await this.resolveToken(token);
+    await this.checkPassword(share, password);
+
+    if (options.pdf && !share.allowPdf) {
+      throw shareError('PDF_NOT_ALLOWED');
+    }
+    if (options.completeReport && !share.allowCompleteReport) {
+      throw shareError('COMPLETE_REPORT_NOT_ALLOWED');
+    }
+
+    const updated = await RouteShare.recordView(share._id);
+    if (!updated) {
+      throw shareError('VIEW_LIMIT_REACHED');
+    }
+
+    return { share: updated, route };
+  }
+
+  async listShares(routeId, userId, includeInactive = false) {
+    const shares = await RouteShare.find({ routeId, userId }).sort({ createdAt: -1 });
+
+    return shares
+      .filter(share => includeInactive || share.isActive())
+      .map(share => ({
+        ...share.toJSON(),
+        ...(share.isActive() ? this.buildLink(share) : {})
+      }));
+  }
+
+  async revokeShare(routeId, shareId, userId) {
+    const share = await RouteShare.findOne({ _id: shareId, routeId, userId });
+    if (!share) return null;
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      share.revokedBy = userId;
+      await share.save();
+    }
+    return share;
+  }
+
+  // Public-safe description of a share for the viewer (no owner details)
+  describeShare(share) {
+    return {
+      label: share.label || null,
+      expiresAt: share.expiresAt,
+      passwordProtected: share.hasPassword,
+      passwordLockedUntil: share.passwordLockedUntil > new Date() ? share.passwordLockedUntil : null,
+      allowPdf: share.allowPdf,
+      allowCompleteReport: share.allowPdf && share.allowCompleteReport,
+      viewCount: share.viewCount,
+      remainingViews: share.maxViews ? Math.max(0, share.maxViews - share.viewCount) : null
+    };
+  }
+}
+
+const routeShareService = new RouteShareService();
+routeShareService.SHARE_ERRORS = SHARE_ERRORS;
+routeShareService.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = routeShareService;
@@ -0,0 +1,333 @@
+// File: services/segmentRiskService.js
+// Purpose: Per-segment (chainage) risk strip along a route
+// Splits the route into fixed-length segments (default 1 km) and combines hazard records
+// by distanceFromStartKm so planners can see where along the route the risk sits.
+
+const Route = require('../models/Route');
+const SharpTurn = require('../models/SharpTurn');
+const BlindSpot = require('../models/BlindSpot');
+const AccidentProneArea = require('../models/AccidentProneArea');
+const RoadCondition = require('../models/RoadCondition');
+const WeatherCondition = require('../models/WeatherCondition');
+const TrafficData = require('../models/TrafficData');
+const NetworkCoverage = require('../models/NetworkCoverage');
+const riskCalculationService = require('./riskCalculationService');
+
+// Point factors are localised hazards - they only affect the segment they fall in.
+// Area factors are sampled conditions - segments without a sample inherit the nearest one.
+const SEGMENT_FACTORS = {
+  sharpTurns: { model: SharpTurn, type: 'point', scoreField: 'riskScore', label: 'Sharp turn' },
+  blindSpots: { model: BlindSpot, type: 'point', scoreField: 'riskScore', label: 'Blind spot' },
+  accidentProne: { model: AccidentProneArea, type: 'point', scoreField: 'riskScore', label: 'Accident-prone area' },
+  roadConditions: { model: RoadCondition, type: 'area', scoreField: 'riskScore', label: 'Road condition' },
+  weatherConditions: { model: WeatherCondition, type: 'area', scoreField: 'riskScore', label: 'Weather' },
+  trafficDensity: { model: TrafficData, type: 'area', scoreField: 'riskScore', label: 'Traffic density' },
+  networkCoverage: { model: NetworkCoverage, type: 'area', scoreField: 'communicationRisk', label: 'Network coverage' }
+};
+
+const BASELINE_SCORE = 1;        // score of a point factor in a segment with no hazards
+const MAX_AREA_CARRY_KM = 25;    // how far an area sample is carried to neighbouring segments
+const HIGH_RISK_SEGMENT = 6;     // segments at or above this score form "risky stretches"
+
+class SegmentRiskService {
+
+  // Build the risk strip for a route
+  // options: segmentKm (default 1), profile (risk weight profile name), top (ranked list size)
+  async buildRiskStrip(routeId, options = {}) {
+    const segmentKm = Math.min(Math.max(parseFloat(options.segmentKm) || 1, 0.1), 50);
+    const top = Math.min(Math.max(parseInt(options.top, 10) || 10, 1), 100);
+
+    const route = await Route.findById(routeId);
+    if (!route) {
+      throw new Error('Route not found');
+    }
+
+    const profile = await riskCalculationService.resolveProfile(options.profile);
+    const routePoints = this.getChainagePoints(route);
+    const totalKm = route.totalDistance || (routePoints.length ? routePoints[routePoints.length - 1].chainageKm : 0);
+    const segmentCount = Math.max(1, Math.ceil(totalKm / segmentKm));
+
+    // Load every factor's records and place them on the chainage
+    const recordsByFactor = {};
+    for (const [factor, config] of Object.entries(SEGMENT_FACTORS)) {
+      const records = await config.model.find({ routeId: route._id }).lean();
+      recordsByFactor[factor] = records
+        .map(record => ({
+          id: record._id,
+          chainageKm: this.resolveChainage(record, routePoints),
+          score: record[config.scoreField],
+          latitude: record.latitude,
+          longitude: record.longitude
+        }))
+        .filter(record => record.chainageKm !== null && typeof record.score === 'number' && !isNaN(record.score));
+    }
+
+    const segments = [];
+    for (let index = 0; index < segmentCount; index++) {
+      const fromKm = Math.round(index * segmentKm * 1000) / 1000;
+      const toKm = Math.round(Math.min((index + 1) * segmentKm, Math.max(totalKm, segmentKm)) * 1000) / 1000;
+      const endKm = index === segmentCount - 1 ? Math.max(toKm, totalKm) : null;
+      segments.push(this.scoreSegment(index, fromKm, toKm, recordsByFactor, profile, routePoints, endKm));
+    }
+
+    const ranked = [...segments]
+      .filter(segment => segment.score !== null)
+      .sort((a, b) => b.score - a.score || b.hazardCount - a.hazardCount)
+      .slice(0, top)
+      .map((segment, rank) => ({
+        rank: rank + 1,
+        index: segment.index,
+        fromKm: segment.fromKm,
+        toKm: segment.toKm,
+        score: segment.score,
+        riskGrade: segment.riskGrade,
+        dominantFactor: segment.dominantFactor,
+        hazardCount: segment.hazardCount
+      }));
+
+    return {
+      routeId: route.routeId,
+      routeName: route.routeName,
+      totalDistance: totalKm,
+      segmentKm,
+      segmentCount: segments.length,
+      riskProfile: profile.name,
+      segments,
+      rankedSegments: ranked,
+      riskyStretches: this.findRiskyStretches(segments),
+      summary: this.summarizeSegments(segments, recordsByFactor),
+      generatedAt: new Date()
+    };
+  }
+
+  // Route points with a chainage (km from start), computing it when the stored value is missing
+  getChainagePoints(route) {
+    const points = route.routePoints || [];
+    let cumulative = 0;
+
+    return points.map((point, index) => {
+      if (index > 0) {
+        cumulative += this.distanceKm(points[index - 1], point);
+      }
+      return {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        chainageKm: typeof point.distanceFromStart === 'number' ? point.distanceFromStart : cumulative
+      };
+    });
+  }
+
+  // Use the record's distanceFromStartKm, or project it onto the nearest route point
+  resolveChainage(record, routePoints) {
+    if (typeof record.distanceFromStartKm === 'number' && !isNaN(record.distanceFromStartKm)) {
+      return record.distanceFromStartKm;
+    }
+    if (typeof record.latitude !== 'number' || routePoints.length === 0) {
+      return null;
+    }
+
+    let nearest = null;
+    let minDistance = Infinity;
+    for (const point of routePoints) {
+      const distance = this.distanceKm(point, record);
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearest = point;
+      }
+    }
+    return nearest ? nearest.chainageKm : null;
+  }
+
+  // Segments are half-open [fromKm, toKm); the last one is given endKm so records at the
+  // route end (unrounded totalKm) still fall inside it
+  scoreSegment(index, fromKm, toKm, recordsByFactor, profile, routePoints, endKm = null) {
+    const { weights } = profile;
+    const midKm = (fromKm + toKm) / 2;
+    const factors = {};
+    let hazardCount = 0;
+
+    for (const [factor, config] of Object.entries(SEGMENT_FACTORS)) {
+      const inSegment = recordsByFactor[factor].filter(record =>
+        record.chainageKm >= fromKm && (record.chainageKm < toKm || (endKm !== null && record.chainageKm <= endKm))
+      );
+
+      if (config.type === 'point') {
+        hazardCount += inSegment.length;
+        if (inSegment.length === 0) {
+          factors[factor] = { score: BASELINE_SCORE, records: 0 };
+        } else {
+          // Worst hazard, nudged up when several cluster in the same segment
+          const peak = Math.max(...inSegment.map(record => record.score));
+          const clusterBonus = Math.min(1, (inSegment.length - 1) * 0.25);
+          factors[factor] = {
+            score: Math.round(Math.min(10, peak + clusterBonus) * 100) / 100,
+            records: inSegment.length
+          };
+        }
+        continue;
+      }
+
+      if (inSegment.length > 0) {
+        const average = inSegment.reduce((sum, record) => sum + record.score, 0) / inSegment.length;
+        factors[factor] = { score: Math.round(average * 100) / 100, records: inSegment.length };
+        continue;
+      }
+
+      // No sample in this segment - carry the nearest sample if it is close enough
+      let nearest = null;
+      for (const record of recordsByFactor[factor]) {
+        const gap = Math.abs(record.chainageKm - midKm);
+        if (gap <= MAX_AREA_CARRY_KM && (!nearest || gap < nearest.gap)) {
+          nearest = { gap, score: record.score };
+        }
+      }
+      factors[factor] = nearest
+        ? { score: Math.round(nearest.score * 100) / 100, records: 0, inferredFromKm: Math.round(nearest.gap * 10) / 10 }
+        : { score: null, records: 0 };
+    }
+
+    // Weighted average over the factors that have a value, using the profile's weights
+    let weightedSum = 0;
+    let weightTotal = 0;
+    let dominant = null;
+
+    for (const [factor, value] of Object.entries(factors)) {
+      if (value.score === null) continue;
+      const weight = weights[factor] || 0;
+      weightedSum += value.score * weight;
+      weightTotal += weight;
+
+      const contribution = value.score * weight;
+      if (!dominant || contribution > dominant.contribution) {
+        dominant = { factor, contribution, score: value.score };
+      }
+    }
+
+    const score = weightTotal > 0 ? Math.round((weightedSum / weightTotal) * 100) / 100 : null;
+    const startPoint = this.pointAtChainage(routePoints, fromKm);
+    const endPoint = this.pointAtChainage(routePoints, toKm);
+
+    return {
+      index,
+      fromKm,
+      toKm,
+      chainageKm: Math.round(midKm * 1000) / 1000,
+      score,
+      riskGrade: score === null ? null : riskCalculationService.determineRiskGrade(score, profile.gradeThresholds),
+      riskLevel: score === null ? 'UNKNOWN' : this.getRiskLevel(score),
+      dominantFactor: dominant ? dominant.factor : null,
+      dominantFactorLabel: dominant ? SEGMENT_FACTORS[dominant.factor].label : null,
+      dominantFactorScore: dominant ? dominant.score : null,
+      hazardCount,
+      factors,
+      start: startPoint,
+      end: endPoint
+    };
+  }
+
+  // Group consecutive high-risk segments into stretches, ranked by peak then length
+  findRiskyStretches(segments) {
+    const stretches = [];
+    let current = null;
+
+    for (const segment of segments) {
+      if (segment.score !== null && segment.score >= HIGH_RISK_SEGMENT) {
+        if (!current) {
+          current = { fromKm: segment.fromKm, toKm: segment.toKm, segments: [] };
+          stretches.push(current);
+        }
+        current.toKm = segment.toKm;
+        current.segments.push(segment);
+      } else {
+        current = null;
+      }
+    }
+
+    return stretches
+      .map(stretch => {
+        const factorCounts = {};
+        stretch.segments.forEach(segment => {
+          factorCounts[segment.dominantFactor] = (factorCounts[segment.dominantFactor] || 0) + 1;
+        });
+        const dominantFactor = Object.entries(factorCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+        return {
+          fromKm: stretch.fromKm,
+          toKm: stretch.toKm,
+          lengthKm: Math.round((stretch.toKm - stretch.fromKm) * 1000) / 1000,
+          peakScore: Math.max(...stretch.segments.map(segment => segment.score)),
+          averageScore: Math.round(stretch.segments.reduce((sum, segment) => sum + segment.score, 0) / stretch.segments.length * 100) / 100,
+          dominantFactor,
+          hazardCount: stretch.segments.reduce((sum, segment) => sum + segment.hazardCount, 0)
+        };
+      })
+      .sort((a, b) => b.peakScore - a.peakScore || b.lengthKm - a.lengthKm)
+      .map((stretch, rank) => ({ rank: rank + 1, ...stretch }));
+  }
+
+  summarizeSegments(segments, recordsByFactor) {
+    const scored = segments.filter(segment => segment.score !== null);
+    const distribution = { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 0, UNKNOWN: 0 };
+    const dominantFactors = {};
+
+    segments.forEach(segment => {
+      distribution[segment.riskLevel]++;
+      if (segment.dominantFactor) {
+        dominantFactors[segment.dominantFactor] = (dominantFactors[segment.dominantFactor] || 0) + 1;
+      }
+    });
+
+    return {
+      averageScore: scored.length > 0
+        ? Math.round(scored.reduce((sum, segment) => sum + segment.score, 0) / scored.length * 100) / 100
+        : null,
+      maxScore: scored.length > 0 ? Math.max(...scored.map(segment => segment.score)) : null,
+      riskDistribution: distribution,
+      dominantFactors,
+      recordsUsed: Object.fromEntries(
+        Object.entries(recordsByFactor).map(([factor, records]) => [factor, records.length])
+      )
+    };
+  }
+
+  // Same bands as Route.calculateRiskLevel
+  getRiskLevel(score) {
+    if (score >= 8) return 'CRITICAL';
+    if (score >= 6) return 'HIGH';
+    if (score >= 4) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  // Interpolate a coordinate at a chainage along the route
+  pointAtChainage(routePoints, chainageKm) {
+    if (routePoints.length === 0) return null;
+
+    for (let i = 1; i < routePoints.length; i++) {
+      const previous = routePoints[i - 1];
+      const next = routePoints[i];
+      if (next.chainageKm >= chainageKm) {
+        const span = next.chainageKm - previous.chainageKm;
+        const ratio = span > 0 ? (chainageKm - previous.chainageKm) / span : 0;
+        return {
+          latitude: Math.round((previous.latitude + (next.latitude - previous.latitude) * ratio) * 1000000) / 1000000,
+          longitude: Math.round((previous.longitude + (next.longitude - previous.longitude) * ratio) * 1000000) / 1000000
+        };
+      }
+    }
+
+    const last = routePoints[routePoints.length - 1];
+    return { latitude: last.latitude, longitude: last.longitude };
+  }
+
+  distanceKm(p1, p2) {
+    const R = 6371;
+    const dLat = (p2.latitude - p1.latitude) * Math.PI / 180;
+    const dLon = (p2.longitude - p1.longitude) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(p1.latitude * Math.PI / 180) * Math.cos(p2.latitude * Math.PI / 180) *
+              Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+module.exports = new SegmentRiskService();
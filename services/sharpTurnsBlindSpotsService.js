@@ -2,7 +2,7 @@
 // Purpose: Enhanced service with ALL missing methods and proper error handling
 // CRITICAL FIX: Added ALL missing methods and improved validation
 
-const axios = require('axios');
+const providerHttp = require('./providerHttpService');
 const fs = require('fs');
 const path = require('path');
 const SharpTurn = require('../models/SharpTurn');
@@ -93,11 +93,28 @@ class EnhancedSharpTurnsBlindSpotsService {
         };
       }
       
+      // 3. Steep grades and long descents from the elevation profile
+      console.log('⛰️ Analyzing steep gradients and long descents...');
+      let gradientResults;
+      try {
+        gradientResults = await require('./gradientAnalysisService').analyzeRoute(route);
+      } catch (gradientError) {
+        console.error('Gradient analysis failed:', gradientError.message);
+        gradientResults = {
+          hazards: [],
+          totalCount: 0,
+          longDescents: 0,
+          criticalCount: 0,
+          error: gradientError.message
+        };
+      }
+
       const results = {
         routeId: route._id,
         routeName: route.routeName,
         analysisDate: new Date(),
         sharpTurns: sharpTurnsResults,
+        steepGradients: gradientResults,
         blindSpots: {
           spots: realBlindSpotsResults.blindSpots || [],
           totalCount: realBlindSpotsResults.totalBlindSpots || 0,
@@ -120,6 +137,9 @@ class EnhancedSharpTurnsBlindSpotsService {
           criticalTurns: sharpTurnsResults.turns?.filter(t => t.riskScore >= 8).length || 0,
           totalBlindSpots: realBlindSpotsResults.totalBlindSpots || 0,
           criticalBlindSpots: realBlindSpotsResults.riskAnalysis?.criticalCount || 0,
+          totalSteepGradients: gradientResults.totalCount || 0,
+          longDescents: gradientResults.longDescents || 0,
+          criticalGradients: gradientResults.criticalCount || 0,
           avgTurnRisk: sharpTurnsResults.avgRiskScore || 0,
           avgBlindSpotRisk: realBlindSpotsResults.riskAnalysis?.score || 0,
           overallRiskLevel: this.determineOverallRiskLevel(
@@ -187,6 +207,7 @@ class EnhancedSharpTurnsBlindSpotsService {
                   turnAngle: this.validateNumber(turnAnalysis.angle, 0),
                   turnDirection: this.validateTurnDirection(turnAnalysis.direction),
                   turnRadius: this.validateNumber(turnAnalysis.radius, 100),
+                  approachSpeed: this.validateNumber(turnRiskData.approachSpeed, 40),
                   recommendedSpeed: this.validateNumber(turnRiskData.recommendedSpeed, 40),
                   riskScore: this.validateNumber(turnRiskData.riskScore, 5),
                   turnSeverity: turnRiskData.severity || 'moderate',
@@ -196,7 +217,7 @@ class EnhancedSharpTurnsBlindSpotsService {
                   warningSigns: turnRiskData.hasWarningSigns || false,
                   lightingAvailable: turnRiskData.hasLighting || false,
                   bankingAngle: this.validateNumber(turnAnalysis.estimatedBanking, 0),
-                  analysisMethod: 'enhanced_gps_analysis',
+                  analysisMethod: routePoints[i].roadMatch?.osmWayId ? 'map_matched_gps_analysis' : 'enhanced_gps_analysis',
                   confidence: this.validateNumber(turnAnalysis.confidence, 0.8)
                 });
                 
@@ -385,6 +406,12 @@ class EnhancedSharpTurnsBlindSpotsService {
       const recommendedSpeed = this.calculateSafeTurnSpeed(angle, radius);
       if (recommendedSpeed <= 25) riskScore += 2;
       else if (recommendedSpeed <= 40) riskScore += 1;
+
+      // Map-matched points know the road's speed limit - a big drop into the turn adds risk
+      const approachSpeed = location.roadMatch?.speedLimit || null;
+      if (approachSpeed && approachSpeed - recommendedSpeed >= 40) {
+        riskScore = Math.min(10, riskScore + 1);
+      }
       
       const environmentalRisk = await this.assessEnvironmentalFactors(location);
       riskScore += environmentalRisk.additionalRisk;
@@ -399,6 +426,7 @@ class EnhancedSharpTurnsBlindSpotsService {
       return {
         riskScore: this.validateNumber(riskScore, 5),
         severity,
+        approachSpeed,
         recommendedSpeed: Math.max(15, this.validateNumber(recommendedSpeed, 40)),
         visibility: environmentalRisk.visibility || 'good',
         roadSurface: environmentalRisk.roadSurface || 'good',
@@ -505,6 +533,8 @@ class EnhancedSharpTurnsBlindSpotsService {
       
       if (turnPoints.length >= 5) confidence += 0.1;
       if (angle >= 15 && angle <= 165) confidence += 0.1;
+      // Snapped to road geometry rather than raw GPS noise
+      if (turnPoints.every(point => point.roadMatch?.osmWayId)) confidence += 0.1;
       
       const distances = [];
       for (let i = 1; i < turnPoints.length; i++) {
@@ -887,7 +917,7 @@ class EnhancedSharpTurnsBlindSpotsService {
         return null;
       }
 
-      const response = await axios.get(imageData.url, { 
+      const response = await providerHttp.get(imageData.url, { 
         responseType: 'arraybuffer',
         timeout: 10000 
       });
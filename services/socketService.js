@@ -0,0 +1,64 @@
+// File: services/socketService.js
+// Purpose: socket.io server for pushing live progress to the web client
+// Clients authenticate with their normal JWT (handshake auth.token or Authorization header)
+// and are joined to a per-user room, so events only reach the owner of the job.
+
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  init(httpServer) {
+    if (this.io) return this.io;
+
+    this.io = new Server(httpServer, {
+      cors: { origin: process.env.SOCKET_CORS_ORIGIN || '*' }
+    });
+
+    this.io.use(async (socket, next) => {
+      try {
+        const header = socket.handshake.headers.authorization || '';
+        const token = socket.handshake.auth?.token ||
+                      (header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+        if (!token) {
+          return next(new Error('Authentication required'));
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const user = await User.findById(decoded.userId).select('_id isActive');
+        if (!user || !user.isActive) {
+          return next(new Error('Authentication failed'));
+        }
+
+        socket.data.userId = String(user._id);
+        next();
+      } catch (error) {
+        next(new Error('Authentication failed'));
+      }
+    });
+
+    this.io.on('connection', socket => {
+      socket.join(this.userRoom(socket.data.userId));
+    });
+
+    console.log('✅ Socket.io live progress channel ready');
+    return this.io;
+  }
+
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  // No-op until init() has been called (e.g. in scripts and workers)
+  emitToUser(userId, event, payload) {
+    if (!this.io || !userId) return;
+    this.io.to(this.userRoom(String(userId))).emit(event, payload);
+  }
+}
+
+module.exports = new SocketService();
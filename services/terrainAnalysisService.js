@@ -0,0 +1,377 @@
+// File: services/terrainAnalysisService.js
+// Purpose: Terrain classification from a route's elevation profile and curvature
+// Reuses the gradient analysis profile (50 m resampling, DEM heights with route point
+// fallback, smoothing) and splits the route into fixed-length segments that are classified
+// as plain / rolling / hilly / ghat from their grades, relief and how much the road winds.
+
+const gradientAnalysisService = require('./gradientAnalysisService');
+
+const SEGMENT_LENGTH_KM = parseFloat(process.env.TERRAIN_SEGMENT_KM) || 2;
+const GRADE_WINDOW_METERS = 100;
+const MIN_HEADING_CHANGE_DEGREES = 3; // below this a bend is resampling / GPS noise
+const CREST_GRADE_PERCENT = 2;
+const CREST_TRANSITION_METERS = 200;
+const CREST_MERGE_METERS = 300;
+
+// Checked from the most demanding class down; the first match wins.
+// meanAbsGrade / maxGrade in percent, relief in metres per km, curvature in degrees of heading change per km.
+const TERRAIN_CLASSES = [
+  {
+    key: 'ghat',
+    label: 'Ghat / Mountain Pass',
+    difficulty: 'Very Difficult',
+    matches: stats => (stats.meanAbsGrade >= 4 && stats.curvature >= 120) ||
+      (stats.maxGrade >= 8 && stats.curvature >= 90)
+  },
+  {
+    key: 'hilly',
+    label: 'Hilly',
+    difficulty: 'Difficult',
+    matches: stats => stats.meanAbsGrade >= 3 || stats.maxGrade >= 6 || stats.reliefPerKm >= 40
+  },
+  {
+    key: 'rolling',
+    label: 'Rolling',
+    difficulty: 'Moderate',
+    matches: stats => stats.meanAbsGrade >= 1.5 || stats.maxGrade >= 3 || stats.reliefPerKm >= 15
+  },
+  {
+    key: 'plain',
+    label: 'Plain',
+    difficulty: 'Easy',
+    matches: () => true
+  }
+];
+
+const TERRAIN_ORDER = ['plain', 'rolling', 'hilly', 'ghat'];
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function bearing(from, to) {
+  const lat1 = from.latitude * Math.PI / 180;
+  const lat2 = to.latitude * Math.PI / 180;
+  const dLon = (to.longitude - from.longitude) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return Math.atan2(y, x) * 180 / Math.PI;
+}
+
+class TerrainAnalysisService {
+  constructor() {
+    this.segmentLengthKm = SEGMENT_LENGTH_KM;
+  }
+
+  classify(stats) {
+    return TERRAIN_CLASSES.find(terrainClass => terrainClass.matches(stats));
+  }
+
+  // Absolute heading change at every resampled position (degrees), attributed to its distance
+  headingChanges(samples) {
+    const changes = [];
+    for (let i = 1; i < samples.length - 1; i++) {
+      const prev = samples[i - 1];
+      const current = samples[i];
+      const next = samples[i + 1];
+      if (current.distance - prev.distance <= 0 || next.distance - current.distance <= 0) continue;
+
+      let delta = Math.abs(bearing(current, next) - bearing(prev, current));
+      if (delta > 180) delta = 360 - delta;
+      if (delta >= MIN_HEADING_CHANGE_DEGREES) {
+        changes.push({ distance: current.distance, degrees: delta });
+      }
+    }
+    return changes;
+  }
+
+  // Grade over GRADE_WINDOW_METERS ending at each profile position
+  windowGrades(profile) {
+    const step = gradientAnalysisService.PROFILE_STEP_METERS;
+    const window = Math.max(1, Math.round(GRADE_WINDOW_METERS / step));
+    const grades = [];
+    for (let i = window; i < profile.length; i++) {
+      const run = profile[i].distance - profile[i - window].distance;
+      if (run <= 0) continue;
+      grades.push({
+        distance: profile[i - window].distance,
+        endDistance: profile[i].distance,
+        grade: (profile[i].elevation - profile[i - window].elevation) / run * 100
+      });
+    }
+    return grades;
+  }
+
+  // Crests hide the road beyond them; dips hide oncoming traffic in them.
+  // A crest is a climb that turns into a descent within CREST_TRANSITION_METERS (a dip the reverse).
+  findCrestsAndDips(grades) {
+    const found = { crests: [], dips: [] };
+    for (let i = 0; i < grades.length; i++) {
+      const before = grades[i];
+      if (Math.abs(before.grade) < CREST_GRADE_PERCENT) continue;
+
+      let after = null;
+      for (let j = i + 1; j < grades.length && grades[j].distance <= before.endDistance + CREST_TRANSITION_METERS; j++) {
+        if (grades[j].distance >= before.endDistance && Math.sign(grades[j].grade) !== Math.sign(before.grade) &&
+            Math.abs(grades[j].grade) >= CREST_GRADE_PERCENT) {
+          after = grades[j];
+          break;
+        }
+      }
+      if (!after) continue;
+
+      const list = before.grade > 0 ? found.crests : found.dips;
+      const location = (before.endDistance + after.distance) / 2;
+      const last = list[list.length - 1];
+      if (last && location - last.distance * 1000 < CREST_MERGE_METERS) continue;
+      list.push({
+        distance: round(location / 1000, 2),
+        gradeIn: round(before.grade),
+        gradeOut: round(after.grade)
+      });
+    }
+    return found;
+  }
+
+  summarizeSegment(index, profile, grades, headingChanges, startMeters, endMeters) {
+    const inSegment = profile.filter(sample => sample.distance >= startMeters && sample.distance <= endMeters);
+    if (inSegment.length < 2) return null;
+
+    const lengthKm = (inSegment[inSegment.length - 1].distance - inSegment[0].distance) / 1000;
+    if (lengthKm <= 0) return null;
+
+    const elevations = inSegment.map(sample => sample.elevation);
+    let ascent = 0;
+    let descent = 0;
+    for (let i = 1; i < elevations.length; i++) {
+      const change = elevations[i] - elevations[i - 1];
+      if (change > 0) ascent += change;
+      else descent -= change;
+    }
+
+    const segmentGrades = grades.filter(grade => grade.distance >= startMeters && grade.endDistance <= endMeters);
+    const absGrades = segmentGrades.map(grade => Math.abs(grade.grade));
+    const turning = headingChanges
+      .filter(change => change.distance >= startMeters && change.distance < endMeters)
+      .reduce((sum, change) => sum + change.degrees, 0);
+
+    const minElevation = Math.min(...elevations);
+    const maxElevation = Math.max(...elevations);
+    const stats = {
+      meanAbsGrade: absGrades.length > 0 ? absGrades.reduce((sum, grade) => sum + grade, 0) / absGrades.length : 0,
+      maxGrade: absGrades.length > 0 ? Math.max(...absGrades) : 0,
+      reliefPerKm: (maxElevation - minElevation) / lengthKm,
+      curvature: turning / lengthKm
+    };
+    const terrainClass = this.classify(stats);
+    const first = inSegment[0];
+    const last = inSegment[inSegment.length - 1];
+
+    return {
+      index,
+      startKm: round(first.distance / 1000, 2),
+      endKm: round(last.distance / 1000, 2),
+      lengthKm: round(lengthKm, 2),
+      classification: terrainClass.key,
+      classificationLabel: terrainClass.label,
+      minElevation: Math.round(minElevation),
+      maxElevation: Math.round(maxElevation),
+      ascentMeters: Math.round(ascent),
+      descentMeters: Math.round(descent),
+      netGradePercent: round((last.elevation - first.elevation) / (lengthKm * 1000) * 100),
+      meanAbsGradePercent: round(stats.meanAbsGrade),
+      maxGradePercent: round(stats.maxGrade),
+      reliefPerKm: Math.round(stats.reliefPerKm),
+      curvatureDegPerKm: Math.round(stats.curvature),
+      startCoordinates: { latitude: round(first.latitude, 6), longitude: round(first.longitude, 6) },
+      endCoordinates: { latitude: round(last.latitude, 6), longitude: round(last.longitude, 6) }
+    };
+  }
+
+  summarizeClassification(segments) {
+    const totalKm = segments.reduce((sum, segment) => sum + segment.lengthKm, 0);
+    const distribution = {};
+    TERRAIN_ORDER.forEach(key => {
+      const km = segments.filter(segment => segment.classification === key)
+        .reduce((sum, segment) => sum + segment.lengthKm, 0);
+      distribution[key] = { km: round(km), percent: totalKm > 0 ? round(km / totalKm * 100) : 0 };
+    });
+
+    const dominant = TERRAIN_ORDER.reduce((best, key) =>
+      distribution[key].km > distribution[best].km ? key : best, 'plain');
+    const mostDemanding = [...TERRAIN_ORDER].reverse().find(key => distribution[key].km > 0) || dominant;
+    const dominantClass = TERRAIN_CLASSES.find(terrainClass => terrainClass.key === dominant);
+    const demandingClass = TERRAIN_CLASSES.find(terrainClass => terrainClass.key === mostDemanding);
+
+    let label = `${dominantClass.label} Terrain`;
+    if (mostDemanding !== dominant) {
+      label += ` with ${distribution[mostDemanding].km} km of ${demandingClass.label.toLowerCase()} sections`;
+    }
+
+    return {
+      dominant,
+      mostDemanding,
+      label,
+      drivingDifficulty: demandingClass.difficulty,
+      distribution
+    };
+  }
+
+  // Driving challenges matched to what the profile actually shows
+  buildDrivingChallenges(statistics, classification, hazards, crestsAndDips) {
+    const challenges = [];
+    const longDescents = hazards.filter(hazard => hazard.hazardType === 'long_descent');
+    const steepDescents = hazards.filter(hazard => hazard.hazardType === 'steep_grade' && hazard.direction === 'descent');
+    const steepClimbs = hazards.filter(hazard => hazard.hazardType === 'steep_grade' && hazard.direction === 'ascent');
+    const ghatKm = classification.distribution.ghat.km;
+    const hillyKm = classification.distribution.hilly.km;
+
+    if (longDescents.length > 0 || steepDescents.length > 0) {
+      const worst = [...longDescents, ...steepDescents].sort((a, b) => b.descentSeverityIndex - a.descentSeverityIndex)[0];
+      challenges.push({
+        type: 'brake_fade',
+        severity: worst.descentSeverityIndex >= gradientAnalysisService.GRADIENT_THRESHOLDS.descentIndexSevere ? 'high' : 'medium',
+        description: `${longDescents.length + steepDescents.length} sustained descent(s); worst drops ${Math.abs(worst.elevationChangeMeters)} m over ${round(worst.lengthMeters / 1000)} km from km ${worst.distanceFromStartKm}`,
+        locationsKm: [...longDescents, ...steepDescents].map(hazard => hazard.distanceFromStartKm)
+      });
+    }
+
+    if (steepClimbs.length > 0) {
+      challenges.push({
+        type: 'steep_climb',
+        severity: steepClimbs.some(hazard => hazard.maxGradePercent >= gradientAnalysisService.GRADIENT_THRESHOLDS.severePercent) ? 'high' : 'medium',
+        description: `${steepClimbs.length} steep climb(s) up to ${Math.max(...steepClimbs.map(hazard => hazard.maxGradePercent))}% - loaded tanker will crawl, engine and clutch heat up`,
+        locationsKm: steepClimbs.map(hazard => hazard.distanceFromStartKm)
+      });
+    }
+
+    if (ghatKm > 0) {
+      challenges.push({
+        type: 'ghat_hairpins',
+        severity: 'high',
+        description: `${ghatKm} km of ghat road - steep winding sections with hairpins, restricted sight lines and no overtaking room`,
+        locationsKm: []
+      });
+    }
+
+    if (crestsAndDips.crests.length > 0 || crestsAndDips.dips.length > 0) {
+      challenges.push({
+        type: 'vertical_blind_spots',
+        severity: crestsAndDips.crests.length >= 5 ? 'high' : 'medium',
+        description: `${crestsAndDips.crests.length} crest(s) and ${crestsAndDips.dips.length} dip(s) that hide the road ahead or oncoming traffic`,
+        locationsKm: [...crestsAndDips.crests, ...crestsAndDips.dips].map(item => item.distance).sort((a, b) => a - b)
+      });
+    }
+
+    if (statistics.totalAscentMeters >= 500 || hillyKm + ghatKm >= 10) {
+      challenges.push({
+        type: 'engine_load',
+        severity: 'medium',
+        description: `${statistics.totalAscentMeters} m of cumulative climbing - higher fuel burn and cooling demand on a loaded tanker`,
+        locationsKm: []
+      });
+    }
+
+    return challenges;
+  }
+
+  /**
+   * Full terrain analysis for a route. Pure computation over the route points (plus local DEM
+   * tiles) - nothing is persisted. Returns { available: false, reason } when the route has no
+   * usable elevation data, so callers never report made-up plains figures.
+   */
+  analyzeRoute(route) {
+    const routePoints = route.routePoints || [];
+    const { samples, profile, coverage, source } = gradientAnalysisService.buildElevationProfile(routePoints);
+    const headingChanges = this.headingChanges(samples);
+    const totalDistanceKm = samples.length > 0 ? samples[samples.length - 1].distance / 1000 : 0;
+    const routeCurvature = totalDistanceKm > 0
+      ? Math.round(headingChanges.reduce((sum, change) => sum + change.degrees, 0) / totalDistanceKm)
+      : 0;
+
+    if (profile.length < 3 || coverage < gradientAnalysisService.MIN_ELEVATION_COVERAGE) {
+      return {
+        available: false,
+        reason: samples.length < 3
+          ? 'Route too short for terrain analysis'
+          : `Elevation available for ${Math.round(coverage * 100)}% of the route - terrain analysis needs ${gradientAnalysisService.MIN_ELEVATION_COVERAGE * 100}%`,
+        elevationCoverage: round(coverage, 2),
+        totalDistanceKm: round(totalDistanceKm),
+        curvatureDegPerKm: routeCurvature
+      };
+    }
+
+    const grades = this.windowGrades(profile);
+    const elevations = profile.map(sample => sample.elevation);
+    const averageElevation = elevations.reduce((sum, value) => sum + value, 0) / elevations.length;
+    const variance = elevations.reduce((sum, value) => sum + (value - averageElevation) ** 2, 0) / elevations.length;
+
+    let totalAscent = 0;
+    let totalDescent = 0;
+    for (let i = 1; i < elevations.length; i++) {
+      const change = elevations[i] - elevations[i - 1];
+      if (change > 0) totalAscent += change;
+      else totalDescent -= change;
+    }
+
+    const steepest = grades.reduce((best, grade) =>
+      !best || Math.abs(grade.grade) > Math.abs(best.grade) ? grade : best, null);
+    const absGrades = grades.map(grade => Math.abs(grade.grade));
+
+    const statistics = {
+      totalDistanceKm: round(totalDistanceKm),
+      minElevation: Math.round(Math.min(...elevations)),
+      maxElevation: Math.round(Math.max(...elevations)),
+      averageElevation: Math.round(averageElevation),
+      elevationRange: Math.round(Math.max(...elevations) - Math.min(...elevations)),
+      elevationStdDev: round(Math.sqrt(variance)),
+      totalAscentMeters: Math.round(totalAscent),
+      totalDescentMeters: Math.round(totalDescent),
+      maxGradePercent: steepest ? round(Math.abs(steepest.grade)) : 0,
+      maxGradeDirection: steepest ? (steepest.grade < 0 ? 'descent' : 'ascent') : null,
+      maxGradeLocationKm: steepest ? round(steepest.distance / 1000, 2) : null,
+      meanAbsGradePercent: absGrades.length > 0 ? round(absGrades.reduce((sum, grade) => sum + grade, 0) / absGrades.length, 2) : 0,
+      curvatureDegPerKm: routeCurvature
+    };
+
+    const segmentMeters = this.segmentLengthKm * 1000;
+    const routeMeters = profile[profile.length - 1].distance;
+    const segments = [];
+    for (let start = profile[0].distance, index = 0; start < routeMeters; start += segmentMeters, index++) {
+      // Fold a short tail into the previous segment rather than classifying a few hundred metres alone
+      const end = routeMeters - (start + segmentMeters) < segmentMeters / 4 ? routeMeters : start + segmentMeters;
+      const segment = this.summarizeSegment(index, profile, grades, headingChanges, start, end);
+      if (segment) segments.push(segment);
+      if (end === routeMeters) break;
+    }
+
+    const classification = this.summarizeClassification(segments);
+    const hazards = gradientAnalysisService.mergeOverlaps(
+      gradientAnalysisService.findSteepSegments(profile),
+      gradientAnalysisService.findLongDescents(profile)
+    );
+    const crestsAndDips = this.findCrestsAndDips(grades);
+
+    return {
+      available: true,
+      elevationSource: source,
+      elevationCoverage: round(coverage, 2),
+      analysisPoints: profile.length,
+      sampleSpacingMeters: gradientAnalysisService.PROFILE_STEP_METERS,
+      segmentLengthKm: this.segmentLengthKm,
+      statistics,
+      classification,
+      segments,
+      gradientHazards: hazards,
+      crests: crestsAndDips.crests,
+      dips: crestsAndDips.dips,
+      drivingChallenges: this.buildDrivingChallenges(statistics, classification, hazards, crestsAndDips)
+    };
+  }
+}
+
+const terrainAnalysisService = new TerrainAnalysisService();
+terrainAnalysisService.TERRAIN_CLASSES = TERRAIN_CLASSES;
+
+module.exports = terrainAnalysisService;
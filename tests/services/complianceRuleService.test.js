@@ -0,0 +1,226 @@
+const complianceRuleService = require('../../services/complianceRuleService');
+const ComplianceRule = require('../../models/ComplianceRule');
+
+// Built-in rules in evaluation order, as getActiveRules returns them
+const RULES = [...ComplianceRule.DEFAULT_RULES].sort((a, b) => a.priority - b.priority || a.code.localeCompare(b.code));
+
+const MUMBAI = [19.076, 72.8777];
+const PUNE = [18.5204, 73.8567];
+const SURAT = [21.17, 72.83];
+const AHMEDABAD = [23.0225, 72.5714];
+const UDAIPUR = [24.5854, 73.7125];
+
+// Route record with straight-line route points between waypoints
+function route(waypoints, overrides = {}) {
+  const routePoints = [];
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const [fromLat, fromLng] = waypoints[i];
+    const [toLat, toLng] = waypoints[i + 1];
+    for (let k = 0; k < 20; k++) {
+      routePoints.push({
+        latitude: fromLat + (toLat - fromLat) * k / 20,
+        longitude: fromLng + (toLng - fromLng) * k / 20,
+        pointOrder: routePoints.length
+      });
+    }
+  }
+  const [fromLat, fromLng] = waypoints[0];
+  const [toLat, toLng] = waypoints[waypoints.length - 1];
+  return {
+    routeId: 'RT-COMPLIANCE',
+    totalDistance: 650,
+    estimatedDuration: 720,
+    fromCoordinates: { latitude: fromLat, longitude: fromLng },
+    toCoordinates: { latitude: toLat, longitude: toLng },
+    routePoints,
+    vehicle: { registrationNumber: 'MH 04 AB 1234', vehicleClass: 'ms_hsd_tanker' },
+    cargo: {},
+    driver: {},
+    ...overrides
+  };
+}
+
+const evaluate = (trip, overrides) => {
+  const facts = complianceRuleService.buildFacts(trip, overrides);
+  return { facts, ...complianceRuleService.evaluateRules(RULES, facts) };
+};
+const applied = result => result.appliedRules.map(rule => rule.code);
+
+describe('evaluateCondition', () => {
+  const facts = { route: { stateCount: 3, states: ['MH', 'GJ'] }, vehicle: { heavy: true, permitStates: [] }, trip: { nightDrivingHours: null } };
+  const check = condition => complianceRuleService.evaluateCondition(condition, facts);
+
+  test('combines all, any and not', () => {
+    expect(check({ all: [{ fact: 'vehicle.heavy', op: 'eq', value: true }, { fact: 'route.stateCount', op: 'gte', value: 3 }] })).toBe(true);
+    expect(check({ any: [{ fact: 'vehicle.heavy', op: 'eq', value: false }, { fact: 'route.stateCount', op: 'lt', value: 2 }] })).toBe(false);
+    expect(check({ not: { fact: 'vehicle.heavy', op: 'falsy' } })).toBe(true);
+  });
+
+  test('treats missing facts as not matching numeric comparisons', () => {
+    expect(check({ fact: 'trip.nightDrivingHours', op: 'gt', value: 0 })).toBe(false);
+    expect(check({ fact: 'trip.nightDrivingHours', op: 'lte', value: 0 })).toBe(false);
+    expect(check({ fact: 'trip.nightDrivingHours', op: 'notExists' })).toBe(true);
+    expect(check({ fact: 'cargo.product.name', op: 'exists' })).toBe(false);
+  });
+
+  test('supports list and emptiness operators', () => {
+    expect(check({ fact: 'route.stateCount', op: 'in', value: [2, 3] })).toBe(true);
+    expect(check({ fact: 'route.stateCount', op: 'nin', value: [2, 3] })).toBe(false);
+    expect(check({ fact: 'route.states', op: 'nonEmpty' })).toBe(true);
+    expect(check({ fact: 'vehicle.permitStates', op: 'empty' })).toBe(true);
+    expect(check({ fact: 'route.stateCount', op: 'between', value: [1, 5] })).toBe(false);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('fills fact paths and marks missing values', () => {
+    const facts = { route: { stateNames: ['Maharashtra', 'Gujarat'] }, vehicle: { pesoLicenceExpiry: new Date('2026-03-31T00:00:00Z') } };
+
+    expect(complianceRuleService.renderTemplate('States: {{ route.stateNames }}, licence {{vehicle.pesoLicenceExpiry}}, UN {{cargo.unNumber}}', facts))
+      .toBe('States: Maharashtra, Gujarat, licence 2026-03-31, UN not recorded');
+  });
+});
+
+describe('interstate permits', () => {
+  test('flags the third state a route crosses when the vehicle has no permit for it', () => {
+    const trip = route([MUMBAI, SURAT, AHMEDABAD, UDAIPUR], {
+      fromAddress: 'Mumbai, Maharashtra',
+      toAddress: 'Udaipur',
+      vehicle: { registrationNumber: 'MH 04 AB 1234', vehicleClass: 'ms_hsd_tanker', permitStates: ['gj'] }
+    });
+
+    const result = evaluate(trip);
+
+    expect(result.facts.route.states).toEqual(['MH', 'GJ', 'RJ']);
+    expect(result.facts.route.interstate).toBe(true);
+    expect(result.facts.vehicle.homeState).toBe('MH');
+    expect(result.facts.vehicle.statesWithoutPermit).toEqual(['RJ']);
+    expect(applied(result)).toContain('interstate_permit');
+
+    const permit = result.requirements.find(requirement => requirement.ruleCode === 'interstate_permit');
+    expect(permit.action).toBe('Permit valid or countersigned for every state crossed: Maharashtra, Gujarat, Rajasthan');
+    expect(result.issues).toContainEqual(expect.objectContaining({
+      ruleCode: 'interstate_permit',
+      severity: 'HIGH',
+      issue: 'No permit recorded for Rajasthan'
+    }));
+  });
+
+  test('needs no state permits with a National Permit', () => {
+    const trip = route([MUMBAI, SURAT, AHMEDABAD, UDAIPUR], {
+      vehicle: { registrationNumber: 'MH 04 AB 1234', vehicleClass: 'ms_hsd_tanker', nationalPermit: true }
+    });
+
+    const result = evaluate(trip);
+
+    expect(result.facts.vehicle.statesWithoutPermit).toEqual([]);
+    expect(applied(result)).toContain('national_permit_documents');
+    expect(applied(result)).not.toContain('interstate_permit');
+  });
+
+  test('treats a vehicle registered in another state as interstate on a single-state route', () => {
+    const result = evaluate(route([MUMBAI, PUNE], {
+      vehicle: { registrationNumber: 'GJ 01 XY 9876', vehicleClass: 'ms_hsd_tanker' }
+    }));
+
+    expect(result.facts.route.states).toEqual(['MH']);
+    expect(result.facts.route.interstate).toBe(true);
+    expect(result.facts.vehicle.statesWithoutPermit).toEqual(['MH']);
+  });
+
+  test('applies no permit rules to a trip inside the home state', () => {
+    const result = evaluate(route([MUMBAI, PUNE]));
+
+    expect(result.facts.route.interstate).toBe(false);
+    expect(applied(result)).not.toContain('interstate_permit');
+    expect(applied(result)).not.toContain('interstate_unknown');
+  });
+
+  test('takes the origin state as home for Bharat series plates', () => {
+    const result = evaluate(route([AHMEDABAD, UDAIPUR], {
+      vehicle: { registrationNumber: '22 BH 1234 AA', vehicleClass: 'ms_hsd_tanker' }
+    }));
+
+    expect(result.facts.vehicle.registrationState).toBe('BH');
+    expect(result.facts.vehicle.homeState).toBe('GJ');
+    expect(result.facts.vehicle.statesWithoutPermit).toEqual(['RJ']);
+  });
+
+  test('asks for a manual permit check when no state can be located', () => {
+    const result = evaluate({
+      routeId: 'RT-UNKNOWN',
+      estimatedDuration: 120,
+      fromAddress: 'Depot gate 2',
+      toAddress: 'Retail outlet 14',
+      routePoints: [],
+      vehicle: {},
+      cargo: {},
+      driver: {}
+    });
+
+    expect(result.facts.route.statesDetected).toBe(false);
+    expect(applied(result)).toContain('interstate_unknown');
+  });
+});
+
+describe('hazardous cargo and schedule', () => {
+  test('counts the hours inside the night window', () => {
+    // 20:00 IST departure for 6 hours overlaps 22:00-02:00
+    const start = new Date('2026-01-10T14:30:00Z');
+    const end = new Date(start.getTime() + 6 * 3600000);
+
+    expect(complianceRuleService.nightDrivingHours(start, end)).toBe(4);
+    expect(complianceRuleService.nightDrivingHours(new Date('2026-01-10T03:30:00Z'), new Date('2026-01-10T09:30:00Z'))).toBe(0);
+  });
+
+  test('raises a night driving issue for a tanker departing in the evening', () => {
+    const result = evaluate(route([MUMBAI, PUNE], { estimatedDuration: 360 }), { departureTime: '2026-01-10T14:30:00Z' });
+
+    expect(result.facts.cargo.hazardous).toBe(true);
+    expect(result.facts.trip.nightDrivingHours).toBe(4);
+    expect(result.issues).toContainEqual(expect.objectContaining({
+      ruleCode: 'night_driving_ban',
+      issue: '4 h of the planned trip fall within 22:00-06:00 IST'
+    }));
+  });
+
+  test('checks the LPG bullet licence against the end of the trip', () => {
+    const trip = route([MUMBAI, PUNE], {
+      // Valid at the 09:30 IST departure, expired before the 12-hour trip ends
+      vehicle: { registrationNumber: 'MH 04 AB 1234', vehicleClass: 'lpg_bullet', pesoLicenceExpiry: '2026-01-10T12:00:00Z' }
+    });
+
+    const result = evaluate(trip, { departureTime: '2026-01-10T04:00:00Z' });
+
+    expect(result.facts.cargo.regime).toBe('smpv');
+    expect(result.facts.vehicle.pesoLicenceValid).toBe(false);
+    expect(result.issues[0]).toMatchObject({ ruleCode: 'peso_smpv_licence', severity: 'HIGH' });
+  });
+
+  test('lets overrides evaluate another vehicle without touching the route', () => {
+    const trip = route([MUMBAI, PUNE]);
+
+    const result = evaluate(trip, { vehicle: { vehicleClass: 'light_vehicle' }, cargo: { hazardous: false } });
+
+    expect(result.facts.vehicle.vehicleClass).toBe('light_vehicle');
+    expect(result.facts.cargo.hazardous).toBe(false);
+    expect(applied(result)).not.toContain('night_driving_ban');
+    expect(trip.vehicle.vehicleClass).toBe('ms_hsd_tanker');
+  });
+});
+
+describe('evaluateRoute', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('evaluates the active rules from the database', async () => {
+    jest.spyOn(ComplianceRule, 'getActiveRules').mockResolvedValue(RULES.filter(rule => rule.category === 'permits'));
+
+    const result = await complianceRuleService.evaluateRoute(route([MUMBAI, SURAT, AHMEDABAD, UDAIPUR]));
+
+    expect(result.rulesEvaluated).toBe(RULES.filter(rule => rule.category === 'permits').length);
+    expect(applied(result)).toEqual(['interstate_permit']);
+    expect(result.facts.vehicle.statesWithoutPermitNames).toEqual(['Gujarat', 'Rajasthan']);
+  });
+});
@@ -0,0 +1,205 @@
+const gradientAnalysisService = require('../../services/gradientAnalysisService');
+const elevationService = require('../../services/elevationService');
+const SteepGradient = require('../../models/SteepGradient');
+
+const METERS_PER_DEGREE_LAT = 111195;
+const BASE = { latitude: 30.3, longitude: 78.0 };
+
+// Route points every 50 m heading north, elevation given by a function of the distance
+function routeWithProfile(lengthMeters, elevationAt) {
+  return Array.from({ length: lengthMeters / 50 + 1 }, (_, i) => ({
+    latitude: BASE.latitude + (i * 50) / METERS_PER_DEGREE_LAT,
+    longitude: BASE.longitude,
+    elevation: elevationAt(i * 50)
+  }));
+}
+
+// Piecewise linear elevation: [[lengthMeters, gradePercent], ...] starting at 1000 m
+function stretches(...parts) {
+  return distance => {
+    let elevation = 1000;
+    let covered = 0;
+    for (const [length, grade] of parts) {
+      const run = Math.min(length, Math.max(0, distance - covered));
+      elevation += run * grade / 100;
+      covered += length;
+    }
+    return elevation;
+  };
+}
+
+const totalLength = parts => parts.reduce((sum, [length]) => sum + length, 0);
+
+function detect(...parts) {
+  const { profile } = gradientAnalysisService.buildElevationProfile(routeWithProfile(totalLength(parts), stretches(...parts)));
+  return gradientAnalysisService.mergeOverlaps(
+    gradientAnalysisService.findSteepSegments(profile),
+    gradientAnalysisService.findLongDescents(profile)
+  );
+}
+
+beforeEach(() => {
+  // No DEM tiles: heights come from the route points
+  jest.spyOn(elevationService, 'getLocalElevation').mockReturnValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildProfile', () => {
+  test('resamples every 50 m, interpolates heights and ends on the last point', () => {
+    const points = [
+      { latitude: BASE.latitude, longitude: BASE.longitude, elevation: 100 },
+      { latitude: BASE.latitude + 120 / METERS_PER_DEGREE_LAT, longitude: BASE.longitude, elevation: 112 }
+    ];
+
+    const samples = gradientAnalysisService.buildProfile(points);
+
+    expect(samples.map(sample => Math.round(sample.distance))).toEqual([0, 50, 100, 120]);
+    expect(samples[1].pointElevation).toBeCloseTo(105, 0);
+    expect(samples[3].pointElevation).toBe(112);
+  });
+
+  test('fills gaps between known heights but reports only the measured coverage', () => {
+    const points = routeWithProfile(400, distance => (distance % 200 === 0 ? distance / 10 : undefined));
+
+    const { samples, coverage, source } = gradientAnalysisService.buildElevationProfile(points);
+
+    expect(source).toBe('route_points');
+    expect(coverage).toBeCloseTo(3 / 9, 2);
+    expect(samples.every(sample => typeof sample.elevation === 'number')).toBe(true);
+    expect(samples[1].elevation).toBeCloseTo(5, 0);
+  });
+});
+
+describe('steep grade detection', () => {
+  test('finds nothing on a flat route', () => {
+    expect(detect([3000, 0])).toEqual([]);
+  });
+
+  test('detects a sustained climb with its grade and severity', () => {
+    const [hazard, ...rest] = detect([1000, 0], [800, 9], [1000, 0]);
+
+    expect(rest).toEqual([]);
+    expect(hazard.hazardType).toBe('steep_grade');
+    expect(hazard.direction).toBe('ascent');
+    expect(hazard.averageGradePercent).toBeGreaterThanOrEqual(8);
+    expect(hazard.maxGradePercent).toBeCloseTo(9, 0);
+    expect(hazard.severity).toBe('severe');
+    expect(hazard.distanceFromStartKm).toBeGreaterThan(0.8);
+    expect(hazard.endDistanceFromStartKm).toBeLessThan(2);
+  });
+
+  test('ignores steep pitches shorter than the minimum length', () => {
+    expect(detect([1000, 0], [100, 12], [1000, 0])).toEqual([]);
+  });
+
+  test('keeps a climb and a descent on the same hill apart', () => {
+    const hazards = detect([500, 0], [600, 8], [600, -8], [500, 0]);
+
+    expect(hazards.map(hazard => hazard.direction)).toEqual(['ascent', 'descent']);
+    expect(hazards.every(hazard => hazard.hazardType === 'steep_grade')).toBe(true);
+  });
+});
+
+describe('long descent detection', () => {
+  test('detects a long moderate descent below the steep threshold', () => {
+    const [descent, ...rest] = detect([500, 0], [4000, -4], [500, 0]);
+
+    expect(rest).toEqual([]);
+    expect(descent.hazardType).toBe('long_descent');
+    expect(descent.direction).toBe('descent');
+    expect(descent.elevationChangeMeters).toBeCloseTo(-160, -1);
+    expect(descent.descentSeverityIndex).toBeGreaterThanOrEqual(gradientAnalysisService.GRADIENT_THRESHOLDS.descentIndexModerate);
+    expect(descent.severity).toBe('steep');
+  });
+
+  test('rides through short rises that do not let the brakes cool', () => {
+    const hazards = detect([500, 0], [2000, -5], [100, 4], [2000, -5], [500, 0]);
+
+    expect(hazards).toHaveLength(1);
+    expect(hazards[0].lengthMeters).toBeGreaterThan(3500);
+  });
+
+  test('merges a steep descent into the long descent that contains it', () => {
+    const hazards = detect([500, 0], [3000, -7], [500, 0]);
+
+    expect(hazards).toHaveLength(1);
+    expect(hazards[0].hazardType).toBe('long_descent');
+    expect(hazards[0].maxGradePercent).toBeCloseTo(7, 0);
+  });
+
+  test('ignores a gentle drop that loses too little height', () => {
+    expect(detect([500, 0], [3000, -2], [500, 0])).toEqual([]);
+  });
+});
+
+describe('assessHazard', () => {
+  const hazard = overrides => ({
+    direction: 'descent',
+    averageGradePercent: -7,
+    maxGradePercent: 8,
+    descentSeverityIndex: 0,
+    distanceFromStartKm: 12.5,
+    lengthMeters: 3000,
+    ...overrides
+  });
+
+  test('raises brake fade risk and lowers speed with the descent severity index', () => {
+    const moderate = gradientAnalysisService.assessHazard(hazard({ descentSeverityIndex: 400 }));
+    const severe = gradientAnalysisService.assessHazard(hazard({ descentSeverityIndex: 5000 }));
+
+    expect(moderate.brakeFadeRisk).toBe('moderate');
+    expect(severe.brakeFadeRisk).toBe('severe');
+    expect(severe.riskScore).toBeGreaterThan(moderate.riskScore);
+    expect(severe.recommendedSpeed).toBe(moderate.recommendedSpeed - 5);
+    expect(severe.recommendations.some(text => text.includes('escape ramps'))).toBe(true);
+  });
+
+  test('caps the risk score at 10', () => {
+    const result = gradientAnalysisService.assessHazard(hazard({ averageGradePercent: -14, maxGradePercent: 16, descentSeverityIndex: 9000 }));
+
+    expect(result.riskScore).toBe(10);
+    expect(result.recommendedGear).toMatch(/crawler/);
+  });
+
+  test('gives climb guidance without brake fade for ascents', () => {
+    const result = gradientAnalysisService.assessHazard(hazard({ direction: 'ascent', averageGradePercent: 7 }));
+
+    expect(result.brakeFadeRisk).toBe('none');
+    expect(result.recommendations[0]).toMatch(/^Downshift to 3rd gear before the climb at km 12.5/);
+  });
+});
+
+describe('analyzeRoute', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(SteepGradient, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(SteepGradient.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  test('stores one record per detected hazard and summarises them', async () => {
+    const parts = [[500, 0], [800, 9], [500, 0], [3000, -7], [500, 0]];
+    const route = { _id: '64b000000000000000000001', routeId: 'RT-GRADE', routePoints: routeWithProfile(totalLength(parts), stretches(...parts)) };
+
+    const result = await gradientAnalysisService.analyzeRoute(route);
+
+    expect(SteepGradient.deleteMany).toHaveBeenCalledWith({ routeId: route._id });
+    expect(result.steepGrades).toBe(1);
+    expect(result.longDescents).toBe(1);
+    expect(result.elevationSource).toBe('route_points');
+    expect(result.hazards[1].mapsLink).toContain('google.com/maps/dir');
+  });
+
+  test('skips routes without enough elevation data', async () => {
+    const route = { _id: '64b000000000000000000002', routeId: 'RT-FLAT', routePoints: routeWithProfile(2000, () => undefined) };
+
+    const result = await gradientAnalysisService.analyzeRoute(route);
+
+    expect(result.skipped).toBe(true);
+    expect(SteepGradient.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,197 @@
+const mapMatchingService = require('../../services/mapMatchingService');
+const osmRoadNetwork = require('../../services/osmRoadNetworkService');
+
+const { RoadGraph } = mapMatchingService;
+
+const METERS_PER_DEGREE_LAT = 111195;
+const BASE = { latitude: 19.0, longitude: 73.0 };
+
+// Position `north` / `east` meters from the base
+function at(north, east) {
+  return {
+    latitude: BASE.latitude + north / METERS_PER_DEGREE_LAT,
+    longitude: BASE.longitude + east / (METERS_PER_DEGREE_LAT * Math.cos(BASE.latitude * Math.PI / 180))
+  };
+}
+
+// OSM way through [north, east] vertices; ways sharing a vertex share its exact coordinate
+function way(osmId, vertices, tags = {}) {
+  return {
+    osmId,
+    highway: 'trunk',
+    ...tags,
+    geometry: {
+      type: 'LineString',
+      coordinates: vertices.map(([north, east]) => {
+        const { latitude, longitude } = at(north, east);
+        return [longitude, latitude];
+      })
+    }
+  };
+}
+
+const eastwards = (north, from, to, step = 100) =>
+  Array.from({ length: (to - from) / step + 1 }, (_, i) => [north, from + i * step]);
+
+// Highway along north = 0, a parallel service road 25 m north of it that never joins,
+// a link road leaving the highway's end northwards and an unconnected road 500 m north
+function buildGraph() {
+  const graph = new RoadGraph();
+  graph.addWay(way(1, eastwards(0, 0, 1000), { ref: 'NH 48', name: 'Mumbai Ahmedabad Highway' }));
+  graph.addWay(way(2, eastwards(25, 0, 1000), { highway: 'service' }));
+  graph.addWay(way(3, [[0, 1000], [100, 1000], [200, 1000], [300, 1000]], { highway: 'secondary' }));
+  graph.addWay(way(4, eastwards(500, 0, 1000), { highway: 'tertiary' }));
+  return graph;
+}
+
+const wayIndex = (graph, osmId) => graph.wayIndexById.get(osmId);
+
+describe('RoadGraph', () => {
+  test('projects a fix onto each nearby way, closest first', () => {
+    const graph = buildGraph();
+    const candidates = graph.findCandidates(at(8, 500), 50, 6);
+
+    expect(candidates.map(candidate => candidate.wayIndex)).toEqual([wayIndex(graph, 1), wayIndex(graph, 2)]);
+    expect(candidates[0].distance).toBeCloseTo(8, 0);
+    expect(candidates[0].latitude).toBeCloseTo(BASE.latitude, 7);
+    expect(candidates[0].offset).toBeCloseTo(500, 0);
+    expect(candidates[1].distance).toBeCloseTo(17, 0);
+  });
+
+  test('returns no candidates outside the search radius', () => {
+    expect(buildGraph().findCandidates(at(200, 500), 50, 6)).toEqual([]);
+  });
+
+  test('measures road distance through shared vertices and not across gaps', () => {
+    const graph = buildGraph();
+    const [from] = graph.findCandidates(at(0, 900), 50, 1);
+    const onLink = graph.findCandidates(at(100, 1000), 50, 6).find(candidate => candidate.wayIndex === wayIndex(graph, 3));
+    const onService = graph.findCandidates(at(25, 900), 50, 6).find(candidate => candidate.wayIndex === wayIndex(graph, 2));
+    const sameWay = graph.findCandidates(at(0, 400), 50, 1)[0];
+
+    const [toLink, toService, alongHighway] = graph.routeDistances(from, [onLink, onService, sameWay], 1000);
+
+    expect(toLink).toBeCloseTo(200, 0);
+    expect(toService).toBe(Infinity);
+    expect(alongHighway).toBeCloseTo(500, 0);
+  });
+});
+
+describe('matchPoints', () => {
+  test('keeps a noisy track on the road it is driving when a fix drifts towards a parallel road', () => {
+    const graph = buildGraph();
+    // Every 50 m, 6 m north of the highway; the fix at 500 m is closer to the service road
+    const points = eastwards(6, 0, 950, 50).map(([north, east]) => at(east === 500 ? 14 : north, east));
+
+    const { matches, breaks } = mapMatchingService.matchPoints(points, graph);
+
+    expect(breaks).toBe(0);
+    expect(matches.every(match => match && match.wayIndex === wayIndex(graph, 1))).toBe(true);
+    expect(matches[10].latitude).toBeCloseTo(BASE.latitude, 7);
+  });
+
+  test('follows the track onto a connected road through the junction', () => {
+    const graph = buildGraph();
+    const points = [...eastwards(4, 600, 1000, 50), [100, 996], [150, 996], [200, 996]].map(([north, east]) => at(north, east));
+
+    const { matches } = mapMatchingService.matchPoints(points, graph);
+
+    expect(matches[0].wayIndex).toBe(wayIndex(graph, 1));
+    expect(matches[matches.length - 1].wayIndex).toBe(wayIndex(graph, 3));
+    expect(matches[matches.length - 1].routeDistanceFromPrevious).toBeCloseTo(50, 0);
+  });
+
+  test('snaps fixes closer than two sigma onto the neighbouring match without making them states', () => {
+    const graph = buildGraph();
+    const points = eastwards(5, 0, 200, 5).map(([north, east]) => at(north, east));
+
+    const { matches } = mapMatchingService.matchPoints(points, graph);
+
+    expect(matches.every(match => match && match.wayIndex === wayIndex(graph, 1))).toBe(true);
+    expect(matches.some(match => match.state === false)).toBe(true);
+    expect(matches[0].state).toBe(true);
+    expect(matches[matches.length - 1].state).toBe(true);
+  });
+
+  test('breaks the chain when consecutive fixes have no road connection', () => {
+    const graph = buildGraph();
+    const points = [at(3, 100), at(3, 200), at(497, 250), at(497, 350)];
+
+    const { matches, breaks } = mapMatchingService.matchPoints(points, graph);
+
+    expect(breaks).toBe(1);
+    expect(matches.slice(0, 2).every(match => match.wayIndex === wayIndex(graph, 1))).toBe(true);
+    expect(matches.slice(2).every(match => match.wayIndex === wayIndex(graph, 4))).toBe(true);
+  });
+
+  test('leaves fixes away from every road unmatched', () => {
+    const graph = buildGraph();
+    const points = [at(3, 100), at(3, 200), at(250, 300), at(3, 400)];
+
+    const { matches, breaks } = mapMatchingService.matchPoints(points, graph);
+
+    expect(matches[2]).toBeNull();
+    expect(breaks).toBe(1);
+    expect(matches[3].wayIndex).toBe(wayIndex(graph, 1));
+  });
+});
+
+describe('matchRoute', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockNetwork = () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(mapMatchingService, 'isAvailable').mockResolvedValue(true);
+    jest.spyOn(osmRoadNetwork, 'covers').mockResolvedValue(true);
+    jest.spyOn(mapMatchingService, 'loadRoadGraph').mockImplementation(async () => buildGraph());
+  };
+
+  const routeAlongHighway = () => ({
+    routeId: 'RT-TEST',
+    routePoints: eastwards(6, 0, 950, 50).map(([north, east], index) => ({ ...at(north, east), pointOrder: index }))
+  });
+
+  test('snaps points onto the road, keeps the raw fixes and records the way', async () => {
+    mockNetwork();
+    const route = routeAlongHighway();
+    const raw = route.routePoints[3];
+
+    const summary = await mapMatchingService.matchRoute(route);
+
+    expect(summary.status).toBe('matched');
+    expect(summary.matchedPoints).toBe(20);
+    expect(summary.meanSnapDistanceMeters).toBeCloseTo(6, 0);
+    expect(route.totalDistance).toBeCloseTo(0.95, 2);
+
+    const point = route.routePoints[3];
+    expect(point.latitude).toBeCloseTo(BASE.latitude, 6);
+    expect(point.gpsLatitude).toBe(raw.latitude);
+    expect(point.gpsLongitude).toBe(raw.longitude);
+    expect(point.pointOrder).toBe(3);
+    expect(point.roadMatch).toMatchObject({ osmWayId: 1, ref: 'NH 48', roadType: 'highway', interpolated: false });
+    expect(route.routePoints[route.routePoints.length - 1].distanceToEnd).toBe(0);
+  });
+
+  test('matches again from the stored raw fixes', async () => {
+    mockNetwork();
+    const route = routeAlongHighway();
+
+    await mapMatchingService.matchRoute(route);
+    const firstPass = route.routePoints.map(point => ({ ...point }));
+    await mapMatchingService.matchRoute(route);
+
+    expect(route.routePoints).toEqual(firstPass);
+  });
+
+  test('reports unavailable without a local road network', async () => {
+    jest.spyOn(mapMatchingService, 'isAvailable').mockResolvedValue(false);
+    const route = routeAlongHighway();
+
+    const summary = await mapMatchingService.matchRoute(route);
+
+    expect(summary.status).toBe('unavailable');
+    expect(route.mapMatching).toBeUndefined();
+  });
+});
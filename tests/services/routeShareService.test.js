@@ -0,0 +1,280 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const routeShareService = require('../../services/routeShareService');
+const RouteShare = require('../../models/RouteShare');
+const Route = require('../../models/Route');
+
+const SECRET = 'share-test-secret';
+const OWNER_ID = new mongoose.Types.ObjectId();
+
+let storedShare;
+let sharedRoute;
+
+// Creates a share through the service with the model's database calls stubbed
+async function createShare(body = {}) {
+  const { options, errors } = routeShareService.validateOptions(body);
+  expect(errors).toEqual([]);
+  return routeShareService.createShare(sharedRoute, OWNER_ID, options);
+}
+
+// Resolves to the error thrown by the promise
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+beforeEach(() => {
+  routeShareService.secret = SECRET;
+  sharedRoute = { _id: new mongoose.Types.ObjectId(), routeId: 'RT-SHARE', status: 'active' };
+  storedShare = null;
+
+  jest.spyOn(RouteShare.prototype, 'save').mockImplementation(function save() {
+    storedShare = this;
+    return Promise.resolve(this);
+  });
+  jest.spyOn(RouteShare, 'findById').mockImplementation(id => ({
+    select: async () => (storedShare && String(storedShare._id) === String(id) ? storedShare : null)
+  }));
+  jest.spyOn(Route, 'findOne').mockImplementation(async () => sharedRoute);
+  jest.spyOn(RouteShare, 'recordView').mockImplementation(async () => {
+    if (storedShare.maxViews && storedShare.viewCount >= storedShare.maxViews) return null;
+    storedShare.viewCount += 1;
+    return storedShare;
+  });
+  jest.spyOn(RouteShare, 'recordFailedPassword').mockImplementation(async () => {
+    storedShare.failedPasswordAttempts += 1;
+    return storedShare;
+  });
+  jest.spyOn(RouteShare, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validateOptions', () => {
+  test('defaults to a PDF-enabled, title-page-only share', () => {
+    const { options, errors } = routeShareService.validateOptions({});
+
+    expect(errors).toEqual([]);
+    expect(options).toMatchObject({
+      expiresInHours: routeShareService.defaultExpiryHours,
+      maxViews: null,
+      password: null,
+      allowPdf: true,
+      allowCompleteReport: false
+    });
+  });
+
+  test('rejects out of range expiry, view limits and short passwords', () => {
+    const { errors } = routeShareService.validateOptions({
+      expiresInHours: routeShareService.maxExpiryHours + 1,
+      maxViews: 0,
+      password: 'a'.repeat(routeShareService.MIN_PASSWORD_LENGTH - 1)
+    });
+
+    expect(errors).toEqual([
+      `expiresInHours must be between 0 and ${routeShareService.maxExpiryHours}`,
+      'maxViews must be a positive integer',
+      `password must be between ${routeShareService.MIN_PASSWORD_LENGTH} and 128 characters`
+    ]);
+  });
+
+  test('requires PDF access for the complete report', () => {
+    expect(routeShareService.validateOptions({ allowPdf: 'false', allowCompleteReport: 'true' }).errors)
+      .toEqual(['allowCompleteReport requires allowPdf']);
+    expect(routeShareService.validateOptions({ allowCompleteReport: true }).options.allowCompleteReport).toBe(true);
+  });
+});
+
+describe('links', () => {
+  test('offer the complete report only when the share allows it', async () => {
+    const titlePageOnly = await createShare();
+    const complete = await createShare({ allowCompleteReport: true });
+    const noPdf = await createShare({ allowPdf: false });
+
+    expect(titlePageOnly.pdfUrl).toMatch(/\/api\/share\/.+\/pdf$/);
+    expect(titlePageOnly.completeReportPdfUrl).toBeNull();
+    expect(complete.completeReportPdfUrl).toMatch(/\/pdf\?report=complete$/);
+    expect(noPdf.pdfUrl).toBeNull();
+    expect(noPdf.completeReportPdfUrl).toBeNull();
+  });
+
+  test('store a password hash, never the password', async () => {
+    const { share } = await createShare({ password: 'tanker-route-7' });
+
+    expect(share.hasPassword).toBe(true);
+    expect(share.passwordHash).not.toContain('tanker-route-7');
+    expect(share.toJSON().passwordHash).toBeUndefined();
+  });
+});
+
+describe('openShare', () => {
+  test('returns the route and counts the view for a valid link', async () => {
+    const { token } = await createShare();
+
+    const { share, route } = await routeShareService.openShare(token);
+
+    expect(route).toBe(sharedRoute);
+    expect(share.viewCount).toBe(1);
+  });
+
+  test.each([
+    ['signed with another secret', () => jwt.sign({ type: 'route_share', routeId: String(sharedRoute._id) }, 'other', { audience: 'route-share', jwtid: String(storedShare._id) })],
+    ['issued for another audience', () => jwt.sign({ type: 'route_share', routeId: String(sharedRoute._id) }, SECRET, { audience: 'api', jwtid: String(storedShare._id) })],
+    ['without a share id', () => jwt.sign({ type: 'route_share', routeId: String(sharedRoute._id) }, SECRET, { audience: 'route-share' })],
+    ['for another route', () => jwt.sign({ type: 'route_share', routeId: String(new mongoose.Types.ObjectId()) }, SECRET, { audience: 'route-share', jwtid: String(storedShare._id) })]
+  ])('rejects a token %s', async (description, makeToken) => {
+    await createShare();
+
+    const error = await rejection(routeShareService.openShare(makeToken()));
+
+    expect(error.code).toBe('INVALID_TOKEN');
+    expect(error.statusCode).toBe(401);
+    expect(RouteShare.recordView).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['revoked', share => { share.revokedAt = new Date(); }, 'SHARE_REVOKED'],
+    ['expired', share => { share.expiresAt = new Date(Date.now() - 1000); }, 'SHARE_EXPIRED'],
+    ['used up', share => { share.maxViews = 2; share.viewCount = 2; }, 'VIEW_LIMIT_REACHED']
+  ])('rejects a %s share with 410', async (description, change, code) => {
+    const { token, share } = await createShare();
+    change(share);
+
+    const error = await rejection(routeShareService.openShare(token));
+
+    expect(error.code).toBe(code);
+    expect(error.statusCode).toBe(410);
+  });
+
+  test('rejects the last view when concurrent requests used it up', async () => {
+    const { token, share } = await createShare({ maxViews: 1 });
+    RouteShare.recordView.mockResolvedValueOnce(null);
+
+    const error = await rejection(routeShareService.openShare(token));
+
+    expect(error.code).toBe('VIEW_LIMIT_REACHED');
+    expect(share.viewCount).toBe(0);
+  });
+
+  test('reports a deleted route as unavailable', async () => {
+    const { token } = await createShare();
+    Route.findOne.mockResolvedValueOnce(null);
+
+    const error = await rejection(routeShareService.openShare(token));
+
+    expect(error.code).toBe('ROUTE_UNAVAILABLE');
+    expect(error.statusCode).toBe(404);
+  });
+
+  test('refuses PDFs on a share without PDF access before counting a view', async () => {
+    const { token, share } = await createShare({ allowPdf: false });
+
+    const error = await rejection(routeShareService.openShare(token, null, { pdf: true }));
+
+    expect(error.code).toBe('PDF_NOT_ALLOWED');
+    expect(error.statusCode).toBe(403);
+    expect(share.viewCount).toBe(0);
+  });
+
+  test('refuses the complete report unless the share opted in', async () => {
+    const { token: titlePageToken } = await createShare();
+    const error = await rejection(routeShareService.openShare(titlePageToken, null, { pdf: true, completeReport: true }));
+
+    expect(error.code).toBe('COMPLETE_REPORT_NOT_ALLOWED');
+    expect(error.statusCode).toBe(403);
+
+    const { token: completeToken } = await createShare({ allowCompleteReport: true });
+    const { share } = await routeShareService.openShare(completeToken, null, { pdf: true, completeReport: true });
+    expect(share.viewCount).toBe(1);
+  });
+});
+
+describe('password protected shares', () => {
+  const PASSWORD = 'tanker-route-7';
+
+  test('asks for the password before counting a view', async () => {
+    const { token, share } = await createShare({ password: PASSWORD });
+
+    const error = await rejection(routeShareService.openShare(token));
+
+    expect(error.code).toBe('PASSWORD_REQUIRED');
+    expect(error.statusCode).toBe(401);
+    expect(share.viewCount).toBe(0);
+  });
+
+  test('records wrong passwords against the configured limits', async () => {
+    const { token } = await createShare({ password: PASSWORD });
+
+    const error = await rejection(routeShareService.openShare(token, 'wrong-password'));
+
+    expect(error.code).toBe('INVALID_PASSWORD');
+    expect(error.statusCode).toBe(403);
+    expect(RouteShare.recordFailedPassword).toHaveBeenCalledWith(storedShare._id, {
+      maxAttempts: routeShareService.maxPasswordAttempts,
+      windowMs: routeShareService.passwordWindowMinutes * 60 * 1000,
+      lockMs: routeShareService.passwordLockMinutes * 60 * 1000
+    });
+  });
+
+  test('locks the share on the failure that reaches the limit', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { token } = await createShare({ password: PASSWORD });
+    const lockedUntil = new Date(Date.now() + 30 * 60 * 1000);
+    RouteShare.recordFailedPassword.mockImplementationOnce(async () => ({ ...storedShare.toObject(), failedPasswordAttempts: 5, passwordLockedUntil: lockedUntil }));
+
+    const error = await rejection(routeShareService.openShare(token, 'wrong-password'));
+
+    expect(error.code).toBe('PASSWORD_LOCKED');
+    expect(error.statusCode).toBe(429);
+    expect(error.retryAfterSeconds).toBeGreaterThan(29 * 60);
+  });
+
+  test('refuses even the right password while locked', async () => {
+    const { token, share } = await createShare({ password: PASSWORD });
+    share.passwordLockedUntil = new Date(Date.now() + 60 * 1000);
+
+    const error = await rejection(routeShareService.openShare(token, PASSWORD));
+
+    expect(error.code).toBe('PASSWORD_LOCKED');
+    expect(RouteShare.recordFailedPassword).not.toHaveBeenCalled();
+  });
+
+  test('opens with the right password and clears earlier failures', async () => {
+    const { token, share } = await createShare({ password: PASSWORD });
+    share.failedPasswordAttempts = 2;
+
+    const result = await routeShareService.openShare(token, PASSWORD);
+
+    expect(result.share.viewCount).toBe(1);
+    expect(RouteShare.updateOne).toHaveBeenCalledWith(
+      { _id: share._id },
+      { $set: { failedPasswordAttempts: 0 }, $unset: { passwordFailureWindowStart: 1 } }
+    );
+  });
+});
+
+describe('describeShare', () => {
+  test('shows viewers their access without owner details', async () => {
+    const { share } = await createShare({ maxViews: 5, label: 'Transporter A' });
+    share.viewCount = 2;
+
+    const description = routeShareService.describeShare(share);
+
+    expect(description).toEqual({
+      label: 'Transporter A',
+      expiresAt: share.expiresAt,
+      passwordProtected: false,
+      passwordLockedUntil: null,
+      allowPdf: true,
+      allowCompleteReport: false,
+      viewCount: 2,
+      remainingViews: 3
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const {
+  DEFAULT_CLEANING_OPTIONS,
+  resolveCleaningOptions,
+  cleanGPSTrack,
+  removeDuplicates,
+  removeOutliers,
+  collapseStationaryClusters,
+  simplifyDouglasPeucker
+} = require('../../utils/gpsTrackCleaner');
+
+const METERS_PER_DEGREE_LAT = 111195;
+const BASE = { latitude: 28.6, longitude: 77.2 };
+const START = Date.parse('2025-01-01T06:00:00Z');
+
+// Point `north` / `east` meters from the base, optionally `seconds` into the trip
+function fix(north, east = 0, seconds = null, line = null) {
+  const point = {
+    latitude: BASE.latitude + north / METERS_PER_DEGREE_LAT,
+    longitude: BASE.longitude + east / (METERS_PER_DEGREE_LAT * Math.cos(BASE.latitude * Math.PI / 180)),
+    originalLine: line
+  };
+  if (seconds !== null) point.timestamp = new Date(START + seconds * 1000).toISOString();
+  return point;
+}
+
+const options = overrides => ({ ...DEFAULT_CLEANING_OPTIONS, ...overrides });
+
+describe('resolveCleaningOptions', () => {
+  test('parses string overrides and ignores invalid ones', () => {
+    const resolved = resolveCleaningOptions({ maxSpeedKmh: '90', stationaryRadiusMeters: 'abc', enabled: 'false' });
+
+    expect(resolved.maxSpeedKmh).toBe(90);
+    expect(resolved.stationaryRadiusMeters).toBe(DEFAULT_CLEANING_OPTIONS.stationaryRadiusMeters);
+    expect(resolved.enabled).toBe(false);
+  });
+
+  test('keeps stationaryMinPoints at two or more', () => {
+    expect(resolveCleaningOptions({ stationaryMinPoints: '1' }).stationaryMinPoints).toBe(2);
+  });
+});
+
+describe('removeDuplicates', () => {
+  test('drops consecutive fixes within the duplicate threshold', () => {
+    const points = [fix(0), fix(0.5), fix(100), fix(100.2), fix(200)];
+    const { points: kept, stageResult } = removeDuplicates(points, options({ duplicateThresholdMeters: 1 }));
+
+    expect(kept).toEqual([points[0], points[2], points[4]]);
+    expect(stageResult.removed).toBe(2);
+  });
+});
+
+describe('removeOutliers', () => {
+  test('removes a teleport from the implied speed when timestamps exist', () => {
+    const points = [fix(0, 0, 0), fix(20, 0, 1), fix(5000, 0, 2), fix(40, 0, 3), fix(60, 0, 4)];
+    const { points: kept, stageResult } = removeOutliers(points, options());
+
+    expect(kept).not.toContain(points[2]);
+    expect(kept).toHaveLength(4);
+    expect(stageResult.samples[0].reason).toMatch(/Implied speed/);
+  });
+
+  test('removes an out-and-back spike without timestamps', () => {
+    const points = [fix(0), fix(100), fix(100, 5000), fix(200), fix(300)];
+    const { points: kept } = removeOutliers(points, options());
+
+    expect(kept).toEqual([points[0], points[1], points[3], points[4]]);
+  });
+
+  test('keeps the apex of an untimed hairpin', () => {
+    const points = [fix(0), fix(300), fix(0, 40), fix(-300, 40)];
+    const { points: kept } = removeOutliers(points, options());
+
+    expect(kept).toHaveLength(4);
+  });
+
+  test('keeps a slow timed hairpin but drops a reversal faster than a vehicle can turn', () => {
+    const hairpin = [fix(0, 0, 0), fix(300, 0, 60), fix(0, 40, 120), fix(-300, 40, 180)];
+    expect(removeOutliers(hairpin, options()).points).toHaveLength(4);
+
+    const backtrack = [fix(0, 0, 0), fix(300, 0, 10), fix(0, 40, 20), fix(-300, 40, 30)];
+    const { points: kept, stageResult } = removeOutliers(backtrack, options());
+    expect(kept).not.toContain(backtrack[1]);
+    expect(stageResult.samples[0].reason).toMatch(/Backtrack/);
+  });
+});
+
+describe('collapseStationaryClusters', () => {
+  test('collapses a timed stop that lasts the minimum dwell time', () => {
+    const points = [
+      fix(0, 0, 0), fix(200, 0, 20),
+      fix(400, 0, 40), fix(405, 3, 100), fix(402, -2, 160), fix(404, 1, 220),
+      fix(600, 0, 240), fix(800, 0, 260)
+    ];
+    const { points: kept, stageResult } = collapseStationaryClusters(points, options({ stationaryMinSeconds: 60 }));
+
+    expect(kept).toHaveLength(5);
+    expect(stageResult.clusters).toHaveLength(1);
+    expect(stageResult.clusters[0]).toMatchObject({ pointsCollapsed: 4, dwellMinutes: 3, atRouteEnd: false });
+  });
+
+  test('does not take slow 1 Hz traffic for parking', () => {
+    // ~36 km/h: three fixes a second apart stay inside the 25 m radius
+    const points = [fix(0, 0, 0), fix(100, 0, 10), fix(110, 0, 11), fix(120, 0, 12), fix(130, 0, 13), fix(300, 0, 30)];
+    const { points: kept, stageResult } = collapseStationaryClusters(points, options({ stationaryMinSeconds: 60 }));
+
+    expect(kept).toEqual(points);
+    expect(stageResult.clusters).toEqual([]);
+  });
+
+  test('counts points for tracks without timestamps', () => {
+    const points = [fix(0), fix(200), fix(400), fix(405), fix(402), fix(600)];
+    const { points: kept, stageResult } = collapseStationaryClusters(points, options({ stationaryMinPoints: 3 }));
+
+    expect(kept).toHaveLength(4);
+    expect(stageResult.clusters[0]).toMatchObject({ pointsCollapsed: 3, dwellMinutes: null });
+  });
+
+  test('keeps the real origin fix when the track starts parked', () => {
+    const points = [fix(0, 0, 0), fix(3, 0, 60), fix(-2, 0, 120), fix(300, 0, 150), fix(600, 0, 180)];
+    const { points: kept, stageResult } = collapseStationaryClusters(points, options({ stationaryMinSeconds: 60 }));
+
+    expect(kept[0]).toBe(points[0]);
+    expect(stageResult.clusters[0].atRouteEnd).toBe(true);
+  });
+});
+
+describe('simplifyDouglasPeucker', () => {
+  test('drops points within tolerance of a straight line and keeps real bends', () => {
+    const points = [fix(0), fix(100, 1), fix(200, -1), fix(300), fix(300, 300)];
+    const { points: kept, stageResult } = simplifyDouglasPeucker(points, options({ simplifyToleranceMeters: 5 }));
+
+    expect(kept).toEqual([points[0], points[3], points[4]]);
+    expect(stageResult.removed).toBe(2);
+  });
+});
+
+describe('cleanGPSTrack', () => {
+  test('runs every stage and renumbers the cleaned points', () => {
+    const points = [fix(0), fix(0.2), fix(100), fix(100, 5000), fix(200), fix(300), fix(400)];
+    const { points: cleaned, report } = cleanGPSTrack(points);
+
+    expect(report.stages.map(stage => stage.stage)).toEqual(['duplicates', 'outliers', 'stationary', 'simplified']);
+    expect(cleaned.map(point => point.pointOrder)).toEqual(cleaned.map((point, index) => index));
+    expect(cleaned[0]).toMatchObject({ latitude: points[0].latitude, longitude: points[0].longitude });
+    expect(report.removedTotal).toBe(points.length - cleaned.length);
+    expect(report.distanceAfterKm).toBeLessThan(report.distanceBeforeKm);
+  });
+
+  test('returns the track untouched when cleaning is disabled', () => {
+    const points = [fix(0), fix(0.2), fix(100)];
+    const { points: cleaned, report } = cleanGPSTrack(points, { enabled: 'false' });
+
+    expect(cleaned).toBe(points);
+    expect(report.stages).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  detectStateFromCoordinates,
+  detectRouteStates,
+  parseRegistrationState
+} = require('../../utils/indianStates');
+
+// Straight-line route points between waypoints, in travel order
+function routeThrough(waypoints, pointsPerLeg = 20) {
+  const routePoints = [];
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const [fromLat, fromLng] = waypoints[i];
+    const [toLat, toLng] = waypoints[i + 1];
+    for (let k = 0; k < pointsPerLeg; k++) {
+      const t = k / pointsPerLeg;
+      routePoints.push({
+        latitude: fromLat + (toLat - fromLat) * t,
+        longitude: fromLng + (toLng - fromLng) * t,
+        pointOrder: routePoints.length
+      });
+    }
+  }
+  const [fromLat, fromLng] = waypoints[0];
+  const [toLat, toLng] = waypoints[waypoints.length - 1];
+  return {
+    fromCoordinates: { latitude: fromLat, longitude: fromLng },
+    toCoordinates: { latitude: toLat, longitude: toLng },
+    routePoints
+  };
+}
+
+const MUMBAI = [19.076, 72.8777];
+const SURAT = [21.17, 72.83];
+const AHMEDABAD = [23.0225, 72.5714];
+const UDAIPUR = [24.5854, 73.7125];
+const JAIPUR = [26.9124, 75.7873];
+const DELHI = [28.6139, 77.209];
+
+describe('detectStateFromCoordinates', () => {
+  test.each([
+    ['Mumbai', MUMBAI, 'MH'],
+    ['Ahmedabad', AHMEDABAD, 'GJ'],
+    ['Jaipur', JAIPUR, 'RJ'],
+    ['Hyderabad', [17.385, 78.4867], 'TS'],
+    ['Leh', [34.1526, 77.5771], 'LA']
+  ])('places %s in %s', (name, [latitude, longitude], code) => {
+    expect(detectStateFromCoordinates(latitude, longitude).code).toBe(code);
+  });
+
+  test('returns null outside India and for invalid coordinates', () => {
+    expect(detectStateFromCoordinates(51.5074, -0.1278)).toBeNull();
+    expect(detectStateFromCoordinates(NaN, 77)).toBeNull();
+    expect(detectStateFromCoordinates(undefined, undefined)).toBeNull();
+  });
+});
+
+describe('detectRouteStates', () => {
+  test('finds the states a route passes through, not just its ends', () => {
+    const route = {
+      ...routeThrough([MUMBAI, SURAT, AHMEDABAD, UDAIPUR, JAIPUR, DELHI]),
+      fromAddress: 'Mumbai, Maharashtra',
+      toAddress: 'New Delhi, Delhi'
+    };
+
+    const result = detectRouteStates(route);
+
+    expect(result.source).toBe('coordinates');
+    expect(result.states.map(state => state.code)).toEqual(['MH', 'GJ', 'RJ', 'HR', 'DL']);
+  });
+
+  test('ignores a state touched by a single point away from the route ends', () => {
+    const route = routeThrough([SURAT, AHMEDABAD]);
+    route.routePoints.splice(10, 0, { latitude: JAIPUR[0], longitude: JAIPUR[1], pointOrder: 9.5 });
+
+    expect(detectRouteStates(route).states.map(state => state.code)).toEqual(['GJ']);
+  });
+
+  test('falls back to the origin and destination addresses without coordinates', () => {
+    const result = detectRouteStates({
+      fromAddress: 'Andheri East, Mumbai, Maharashtra 400069',
+      toAddress: 'Connaught Place, New Delhi, Delhi 110001',
+      routePoints: []
+    });
+
+    expect(result.source).toBe('addresses');
+    expect(result.states.map(state => state.code)).toEqual(['MH', 'DL']);
+    expect(result.locationsMatched).toBe(2);
+  });
+
+  test('reports no source when nothing can be placed', () => {
+    expect(detectRouteStates({ routePoints: [] })).toMatchObject({ states: [], source: null });
+  });
+});
+
+describe('parseRegistrationState', () => {
+  test('reads the state prefix, including older codes', () => {
+    expect(parseRegistrationState('MH 12 AB 1234').code).toBe('MH');
+    expect(parseRegistrationState('TG-09-AB-1234').code).toBe('TS');
+  });
+
+  test('recognises Bharat series plates', () => {
+    expect(parseRegistrationState('22 BH 1234 AA')).toMatchObject({ code: 'BH', bharatSeries: true });
+  });
+});
@@ -0,0 +1,43 @@
+// File: utils/adminResource.js
+// Purpose: Request helpers shared by the admin-managed configuration routes
+// (risk profiles, compliance rules, report templates - see models/plugins/adminManaged.js)
+
+// label: singular resource name used in messages, e.g. 'risk profile'
+// editableFields: body fields admins may set on create/update
+function adminResourceHelpers(Model, { label, editableFields }) {
+  const title = label.charAt(0).toUpperCase() + label.slice(1);
+
+  return {
+    // Pick the editable fields from a request body
+    pickFields(body) {
+      const fields = {};
+      editableFields.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+      });
+      return fields;
+    },
+
+    // Active documents; admins can include inactive ones with ?includeInactive=true
+    listFilter(req) {
+      return req.user.role === 'admin' && req.query.includeInactive === 'true'
+        ? {}
+        : { isActive: true };
+    },
+
+    // 400 for schema validation failures and duplicate keys
+    validationResponse(res, error, duplicateKey) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? `${title} already exists: ${duplicateKey}` : `Invalid ${label}`,
+        errors: error.errors ? Object.values(error.errors).map(e => e.message) : undefined
+      });
+    },
+
+    // Only one document can be the default
+    async clearOtherDefaults(id) {
+      await Model.updateMany({ _id: { $ne: id }, isDefault: true }, { isDefault: false });
+    }
+  };
+}
+
+module.exports = { adminResourceHelpers };
@@ -0,0 +1,325 @@
+// File: utils/collectionSummary.js
+// Purpose: Normalise per-step results of the route data collection pipeline and
+// build the overall summary / recommendations returned for a collection run
+
+// Process collection results
+// Process collection results with null safety
+function processCollectionResults(originalResults) {
+  if (originalResults && !originalResults.error) {
+    return originalResults;
+  } else {
+    return { 
+      error: originalResults?.error || 'Collection failed',
+      emergencyServices: { total: 0 },
+      weatherData: { total: 0 },
+      trafficData: { total: 0 },
+      roadConditions: { total: 0 },
+      amenities: { total: 0 }
+    };
+  }
+}
+
+// Process seasonal weather results
+// Process seasonal weather results
+function processSeasonalWeatherResults(seasonalResults) {
+  if (seasonalResults && !seasonalResults.error) {
+    return seasonalResults;
+  } else {
+    return { 
+      error: seasonalResults?.error || 'Seasonal weather collection failed',
+      totalDataPoints: 0,
+      seasonalData: {},
+      analysis: null,
+      vehiclePredictions: null
+    };
+  }
+}
+
+// Process visibility analysis results
+function processVisibilityResults(visibilityResults) {
+  if (visibilityResults && !visibilityResults.error) {
+    return visibilityResults;
+  } else {
+    return { 
+      error: visibilityResults?.error || 'Visibility analysis failed',
+      summary: { 
+        totalSharpTurns: 0, 
+        totalBlindSpots: 0, 
+        totalSteepGradients: 0,
+        criticalTurns: 0, 
+        criticalBlindSpots: 0,
+        overallRiskLevel: 'UNKNOWN'
+      }
+    };
+  }
+}
+
+// Process network coverage results
+function processNetworkCoverageResults(networkResults) {
+  if (networkResults && !networkResults.error) {
+    return networkResults;
+  } else {
+    return { 
+      error: networkResults?.error || 'Network coverage analysis failed',
+      totalAnalysisPoints: 0,
+      deadZones: { total: 0 },
+      averageSignalStrength: 0,
+      communicationRisk: 5
+    };
+  }
+}
+
+// Process accident data results
+function processAccidentDataResults(accidentResults) {
+  if (accidentResults && !accidentResults.error) {
+    return accidentResults;
+  } else {
+    return { 
+      error: accidentResults?.error || 'Accident data collection failed',
+      total: 0,
+      bySource: {},
+      highRiskAreas: 0,
+      averageRisk: 0
+    };
+  }
+}
+// Process risk calculation results
+function processRiskCalculationResults(riskResults) {
+  if (riskResults && !riskResults.error) {
+    return riskResults;
+  } else {
+    return { 
+      error: riskResults?.error || 'Risk calculation failed',
+      totalWeightedScore: 0,
+      riskGrade: 'UNKNOWN',
+      riskLevel: 'UNKNOWN',
+      confidenceLevel: 0
+    };
+  }
+}
+
+// Calculate total data points across all collections
+function calculateTotalDataPoints(processedResults) {
+  const original = (processedResults.originalDataCollection.emergencyServices?.total || 0) +
+                  (processedResults.originalDataCollection.weatherData?.total || 0) +
+                  (processedResults.originalDataCollection.trafficData?.total || 0) +
+                  (processedResults.originalDataCollection.roadConditions?.total || 0);
+  
+  const seasonal = processedResults.seasonalWeatherAnalysis.totalDataPoints || 0;
+  const visibility = (processedResults.visibilityAnalysis.summary?.totalSharpTurns || 0) + 
+                    (processedResults.visibilityAnalysis.summary?.totalBlindSpots || 0) +
+                    (processedResults.visibilityAnalysis.summary?.totalSteepGradients || 0);
+  const network = processedResults.networkCoverageAnalysis.totalAnalysisPoints || 0;
+  const accident = processedResults.accidentDataAnalysis.total || 0;
+  
+  return original + seasonal + visibility + network + accident;
+}
+
+// Assess overall data quality based on step results
+function assessOverallDataQuality(stepResults) {
+  const totalSteps = Object.keys(stepResults).length;
+  const successfulSteps = Object.values(stepResults).filter(step => step.status === 'SUCCESS').length;
+  
+  const percentage = totalSteps > 0 ? (successfulSteps / totalSteps) * 100 : 0;
+  
+  let quality = 'poor';
+  if (percentage >= 90) quality = 'excellent';
+  else if (percentage >= 75) quality = 'good';
+  else if (percentage >= 50) quality = 'fair';
+  
+  return {
+    level: quality,
+    successRate: Math.round(percentage),
+    successfulSteps: successfulSteps,
+    totalSteps: totalSteps,
+    failedSteps: totalSteps - successfulSteps
+  };
+}
+// Identify overall risk factors from processed results
+function identifyOverallRiskFactors(processedResults) {
+  const riskFactors = [];
+  
+  // Network coverage risks
+  const deadZones = processedResults.networkCoverageAnalysis.deadZones?.total || 0;
+  if (deadZones > 3) {
+    riskFactors.push({
+      category: 'network_coverage',
+      risk: 'high',
+      description: `${deadZones} dead zones detected`,
+      impact: 'communication_failure_risk'
+    });
+  }
+  
+  // Visibility risks
+  const criticalVisibilityPoints = (processedResults.visibilityAnalysis.summary?.criticalTurns || 0) + 
+                                  (processedResults.visibilityAnalysis.summary?.criticalBlindSpots || 0);
+  if (criticalVisibilityPoints > 2) {
+    riskFactors.push({
+      category: 'visibility_hazards',
+      risk: 'high',
+      description: `${criticalVisibilityPoints} critical visibility hazards`,
+      impact: 'accident_risk_increase'
+    });
+  }
+  
+  // Gradient risks - brake fade on long descents
+  const longDescents = processedResults.visibilityAnalysis.summary?.longDescents || 0;
+  const criticalGradients = processedResults.visibilityAnalysis.summary?.criticalGradients || 0;
+  if (longDescents > 0 || criticalGradients > 0) {
+    riskFactors.push({
+      category: 'steep_gradients',
+      risk: criticalGradients > 0 ? 'high' : 'medium',
+      description: `${longDescents} long descents, ${criticalGradients} critical gradient hazards`,
+      impact: 'brake_fade_risk'
+    });
+  }
+  
+  // Weather risks
+  if (processedResults.seasonalWeatherAnalysis.analysis?.worstSeason?.score >= 7) {
+    riskFactors.push({
+      category: 'seasonal_weather',
+      risk: 'high',
+      description: 'Severe seasonal weather conditions identified',
+      impact: 'travel_disruption_and_safety_risk'
+    });
+  }
+  
+  // Accident risks
+  const highRiskAccidentAreas = processedResults.accidentDataAnalysis.highRiskAreas || 0;
+  if (highRiskAccidentAreas > 2) {
+    riskFactors.push({
+      category: 'accident_prone_areas',
+      risk: 'high',
+      description: `${highRiskAccidentAreas} high-risk accident areas`,
+      impact: 'increased_accident_probability'
+    });
+  }
+  
+  return riskFactors;
+}
+// Generate completion status for each step
+function generateCompletionStatus(stepResults) {
+  const status = {};
+  
+  Object.entries(stepResults).forEach(([stepName, result]) => {
+    status[stepName] = result.status === 'SUCCESS' ? '✅ Complete' : '❌ Failed';
+  });
+  
+  return status;
+}
+
+// Generate enhanced recommendations based on all collected data
+function generateEnhancedRecommendations(processedResults, comprehensiveSummary) {
+  const recommendations = {
+    immediate: [],
+    planning: [],
+    equipment: [],
+    maintenance: []
+  };
+  
+  // Critical recommendations based on success rate
+  if (comprehensiveSummary.executionDetails.successRate < 70) {
+    recommendations.immediate.push({
+      priority: 'CRITICAL',
+      category: 'data_quality',
+      action: 'Address failed data collection steps before route execution',
+      reason: `Only ${comprehensiveSummary.executionDetails.successRate}% of data collection completed successfully`
+    });
+  }
+  
+  // Network coverage recommendations
+  const deadZones = processedResults.networkCoverageAnalysis.deadZones?.total || 0;
+  if (deadZones > 0) {
+    recommendations.equipment.push({
+      priority: 'HIGH',
+      category: 'communication',
+      action: `Install satellite communication for ${deadZones} dead zones`,
+      reason: 'Cellular coverage gaps require backup communication'
+    });
+  }
+  
+  // Visibility recommendations
+  const criticalVisibility = (processedResults.visibilityAnalysis.summary?.criticalTurns || 0) + 
+                            (processedResults.visibilityAnalysis.summary?.criticalBlindSpots || 0);
+  if (criticalVisibility > 0) {
+    recommendations.immediate.push({
+      priority: 'HIGH',
+      category: 'safety',
+      action: `Implement convoy travel for ${criticalVisibility} critical visibility points`,
+      reason: 'Critical visibility hazards require enhanced safety measures'
+    });
+  }
+  
+  // Weather-based recommendations
+  if (processedResults.seasonalWeatherAnalysis.analysis?.criticalPeriods?.length > 0) {
+    recommendations.planning.push({
+      priority: 'MEDIUM',
+      category: 'timing',
+      action: 'Plan route execution outside critical weather periods',
+      reason: 'Seasonal weather analysis identified high-risk periods'
+    });
+  }
+  
+  return recommendations;
+}
+
+// Build the summary for a finished collection run.
+// stepResults: { stepKey: { status: 'SUCCESS' | 'FAILED', ... } }
+// processedResults: normalised results keyed as in the collect-all-data response
+function buildCollectionSummary(processedResults, stepResults, totalExecutionTime, totalSteps) {
+  const successfulSteps = Object.values(stepResults).filter(step => step.status === 'SUCCESS').length;
+  const failedSteps = Object.values(stepResults).filter(step => step.status === 'FAILED').length;
+
+  const comprehensiveSummary = {
+    executionDetails: {
+      totalSteps,
+      successfulSteps,
+      failedSteps,
+      successRate: Math.round((successfulSteps / totalSteps) * 100),
+      totalExecutionTime: `${(totalExecutionTime / 1000).toFixed(2)}s`,
+      completedAt: new Date()
+    },
+
+    dataCategories: {
+      emergencyServices: processedResults.originalDataCollection.emergencyServices?.total || 0,
+      weatherPoints: processedResults.originalDataCollection.weatherData?.total || 0,
+      seasonalWeatherPoints: processedResults.seasonalWeatherAnalysis.totalDataPoints || 0,
+      trafficPoints: processedResults.originalDataCollection.trafficData?.total || 0,
+      accidentAreas: processedResults.accidentDataAnalysis.total || 0,
+      roadConditions: processedResults.originalDataCollection.roadConditions?.total || 0,
+      sharpTurns: processedResults.visibilityAnalysis.summary?.totalSharpTurns || 0,
+      blindSpots: processedResults.visibilityAnalysis.summary?.totalBlindSpots || 0,
+      steepGradients: processedResults.visibilityAnalysis.summary?.totalSteepGradients || 0,
+      networkCoveragePoints: processedResults.networkCoverageAnalysis.totalAnalysisPoints || 0,
+      deadZones: processedResults.networkCoverageAnalysis.deadZones?.total || 0
+    },
+
+    totalDataPoints: calculateTotalDataPoints(processedResults),
+
+    dataQuality: assessOverallDataQuality(stepResults),
+
+    riskFactors: identifyOverallRiskFactors(processedResults),
+
+    completionStatus: generateCompletionStatus(stepResults)
+  };
+
+  return {
+    summary: comprehensiveSummary,
+    recommendations: generateEnhancedRecommendations(processedResults, comprehensiveSummary)
+  };
+}
+
+module.exports = {
+  processCollectionResults,
+  processSeasonalWeatherResults,
+  processVisibilityResults,
+  processNetworkCoverageResults,
+  processAccidentDataResults,
+  processRiskCalculationResults,
+  calculateTotalDataPoints,
+  assessOverallDataQuality,
+  identifyOverallRiskFactors,
+  generateCompletionStatus,
+  generateEnhancedRecommendations,
+  buildCollectionSummary
+};
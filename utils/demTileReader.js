@@ -0,0 +1,412 @@
+// File: utils/demTileReader.js
+// Purpose: Read digital elevation model tiles (SRTM .hgt and GeoTIFF) into rasters
+// and sample heights with bilinear interpolation. No external dependencies - the GeoTIFF
+// reader supports uncompressed and Deflate-compressed single-band strip/tiled files.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const SRTM_VOID = -32768;
+
+// TIFF tag ids used by the reader
+const TAGS = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIGURATION: 284,
+  PREDICTOR: 317,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  SAMPLE_FORMAT: 339,
+  MODEL_PIXEL_SCALE: 33550,
+  MODEL_TIEPOINT: 33922,
+  GEO_KEY_DIRECTORY: 34735,
+  GDAL_NODATA: 42113
+};
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const GT_RASTER_TYPE_KEY = 1025;
+const RASTER_PIXEL_IS_POINT = 2;
+
+// ============================================================================
+// SRTM .hgt
+// ============================================================================
+
+// Tile name for the 1x1 degree SRTM cell containing a coordinate, e.g. N19E072
+function getHgtTileName(latitude, longitude) {
+  const lat = Math.floor(latitude);
+  const lon = Math.floor(longitude);
+  const latPrefix = lat >= 0 ? 'N' : 'S';
+  const lonPrefix = lon >= 0 ? 'E' : 'W';
+  return `${latPrefix}${String(Math.abs(lat)).padStart(2, '0')}${lonPrefix}${String(Math.abs(lon)).padStart(3, '0')}`;
+}
+
+// Parse the south-west corner from an SRTM tile name
+function parseHgtTileName(fileName) {
+  const match = /^([NS])(\d{2})([EW])(\d{3})/i.exec(path.basename(fileName));
+  if (!match) return null;
+  return {
+    south: (match[1].toUpperCase() === 'N' ? 1 : -1) * parseInt(match[2], 10),
+    west: (match[3].toUpperCase() === 'E' ? 1 : -1) * parseInt(match[4], 10)
+  };
+}
+
+// SRTM1 (3601x3601) and SRTM3 (1201x1201) tiles are big-endian int16 grids,
+// point-registered with the first row on the northern edge
+function readHgtTile(filePath) {
+  const corner = parseHgtTileName(filePath);
+  if (!corner) {
+    throw new Error(`Cannot derive tile position from file name: ${path.basename(filePath)}`);
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  const size = Math.round(Math.sqrt(buffer.length / 2));
+  if (size * size * 2 !== buffer.length) {
+    throw new Error(`Unexpected .hgt file size ${buffer.length} bytes: ${path.basename(filePath)}`);
+  }
+
+  const data = new Float32Array(size * size);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = buffer.readInt16BE(i * 2);
+  }
+
+  return {
+    source: 'srtm',
+    filePath,
+    width: size,
+    height: size,
+    originX: corner.west,
+    originY: corner.south + 1,
+    resX: 1 / (size - 1),
+    resY: 1 / (size - 1),
+    pixelIsArea: false,
+    noData: SRTM_VOID,
+    data
+  };
+}
+
+// ============================================================================
+// GeoTIFF
+// ============================================================================
+
+// Random-access reader over a file descriptor so headers can be indexed without loading rasters
+function createFileReader(fd) {
+  return (offset, length) => {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, offset);
+    return buffer;
+  };
+}
+
+function createBufferReader(buffer) {
+  return (offset, length) => buffer.subarray(offset, offset + length);
+}
+
+function readFieldValue(buffer, type, offset, littleEndian) {
+  switch (type) {
+    case 1: case 2: case 7: return buffer.readUInt8(offset);
+    case 6: return buffer.readInt8(offset);
+    case 3: return littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    case 8: return littleEndian ? buffer.readInt16LE(offset) : buffer.readInt16BE(offset);
+    case 4: return littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    case 9: return littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+    case 11: return littleEndian ? buffer.readFloatLE(offset) : buffer.readFloatBE(offset);
+    case 12: return littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+    case 5: case 10: {
+      const read = type === 5
+        ? (o) => (littleEndian ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o))
+        : (o) => (littleEndian ? buffer.readInt32LE(o) : buffer.readInt32BE(o));
+      return read(offset) / read(offset + 4);
+    }
+    default:
+      return null;
+  }
+}
+
+// Read the first IFD of a TIFF file into a { tag: value(s) } map
+function readTiffTags(read) {
+  const header = read(0, 8);
+  const byteOrder = header.toString('ascii', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    throw new Error('Not a TIFF file');
+  }
+  const littleEndian = byteOrder === 'II';
+  const magic = littleEndian ? header.readUInt16LE(2) : header.readUInt16BE(2);
+  if (magic !== 42) {
+    throw new Error(magic === 43 ? 'BigTIFF files are not supported' : 'Invalid TIFF header');
+  }
+
+  const ifdOffset = littleEndian ? header.readUInt32LE(4) : header.readUInt32BE(4);
+  const countBuffer = read(ifdOffset, 2);
+  const entryCount = littleEndian ? countBuffer.readUInt16LE(0) : countBuffer.readUInt16BE(0);
+  const entries = read(ifdOffset + 2, entryCount * 12);
+  const tags = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    const base = i * 12;
+    const tag = littleEndian ? entries.readUInt16LE(base) : entries.readUInt16BE(base);
+    const type = littleEndian ? entries.readUInt16LE(base + 2) : entries.readUInt16BE(base + 2);
+    const count = littleEndian ? entries.readUInt32LE(base + 4) : entries.readUInt32BE(base + 4);
+    const typeSize = TYPE_SIZES[type];
+    if (!typeSize) continue;
+
+    const byteLength = typeSize * count;
+    let valueBuffer;
+    let valueOffset;
+    if (byteLength <= 4) {
+      valueBuffer = entries;
+      valueOffset = base + 8;
+    } else {
+      const dataOffset = littleEndian ? entries.readUInt32LE(base + 8) : entries.readUInt32BE(base + 8);
+      valueBuffer = read(dataOffset, byteLength);
+      valueOffset = 0;
+    }
+
+    if (type === 2) {
+      tags[tag] = valueBuffer.toString('ascii', valueOffset, valueOffset + count).replace(/\0+$/, '');
+      continue;
+    }
+
+    const values = [];
+    for (let j = 0; j < count; j++) {
+      values.push(readFieldValue(valueBuffer, type, valueOffset + j * typeSize, littleEndian));
+    }
+    tags[tag] = count === 1 ? values[0] : values;
+  }
+
+  return { tags, littleEndian };
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Georeferencing from ModelTiepoint/ModelPixelScale (affine transformations are not supported)
+function readGeoTiffGeoreference(tags) {
+  const scale = asArray(tags[TAGS.MODEL_PIXEL_SCALE]);
+  const tiepoint = asArray(tags[TAGS.MODEL_TIEPOINT]);
+  if (scale.length < 2 || tiepoint.length < 6) {
+    throw new Error('GeoTIFF is missing ModelPixelScale/ModelTiepoint georeferencing');
+  }
+
+  let pixelIsArea = true;
+  const geoKeys = asArray(tags[TAGS.GEO_KEY_DIRECTORY]);
+  for (let i = 4; i + 3 < geoKeys.length; i += 4) {
+    if (geoKeys[i] === GT_RASTER_TYPE_KEY && geoKeys[i + 1] === 0) {
+      pixelIsArea = geoKeys[i + 3] !== RASTER_PIXEL_IS_POINT;
+    }
+  }
+
+  const [resX, resY] = scale;
+  const [i, j, , x, y] = tiepoint;
+  const noDataTag = tags[TAGS.GDAL_NODATA];
+  const noData = noDataTag !== undefined && noDataTag !== '' ? parseFloat(noDataTag) : null;
+
+  return {
+    originX: x - i * resX,
+    originY: y + j * resY,
+    resX,
+    resY,
+    pixelIsArea,
+    noData: isFinite(noData) ? noData : null
+  };
+}
+
+// Read only the header of a GeoTIFF - used to index a tile directory by bounds
+function readGeoTiffInfo(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const { tags } = readTiffTags(createFileReader(fd));
+    const width = tags[TAGS.IMAGE_WIDTH];
+    const height = tags[TAGS.IMAGE_LENGTH];
+    const geo = readGeoTiffGeoreference(tags);
+    const edgeOffset = geo.pixelIsArea ? 0 : 0.5;
+
+    return {
+      filePath,
+      width,
+      height,
+      ...geo,
+      bounds: {
+        west: geo.originX - edgeOffset * geo.resX,
+        east: geo.originX + (width - edgeOffset) * geo.resX,
+        north: geo.originY + edgeOffset * geo.resY,
+        south: geo.originY - (height - edgeOffset) * geo.resY
+      }
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function createSampleDecoder(bitsPerSample, sampleFormat, littleEndian) {
+  const key = `${sampleFormat}:${bitsPerSample}`;
+  const suffix = littleEndian ? 'LE' : 'BE';
+  switch (key) {
+    case '1:8': return (b, o) => b.readUInt8(o);
+    case '2:8': return (b, o) => b.readInt8(o);
+    case '1:16': return (b, o) => b[`readUInt16${suffix}`](o);
+    case '2:16': return (b, o) => b[`readInt16${suffix}`](o);
+    case '1:32': return (b, o) => b[`readUInt32${suffix}`](o);
+    case '2:32': return (b, o) => b[`readInt32${suffix}`](o);
+    case '3:32': return (b, o) => b[`readFloat${suffix}`](o);
+    case '3:64': return (b, o) => b[`readDouble${suffix}`](o);
+    default:
+      throw new Error(`Unsupported GeoTIFF sample type (format ${sampleFormat}, ${bitsPerSample} bits)`);
+  }
+}
+
+function decompressBlock(block, compression) {
+  switch (compression) {
+    case 1: return block;
+    case 8:
+    case 32946: return zlib.inflateSync(block);
+    default:
+      throw new Error(`Unsupported GeoTIFF compression ${compression} (use uncompressed or DEFLATE)`);
+  }
+}
+
+// Decode the first band of a GeoTIFF into a raster
+function readGeoTiffTile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const { tags, littleEndian } = readTiffTags(createBufferReader(buffer));
+  const width = tags[TAGS.IMAGE_WIDTH];
+  const height = tags[TAGS.IMAGE_LENGTH];
+  const bitsPerSample = asArray(tags[TAGS.BITS_PER_SAMPLE])[0] || 1;
+  const sampleFormat = asArray(tags[TAGS.SAMPLE_FORMAT])[0] || 1;
+  const samplesPerPixel = tags[TAGS.SAMPLES_PER_PIXEL] || 1;
+  const planar = tags[TAGS.PLANAR_CONFIGURATION] || 1;
+  const compression = tags[TAGS.COMPRESSION] || 1;
+  const predictor = tags[TAGS.PREDICTOR] || 1;
+
+  if (predictor === 3) {
+    throw new Error('GeoTIFF floating point predictor is not supported');
+  }
+
+  const decode = createSampleDecoder(bitsPerSample, sampleFormat, littleEndian);
+  const bytesPerSample = bitsPerSample / 8;
+  // Band 1 only: with chunky (interleaved) pixels skip the other samples
+  const pixelStride = planar === 1 ? samplesPerPixel : 1;
+
+  const isTiled = tags[TAGS.TILE_OFFSETS] !== undefined;
+  const blockWidth = isTiled ? tags[TAGS.TILE_WIDTH] : width;
+  const blockHeight = isTiled ? tags[TAGS.TILE_LENGTH] : (tags[TAGS.ROWS_PER_STRIP] || height);
+  const offsets = asArray(isTiled ? tags[TAGS.TILE_OFFSETS] : tags[TAGS.STRIP_OFFSETS]);
+  const byteCounts = asArray(isTiled ? tags[TAGS.TILE_BYTE_COUNTS] : tags[TAGS.STRIP_BYTE_COUNTS]);
+  const blocksAcross = Math.ceil(width / blockWidth);
+  const blocksDown = Math.ceil(height / blockHeight);
+
+  const data = new Float32Array(width * height);
+
+  for (let blockIndex = 0; blockIndex < blocksAcross * blocksDown; blockIndex++) {
+    const raw = buffer.subarray(offsets[blockIndex], offsets[blockIndex] + byteCounts[blockIndex]);
+    const block = decompressBlock(raw, compression);
+    const blockX = (blockIndex % blocksAcross) * blockWidth;
+    const blockY = Math.floor(blockIndex / blocksAcross) * blockHeight;
+
+    for (let row = 0; row < blockHeight && blockY + row < height; row++) {
+      let previous = 0;
+      for (let col = 0; col < blockWidth; col++) {
+        const offset = (row * blockWidth + col) * pixelStride * bytesPerSample;
+        if (offset + bytesPerSample > block.length) break;
+        let value = decode(block, offset);
+
+        // Horizontal differencing predictor stores each sample as a delta from its left neighbour
+        if (predictor === 2) {
+          value = col === 0 ? value : wrapInteger(previous + value, bitsPerSample, sampleFormat);
+          previous = value;
+        }
+
+        if (blockX + col < width) {
+          data[(blockY + row) * width + blockX + col] = value;
+        }
+      }
+    }
+  }
+
+  return {
+    source: 'geotiff',
+    filePath,
+    width,
+    height,
+    ...readGeoTiffGeoreference(tags),
+    data
+  };
+}
+
+function wrapInteger(value, bits, sampleFormat) {
+  const range = 2 ** bits;
+  let wrapped = ((value % range) + range) % range;
+  if (sampleFormat === 2 && wrapped >= range / 2) wrapped -= range;
+  return wrapped;
+}
+
+// ============================================================================
+// Sampling
+// ============================================================================
+
+function isValidHeight(value, noData) {
+  return Number.isFinite(value) && value !== noData && value !== SRTM_VOID && value > -1000;
+}
+
+// Bilinear interpolation between the four surrounding posts. Void posts are skipped and
+// the remaining weights renormalised; returns null outside the raster or when all are void.
+function sampleRaster(raster, latitude, longitude) {
+  const shift = raster.pixelIsArea ? 0.5 : 0;
+  const x = (longitude - raster.originX) / raster.resX - shift;
+  const y = (raster.originY - latitude) / raster.resY - shift;
+
+  const tolerance = 1e-9;
+  if (x < -0.5 - tolerance || y < -0.5 - tolerance ||
+      x > raster.width - 0.5 + tolerance || y > raster.height - 0.5 + tolerance) {
+    return null;
+  }
+
+  const cx = Math.min(Math.max(x, 0), raster.width - 1);
+  const cy = Math.min(Math.max(y, 0), raster.height - 1);
+  const x0 = Math.floor(cx);
+  const y0 = Math.floor(cy);
+  const x1 = Math.min(x0 + 1, raster.width - 1);
+  const y1 = Math.min(y0 + 1, raster.height - 1);
+  const fx = cx - x0;
+  const fy = cy - y0;
+
+  const posts = [
+    { value: raster.data[y0 * raster.width + x0], weight: (1 - fx) * (1 - fy) },
+    { value: raster.data[y0 * raster.width + x1], weight: fx * (1 - fy) },
+    { value: raster.data[y1 * raster.width + x0], weight: (1 - fx) * fy },
+    { value: raster.data[y1 * raster.width + x1], weight: fx * fy }
+  ];
+
+  let weighted = 0;
+  let totalWeight = 0;
+  posts.forEach(post => {
+    if (post.weight > 0 && isValidHeight(post.value, raster.noData)) {
+      weighted += post.value * post.weight;
+      totalWeight += post.weight;
+    }
+  });
+
+  if (totalWeight === 0) return null;
+  return weighted / totalWeight;
+}
+
+module.exports = {
+  getHgtTileName,
+  parseHgtTileName,
+  readHgtTile,
+  readGeoTiffInfo,
+  readGeoTiffTile,
+  sampleRaster
+};
@@ -0,0 +1,285 @@
+// File: utils/driverBriefingStrings.js
+// Purpose: Translated text for the driver briefing card (English, Hindi, Marathi, Tamil).
+// Each language names the script its text is written in so the PDF generator can embed
+// the matching font; {placeholders} are filled in by translate().
+
+const BRIEFING_LANGUAGES = {
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    script: 'latin',
+    strings: {
+      title: 'DRIVER BRIEFING',
+      subtitle: 'Keep this card in the cab',
+      route: 'Route',
+      distance: 'Distance',
+      duration: 'Est. time',
+      riskLevel: 'Risk level',
+      vehicle: 'Vehicle',
+      issued: 'Issued',
+      emergencyNumbers: 'Emergency numbers',
+      criticalPoints: 'Critical points (in driving order)',
+      deadZones: 'No mobile signal',
+      restStops: 'Rest stops',
+      km: 'km',
+      hazard: 'Hazard',
+      advice: 'Advice',
+      stop: 'Stop',
+      phone: 'Phone',
+      parking: 'Parking',
+      turnLeft: 'Sharp left turn',
+      turnRight: 'Sharp right turn',
+      turnHairpin: 'Hairpin bend',
+      blindSpot: 'Blind spot',
+      accidentZone: 'Accident-prone area',
+      steepDescent: 'Steep descent',
+      steepClimb: 'Steep climb',
+      maxSpeed: 'Max {speed} km/h',
+      useGear: 'Use gear {gear}',
+      hornAdvice: 'Sound horn, no overtaking',
+      accidentAdvice: 'Drive with extra care',
+      descentAdvice: 'Use engine braking, never coast in neutral',
+      deadZoneStretch: 'km {from}-{to}: no signal (about {minutes} min)',
+      deadZoneAdvice: 'Inform the control room before entering',
+      truckParking: 'Truck parking',
+      noCriticalPoints: 'No critical points recorded',
+      noDeadZones: 'Signal available along the whole route',
+      noRestStops: 'No rest stops recorded',
+      morePoints: '+{count} lower-risk points not shown - see the full report',
+      moreDeadZones: '+{count} shorter no-signal stretches - see the full report',
+      hours: 'h',
+      minutes: 'min',
+      page: 'Page {page} of {pages}',
+      safetyRules: [
+        'Take a break every 2 hours',
+        'Wear your seat belt, no phone calls while driving',
+        'In an accident or leak call 112 first'
+      ],
+      riskLevels: { LOW: 'Low', MEDIUM: 'Medium', HIGH: 'High', CRITICAL: 'Critical' },
+      contacts: {
+        112: 'National Emergency',
+        100: 'Police',
+        101: 'Fire',
+        108: 'Ambulance',
+        1033: 'Highway Help',
+        1363: 'Tourist Helpline',
+        1091: 'Women Helpline',
+        1078: 'Disaster Management'
+      }
+    }
+  },
+
+  hi: {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    script: 'devanagari',
+    strings: {
+      title: 'चालक ब्रीफिंग कार्ड',
+      subtitle: 'यह कार्ड केबिन में साथ रखें',
+      route: 'मार्ग',
+      distance: 'दूरी',
+      duration: 'अनुमानित समय',
+      riskLevel: 'जोखिम स्तर',
+      vehicle: 'वाहन',
+      issued: 'जारी तिथि',
+      emergencyNumbers: 'आपातकालीन नंबर',
+      criticalPoints: 'खतरनाक स्थान (यात्रा क्रम में)',
+      deadZones: 'मोबाइल नेटवर्क नहीं',
+      restStops: 'विश्राम स्थल',
+      km: 'किमी',
+      hazard: 'खतरा',
+      advice: 'सलाह',
+      stop: 'स्थान',
+      phone: 'फ़ोन',
+      parking: 'पार्किंग',
+      turnLeft: 'बायाँ तीव्र मोड़',
+      turnRight: 'दायाँ तीव्र मोड़',
+      turnHairpin: 'हेयरपिन मोड़',
+      blindSpot: 'कम दृश्यता',
+      accidentZone: 'दुर्घटना संभावित क्षेत्र',
+      steepDescent: 'तीव्र ढलान',
+      steepClimb: 'तीव्र चढ़ाई',
+      maxSpeed: 'अधिकतम {speed} किमी/घंटा',
+      useGear: 'गियर {gear} में चलाएँ',
+      hornAdvice: 'हॉर्न बजाएँ, ओवरटेक न करें',
+      accidentAdvice: 'अतिरिक्त सावधानी से चलाएँ',
+      descentAdvice: 'इंजन ब्रेक का प्रयोग करें, न्यूट्रल में न चलाएँ',
+      deadZoneStretch: 'किमी {from}-{to}: सिग्नल नहीं (लगभग {minutes} मिनट)',
+      deadZoneAdvice: 'प्रवेश से पहले कंट्रोल रूम को सूचित करें',
+      truckParking: 'ट्रक पार्किंग',
+      noCriticalPoints: 'कोई खतरनाक स्थान दर्ज नहीं',
+      noDeadZones: 'पूरे मार्ग पर नेटवर्क उपलब्ध',
+      noRestStops: 'कोई विश्राम स्थल दर्ज नहीं',
+      morePoints: '+{count} कम जोखिम वाले स्थान - पूरी रिपोर्ट देखें',
+      moreDeadZones: '+{count} छोटे सिग्नल-रहित हिस्से - पूरी रिपोर्ट देखें',
+      hours: 'घंटे',
+      minutes: 'मिनट',
+      page: 'पृष्ठ {page} / {pages}',
+      safetyRules: [
+        'हर 2 घंटे बाद विश्राम करें',
+        'सीट बेल्ट लगाएँ, गाड़ी चलाते समय फ़ोन पर बात न करें',
+        'दुर्घटना या रिसाव होने पर सबसे पहले 112 पर कॉल करें'
+      ],
+      riskLevels: { LOW: 'कम', MEDIUM: 'मध्यम', HIGH: 'उच्च', CRITICAL: 'अति गंभीर' },
+      contacts: {
+        112: 'राष्ट्रीय आपातकालीन',
+        100: 'पुलिस',
+        101: 'अग्निशमन',
+        108: 'एम्बुलेंस',
+        1033: 'राजमार्ग सहायता',
+        1363: 'पर्यटक हेल्पलाइन',
+        1091: 'महिला हेल्पलाइन',
+        1078: 'आपदा प्रबंधन'
+      }
+    }
+  },
+
+  mr: {
+    name: 'Marathi',
+    nativeName: 'मराठी',
+    script: 'devanagari',
+    strings: {
+      title: 'वाहनचालक माहिती पत्रक',
+      subtitle: 'हे पत्रक केबिनमध्ये जवळ ठेवा',
+      route: 'मार्ग',
+      distance: 'अंतर',
+      duration: 'अंदाजे वेळ',
+      riskLevel: 'धोका पातळी',
+      vehicle: 'वाहन',
+      issued: 'दिनांक',
+      emergencyNumbers: 'आपत्कालीन क्रमांक',
+      criticalPoints: 'धोकादायक ठिकाणे (प्रवासाच्या क्रमाने)',
+      deadZones: 'मोबाईल नेटवर्क नाही',
+      restStops: 'विश्रांती थांबे',
+      km: 'किमी',
+      hazard: 'धोका',
+      advice: 'सूचना',
+      stop: 'ठिकाण',
+      phone: 'फोन',
+      parking: 'पार्किंग',
+      turnLeft: 'डावे तीव्र वळण',
+      turnRight: 'उजवे तीव्र वळण',
+      turnHairpin: 'हेअरपिन वळण',
+      blindSpot: 'कमी दृश्यमानता',
+      accidentZone: 'अपघातप्रवण क्षेत्र',
+      steepDescent: 'तीव्र उतार',
+      steepClimb: 'तीव्र चढ',
+      maxSpeed: 'कमाल {speed} किमी/तास',
+      useGear: 'गिअर {gear} मध्ये चालवा',
+      hornAdvice: 'हॉर्न वाजवा, ओव्हरटेक करू नका',
+      accidentAdvice: 'विशेष काळजीपूर्वक चालवा',
+      descentAdvice: 'इंजिन ब्रेक वापरा, न्यूट्रलमध्ये चालवू नका',
+      deadZoneStretch: 'किमी {from}-{to}: सिग्नल नाही (सुमारे {minutes} मिनिटे)',
+      deadZoneAdvice: 'प्रवेश करण्यापूर्वी कंट्रोल रूमला कळवा',
+      truckParking: 'ट्रक पार्किंग',
+      noCriticalPoints: 'कोणतेही धोकादायक ठिकाण नोंदलेले नाही',
+      noDeadZones: 'संपूर्ण मार्गावर नेटवर्क उपलब्ध',
+      noRestStops: 'कोणताही विश्रांती थांबा नोंदलेला नाही',
+      morePoints: '+{count} कमी धोक्याची ठिकाणे - संपूर्ण अहवाल पहा',
+      moreDeadZones: '+{count} लहान सिग्नल नसलेले टप्पे - संपूर्ण अहवाल पहा',
+      hours: 'तास',
+      minutes: 'मिनिटे',
+      page: 'पृष्ठ {page} / {pages}',
+      safetyRules: [
+        'दर 2 तासांनी विश्रांती घ्या',
+        'सीट बेल्ट लावा, गाडी चालवताना फोनवर बोलू नका',
+        'अपघात किंवा गळती झाल्यास आधी 112 वर कॉल करा'
+      ],
+      riskLevels: { LOW: 'कमी', MEDIUM: 'मध्यम', HIGH: 'जास्त', CRITICAL: 'अतिगंभीर' },
+      contacts: {
+        112: 'राष्ट्रीय आपत्कालीन',
+        100: 'पोलीस',
+        101: 'अग्निशमन दल',
+        108: 'रुग्णवाहिका',
+        1033: 'महामार्ग मदत',
+        1363: 'पर्यटक हेल्पलाइन',
+        1091: 'महिला हेल्पलाइन',
+        1078: 'आपत्ती व्यवस्थापन'
+      }
+    }
+  },
+
+  ta: {
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    script: 'tamil',
+    strings: {
+      title: 'ஓட்டுநர் விளக்கக் குறிப்பு',
+      subtitle: 'இந்த அட்டையை வண்டியில் வைத்திருக்கவும்',
+      route: 'வழி',
+      distance: 'தூரம்',
+      duration: 'மதிப்பிடப்பட்ட நேரம்',
+      riskLevel: 'அபாய நிலை',
+      vehicle: 'வாகனம்',
+      issued: 'தேதி',
+      emergencyNumbers: 'அவசர எண்கள்',
+      criticalPoints: 'அபாய இடங்கள் (பயண வரிசையில்)',
+      deadZones: 'மொபைல் சிக்னல் இல்லை',
+      restStops: 'ஓய்வு இடங்கள்',
+      km: 'கி.மீ',
+      hazard: 'அபாயம்',
+      advice: 'அறிவுரை',
+      stop: 'இடம்',
+      phone: 'தொலைபேசி',
+      parking: 'நிறுத்துமிடம்',
+      turnLeft: 'இடது கூர்மையான திருப்பம்',
+      turnRight: 'வலது கூர்மையான திருப்பம்',
+      turnHairpin: 'கொண்டை ஊசி வளைவு',
+      blindSpot: 'குறைந்த பார்வைத் தூரம்',
+      accidentZone: 'விபத்து அபாயப் பகுதி',
+      steepDescent: 'செங்குத்தான இறக்கம்',
+      steepClimb: 'செங்குத்தான ஏற்றம்',
+      maxSpeed: 'அதிகபட்சம் {speed} கி.மீ/மணி',
+      useGear: 'கியர் {gear}-இல் ஓட்டவும்',
+      hornAdvice: 'ஹாரன் அடிக்கவும், முந்த வேண்டாம்',
+      accidentAdvice: 'கூடுதல் கவனத்துடன் ஓட்டவும்',
+      descentAdvice: 'இன்ஜின் பிரேக் பயன்படுத்தவும், நியூட்ரலில் ஓட்ட வேண்டாம்',
+      deadZoneStretch: 'கி.மீ {from}-{to}: சிக்னல் இல்லை (சுமார் {minutes} நிமிடம்)',
+      deadZoneAdvice: 'நுழைவதற்கு முன் கட்டுப்பாட்டு அறைக்குத் தெரிவிக்கவும்',
+      truckParking: 'லாரி நிறுத்துமிடம்',
+      noCriticalPoints: 'அபாய இடங்கள் எதுவும் பதிவு செய்யப்படவில்லை',
+      noDeadZones: 'முழு வழியிலும் சிக்னல் உள்ளது',
+      noRestStops: 'ஓய்வு இடங்கள் எதுவும் பதிவு செய்யப்படவில்லை',
+      morePoints: '+{count} குறைந்த அபாய இடங்கள் - முழு அறிக்கையைப் பார்க்கவும்',
+      moreDeadZones: '+{count} சிறிய சிக்னல் இல்லாத பகுதிகள் - முழு அறிக்கையைப் பார்க்கவும்',
+      hours: 'மணி',
+      minutes: 'நிமிடம்',
+      page: 'பக்கம் {page} / {pages}',
+      safetyRules: [
+        'ஒவ்வொரு 2 மணி நேரத்திற்கும் ஓய்வு எடுக்கவும்',
+        'சீட் பெல்ட் அணியவும், ஓட்டும்போது கைப்பேசியில் பேச வேண்டாம்',
+        'விபத்து அல்லது கசிவு ஏற்பட்டால் முதலில் 112 அழைக்கவும்'
+      ],
+      riskLevels: { LOW: 'குறைவு', MEDIUM: 'நடுத்தரம்', HIGH: 'அதிகம்', CRITICAL: 'மிக அதிகம்' },
+      contacts: {
+        112: 'தேசிய அவசர உதவி',
+        100: 'காவல்துறை',
+        101: 'தீயணைப்பு',
+        108: 'ஆம்புலன்ஸ்',
+        1033: 'நெடுஞ்சாலை உதவி',
+        1363: 'சுற்றுலா உதவி',
+        1091: 'பெண்கள் உதவி',
+        1078: 'பேரிடர் மேலாண்மை'
+      }
+    }
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Look up a briefing string, falling back to English, and fill in {placeholders}
+function translate(languageCode, key, params = {}) {
+  const language = BRIEFING_LANGUAGES[Object.hasOwn(BRIEFING_LANGUAGES, languageCode) ? languageCode : DEFAULT_LANGUAGE];
+  const value = language.strings[key] !== undefined
+    ? language.strings[key]
+    : BRIEFING_LANGUAGES[DEFAULT_LANGUAGE].strings[key];
+
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+module.exports = {
+  BRIEFING_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  translate
+};
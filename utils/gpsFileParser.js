@@ -0,0 +1,456 @@
+// File: utils/gpsFileParser.js
+// Purpose: Parse GPS route files (CSV, GPX, KML, GeoJSON) into a common list of track points
+// Every parser returns { format, points, errors, totalRecords } so the upload controller
+// can build the route and the per-line error report the same way for all formats
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+const SUPPORTED_FORMATS = ['csv', 'gpx', 'kml', 'geojson'];
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.txt': 'csv',
+  '.gpx': 'gpx',
+  '.kml': 'kml',
+  '.geojson': 'geojson',
+  '.json': 'geojson'
+};
+
+// Detect file format from extension first, then from the first characters of the content
+function detectFormat(filePath, originalName = '') {
+  const ext = path.extname(originalName || filePath).toLowerCase();
+  if (EXTENSION_FORMATS[ext] && EXTENSION_FORMATS[ext] !== 'csv') {
+    return EXTENSION_FORMATS[ext];
+  }
+
+  // CSV/TXT uploads (and unknown extensions) are sniffed in case a GPX/KML/GeoJSON was renamed
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(1024);
+  const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  fs.closeSync(fd);
+
+  const head = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '').trimStart();
+
+  if (head.startsWith('<')) {
+    if (/<(\w+:)?gpx[\s>]/i.test(head)) return 'gpx';
+    if (/<(\w+:)?kml[\s>]/i.test(head)) return 'kml';
+  }
+  if (head.startsWith('{')) return 'geojson';
+
+  return 'csv';
+}
+
+// Validate a parsed coordinate pair, returning an error message or null
+function validateCoordinate(latitude, longitude) {
+  if (isNaN(latitude) || isNaN(longitude)) {
+    return 'Invalid coordinate values (not numbers)';
+  }
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    return 'Coordinates out of valid range';
+  }
+  return null;
+}
+
+function parseOptionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseFloat(value);
+  return isFinite(parsed) ? parsed : null;
+}
+
+function parseOptionalDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(typeof value === 'string' ? value.trim() : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Build a lookup from character offset to 1-based line number
+function createLineIndex(content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+// Shared collector that applies the same validation and error format to every parser
+function createPointCollector(format) {
+  const result = { format, points: [], errors: [], totalRecords: 0 };
+
+  result.add = ({ latitude, longitude, elevation = null, timestamp = null, line, data }) => {
+    result.totalRecords++;
+
+    const validationError = validateCoordinate(latitude, longitude);
+    if (validationError) {
+      result.errors.push({
+        line,
+        error: validationError,
+        data: validationError.includes('range') ? `${latitude},${longitude}` : data
+      });
+      return;
+    }
+
+    result.points.push({
+      latitude,
+      longitude,
+      elevation,
+      timestamp,
+      pointOrder: result.points.length,
+      originalLine: data
+    });
+  };
+
+  result.fail = (line, message, data) => {
+    result.totalRecords++;
+    result.errors.push({ line, error: `Parse error: ${message}`, data });
+  };
+
+  return result;
+}
+
+function finalize(result) {
+  delete result.add;
+  delete result.fail;
+  return result;
+}
+
+// ============================================================================
+// CSV - headerless "latitude,longitude" lines (optionally elevation, timestamp)
+// ============================================================================
+
+function parseCSV(filePath) {
+  return new Promise((resolve, reject) => {
+    const result = createPointCollector('csv');
+    let lineNumber = 0;
+
+    fs.createReadStream(filePath)
+      .pipe(csv({
+        headers: false,
+        skipEmptyLines: true,
+        trim: true
+      }))
+      .on('data', (data) => {
+        lineNumber++;
+        const dataArray = Object.values(data);
+
+        try {
+          let latitude, longitude, elevation = null, timestamp = null;
+
+          if (dataArray.length >= 2) {
+            // Two-column format: latitude, longitude (most common)
+            latitude = parseFloat(dataArray[0]);
+            longitude = parseFloat(dataArray[1]);
+            // Optional third/fourth columns: elevation, timestamp
+            elevation = parseOptionalNumber(dataArray[2]);
+            timestamp = parseOptionalDate(dataArray[3]);
+          } else if (dataArray.length === 1) {
+            // Single-column format: "latitude,longitude"
+            const coords = dataArray[0].trim().split(/[,\s]+/);
+            if (coords.length < 2) {
+              throw new Error('Insufficient coordinate data');
+            }
+            latitude = parseFloat(coords[0]);
+            longitude = parseFloat(coords[1]);
+          } else {
+            throw new Error('No coordinate data found');
+          }
+
+          result.add({
+            latitude,
+            longitude,
+            elevation,
+            timestamp,
+            line: lineNumber,
+            data: dataArray.join(',')
+          });
+        } catch (parseError) {
+          result.fail(lineNumber, parseError.message, dataArray.join(','));
+        }
+      })
+      .on('end', () => resolve(finalize(result)))
+      .on('error', reject);
+  });
+}
+
+// ============================================================================
+// GPX - <trkpt>/<rtept> elements (falls back to <wpt>), with <ele> and <time>
+// ============================================================================
+
+function readXmlAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+  return match ? match[1] : undefined;
+}
+
+function readXmlChild(body, name) {
+  if (!body) return undefined;
+  const match = body.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([^<]*)<\\/(?:\\w+:)?${name}>`, 'i'));
+  return match ? match[1].trim() : undefined;
+}
+
+function parseGPXContent(content) {
+  const result = createPointCollector('gpx');
+  const lineAt = createLineIndex(content);
+
+  const collect = (tagName) => {
+    const pattern = new RegExp(
+      `<(?:\\w+:)?${tagName}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:\\w+:)?${tagName}>)`,
+      'gi'
+    );
+    let match;
+    let found = 0;
+
+    while ((match = pattern.exec(content)) !== null) {
+      found++;
+      const [raw, attributes, body] = match;
+      const line = lineAt(match.index);
+      const lat = readXmlAttribute(attributes, 'lat');
+      const lon = readXmlAttribute(attributes, 'lon');
+
+      if (lat === undefined || lon === undefined) {
+        result.fail(line, `<${tagName}> is missing lat/lon attributes`, raw.split('\n')[0].trim());
+        continue;
+      }
+
+      result.add({
+        latitude: parseFloat(lat),
+        longitude: parseFloat(lon),
+        elevation: parseOptionalNumber(readXmlChild(body, 'ele')),
+        timestamp: parseOptionalDate(readXmlChild(body, 'time')),
+        line,
+        data: `${lat},${lon}`
+      });
+    }
+
+    return found;
+  };
+
+  // Prefer recorded track, then planned route, then loose waypoints
+  if (collect('trkpt') === 0 && collect('rtept') === 0) {
+    collect('wpt');
+  }
+
+  return finalize(result);
+}
+
+// ============================================================================
+// KML - <LineString><coordinates> (lng,lat[,alt] tuples) or <gx:Track> coords
+// ============================================================================
+
+function parseKMLContent(content) {
+  const result = createPointCollector('kml');
+  const lineAt = createLineIndex(content);
+
+  // Altitudes are only meaningful when the file says so; clampToGround (the KML default)
+  // usually carries zeros that would otherwise be stored as sea-level elevations
+  const absoluteAltitude = /<(?:\w+:)?altitudeMode>\s*(absolute|relativeToGround)\s*</i.test(content);
+
+  const collectCoordinateBlocks = (containerPattern) => {
+    let found = 0;
+    let container;
+
+    while ((container = containerPattern.exec(content)) !== null) {
+      const coordsMatch = container[0].match(/<(?:\w+:)?coordinates>([\s\S]*?)<\/(?:\w+:)?coordinates>/i);
+      if (!coordsMatch) continue;
+
+      const blockOffset = container.index + coordsMatch.index + coordsMatch[0].indexOf('>') + 1;
+      const tuplePattern = /\S+/g;
+      let tuple;
+
+      while ((tuple = tuplePattern.exec(coordsMatch[1])) !== null) {
+        found++;
+        const line = lineAt(blockOffset + tuple.index);
+        const parts = tuple[0].split(',');
+
+        if (parts.length < 2) {
+          result.fail(line, 'Insufficient coordinate data', tuple[0]);
+          continue;
+        }
+
+        const altitude = parseOptionalNumber(parts[2]);
+
+        result.add({
+          latitude: parseFloat(parts[1]),
+          longitude: parseFloat(parts[0]),
+          elevation: altitude !== null && (absoluteAltitude || altitude !== 0) ? altitude : null,
+          line,
+          data: tuple[0]
+        });
+      }
+    }
+
+    return found;
+  };
+
+  const collectGxTracks = () => {
+    const trackPattern = /<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/gi;
+    let found = 0;
+    let track;
+
+    while ((track = trackPattern.exec(content)) !== null) {
+      const bodyOffset = track.index + track[0].indexOf('>') + 1;
+      const whens = [...track[1].matchAll(/<when>([^<]*)<\/when>/gi)].map(m => m[1]);
+      const coordPattern = /<gx:coord>([^<]*)<\/gx:coord>/gi;
+      let coord;
+      let index = 0;
+
+      while ((coord = coordPattern.exec(track[1])) !== null) {
+        found++;
+        const line = lineAt(bodyOffset + coord.index);
+        const parts = coord[1].trim().split(/\s+/);
+
+        if (parts.length < 2) {
+          result.fail(line, 'Insufficient coordinate data', coord[1].trim());
+        } else {
+          result.add({
+            latitude: parseFloat(parts[1]),
+            longitude: parseFloat(parts[0]),
+            elevation: parseOptionalNumber(parts[2]),
+            timestamp: parseOptionalDate(whens[index]),
+            line,
+            data: coord[1].trim()
+          });
+        }
+        index++;
+      }
+    }
+
+    return found;
+  };
+
+  // Prefer route lines, then gx:Track recordings, then placemark points in document order
+  if (collectCoordinateBlocks(/<(?:\w+:)?LineString\b[\s\S]*?<\/(?:\w+:)?LineString>/gi) === 0 &&
+      collectGxTracks() === 0) {
+    collectCoordinateBlocks(/<(?:\w+:)?Point\b[\s\S]*?<\/(?:\w+:)?Point>/gi);
+  }
+
+  return finalize(result);
+}
+
+// ============================================================================
+// GeoJSON - LineString/MultiLineString features (falls back to Points)
+// Coordinates are [lng, lat, ele?]; timestamps from properties.coordTimes/times
+// ============================================================================
+
+function parseGeoJSONContent(content) {
+  const result = createPointCollector('geojson');
+  let geojson;
+
+  try {
+    geojson = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (jsonError) {
+    result.fail(1, `Invalid JSON: ${jsonError.message}`, content.slice(0, 80));
+    return finalize(result);
+  }
+
+  // Flatten into [{ geometry, properties, path }] in document order
+  const entries = [];
+  const visit = (node, nodePath, properties = {}) => {
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.type) {
+      case 'FeatureCollection':
+        (node.features || []).forEach((feature, i) => visit(feature, `${nodePath}.features[${i}]`));
+        break;
+      case 'Feature':
+        visit(node.geometry, `${nodePath}.geometry`, node.properties || {});
+        break;
+      case 'GeometryCollection':
+        (node.geometries || []).forEach((geometry, i) =>
+          visit(geometry, `${nodePath}.geometries[${i}]`, properties));
+        break;
+      default:
+        if (node.coordinates) entries.push({ geometry: node, properties, path: nodePath });
+    }
+  };
+  visit(geojson, '$');
+
+  const times = (properties) => properties.coordTimes || properties.times || [];
+
+  const addPosition = (position, positionPath, timestamp) => {
+    if (!Array.isArray(position) || position.length < 2) {
+      result.fail(result.totalRecords + 1, `Invalid position at ${positionPath}`, JSON.stringify(position));
+      return;
+    }
+    result.add({
+      latitude: parseFloat(position[1]),
+      longitude: parseFloat(position[0]),
+      elevation: parseOptionalNumber(position[2]),
+      timestamp: parseOptionalDate(timestamp),
+      line: result.totalRecords + 1,
+      data: `${positionPath} ${JSON.stringify(position)}`
+    });
+  };
+
+  const lines = entries.filter(e => e.geometry.type === 'LineString' || e.geometry.type === 'MultiLineString');
+
+  if (lines.length > 0) {
+    lines.forEach(({ geometry, properties, path: geometryPath }) => {
+      const featureTimes = times(properties);
+
+      if (geometry.type === 'LineString') {
+        geometry.coordinates.forEach((position, i) =>
+          addPosition(position, `${geometryPath}.coordinates[${i}]`, featureTimes[i]));
+      } else {
+        geometry.coordinates.forEach((lineString, li) => {
+          const lineTimes = Array.isArray(featureTimes[li]) ? featureTimes[li] : [];
+          (lineString || []).forEach((position, i) =>
+            addPosition(position, `${geometryPath}.coordinates[${li}][${i}]`, lineTimes[i]));
+        });
+      }
+    });
+  } else {
+    entries
+      .filter(e => e.geometry.type === 'Point')
+      .forEach(({ geometry, properties, path: geometryPath }) =>
+        addPosition(geometry.coordinates, `${geometryPath}.coordinates`, properties.time || properties.timestamp));
+  }
+
+  return finalize(result);
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+async function parseGPSFile(filePath, originalName = '') {
+  const format = detectFormat(filePath, originalName);
+
+  if (format === 'csv') {
+    return parseCSV(filePath);
+  }
+
+  const content = await fs.promises.readFile(filePath, 'utf8');
+
+  switch (format) {
+    case 'gpx':
+      return parseGPXContent(content);
+    case 'kml':
+      return parseKMLContent(content);
+    case 'geojson':
+      return parseGeoJSONContent(content);
+    default:
+      throw new Error(`Unsupported GPS file format: ${format}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  EXTENSION_FORMATS,
+  detectFormat,
+  parseGPSFile,
+  parseCSV,
+  parseGPXContent,
+  parseKMLContent,
+  parseGeoJSONContent
+};
@@ -0,0 +1,332 @@
+// File: utils/gpsTrackCleaner.js
+// Purpose: Clean raw GPS tracks before route creation
+// Stages run in order: duplicate removal, outlier/teleport removal, stationary-cluster
+// collapse and Douglas-Peucker simplification. Each removed point is reported with its reason.
+
+const EARTH_RADIUS_M = 6371000;
+
+// Defaults can be tuned per deployment through .env and per upload through the request body
+const DEFAULT_CLEANING_OPTIONS = {
+  enabled: process.env.GPS_CLEANING_ENABLED !== 'false',
+  duplicateThresholdMeters: parseFloat(process.env.GPS_DUPLICATE_THRESHOLD_M) || 1,
+  maxSpeedKmh: parseFloat(process.env.GPS_MAX_SPEED_KMH) || 150,
+  maxJumpMeters: parseFloat(process.env.GPS_MAX_JUMP_M) || 2000,
+  // Reversing direction faster than this is a GPS backtrack, not a hairpin (needs timestamps)
+  maxTurnSpeedKmh: parseFloat(process.env.GPS_MAX_TURN_SPEED_KMH) || 40,
+  stationaryRadiusMeters: parseFloat(process.env.GPS_STATIONARY_RADIUS_M) || 25,
+  // Timestamped runs must dwell this long to count as stationary; untimed runs need stationaryMinPoints
+  stationaryMinSeconds: parseFloat(process.env.GPS_STATIONARY_MIN_SECONDS) || 60,
+  stationaryMinPoints: parseInt(process.env.GPS_STATIONARY_MIN_POINTS, 10) || 3,
+  simplifyToleranceMeters: parseFloat(process.env.GPS_SIMPLIFY_TOLERANCE_M) || 5
+};
+
+const MAX_REPORTED_SAMPLES = 10;
+
+// Haversine distance in meters
+function distanceMeters(p1, p2) {
+  const dLat = (p2.latitude - p1.latitude) * Math.PI / 180;
+  const dLon = (p2.longitude - p1.longitude) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(p1.latitude * Math.PI / 180) * Math.cos(p2.latitude * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function trackLengthKm(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distanceMeters(points[i - 1], points[i]);
+  }
+  return Math.round(total / 10) / 100;
+}
+
+function secondsBetween(p1, p2) {
+  if (!p1.timestamp || !p2.timestamp) return null;
+  return (new Date(p2.timestamp).getTime() - new Date(p1.timestamp).getTime()) / 1000;
+}
+
+// Merge request overrides (strings from multipart bodies) over the configured defaults
+function resolveCleaningOptions(overrides = {}) {
+  const options = { ...DEFAULT_CLEANING_OPTIONS };
+
+  Object.keys(DEFAULT_CLEANING_OPTIONS).forEach(key => {
+    const value = overrides[key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (key === 'enabled') {
+      options.enabled = !(value === false || value === 'false' || value === '0');
+      return;
+    }
+
+    const parsed = parseFloat(value);
+    if (isFinite(parsed) && parsed >= 0) {
+      options[key] = key === 'stationaryMinPoints' ? Math.max(2, Math.round(parsed)) : parsed;
+    }
+  });
+
+  return options;
+}
+
+function createStageResult(stage, description) {
+  return { stage, description, removed: 0, samples: [] };
+}
+
+function recordRemoval(stageResult, point, reason) {
+  stageResult.removed++;
+  if (stageResult.samples.length < MAX_REPORTED_SAMPLES) {
+    stageResult.samples.push({
+      line: point.originalLine,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      reason
+    });
+  }
+}
+
+// Stage 1: consecutive points closer than the duplicate threshold
+function removeDuplicates(points, options) {
+  const stageResult = createStageResult('duplicates', 'Repeated fixes at the same position');
+  const kept = [points[0]];
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = kept[kept.length - 1];
+    const gap = distanceMeters(previous, points[i]);
+    if (gap <= options.duplicateThresholdMeters) {
+      recordRemoval(stageResult, points[i], `Within ${options.duplicateThresholdMeters}m of previous point`);
+    } else {
+      kept.push(points[i]);
+    }
+  }
+
+  return { points: kept, stageResult };
+}
+
+// Stage 2: jitter spikes and teleports
+// With timestamps a point is rejected when the implied speed from the last good point exceeds
+// maxSpeedKmh. Without timestamps a point is a spike when it jumps away and straight back,
+// i.e. both legs exceed maxJumpMeters while skipping it leaves a much shorter path.
+// Shorter out-and-backs look exactly like the apex of a hairpin, so they are only removed
+// when timestamps show the reversal happened faster than a vehicle can turn.
+function removeOutliers(points, options) {
+  const stageResult = createStageResult('outliers', 'GPS jitter spikes, teleports and backtracks');
+  if (points.length < 3) return { points, stageResult };
+
+  const kept = [points[0]];
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = kept[kept.length - 1];
+    const current = points[i];
+    const next = points[i + 1];
+    const legIn = distanceMeters(previous, current);
+
+    const seconds = secondsBetween(previous, current);
+    if (seconds !== null && seconds > 0) {
+      const speedKmh = (legIn / seconds) * 3.6;
+      if (speedKmh > options.maxSpeedKmh && i < points.length - 1) {
+        recordRemoval(stageResult, current, `Implied speed ${Math.round(speedKmh)} km/h exceeds ${options.maxSpeedKmh} km/h`);
+        continue;
+      }
+    }
+
+    if (next) {
+      const legOut = distanceMeters(current, next);
+      const direct = distanceMeters(previous, next);
+      const isSpike = legIn > options.maxJumpMeters &&
+                      legOut > options.maxJumpMeters &&
+                      direct < Math.min(legIn, legOut) * 0.5;
+      if (isSpike) {
+        recordRemoval(stageResult, current, `Jumped ${Math.round(legIn)}m off track and back`);
+        continue;
+      }
+
+      // Shorter out-and-back: the next fix lands back near the previous one
+      const reversesDirection = legIn > options.stationaryRadiusMeters &&
+                                legOut > legIn * 0.75 &&
+                                direct < legIn * 0.25;
+      const turnSeconds = reversesDirection ? secondsBetween(previous, next) : null;
+      const turnSpeedKmh = turnSeconds > 0 ? ((legIn + legOut) / turnSeconds) * 3.6 : null;
+      if (turnSpeedKmh !== null && turnSpeedKmh > options.maxTurnSpeedKmh) {
+        recordRemoval(stageResult, current, `Backtrack of ${Math.round(legIn)}m reversed at ${Math.round(turnSpeedKmh)} km/h`);
+        continue;
+      }
+    }
+
+    kept.push(current);
+  }
+
+  return { points: kept, stageResult };
+}
+
+// Stage 3: collapse runs of points that stay within the stationary radius (parking, loading bays,
+// loops around a yard) into a single point at the centroid of the run. A timestamped run must
+// last stationaryMinSeconds, so slow traffic logged at 1 Hz is not taken for parking.
+function collapseStationaryClusters(points, options) {
+  const stageResult = createStageResult('stationary', 'Stationary clusters and parking loops collapsed');
+  stageResult.clusters = [];
+  const kept = [];
+
+  let i = 0;
+  while (i < points.length) {
+    const anchor = points[i];
+    let j = i + 1;
+    while (j < points.length && distanceMeters(anchor, points[j]) <= options.stationaryRadiusMeters) {
+      j++;
+    }
+
+    const cluster = points.slice(i, j);
+    const isFirstOrLast = i === 0 || j === points.length;
+    const dwellSeconds = cluster.length > 1 ? secondsBetween(cluster[0], cluster[cluster.length - 1]) : null;
+    const stationary = dwellSeconds !== null
+      ? dwellSeconds >= options.stationaryMinSeconds
+      : cluster.length >= options.stationaryMinPoints;
+
+    if (stationary) {
+      // Keep the real start/end fix so route origin and destination are not shifted
+      const source = j === points.length && i !== 0 ? cluster[cluster.length - 1] : cluster[0];
+      const representative = isFirstOrLast ? source : {
+        ...source,
+        latitude: cluster.reduce((sum, p) => sum + p.latitude, 0) / cluster.length,
+        longitude: cluster.reduce((sum, p) => sum + p.longitude, 0) / cluster.length
+      };
+
+      cluster
+        .filter(p => p !== source)
+        .forEach(p => recordRemoval(stageResult, p, `Stationary within ${options.stationaryRadiusMeters}m`));
+
+      stageResult.clusters.push({
+        latitude: Math.round(representative.latitude * 1000000) / 1000000,
+        longitude: Math.round(representative.longitude * 1000000) / 1000000,
+        pointsCollapsed: cluster.length,
+        fromLine: cluster[0].originalLine,
+        toLine: cluster[cluster.length - 1].originalLine,
+        dwellMinutes: dwellSeconds !== null ? Math.round(dwellSeconds / 6) / 10 : null,
+        atRouteEnd: isFirstOrLast
+      });
+
+      kept.push(representative);
+    } else {
+      kept.push(...cluster);
+    }
+
+    i = j;
+  }
+
+  return { points: kept, stageResult };
+}
+
+// Perpendicular distance from point to segment, using a local equirectangular projection
+function perpendicularDistanceMeters(point, start, end) {
+  const refLat = start.latitude * Math.PI / 180;
+  const toXY = p => ({
+    x: (p.longitude * Math.PI / 180) * Math.cos(refLat) * EARTH_RADIUS_M,
+    y: (p.latitude * Math.PI / 180) * EARTH_RADIUS_M
+  });
+
+  const p = toXY(point);
+  const a = toXY(start);
+  const b = toXY(end);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+
+  if (lengthSq === 0) {
+    return Math.hypot(p.x - a.x, p.y - a.y);
+  }
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Stage 4: Douglas-Peucker simplification (iterative so long tracks cannot overflow the stack)
+function simplifyDouglasPeucker(points, options) {
+  const stageResult = createStageResult('simplified', `Douglas-Peucker simplification at ${options.simplifyToleranceMeters}m tolerance`);
+  if (points.length < 3 || options.simplifyToleranceMeters <= 0) {
+    return { points, stageResult };
+  }
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const d = perpendicularDistanceMeters(points[i], points[first], points[last]);
+      if (d > maxDistance) {
+        maxDistance = d;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > options.simplifyToleranceMeters) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  const kept = [];
+  points.forEach((point, i) => {
+    if (keep[i]) {
+      kept.push(point);
+    } else {
+      recordRemoval(stageResult, point, `Within ${options.simplifyToleranceMeters}m of simplified line`);
+    }
+  });
+
+  return { points: kept, stageResult };
+}
+
+// Run the full cleaning pipeline. Returns the cleaned points (renumbered) and a removal report.
+function cleanGPSTrack(points, overrides = {}) {
+  const options = resolveCleaningOptions(overrides);
+  const report = {
+    enabled: options.enabled,
+    options,
+    inputPoints: points.length,
+    outputPoints: points.length,
+    removedTotal: 0,
+    distanceBeforeKm: trackLengthKm(points),
+    distanceAfterKm: null,
+    stages: []
+  };
+
+  if (!options.enabled || points.length < 3) {
+    report.distanceAfterKm = report.distanceBeforeKm;
+    return { points, report };
+  }
+
+  let current = points;
+  const stages = [removeDuplicates, removeOutliers, collapseStationaryClusters, simplifyDouglasPeucker];
+
+  for (const stage of stages) {
+    // Never clean a track down below the two points needed to build a route
+    if (current.length < 3) break;
+    const result = stage(current, options);
+    if (result.points.length < 2) continue;
+    current = result.points;
+    report.stages.push(result.stageResult);
+  }
+
+  const cleaned = current.map((point, index) => ({ ...point, pointOrder: index }));
+
+  report.outputPoints = cleaned.length;
+  report.removedTotal = points.length - cleaned.length;
+  report.distanceAfterKm = trackLengthKm(cleaned);
+
+  return { points: cleaned, report };
+}
+
+module.exports = {
+  DEFAULT_CLEANING_OPTIONS,
+  resolveCleaningOptions,
+  cleanGPSTrack,
+  removeDuplicates,
+  removeOutliers,
+  collapseStationaryClusters,
+  simplifyDouglasPeucker
+};
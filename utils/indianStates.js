@@ -0,0 +1,217 @@
+// File: utils/indianStates.js
+// Purpose: Indian states / union territories with RTO codes, and state detection from
+// route coordinates, address text and vehicle registration numbers (used for interstate permit checks)
+// Coordinates are placed with the state boundary polygons from the geojson-india package.
+
+const STATES = [
+  { code: 'AN', name: 'Andaman and Nicobar Islands', aliases: ['Andaman', 'Nicobar'] },
+  { code: 'AP', name: 'Andhra Pradesh', aliases: [] },
+  { code: 'AR', name: 'Arunachal Pradesh', aliases: [] },
+  { code: 'AS', name: 'Assam', aliases: [] },
+  { code: 'BR', name: 'Bihar', aliases: [] },
+  { code: 'CH', name: 'Chandigarh', aliases: [] },
+  { code: 'CG', name: 'Chhattisgarh', aliases: ['Chattisgarh'] },
+  { code: 'DD', name: 'Dadra and Nagar Haveli and Daman and Diu', aliases: ['Dadra and Nagar Haveli', 'Daman', 'Diu', 'Silvassa'] },
+  { code: 'DL', name: 'Delhi', aliases: ['New Delhi', 'NCT of Delhi'] },
+  { code: 'GA', name: 'Goa', aliases: [] },
+  { code: 'GJ', name: 'Gujarat', aliases: [] },
+  { code: 'HR', name: 'Haryana', aliases: [] },
+  { code: 'HP', name: 'Himachal Pradesh', aliases: [] },
+  { code: 'JK', name: 'Jammu and Kashmir', aliases: ['Jammu & Kashmir'] },
+  { code: 'JH', name: 'Jharkhand', aliases: [] },
+  { code: 'KA', name: 'Karnataka', aliases: [] },
+  { code: 'KL', name: 'Kerala', aliases: [] },
+  { code: 'LA', name: 'Ladakh', aliases: [] },
+  { code: 'LD', name: 'Lakshadweep', aliases: [] },
+  { code: 'MP', name: 'Madhya Pradesh', aliases: [] },
+  { code: 'MH', name: 'Maharashtra', aliases: [] },
+  { code: 'MN', name: 'Manipur', aliases: [] },
+  { code: 'ML', name: 'Meghalaya', aliases: [] },
+  { code: 'MZ', name: 'Mizoram', aliases: [] },
+  { code: 'NL', name: 'Nagaland', aliases: [] },
+  { code: 'OD', name: 'Odisha', aliases: ['Orissa'] },
+  { code: 'PY', name: 'Puducherry', aliases: ['Pondicherry'] },
+  { code: 'PB', name: 'Punjab', aliases: [] },
+  { code: 'RJ', name: 'Rajasthan', aliases: [] },
+  { code: 'SK', name: 'Sikkim', aliases: [] },
+  { code: 'TN', name: 'Tamil Nadu', aliases: [] },
+  { code: 'TS', name: 'Telangana', aliases: [] },
+  { code: 'TR', name: 'Tripura', aliases: [] },
+  { code: 'UP', name: 'Uttar Pradesh', aliases: [] },
+  { code: 'UK', name: 'Uttarakhand', aliases: ['Uttaranchal'] },
+  { code: 'WB', name: 'West Bengal', aliases: [] }
+];
+
+// Older / alternative registration prefixes still seen on plates
+const REGISTRATION_ALIASES = { OR: 'OD', TG: 'TS', UA: 'UK', DN: 'DD' };
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const STATE_PATTERNS = STATES
+  .flatMap(state => [state.name, ...state.aliases].map(label => ({ state, label })))
+  .map(({ state, label }) => ({ state, label, regex: new RegExp(`\\b${escapeRegex(label)}\\b`, 'gi') }));
+
+// A state seen at a single route point (border jitter on simplified boundaries) only
+// counts when it holds the origin or destination
+const MIN_STATE_POINTS = 2;
+
+let boundaries = null;
+
+// State boundary polygons with bounding boxes, loaded on first use
+function getStateBoundaries() {
+  if (!boundaries) {
+    const { features } = require('geojson-india/india.json');
+    boundaries = features
+      .map(feature => {
+        const state = detectStateFromText(feature.properties.name);
+        const polygons = feature.geometry.type === 'MultiPolygon'
+          ? feature.geometry.coordinates
+          : [feature.geometry.coordinates];
+        const outer = polygons.flatMap(polygon => polygon[0]);
+        return {
+          state,
+          polygons,
+          bbox: [
+            Math.min(...outer.map(([lng]) => lng)), Math.min(...outer.map(([, lat]) => lat)),
+            Math.max(...outer.map(([lng]) => lng)), Math.max(...outer.map(([, lat]) => lat))
+          ]
+        };
+      })
+      .filter(boundary => boundary.state);
+  }
+  return boundaries;
+}
+
+// Ray casting over one ring of [lng, lat] positions
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function boundaryContains(boundary, lng, lat) {
+  const [minLng, minLat, maxLng, maxLat] = boundary.bbox;
+  if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+  return boundary.polygons.some(([outer, ...holes]) =>
+    ringContains(outer, lng, lat) && !holes.some(hole => ringContains(hole, lng, lat))
+  );
+}
+
+// State containing a coordinate, or null (outside India or in a boundary gap)
+function detectStateFromCoordinates(latitude, longitude, hint = null) {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number' || isNaN(latitude) || isNaN(longitude)) {
+    return null;
+  }
+  const all = getStateBoundaries();
+  // Consecutive route points are usually in the same state, so try the hint first
+  const candidates = hint ? [all.find(boundary => boundary.state.code === hint.code), ...all] : all;
+  const match = candidates.find(boundary => boundary && boundaryContains(boundary, longitude, latitude));
+  return match ? match.state : null;
+}
+
+function getState(code) {
+  return STATES.find(state => state.code === code) || null;
+}
+
+// State mentioned in a free-text address, or null. Addresses put the state last
+// ("NH 48, Delhi Road, Meerut, Uttar Pradesh 250002"), so the last mention wins.
+function detectStateFromText(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  let best = null;
+  STATE_PATTERNS.forEach(pattern => {
+    for (const match of text.matchAll(pattern.regex)) {
+      const end = match.index + match[0].length;
+      if (!best || end > best.end || (end === best.end && pattern.label.length > best.label.length)) {
+        best = { state: pattern.state, label: pattern.label, end };
+      }
+    }
+  });
+  return best ? best.state : null;
+}
+
+/**
+ * Ordered, de-duplicated states along a route. States come from the route coordinates
+ * (origin, route points, destination) placed on the state boundaries; the origin and
+ * destination addresses are only used when no coordinate falls inside a state.
+ * Returns { states: [{ code, name }], source: 'coordinates' | 'addresses' | null, locationsChecked, locationsMatched }.
+ */
+function detectRouteStates(route) {
+  const points = [
+    route.fromCoordinates,
+    ...(route.routePoints || [])
+      .slice()
+      .sort((a, b) => (a.pointOrder ?? 0) - (b.pointOrder ?? 0)),
+    route.toCoordinates
+  ].filter(point => point && typeof point.latitude === 'number' && typeof point.longitude === 'number');
+
+  let hint = null;
+  const located = points.map(point => {
+    const state = detectStateFromCoordinates(point.latitude, point.longitude, hint);
+    if (state) hint = state;
+    return state;
+  });
+  const matchedPoints = located.filter(Boolean);
+
+  if (matchedPoints.length > 0) {
+    const counts = {};
+    matchedPoints.forEach(state => { counts[state.code] = (counts[state.code] || 0) + 1; });
+    const endpoints = [matchedPoints[0].code, matchedPoints[matchedPoints.length - 1].code];
+
+    const states = [];
+    matchedPoints.forEach(state => {
+      if (states.some(existing => existing.code === state.code)) return;
+      if (counts[state.code] >= MIN_STATE_POINTS || endpoints.includes(state.code)) {
+        states.push({ code: state.code, name: state.name });
+      }
+    });
+    return { states, source: 'coordinates', locationsChecked: points.length, locationsMatched: matchedPoints.length };
+  }
+
+  const addresses = [route.fromAddress, route.toAddress]
+    .filter(address => typeof address === 'string' && address.trim().length > 0);
+  const states = [];
+  let matched = 0;
+  addresses.forEach(address => {
+    const state = detectStateFromText(address);
+    if (!state) return;
+    matched += 1;
+    if (!states.some(existing => existing.code === state.code)) {
+      states.push({ code: state.code, name: state.name });
+    }
+  });
+
+  return { states, source: matched > 0 ? 'addresses' : null, locationsChecked: addresses.length, locationsMatched: matched };
+}
+
+/**
+ * Registering state from an Indian registration number (e.g. "MH 12 AB 1234").
+ * Bharat series plates (e.g. "22 BH 1234 AA") return { code: 'BH', bharatSeries: true }.
+ */
+function parseRegistrationState(registrationNumber) {
+  if (!registrationNumber || typeof registrationNumber !== 'string') return null;
+  const plate = registrationNumber.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+  if (/^\d{2}BH\d{4}[A-Z]{1,2}$/.test(plate)) {
+    return { code: 'BH', name: 'Bharat series', bharatSeries: true };
+  }
+
+  const prefix = plate.slice(0, 2);
+  const state = getState(REGISTRATION_ALIASES[prefix] || prefix);
+  return state ? { code: state.code, name: state.name, bharatSeries: false } : null;
+}
+
+module.exports = {
+  STATES,
+  getState,
+  detectStateFromText,
+  detectStateFromCoordinates,
+  detectRouteStates,
+  parseRegistrationState
+};
@@ -0,0 +1,491 @@
+// File: utils/osmReader.js
+// Purpose: Stream OpenStreetMap extracts (.osm.pbf, .osm, .osm.gz) as nodes and ways
+// No external dependencies - PBF blobs are decoded with a minimal protobuf reader and zlib,
+// XML is tokenised tag by tag, so regional extracts never have to fit in memory.
+// Relations are skipped; the road network importer only needs nodes and ways.
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+
+const MAX_BLOB_HEADER_SIZE = 64 * 1024;
+const MAX_BLOB_SIZE = 32 * 1024 * 1024;
+const XML_BATCH_SIZE = 8000;
+
+// Features a PBF file may require; anything else (e.g. HistoricalInformation) is refused
+const SUPPORTED_FEATURES = ['OsmSchema-V0.6', 'DenseNodes'];
+
+function detectFormat(filePath) {
+  const name = filePath.toLowerCase();
+  if (name.endsWith('.pbf')) return 'pbf';
+  if (name.endsWith('.osm.gz')) return 'xml-gz';
+  if (name.endsWith('.osm') || name.endsWith('.xml')) return 'xml';
+  throw new Error(`Unsupported OSM file type: ${filePath} (expected .osm.pbf, .osm or .osm.gz)`);
+}
+
+// ============================================================================
+// PROTOBUF
+// ============================================================================
+
+// Minimal protobuf reader. Numbers are decoded as doubles, which is exact up to 2^53 -
+// enough for OSM ids and coordinates.
+class ProtoReader {
+  constructor(buffer, start = 0, end = buffer.length) {
+    this.buffer = buffer;
+    this.pos = start;
+    this.end = end;
+  }
+
+  eof() {
+    return this.pos >= this.end;
+  }
+
+  varint() {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.buffer[this.pos++];
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte >= 0x80);
+    return result;
+  }
+
+  // zigzag-encoded sint32/sint64
+  sint() {
+    const value = this.varint();
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+  }
+
+  tag() {
+    const key = this.varint();
+    return [Math.floor(key / 8), key % 8];
+  }
+
+  sub() {
+    const length = this.varint();
+    const reader = new ProtoReader(this.buffer, this.pos, this.pos + length);
+    this.pos += length;
+    return reader;
+  }
+
+  bytes() {
+    const length = this.varint();
+    const value = this.buffer.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return value;
+  }
+
+  string() {
+    const length = this.varint();
+    const value = this.buffer.toString('utf8', this.pos, this.pos + length);
+    this.pos += length;
+    return value;
+  }
+
+  // Packed repeated field, or a single unpacked element
+  repeated(wireType, read) {
+    if (wireType !== 2) return [read()];
+
+    const length = this.varint();
+    const end = this.pos + length;
+    const values = [];
+    while (this.pos < end) values.push(read());
+    return values;
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case 0: this.varint(); break;
+      case 1: this.pos += 8; break;
+      case 2: {
+        const length = this.varint();
+        this.pos += length;
+        break;
+      }
+      case 5: this.pos += 4; break;
+      default: throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+function decodeBlobHeader(buffer) {
+  const reader = new ProtoReader(buffer);
+  const header = { type: null, datasize: 0 };
+
+  while (!reader.eof()) {
+    const [field, wireType] = reader.tag();
+    if (field === 1) header.type = reader.string();
+    else if (field === 3) header.datasize = reader.varint();
+    else reader.skip(wireType);
+  }
+  return header;
+}
+
+function decodeBlob(buffer) {
+  const reader = new ProtoReader(buffer);
+
+  while (!reader.eof()) {
+    const [field, wireType] = reader.tag();
+    if (field === 1) return Buffer.from(reader.bytes());
+    if (field === 3) return zlib.inflateSync(reader.bytes());
+    if (field === 4 || field === 7) {
+      throw new Error('LZMA/ZSTD compressed PBF blobs are not supported - re-encode the file with zlib');
+    }
+    reader.skip(wireType);
+  }
+  throw new Error('Empty PBF blob');
+}
+
+function decodeHeaderBlock(buffer) {
+  const reader = new ProtoReader(buffer);
+  const header = { bbox: null, requiredFeatures: [], writingProgram: null, replicationTimestamp: null };
+
+  while (!reader.eof()) {
+    const [field, wireType] = reader.tag();
+    if (field === 1) {
+      const box = reader.sub();
+      const values = {};
+      while (!box.eof()) {
+        const [boxField] = box.tag();
+        values[boxField] = box.sint() / 1e9;
+      }
+      header.bbox = { minLon: values[1], maxLon: values[2], maxLat: values[3], minLat: values[4] };
+    } else if (field === 4) {
+      header.requiredFeatures.push(reader.string());
+    } else if (field === 16) {
+      header.writingProgram = reader.string();
+    } else if (field === 32) {
+      header.replicationTimestamp = new Date(reader.varint() * 1000);
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  const unsupported = header.requiredFeatures.filter(feature => !SUPPORTED_FEATURES.includes(feature));
+  if (unsupported.length > 0) {
+    throw new Error(`PBF file requires unsupported features: ${unsupported.join(', ')}`);
+  }
+  return header;
+}
+
+function tagsFrom(keys, vals, strings) {
+  const tags = {};
+  for (let i = 0; i < keys.length; i++) {
+    tags[strings[keys[i]]] = strings[vals[i]];
+  }
+  return tags;
+}
+
+function decodeDenseNodes(reader, block, onNode) {
+  let ids = [];
+  let lats = [];
+  let lons = [];
+  let keysVals = [];
+
+  while (!reader.eof()) {
+    const [field, wireType] = reader.tag();
+    if (field === 1) ids = reader.repeated(wireType, () => reader.sint());
+    else if (field === 8) lats = reader.repeated(wireType, () => reader.sint());
+    else if (field === 9) lons = reader.repeated(wireType, () => reader.sint());
+    else if (field === 10) keysVals = reader.repeated(wireType, () => reader.varint());
+    else reader.skip(wireType);
+  }
+
+  let id = 0;
+  let lat = 0;
+  let lon = 0;
+  let kv = 0;
+
+  for (let i = 0; i < ids.length; i++) {
+    id += ids[i];
+    lat += lats[i];
+    lon += lons[i];
+
+    // keys_vals: key,value pairs per node, each node terminated by 0
+    const tags = {};
+    while (kv < keysVals.length && keysVals[kv] !== 0) {
+      tags[block.strings[keysVals[kv]]] = block.strings[keysVals[kv + 1]];
+      kv += 2;
+    }
+    kv++;
+
+    onNode({
+      id,
+      lat: (block.latOffset + block.granularity * lat) / 1e9,
+      lon: (block.lonOffset + block.granularity * lon) / 1e9,
+      tags
+    });
+  }
+}
+
+function decodeNode(reader, block, onNode) {
+  const node = { id: 0, lat: 0, lon: 0, tags: {} };
+  let keys = [];
+  let vals = [];
+
+  while (!reader.eof()) {
+    const [field, wireType] = reader.tag();
+    if (field === 1) node.id = reader.sint();
+    else if (field === 2) keys = reader.repeated(wireType, () => reader.varint());
+    else if (field === 3) vals = reader.repeated(wireType, () => reader.varint());
+    else if (field === 8) node.lat = (block.latOffset + block.granularity * reader.sint()) / 1e9;
+    else if (field === 9) node.lon = (block.lonOffset + block.granularity * reader.sint()) / 1e9;
+    else reader.skip(wireType);
+  }
+
+  node.tags = tagsFrom(keys, vals, block.strings);
+  onNode(node);
+}
+
+function decodeWay(reader, block, onWay) {
+  let id = 0;
+  let keys = [];
+  let vals = [];
+  let refDeltas = [];
+
+  while (!reader.eof()) {
+    const [field, wireType] = reader.tag();
+    if (field === 1) id = reader.varint();
+    else if (field === 2) keys = reader.repeated(wireType, () => reader.varint());
+    else if (field === 3) vals = reader.repeated(wireType, () => reader.varint());
+    else if (field === 8) refDeltas = reader.repeated(wireType, () => reader.sint());
+    else reader.skip(wireType);
+  }
+
+  const refs = new Array(refDeltas.length);
+  let ref = 0;
+  for (let i = 0; i < refDeltas.length; i++) {
+    ref += refDeltas[i];
+    refs[i] = ref;
+  }
+
+  onWay({ id, refs, tags: tagsFrom(keys, vals, block.strings) });
+}
+
+function decodePrimitiveBlock(buffer, { onNode, onWay }) {
+  const reader = new ProtoReader(buffer);
+  const block = { strings: [], granularity: 100, latOffset: 0, lonOffset: 0 };
+  const groups = [];
+
+  while (!reader.eof()) {
+    const [field, wireType] = reader.tag();
+    if (field === 1) {
+      const table = reader.sub();
+      while (!table.eof()) {
+        const [tableField, tableWireType] = table.tag();
+        if (tableField === 1) block.strings.push(table.string());
+        else table.skip(tableWireType);
+      }
+    } else if (field === 2) {
+      groups.push(reader.sub());
+    } else if (field === 17) {
+      block.granularity = reader.varint();
+    } else if (field === 19) {
+      block.latOffset = reader.varint();
+    } else if (field === 20) {
+      block.lonOffset = reader.varint();
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  // Groups are decoded after the whole block so the string table and offsets are known
+  groups.forEach(group => {
+    while (!group.eof()) {
+      const [field, wireType] = group.tag();
+      if (field === 1 && onNode) decodeNode(group.sub(), block, onNode);
+      else if (field === 2 && onNode) decodeDenseNodes(group.sub(), block, onNode);
+      else if (field === 3 && onWay) decodeWay(group.sub(), block, onWay);
+      else group.skip(wireType);
+    }
+  });
+}
+
+async function readExactly(handle, length, position) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  if (bytesRead < length) {
+    throw new Error('Truncated PBF file');
+  }
+  return buffer;
+}
+
+async function readPbf(filePath, handlers) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const { size } = await handle.stat();
+  const lengthBuffer = Buffer.alloc(4);
+  let position = 0;
+
+  try {
+    while (position < size) {
+      const { bytesRead } = await handle.read(lengthBuffer, 0, 4, position);
+      if (bytesRead < 4) break;
+      const headerLength = lengthBuffer.readUInt32BE(0);
+      if (headerLength > MAX_BLOB_HEADER_SIZE) {
+        throw new Error('Invalid PBF file: blob header too large');
+      }
+      position += 4;
+
+      const blobHeader = decodeBlobHeader(await readExactly(handle, headerLength, position));
+      position += headerLength;
+      if (blobHeader.datasize > MAX_BLOB_SIZE) {
+        throw new Error('Invalid PBF file: blob too large');
+      }
+
+      const data = decodeBlob(await readExactly(handle, blobHeader.datasize, position));
+      position += blobHeader.datasize;
+
+      if (blobHeader.type === 'OSMHeader') {
+        if (handlers.onHeader) handlers.onHeader(decodeHeaderBlock(data));
+      } else if (blobHeader.type === 'OSMData') {
+        decodePrimitiveBlock(data, handlers);
+      }
+
+      if (handlers.onBatch) await handlers.onBatch({ bytesRead: position, totalBytes: size });
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// ============================================================================
+// XML
+// ============================================================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlEntities(value) {
+  if (value.indexOf('&') === -1) return value;
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function parseXmlAttributes(source) {
+  const attributes = {};
+  const pattern = /([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeXmlEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+async function readXml(filePath, format, handlers) {
+  const { size } = await fs.promises.stat(filePath);
+  const fileStream = fs.createReadStream(filePath, { highWaterMark: 256 * 1024 });
+  const stream = format === 'xml-gz' ? fileStream.pipe(zlib.createGunzip()) : fileStream;
+  const decoder = new StringDecoder('utf8');
+  const tagPattern = /<(\/?)(node|way|relation|nd|tag|bounds)\b([^>]*?)(\/?)>/g;
+
+  let pending = '';
+  let current = null;
+  let sinceBatch = 0;
+
+  const emit = element => {
+    if (element.kind === 'node' && handlers.onNode) {
+      handlers.onNode({ id: element.id, lat: element.lat, lon: element.lon, tags: element.tags });
+    } else if (element.kind === 'way' && handlers.onWay) {
+      handlers.onWay({ id: element.id, refs: element.refs, tags: element.tags });
+    }
+    sinceBatch++;
+  };
+
+  for await (const chunk of stream) {
+    pending += decoder.write(chunk);
+
+    let consumed = 0;
+    let match;
+    tagPattern.lastIndex = 0;
+    while ((match = tagPattern.exec(pending)) !== null) {
+      consumed = tagPattern.lastIndex;
+      const [, closing, name, attributeSource, selfClosing] = match;
+
+      if (closing) {
+        if (current && current.kind === name) {
+          emit(current);
+          current = null;
+        }
+        continue;
+      }
+
+      const attributes = parseXmlAttributes(attributeSource);
+
+      if (name === 'node' || name === 'way' || name === 'relation') {
+        current = {
+          kind: name,
+          id: Number(attributes.id),
+          lat: Number(attributes.lat),
+          lon: Number(attributes.lon),
+          refs: [],
+          tags: {}
+        };
+        if (selfClosing) {
+          emit(current);
+          current = null;
+        }
+      } else if (name === 'nd' && current) {
+        current.refs.push(Number(attributes.ref));
+      } else if (name === 'tag' && current) {
+        current.tags[attributes.k] = attributes.v;
+      } else if (name === 'bounds' && handlers.onHeader) {
+        handlers.onHeader({
+          bbox: {
+            minLat: Number(attributes.minlat),
+            minLon: Number(attributes.minlon),
+            maxLat: Number(attributes.maxlat),
+            maxLon: Number(attributes.maxlon)
+          },
+          requiredFeatures: [],
+          writingProgram: null,
+          replicationTimestamp: null
+        });
+      }
+    }
+
+    // Keep the unfinished tail (a tag split across chunks) for the next chunk
+    pending = pending.slice(consumed);
+    if (pending.length > 1024 * 1024) {
+      throw new Error('Invalid OSM XML: unterminated tag');
+    }
+
+    if (sinceBatch >= XML_BATCH_SIZE && handlers.onBatch) {
+      sinceBatch = 0;
+      await handlers.onBatch({ bytesRead: fileStream.bytesRead, totalBytes: size });
+    }
+  }
+
+  if (handlers.onBatch) await handlers.onBatch({ bytesRead: size, totalBytes: size });
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Read an OSM extract, calling the handlers for every element.
+ * onNode({ id, lat, lon, tags }) and onWay({ id, refs, tags }) are synchronous; leave one
+ * out to skip decoding that element type. onBatch({ bytesRead, totalBytes }) is awaited
+ * between blocks, which is where callers flush their writes.
+ */
+async function readOsmFile(filePath, handlers = {}) {
+  const format = detectFormat(filePath);
+  if (format === 'pbf') {
+    return readPbf(filePath, handlers);
+  }
+  return readXml(filePath, format, handlers);
+}
+
+module.exports = {
+  detectFormat,
+  readOsmFile,
+  ProtoReader
+};